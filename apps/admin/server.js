@@ -30,16 +30,35 @@ const Outcome = require("../../services/outcome/outcome.model");
 const LedgerEntry = require("../../services/ledger/ledger.model");
 const Decision = require("../../services/decision/decision.model");
 const VariableDefinition = require("../../services/variableDefinition/variableDefinition.model");
+const AdminSimulationRun = require("../../services/job/adminSimulationRun.model");
 const JobService = require("../../services/job/lib/jobService");
 const { enqueueSimulationBatchSubmit } = require("../../lib/queues/simulation-batch-worker");
-const openai = require("../../lib/openai");
+const llm = require("../../lib/llm");
+const { createMockLLMServer, MOCK_LLM_MODEL } = require("../../lib/llm/mockServer");
+const {
+  SESSION_COOKIE,
+  getPlatformAdminConfig,
+  verifyLocalToken,
+  requirePlatformAdmin,
+} = require("../../lib/platformAdminAuth");
 
 const app = express();
 const PORT = process.env.PORT_ADMIN || 4001;
+const CORS_ORIGINS = (process.env.ADMIN_CORS_ORIGINS || "http://localhost:5174")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
 
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGINS, credentials: true }));
 app.use(express.json());
 
+// Clerk sessions are only checked when Clerk is configured; without it the
+// console accepts local platform admin tokens only (lib/platformAdminAuth)
+if (process.env.CLERK_SECRET_KEY) {
+  const { clerkMiddleware } = require("@clerk/express");
+  app.use("/api", clerkMiddleware());
+}
+
 // Helper methods from sim-cli
 function toSafeSlugPart(value) {
   return String(value || "")
@@ -101,6 +120,33 @@ async function connectMongo() {
   await mongoose.connect(url);
 }
 
+let mockLLM = null;
+
+/**
+ * Start the in-process mock LLM server once (MOCK_LLM_PORT, default 4010).
+ * If the port is taken, assume `npm run mock:llm` is already serving it.
+ * In-process openai-compatible calls are pointed at it when
+ * LLM_COMPATIBLE_BASE_URL is unset; workers need the same setting.
+ */
+async function ensureMockLLMServer() {
+  const port = Number(process.env.MOCK_LLM_PORT || 4010);
+  if (!mockLLM) {
+    const server = createMockLLMServer();
+    try {
+      await server.listen(port, "127.0.0.1");
+      mockLLM = { baseURL: server.baseURL, embedded: true };
+    } catch (err) {
+      if (err.code !== "EADDRINUSE") throw err;
+      mockLLM = { baseURL: `http://127.0.0.1:${port}/v1`, embedded: false };
+    }
+  }
+  if (!process.env.LLM_COMPATIBLE_BASE_URL) {
+    process.env.LLM_COMPATIBLE_BASE_URL = mockLLM.baseURL;
+    llm.resetClients();
+  }
+  return mockLLM;
+}
+
 async function ensureEnrollmentInClass({ classroomId, memberId, role, organizationId, clerkUserId }) {
   const existing = await Enrollment.findOne({ classroomId, userId: memberId });
   if (existing && !existing.isRemoved) return existing;
@@ -201,10 +247,15 @@ async function createLocalOnlyStudents({ organizationDoc, count, seedPrefix }) {
     .lean();
 }
 
-async function generateScenarioOutcomeViaAI({ organizationName, classroomName, classroomDescription, storeTypeLabels }) {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error("OPENAI_API_KEY is not set");
+async function generateScenarioOutcomeViaAI({ classroomId, organizationName, classroomName, classroomDescription, storeTypeLabels }) {
+  const selection = await Classroom.getLLMSelection(classroomId, "challenge");
+  if (!llm.isProviderConfigured(selection.provider)) {
+    throw new Error(`LLM provider "${selection.provider}" is not configured`);
   }
+  const model =
+    selection.provider === "openai"
+      ? process.env.SIM_SCENARIO_MODEL || "gpt-4o-mini"
+      : selection.model;
 
   const schema = {
     type: "object",
@@ -244,8 +295,8 @@ async function generateScenarioOutcomeViaAI({ organizationName, classroomName, c
     },
   };
 
-  const res = await openai.chat.completions.create({
-    model: process.env.SIM_SCENARIO_MODEL || "gpt-4o-mini",
+  const res = await llm.createChatCompletion(selection.provider, {
+    model,
     temperature: 0.4,
     max_tokens: 500,
     messages: [
@@ -280,10 +331,11 @@ async function generateScenarioOutcomeViaAI({ organizationName, classroomName, c
 }
 
 async function autoCreateSubmissionsForUsersAI({ challengeId, classroomId, organizationId, clerkUserId, userIds, options = {} }) {
-  const { model = process.env.AUTO_SUBMISSION_MODEL || "gpt-4o-mini", includeExisting = true } = options;
+  const { model = null, includeExisting = true } = options;
 
-  if (!process.env.OPENAI_API_KEY) {
-    return { skipped: true, reason: "OPENAI_API_KEY not set" };
+  const { provider } = await Classroom.getLLMSelection(classroomId, "decision");
+  if (!llm.isProviderConfigured(provider)) {
+    return { skipped: true, reason: `LLM provider "${provider}" is not configured` };
   }
 
   const challenge = await Challenge.findOne({ _id: challengeId, organization: organizationId });
@@ -439,6 +491,37 @@ async function createJobsForScenarioForUserIds({ challengeId, classroomId, organ
   return jobs;
 }
 
+// Platform admin session. Signing in with a local token stores it in an
+// HttpOnly cookie so the console's fetch and EventSource calls carry it.
+app.post("/api/session", (req, res) => {
+  const config = getPlatformAdminConfig();
+  const claims = config.localTokensEnabled
+    ? verifyLocalToken(req.body?.token, config.localTokenSecret)
+    : null;
+  if (!claims) {
+    return res.status(401).json({ error: "Invalid or expired token", code: "PLATFORM_ADMIN_REQUIRED" });
+  }
+  res.cookie(SESSION_COOKIE, req.body.token, {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: process.env.NODE_ENV === "production",
+    expires: new Date(claims.exp * 1000),
+  });
+  res.json({ method: "local_token", subject: claims.sub, clerkUserId: null, email: null });
+});
+
+app.delete("/api/session", (req, res) => {
+  res.clearCookie(SESSION_COOKIE);
+  res.status(204).end();
+});
+
+// Everything else under /api requires a platform admin
+app.use("/api", requirePlatformAdmin());
+
+app.get("/api/session", (req, res) => {
+  res.json(req.platformAdmin);
+});
+
 // REST endpoints for Admin interface
 app.get("/api/admins", async (req, res) => {
   try {
@@ -532,6 +615,18 @@ app.post("/api/emails/render/:slug", async (req, res) => {
   }
 });
 
+// Audit log of console simulation runs, newest first
+app.get("/api/simulation/runs", async (req, res) => {
+  try {
+    await connectMongo();
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const runs = await AdminSimulationRun.find({}).sort({ startedAt: -1 }).limit(limit).lean();
+    res.json(runs);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Real-time Simulation Engine Event Stream (SSE)
 app.get("/api/simulation/run", async (req, res) => {
   res.setHeader("Content-Type", "text/event-stream");
@@ -542,6 +637,9 @@ app.get("/api/simulation/run", async (req, res) => {
     res.write(`data: ${JSON.stringify({ log: message, status })}\n\n`);
   };
 
+  let run = null;
+  let classroom;
+  let scenarioDoc;
   try {
     const {
       adminId,
@@ -558,6 +656,7 @@ app.get("/api/simulation/run", async (req, res) => {
       submissionMode,
       missingSubmissionsMode,
       simulationMode,
+      llmMode,
     } = req.query;
 
     if (!adminId || !orgId) {
@@ -567,6 +666,16 @@ app.get("/api/simulation/run", async (req, res) => {
     sendLog("🔌 Connecting database...");
     await connectMongo();
 
+    run = await AdminSimulationRun.start({
+      platformAdmin: req.platformAdmin,
+      query: req.query,
+      ip: req.ip,
+    });
+    console.log(
+      `[admin] Simulation run ${run._id} started by ${run.initiatedBy.subject} (${run.initiatedBy.method}) against ${run.database.host}/${run.database.name}`
+    );
+    sendLog(`Run ${run._id} recorded for ${run.initiatedBy.subject} on ${run.database.name}`);
+
     // Fetch Acting Admin
     const actingAdmin = await Member.findById(adminId).lean();
     if (!actingAdmin) throw new Error("Acting admin member not found");
@@ -578,7 +687,6 @@ app.get("/api/simulation/run", async (req, res) => {
     sendLog(`Organization: ${organizationDoc.name} (${organizationDoc._id})`);
 
     // Create or select classroom
-    let classroom;
     if (classroomMode === "existing" && classroomId) {
       classroom = await Classroom.findOne({ _id: classroomId, organization: organizationDoc._id });
       if (!classroom) throw new Error("Selected classroom not found");
@@ -604,6 +712,29 @@ app.get("/api/simulation/run", async (req, res) => {
       });
     }
 
+    if (llmMode === "mock") {
+      const mock = await ensureMockLLMServer();
+      sendLog(`🧪 Using mock LLM server at ${mock.baseURL}${mock.embedded ? "" : " (already running)"}`);
+      if (process.env.LLM_COMPATIBLE_BASE_URL !== mock.baseURL) {
+        sendLog(`⚠️ LLM_COMPATIBLE_BASE_URL is ${process.env.LLM_COMPATIBLE_BASE_URL}; openai-compatible calls go there, not to the mock.`);
+      }
+      await Classroom.updateOne(
+        { _id: classroom._id },
+        {
+          $set: {
+            aiSettings: {
+              provider: "openai-compatible",
+              simulationModel: MOCK_LLM_MODEL,
+              decisionModel: MOCK_LLM_MODEL,
+              challengeModel: MOCK_LLM_MODEL,
+            },
+            updatedBy: actingAdmin.clerkUserId,
+          },
+        }
+      );
+      sendLog(`Classroom switched to the openai-compatible provider; workers need LLM_COMPATIBLE_BASE_URL=${mock.baseURL}.`);
+    }
+
     sendLog("Verifying admin enrollment...");
     await ensureEnrollmentInClass({
       classroomId: classroom._id,
@@ -677,8 +808,9 @@ app.get("/api/simulation/run", async (req, res) => {
     let pct = parseInt(randomEventChance, 10) || 0;
 
     if (scenarioMode === "ai") {
-      sendLog("Generating scenario parameters via OpenAI...");
+      sendLog("Generating scenario parameters via AI...");
       const aiGen = await generateScenarioOutcomeViaAI({
+        classroomId: classroom._id,
         organizationName: organizationDoc.name,
         classroomName: classroom.name,
         classroomDescription: classroom.description || "",
@@ -705,7 +837,7 @@ app.get("/api/simulation/run", async (req, res) => {
       { _id: challengeId, organization: organizationDoc._id },
       { $set: { isPublished: true, updatedBy: actingAdmin.clerkUserId, updatedDate: new Date() } }
     );
-    const scenarioDoc = await Challenge.findById(challengeId);
+    scenarioDoc = await Challenge.findById(challengeId);
 
     const simStudentIds = students.map((s) => s._id);
     sendLog(`Generating submissions using mode: ${submissionMode}...`);
@@ -771,12 +903,20 @@ app.get("/api/simulation/run", async (req, res) => {
 
     sendLog("Closing challenge and generating ledger entries...");
     await scenarioDoc.close(actingAdmin.clerkUserId);
+    await run.finish({ classroomId: classroom._id, challengeId: scenarioDoc._id });
 
     sendLog("🎉 Simulation run completed successfully!", "completed");
     res.write(`data: ${JSON.stringify({ done: true, classroomId: classroom._id, challengeId: scenarioDoc._id })}\n\n`);
     res.end();
   } catch (err) {
     sendLog(`❌ Execution failed: ${err.message}`, "failed");
+    if (run) {
+      await run
+        .finish({ classroomId: classroom?._id, challengeId: scenarioDoc?._id, error: err })
+        .catch((auditErr) =>
+          console.error(`[admin] Failed to record simulation run ${run._id}:`, auditErr.message)
+        );
+    }
     res.end();
   }
 });
@@ -1,4 +1,4 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, type FormEvent } from "react";
 import {
   Play,
   Mail,
@@ -33,7 +33,77 @@ interface Classroom {
   description: string;
 }
 
+interface PlatformAdmin {
+  method: "clerk" | "local_token";
+  subject: string;
+  email: string | null;
+}
+
+// The console requires a platform admin: a Clerk session on the server's
+// allowlist, or a local token from `npm run admin:token`
 export default function App() {
+  const [session, setSession] = useState<PlatformAdmin | null>(null);
+  const [checking, setChecking] = useState<boolean>(true);
+  const [token, setToken] = useState<string>("");
+  const [authError, setAuthError] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetch("/api/session")
+      .then(async (res) => {
+        const data = await res.json();
+        if (res.ok) setSession(data);
+        else if (res.status !== 401) setAuthError(data.error);
+      })
+      .catch((err) => setAuthError(err.message))
+      .finally(() => setChecking(false));
+  }, []);
+
+  const handleSignIn = async (e: FormEvent) => {
+    e.preventDefault();
+    setAuthError(null);
+    const res = await fetch("/api/session", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ token: token.trim() }),
+    });
+    const data = await res.json();
+    if (res.ok) setSession(data);
+    else setAuthError(data.error);
+  };
+
+  if (checking) return null;
+  if (session) return <SimulationConsole />;
+
+  return (
+    <div className="flex min-h-screen items-center justify-center">
+      <form onSubmit={handleSignIn} className="card w-full max-w-md">
+        <h2 className="heading-md mb-2">Platform Admin Sign-in</h2>
+        <p className="text-sm mb-4">
+          Sign in to SCALE with an allowlisted account, or paste a local token from{" "}
+          <code>npm run admin:token</code>.
+        </p>
+        <input
+          type="password"
+          className="input mb-4"
+          placeholder="sadm_..."
+          value={token}
+          onChange={(e) => setToken(e.target.value)}
+        />
+        {authError && (
+          <p className="text-xs text-red-500 font-semibold flex items-center gap-1 mb-4">
+            <AlertTriangle className="h-4 w-4" />
+            {authError}
+          </p>
+        )}
+        <button type="submit" disabled={!token.trim()} className="btn btn-teal px-6 py-2 font-bold">
+          Sign in
+        </button>
+      </form>
+    </div>
+  );
+}
+
+function SimulationConsole() {
   const [activeTab, setActiveTab] = useState<"simulation" | "emails">("simulation");
   const [darkMode, setDarkMode] = useState<boolean>(false);
 
@@ -52,6 +122,7 @@ export default function App() {
   const [submissionMode, setSubmissionMode] = useState<"ai" | "defaults">("defaults");
   const [missingSubmissionsMode, setMissingSubmissionsMode] = useState<string>("null");
   const [simulationMode, setSimulationMode] = useState<"direct" | "batch">("direct");
+  const [llmMode, setLlmMode] = useState<"live" | "mock">("live");
 
   // Manual scenario inputs
   const [scenarioTitle, setScenarioTitle] = useState<string>("Week 1: Demand Shock & Supply Constraints");
@@ -296,6 +367,7 @@ export default function App() {
       submissionMode,
       missingSubmissionsMode,
       simulationMode,
+      llmMode,
     });
 
     const eventSource = new EventSource(`/api/simulation/run?${queryParams.toString()}`);
@@ -526,6 +598,22 @@ export default function App() {
                         <option value="batch">Batch Ledger Mode (requires bull worker running)</option>
                       </select>
                     </div>
+
+                    {/* LLM Mode Toggle */}
+                    <div>
+                      <label className="label">LLM Responses</label>
+                      <select
+                        className="input select"
+                        value={llmMode}
+                        onChange={(e) => setLlmMode(e.target.value as "live" | "mock")}
+                      >
+                        <option value="live">Live Provider (classroom aiSettings)</option>
+                        <option value="mock">Mock LLM Server (offline, schema-generated)</option>
+                      </select>
+                      <span className="text-text-muted text-xs block mt-1">
+                        Mock mode switches the classroom to the openai-compatible provider; workers need LLM_COMPATIBLE_BASE_URL pointed at the mock.
+                      </span>
+                    </div>
                   </div>
 
                   {/* Advanced Challenge Creation Settings */}
@@ -119,20 +119,25 @@ const ALLOWED_CORS_ORIGINS = new Set([
   ...(isDev ? DEV_CORS_ORIGINS : []),
   ...EXTRA_CORS_ORIGINS,
 ]);
-app.use(
-  cors({
-    origin: (origin, callback) => {
-      // Allow non-browser / same-origin requests that don't send an Origin header
-      if (!origin) return callback(null, true);
-
-      if (ALLOWED_CORS_ORIGINS.has(origin)) return callback(null, true);
-      return callback(new Error("Not allowed by CORS"));
-    },
-    credentials: true,
-    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    optionsSuccessStatus: 204,
-    exposedHeaders: ["Content-Disposition"],
-  })
+const corsMiddleware = cors({
+  origin: (origin, callback) => {
+    // Allow non-browser / same-origin requests that don't send an Origin header
+    if (!origin) return callback(null, true);
+
+    if (ALLOWED_CORS_ORIGINS.has(origin)) return callback(null, true);
+    return callback(new Error("Not allowed by CORS"));
+  },
+  credentials: true,
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  optionsSuccessStatus: 204,
+  exposedHeaders: ["Content-Disposition"],
+});
+
+// LMS launches are cross-site form posts (top-level navigations) from any
+// registered LMS origin; they are verified by signed tokens, not CORS
+const LTI_FORM_POST_PATHS = new Set(["/v1/lti/login", "/v1/lti/launch"]);
+app.use((req, res, next) =>
+  LTI_FORM_POST_PATHS.has(req.path) ? next() : corsMiddleware(req, res, next)
 );
 
 // Return a clean 403 for disallowed CORS origins (instead of default 500)
@@ -246,6 +251,17 @@ async function main() {
 
   await connectWithRetry();
 
+  // Replace unique indexes from before multi-round challenges (idempotent)
+  try {
+    const { migrateRoundKeyIndexes } = require("../../lib/round-key-indexes");
+    const { dropped } = await migrateRoundKeyIndexes();
+    if (dropped.length) {
+      console.log(`Dropped legacy indexes: ${dropped.join(", ")}`);
+    }
+  } catch (e) {
+    console.error("⚠️  Failed to migrate round indexes on startup:", e?.message || e);
+  }
+
   // Ensure the global (developer-managed) classroom template exists.
   // This is safe to run on every startup (idempotent).
   try {
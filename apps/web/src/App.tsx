@@ -13,6 +13,7 @@ import { JoinOrganization } from "./pages/JoinOrganization";
 import ClassroomLinkLanding from "./pages/Classrooms/ClassroomLinkLanding";
 import AuthPage from "./pages/Auth/Auth";
 import ClassroomCreate from "./pages/Teacher/ClassroomCreate/ClassroomCreate";
+import { LtiLaunch, LtiDeepLink, LtiAccountLink } from "./pages/Lti";
 
 import { AuthProvider, useAuth } from "./context/AuthContext";
 import { ThemeProvider } from "./context/ThemeContext";
@@ -189,6 +190,58 @@ const DynamicRoutes = () => {
   );
 };
 
+const AppRoutes = () => (
+  <>
+    <SignedOut>
+      <Routes>
+        <Route path="/join" element={<JoinPathRedirect />} />
+        <Route path="*" element={<AuthPage />} />
+      </Routes>
+    </SignedOut>
+
+    <SignedIn>
+      <AuthProvider>
+        <Routes>
+          <Route path="/join" element={<JoinPathRedirect />} />
+          <Route
+            path="/classrooms/new"
+            element={
+              <Suspense fallback={<LoadingScreen />}>
+                <ClassroomCreate />
+              </Suspense>
+            }
+          />
+          <Route
+            path="/classrooms/:id"
+            element={
+              <Suspense fallback={<LoadingScreen />}>
+                <ClassroomLinkLanding />
+              </Suspense>
+            }
+          />
+          <Route
+            path="/join-organization"
+            element={
+              <Suspense fallback={<LoadingOverlay loading={true} />}>
+                <JoinOrganization />
+              </Suspense>
+            }
+          />
+          <Route
+            path="/classroom/:id"
+            element={
+              <Suspense fallback={<LoadingOverlay loading={true} />}>
+                <TeacherClassroom />
+              </Suspense>
+            }
+          />
+          <Route path="/*" element={<RootEntry />} />
+        </Routes>
+      </AuthProvider>
+    </SignedIn>
+  </>
+);
+
 export default function App() {
   return (
     <TooltipProvider>
@@ -202,53 +255,14 @@ export default function App() {
             </ClerkLoading>
 
             <ClerkLoaded>
-              <SignedOut>
-                <Routes>
-                  <Route path="/join" element={<JoinPathRedirect />} />
-                  <Route path="*" element={<AuthPage />} />
-                </Routes>
-              </SignedOut>
-
-              <SignedIn>
-                <AuthProvider>
-                  <Routes>
-                    <Route path="/join" element={<JoinPathRedirect />} />
-                    <Route
-                      path="/classrooms/new"
-                      element={
-                        <Suspense fallback={<LoadingScreen />}>
-                          <ClassroomCreate />
-                        </Suspense>
-                      }
-                    />
-                    <Route
-                      path="/classrooms/:id"
-                      element={
-                        <Suspense fallback={<LoadingScreen />}>
-                          <ClassroomLinkLanding />
-                        </Suspense>
-                      }
-                    />
-                    <Route
-                      path="/join-organization"
-                      element={
-                        <Suspense fallback={<LoadingOverlay loading={true} />}>
-                          <JoinOrganization />
-                        </Suspense>
-                      }
-                    />
-                    <Route
-                      path="/classroom/:id"
-                      element={
-                        <Suspense fallback={<LoadingOverlay loading={true} />}>
-                          <TeacherClassroom />
-                        </Suspense>
-                      }
-                    />
-                    <Route path="/*" element={<RootEntry />} />
-                  </Routes>
-                </AuthProvider>
-              </SignedIn>
+              <Routes>
+                {/* LMS launches sign in with a ticket, so they sit outside
+                    SignedIn/SignedOut and don't remount when the session changes */}
+                <Route path="/lti/launch" element={<LtiLaunch />} />
+                <Route path="/lti/deep-link" element={<LtiDeepLink />} />
+                <Route path="/lti/link" element={<LtiAccountLink />} />
+                <Route path="*" element={<AppRoutes />} />
+              </Routes>
             </ClerkLoaded>
           </div>
         </ThemeProvider>
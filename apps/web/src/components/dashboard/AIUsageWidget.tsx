@@ -0,0 +1,138 @@
+import React from "react";
+import type {
+  AIBudgetStatusValue,
+  AIUsageSource,
+  ClassDashboard,
+} from "../../types/dashboard";
+
+interface AIUsageWidgetProps {
+  dashboard: ClassDashboard | null;
+  isLoadingDashboard?: boolean;
+}
+
+const SOURCE_LABELS: Record<AIUsageSource, string> = {
+  simulation: "Simulations",
+  replay: "Replays",
+  decision: "Auto decisions",
+  challenge: "AI challenges",
+  chat: "Chat",
+  sandbox: "Student previews",
+};
+
+const STATUS_STYLES: Record<AIBudgetStatusValue, string> = {
+  ok: "border-ui-border bg-ui-muted text-text-secondary",
+  softExceeded: "border-amber-500/40 bg-amber-500/10 text-amber-300",
+  hardExceeded: "border-red-500/40 bg-red-500/10 text-red-300",
+};
+
+const formatUsd = (value: number | null | undefined) =>
+  `$${Number(value || 0).toLocaleString(undefined, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+const formatMonth = (month: string) => {
+  const [year, monthIndex] = month.split("-").map(Number);
+  return new Date(Date.UTC(year, monthIndex - 1, 1)).toLocaleDateString(
+    undefined,
+    { month: "long", year: "numeric", timeZone: "UTC" }
+  );
+};
+
+const AIUsageWidget: React.FC<AIUsageWidgetProps> = ({
+  dashboard,
+  isLoadingDashboard = false,
+}) => {
+  const usage = dashboard?.aiUsage ?? null;
+  const classroomBudget = usage?.budget.classroom ?? null;
+  const hardLimit = classroomBudget?.hardLimitUsd ?? null;
+  const spent = usage?.totals.estimatedCostUsd ?? 0;
+
+  return (
+    <div className="w-full">
+      <div className="flex items-center justify-between gap-3 mb-3">
+        <h2 className="heading-md">AI Usage</h2>
+        {usage && (
+          <span className="text-text-muted text-sm">
+            {formatMonth(usage.month)}
+          </span>
+        )}
+      </div>
+
+      {isLoadingDashboard ? (
+        <p className="text-text-muted text-sm">Loading AI usage…</p>
+      ) : !usage ? (
+        <p className="text-text-muted text-sm">AI usage is unavailable.</p>
+      ) : (
+        <>
+          <div className="flex items-baseline justify-between gap-3">
+            <div className="text-2xl font-semibold tabular-nums">
+              {formatUsd(spent)}
+            </div>
+            <div className="text-text-muted text-sm tabular-nums">
+              {usage.totals.totalTokens.toLocaleString()} tokens ·{" "}
+              {usage.totals.calls.toLocaleString()} calls
+            </div>
+          </div>
+          <div className="text-text-muted text-xs mb-3">
+            Estimated cost this month
+            {usage.totals.unpricedCalls > 0 &&
+              ` (${usage.totals.unpricedCalls} calls on unpriced models)`}
+          </div>
+
+          {hardLimit !== null && (
+            <div className="mb-3">
+              <div className="h-2 w-full rounded bg-ui-muted overflow-hidden">
+                <div
+                  className={
+                    classroomBudget?.status === "ok"
+                      ? "h-full bg-primary"
+                      : "h-full bg-red-500"
+                  }
+                  style={{
+                    width: `${Math.min(100, hardLimit > 0 ? (spent / hardLimit) * 100 : 100)}%`,
+                  }}
+                />
+              </div>
+              <div className="text-text-muted text-xs mt-1">
+                {formatUsd(spent)} of {formatUsd(hardLimit)} monthly limit
+              </div>
+            </div>
+          )}
+
+          {usage.budget.status !== "ok" && (
+            <div
+              className={`mb-3 rounded-md border px-3 py-2 text-sm ${STATUS_STYLES[usage.budget.status]}`}
+            >
+              {usage.budget.blocked
+                ? "Monthly AI budget reached. New simulations, auto decisions and chat are paused."
+                : "Approaching the monthly AI budget."}
+            </div>
+          )}
+
+          {usage.bySource.length === 0 ? (
+            <p className="text-text-muted text-sm">No AI usage yet this month.</p>
+          ) : (
+            <div className="gap-2">
+              {usage.bySource.map((row) => (
+                <div
+                  key={row.key ?? "unknown"}
+                  className="flex w-full items-center justify-between gap-3 text-sm"
+                >
+                  <span className="text-text-secondary">
+                    {SOURCE_LABELS[row.key as AIUsageSource] ?? row.key}
+                  </span>
+                  <span className="tabular-nums">
+                    {formatUsd(row.estimatedCostUsd)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AIUsageWidget;
@@ -16,3 +16,4 @@ export { ActionBanner } from "./ActionBanner";
 export { default as MetricCard } from "./MetricCard";
 export { default as StudentDashboardInsights } from "./StudentDashboardInsights";
 export { default as StudentLearningResources } from "./StudentLearningResources";
+export { default as AIUsageWidget } from "./AIUsageWidget";
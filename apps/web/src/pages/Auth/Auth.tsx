@@ -4,6 +4,11 @@ import { useLocation, useNavigate } from "react-router-dom";
 import Scale_logo from "../../assets/logos/SCALE_logo.png";
 import joinService from "../../services/join";
 import licensingService from "../../services/licensing";
+import { isAccessCodeError } from "../../utils/accessCodeJoin";
+
+// Kept across the checkout redirect so the join after payment can resend it
+const accessCodeStorageKey = (classroomId: string) =>
+  `scale.joinAccessCode.${classroomId}`;
 
 export default function Auth() {
   const { isLoaded, isSignedIn } = useAuth();
@@ -16,6 +21,8 @@ export default function Auth() {
   const [isStartingCheckout, setIsStartingCheckout] = useState(false);
   const [studentIdInput, setStudentIdInput] = useState("");
   const [isSubmittingStudentId, setIsSubmittingStudentId] = useState(false);
+  const [accessCodeInput, setAccessCodeInput] = useState("");
+  const [isSubmittingAccessCode, setIsSubmittingAccessCode] = useState(false);
   const [isJoiningAfterCheckout, setIsJoiningAfterCheckout] = useState(false);
 
   const { orgId, classroomId, checkoutStatus, checkoutSessionId } = useMemo(() => {
@@ -31,11 +38,12 @@ export default function Auth() {
   const isJoinFlow = !!orgId && !!classroomId;
   const isCheckoutSuccess = checkoutStatus === "success";
 
-  const attemptJoin = async (studentId?: string) => {
+  const attemptJoin = async (studentId?: string, accessCode?: string) => {
     if (!orgId || !classroomId) return;
     setJoinError(null);
     setJoinErrorCode(null);
-    await joinService.join(orgId, classroomId, studentId);
+    await joinService.join(orgId, classroomId, studentId, accessCode);
+    sessionStorage.removeItem(accessCodeStorageKey(classroomId));
     navigate(`/classrooms/${classroomId}`);
   };
 
@@ -109,7 +117,10 @@ export default function Auth() {
           if (checkout.status !== "completed" || cancelled) return;
         }
 
-        await attemptJoin();
+        const storedAccessCode = classroomId
+          ? sessionStorage.getItem(accessCodeStorageKey(classroomId))
+          : null;
+        await attemptJoin(undefined, storedAccessCode || undefined);
       } catch (error) {
         // Keep polling: this also lets a paid checkout recover if the original
         // webhook delivery was delayed or failed.
@@ -126,6 +137,7 @@ export default function Auth() {
     };
   }, [
     checkoutSessionId,
+    classroomId,
     isCheckoutSuccess,
     isJoinFlow,
     isLoaded,
@@ -142,7 +154,7 @@ export default function Auth() {
       setJoinError(null);
       setJoinErrorCode(null);
       try {
-        await attemptJoin(studentIdInput.trim());
+        await attemptJoin(studentIdInput.trim(), accessCodeInput.trim() || undefined);
       } catch (e) {
         console.error("Unable to join classroom with student ID:", e);
         const response =
@@ -164,10 +176,42 @@ export default function Auth() {
       }
     };
 
+    const handleJoinWithAccessCode = async () => {
+      if (!orgId || !classroomId || !accessCodeInput.trim() || isSubmittingAccessCode)
+        return;
+      setIsSubmittingAccessCode(true);
+      setJoinError(null);
+      setJoinErrorCode(null);
+      try {
+        await attemptJoin(studentIdInput.trim() || undefined, accessCodeInput.trim());
+      } catch (e) {
+        console.error("Unable to join classroom with access code:", e);
+        const response =
+          e && typeof e === "object" && "response" in e
+            ? (e as {
+                response?: {
+                  data?: { error?: string; message?: string; code?: string };
+                };
+              }).response
+            : undefined;
+        setJoinError(
+          response?.data?.error ||
+            response?.data?.message ||
+            "Unable to join classroom with this access code."
+        );
+        setJoinErrorCode(response?.data?.code || null);
+      } finally {
+        setIsSubmittingAccessCode(false);
+      }
+    };
+
     const startCheckout = async () => {
       if (!classroomId || isStartingCheckout) return;
       setIsStartingCheckout(true);
       setJoinError(null);
+      if (accessCodeInput.trim()) {
+        sessionStorage.setItem(accessCodeStorageKey(classroomId), accessCodeInput.trim());
+      }
       try {
         const checkout = await licensingService.createStudentCheckout(
           classroomId,
@@ -315,6 +359,31 @@ export default function Auth() {
               <>
                 <h1 className="heading-lg mb-2">Unable to join classroom</h1>
                 <p className="text-text-muted mb-6">{joinError}</p>
+                {isAccessCodeError(joinErrorCode) && (
+                  <div className="max-w-sm mx-auto mt-4 p-4 border border-ui-border rounded-lg bg-ui-background/50">
+                    <p className="text-sm text-text-muted mb-3">
+                      Enter the access code your instructor gave you to join
+                      this classroom:
+                    </p>
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        placeholder="Access code"
+                        value={accessCodeInput}
+                        onChange={(e) => setAccessCodeInput(e.target.value)}
+                        className="input text-sm"
+                        disabled={isSubmittingAccessCode}
+                      />
+                      <button
+                        className="btn-teal text-sm py-1.5"
+                        disabled={!accessCodeInput.trim() || isSubmittingAccessCode}
+                        onClick={() => void handleJoinWithAccessCode()}
+                      >
+                        {isSubmittingAccessCode ? "Joining..." : "Submit"}
+                      </button>
+                    </div>
+                  </div>
+                )}
                 {joinErrorCode === "ROSTER_ONLY" && (
                   <div className="max-w-sm mx-auto mt-4 p-4 border border-ui-border rounded-lg bg-ui-background/50">
                     <p className="text-sm text-text-muted mb-3">
@@ -0,0 +1,100 @@
+import { useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { SignInButton, useAuth } from "@clerk/clerk-react";
+import ltiService from "../../services/lti";
+
+function getErrorMessage(error: unknown) {
+  const message = (error as { response?: { data?: { error?: string } } })
+    ?.response?.data?.error;
+  return message || "Unable to link your account. Open SCALE from your course again.";
+}
+
+/**
+ * First launch from an LMS whose email already has a SCALE account: the
+ * account's owner signs in and confirms before the LMS user is linked to it.
+ */
+export default function LtiAccountLink() {
+  const [searchParams] = useSearchParams();
+  const session = searchParams.get("session");
+  const email = searchParams.get("email");
+  const platformName = searchParams.get("platformName") || "your LMS";
+  const { isSignedIn } = useAuth();
+  const [submitting, setSubmitting] = useState(false);
+  const [linked, setLinked] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleConfirm = async () => {
+    if (!session) return;
+    setSubmitting(true);
+    setError(null);
+    try {
+      await ltiService.confirmAccountLink(session);
+      setLinked(true);
+    } catch (e) {
+      console.error("Failed to link LMS account:", e);
+      setError(getErrorMessage(e));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!session) {
+    return (
+      <div className="page">
+        <div className="container">
+          <div className="card text-center py-12">
+            <h1 className="heading-lg mb-2">Unable to open SCALE</h1>
+            <p className="text-text-muted">
+              This link is missing its session. Start again from your LMS.
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (linked) {
+    return (
+      <div className="page">
+        <div className="container">
+          <div className="card text-center py-12">
+            <h1 className="heading-lg mb-2">Account linked</h1>
+            <p className="text-text-muted">
+              Open SCALE from your course in {platformName} again to continue.
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="page">
+      <div className="container">
+        <div className="card text-center py-12">
+          <h1 className="heading-lg mb-2">Link your SCALE account</h1>
+          <p className="text-text-muted mb-6">
+            {email ? `${email} already has a SCALE account. ` : ""}
+            Sign in to it to use SCALE from {platformName}.
+          </p>
+
+          {error && <p className="text-error mb-4">{error}</p>}
+
+          {isSignedIn ? (
+            <button
+              className="btn-teal"
+              disabled={submitting}
+              onClick={() => void handleConfirm()}
+            >
+              {submitting ? "Linking…" : "Link my account"}
+            </button>
+          ) : (
+            <SignInButton mode="redirect" forceRedirectUrl={window.location.href}>
+              <button className="btn-teal">Sign In</button>
+            </SignInButton>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,156 @@
+import { useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import classroomService from "../../services/classroom";
+import challengeService from "../../services/challenge";
+import ltiService from "../../services/lti";
+import type { Classroom } from "../../types/classroom";
+import type { Challenge } from "../../types/challenge";
+import { useTicketSignIn } from "./useTicketSignIn";
+
+/**
+ * Content picker for LMS deep linking: an instructor picks a classroom (and
+ * optionally one of its challenges) to place in their course.
+ */
+export default function LtiDeepLink() {
+  const [searchParams] = useSearchParams();
+  const session = searchParams.get("session");
+  const { ready, error: signInError } = useTicketSignIn(
+    searchParams.get("ticket"),
+    searchParams.get("orgId")
+  );
+  const [classrooms, setClassrooms] = useState<Classroom[]>([]);
+  const [challenges, setChallenges] = useState<Challenge[]>([]);
+  const [classroomId, setClassroomId] = useState("");
+  const [challengeId, setChallengeId] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!ready) return;
+    const load = async () => {
+      try {
+        const res = await classroomService.getAll();
+        const list = (res?.data ?? res ?? []) as Classroom[];
+        setClassrooms(Array.isArray(list) ? list : []);
+      } catch (e) {
+        console.error("Failed to load classrooms:", e);
+        setError("Unable to load your classrooms");
+      }
+    };
+    void load();
+  }, [ready]);
+
+  useEffect(() => {
+    if (!classroomId) return;
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const res = await challengeService.getAll(classroomId, "admin");
+        const list = (res?.data ?? res ?? []) as Challenge[];
+        if (!cancelled) setChallenges(Array.isArray(list) ? list : []);
+      } catch (e) {
+        console.error("Failed to load challenges:", e);
+      }
+    };
+    void load();
+    return () => {
+      cancelled = true;
+    };
+  }, [classroomId]);
+
+  const handleClassroomChange = (nextClassroomId: string) => {
+    setClassroomId(nextClassroomId);
+    setChallengeId("");
+    setChallenges([]);
+  };
+
+  const handleSubmit = async () => {
+    if (!session || !classroomId) return;
+    setSubmitting(true);
+    setError(null);
+    try {
+      const res = await ltiService.createDeepLinkingResponse(session, [
+        { classroomId, ...(challengeId ? { challengeId } : {}) },
+      ]);
+      ltiService.submitDeepLinkingResponse(res.data.returnUrl, res.data.jwt);
+    } catch (e) {
+      console.error("Failed to create deep linking response:", e);
+      setError("Unable to add this content to your course. Start again from your LMS.");
+      setSubmitting(false);
+    }
+  };
+
+  if (signInError || !session) {
+    return (
+      <div className="page">
+        <div className="container">
+          <div className="card text-center py-12">
+            <h1 className="heading-lg mb-2">Unable to open SCALE</h1>
+            <p className="text-text-muted">
+              {signInError || "This link is missing its session. Start again from your LMS."}
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="page">
+      <div className="container">
+        <div className="card py-8">
+          <h1 className="heading-lg mb-2">Add SCALE to your course</h1>
+          <p className="text-text-muted mb-6">
+            Pick a classroom, or one of its challenges, to link from your LMS.
+          </p>
+
+          <label className="label" htmlFor="lti-classroom">
+            Classroom
+          </label>
+          <select
+            id="lti-classroom"
+            className="input mb-4"
+            value={classroomId}
+            disabled={!ready}
+            onChange={(e) => handleClassroomChange(e.target.value)}
+          >
+            <option value="">Select a classroom</option>
+            {classrooms.map((classroom) => (
+              <option key={classroom._id} value={classroom._id}>
+                {classroom.name}
+              </option>
+            ))}
+          </select>
+
+          <label className="label" htmlFor="lti-challenge">
+            Challenge (optional)
+          </label>
+          <select
+            id="lti-challenge"
+            className="input mb-6"
+            value={challengeId}
+            disabled={!classroomId}
+            onChange={(e) => setChallengeId(e.target.value)}
+          >
+            <option value="">Whole classroom</option>
+            {challenges.map((challenge) => (
+              <option key={challenge._id} value={challenge._id}>
+                {challenge.title}
+              </option>
+            ))}
+          </select>
+
+          {error && <p className="text-error mb-4">{error}</p>}
+
+          <button
+            className="btn-teal"
+            disabled={!classroomId || submitting}
+            onClick={() => void handleSubmit()}
+          >
+            {submitting ? "Adding…" : "Add to course"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+import { useEffect, useRef, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import authService from "../../services/auth";
+import { useTicketSignIn } from "./useTicketSignIn";
+
+/**
+ * Landing page for LMS launches: signs the user in with the launch ticket,
+ * opens the linked classroom and, for challenge links, the challenge.
+ */
+export default function LtiLaunch() {
+  const [searchParams] = useSearchParams();
+  const classroomId = searchParams.get("classroomId");
+  const challengeId = searchParams.get("challengeId");
+  const { ready, error: signInError } = useTicketSignIn(
+    searchParams.get("ticket"),
+    searchParams.get("orgId")
+  );
+  const didOpenRef = useRef(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!ready || didOpenRef.current) return;
+    didOpenRef.current = true;
+
+    const run = async () => {
+      try {
+        if (classroomId) {
+          await authService.setActiveClassroom(classroomId);
+        }
+        window.location.replace(challengeId ? `/challenges/${challengeId}` : "/");
+      } catch (e) {
+        console.error("Failed to open LTI classroom:", e);
+        setError("Unable to open classroom");
+      }
+    };
+
+    void run();
+  }, [ready, classroomId, challengeId]);
+
+  const message = signInError || error;
+  return (
+    <div className="page">
+      <div className="container">
+        <div className="card text-center py-12">
+          {message ? (
+            <>
+              <h1 className="heading-lg mb-2">Unable to open SCALE</h1>
+              <p className="text-text-muted">{message}</p>
+            </>
+          ) : (
+            <>
+              <h1 className="heading-lg mb-2">Opening SCALE…</h1>
+              <p className="text-text-muted">Please wait.</p>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,3 @@
+export { default as LtiLaunch } from "./LtiLaunch";
+export { default as LtiDeepLink } from "./LtiDeepLink";
+export { default as LtiAccountLink } from "./LtiAccountLink";
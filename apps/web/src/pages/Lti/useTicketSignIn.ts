@@ -0,0 +1,53 @@
+import { useEffect, useRef, useState } from "react";
+import { useClerk } from "@clerk/clerk-react";
+
+/**
+ * Sign in with the one-time ticket an LMS launch redirects with, replacing
+ * any session already open in this browser, and activate the launch's
+ * organization. `ready` turns true once the session is active.
+ */
+export function useTicketSignIn(ticket: string | null, orgId: string | null) {
+  const clerk = useClerk();
+  const didRunRef = useRef(false);
+  const [ready, setReady] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const missingDetails = !ticket || !orgId;
+
+  useEffect(() => {
+    if (!ticket || !orgId) return;
+    if (didRunRef.current) return;
+    didRunRef.current = true;
+
+    const run = async () => {
+      try {
+        if (clerk.session) {
+          await clerk.signOut();
+        }
+        const signIn = await clerk.client?.signIn.create({
+          strategy: "ticket",
+          ticket,
+        });
+        if (signIn?.status !== "complete" || !signIn.createdSessionId) {
+          throw new Error(`Sign-in incomplete: ${signIn?.status}`);
+        }
+        await clerk.setActive({
+          session: signIn.createdSessionId,
+          organization: orgId,
+        });
+        setReady(true);
+      } catch (e) {
+        console.error("LTI sign-in failed:", e);
+        setError("This link has expired. Open SCALE from your course again.");
+      }
+    };
+
+    void run();
+  }, [clerk, ticket, orgId]);
+
+  return {
+    ready,
+    error: missingDetails
+      ? "This link is missing its sign-in details. Open SCALE from your course again."
+      : error,
+  };
+}
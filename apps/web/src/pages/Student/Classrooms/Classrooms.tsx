@@ -12,7 +12,9 @@ import LoadingOverlay from "../../../components/LoadingOverlay";
 import {
   canSelfJoinFromClassList,
   getClassListJoinHint,
+  promptForAccessCode,
 } from "../../../utils/classroomJoin";
+import { joinWithAccessCode } from "../../../utils/accessCodeJoin";
 
 const Classrooms = () => {
   const { setNewActiveClassroom, activeClassroom, isLoading, organization } =
@@ -103,7 +105,10 @@ const Classrooms = () => {
       globalContext?.setIsLoading(true);
 
       // Join the classroom (enrolls as member)
-      await enrollmentService.joinClass(classroomId);
+      await joinWithAccessCode(
+        (accessCode) => enrollmentService.joinClass(classroomId, accessCode),
+        promptForAccessCode
+      );
 
       // Set as active classroom
       await setNewActiveClassroom(classroom);
@@ -27,7 +27,9 @@ import type { ClassroomWithVirtuals } from "../../../types/classroom";
 import {
   canSelfJoinFromClassList,
   getClassListJoinHint,
+  promptForAccessCode,
 } from "../../../utils/classroomJoin";
+import { joinWithAccessCode } from "../../../utils/accessCodeJoin";
 import {
   unwrap,
   normalizeScenarioId,
@@ -303,7 +305,10 @@ const Dashboard: React.FC = () => {
     setJoiningClassroomId(classroomId);
     try {
       globalContext?.setIsLoading(true);
-      await enrollmentService.joinClass(classroomId);
+      await joinWithAccessCode(
+        (accessCode) => enrollmentService.joinClass(classroomId, accessCode),
+        promptForAccessCode
+      );
       await setNewActiveClassroom(classroom);
       globalContext?.setIsLoading(false);
     } catch (err) {
@@ -7,6 +7,8 @@ import ClassroomCard from "../../../components/ClassroomCard";
 import type { ClassroomWithVirtuals } from "../../../types/classroom";
 import BasicLayout from "../../../components/Layouts/BasicLayout";
 import enrollmentService from "../../../services/enrollment";
+import { joinWithAccessCode } from "../../../utils/accessCodeJoin";
+import { promptForAccessCode } from "../../../utils/classroomJoin";
 import LoadingOverlay from "../../../components/LoadingOverlay";
 
 const Classrooms = () => {
@@ -173,7 +175,10 @@ const Classrooms = () => {
       globalContext?.setIsLoading(true);
 
       // Join the classroom (enrolls as member)
-      await enrollmentService.joinClass(classroomId);
+      await joinWithAccessCode(
+        (accessCode) => enrollmentService.joinClass(classroomId, accessCode),
+        promptForAccessCode
+      );
 
       // Set as active classroom
       await setNewActiveClassroom(classroom);
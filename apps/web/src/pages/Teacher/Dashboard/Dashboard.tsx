@@ -20,6 +20,7 @@ import {
   TeacherActionRequired,
   LeaderboardSnapshot,
   ClassroomHeader,
+  AIUsageWidget,
 } from "@/components/dashboard";
 import type { Challenge } from "@/types/challenge";
 import type { StudentDisplay } from "@/types/components";
@@ -35,6 +36,8 @@ import {
   getChallengePresentationBadgeClass,
   getChallengePresentationStatus,
 } from "@/utils/challengeStatus";
+import { joinWithAccessCode } from "@/utils/accessCodeJoin";
+import { promptForAccessCode } from "@/utils/classroomJoin";
 import LoadingOverlay from "../../../components/LoadingOverlay";
 import Alert from "../../../components/Alert";
 
@@ -120,7 +123,10 @@ const Dashboard: React.FC = () => {
   const handleJoinClassroom = async (classroom: ClassroomWithVirtuals) => {
     try {
       globalContext?.setIsLoading(true);
-      await enrollmentService.joinClass(classroom._id);
+      await joinWithAccessCode(
+        (accessCode) => enrollmentService.joinClass(classroom._id, accessCode),
+        promptForAccessCode
+      );
       await setNewActiveClassroom(classroom);
       globalContext?.setIsLoading(false);
     } catch (err) {
@@ -703,6 +709,12 @@ const Dashboard: React.FC = () => {
                 dashboard={dashboard}
               />
             </div>
+            <div className="card flex-1">
+              <AIUsageWidget
+                dashboard={dashboard}
+                isLoadingDashboard={isLoadingDashboard}
+              />
+            </div>
           </div>
         </div>
         <div className="container">
@@ -2,10 +2,10 @@ import TokenHandler from "./base";
 import { API_HOST, API_VERSION } from "../config";
 import axios from "axios";
 
-async function joinClass(classroomId: string) {
+async function joinClass(classroomId: string, accessCode?: string) {
   const response = await axios.post(
     `${API_HOST}/${API_VERSION}/enrollment/class/${classroomId}/join`,
-    {},
+    accessCode ? { accessCode } : {},
     {
       headers: await TokenHandler.getHeaders(),
     }
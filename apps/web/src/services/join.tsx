@@ -2,10 +2,15 @@ import TokenHandler from "./base";
 import { API_HOST, API_VERSION } from "../config";
 import axios from "axios";
 
-async function join(orgId: string, classroomId: string, studentId?: string) {
+async function join(
+  orgId: string,
+  classroomId: string,
+  studentId?: string,
+  accessCode?: string
+) {
   const response = await axios.post(
     `${API_HOST}/${API_VERSION}/join`,
-    { orgId, classroomId, studentId },
+    { orgId, classroomId, studentId, accessCode },
     {
       headers: await TokenHandler.getHeaders(),
     }
@@ -0,0 +1,71 @@
+import TokenHandler from "./base";
+import { API_HOST, API_VERSION } from "../config";
+import axios from "axios";
+
+export type LtiDeepLinkItem = {
+  classroomId: string;
+  challengeId?: string;
+  title?: string;
+};
+
+/**
+ * Sign the LMS deep linking response for the picked classrooms/challenges.
+ * The returned JWT is form-posted to returnUrl (see submitDeepLinkingResponse).
+ */
+async function createDeepLinkingResponse(
+  session: string,
+  items: LtiDeepLinkItem[]
+) {
+  const response = await axios.post(
+    `${API_HOST}/${API_VERSION}/lti/deep-linking/response`,
+    { session, items },
+    {
+      headers: await TokenHandler.getHeaders(),
+    }
+  );
+  return response.data as {
+    success: boolean;
+    data: { returnUrl: string; jwt: string };
+  };
+}
+
+/**
+ * Link the LMS user from a first launch to the signed-in account.
+ */
+async function confirmAccountLink(session: string) {
+  const response = await axios.post(
+    `${API_HOST}/${API_VERSION}/lti/account-link`,
+    { session },
+    {
+      headers: await TokenHandler.getHeaders(),
+    }
+  );
+  return response.data as {
+    success: boolean;
+    data: { platformName: string };
+  };
+}
+
+/**
+ * Hand the deep linking response back to the LMS (a top-level form post).
+ */
+function submitDeepLinkingResponse(returnUrl: string, jwt: string) {
+  const form = document.createElement("form");
+  form.method = "POST";
+  form.action = returnUrl;
+  const input = document.createElement("input");
+  input.type = "hidden";
+  input.name = "JWT";
+  input.value = jwt;
+  form.appendChild(input);
+  document.body.appendChild(form);
+  form.submit();
+}
+
+const ltiService = {
+  createDeepLinkingResponse,
+  confirmAccountLink,
+  submitDeepLinkingResponse,
+};
+
+export default ltiService;
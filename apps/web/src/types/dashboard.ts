@@ -34,6 +34,53 @@ export interface AdminDashboardResponse extends DashboardBase {
   leaderboardMetric: LeaderboardMetric | null;
   metricDefinitionCount: number;
   pendingApprovals: number;
+  aiUsage?: ClassAIUsageSummary | null;
+}
+
+/**
+ * AI usage (services/aiUsage). Costs are estimates from list prices.
+ */
+export type AIUsageSource =
+  | "simulation"
+  | "replay"
+  | "decision"
+  | "challenge"
+  | "chat"
+  | "sandbox";
+
+export interface AIUsageTotals {
+  key: string | null;
+  label?: string | null;
+  calls: number;
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+  estimatedCostUsd: number;
+  unpricedCalls: number;
+}
+
+export type AIBudgetStatusValue = "ok" | "softExceeded" | "hardExceeded";
+
+export interface AIBudgetScopeStatus {
+  spentUsd: number;
+  softLimitUsd: number | null;
+  hardLimitUsd: number | null;
+  status: AIBudgetStatusValue;
+}
+
+export interface AIBudgetStatus {
+  month: string;
+  status: AIBudgetStatusValue;
+  blocked: boolean;
+  organization: AIBudgetScopeStatus | null;
+  classroom: AIBudgetScopeStatus | null;
+}
+
+export interface ClassAIUsageSummary {
+  month: string;
+  totals: AIUsageTotals;
+  bySource: AIUsageTotals[];
+  budget: AIBudgetStatus;
 }
 
 /**
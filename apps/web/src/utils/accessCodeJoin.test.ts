@@ -0,0 +1,56 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { joinWithAccessCode } from "./accessCodeJoin.ts";
+
+function joinRejection(code: string) {
+  return Object.assign(new Error(`Request failed: ${code}`), {
+    response: { status: 403, data: { error: code, code } },
+  });
+}
+
+test("joinWithAccessCode prompts after a rejection and retries with the code", async () => {
+  const sent: Array<string | undefined> = [];
+  const prompts: string[] = [];
+  const answers = ["wrong", " SCALE-42 "];
+
+  const result = await joinWithAccessCode(
+    async (accessCode) => {
+      sent.push(accessCode);
+      if (!accessCode) throw joinRejection("ACCESS_CODE_REQUIRED");
+      if (accessCode !== "SCALE-42") throw joinRejection("ACCESS_CODE_INVALID");
+      return { success: true };
+    },
+    (code) => {
+      prompts.push(code);
+      return answers.shift() ?? null;
+    }
+  );
+
+  assert.deepEqual(result, { success: true });
+  assert.deepEqual(sent, [undefined, "wrong", "SCALE-42"]);
+  assert.deepEqual(prompts, ["ACCESS_CODE_REQUIRED", "ACCESS_CODE_INVALID"]);
+});
+
+test("joinWithAccessCode rethrows when the prompt is cancelled or the error is unrelated", async () => {
+  const required = joinRejection("ACCESS_CODE_REQUIRED");
+  await assert.rejects(
+    joinWithAccessCode(async () => {
+      throw required;
+    }, () => null),
+    (error) => error === required
+  );
+
+  let prompted = false;
+  const closed = joinRejection("CLASSROOM_CLOSED");
+  await assert.rejects(
+    joinWithAccessCode(async () => {
+      throw closed;
+    }, () => {
+      prompted = true;
+      return "SCALE-42";
+    }),
+    (error) => error === closed
+  );
+  assert.equal(prompted, false);
+});
@@ -0,0 +1,44 @@
+export type AccessCodeErrorCode = "ACCESS_CODE_REQUIRED" | "ACCESS_CODE_INVALID";
+
+const ACCESS_CODE_ERROR_CODES: string[] = [
+  "ACCESS_CODE_REQUIRED",
+  "ACCESS_CODE_INVALID",
+];
+
+function getJoinErrorCode(error: unknown): string | undefined {
+  if (!error || typeof error !== "object" || !("response" in error)) {
+    return undefined;
+  }
+  return (error as { response?: { data?: { code?: string } } }).response?.data
+    ?.code;
+}
+
+export function isAccessCodeError(code?: string | null): code is AccessCodeErrorCode {
+  return !!code && ACCESS_CODE_ERROR_CODES.includes(code);
+}
+
+/**
+ * Run a classroom join, asking for the access code when the server requires
+ * one (or rejects the one entered) and retrying with it. Rejects with the
+ * last error when the student cancels the prompt or the join fails for any
+ * other reason.
+ */
+export async function joinWithAccessCode<T>(
+  join: (accessCode?: string) => Promise<T>,
+  promptForCode: (
+    code: AccessCodeErrorCode
+  ) => Promise<string | null> | string | null
+): Promise<T> {
+  let accessCode: string | undefined;
+  for (;;) {
+    try {
+      return await join(accessCode);
+    } catch (error) {
+      const code = getJoinErrorCode(error);
+      if (!isAccessCodeError(code)) throw error;
+      const entered = (await promptForCode(code))?.trim();
+      if (!entered) throw error;
+      accessCode = entered;
+    }
+  }
+}
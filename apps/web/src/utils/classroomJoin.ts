@@ -1,5 +1,6 @@
 import type { ClassroomWithVirtuals } from "@/types/classroom";
 import type { JoinPolicy } from "@/types/licensing";
+import type { AccessCodeErrorCode } from "./accessCodeJoin";
 
 export function canSelfJoinFromClassList(
   classroom: ClassroomWithVirtuals
@@ -30,3 +31,11 @@ export function getClassListJoinHint(
   }
   return null;
 }
+
+export function promptForAccessCode(code: AccessCodeErrorCode): string | null {
+  return window.prompt(
+    code === "ACCESS_CODE_INVALID"
+      ? "That access code is incorrect. Enter the classroom's access code:"
+      : "This classroom requires an access code. Enter it to join:"
+  );
+}
@@ -0,0 +1,138 @@
+/**
+ * Record/replay for LLM calls.
+ *
+ * LLM_FIXTURES_MODE controls `createChatCompletion`:
+ *
+ * - "off" (default) - call the provider
+ * - "record"        - call the provider and write the request/response pair to
+ *                     LLM_FIXTURES_DIR
+ * - "replay"        - answer from LLM_FIXTURES_DIR only; a request without a
+ *                     recording fails with LLM_FIXTURE_MISSING
+ *
+ * Fixtures are keyed by a hash of the request. ObjectIds and the sampling
+ * `seed` (derived from ObjectIds) are normalised out of the key so a recording
+ * made against one database replays against fresh test data. The mock LLM
+ * server (lib/llm/mockServer.js) reads the same directory, so recordings also
+ * answer Batch API requests.
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { makeLLMError } = require("./errors");
+
+const FIXTURE_MODES = Object.freeze(["off", "record", "replay"]);
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "../../test/fixtures/llm");
+const OBJECT_ID_PATTERN = /\b[0-9a-f]{24}\b/gi;
+
+function getFixtureMode() {
+  const mode = String(process.env.LLM_FIXTURES_MODE || "off").toLowerCase();
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw makeLLMError(
+      `Unknown LLM_FIXTURES_MODE "${mode}"`,
+      500,
+      "LLM_FIXTURE_MODE_INVALID",
+      { mode, allowed: FIXTURE_MODES }
+    );
+  }
+  return mode;
+}
+
+function getFixturesDir() {
+  return process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash identifying a chat completion request, independent of key order,
+ * ObjectIds and seed.
+ */
+function fixtureKey(request) {
+  const { seed, ...rest } = request || {};
+  const normalized = stableStringify(rest).replace(OBJECT_ID_PATTERN, "<id>");
+  return crypto.createHash("sha256").update(normalized).digest("hex").slice(0, 32);
+}
+
+function fixturePath(request, dir = getFixturesDir()) {
+  return path.join(dir, `${fixtureKey(request)}.json`);
+}
+
+/**
+ * Recorded fixture for a request, or null.
+ *
+ * @returns {{ key, provider, recordedAt, request, response }|null}
+ */
+function loadFixture(request, dir = getFixturesDir()) {
+  const file = fixturePath(request, dir);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function saveFixture(request, response, { provider = null, dir = getFixturesDir() } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fixture = {
+    key: fixtureKey(request),
+    provider,
+    recordedAt: new Date().toISOString(),
+    request,
+    response,
+  };
+  fs.writeFileSync(fixturePath(request, dir), `${JSON.stringify(fixture, null, 2)}\n`, "utf8");
+  return fixture;
+}
+
+/**
+ * Run `send()` according to LLM_FIXTURES_MODE.
+ *
+ * @param {string} provider - Provider the request is addressed to
+ * @param {Object} request - Chat completion payload
+ * @param {Function} send - Performs the real call
+ * @returns {Promise<Object>} Chat completion response
+ */
+async function withFixtures(provider, request, send) {
+  const mode = getFixtureMode();
+  if (mode === "off") return await send();
+
+  const dir = getFixturesDir();
+  if (mode === "replay") {
+    const fixture = loadFixture(request, dir);
+    if (!fixture) {
+      throw makeLLMError(
+        "No recorded LLM response for this request (record it with LLM_FIXTURES_MODE=record)",
+        500,
+        "LLM_FIXTURE_MISSING",
+        { key: fixtureKey(request), dir, provider, model: request?.model || null }
+      );
+    }
+    return fixture.response;
+  }
+
+  const response = await send();
+  saveFixture(request, response, { provider, dir });
+  return response;
+}
+
+module.exports = {
+  FIXTURE_MODES,
+  DEFAULT_FIXTURES_DIR,
+  getFixtureMode,
+  getFixturesDir,
+  fixtureKey,
+  fixturePath,
+  loadFixture,
+  saveFixture,
+  withFixtures,
+};
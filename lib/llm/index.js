@@ -0,0 +1,198 @@
+/**
+ * LLM provider layer.
+ *
+ * Every structured-output call (simulations, auto-generated decisions,
+ * AI-drafted challenges) goes through `createChatCompletion`, which speaks the
+ * OpenAI chat completions format to whichever provider a classroom selects:
+ *
+ * - "openai"            - api.openai.com (lib/openai; honours OPENAI_BASE_URL)
+ * - "gemini"            - Gemini through Google's OpenAI-compatible endpoint
+ * - "openai-compatible" - any OpenAI-compatible server (a local model, or a
+ *                         stub server in development/CI) at LLM_COMPATIBLE_BASE_URL
+ *
+ * Requests and responses keep the OpenAI shape for every provider, so stored
+ * requests (SimulationRun) replay unchanged and callers parse
+ * `choices[0].message.content` as before.
+ *
+ * Calls can be recorded to and replayed from fixture files (see
+ * lib/llm/fixtures.js); lib/llm/mockServer.js is an offline stand-in for any
+ * of the providers.
+ */
+const { makeLLMError } = require("./errors");
+const fixtures = require("./fixtures");
+
+const LLM_PROVIDERS = Object.freeze(["openai", "gemini", "openai-compatible"]);
+const LLM_PURPOSES = Object.freeze(["simulation", "decision", "challenge"]);
+
+const GEMINI_OPENAI_BASE_URL =
+  "https://generativelanguage.googleapis.com/v1beta/openai/";
+
+const clients = new Map();
+
+function getDefaultProvider() {
+  return process.env.LLM_PROVIDER || "openai";
+}
+
+/**
+ * Model used when neither the caller nor the classroom picks one.
+ */
+function getDefaultModel(provider, purpose = "simulation") {
+  if (provider === "gemini") {
+    return process.env.GEMINI_MODEL || "gemini-2.5-flash";
+  }
+  if (provider === "openai-compatible") {
+    return process.env.LLM_COMPATIBLE_MODEL || null;
+  }
+  switch (purpose) {
+    case "decision":
+      return process.env.AUTO_SUBMISSION_MODEL || "gpt-4o-mini";
+    case "challenge":
+      return (
+        process.env.CHALLENGE_AI_MODEL || process.env.AI_MODEL || "gpt-4o-mini"
+      );
+    default:
+      return process.env.AI_MODEL || "gpt-5-mini-2025-08-07";
+  }
+}
+
+/**
+ * Whether the provider has the credentials/endpoint it needs.
+ */
+function isProviderConfigured(provider) {
+  switch (provider) {
+    case "openai":
+      return Boolean(process.env.OPENAI_API_KEY);
+    case "gemini":
+      return Boolean(process.env.GEMINI_API_KEY);
+    case "openai-compatible":
+      return Boolean(process.env.LLM_COMPATIBLE_BASE_URL);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Pick the provider and model for a call.
+ *
+ * Precedence: explicit `model` argument, then the classroom's
+ * `aiSettings.<purpose>Model`, then the provider default for the purpose.
+ * The provider is the classroom's `aiSettings.provider` or LLM_PROVIDER.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.purpose] - "simulation" | "decision" | "challenge"
+ * @param {Object} [options.aiSettings] - Classroom aiSettings
+ * @param {string} [options.model] - Explicit model override
+ * @returns {{ provider: string, model: string }}
+ */
+function resolveLLM({ purpose = "simulation", aiSettings = null, model } = {}) {
+  if (!LLM_PURPOSES.includes(purpose)) {
+    throw makeLLMError(`Unknown LLM purpose "${purpose}"`, 500, "LLM_UNKNOWN_PURPOSE", {
+      purpose,
+    });
+  }
+
+  const provider = aiSettings?.provider || getDefaultProvider();
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw makeLLMError(
+      `Unknown LLM provider "${provider}"`,
+      400,
+      "LLM_UNKNOWN_PROVIDER",
+      { provider }
+    );
+  }
+
+  const resolvedModel =
+    model || aiSettings?.[`${purpose}Model`] || getDefaultModel(provider, purpose);
+  if (!resolvedModel) {
+    throw makeLLMError(
+      `No model configured for provider "${provider}" (set LLM_COMPATIBLE_MODEL or the classroom's ${purpose}Model)`,
+      503,
+      "LLM_MODEL_REQUIRED",
+      { provider, purpose }
+    );
+  }
+
+  return { provider, model: resolvedModel };
+}
+
+/**
+ * OpenAI SDK client for a provider. The "openai" provider reuses the shared
+ * lib/openai client; the others are created once and cached.
+ */
+function getClient(provider) {
+  if (provider === "openai") {
+    return require("../openai");
+  }
+  if (clients.has(provider)) {
+    return clients.get(provider);
+  }
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw makeLLMError(
+      `Unknown LLM provider "${provider}"`,
+      400,
+      "LLM_UNKNOWN_PROVIDER",
+      { provider }
+    );
+  }
+  if (!isProviderConfigured(provider)) {
+    throw makeLLMError(
+      provider === "gemini"
+        ? "GEMINI_API_KEY is not set"
+        : "LLM_COMPATIBLE_BASE_URL is not set",
+      503,
+      "LLM_PROVIDER_NOT_CONFIGURED",
+      { provider }
+    );
+  }
+
+  const OpenAI = require("openai");
+  const client =
+    provider === "gemini"
+      ? new OpenAI({
+          apiKey: process.env.GEMINI_API_KEY,
+          baseURL: process.env.GEMINI_OPENAI_BASE_URL || GEMINI_OPENAI_BASE_URL,
+        })
+      : new OpenAI({
+          // Local servers usually ignore the key, but the SDK requires one.
+          apiKey: process.env.LLM_COMPATIBLE_API_KEY || "not-needed",
+          baseURL: process.env.LLM_COMPATIBLE_BASE_URL,
+        });
+  clients.set(provider, client);
+  return client;
+}
+
+/**
+ * Send an OpenAI-format chat completion request to a provider, honouring
+ * LLM_FIXTURES_MODE (record/replay).
+ *
+ * @param {string} provider - One of LLM_PROVIDERS (defaults to LLM_PROVIDER)
+ * @param {Object} request - Chat completion payload ({ model, messages, ... })
+ * @returns {Promise<Object>} OpenAI-format chat completion response
+ */
+async function createChatCompletion(provider, request) {
+  const resolvedProvider = provider || getDefaultProvider();
+  return await fixtures.withFixtures(resolvedProvider, request, () =>
+    getClient(resolvedProvider).chat.completions.create(request)
+  );
+}
+
+/**
+ * Drop cached clients (tests, or after rotating provider env vars).
+ */
+function resetClients() {
+  clients.clear();
+}
+
+module.exports = {
+  LLM_PROVIDERS,
+  LLM_PURPOSES,
+  GEMINI_OPENAI_BASE_URL,
+  makeLLMError,
+  getDefaultProvider,
+  getDefaultModel,
+  isProviderConfigured,
+  resolveLLM,
+  getClient,
+  createChatCompletion,
+  resetClients,
+};
@@ -0,0 +1,307 @@
+/**
+ * Offline mock of the OpenAI HTTP API, for tests and local simulation runs.
+ *
+ * Implements the endpoints the app calls:
+ *
+ * - POST /v1/chat/completions
+ * - POST /v1/files, GET /v1/files/:id, GET /v1/files/:id/content
+ * - POST /v1/batches, GET /v1/batches/:id, POST /v1/batches/:id/cancel
+ *
+ * Structured-output requests are answered with content generated from the
+ * request's own `response_format.json_schema.schema` (for simulations, the
+ * LedgerEntry.buildResponseJsonSchema output), seeded from the request `seed`
+ * so the same request always gets the same answer. When `fixturesDir` is set,
+ * recorded fixtures (lib/llm/fixtures.js) take precedence. Batches complete as
+ * soon as they are created.
+ *
+ * Point the app at it with LLM_PROVIDER=openai-compatible and
+ * LLM_COMPATIBLE_BASE_URL=<url>/v1, or OPENAI_BASE_URL=<url>/v1 to exercise
+ * the Batch API path.
+ */
+const http = require("http");
+
+const { sampleFromJsonSchema } = require("./schemaSample");
+const { loadFixture } = require("./fixtures");
+const {
+  deriveSimulationSeed,
+  seededRandom,
+} = require("../../services/ledger/lib/simulationSeed");
+
+const MOCK_LLM_MODEL = "mock-llm";
+
+function estimateTokens(text) {
+  return Math.max(1, Math.ceil(String(text || "").length / 4));
+}
+
+function sendJson(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, statusCode, message) {
+  sendJson(res, statusCode, {
+    error: { message, type: "invalid_request_error", code: null },
+  });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Fields of a multipart/form-data body as { name: { filename, value } }.
+ */
+function parseMultipart(buffer, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || "");
+  if (!match) return {};
+  const boundary = `--${match[1] || match[2]}`;
+
+  const fields = {};
+  for (const part of buffer.toString("utf8").split(boundary)) {
+    const headerEnd = part.indexOf("\r\n\r\n");
+    if (headerEnd === -1) continue;
+    const headers = part.slice(0, headerEnd);
+    const name = /name="([^"]+)"/i.exec(headers)?.[1];
+    if (!name) continue;
+    fields[name] = {
+      filename: /filename="([^"]*)"/i.exec(headers)?.[1] || null,
+      value: part.slice(headerEnd + 4).replace(/\r\n$/, ""),
+    };
+  }
+  return fields;
+}
+
+function generateContent(request) {
+  const format = request?.response_format;
+  if (format?.type === "json_schema") {
+    const seed = Number.isInteger(request.seed)
+      ? request.seed
+      : deriveSimulationSeed(JSON.stringify(request.messages || []));
+    const schema = format.json_schema?.schema || {};
+    return JSON.stringify(sampleFromJsonSchema(schema, seededRandom(seed)));
+  }
+  if (format?.type === "json_object") return "{}";
+  return "Mock response.";
+}
+
+/**
+ * Create a mock server. Call `listen()` before use and `close()` after.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.fixturesDir] - Answer from recorded fixtures first
+ * @param {Function} [options.respond] - (request) => content string/object to
+ *   return instead of the generated content; return undefined to fall through
+ * @returns {Object} { server, url, baseURL, requests, listen, close, reset }
+ */
+function createMockLLMServer(options = {}) {
+  const { fixturesDir = null, respond = null } = options;
+  const state = { files: new Map(), batches: new Map(), sequence: 0 };
+  const requests = [];
+
+  const nextId = (prefix) => `${prefix}-mock-${++state.sequence}`;
+  const now = () => Math.floor(Date.now() / 1000);
+
+  function buildChatCompletion(request) {
+    const fixture = fixturesDir ? loadFixture(request, fixturesDir) : null;
+    if (fixture) return fixture.response;
+
+    let content = typeof respond === "function" ? respond(request) : undefined;
+    if (content === undefined || content === null) {
+      content = generateContent(request);
+    } else if (typeof content !== "string") {
+      content = JSON.stringify(content);
+    }
+
+    const promptTokens = estimateTokens(JSON.stringify(request?.messages || []));
+    const completionTokens = estimateTokens(content);
+    return {
+      id: nextId("chatcmpl"),
+      object: "chat.completion",
+      created: now(),
+      model: request?.model || MOCK_LLM_MODEL,
+      choices: [
+        {
+          index: 0,
+          finish_reason: "stop",
+          message: { role: "assistant", content },
+        },
+      ],
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+      },
+    };
+  }
+
+  function storeFile(content, { filename = null, purpose = "batch" } = {}) {
+    const file = {
+      id: nextId("file"),
+      object: "file",
+      bytes: Buffer.byteLength(content),
+      created_at: now(),
+      filename: filename || "upload.jsonl",
+      purpose,
+      status: "processed",
+    };
+    state.files.set(file.id, { ...file, content });
+    return file;
+  }
+
+  function describeFile(id) {
+    const file = state.files.get(id);
+    if (!file) return null;
+    const { content, ...metadata } = file;
+    return metadata;
+  }
+
+  function runBatch(body) {
+    const input = state.files.get(body.input_file_id);
+    if (!input) return null;
+
+    const lines = input.content
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+    const output = lines.map((line) => ({
+      id: nextId("batch_req"),
+      custom_id: line.custom_id,
+      response: {
+        status_code: 200,
+        request_id: nextId("req"),
+        body: buildChatCompletion(line.body),
+      },
+      error: null,
+    }));
+    const outputFile = storeFile(
+      output.map((item) => JSON.stringify(item)).join("\n") + "\n",
+      { filename: "batch_output.jsonl", purpose: "batch_output" }
+    );
+
+    const timestamp = now();
+    const batch = {
+      id: nextId("batch"),
+      object: "batch",
+      endpoint: body.endpoint || "/v1/chat/completions",
+      errors: null,
+      input_file_id: body.input_file_id,
+      completion_window: body.completion_window || "24h",
+      status: "completed",
+      output_file_id: outputFile.id,
+      error_file_id: null,
+      created_at: timestamp,
+      in_progress_at: timestamp,
+      finalizing_at: timestamp,
+      completed_at: timestamp,
+      request_counts: { total: lines.length, completed: lines.length, failed: 0 },
+      metadata: body.metadata || null,
+    };
+    state.batches.set(batch.id, batch);
+    return batch;
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const pathname = url.pathname.replace(/\/+$/, "");
+    const raw = await readBody(req);
+    const isJson = /application\/json/i.test(req.headers["content-type"] || "");
+    const body = isJson && raw.length ? JSON.parse(raw.toString("utf8")) : null;
+    requests.push({ method: req.method, path: pathname, body });
+
+    if (req.method === "POST" && pathname === "/v1/chat/completions") {
+      return sendJson(res, 200, buildChatCompletion(body || {}));
+    }
+
+    if (req.method === "POST" && pathname === "/v1/files") {
+      const fields = parseMultipart(raw, req.headers["content-type"]);
+      if (!fields.file) return sendError(res, 400, "file is required");
+      return sendJson(
+        res,
+        200,
+        storeFile(fields.file.value, {
+          filename: fields.file.filename,
+          purpose: fields.purpose?.value || "batch",
+        })
+      );
+    }
+
+    let match = /^\/v1\/files\/([^/]+)(\/content)?$/.exec(pathname);
+    if (req.method === "GET" && match) {
+      const file = state.files.get(match[1]);
+      if (!file) return sendError(res, 404, `No such File object: ${match[1]}`);
+      if (match[2]) {
+        res.setHeader("Content-Type", "application/octet-stream");
+        return res.end(file.content);
+      }
+      return sendJson(res, 200, describeFile(match[1]));
+    }
+
+    if (req.method === "POST" && pathname === "/v1/batches") {
+      const batch = runBatch(body || {});
+      if (!batch) {
+        return sendError(res, 400, `No such File object: ${body?.input_file_id}`);
+      }
+      return sendJson(res, 200, batch);
+    }
+
+    match = /^\/v1\/batches\/([^/]+)(\/cancel)?$/.exec(pathname);
+    if (match && (req.method === "GET" || (req.method === "POST" && match[2]))) {
+      const batch = state.batches.get(match[1]);
+      if (!batch) return sendError(res, 404, `No such Batch object: ${match[1]}`);
+      if (match[2] && !["completed", "failed", "expired"].includes(batch.status)) {
+        batch.status = "cancelled";
+        batch.cancelled_at = now();
+      }
+      return sendJson(res, 200, batch);
+    }
+
+    return sendError(res, 404, `Unknown mock LLM route: ${req.method} ${pathname}`);
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((error) => sendError(res, 500, error.message));
+  });
+
+  const mock = {
+    server,
+    url: null,
+    baseURL: null,
+    requests,
+
+    async listen(port = 0, host = "127.0.0.1") {
+      await new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, resolve);
+      });
+      mock.url = `http://${host}:${server.address().port}`;
+      mock.baseURL = `${mock.url}/v1`;
+      return mock;
+    },
+
+    async close() {
+      if (!server.listening) return;
+      await new Promise((resolve) => server.close(resolve));
+    },
+
+    reset() {
+      requests.length = 0;
+      state.files.clear();
+      state.batches.clear();
+    },
+  };
+
+  return mock;
+}
+
+module.exports = {
+  MOCK_LLM_MODEL,
+  createMockLLMServer,
+  generateContent,
+};
@@ -0,0 +1,106 @@
+/**
+ * Deterministic sample values for a JSON schema.
+ *
+ * Used by the mock LLM server to answer structured-output requests
+ * (`response_format.json_schema`) with content that validates against the
+ * schema the caller sent, e.g. LedgerEntry.buildResponseJsonSchema. Only the
+ * subset of JSON schema that structured outputs use is supported: object,
+ * array, string, number, integer, boolean, null, enum, const, anyOf/oneOf and
+ * numeric/length bounds.
+ */
+const DEFAULT_NUMBER_RANGE = { min: 0, max: 1000 };
+
+function pickType(type) {
+  if (!Array.isArray(type)) return type;
+  // Nullable fields (e.g. `randomEvent: ["string", "null"]`) come back as null,
+  // matching the common "nothing happened" answer.
+  if (type.includes("null")) return "null";
+  return type[0];
+}
+
+function sampleNumber(schema, random, integer) {
+  let min = Number.isFinite(schema.minimum)
+    ? schema.minimum
+    : Number.isFinite(schema.exclusiveMinimum)
+      ? schema.exclusiveMinimum + (integer ? 1 : 0.01)
+      : DEFAULT_NUMBER_RANGE.min;
+  let max = Number.isFinite(schema.maximum)
+    ? schema.maximum
+    : Number.isFinite(schema.exclusiveMaximum)
+      ? schema.exclusiveMaximum - (integer ? 1 : 0.01)
+      : Math.max(min, DEFAULT_NUMBER_RANGE.max);
+  if (max < min) max = min;
+
+  if (integer) {
+    min = Math.ceil(min);
+    max = Math.floor(max);
+    return min + Math.floor(random() * (max - min + 1));
+  }
+  const value = Math.round((min + random() * (max - min)) * 100) / 100;
+  return Math.min(max, Math.max(min, value));
+}
+
+function sampleString(schema, name) {
+  let value = `Mock ${name || "value"}`;
+  if (Number.isInteger(schema.maxLength) && value.length > schema.maxLength) {
+    value = value.slice(0, schema.maxLength);
+  }
+  if (Number.isInteger(schema.minLength) && value.length < schema.minLength) {
+    value = value.padEnd(schema.minLength, ".");
+  }
+  return value;
+}
+
+/**
+ * Build a value that satisfies `schema`.
+ *
+ * @param {Object} schema - JSON schema
+ * @param {Function} random - PRNG returning floats in [0, 1) (seededRandom)
+ * @param {string} [name] - Property name, used to label sample strings
+ * @returns {*} Sample value
+ */
+function sampleFromJsonSchema(schema, random, name = "") {
+  if (!schema || typeof schema !== "object") return null;
+
+  if (Object.prototype.hasOwnProperty.call(schema, "const")) return schema.const;
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum[Math.floor(random() * schema.enum.length)];
+  }
+  const variants = schema.anyOf || schema.oneOf;
+  if (Array.isArray(variants) && variants.length > 0) {
+    return sampleFromJsonSchema(variants[0], random, name);
+  }
+
+  const type =
+    pickType(schema.type) || (schema.properties ? "object" : schema.items ? "array" : null);
+
+  switch (type) {
+    case "object": {
+      const result = {};
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        result[key] = sampleFromJsonSchema(propertySchema, random, key);
+      }
+      return result;
+    }
+    case "array": {
+      const count = Number.isInteger(schema.minItems) && schema.minItems > 0
+        ? schema.minItems
+        : 1;
+      return Array.from({ length: count }, () =>
+        sampleFromJsonSchema(schema.items || {}, random, name)
+      );
+    }
+    case "number":
+      return sampleNumber(schema, random, false);
+    case "integer":
+      return sampleNumber(schema, random, true);
+    case "boolean":
+      return random() < 0.5;
+    case "string":
+      return sampleString(schema, name);
+    default:
+      return null;
+  }
+}
+
+module.exports = { sampleFromJsonSchema };
@@ -0,0 +1,234 @@
+const crypto = require("crypto");
+
+/**
+ * Platform superadmin access for the admin console (apps/admin). A request is
+ * let through with either
+ *
+ * - a Clerk session whose user is on the allowlist: PLATFORM_ADMIN_CLERK_USER_IDS
+ *   (comma-separated Clerk user IDs) or PLATFORM_ADMIN_EMAILS (comma-separated
+ *   email addresses, matched against the user's verified emails)
+ * - a local token signed with PLATFORM_ADMIN_TOKEN_SECRET, for offline
+ *   development (mint one with `npm run admin:token`). Local tokens are
+ *   refused when NODE_ENV is "production" unless
+ *   PLATFORM_ADMIN_ALLOW_LOCAL_TOKENS=true.
+ *
+ * Local tokens are read from `Authorization: Bearer` or the session cookie
+ * set by the console's sign-in, since EventSource cannot send headers.
+ */
+
+const LOCAL_TOKEN_PREFIX = "sadm_";
+const SESSION_COOKIE = "platform_admin_token";
+const DEFAULT_TOKEN_TTL_SECONDS = 8 * 60 * 60;
+
+function makePlatformAdminError(message, statusCode, code, details = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+function parseList(value, { lowercase = false } = {}) {
+  return String(value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => (lowercase ? item.toLowerCase() : item));
+}
+
+/**
+ * Allowlist and local token settings from the environment.
+ */
+function getPlatformAdminConfig(env = process.env) {
+  const localTokenSecret = env.PLATFORM_ADMIN_TOKEN_SECRET || null;
+  return {
+    clerkUserIds: parseList(env.PLATFORM_ADMIN_CLERK_USER_IDS),
+    emails: parseList(env.PLATFORM_ADMIN_EMAILS, { lowercase: true }),
+    localTokenSecret,
+    localTokensEnabled:
+      Boolean(localTokenSecret) &&
+      (env.NODE_ENV !== "production" || env.PLATFORM_ADMIN_ALLOW_LOCAL_TOKENS === "true"),
+  };
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+/**
+ * Mint a local platform admin token.
+ *
+ * @param {Object} claims
+ * @param {string} claims.sub - who the token is for; recorded on simulation runs
+ * @param {number} [claims.ttlSeconds] - defaults to 8 hours
+ * @param {string} secret - PLATFORM_ADMIN_TOKEN_SECRET
+ * @returns {string}
+ */
+function signLocalToken({ sub, ttlSeconds = DEFAULT_TOKEN_TTL_SECONDS, now = Date.now() }, secret) {
+  if (!secret) throw new Error("PLATFORM_ADMIN_TOKEN_SECRET is not set");
+  if (!sub || typeof sub !== "string") throw new Error("A token subject (sub) is required");
+  const iat = Math.floor(now / 1000);
+  const payload = Buffer.from(
+    JSON.stringify({ sub, iat, exp: iat + Math.floor(ttlSeconds) })
+  ).toString("base64url");
+  return `${LOCAL_TOKEN_PREFIX}${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Claims of a valid, unexpired local token, or null.
+ */
+function verifyLocalToken(token, secret, now = Date.now()) {
+  if (!secret || typeof token !== "string" || !token.startsWith(LOCAL_TOKEN_PREFIX)) {
+    return null;
+  }
+  const [payload, signature] = token.slice(LOCAL_TOKEN_PREFIX.length).split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (!claims.sub || !(Number(claims.exp) * 1000 > now)) return null;
+    return claims;
+  } catch (_) {
+    return null;
+  }
+}
+
+function readCookie(req, name) {
+  const header = req.headers?.cookie;
+  if (!header) return null;
+  for (const part of header.split(";")) {
+    const index = part.indexOf("=");
+    if (index === -1) continue;
+    if (part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (_) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * The local token on a request, if any. Bearer tokens without the local
+ * prefix are Clerk session tokens and are left to Clerk.
+ */
+function readLocalToken(req) {
+  const authorization = req.headers?.authorization || "";
+  const bearer = authorization.startsWith("Bearer ") ? authorization.slice(7).trim() : null;
+  if (bearer?.startsWith(LOCAL_TOKEN_PREFIX)) return bearer;
+  return readCookie(req, SESSION_COOKIE);
+}
+
+function getClerkAuth(req) {
+  // clerkMiddleware is only mounted when Clerk is configured
+  if (!req.auth) return null;
+  try {
+    const { getAuth } = require("@clerk/express");
+    return getAuth(req);
+  } catch (_) {
+    return null;
+  }
+}
+
+async function getClerkUserEmails(userId) {
+  const { clerkClient } = require("@clerk/express");
+  const user = await clerkClient.users.getUser(userId);
+  return (user.emailAddresses || [])
+    .filter((address) => address.verification?.status === "verified")
+    .map((address) => address.emailAddress.toLowerCase());
+}
+
+/**
+ * Who is calling, as a platform admin. Throws 503 PLATFORM_ADMIN_NOT_CONFIGURED
+ * when neither an allowlist nor a local token secret is set, 401
+ * PLATFORM_ADMIN_REQUIRED without a valid identity and 403
+ * PLATFORM_ADMIN_FORBIDDEN for a Clerk user who is not on the allowlist.
+ *
+ * @returns {Promise<{ method: "clerk"|"local_token", subject: string, clerkUserId: string|null, email: string|null }>}
+ */
+async function resolvePlatformAdmin(
+  req,
+  {
+    config = getPlatformAdminConfig(),
+    getAuth = getClerkAuth,
+    getUserEmails = getClerkUserEmails,
+  } = {}
+) {
+  const allowlisted = config.clerkUserIds.length > 0 || config.emails.length > 0;
+  if (!allowlisted && !config.localTokensEnabled) {
+    throw makePlatformAdminError(
+      "Platform admin access is not configured",
+      503,
+      "PLATFORM_ADMIN_NOT_CONFIGURED"
+    );
+  }
+
+  const localToken = readLocalToken(req);
+  if (localToken && config.localTokensEnabled) {
+    const claims = verifyLocalToken(localToken, config.localTokenSecret);
+    if (claims) {
+      return { method: "local_token", subject: claims.sub, clerkUserId: null, email: null };
+    }
+  }
+
+  const userId = getAuth(req)?.userId;
+  if (!userId) {
+    throw makePlatformAdminError(
+      "Platform admin sign-in required",
+      401,
+      "PLATFORM_ADMIN_REQUIRED"
+    );
+  }
+
+  if (config.clerkUserIds.includes(userId)) {
+    return { method: "clerk", subject: userId, clerkUserId: userId, email: null };
+  }
+  if (config.emails.length > 0) {
+    const emails = await getUserEmails(userId);
+    const email = emails.find((address) => config.emails.includes(address));
+    if (email) return { method: "clerk", subject: userId, clerkUserId: userId, email };
+  }
+
+  throw makePlatformAdminError(
+    "This account is not a platform admin",
+    403,
+    "PLATFORM_ADMIN_FORBIDDEN"
+  );
+}
+
+/**
+ * Express middleware that sets `req.platformAdmin` or responds with the
+ * error from resolvePlatformAdmin. Options are passed through to it.
+ */
+function requirePlatformAdmin(options = {}) {
+  return async (req, res, next) => {
+    try {
+      req.platformAdmin = await resolvePlatformAdmin(req, options);
+      next();
+    } catch (error) {
+      if (!error.statusCode) return next(error);
+      res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+  };
+}
+
+module.exports = {
+  LOCAL_TOKEN_PREFIX,
+  SESSION_COOKIE,
+  DEFAULT_TOKEN_TTL_SECONDS,
+  makePlatformAdminError,
+  getPlatformAdminConfig,
+  signLocalToken,
+  verifyLocalToken,
+  readLocalToken,
+  resolvePlatformAdmin,
+  requirePlatformAdmin,
+};
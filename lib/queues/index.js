@@ -79,6 +79,7 @@ const QUEUE_NAMES = {
   SIMULATION_BATCH: "simulation-batch",
   OUTCOME_PROCESSING: "challenge-outcome-processing",
   AUTOMATION_TASK: "challenge-automation-task",
+  LTI_GRADE_PASSBACK: "lti-grade-passback",
 };
 
 // Log Redis configuration for debugging
@@ -176,6 +177,21 @@ const queues = {
       },
     },
   }),
+
+  ltiGradePassback: new Queue(QUEUE_NAMES.LTI_GRADE_PASSBACK, {
+    redis: redisOptions,
+    defaultJobOptions: {
+      // One run posts a challenge's scores to each linked LMS course
+      timeout: 5 * 60 * 1000, // 5 minutes
+      removeOnComplete: 50,
+      removeOnFail: 100,
+      attempts: 5,
+      backoff: {
+        type: "exponential",
+        delay: 30 * 1000,
+      },
+    },
+  }),
 };
 
 // Attach event listeners for better visibility into Redis/Bull state
@@ -357,6 +373,13 @@ module.exports = {
   closeQueues,
   redisConfig,
   ensureQueueReady,
+  /**
+   * The simulation queue's Redis connection, for shared state that must hold
+   * across API replicas (e.g. rate limit counters in middleware/rateLimit.js)
+   */
+  getRedisClient() {
+    return queues.simulation.client;
+  },
   /**
    * Verify Redis connectivity and basic operations, including XADD to a test stream
    */
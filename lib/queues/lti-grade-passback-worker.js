@@ -0,0 +1,91 @@
+const { queues, ensureQueueReady } = require("./index");
+const { ensureMongoConnected } = require("../mongo-connection");
+
+const processLtiGradePassbackJob = async (job) => {
+  const { challengeId, memberIds = null } = job.data || {};
+  if (!challengeId) {
+    throw new Error("Missing challengeId in LTI grade passback job payload");
+  }
+
+  await ensureMongoConnected();
+  const { syncChallengeGrades } = require("../../services/lti/lib/gradePassback");
+  const summary = await syncChallengeGrades(challengeId, { memberIds });
+
+  if (summary.failedMemberIds.length > 0) {
+    // Retries only re-post the students whose scores did not go through
+    await job.update({ ...job.data, memberIds: summary.failedMemberIds });
+    throw new Error(
+      `LMS grade passback failed for ${summary.failedMemberIds.length} student(s) on challenge ${challengeId}`
+    );
+  }
+  return summary;
+};
+
+const initLtiGradePassbackWorker = () => {
+  console.log("🎓 Initializing LTI grade passback worker...");
+
+  const concurrency = 2;
+
+  queues.ltiGradePassback.process(
+    "sync-challenge",
+    concurrency,
+    processLtiGradePassbackJob
+  );
+
+  queues.ltiGradePassback.on("completed", (job, summary) => {
+    console.log(
+      `✅ LTI grade passback completed: challengeId=${job.data?.challengeId} synced=${summary?.synced ?? 0} skipped=${summary?.skipped ?? 0}`
+    );
+  });
+
+  queues.ltiGradePassback.on("failed", (job, err) => {
+    console.error(
+      `❌ LTI grade passback failed: challengeId=${job?.data?.challengeId || "unknown"} - ${err.message}`
+    );
+  });
+};
+
+/**
+ * Queue a passback run for a challenge. A run still waiting picks up the
+ * extra students instead of queueing another; omit memberIds for everyone.
+ */
+const enqueueChallengeGradePassback = async (challengeId, { memberIds = null } = {}) => {
+  await ensureQueueReady(queues.ltiGradePassback, "ltiGradePassback");
+
+  const data = {
+    challengeId: String(challengeId),
+    memberIds: memberIds ? memberIds.map(String) : null,
+  };
+  let jobId = `lti-grades:${data.challengeId}`;
+  const existingJob = await queues.ltiGradePassback.getJob(jobId);
+  if (existingJob) {
+    const state = await existingJob.getState();
+    if (state === "waiting" || state === "delayed") {
+      const queued = existingJob.data?.memberIds;
+      await existingJob.update({
+        ...data,
+        memberIds: queued && data.memberIds ? [...new Set([...queued, ...data.memberIds])] : null,
+      });
+      return existingJob;
+    }
+    if (state === "active") {
+      jobId = `${jobId}:${Date.now()}`;
+    } else {
+      await existingJob.remove();
+    }
+  }
+
+  return queues.ltiGradePassback.add("sync-challenge", data, {
+    jobId,
+    removeOnComplete: true,
+    removeOnFail: false,
+    attempts: 5,
+    backoff: { type: "exponential", delay: 30 * 1000 },
+  });
+};
+
+module.exports = {
+  initLtiGradePassbackWorker,
+  enqueueChallengeGradePassback,
+  processLtiGradePassbackJob,
+};
@@ -4,12 +4,18 @@ const { queues, ensureQueueReady } = require("./index");
 const Challenge = require("../../services/challenge/challenge.model");
 const Outcome = require("../../services/outcome/outcome.model");
 const JobService = require("../../services/job/lib/jobService");
+const SimulationJob = require("../../services/job/job.model");
 
 const Decision = require("../../services/decision/decision.model");
+const DeadlineExtension = require("../../services/challenge/deadlineExtension.model");
 
 const {
   enqueueSimulationBatchSubmit,
 } = require("./simulation-batch-worker");
+const {
+  clearChallengeMarket,
+  addLateEntrants,
+} = require("../../services/market/lib/marketPhase");
 
 async function ensureDbConnected() {
   if (mongoose.connection.readyState === 1) return;
@@ -19,12 +25,18 @@ async function ensureDbConnected() {
 /**
  * Outcome processing worker:
  * - Optionally auto-generate missing decisions (USE_AI / USE_DEFAULTS / FORWARD_PREVIOUS)
+ * - Clear the shared market, for classrooms that have one (services/market)
  * - Create SimulationJobs for all decisions with controlled concurrency
  * - If batch mode, enqueue a single challenge-level batch submit job
  * - Close submissions and leave the challenge calculating until all jobs end
+ *
+ * Students whose deadline extension is still open are left out and recorded
+ * in Challenge.deferredStudents; follow-up jobs (`followUp: true`) process
+ * them once their windows close (see processFollowUpOutcome). Multi-round
+ * challenges process their next round instead (see processRoundOutcome).
  */
 const processOutcomeProcessingJob = async (job) => {
-  const { challengeId, organizationId, clerkUserId } = job.data || {};
+  const { challengeId, organizationId, clerkUserId, followUp } = job.data || {};
   if (!challengeId || !organizationId || !clerkUserId) {
     throw new Error(
       "Missing required fields in outcome processing payload (challengeId, organizationId, clerkUserId)"
@@ -40,6 +52,9 @@ const processOutcomeProcessingJob = async (job) => {
   if (!challenge) {
     throw new Error("Challenge not found");
   }
+  if (followUp) {
+    return processFollowUpOutcome(challenge, job.data);
+  }
   if (challenge.isClosed) {
     const LedgerCompletionEvent = require("../../services/job/ledgerCompletionEvent.model");
     const completion =
@@ -53,6 +68,10 @@ const processOutcomeProcessingJob = async (job) => {
     };
   }
 
+  if (Challenge.hasRounds(challenge)) {
+    return processRoundOutcome(challenge, job.data);
+  }
+
   if (challenge.automationMode === "FULL") {
     challenge.automationStatus = "processing";
     challenge.automationError = null;
@@ -65,40 +84,26 @@ const processOutcomeProcessingJob = async (job) => {
     throw new Error("Challenge outcome not found");
   }
 
+  // Students still inside an extended window are processed in a follow-up
+  const now = new Date();
+  const deferred = await DeadlineExtension.getOpenExtensions(challenge, now);
+  const excludeUserIds = deferred.map((entry) => entry.userId);
+
   // Auto-generate decisions based on outcome settings
-  const autoGenerateMode = outcome.autoGenerateSubmissionsOnOutcome;
-  let autoGenerateResult = null;
+  const autoGenerateResult = await generateMissingDecisions(outcome, {
+    challengeId,
+    organizationId,
+    clerkUserId,
+    scope: { excludeUserIds },
+  });
 
-  if (autoGenerateMode === "USE_AI") {
-    autoGenerateResult = await Decision.autoCreateDecisionsForChallenge({
-      challengeId,
-      organizationId,
-      clerkUserId,
-      options: {
-        includeExisting: true,
-        concurrency: Number(process.env.AUTO_SUBMISSION_CONCURRENCY || 10),
-      },
-      punishAbsentStudents: outcome.punishAbsentStudents,
-    });
-  } else if (autoGenerateMode === "USE_DEFAULTS") {
-    autoGenerateResult = await Decision.useDefaultsForDecisions({
-      challengeId,
-      organizationId,
-      clerkUserId,
-    });
-  } else if (autoGenerateMode === "FORWARD_PREVIOUS") {
-    autoGenerateResult = await Decision.forwardPreviousDecisionsForChallenge({
-      challengeId,
-      organizationId,
-      clerkUserId,
-      punishAbsentStudents: outcome.punishAbsentStudents,
-    });
-  } else if (autoGenerateMode === "SKIP") {
-    autoGenerateResult = {
-      skipped: true,
-      reason: "Missing decisions were skipped by challenge policy",
-    };
-  }
+  // Market phase: split the class demand pool before any student is
+  // simulated, so every job reads its share of the same clearing
+  const market = await clearChallengeMarket(challenge, {
+    excludeUserIds,
+    organizationId,
+    clerkUserId,
+  });
 
   // Create jobs for all decisions (dryRun = false, will write to ledger)
   const simulationMode = String(process.env.SIMULATION_MODE || "direct");
@@ -112,6 +117,7 @@ const processOutcomeProcessingJob = async (job) => {
     clerkUserId,
     {
       enqueue: !useBatch,
+      excludeUserIds,
     }
   );
 
@@ -128,6 +134,11 @@ const processOutcomeProcessingJob = async (job) => {
   // Close submissions last (decision creation requires isClosed=false), but
   // do not mark the challenge completed until ledger reconciliation confirms
   // that every simulation job is terminal.
+  challenge.deferredStudents = excludeUserIds.map((userId) => ({
+    userId,
+    status: "pending",
+    deferredAt: now,
+  }));
   await challenge.beginResultCalculation(clerkUserId);
 
   // Zero-submission challenges deliberately produce an aggregate completion
@@ -150,12 +161,216 @@ const processOutcomeProcessingJob = async (job) => {
           errors: autoGenerateResult.errors?.length || 0,
         }
       : null,
+    deferredStudents: excludeUserIds.length,
+    market: market
+      ? {
+          demandPool: market.demandPool,
+          participants: market.participants.length,
+          excluded: market.excluded.length,
+        }
+      : null,
     batchEnqueued: useBatch,
     ledgerCompletionReady: completion.ready,
     ledgerCompletionEventId: completion.event?._id,
   };
 };
 
+/**
+ * Apply the outcome's missing-submission policy. `scope` narrows the students
+ * it applies to (see Decision.autoCreateDecisionsForChallenge).
+ */
+const generateMissingDecisions = async (
+  outcome,
+  { challengeId, organizationId, clerkUserId, scope }
+) => {
+  const autoGenerateMode = outcome.autoGenerateSubmissionsOnOutcome;
+
+  if (autoGenerateMode === "USE_AI") {
+    return Decision.autoCreateDecisionsForChallenge({
+      challengeId,
+      organizationId,
+      clerkUserId,
+      options: {
+        includeExisting: true,
+        concurrency: Number(process.env.AUTO_SUBMISSION_CONCURRENCY || 10),
+      },
+      punishAbsentStudents: outcome.punishAbsentStudents,
+      scope,
+    });
+  }
+  if (autoGenerateMode === "USE_DEFAULTS") {
+    return Decision.useDefaultsForDecisions({
+      challengeId,
+      organizationId,
+      clerkUserId,
+      scope,
+    });
+  }
+  if (autoGenerateMode === "FORWARD_PREVIOUS") {
+    return Decision.forwardPreviousDecisionsForChallenge({
+      challengeId,
+      organizationId,
+      clerkUserId,
+      punishAbsentStudents: outcome.punishAbsentStudents,
+      scope,
+    });
+  }
+  if (autoGenerateMode === "SKIP") {
+    return {
+      skipped: true,
+      reason: "Missing decisions were skipped by challenge policy",
+    };
+  }
+  return null;
+};
+
+/**
+ * Follow-up run for deferred students whose extended window has closed:
+ * apply the missing-submission policy to them, then simulate their
+ * decisions. Follow-ups always run in direct mode. Students whose window is
+ * still open stay pending for a later run.
+ */
+const processFollowUpOutcome = async (challenge, payload) => {
+  const { organizationId, clerkUserId } = payload;
+  const userIds = await DeadlineExtension.getDueFollowUps(challenge, new Date());
+  if (userIds.length === 0) {
+    return {
+      success: true,
+      skipped: true,
+      reason: "No follow-ups due",
+      challengeId: challenge._id,
+    };
+  }
+
+  const outcome = await Outcome.getOutcomeByScenario(challenge._id);
+  if (!outcome) {
+    throw new Error("Challenge outcome not found");
+  }
+
+  const autoGenerateResult = await generateMissingDecisions(outcome, {
+    challengeId: challenge._id,
+    organizationId,
+    clerkUserId,
+    scope: { userIds, followUp: true },
+  });
+
+  // Deferred students join the market that already cleared
+  await addLateEntrants(challenge, userIds, { clerkUserId });
+
+  const decisions = await Decision.find({
+    challengeId: challenge._id,
+    userId: { $in: userIds },
+  })
+    .select("_id userId")
+    .lean();
+
+  // A retried follow-up must not rerun jobs an earlier attempt created
+  const existingJobs = await SimulationJob.find({
+    challengeId: challenge._id,
+    decisionId: { $in: decisions.map((decision) => decision._id) },
+  })
+    .select("decisionId")
+    .lean();
+  const jobDecisionIds = new Set(existingJobs.map((job) => String(job.decisionId)));
+
+  const jobs = [];
+  for (const decision of decisions.filter((entry) => !jobDecisionIds.has(String(entry._id)))) {
+    jobs.push(
+      await JobService.createJob({
+        classroomId: challenge.classroomId,
+        challengeId: challenge._id,
+        userId: decision.userId,
+        dryRun: false,
+        decisionId: decision._id,
+        organizationId,
+        clerkUserId,
+      })
+    );
+  }
+
+  await Challenge.updateOne(
+    { _id: challenge._id },
+    {
+      $set: {
+        "deferredStudents.$[entry].status": "processed",
+        "deferredStudents.$[entry].processedAt": new Date(),
+      },
+    },
+    { arrayFilters: [{ "entry.userId": { $in: userIds }, "entry.status": "pending" }] }
+  );
+
+  return {
+    success: true,
+    challengeId: challenge._id,
+    followUp: true,
+    students: userIds.length,
+    jobsCreated: jobs.length,
+    jobsExisting: jobDecisionIds.size,
+    autoGeneratedSubmissions: autoGenerateResult
+      ? {
+          created: autoGenerateResult.created || 0,
+          existing: autoGenerateResult.existing || 0,
+          errors: autoGenerateResult.errors?.length || 0,
+        }
+      : null,
+  };
+};
+
+/**
+ * Process the next round of a multi-round challenge. Missing round decisions
+ * are skipped rather than auto-generated, and rounds always run in direct
+ * mode. Submissions close (and the challenge starts calculating) only for the
+ * final round; earlier rounds reopen the challenge for the next round when
+ * their jobs finish (Challenge.completeRoundIfDone).
+ */
+const processRoundOutcome = async (challenge, payload) => {
+  const { organizationId, clerkUserId, roundKey } = payload;
+  const round = Challenge.getNextRound(challenge);
+  if (!round || round.status !== "pending" || (roundKey && roundKey !== round.key)) {
+    return {
+      success: true,
+      skipped: true,
+      reason: round ? `Round ${round.key} is ${round.status}` : "All rounds processed",
+      challengeId: challenge._id,
+    };
+  }
+
+  const outcome = await Outcome.getOutcomeByScenario(challenge._id);
+  if (!outcome) {
+    throw new Error("Challenge outcome not found");
+  }
+
+  const finalRound = Challenge.isFinalRound(challenge, round.key);
+  if (finalRound) {
+    await challenge.beginResultCalculation(clerkUserId);
+  } else if (challenge.automationMode === "FULL") {
+    challenge.automationStatus = "processing";
+    challenge.automationError = null;
+    challenge.automationLastCheckedAt = new Date();
+    await challenge.save();
+  }
+
+  const { jobsCreated } = await Challenge.startRound(challenge._id, round.key, {
+    organizationId,
+    clerkUserId,
+  });
+
+  const LedgerCompletionEvent = require("../../services/job/ledgerCompletionEvent.model");
+  const completion =
+    await LedgerCompletionEvent.recordChallengeLedgersComplete(challenge._id);
+
+  return {
+    success: true,
+    challengeId: challenge._id,
+    roundKey: round.key,
+    finalRound,
+    jobsCreated,
+    batchEnqueued: false,
+    ledgerCompletionReady: completion.ready,
+    ledgerCompletionEventId: completion.event?._id,
+  };
+};
+
 const markOutcomeProcessingFailed = async (
   job,
   error,
@@ -223,20 +438,30 @@ const initOutcomeProcessingWorker = () => {
 
 /**
  * Enqueue an outcome processing job.
- * Uses a deterministic jobId to avoid duplicate enqueues per challenge.
+ * Uses a deterministic jobId to avoid duplicate enqueues per challenge (and
+ * per round on multi-round challenges, and for queued follow-up runs).
  */
 const enqueueOutcomeProcessing = async ({
   challengeId,
   organizationId,
   clerkUserId,
+  roundKey,
+  followUp,
 }) => {
   await ensureQueueReady(queues.outcomeProcessing, "outcomeProcessing");
 
+  const suffix = followUp ? ":follow-up" : roundKey ? `:${roundKey}` : "";
   return queues.outcomeProcessing.add(
     "process-outcome",
-    { challengeId, organizationId, clerkUserId },
     {
-      jobId: `challenge-outcome:${String(challengeId)}`,
+      challengeId,
+      organizationId,
+      clerkUserId,
+      ...(roundKey ? { roundKey } : {}),
+      ...(followUp ? { followUp: true } : {}),
+    },
+    {
+      jobId: `challenge-outcome:${String(challengeId)}${suffix}`,
       removeOnComplete: true,
       removeOnFail: false,
       attempts: 3,
@@ -249,5 +474,6 @@ module.exports = {
   initOutcomeProcessingWorker,
   enqueueOutcomeProcessing,
   processOutcomeProcessingJob,
+  processFollowUpOutcome,
   markOutcomeProcessingFailed,
 };
@@ -11,9 +11,11 @@ const SimulationJob = require("../../services/job/job.model");
 const SimulationBatch = require("../../services/job/simulationBatch.model");
 const SimulationWorker = require("../../services/job/lib/simulationWorker");
 const LedgerEntry = require("../../services/ledger/ledger.model");
+const SimulationRun = require("../../services/ledger/simulationRun.model");
 const Decision = require("../../services/decision/decision.model");
 const VariableDefinition = require("../../services/variableDefinition/variableDefinition.model");
 const MetricDefinition = require("../../services/metricDefinition/metricDefinition.model");
+const AIUsage = require("../../services/aiUsage/aiUsage.model");
 
 const DEFAULT_POLL_SECONDS = Number(process.env.SIM_BATCH_POLL_SECONDS || 120);
 const FINALIZING_POLL_SECONDS = Number(
@@ -91,11 +93,13 @@ async function ensureDbConnected() {
   }
 }
 
-async function buildAndPersistJobPayload(jobDoc, basePrompts) {
+async function buildAndPersistJobPayload(jobDoc, basePrompts, model = null) {
   const context = await SimulationWorker.fetchJobContext(jobDoc);
 
   const { rawMessages, request } =
-    await LedgerEntry.buildAISimulationOpenAIRequest(context, basePrompts);
+    await LedgerEntry.buildAISimulationOpenAIRequest(context, basePrompts, {
+      model,
+    });
 
   const profileVariables = computeProfileVariablesSnapshot(context.profile);
   const challengeVariables =
@@ -141,6 +145,8 @@ async function buildAndPersistJobPayload(jobDoc, basePrompts) {
     decisionVariables: filtered.decisionVariables,
     outcomeVariables: filtered.outcomeVariables,
     priorMetrics: context.priorMetrics || {},
+    market: context.market || null,
+    randomEvent: context.randomEvent || null,
   };
 
   jobDoc.openaiRequest = request;
@@ -152,7 +158,24 @@ async function buildAndPersistJobPayload(jobDoc, basePrompts) {
   return jobDoc;
 }
 
-async function writeLedgerEntryFromSnapshot(jobDoc, aiResult) {
+function snapshotFormulaInputs(snapshot) {
+  return {
+    profile: snapshot.profileVariables || {},
+    challenge: snapshot.challengeVariables || {},
+    decision: snapshot.decisionVariables || {},
+    outcome: snapshot.outcomeVariables || {},
+    prior: snapshot.priorMetrics || {},
+    market: snapshot.market || {},
+  };
+}
+
+/**
+ * Write the ledger entry for one batch item and store its SimulationRun.
+ * `run` carries what the batch output adds to the prepared request:
+ * { request, responseBody, rawResult, settings, degraded }, where request
+ * and responseBody are the last turn when the reply needed repair.
+ */
+async function writeLedgerEntryFromSnapshot(jobDoc, aiResult, run = {}) {
   const snapshot = jobDoc.calculationContextSnapshot || {};
   const organizationId = jobDoc.organization;
 
@@ -169,12 +192,20 @@ async function writeLedgerEntryFromSnapshot(jobDoc, aiResult) {
     prompt: jobDoc.openaiRequestRawMessages
       ? JSON.stringify(jobDoc.openaiRequestRawMessages, null, 2)
       : null,
+    formulaCheck: aiResult.formulaCheck || null,
+    metricClamps: aiResult.metricClamps || [],
+    market: snapshot.market || null,
+    randomEvent: aiResult.randomEventDraw || snapshot.randomEvent || null,
   };
 
   const aiModel = jobDoc.openaiRequest?.model || process.env.AI_MODEL;
   const aiMetadata = {
     model: aiModel,
+    engine: "ai",
+    provider: "openai",
     runId: uuidv4(),
+    seed: jobDoc.openaiRequest?.seed ?? null,
+    degraded: Boolean(run.degraded),
     generatedAt: new Date(),
   };
 
@@ -189,6 +220,7 @@ async function writeLedgerEntryFromSnapshot(jobDoc, aiResult) {
     summary: aiResult.summary,
     aiMetadata,
     calculationContext,
+    outlierReview: aiResult.outlierReview || null,
   };
 
   const entry = await LedgerEntry.createLedgerEntry(
@@ -217,6 +249,34 @@ async function writeLedgerEntryFromSnapshot(jobDoc, aiResult) {
     console.error("Failed to attach ledger entry to decision:", err);
   }
 
+  try {
+    await SimulationRun.recordRun(
+      {
+        runId: aiMetadata.runId,
+        classroomId: jobDoc.classroomId,
+        challengeId: jobDoc.challengeId,
+        userId: jobDoc.userId,
+        decisionId: jobDoc.decisionId || null,
+        jobId: jobDoc._id,
+        ledgerEntryId: entry._id,
+        mode: "batch",
+        engine: "ai",
+        settings: run.settings || null,
+        seed: aiMetadata.seed,
+        model: aiModel,
+        request: run.request || jobDoc.openaiRequest,
+        rawMessages: jobDoc.openaiRequestRawMessages,
+        inputs: snapshotFormulaInputs(snapshot),
+        response: SimulationRun.describeCompletionResponse(run.responseBody),
+        result: run.rawResult || null,
+      },
+      organizationId,
+      jobDoc.createdBy
+    );
+  } catch (err) {
+    console.error("Failed to record simulation run:", err);
+  }
+
   jobDoc.ledgerEntryId = entry._id;
   await jobDoc.save();
 
@@ -251,6 +311,47 @@ async function processSubmit(job) {
     return { success: true, message: "No pending jobs to submit", count: 0 };
   }
 
+  // Formula-engine classrooms compute metrics locally, so the Batch API adds
+  // nothing but latency, and the Batch API only exists on OpenAI. Hand those
+  // jobs to the direct simulation queue.
+  const simulationSettings = await LedgerEntry.getSimulationSettings(
+    classroomId
+  );
+  if (
+    simulationSettings.engine === "formula" ||
+    simulationSettings.provider !== "openai"
+  ) {
+    const JobService = require("../../services/job/lib/jobService");
+    const enqueueResult = await JobService.enqueuePendingJobs(challengeId);
+    return {
+      success: enqueueResult.failed === 0,
+      message:
+        simulationSettings.engine === "formula"
+          ? "Formula engine classroom; jobs enqueued for direct processing"
+          : `${simulationSettings.provider} classroom; jobs enqueued for direct processing`,
+      count: enqueueResult.enqueued,
+      failed: enqueueResult.failed,
+    };
+  }
+
+  try {
+    await AIUsage.assertWithinBudget({ organizationId, classroomId });
+  } catch (error) {
+    if (error.code !== "AI_BUDGET_EXCEEDED") throw error;
+    for (const j of pendingJobs) {
+      await j.markFailed(error.message);
+      await SimulationWorker.updateSubmissionStatus(j, "failed").catch(() => {});
+      await SimulationWorker.recordLedgerCompletionEvents(j);
+    }
+    return {
+      success: false,
+      message: error.message,
+      code: error.code,
+      count: 0,
+      failed: pendingJobs.length,
+    };
+  }
+
   const batch = await SimulationBatch.createBatch(
     { challengeId, classroomId, jobCount: pendingJobs.length },
     organizationId,
@@ -261,7 +362,7 @@ async function processSubmit(job) {
 
   // Prepare each job payload (sequential to keep load predictable)
   for (const j of pendingJobs) {
-    await buildAndPersistJobPayload(j, basePrompts);
+    await buildAndPersistJobPayload(j, basePrompts, simulationSettings.model);
   }
 
   // Create JSONL file for OpenAI Batch
@@ -381,6 +482,7 @@ async function processPoll(job) {
     let successCount = 0;
     let failCount = 0;
     const lifecycleErrors = [];
+    const settingsByClassroom = new Map();
 
     for (const it of items) {
       const customId = String(it.custom_id || "");
@@ -409,6 +511,23 @@ async function processPoll(job) {
         continue;
       }
 
+      const usageRecord = await AIUsage.recordUsage({
+        source: "simulation",
+        provider: "openai",
+        model: it.response?.body?.model || jobDoc.openaiRequest?.model,
+        usage: it.response?.body?.usage,
+        batch: true,
+        organizationId: jobDoc.organization,
+        classroomId: jobDoc.classroomId,
+        challengeId: jobDoc.challengeId,
+        userId: jobDoc.userId,
+        jobId: jobDoc._id,
+        simulationBatchId: batch._id,
+        decisionId: jobDoc.decisionId,
+        clerkUserId: jobDoc.createdBy,
+      });
+      await batch.addUsage(usageRecord);
+
       try {
         const statusCode = it.response?.status_code;
         if (!statusCode || statusCode < 200 || statusCode >= 300) {
@@ -431,7 +550,6 @@ async function processPoll(job) {
           );
         }
 
-        const aiResult = JSON.parse(content);
         const debugContext = {
           simulationMode: "batch",
           jobId: String(jobDoc._id),
@@ -442,13 +560,101 @@ async function processPoll(job) {
         if (LedgerEntry.shouldInspectOpenAIRequest(debugContext)) {
           LedgerEntry.inspectOpenAIResponse(it.response?.body, debugContext);
         }
-        await LedgerEntry.normalizeAndValidateAISimulationResult(
-          aiResult,
-          jobDoc.classroomId
+        // Repair turns for an invalid batch reply are sent directly, outside
+        // the batch
+        const completion = await LedgerEntry.requestValidatedSimulationResult({
+          classroomId: jobDoc.classroomId,
+          provider: "openai",
+          request: jobDoc.openaiRequest,
+          response: it.response?.body,
+          onAttempt: (attempt) => jobDoc.recordSimulationAttempt(attempt),
+          debugContext,
+        });
+        for (const attempt of completion.attempts.slice(1)) {
+          const repairUsage = await AIUsage.recordUsage({
+            source: "simulation",
+            provider: "openai",
+            model: attempt.model,
+            usage: attempt.usage,
+            organizationId: jobDoc.organization,
+            classroomId: jobDoc.classroomId,
+            challengeId: jobDoc.challengeId,
+            userId: jobDoc.userId,
+            jobId: jobDoc._id,
+            simulationBatchId: batch._id,
+            decisionId: jobDoc.decisionId,
+            clerkUserId: jobDoc.createdBy,
+          });
+          await batch.addUsage(repairUsage);
+        }
+
+        const classroomKey = String(jobDoc.classroomId);
+        if (!settingsByClassroom.has(classroomKey)) {
+          settingsByClassroom.set(
+            classroomKey,
+            await LedgerEntry.getSimulationSettings(jobDoc.classroomId)
+          );
+        }
+        const settings = settingsByClassroom.get(classroomKey);
+        const snapshotInputs = snapshotFormulaInputs(
+          jobDoc.calculationContextSnapshot || {}
         );
+        const eventDraw = jobDoc.calculationContextSnapshot?.randomEvent || null;
+        let aiResult;
+        let rawResult;
+        if (completion.result) {
+          aiResult = completion.result;
+          rawResult = JSON.parse(JSON.stringify(aiResult));
+          await LedgerEntry.applyFormulaCheck(
+            aiResult,
+            jobDoc.classroomId,
+            snapshotInputs,
+            settings.formulaCheck
+          );
+          aiResult.randomEventDraw = await LedgerEntry.applyRandomEventMetrics(
+            aiResult,
+            jobDoc.classroomId,
+            eventDraw
+          );
+          aiResult.randomEvent = LedgerEntry.randomEventText(
+            eventDraw,
+            aiResult.randomEvent
+          );
+          await LedgerEntry.reapplyMetricConstraints(aiResult, jobDoc.classroomId);
+        } else {
+          aiResult = await LedgerEntry.buildDegradedSimulationResult(
+            jobDoc.classroomId,
+            snapshotInputs,
+            eventDraw,
+            completion.issues
+          );
+          const { randomEventDraw, outlierReview, ...degradedResult } = aiResult;
+          rawResult = JSON.parse(JSON.stringify(degradedResult));
+          const now = new Date();
+          await jobDoc.recordSimulationAttempt({
+            attempt: completion.attempts.length + 1,
+            kind: "degraded",
+            status: "degraded",
+            issues: completion.issues,
+            startedAt: now,
+            completedAt: now,
+          });
+        }
 
         if (!jobDoc.dryRun) {
-          await writeLedgerEntryFromSnapshot(jobDoc, aiResult);
+          await writeLedgerEntryFromSnapshot(jobDoc, aiResult, {
+            request: completion.request,
+            responseBody: completion.response,
+            rawResult,
+            degraded: !completion.result,
+            // Batch requests always went to OpenAI, whatever the classroom
+            // selects now.
+            settings: {
+              ...settings,
+              provider: "openai",
+              model: jobDoc.openaiRequest?.model || settings.model,
+            },
+          });
         }
 
         await jobDoc.markCompleted();
@@ -0,0 +1,44 @@
+const SimulationJob = require("../services/job/job.model");
+const LedgerEntry = require("../services/ledger/ledger.model");
+const LedgerRevision = require("../services/ledger/ledgerRevision.model");
+
+// Unique indexes replaced by ones that include `roundKey`. Databases created
+// before multi-round challenges still have them, and they reject a student's
+// second round job, entry or revision with E11000.
+const LEGACY_INDEXES = [
+  { Model: SimulationJob, name: "challengeId_1_userId_1" },
+  { Model: LedgerEntry, name: "challengeId_1_userId_1" },
+  { Model: LedgerRevision, name: "classroomId_1_challengeId_1_userId_1_revision_1" },
+];
+
+async function listIndexNames(Model) {
+  try {
+    return (await Model.collection.indexes()).map((index) => index.name);
+  } catch (error) {
+    // A new database has no collection yet
+    if (error.codeName === "NamespaceNotFound") return [];
+    throw error;
+  }
+}
+
+/**
+ * Drop the legacy unique indexes and build the round-aware ones declared on
+ * the models. Idempotent, so apps/api runs it on every startup.
+ * @returns {Promise<{ dropped: string[] }>} "<collection>.<index>" names
+ */
+async function migrateRoundKeyIndexes() {
+  const dropped = [];
+  for (const { Model, name } of LEGACY_INDEXES) {
+    if ((await listIndexNames(Model)).includes(name)) {
+      await Model.collection.dropIndex(name);
+      dropped.push(`${Model.collection.collectionName}.${name}`);
+    }
+    await Model.createIndexes();
+  }
+  return { dropped };
+}
+
+module.exports = {
+  LEGACY_INDEXES,
+  migrateRoundKeyIndexes,
+};
@@ -0,0 +1,222 @@
+const { getAuth } = require("@clerk/express");
+const { RATE_LIMIT_ROUTE_CLASSES, getRateLimits, getDefaultFreeTeacherLimits } = require(
+  "../services/licensing/planCatalog"
+);
+
+/**
+ * Plan-based rate limiting by route class ("api", "ai", "join"; limits in
+ * services/licensing/planCatalog.js). Each request counts against the member
+ * (or the client IP when signed out) and against their active organization;
+ * it is refused with 429 RATE_LIMITED once either is over its limit for the
+ * current window.
+ *
+ * Counters are fixed windows in the Redis instance Bull uses, so limits hold
+ * across API replicas. If Redis is unavailable requests are let through.
+ *
+ * Responses carry RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset
+ * (seconds) for whichever counter is closest to its limit, and
+ * RateLimit-Policy listing both.
+ */
+
+const PLAN_CACHE_TTL_MS = 60 * 1000;
+const REDIS_TIMEOUT_MS = 500;
+const KEY_PREFIX = "ratelimit";
+
+/**
+ * Fixed-window counters in Redis (ioredis).
+ */
+function createRedisRateLimitStore(
+  getClient = () => require("../lib/queues").getRedisClient()
+) {
+  return {
+    async increment(key, windowMs, now = Date.now()) {
+      const client = getClient();
+      if (client.status !== "ready") {
+        throw new Error(`Redis is not ready (${client.status})`);
+      }
+      const windowStart = Math.floor(now / windowMs) * windowMs;
+      const redisKey = `${KEY_PREFIX}:${key}:${windowStart}`;
+      let timer;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error("Redis timed out")), REDIS_TIMEOUT_MS);
+      });
+      try {
+        const [[error, hits]] = await Promise.race([
+          client.multi().incr(redisKey).pexpire(redisKey, windowMs).exec(),
+          timeout,
+        ]);
+        if (error) throw error;
+        return { hits, resetAt: windowStart + windowMs };
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+/**
+ * In-process fixed-window counters, for tests and single-process tools.
+ */
+function createMemoryRateLimitStore() {
+  const counters = new Map();
+  return {
+    async increment(key, windowMs, now = Date.now()) {
+      const windowStart = Math.floor(now / windowMs) * windowMs;
+      const counterKey = `${key}:${windowStart}`;
+      const hits = (counters.get(counterKey) || 0) + 1;
+      counters.set(counterKey, hits);
+      return { hits, resetAt: windowStart + windowMs };
+    },
+  };
+}
+
+const planCache = new Map();
+
+/**
+ * Plan key for a Clerk organization, cached for a minute per process.
+ */
+async function getPlanKeyForClerkOrganization(clerkOrganizationId, now = Date.now()) {
+  const cached = planCache.get(clerkOrganizationId);
+  if (cached && cached.expiresAt > now) return cached.planKey;
+
+  const Organization = require("../services/organizations/organization.model");
+  const SeatPool = require("../services/licensing/seatPool.model");
+  const organization = await Organization.findOne({ clerkOrganizationId })
+    .select("_id")
+    .lean();
+  const planKey = organization
+    ? await SeatPool.getOrganizationPlanKey(organization._id)
+    : getDefaultFreeTeacherLimits().planKey;
+
+  planCache.set(clerkOrganizationId, { planKey, expiresAt: now + PLAN_CACHE_TTL_MS });
+  return planKey;
+}
+
+function getRequestAuth(req) {
+  try {
+    return getAuth(req);
+  } catch (_) {
+    // clerkMiddleware didn't run (tests, tools); fall back to whatever is on the request
+    return typeof req.auth === "object" ? req.auth : null;
+  }
+}
+
+let warnedUnavailable = false;
+
+/**
+ * Rate limit middleware for a route class. Runs before or after requireAuth;
+ * identities come from the Clerk session.
+ *
+ * @param {string} routeClass - one of RATE_LIMIT_ROUTE_CLASSES
+ * @param {Object} [options]
+ * @param {Object} [options.store] - defaults to the Redis store
+ * @param {Function} [options.getPlanKey] - Clerk organization ID -> plan key
+ * @param {Function} [options.now]
+ */
+function planRateLimit(routeClass, options = {}) {
+  if (!RATE_LIMIT_ROUTE_CLASSES.includes(routeClass)) {
+    throw new Error(`Unknown rate limit route class: ${routeClass}`);
+  }
+  const {
+    store = createRedisRateLimitStore(),
+    getPlanKey = getPlanKeyForClerkOrganization,
+    now = Date.now,
+  } = options;
+
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_DISABLED === "true") return next();
+
+    let result;
+    try {
+      const auth = getRequestAuth(req);
+      const organizationId = auth?.orgId || null;
+      const planKey = organizationId
+        ? await getPlanKey(organizationId)
+        : getDefaultFreeTeacherLimits().planKey;
+      const limits = getRateLimits(planKey)[routeClass];
+      const at = now();
+
+      const scopes = [
+        {
+          scope: "member",
+          key: auth?.userId ? `member:${auth.userId}` : `ip:${req.ip}`,
+          limit: limits.perMember,
+        },
+      ];
+      if (organizationId) {
+        scopes.push({
+          scope: "organization",
+          key: `org:${organizationId}`,
+          limit: limits.perOrganization,
+        });
+      }
+
+      const counts = await Promise.all(
+        scopes.map((entry) => store.increment(`${routeClass}:${entry.key}`, limits.windowMs, at))
+      );
+      const checked = scopes.map((entry, index) => ({
+        ...entry,
+        ...counts[index],
+        remaining: Math.max(0, entry.limit - counts[index].hits),
+      }));
+      const tightest = checked.reduce((min, entry) =>
+        entry.remaining < min.remaining ? entry : min
+      );
+      result = {
+        routeClass,
+        planKey,
+        windowMs: limits.windowMs,
+        checked,
+        tightest,
+        exceeded: checked.find((entry) => entry.hits > entry.limit) || null,
+        at,
+      };
+    } catch (error) {
+      if (!warnedUnavailable) {
+        console.warn(`⚠️ Rate limiting unavailable, allowing requests: ${error.message}`);
+        warnedUnavailable = true;
+      }
+      return next();
+    }
+    warnedUnavailable = false;
+
+    const { tightest, exceeded, windowMs, at } = result;
+    const resetSeconds = Math.max(0, Math.ceil((tightest.resetAt - at) / 1000));
+    const windowSeconds = Math.round(windowMs / 1000);
+    res.setHeader("RateLimit-Limit", String(tightest.limit));
+    res.setHeader("RateLimit-Remaining", String(tightest.remaining));
+    res.setHeader("RateLimit-Reset", String(resetSeconds));
+    res.setHeader(
+      "RateLimit-Policy",
+      result.checked.map((entry) => `${entry.limit};w=${windowSeconds}`).join(", ")
+    );
+
+    if (!exceeded) return next();
+
+    res.setHeader(
+      "Retry-After",
+      String(Math.max(1, Math.ceil((exceeded.resetAt - at) / 1000)))
+    );
+    return res.status(429).json({
+      error:
+        exceeded.scope === "organization"
+          ? "Your organization has made too many requests. Please try again shortly."
+          : "Too many requests. Please try again shortly.",
+      code: "RATE_LIMITED",
+      details: {
+        routeClass,
+        scope: exceeded.scope,
+        limit: exceeded.limit,
+        windowMs,
+        planKey: result.planKey,
+      },
+    });
+  };
+}
+
+module.exports = {
+  planRateLimit,
+  createRedisRateLimitStore,
+  createMemoryRateLimitStore,
+  getPlanKeyForClerkOrganization,
+};
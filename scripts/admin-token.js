@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Mint a local platform admin token for the admin console (apps/admin)
+ *
+ * Purpose:
+ * - Sign in to the console offline, without a Clerk session. The token is
+ *   signed with PLATFORM_ADMIN_TOKEN_SECRET (see lib/platformAdminAuth.js);
+ *   the console server must use the same secret.
+ *
+ * Usage:
+ *   node scripts/admin-token.js --sub=you@example.com
+ *   node scripts/admin-token.js --sub=you@example.com --ttl-hours=2
+ *
+ * The subject is recorded on every simulation run started with the token.
+ */
+require("../lib/load-local-env")();
+
+const {
+  DEFAULT_TOKEN_TTL_SECONDS,
+  getPlatformAdminConfig,
+  signLocalToken,
+} = require("../lib/platformAdminAuth");
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const [key, value] = arg.replace(/^--/, "").split("=");
+    args[key] = value === undefined ? true : value;
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const config = getPlatformAdminConfig();
+  if (!config.localTokenSecret) {
+    throw new Error("PLATFORM_ADMIN_TOKEN_SECRET is not set");
+  }
+  if (typeof args.sub !== "string" || !args.sub.trim()) {
+    throw new Error("--sub=<who the token is for> is required");
+  }
+
+  const ttlHours = Number(args["ttl-hours"]);
+  const ttlSeconds =
+    Number.isFinite(ttlHours) && ttlHours > 0 ? ttlHours * 60 * 60 : DEFAULT_TOKEN_TTL_SECONDS;
+
+  console.log(signLocalToken({ sub: args.sub.trim(), ttlSeconds }, config.localTokenSecret));
+  if (!config.localTokensEnabled) {
+    console.error(
+      "⚠️  NODE_ENV is production: the console only accepts this token with PLATFORM_ADMIN_ALLOW_LOCAL_TOKENS=true"
+    );
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error("Failed to mint admin token:", err.message);
+  process.exit(1);
+}
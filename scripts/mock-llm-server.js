@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Offline mock LLM server (OpenAI-compatible)
+ *
+ * Purpose:
+ * - Run simulations, auto-decisions and batch jobs locally without an API key
+ *   or network access. Responses are generated from each request's JSON schema
+ *   (see lib/llm/mockServer.js), or served from recorded fixtures.
+ *
+ * Usage:
+ *   node scripts/mock-llm-server.js
+ *   node scripts/mock-llm-server.js --port=4010
+ *   node scripts/mock-llm-server.js --fixtures=test/fixtures/llm
+ *
+ * Then start the api/workers with either:
+ *   LLM_PROVIDER=openai-compatible LLM_COMPATIBLE_BASE_URL=http://localhost:4010/v1 LLM_COMPATIBLE_MODEL=mock-llm
+ *   OPENAI_BASE_URL=http://localhost:4010/v1   (keeps the openai provider, so the Batch API path is used)
+ */
+const path = require("path");
+
+const { createMockLLMServer, MOCK_LLM_MODEL } = require("../lib/llm/mockServer");
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const [key, value] = arg.replace(/^--/, "").split("=");
+    args[key] = value === undefined ? true : value;
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const port = Number(args.port || process.env.MOCK_LLM_PORT || 4010);
+  const fixturesDir = args.fixtures ? path.resolve(args.fixtures) : null;
+
+  const mock = createMockLLMServer({ fixturesDir });
+  await mock.listen(port, "127.0.0.1");
+
+  console.log(`🧪 Mock LLM server running at ${mock.baseURL}`);
+  if (fixturesDir) console.log(`   Serving recorded fixtures from ${fixturesDir}`);
+  console.log(
+    `   LLM_PROVIDER=openai-compatible LLM_COMPATIBLE_BASE_URL=${mock.baseURL} LLM_COMPATIBLE_MODEL=${MOCK_LLM_MODEL}`
+  );
+  console.log(`   or OPENAI_BASE_URL=${mock.baseURL} for the Batch API path`);
+
+  const shutdown = () => mock.close().then(() => process.exit(0));
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch((err) => {
+  console.error("Mock LLM server failed:", err?.message || err);
+  process.exit(1);
+});
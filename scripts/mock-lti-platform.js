@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Offline mock LTI 1.3 platform (LMS)
+ *
+ * Purpose:
+ * - Try LMS launches, deep linking, roster sync and grade passback locally
+ *   without a real LMS (see services/lti/lib/mockPlatform.js). Scores SCALE
+ *   posts are printed as they arrive.
+ *
+ * Usage:
+ *   node scripts/mock-lti-platform.js
+ *   node scripts/mock-lti-platform.js --port=4020 --client-id=scale-tool
+ *
+ * Then:
+ *   1. Register the printed platform under POST /v1/admin/lti/platforms.
+ *   2. Start a launch by opening
+ *      <SCALE_API_HOST>/v1/lti/login?iss=<issuer>&client_id=<client id>&login_hint=learner-1
+ *      Use login_hint=instructor-1 for an instructor launch, or
+ *      login_hint=deep-link for a deep linking request.
+ */
+const { createMockLtiPlatform, DEFAULT_CONTEXT, ROLES } = require("../services/lti/lib/mockPlatform");
+const { MESSAGE_TYPES } = require("../services/lti/lib/ltiClaims");
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const [key, value] = arg.replace(/^--/, "").split("=");
+    args[key] = value === undefined ? true : value;
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const port = Number(args.port || process.env.MOCK_LTI_PORT || 4020);
+
+  const mock = createMockLtiPlatform({
+    clientId: args["client-id"] || "scale-tool",
+    deploymentId: args["deployment-id"] || "deployment-1",
+    onScore: (score) =>
+      console.log(
+        `📝 Score for ${score.userId}: ${score.scoreGiven}/${score.scoreMaximum} (${score.lineItemId})`
+      ),
+  });
+  await mock.listen(port, "127.0.0.1");
+
+  const instructor = {
+    sub: "instructor-1",
+    email: args["instructor-email"] || "instructor-1@example.edu",
+    givenName: "Sam",
+    familyName: "Instructor",
+    roles: [ROLES.INSTRUCTOR],
+  };
+  mock.prepareLaunch("instructor-1", instructor);
+  mock.prepareLaunch("deep-link", { ...instructor, messageType: MESSAGE_TYPES.DEEP_LINKING });
+  mock.setMembers(DEFAULT_CONTEXT.id, [
+    { user_id: "instructor-1", status: "Active", roles: ["Instructor"], email: instructor.email },
+    ...[1, 2, 3].map((n) => ({
+      user_id: `learner-${n}`,
+      status: "Active",
+      roles: ["Learner"],
+      email: `learner-${n}@example.edu`,
+      given_name: "Learner",
+      family_name: String(n),
+    })),
+  ]);
+
+  const registration = mock.registration();
+  console.log(`🧪 Mock LTI platform running at ${mock.url}`);
+  console.log("   Register it with POST /v1/admin/lti/platforms:");
+  console.log(JSON.stringify(registration, null, 2).replace(/^/gm, "   "));
+  console.log(
+    `   Launch: /v1/lti/login?iss=${encodeURIComponent(registration.issuer)}&client_id=${registration.clientId}&login_hint=learner-1`
+  );
+
+  const shutdown = () => mock.close().then(() => process.exit(0));
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch((err) => {
+  console.error("Mock LTI platform failed:", err?.message || err);
+  process.exit(1);
+});
@@ -4,6 +4,7 @@ const ClassroomReport = require("./classroomReport.model");
 const AutomationTask = require("./automationTask.model");
 const AutomationTaskRun = require("./automationTaskRun.model");
 const tools = require("./tools");
+const AIUsage = require("../aiUsage/aiUsage.model");
 const { deleteFile } = require("../../lib/spaces");
 
 // Define Student Agent (Tutor)
@@ -60,6 +61,10 @@ exports.chat = async function (req, res) {
       return res.status(400).send("Prompt is required");
     }
 
+    const organizationId =
+      req.organization?._id || req.activeClassroom.organization;
+    await AIUsage.assertWithinBudget({ organizationId, classroomId });
+
     // 1. Fetch DB Chat history (limit to last 20 messages for context window management)
     const dbHistory = await ChatMessage.find({ classroomId, userId })
       .sort({ createdDate: -1 })
@@ -80,7 +85,7 @@ exports.chat = async function (req, res) {
       userId,
       role: "user",
       content: prompt,
-      organization: req.organization?._id || req.activeClassroom.organization,
+      organization: organizationId,
       createdBy: userId.toString(),
       updatedBy: userId.toString(),
     });
@@ -132,6 +137,8 @@ exports.chat = async function (req, res) {
 
     let fullResponse = "";
     let lastToolResult = null;
+    // Final (non-partial) events carry the usage of each model call in the turn
+    const usage = { promptTokenCount: 0, candidatesTokenCount: 0, totalTokenCount: 0 };
 
     const toolComponentMap = {
       get_class_roster: "ClassRoster",
@@ -165,6 +172,12 @@ exports.chat = async function (req, res) {
         }
       }
 
+      if (!event.partial && event.usageMetadata) {
+        usage.promptTokenCount += event.usageMetadata.promptTokenCount || 0;
+        usage.candidatesTokenCount += event.usageMetadata.candidatesTokenCount || 0;
+        usage.totalTokenCount += event.usageMetadata.totalTokenCount || 0;
+      }
+
       if (event.partial) {
         const text = stringifyContent(event);
         if (text) {
@@ -175,13 +188,23 @@ exports.chat = async function (req, res) {
     }
 
     // 4. Save the full model response to DB
+    await AIUsage.recordUsage({
+      source: "chat",
+      provider: "gemini",
+      model: agent.model,
+      usage,
+      organizationId,
+      classroomId,
+      userId,
+      clerkUserId: userId.toString(),
+    });
     await ChatMessage.create({
       classroomId,
       userId,
       role: "model",
       content: fullResponse || "Empty response.",
       result: lastToolResult,
-      organization: req.organization?._id || req.activeClassroom.organization,
+      organization: organizationId,
       createdBy: "system",
       updatedBy: "system",
     });
@@ -194,6 +217,12 @@ exports.chat = async function (req, res) {
     if (res.headersSent) {
       res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
       res.end();
+    } else if (error.statusCode) {
+      res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code,
+        details: error.details,
+      });
     } else {
       res.status(500).json({ error: error.message });
     }
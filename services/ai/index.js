@@ -8,6 +8,7 @@ const express = require("express");
 const controller = require("./ai.controller");
 const router = express.Router();
 const { requireAuth, requireActiveClassroom } = require("../../middleware/auth");
+const { planRateLimit } = require("../../middleware/rateLimit");
 const { upload } = require("../../lib/spaces");
 
 /**
@@ -34,8 +35,10 @@ const { upload } = require("../../lib/spaces");
  *     responses:
  *       200:
  *         description: AI response returned successfully.
+ *       429:
+ *         description: Rate limited for the "ai" route class (RATE_LIMITED). See the RateLimit-* headers.
  */
-router.post("/chat", requireAuth(), requireActiveClassroom(), controller.chat);
+router.post("/chat", planRateLimit("ai"), requireAuth(), requireActiveClassroom(), controller.chat);
 
 /**
  * @openapi
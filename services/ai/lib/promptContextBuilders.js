@@ -101,6 +101,7 @@ class AfterStudentLedgerCompleteBuilder extends BasePromptContextBuilder {
         classroomId: this.run.classroomId,
         challengeId: this.run.challengeId,
         userId: this.run.userId,
+        roundKey: null,
       }).lean(),
     ]);
 
@@ -203,6 +204,7 @@ class AfterChallengeClosedPerStudentBuilder extends BasePromptContextBuilder {
       classroomId: this.run.classroomId,
       challengeId: this.run.challengeId,
       userId: this.run.userId,
+      roundKey: null,
     }).lean();
 
     if (ledgerEntry) {
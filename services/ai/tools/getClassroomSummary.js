@@ -12,7 +12,7 @@ const getClassroomSummary = new FunctionTool({
   execute: async ({ classroomId }) => {
     try {
       const stats = await LedgerEntry.aggregate([
-        { $match: { classroomId: new mongoose.Types.ObjectId(classroomId), challengeId: { $ne: null } } },
+        { $match: { classroomId: new mongoose.Types.ObjectId(classroomId), challengeId: { $ne: null }, roundKey: null } },
         {
           $group: {
             _id: "$challengeId",
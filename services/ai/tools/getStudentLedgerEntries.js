@@ -14,7 +14,8 @@ const getStudentLedgerEntries = new FunctionTool({
     try {
       const ledgerEntries = await LedgerEntry.find({
         classroomId,
-        userId: new mongoose.Types.ObjectId(studentMemberId)
+        userId: new mongoose.Types.ObjectId(studentMemberId),
+        roundKey: null
       }).populate("challengeId").lean();
 
       const formattedEntries = ledgerEntries.map(entry => ({
@@ -0,0 +1,159 @@
+const Classroom = require("../classroom/classroom.model");
+const Organization = require("../organizations/organization.model");
+const AIUsage = require("./aiUsage.model");
+const { makeAIUsageError } = require("./aiUsage.errors");
+
+const BUDGET_FIELDS = ["softLimitUsd", "hardLimitUsd"];
+
+function handleAIUsageError(res, error) {
+  if (error.message === "Class not found") {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes("Insufficient permissions")) {
+    return res.status(403).json({ error: error.message });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code,
+      details: error.details,
+    });
+  }
+  return res.status(500).json({ error: error.message });
+}
+
+/**
+ * Merge a budget update into the current budget. Omitted fields are kept;
+ * null clears a limit.
+ */
+function mergeBudget(current = {}, body = {}) {
+  const budget = {
+    softLimitUsd: current?.softLimitUsd ?? null,
+    hardLimitUsd: current?.hardLimitUsd ?? null,
+  };
+  for (const field of BUDGET_FIELDS) {
+    if (body[field] === undefined) continue;
+    const value = body[field] === null || body[field] === "" ? null : Number(body[field]);
+    if (value !== null && (!Number.isFinite(value) || value < 0)) {
+      throw makeAIUsageError(
+        `${field} must be a non-negative number or null`,
+        400,
+        "INVALID_AI_BUDGET",
+        { field, value: body[field] }
+      );
+    }
+    budget[field] = value;
+  }
+  if (
+    budget.softLimitUsd !== null &&
+    budget.hardLimitUsd !== null &&
+    budget.softLimitUsd > budget.hardLimitUsd
+  ) {
+    throw makeAIUsageError(
+      "softLimitUsd cannot exceed hardLimitUsd",
+      400,
+      "INVALID_AI_BUDGET",
+      budget
+    );
+  }
+  return budget;
+}
+
+/**
+ * Organization-wide AI usage for a month, by classroom
+ * GET /api/admin/ai-usage
+ */
+exports.getOrganizationUsage = async function (req, res) {
+  try {
+    const organizationId = req.organization._id;
+    const report = await AIUsage.getUsageReport({
+      organizationId,
+      month: req.query.month,
+    });
+    const budget = await AIUsage.getBudgetStatus({ organizationId });
+
+    res.json({ success: true, data: { ...report, budget } });
+  } catch (error) {
+    console.error("Error getting AI usage:", error);
+    handleAIUsageError(res, error);
+  }
+};
+
+/**
+ * Classroom AI usage for a month, by challenge (or one challenge)
+ * GET /api/admin/class/:classroomId/ai-usage
+ */
+exports.getClassUsage = async function (req, res) {
+  try {
+    const { classroomId } = req.params;
+    const organizationId = req.organization._id;
+    const clerkUserId = req.clerkUser.id;
+
+    await Classroom.validateAdminAccess(classroomId, clerkUserId, organizationId);
+
+    const report = await AIUsage.getUsageReport({
+      organizationId,
+      classroomId,
+      challengeId: req.query.challengeId || null,
+      month: req.query.month,
+    });
+    const budget = await AIUsage.getBudgetStatus({ organizationId, classroomId });
+
+    res.json({ success: true, data: { ...report, budget } });
+  } catch (error) {
+    console.error("Error getting class AI usage:", error);
+    handleAIUsageError(res, error);
+  }
+};
+
+/**
+ * Set the organization's monthly AI budget
+ * PUT /api/admin/ai-usage/budget
+ */
+exports.updateOrganizationBudget = async function (req, res) {
+  try {
+    const organization = await Organization.findById(req.organization._id);
+    if (!organization) {
+      throw makeAIUsageError("Organization not found", 404, "ORGANIZATION_NOT_FOUND");
+    }
+
+    organization.aiBudget = mergeBudget(organization.aiBudget, req.body);
+    await organization.save();
+
+    const budget = await AIUsage.getBudgetStatus({ organizationId: organization._id });
+    res.json({ success: true, data: { aiBudget: organization.aiBudget, budget } });
+  } catch (error) {
+    console.error("Error updating AI budget:", error);
+    handleAIUsageError(res, error);
+  }
+};
+
+/**
+ * Set a classroom's monthly AI budget
+ * PUT /api/admin/class/:classroomId/ai-usage/budget
+ */
+exports.updateClassBudget = async function (req, res) {
+  try {
+    const { classroomId } = req.params;
+    const organizationId = req.organization._id;
+    const clerkUserId = req.clerkUser.id;
+
+    const classroom = await Classroom.validateAdminAccess(
+      classroomId,
+      clerkUserId,
+      organizationId
+    );
+
+    classroom.aiBudget = mergeBudget(classroom.aiBudget, req.body);
+    classroom.updatedBy = clerkUserId;
+    await classroom.save();
+
+    const budget = await AIUsage.getBudgetStatus({ organizationId, classroomId });
+    res.json({ success: true, data: { aiBudget: classroom.aiBudget, budget } });
+  } catch (error) {
+    console.error("Error updating class AI budget:", error);
+    handleAIUsageError(res, error);
+  }
+};
+
+exports.mergeBudget = mergeBudget;
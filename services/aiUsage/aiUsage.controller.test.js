@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const controller = require("./aiUsage.controller");
+
+test("ai usage controller exports handlers", () => {
+  assert.equal(typeof controller.getOrganizationUsage, "function");
+  assert.equal(typeof controller.getClassUsage, "function");
+  assert.equal(typeof controller.updateOrganizationBudget, "function");
+  assert.equal(typeof controller.updateClassBudget, "function");
+});
+
+test("mergeBudget keeps omitted limits and clears null ones", () => {
+  const current = { softLimitUsd: 5, hardLimitUsd: 10 };
+  assert.deepEqual(controller.mergeBudget(current, { hardLimitUsd: 20 }), {
+    softLimitUsd: 5,
+    hardLimitUsd: 20,
+  });
+  assert.deepEqual(controller.mergeBudget(current, { softLimitUsd: null }), {
+    softLimitUsd: null,
+    hardLimitUsd: 10,
+  });
+});
+
+test("mergeBudget rejects negative limits and soft above hard", () => {
+  assert.throws(
+    () => controller.mergeBudget({}, { hardLimitUsd: -1 }),
+    (error) => error.statusCode === 400 && error.code === "INVALID_AI_BUDGET"
+  );
+  assert.throws(
+    () => controller.mergeBudget({ hardLimitUsd: 10 }, { softLimitUsd: 15 }),
+    (error) => error.code === "INVALID_AI_BUDGET"
+  );
+});
@@ -0,0 +1,476 @@
+const mongoose = require("mongoose");
+const baseSchema = require("../../lib/baseSchema");
+const { normalizeUsage, estimateCostUsd } = require("./lib/pricing");
+const { makeAIUsageError } = require("./aiUsage.errors");
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     AIUsageTotals:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           nullable: true
+ *           description: Group value (source, model, classroomId or challengeId); null for overall totals.
+ *         label:
+ *           type: string
+ *           nullable: true
+ *           description: Classroom name or challenge title for those groupings.
+ *         calls:
+ *           type: integer
+ *         promptTokens:
+ *           type: integer
+ *         completionTokens:
+ *           type: integer
+ *         totalTokens:
+ *           type: integer
+ *         estimatedCostUsd:
+ *           type: number
+ *           description: Estimated from list prices (services/aiUsage/lib/pricing.js).
+ *         unpricedCalls:
+ *           type: integer
+ *           description: Calls on models with no known price (not included in estimatedCostUsd).
+ *     AIBudgetStatus:
+ *       type: object
+ *       properties:
+ *         spentUsd:
+ *           type: number
+ *         softLimitUsd:
+ *           type: number
+ *           nullable: true
+ *         hardLimitUsd:
+ *           type: number
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [ok, softExceeded, hardExceeded]
+ */
+
+/**
+ * AIUsage - one record per AI call: tokens reported by the provider and an
+ * estimated cost. Records are append-only and roll up by organization,
+ * classroom and challenge for the usage endpoints and monthly budgets.
+ */
+const AI_USAGE_SOURCES = Object.freeze([
+  "simulation",
+  "replay",
+  "decision",
+  "challenge",
+  "chat",
+  "sandbox",
+]);
+
+const BUDGET_STATUSES = Object.freeze(["ok", "softExceeded", "hardExceeded"]);
+
+const aiUsageSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: AI_USAGE_SOURCES,
+    required: true,
+  },
+  provider: {
+    type: String,
+    default: null,
+  },
+  model: {
+    type: String,
+    default: null,
+  },
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Classroom",
+    default: null,
+  },
+  challengeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Challenge",
+    default: null,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    default: null,
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SimulationJob",
+    default: null,
+  },
+  simulationBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SimulationBatch",
+    default: null,
+  },
+  decisionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Decision",
+    default: null,
+  },
+  // Billed through the OpenAI Batch API (half price)
+  batch: {
+    type: Boolean,
+    default: false,
+  },
+  promptTokens: {
+    type: Number,
+    default: 0,
+  },
+  completionTokens: {
+    type: Number,
+    default: 0,
+  },
+  totalTokens: {
+    type: Number,
+    default: 0,
+  },
+  // null when the model has no known price
+  estimatedCostUsd: {
+    type: Number,
+    default: null,
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now,
+  },
+}).add(baseSchema);
+
+aiUsageSchema.index({ organization: 1, occurredAt: -1 });
+aiUsageSchema.index({ classroomId: 1, occurredAt: -1 });
+aiUsageSchema.index({ challengeId: 1, occurredAt: -1 });
+
+function roundUsd(value) {
+  return Math.round((Number(value) || 0) * 1e6) / 1e6;
+}
+
+function toObjectId(value, field) {
+  if (value instanceof mongoose.Types.ObjectId) return value;
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw makeAIUsageError(`Invalid ${field}`, 400, "INVALID_USAGE_FILTER", {
+      field,
+      value,
+    });
+  }
+  return new mongoose.Types.ObjectId(String(value));
+}
+
+/**
+ * UTC calendar month for "YYYY-MM" (default: the month containing `now`).
+ *
+ * @returns {{ month: string, from: Date, to: Date }} `to` is exclusive
+ */
+function resolveMonth(month, now = new Date()) {
+  let year;
+  let monthIndex;
+  if (month === undefined || month === null || month === "") {
+    year = now.getUTCFullYear();
+    monthIndex = now.getUTCMonth();
+  } else {
+    const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(String(month));
+    if (!match) {
+      throw makeAIUsageError(
+        "month must be formatted YYYY-MM",
+        400,
+        "INVALID_USAGE_MONTH",
+        { month }
+      );
+    }
+    year = Number(match[1]);
+    monthIndex = Number(match[2]) - 1;
+  }
+  return {
+    month: `${year}-${String(monthIndex + 1).padStart(2, "0")}`,
+    from: new Date(Date.UTC(year, monthIndex, 1)),
+    to: new Date(Date.UTC(year, monthIndex + 1, 1)),
+  };
+}
+
+/**
+ * Compare spend with a { softLimitUsd, hardLimitUsd } budget.
+ */
+function evaluateBudget(spentUsd, budget = {}) {
+  const softLimitUsd = budget?.softLimitUsd ?? null;
+  const hardLimitUsd = budget?.hardLimitUsd ?? null;
+  let status = "ok";
+  if (hardLimitUsd !== null && spentUsd >= hardLimitUsd) {
+    status = "hardExceeded";
+  } else if (softLimitUsd !== null && spentUsd >= softLimitUsd) {
+    status = "softExceeded";
+  }
+  return { spentUsd: roundUsd(spentUsd), softLimitUsd, hardLimitUsd, status };
+}
+
+function hasLimits(budget) {
+  return (
+    (budget?.softLimitUsd ?? null) !== null ||
+    (budget?.hardLimitUsd ?? null) !== null
+  );
+}
+
+/**
+ * Record the usage of one AI call. Accepts OpenAI `usage` or Gemini
+ * `usageMetadata`. Calls that report no usage are not recorded. Never throws:
+ * accounting failures are logged and must not fail the AI work itself.
+ *
+ * @returns {Promise<Object|null>} The AIUsage document, or null
+ */
+aiUsageSchema.statics.recordUsage = async function ({
+  source,
+  provider = null,
+  model = null,
+  usage,
+  batch = false,
+  organizationId,
+  classroomId = null,
+  challengeId = null,
+  userId = null,
+  jobId = null,
+  simulationBatchId = null,
+  decisionId = null,
+  clerkUserId = "system",
+  occurredAt = new Date(),
+}) {
+  const tokens = normalizeUsage(usage);
+  if (!tokens || !organizationId) return null;
+
+  try {
+    return await this.create({
+      source,
+      provider,
+      model,
+      classroomId,
+      challengeId,
+      userId,
+      jobId,
+      simulationBatchId,
+      decisionId,
+      batch,
+      ...tokens,
+      estimatedCostUsd: estimateCostUsd({ model, ...tokens, batch }),
+      occurredAt,
+      organization: organizationId,
+      createdBy: clerkUserId || "system",
+      updatedBy: clerkUserId || "system",
+    });
+  } catch (error) {
+    console.error(`Failed to record ${source} AI usage:`, error);
+    return null;
+  }
+};
+
+/**
+ * Aggregate usage matching `match`, optionally grouped by one field.
+ *
+ * @returns {Promise<Object[]>} AIUsageTotals rows, most expensive first
+ */
+aiUsageSchema.statics.summarize = async function (match, groupField = null) {
+  const rows = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: groupField ? `$${groupField}` : null,
+        calls: { $sum: 1 },
+        promptTokens: { $sum: "$promptTokens" },
+        completionTokens: { $sum: "$completionTokens" },
+        totalTokens: { $sum: "$totalTokens" },
+        estimatedCostUsd: { $sum: { $ifNull: ["$estimatedCostUsd", 0] } },
+        unpricedCalls: {
+          $sum: {
+            $cond: [{ $eq: [{ $ifNull: ["$estimatedCostUsd", null] }, null] }, 1, 0],
+          },
+        },
+      },
+    },
+    { $sort: { estimatedCostUsd: -1, totalTokens: -1 } },
+  ]);
+
+  return rows.map(({ _id, ...totals }) => ({
+    key: _id === null || _id === undefined ? null : String(_id),
+    ...totals,
+    estimatedCostUsd: roundUsd(totals.estimatedCostUsd),
+  }));
+};
+
+function emptyTotals() {
+  return {
+    key: null,
+    calls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    estimatedCostUsd: 0,
+    unpricedCalls: 0,
+  };
+}
+
+/**
+ * Usage report for one month, scoped to an organization and optionally a
+ * classroom and/or challenge. Organization-wide reports break down by
+ * classroom; classroom reports break down by challenge.
+ *
+ * @returns {Promise<Object>} { month, from, to, totals, bySource, byModel,
+ *   byClassroom?, byChallenge? }
+ */
+aiUsageSchema.statics.getUsageReport = async function ({
+  organizationId,
+  classroomId = null,
+  challengeId = null,
+  month,
+  now = new Date(),
+}) {
+  const range = resolveMonth(month, now);
+  const match = {
+    organization: toObjectId(organizationId, "organizationId"),
+    occurredAt: { $gte: range.from, $lt: range.to },
+  };
+  if (classroomId) match.classroomId = toObjectId(classroomId, "classroomId");
+  if (challengeId) match.challengeId = toObjectId(challengeId, "challengeId");
+
+  const [totals] = await this.summarize(match);
+  const report = {
+    ...range,
+    totals: totals || emptyTotals(),
+    bySource: await this.summarize(match, "source"),
+    byModel: await this.summarize(match, "model"),
+  };
+
+  if (!classroomId) {
+    const Classroom = require("../classroom/classroom.model");
+    const rows = await this.summarize(match, "classroomId");
+    const classrooms = await Classroom.find({
+      _id: { $in: rows.map((row) => row.key).filter(Boolean) },
+    })
+      .select("name")
+      .lean();
+    const names = new Map(classrooms.map((c) => [String(c._id), c.name]));
+    report.byClassroom = rows.map((row) => ({
+      ...row,
+      label: row.key ? names.get(row.key) || null : null,
+    }));
+  } else if (!challengeId) {
+    const Challenge = require("../challenge/challenge.model");
+    const rows = await this.summarize(match, "challengeId");
+    const challenges = await Challenge.find({
+      _id: { $in: rows.map((row) => row.key).filter(Boolean) },
+    })
+      .select("title")
+      .lean();
+    const titles = new Map(challenges.map((c) => [String(c._id), c.title]));
+    report.byChallenge = rows.map((row) => ({
+      ...row,
+      label: row.key ? titles.get(row.key) || null : null,
+    }));
+  }
+
+  return report;
+};
+
+/**
+ * Estimated spend for the month, scoped to an organization or classroom.
+ */
+aiUsageSchema.statics.getMonthlySpend = async function ({
+  organizationId = null,
+  classroomId = null,
+  month,
+  now = new Date(),
+}) {
+  const range = resolveMonth(month, now);
+  const match = { occurredAt: { $gte: range.from, $lt: range.to } };
+  if (organizationId) match.organization = toObjectId(organizationId, "organizationId");
+  if (classroomId) match.classroomId = toObjectId(classroomId, "classroomId");
+  const [totals] = await this.summarize(match);
+  return totals ? totals.estimatedCostUsd : 0;
+};
+
+/**
+ * Current-month budget status for an organization and (optionally) one of
+ * its classrooms. `blocked` is true when either hard limit is reached.
+ *
+ * @returns {Promise<Object>} { month, status, blocked, organization, classroom }
+ */
+aiUsageSchema.statics.getBudgetStatus = async function ({
+  organizationId = null,
+  classroomId = null,
+  now = new Date(),
+  skipUnlimited = false,
+}) {
+  const Classroom = require("../classroom/classroom.model");
+  const Organization = require("../organizations/organization.model");
+
+  const classroom = classroomId
+    ? await Classroom.findById(classroomId).select("organization aiBudget").lean()
+    : null;
+  const orgId = organizationId || classroom?.organization || null;
+  const organization = orgId
+    ? await Organization.findById(orgId).select("aiBudget").lean()
+    : null;
+  const { month } = resolveMonth(null, now);
+
+  const scopes = {};
+  if (orgId && !(skipUnlimited && !hasLimits(organization?.aiBudget))) {
+    const spent = await this.getMonthlySpend({ organizationId: orgId, now });
+    scopes.organization = evaluateBudget(spent, organization?.aiBudget);
+  }
+  if (classroom && !(skipUnlimited && !hasLimits(classroom.aiBudget))) {
+    const spent = await this.getMonthlySpend({ classroomId: classroom._id, now });
+    scopes.classroom = evaluateBudget(spent, classroom.aiBudget);
+  }
+
+  const statuses = Object.values(scopes).map((scope) => scope.status);
+  const status = BUDGET_STATUSES.slice()
+    .reverse()
+    .find((candidate) => statuses.includes(candidate)) || "ok";
+
+  return {
+    month,
+    status,
+    blocked: status === "hardExceeded",
+    organization: scopes.organization || null,
+    classroom: scopes.classroom || null,
+  };
+};
+
+/**
+ * Throw 402 AI_BUDGET_EXCEEDED when the classroom's or organization's hard
+ * monthly limit is reached. Call before starting new AI work.
+ *
+ * @returns {Promise<Object>} Budget status (may be "softExceeded")
+ */
+aiUsageSchema.statics.assertWithinBudget = async function ({
+  organizationId = null,
+  classroomId = null,
+  now = new Date(),
+}) {
+  const budget = await this.getBudgetStatus({
+    organizationId,
+    classroomId,
+    now,
+    skipUnlimited: true,
+  });
+
+  if (budget.blocked) {
+    const scope =
+      budget.classroom?.status === "hardExceeded" ? "classroom" : "organization";
+    throw makeAIUsageError(
+      `Monthly AI budget exceeded for this ${scope}`,
+      402,
+      "AI_BUDGET_EXCEEDED",
+      { scope, month: budget.month, ...budget[scope] }
+    );
+  }
+  if (budget.status === "softExceeded") {
+    console.warn(
+      `AI soft budget exceeded (classroom ${classroomId || "-"}, organization ${organizationId || "-"})`
+    );
+  }
+  return budget;
+};
+
+aiUsageSchema.statics.resolveMonth = resolveMonth;
+aiUsageSchema.statics.evaluateBudget = evaluateBudget;
+aiUsageSchema.statics.AI_USAGE_SOURCES = AI_USAGE_SOURCES;
+
+const AIUsage = mongoose.model("AIUsage", aiUsageSchema);
+
+module.exports = AIUsage;
@@ -0,0 +1,156 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const AIUsage = require("./aiUsage.model");
+const Classroom = require("../classroom/classroom.model");
+const Organization = require("../organizations/organization.model");
+
+function stub(t, target, name, value) {
+  const original = target[name];
+  target[name] = value;
+  t.after(() => {
+    target[name] = original;
+  });
+}
+
+function leanResult(value) {
+  return { select: () => ({ lean: async () => value }) };
+}
+
+function stubBudgets(t, { classroomBudget, organizationBudget, spend }) {
+  const organizationId = new mongoose.Types.ObjectId();
+  const classroomId = new mongoose.Types.ObjectId();
+  stub(t, Classroom, "findById", () =>
+    leanResult({ _id: classroomId, organization: organizationId, aiBudget: classroomBudget })
+  );
+  stub(t, Organization, "findById", () =>
+    leanResult({ _id: organizationId, aiBudget: organizationBudget })
+  );
+  const spendQueries = [];
+  stub(t, AIUsage, "getMonthlySpend", async (query) => {
+    spendQueries.push(query);
+    return query.classroomId ? spend.classroom : spend.organization;
+  });
+  return { organizationId, classroomId, spendQueries };
+}
+
+test("resolveMonth returns the UTC month range", () => {
+  const range = AIUsage.resolveMonth("2026-02");
+  assert.equal(range.month, "2026-02");
+  assert.equal(range.from.toISOString(), "2026-02-01T00:00:00.000Z");
+  assert.equal(range.to.toISOString(), "2026-03-01T00:00:00.000Z");
+
+  const current = AIUsage.resolveMonth(undefined, new Date("2026-12-31T23:00:00Z"));
+  assert.equal(current.month, "2026-12");
+  assert.equal(current.to.toISOString(), "2027-01-01T00:00:00.000Z");
+
+  assert.throws(
+    () => AIUsage.resolveMonth("2026-13"),
+    (error) => error.statusCode === 400 && error.code === "INVALID_USAGE_MONTH"
+  );
+});
+
+test("evaluateBudget reports soft and hard limits", () => {
+  assert.equal(AIUsage.evaluateBudget(5, {}).status, "ok");
+  assert.equal(
+    AIUsage.evaluateBudget(5, { softLimitUsd: 5, hardLimitUsd: 10 }).status,
+    "softExceeded"
+  );
+  assert.equal(
+    AIUsage.evaluateBudget(10, { softLimitUsd: 5, hardLimitUsd: 10 }).status,
+    "hardExceeded"
+  );
+  assert.equal(
+    AIUsage.evaluateBudget(100, { softLimitUsd: null, hardLimitUsd: null }).status,
+    "ok"
+  );
+});
+
+test("recordUsage stores tokens with an estimated cost", async (t) => {
+  let created = null;
+  stub(t, AIUsage, "create", async (doc) => {
+    created = doc;
+    return doc;
+  });
+
+  const organizationId = new mongoose.Types.ObjectId();
+  await AIUsage.recordUsage({
+    source: "simulation",
+    provider: "openai",
+    model: "gpt-4o-mini",
+    usage: { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 },
+    batch: true,
+    organizationId,
+  });
+
+  assert.equal(created.promptTokens, 1000);
+  assert.equal(created.totalTokens, 1500);
+  assert.equal(created.estimatedCostUsd, 0.000225);
+  assert.equal(created.organization, organizationId);
+  assert.equal(created.createdBy, "system");
+});
+
+test("recordUsage skips calls without usage and never throws", async (t) => {
+  stub(t, AIUsage, "create", async () => {
+    throw new Error("write failed");
+  });
+  stub(t, console, "error", () => {});
+
+  const organizationId = new mongoose.Types.ObjectId();
+  assert.equal(
+    await AIUsage.recordUsage({ source: "chat", usage: null, organizationId }),
+    null
+  );
+  assert.equal(
+    await AIUsage.recordUsage({
+      source: "chat",
+      usage: { promptTokenCount: 10, candidatesTokenCount: 5 },
+      organizationId,
+    }),
+    null
+  );
+});
+
+test("getBudgetStatus reports the worse of classroom and organization", async (t) => {
+  const { organizationId, classroomId } = stubBudgets(t, {
+    classroomBudget: { softLimitUsd: 1, hardLimitUsd: 5 },
+    organizationBudget: { softLimitUsd: null, hardLimitUsd: 100 },
+    spend: { classroom: 2, organization: 40 },
+  });
+
+  const budget = await AIUsage.getBudgetStatus({ organizationId, classroomId });
+  assert.equal(budget.status, "softExceeded");
+  assert.equal(budget.blocked, false);
+  assert.equal(budget.classroom.spentUsd, 2);
+  assert.equal(budget.organization.status, "ok");
+});
+
+test("assertWithinBudget blocks new AI work at the hard limit", async (t) => {
+  const { classroomId } = stubBudgets(t, {
+    classroomBudget: { softLimitUsd: null, hardLimitUsd: null },
+    organizationBudget: { softLimitUsd: 10, hardLimitUsd: 20 },
+    spend: { classroom: 0, organization: 20.5 },
+  });
+
+  await assert.rejects(
+    () => AIUsage.assertWithinBudget({ classroomId }),
+    (error) =>
+      error.statusCode === 402 &&
+      error.code === "AI_BUDGET_EXCEEDED" &&
+      error.details.scope === "organization" &&
+      error.details.hardLimitUsd === 20
+  );
+});
+
+test("assertWithinBudget skips spend queries when no limits are set", async (t) => {
+  const { classroomId, spendQueries } = stubBudgets(t, {
+    classroomBudget: {},
+    organizationBudget: {},
+    spend: { classroom: 1000, organization: 1000 },
+  });
+
+  const budget = await AIUsage.assertWithinBudget({ classroomId });
+  assert.equal(budget.status, "ok");
+  assert.equal(spendQueries.length, 0);
+});
@@ -0,0 +1,222 @@
+/**
+ * AI Usage Service Routes
+ *
+ * Token usage, estimated cost and monthly budgets for AI work.
+ * Mounted at: /v1/admin/ai-usage and /v1/admin/class/:classroomId/ai-usage
+ */
+const express = require("express");
+const controller = require("./aiUsage.controller");
+const router = express.Router();
+
+const { requireAuth, checkRole } = require("../../middleware/auth");
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     AIUsageReport:
+ *       type: object
+ *       properties:
+ *         month:
+ *           type: string
+ *           example: "2026-10"
+ *         from:
+ *           type: string
+ *           format: date-time
+ *         to:
+ *           type: string
+ *           format: date-time
+ *           description: Exclusive end of the month (UTC).
+ *         totals:
+ *           $ref: '#/components/schemas/AIUsageTotals'
+ *         bySource:
+ *           type: array
+ *           description: simulation, replay, decision, challenge, chat and sandbox.
+ *           items:
+ *             $ref: '#/components/schemas/AIUsageTotals'
+ *         byModel:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/AIUsageTotals'
+ *         byClassroom:
+ *           type: array
+ *           description: Organization reports only.
+ *           items:
+ *             $ref: '#/components/schemas/AIUsageTotals'
+ *         byChallenge:
+ *           type: array
+ *           description: Classroom reports without a challengeId only.
+ *           items:
+ *             $ref: '#/components/schemas/AIUsageTotals'
+ *         budget:
+ *           type: object
+ *           description: Current-month budget status (independent of `month`).
+ *           properties:
+ *             month:
+ *               type: string
+ *             status:
+ *               type: string
+ *               enum: [ok, softExceeded, hardExceeded]
+ *             blocked:
+ *               type: boolean
+ *             organization:
+ *               $ref: '#/components/schemas/AIBudgetStatus'
+ *             classroom:
+ *               $ref: '#/components/schemas/AIBudgetStatus'
+ *     AIBudgetInput:
+ *       type: object
+ *       properties:
+ *         softLimitUsd:
+ *           type: number
+ *           nullable: true
+ *           description: Warn once monthly spend reaches this. null clears it.
+ *         hardLimitUsd:
+ *           type: number
+ *           nullable: true
+ *           description: Block new AI work once monthly spend reaches this. null clears it.
+ */
+
+/**
+ * @openapi
+ * /v1/admin/ai-usage:
+ *   get:
+ *     summary: Get organization AI usage
+ *     description: Tokens and estimated cost for one month across the organization, broken down by source, model and classroom. Requires org:admin role.
+ *     tags:
+ *       - AI Usage
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: month
+ *         in: query
+ *         description: UTC month as YYYY-MM (defaults to the current month).
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Usage report.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AIUsageReport'
+ *       400:
+ *         description: Invalid month (code INVALID_USAGE_MONTH).
+ */
+router.get(
+  "/admin/ai-usage",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.getOrganizationUsage
+);
+
+/**
+ * @openapi
+ * /v1/admin/ai-usage/budget:
+ *   put:
+ *     summary: Set organization AI budget
+ *     description: Monthly soft/hard limits on estimated AI spend across all classrooms. Omitted fields are unchanged. Requires org:admin role.
+ *     tags:
+ *       - AI Usage
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AIBudgetInput'
+ *     responses:
+ *       200:
+ *         description: Updated budget and current status.
+ *       400:
+ *         description: Invalid limits (code INVALID_AI_BUDGET).
+ */
+router.put(
+  "/admin/ai-usage/budget",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.updateOrganizationBudget
+);
+
+/**
+ * @openapi
+ * /v1/admin/class/{classroomId}/ai-usage:
+ *   get:
+ *     summary: Get class AI usage
+ *     description: Tokens and estimated cost for one month in a classroom, broken down by source, model and challenge. Requires org:admin role.
+ *     tags:
+ *       - AI Usage
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: month
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: challengeId
+ *         in: query
+ *         description: Limit the report to one challenge.
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Usage report.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AIUsageReport'
+ *       400:
+ *         description: Invalid month or filter (codes INVALID_USAGE_MONTH, INVALID_USAGE_FILTER).
+ *       404:
+ *         description: Class not found.
+ */
+router.get(
+  "/admin/class/:classroomId/ai-usage",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.getClassUsage
+);
+
+/**
+ * @openapi
+ * /v1/admin/class/{classroomId}/ai-usage/budget:
+ *   put:
+ *     summary: Set class AI budget
+ *     description: Monthly soft/hard limits on estimated AI spend for one classroom. Reaching the hard limit blocks new simulations, auto-generated decisions, AI-drafted challenges and chat (402 AI_BUDGET_EXCEEDED). Requires org:admin role.
+ *     tags:
+ *       - AI Usage
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AIBudgetInput'
+ *     responses:
+ *       200:
+ *         description: Updated budget and current status.
+ *       400:
+ *         description: Invalid limits (code INVALID_AI_BUDGET).
+ *       404:
+ *         description: Class not found.
+ */
+router.put(
+  "/admin/class/:classroomId/ai-usage/budget",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.updateClassBudget
+);
+
+module.exports = router;
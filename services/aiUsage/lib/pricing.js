@@ -0,0 +1,108 @@
+/**
+ * Token usage normalisation and cost estimates for AI calls.
+ *
+ * Prices are list prices in USD per million tokens and only produce an
+ * estimate: cached-input discounts and provider-side rounding are ignored.
+ * Dated snapshots match their family by prefix ("gpt-5-mini-2025-08-07" is
+ * priced as "gpt-5-mini"). AI_MODEL_PRICING (JSON, same shape as
+ * MODEL_PRICING) adds or overrides entries; models with no price record usage
+ * with a null cost.
+ */
+const MODEL_PRICING = Object.freeze({
+  "gpt-5": { input: 1.25, output: 10 },
+  "gpt-5-mini": { input: 0.25, output: 2 },
+  "gpt-5-nano": { input: 0.05, output: 0.4 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-flash-lite": { input: 0.1, output: 0.4 },
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+});
+
+// The OpenAI Batch API bills at half the synchronous price.
+const BATCH_DISCOUNT = 0.5;
+
+function getPricingTable() {
+  if (!process.env.AI_MODEL_PRICING) return MODEL_PRICING;
+  try {
+    return { ...MODEL_PRICING, ...JSON.parse(process.env.AI_MODEL_PRICING) };
+  } catch (error) {
+    console.warn(`Ignoring invalid AI_MODEL_PRICING: ${error.message}`);
+    return MODEL_PRICING;
+  }
+}
+
+/**
+ * Price entry for a model ({ input, output } per million tokens), or null.
+ */
+function getModelPricing(model) {
+  if (!model) return null;
+  const table = getPricingTable();
+  const name = String(model).toLowerCase().replace(/^models\//, "");
+  if (table[name]) return table[name];
+
+  const family = Object.keys(table)
+    .filter((key) => name.startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return family ? table[family] : null;
+}
+
+/**
+ * Token counts from an OpenAI-format `usage` object or Gemini
+ * `usageMetadata`. Returns null when nothing was reported.
+ *
+ * @returns {{ promptTokens: number, completionTokens: number, totalTokens: number }|null}
+ */
+function normalizeUsage(usage) {
+  if (!usage || typeof usage !== "object") return null;
+
+  const promptTokens = Number(
+    usage.prompt_tokens ?? usage.promptTokens ?? usage.promptTokenCount ?? 0
+  );
+  const completionTokens = Number(
+    usage.completion_tokens ??
+      usage.completionTokens ??
+      usage.candidatesTokenCount ??
+      0
+  );
+  const totalTokens = Number(
+    usage.total_tokens ??
+      usage.totalTokens ??
+      usage.totalTokenCount ??
+      promptTokens + completionTokens
+  );
+
+  if (![promptTokens, completionTokens, totalTokens].every(Number.isFinite)) {
+    return null;
+  }
+  if (promptTokens === 0 && completionTokens === 0 && totalTokens === 0) {
+    return null;
+  }
+  return { promptTokens, completionTokens, totalTokens };
+}
+
+/**
+ * Estimated USD cost, rounded to 1/1,000,000 of a dollar, or null when the
+ * model has no price.
+ */
+function estimateCostUsd({ model, promptTokens = 0, completionTokens = 0, batch = false }) {
+  const pricing = getModelPricing(model);
+  if (!pricing) return null;
+  const cost =
+    (promptTokens * pricing.input + completionTokens * pricing.output) / 1e6;
+  const discounted = batch ? cost * BATCH_DISCOUNT : cost;
+  return Math.round(discounted * 1e6) / 1e6;
+}
+
+module.exports = {
+  MODEL_PRICING,
+  BATCH_DISCOUNT,
+  getModelPricing,
+  normalizeUsage,
+  estimateCostUsd,
+};
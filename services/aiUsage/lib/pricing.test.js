@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  getModelPricing,
+  normalizeUsage,
+  estimateCostUsd,
+} = require("./pricing");
+
+test("getModelPricing matches dated snapshots to their family", () => {
+  assert.deepEqual(getModelPricing("gpt-4o-mini"), { input: 0.15, output: 0.6 });
+  assert.deepEqual(getModelPricing("gpt-4o-mini-2024-07-18"), {
+    input: 0.15,
+    output: 0.6,
+  });
+  assert.deepEqual(getModelPricing("models/gemini-2.5-flash"), {
+    input: 0.3,
+    output: 2.5,
+  });
+  assert.equal(getModelPricing("mock-llm"), null);
+  assert.equal(getModelPricing(null), null);
+});
+
+test("getModelPricing applies AI_MODEL_PRICING overrides", (t) => {
+  const previous = process.env.AI_MODEL_PRICING;
+  t.after(() => {
+    if (previous === undefined) delete process.env.AI_MODEL_PRICING;
+    else process.env.AI_MODEL_PRICING = previous;
+  });
+
+  process.env.AI_MODEL_PRICING = JSON.stringify({ "mock-llm": { input: 1, output: 2 } });
+  assert.deepEqual(getModelPricing("mock-llm"), { input: 1, output: 2 });
+
+  process.env.AI_MODEL_PRICING = "{not json";
+  assert.equal(getModelPricing("mock-llm"), null);
+});
+
+test("normalizeUsage reads OpenAI and Gemini usage shapes", () => {
+  assert.deepEqual(
+    normalizeUsage({ prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 }),
+    { promptTokens: 100, completionTokens: 20, totalTokens: 120 }
+  );
+  assert.deepEqual(
+    normalizeUsage({ promptTokenCount: 50, candidatesTokenCount: 10 }),
+    { promptTokens: 50, completionTokens: 10, totalTokens: 60 }
+  );
+  assert.equal(normalizeUsage(null), null);
+  assert.equal(normalizeUsage({ prompt_tokens: 0, completion_tokens: 0 }), null);
+});
+
+test("estimateCostUsd prices tokens and halves Batch API calls", () => {
+  const tokens = { promptTokens: 1_000_000, completionTokens: 100_000 };
+  assert.equal(estimateCostUsd({ model: "gpt-4o-mini", ...tokens }), 0.21);
+  assert.equal(
+    estimateCostUsd({ model: "gpt-4o-mini", ...tokens, batch: true }),
+    0.105
+  );
+  assert.equal(estimateCostUsd({ model: "unknown-model", ...tokens }), null);
+});
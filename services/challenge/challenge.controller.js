@@ -9,6 +9,12 @@ const SimulationWorker = require("../job/lib/simulationWorker");
 const SimulationBatch = require("../job/simulationBatch.model");
 const SimulationJob = require("../job/job.model");
 const challengeAiService = require("./lib/challengeAiService");
+const { normalizeLatePolicyInput } = require("./lib/latePolicy");
+const { EXTENSION_PROCESSING_MODES } = require("./lib/studentDeadlines");
+const { releasesImmediately } = require("./lib/releaseHold");
+const DeadlineExtension = require("./deadlineExtension.model");
+const Team = require("../team/team.model");
+const MarketPhase = require("../market/lib/marketPhase");
 const {
   enqueueSimulationBatchSubmit,
 } = require("../../lib/queues/simulation-batch-worker");
@@ -27,6 +33,7 @@ const SCHEDULE_FIELDS = [
   "automationMode",
   "missingSubmissionPolicy",
   "punishAbsentStudents",
+  "extensionProcessing",
 ];
 
 function parseOptionalDate(value, fieldName) {
@@ -82,7 +89,9 @@ function normalizeScheduleInput(body) {
     schedule.allowLateSubmissions = !!body.allowLateSubmissions;
   }
   if (body.lateSubmissionPolicy !== undefined) {
-    schedule.lateSubmissionPolicy = body.lateSubmissionPolicy;
+    schedule.lateSubmissionPolicy = normalizeLatePolicyInput(
+      body.lateSubmissionPolicy
+    );
   }
   if (body.automationMode !== undefined) {
     schedule.automationMode = body.automationMode || "FULL";
@@ -93,6 +102,17 @@ function normalizeScheduleInput(body) {
   if (body.punishAbsentStudents !== undefined) {
     schedule.punishAbsentStudents = body.punishAbsentStudents || "none";
   }
+  if (body.extensionProcessing !== undefined) {
+    const mode = body.extensionProcessing || "WAIT";
+    if (!EXTENSION_PROCESSING_MODES.includes(mode)) {
+      const error = new Error(
+        `extensionProcessing must be one of: ${EXTENSION_PROCESSING_MODES.join(", ")}`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+    schedule.extensionProcessing = mode;
+  }
 
   const publishAt =
     schedule.publishAt !== undefined ? schedule.publishAt : body.publishAt;
@@ -114,6 +134,33 @@ function normalizeScheduleInput(body) {
   return schedule;
 }
 
+/**
+ * Validate a `sandbox` settings update. Omitted fields are left unchanged.
+ */
+function normalizeSandboxInput(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    const error = new Error("sandbox must be an object");
+    error.statusCode = 400;
+    throw error;
+  }
+  const sandbox = {};
+  if (value.enabled !== undefined) {
+    sandbox.enabled = !!value.enabled;
+  }
+  if (value.maxPreviewsPerStudent !== undefined) {
+    const max = Number(value.maxPreviewsPerStudent);
+    if (!Number.isInteger(max) || max < 0 || max > 50) {
+      const error = new Error(
+        "sandbox.maxPreviewsPerStudent must be an integer from 0 to 50"
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+    sandbox.maxPreviewsPerStudent = max;
+  }
+  return sandbox;
+}
+
 function validateOpeningSchedule(publishMode, publishAt) {
   if (publishMode === "SCHEDULED" && !publishAt) {
     const error = new Error("publishAt is required for scheduled opening");
@@ -122,6 +169,35 @@ function validateOpeningSchedule(publishMode, publishAt) {
   }
 }
 
+/**
+ * Replace a challenge's rounds. Rounds are locked once any round has started
+ * processing. Challenge deadlines not in the request follow the final round.
+ */
+function applyRoundsUpdate(challenge, body) {
+  if ((challenge.rounds || []).some((round) => round.status !== "pending")) {
+    const error = new Error(
+      "Rounds cannot be changed after a round has started processing"
+    );
+    error.statusCode = 409;
+    error.code = "ROUNDS_LOCKED";
+    throw error;
+  }
+  const rounds = Challenge.normalizeRounds(body.rounds, {
+    publishAt: challenge.publishAt,
+  });
+  const schedule = Challenge.resolveScheduleWithRounds(rounds, {
+    closeSubmissionsAt:
+      body.closeSubmissionsAt !== undefined || !rounds.length
+        ? challenge.closeSubmissionsAt
+        : null,
+    processAt:
+      body.processAt !== undefined || !rounds.length ? challenge.processAt : null,
+  });
+  challenge.rounds = rounds;
+  challenge.closeSubmissionsAt = schedule.closeSubmissionsAt;
+  challenge.processAt = schedule.processAt;
+}
+
 function sameInstant(left, right) {
   if (!left && !right) return true;
   if (!left || !right) return false;
@@ -130,7 +206,7 @@ function sameInstant(left, right) {
 
 function nextAutomationStatus(challenge, scheduleUpdates = {}) {
   if (challenge.isClosed) {
-    return challenge.feedbackReleaseMode === "IMMEDIATE" ? "feedbackReleased" : "processed";
+    return releasesImmediately(challenge) ? "feedbackReleased" : "processed";
   }
   if (challenge.isPublished) {
     return challenge.isLockedForStudents ? "submissionsClosed" : "acceptingSubmissions";
@@ -160,13 +236,73 @@ function isChallengeCalculationComplete(challenge) {
 function canStudentViewResults(challenge, decision, ledgerEntry) {
   if (decision?.processingStatus !== "completed" || !ledgerEntry) return false;
 
-  if (challenge?.feedbackReleaseMode === "IMMEDIATE") return true;
+  if (releasesImmediately(challenge)) return true;
   if (!challenge?.feedbackReleaseMode) {
     return challenge?.isFeedbackReleased || challenge?.isClosed;
   }
   return challenge?.isFeedbackReleased === true;
 }
 
+/**
+ * Rerun a multi-round challenge from its first round. The challenge is
+ * already calculating (closed), so each round starts the next as soon as its
+ * jobs finish (Challenge.completeRoundIfDone).
+ */
+async function rerunRounds(challenge, organizationId, clerkUserId) {
+  await challenge.resetRounds();
+  const [firstRound] = Challenge.sortedRounds(challenge);
+  const { jobsCreated } = await Challenge.startRound(
+    challenge._id,
+    firstRound.key,
+    { organizationId, clerkUserId }
+  );
+  return { jobsCreated, roundKey: firstRound.key };
+}
+
+/**
+ * The route's challenge in the caller's organization, once the caller is
+ * confirmed as an admin of its classroom. Null when there is no such challenge.
+ */
+async function findChallengeForAdmin(req) {
+  const organizationId = req.organization._id;
+  const challenge = await Challenge.findOne({
+    _id: req.params.challengeId,
+    organization: organizationId,
+  });
+  if (challenge) {
+    await Classroom.validateAdminAccess(
+      challenge.classroomId,
+      req.clerkUser.id,
+      organizationId
+    );
+  }
+  return challenge;
+}
+
+/**
+ * Error responses for the extension endpoints.
+ */
+function sendDeadlineError(res, error, action) {
+  console.error(`Error ${action}:`, error);
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code,
+      details: error.details,
+    });
+  }
+  if (error.message === "Class not found") {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes("Insufficient permissions")) {
+    return res.status(403).json({ error: error.message });
+  }
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    return res.status(400).json({ error: error.message });
+  }
+  return res.status(500).json({ error: error.message });
+}
+
 /**
  * Get all challenges
  * GET /api/admin/challenges
@@ -232,6 +368,10 @@ exports.createScenario = async function (req, res) {
     const organizationId = req.organization._id;
     const clerkUserId = req.clerkUser.id;
     const scheduleInput = normalizeScheduleInput(req.body);
+    const sandbox =
+      req.body.sandbox !== undefined
+        ? normalizeSandboxInput(req.body.sandbox)
+        : undefined;
 
     // Validate required fields
     if (!classroomId) {
@@ -272,6 +412,8 @@ exports.createScenario = async function (req, res) {
         variables,
         imageUrl,
         ...scheduleInput,
+        sandbox,
+        rounds: req.body.rounds,
         publishMode: createPublishMode,
         automationMode: createAutomationMode,
         automationStatus:
@@ -300,7 +442,11 @@ exports.createScenario = async function (req, res) {
   } catch (error) {
     console.error("Error creating challenge:", error);
     if (error.statusCode) {
-      return res.status(error.statusCode).json({ error: error.message });
+      return res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code,
+        details: error.details,
+      });
     }
     if (error.message.includes("Invalid challenge variables")) {
       return res.status(400).json({ error: error.message });
@@ -364,7 +510,11 @@ exports.createScenarioWithAI = async function (req, res) {
   } catch (error) {
     console.error("Error creating challenge with AI:", error);
     if (error.statusCode) {
-      return res.status(error.statusCode).json({ error: error.message });
+      return res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code,
+        details: error.details,
+      });
     }
     if (error.message === "Class not found") {
       return res.status(404).json({ error: error.message });
@@ -471,10 +621,20 @@ exports.updateScenario = async function (req, res) {
         challenge[field] = value;
       }
     });
+    if (req.body.sandbox !== undefined) {
+      Object.entries(normalizeSandboxInput(req.body.sandbox)).forEach(
+        ([field, value]) => {
+          challenge.sandbox[field] = value;
+        }
+      );
+    }
     challenge.publishMode = effectivePublishMode;
     if (effectivePublishMode === "MANUAL") {
       challenge.publishAt = null;
     }
+    if (req.body.rounds !== undefined) {
+      applyRoundsUpdate(challenge, req.body);
+    }
     if (
       effectiveAutomationMode === "MANUAL" &&
       challenge.feedbackReleaseMode === "DELAYED"
@@ -513,7 +673,11 @@ exports.updateScenario = async function (req, res) {
   } catch (error) {
     console.error("Error updating challenge:", error);
     if (error.statusCode) {
-      return res.status(error.statusCode).json({ error: error.message });
+      return res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code,
+        details: error.details,
+      });
     }
     if (error.message === "Class not found") {
       return res.status(404).json({ error: error.message });
@@ -829,12 +993,30 @@ exports.rerunScenario = async function (req, res) {
 
     await challenge.beginResultCalculation(clerkUserId);
 
-    // 1. Delete existing ledger entries for this challenge
-    await LedgerEntry.deleteLedgerEntriesForScenario(challengeId);
+    // 1. Delete existing ledger entries for this challenge (their results
+    // stay in LedgerRevision history)
+    await LedgerEntry.deleteLedgerEntriesForScenario(challengeId, {
+      clerkUserId,
+      reason: req.body?.reason || "Challenge rerun",
+    });
+
+    if (Challenge.hasRounds(challenge)) {
+      const rerun = await rerunRounds(challenge, organizationId, clerkUserId);
+      return res.json({
+        success: true,
+        message:
+          "Challenge rerun initiated. Rounds will be reprocessed in order.",
+        data: { challenge, ...rerun },
+      });
+    }
 
     // 2. Reset all jobs for this challenge
     await JobService.resetJobsForScenario(challengeId);
 
+    // Clear the shared market again (classrooms with one), since decisions
+    // may have changed since the last run
+    await MarketPhase.clearChallengeMarket(challenge, { organizationId, clerkUserId });
+
     // 3. Recreate jobs for all decisions
     // Jobs are automatically enqueued to Bull queue by createJobsForScenario -> createJob
     // The Bull queue worker will process them asynchronously
@@ -930,10 +1112,25 @@ exports.cancelBatchAndRerunScenario = async function (req, res) {
     // 2. Reset all jobs for this challenge
     await JobService.resetJobsForScenario(challengeId);
 
-    // 3. Delete existing ledger entries
-    await LedgerEntry.deleteLedgerEntriesForScenario(challengeId);
+    // 3. Delete existing ledger entries (kept in LedgerRevision history)
+    await LedgerEntry.deleteLedgerEntriesForScenario(challengeId, {
+      clerkUserId,
+      reason: req.body?.reason || "Batch cancelled and challenge rerun",
+    });
+
+    if (Challenge.hasRounds(challenge)) {
+      await challenge.beginResultCalculation(clerkUserId);
+      const rerun = await rerunRounds(challenge, organizationId, clerkUserId);
+      return res.json({
+        success: true,
+        message: "Batch cancelled and challenge rerun initiated.",
+        data: { batchCancelled, openaiBatchId, challenge, ...rerun },
+      });
+    }
 
-    // 4. Recreate jobs and enqueue
+    // 4. Clear the shared market again (classrooms with one), then recreate
+    // jobs and enqueue
+    await MarketPhase.clearChallengeMarket(challenge, { organizationId, clerkUserId });
     const useBatch = simulationMode === "batch";
     const jobs = await JobService.createJobsForScenario(
       challengeId,
@@ -1016,11 +1213,12 @@ exports.getCurrentScenario = async function (req, res) {
       return res.status(200).json({ success: true, data: null });
     }
 
-    // Get decision status for this student
+    // Get decision status for this student (their team's when on one)
+    const { subjectId } = await Team.resolveSubject(classroomId, member._id);
     const decision = await Decision.getSubmission(
       classroomId,
       challenge._id,
-      member._id
+      subjectId
     );
 
     const submissionStatus = decision
@@ -1154,6 +1352,9 @@ exports.getStudentScenariosByClassroom = async function (req, res) {
       (challenge) => Challenge.isVisibleToStudents(challenge)
     );
 
+    // Team members see their team's decisions and ledger
+    const { subjectId } = await Team.resolveSubject(classroomId, member._id);
+
     // For each challenge, fetch decision, outcome, and ledger entry
     const scenariosWithData = await Promise.all(
       publishedScenarios.map(async (challenge) => {
@@ -1161,7 +1362,7 @@ exports.getStudentScenariosByClassroom = async function (req, res) {
         const decision = await Decision.getSubmission(
           classroomId,
           challenge._id,
-          member._id
+          subjectId
         );
 
         // Get challenge outcome
@@ -1172,7 +1373,7 @@ exports.getStudentScenariosByClassroom = async function (req, res) {
         // Get ledger entry for this challenge and member
         const ledgerEntry = await LedgerEntry.getLedgerEntry(
           challenge._id,
-          member._id
+          subjectId
         );
 
         const canViewResults = canStudentViewResults(
@@ -1239,11 +1440,17 @@ exports.getScenarioByIdForStudent = async function (req, res) {
       return res.status(403).json({ error: "Not enrolled in this class" });
     }
 
+    // Team members see their team's decision and ledger
+    const { subjectId } = await Team.resolveSubject(
+      challenge.classroomId,
+      member._id
+    );
+
     // Get member decision with variables for this challenge
     const decision = await Decision.getSubmission(
       challenge.classroomId,
       challenge._id,
-      member._id
+      subjectId
     );
 
     // Get challenge outcome
@@ -1252,7 +1459,7 @@ exports.getScenarioByIdForStudent = async function (req, res) {
     // Get ledger entry for this challenge and member
     const ledgerEntry = await LedgerEntry.getLedgerEntry(
       challenge._id,
-      member._id
+      subjectId
     );
 
     const canViewResults = canStudentViewResults(
@@ -1425,6 +1632,9 @@ exports.releaseFeedbackScenario = async function (req, res) {
 
     // Trigger student notifications in bulk
     await LedgerEntry.sendResultsNotifications(challenge._id);
+    // Post scores to linked LMS gradebooks (background; never fails the release)
+    const { queueGradePassbackOnRelease } = require("../lti/lib/gradePassback");
+    await queueGradePassbackOnRelease(challenge);
 
     res.json({
       success: true,
@@ -1442,3 +1652,94 @@ exports.releaseFeedbackScenario = async function (req, res) {
     res.status(500).json({ error: error.message });
   }
 };
+
+/**
+ * Students on a challenge whose deadlines differ from the class's (an
+ * extension or an accommodation), with any follow-up still owed to them
+ * GET /v1/admin/challenges/:challengeId/extensions
+ */
+exports.getStudentDeadlines = async function (req, res) {
+  try {
+    const challenge = await findChallengeForAdmin(req);
+    if (!challenge) {
+      return res.status(404).json({ error: "Challenge not found" });
+    }
+
+    const deferredByUser = new Map(
+      (challenge.deferredStudents || []).map((entry) => [String(entry.userId), entry])
+    );
+    const entries = await DeadlineExtension.resolveForChallenge(challenge);
+
+    res.json({
+      success: true,
+      data: {
+        extensionProcessing: challenge.extensionProcessing || "WAIT",
+        submissionDeadlineAt: challenge.submissionDeadlineAt,
+        closeSubmissionsAt: challenge.closeSubmissionsAt,
+        students: entries.map((entry) => ({
+          ...entry,
+          followUpStatus: deferredByUser.get(String(entry.userId))?.status || null,
+        })),
+      },
+    });
+  } catch (error) {
+    sendDeadlineError(res, error, "getting student deadlines");
+  }
+};
+
+/**
+ * Grant or change a student's deadline extension on a challenge
+ * PUT /v1/admin/challenges/:challengeId/extensions/:userId
+ */
+exports.grantExtension = async function (req, res) {
+  try {
+    const challenge = await findChallengeForAdmin(req);
+    if (!challenge) {
+      return res.status(404).json({ error: "Challenge not found" });
+    }
+
+    const { submissionDeadlineAt, closeSubmissionsAt, reason } = req.body || {};
+    const extension = await DeadlineExtension.grantExtension({
+      challenge,
+      userId: req.params.userId,
+      submissionDeadlineAt,
+      closeSubmissionsAt,
+      reason,
+      organizationId: req.organization._id,
+      clerkUserId: req.clerkUser.id,
+    });
+
+    res.json({
+      success: true,
+      message: "Extension saved",
+      data: extension,
+    });
+  } catch (error) {
+    sendDeadlineError(res, error, "granting extension");
+  }
+};
+
+/**
+ * Remove a student's deadline extension (their accommodation, if any, applies again)
+ * DELETE /v1/admin/challenges/:challengeId/extensions/:userId
+ */
+exports.revokeExtension = async function (req, res) {
+  try {
+    const challenge = await findChallengeForAdmin(req);
+    if (!challenge) {
+      return res.status(404).json({ error: "Challenge not found" });
+    }
+
+    const result = await DeadlineExtension.deleteOne({
+      challengeId: challenge._id,
+      userId: req.params.userId,
+    });
+    if (!result.deletedCount) {
+      return res.status(404).json({ error: "Extension not found" });
+    }
+
+    res.json({ success: true, message: "Extension removed" });
+  } catch (error) {
+    sendDeadlineError(res, error, "removing extension");
+  }
+};
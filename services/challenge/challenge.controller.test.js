@@ -9,6 +9,7 @@ const Classroom = require("../classroom/classroom.model");
 const Outcome = require("../outcome/outcome.model");
 const LedgerEntry = require("../ledger/ledger.model");
 const JobService = require("../job/lib/jobService");
+const MarketPhase = require("../market/lib/marketPhase");
 const AutomationTask = require("../ai/automationTask.model");
 const challengeAiService = require("./lib/challengeAiService");
 
@@ -448,10 +449,12 @@ test("cancelBatchAndRerunScenario closes and reconciles a recovered challenge",
     resetJobsForScenario: JobService.resetJobsForScenario,
     deleteLedgerEntriesForScenario: LedgerEntry.deleteLedgerEntriesForScenario,
     createJobsForScenario: JobService.createJobsForScenario,
+    clearChallengeMarket: MarketPhase.clearChallengeMarket,
   };
   t.after(() => {
     if (originalSimulationMode === undefined) delete process.env.SIMULATION_MODE;
     else process.env.SIMULATION_MODE = originalSimulationMode;
+    MarketPhase.clearChallengeMarket = originals.clearChallengeMarket;
     Challenge.findOne = originals.findOne;
     Classroom.validateAdminAccess = originals.validateAdminAccess;
     Outcome.getOutcomeByScenario = originals.getOutcomeByScenario;
@@ -489,6 +492,7 @@ test("cancelBatchAndRerunScenario closes and reconciles a recovered challenge",
   JobService.resetJobsForScenario = async () => calls.push(["reset"]);
   LedgerEntry.deleteLedgerEntriesForScenario = async () =>
     calls.push(["delete-ledgers"]);
+  MarketPhase.clearChallengeMarket = async () => calls.push(["clear-market"]);
   JobService.createJobsForScenario = async (...args) => {
     calls.push(["create-jobs", args[5]]);
     return [{ _id: "job-id" }];
@@ -529,4 +533,8 @@ test("cancelBatchAndRerunScenario closes and reconciles a recovered challenge",
     "create-jobs",
     { enqueue: true },
   ]);
+  assert.ok(
+    calls.findIndex(([name]) => name === "clear-market") <
+      calls.findIndex(([name]) => name === "create-jobs")
+  );
 });
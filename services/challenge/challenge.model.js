@@ -3,6 +3,9 @@ const baseSchema = require("../../lib/baseSchema");
 const VariableDefinition = require("../variableDefinition/variableDefinition.model");
 const VariableValue = require("../variableDefinition/variableValue.model");
 const variablePopulationPlugin = require("../../lib/variablePopulationPlugin");
+const challengeRounds = require("./lib/challengeRounds");
+const studentDeadlines = require("./lib/studentDeadlines");
+const releaseHold = require("./lib/releaseHold");
 // Note: Classroom, Enrollment, and Member are required inside functions to avoid circular dependencies
 /**
  * @openapi
@@ -52,6 +55,23 @@ const variablePopulationPlugin = require("../../lib/variablePopulationPlugin");
  *           enum: [IMMEDIATE, DELAYED, MANUAL]
  *         isFeedbackReleased:
  *           type: boolean
+ *         outlierReview:
+ *           type: object
+ *           description: Outlier review of the challenge's results (classrooms with outlierReviewSettings.enabled). While status is checking or pending, IMMEDIATE and DELAYED feedback is held back.
+ *           properties:
+ *             status:
+ *               type: string
+ *               nullable: true
+ *               enum: [checking, pending, cleared]
+ *               description: checking until the ledgers complete, pending while flagged entries await review, cleared once none remain.
+ *             flaggedCount:
+ *               type: integer
+ *             checkedAt:
+ *               type: string
+ *               format: date-time
+ *             clearedAt:
+ *               type: string
+ *               format: date-time
  *         isLockedForStudents:
  *           type: boolean
  *         lifecycleStatus:
@@ -62,9 +82,19 @@ const variablePopulationPlugin = require("../../lib/variablePopulationPlugin");
  *           type: boolean
  *         lateSubmissionPolicy:
  *           type: object
+ *           description: Applies when allowLateSubmissions is true. Decisions submitted after submissionDeadlineAt are stamped with the days late (part days count as whole days).
  *           properties:
  *             penaltyPercentPerDay:
  *               type: number
+ *               description: Penalty per day late, capped at 100%.
+ *             applyTo:
+ *               type: string
+ *               enum: [gradebook, metric, ai_context]
+ *               default: gradebook
+ *               description: gradebook records the penalty for grading only; metric reduces metricKey on the ledger entry; ai_context tells the simulation the decision was late.
+ *             metricKey:
+ *               type: string
+ *               description: Metric reduced by the penalty when applyTo is metric.
  *         automationMode:
  *           type: string
  *           enum: [MANUAL, FULL]
@@ -86,6 +116,99 @@ const variablePopulationPlugin = require("../../lib/variablePopulationPlugin");
  *         punishAbsentStudents:
  *           type: string
  *           enum: [high, medium, low, none]
+ *         extensionProcessing:
+ *           type: string
+ *           enum: [WAIT, FOLLOW_UP]
+ *           default: WAIT
+ *           description: How automated processing treats students whose deadline extension or accommodation is still open. WAIT holds processing until the last of them closes; FOLLOW_UP processes everyone else on schedule and simulates each extended student once their own window closes.
+ *         deferredStudents:
+ *           type: array
+ *           description: Students left out of processing because their extension was still open, and whether their follow-up run has happened.
+ *           items:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [pending, processed]
+ *               deferredAt:
+ *                 type: string
+ *                 format: date-time
+ *               processedAt:
+ *                 type: string
+ *                 format: date-time
+ *         sandbox:
+ *           type: object
+ *           description: What-if previews students can run on draft decisions while the challenge is open (estimates only; never written to the ledger).
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *               default: false
+ *             maxPreviewsPerStudent:
+ *               type: integer
+ *               default: 3
+ *         ltiGradePassback:
+ *           type: object
+ *           description: Posting each student's score to the linked LMS gradebook (LTI Assignment and Grade Services) when feedback is released.
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *               default: false
+ *             source:
+ *               type: string
+ *               enum: [gradebook, metric]
+ *               default: gradebook
+ *               description: gradebook posts the challenge grade from the classroom grading scheme; metric posts one ledger metric.
+ *             metricKey:
+ *               type: string
+ *               nullable: true
+ *             floor:
+ *               type: number
+ *               nullable: true
+ *               description: With source metric, the metric value that scores 0. Set with target to scale the metric; leave both unset to post the raw value.
+ *             target:
+ *               type: number
+ *               nullable: true
+ *               description: With source metric, the metric value that scores full marks.
+ *             scoreMaximum:
+ *               type: number
+ *               default: 100
+ *             label:
+ *               type: string
+ *               nullable: true
+ *               description: LMS gradebook column title (defaults to the challenge title).
+ *         rounds:
+ *           type: array
+ *           description: Ordered sub-decisions within the challenge (e.g. a Monday order and a Thursday restock). Each round is simulated on its own and its results feed the next round; the challenge ledger entry is a roll-up of the rounds. Empty for single-round challenges.
+ *           items:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               order:
+ *                 type: integer
+ *               variableKeys:
+ *                 type: array
+ *                 description: Decision variable keys this round asks for (empty = all).
+ *                 items:
+ *                   type: string
+ *               closeSubmissionsAt:
+ *                 type: string
+ *                 format: date-time
+ *               processAt:
+ *                 type: string
+ *                 format: date-time
+ *               status:
+ *                 type: string
+ *                 enum: [pending, processing, processed]
+ *               processedAt:
+ *                 type: string
+ *                 format: date-time
  *         week:
  *           type: number
  *         imageUrl:
@@ -152,6 +275,27 @@ const scenarioSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Outlier review (services/outlierReview). "checking" and "pending" hold
+  // back IMMEDIATE and DELAYED release; see lib/releaseHold.
+  outlierReview: {
+    status: {
+      type: String,
+      enum: ["checking", "pending", "cleared", null],
+      default: null,
+    },
+    flaggedCount: {
+      type: Number,
+      default: 0,
+    },
+    checkedAt: {
+      type: Date,
+      default: null,
+    },
+    clearedAt: {
+      type: Date,
+      default: null,
+    },
+  },
   isLockedForStudents: {
     type: Boolean,
     default: false,
@@ -165,6 +309,16 @@ const scenarioSchema = new mongoose.Schema({
       type: Number,
       default: 0,
     },
+    // See lib/latePolicy
+    applyTo: {
+      type: String,
+      enum: ["gradebook", "metric", "ai_context"],
+      default: "gradebook",
+    },
+    metricKey: {
+      type: String,
+      default: null,
+    },
   },
   automationMode: {
     type: String,
@@ -213,6 +367,95 @@ const scenarioSchema = new mongoose.Schema({
     enum: ["high", "medium", "low", "none"],
     default: "none",
   },
+  // Per-student extensions and accommodations (see lib/studentDeadlines)
+  extensionProcessing: {
+    type: String,
+    enum: studentDeadlines.EXTENSION_PROCESSING_MODES,
+    default: "WAIT",
+  },
+  deferredStudents: {
+    type: [
+      {
+        _id: false,
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: "Member", required: true },
+        status: {
+          type: String,
+          enum: ["pending", "processed"],
+          default: "pending",
+        },
+        deferredAt: { type: Date, default: null },
+        processedAt: { type: Date, default: null },
+      },
+    ],
+    default: [],
+  },
+  // What-if previews of draft decisions (services/sandbox)
+  sandbox: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    maxPreviewsPerStudent: {
+      type: Number,
+      default: 3,
+      min: 0,
+      max: 50,
+    },
+  },
+  // LMS grade passback (see services/lti/lib/gradePassback)
+  ltiGradePassback: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    source: {
+      type: String,
+      enum: ["gradebook", "metric"],
+      default: "gradebook",
+    },
+    metricKey: {
+      type: String,
+      default: null,
+    },
+    floor: {
+      type: Number,
+      default: null,
+    },
+    target: {
+      type: Number,
+      default: null,
+    },
+    scoreMaximum: {
+      type: Number,
+      default: 100,
+    },
+    label: {
+      type: String,
+      default: null,
+    },
+  },
+  // Multi-round challenges (see lib/challengeRounds); empty = single round
+  rounds: {
+    type: [
+      {
+        _id: false,
+        key: { type: String, required: true },
+        title: { type: String, required: true },
+        description: { type: String, default: "" },
+        order: { type: Number, required: true },
+        variableKeys: { type: [String], default: [] },
+        closeSubmissionsAt: { type: Date, default: null },
+        processAt: { type: Date, default: null },
+        status: {
+          type: String,
+          enum: ["pending", "processing", "processed"],
+          default: "pending",
+        },
+        processedAt: { type: Date, default: null },
+      },
+    ],
+    default: [],
+  },
   week: {
     type: Number,
     default: 0,
@@ -318,6 +561,19 @@ scenarioSchema.virtual("lifecycleStatus").get(function () {
   return this.constructor.getLifecycleStatus(this);
 });
 
+// Multi-round helpers (see lib/challengeRounds)
+scenarioSchema.statics.hasRounds = challengeRounds.hasRounds;
+scenarioSchema.statics.sortedRounds = challengeRounds.sortedRounds;
+scenarioSchema.statics.getRound = challengeRounds.getRound;
+scenarioSchema.statics.getNextRound = challengeRounds.getNextRound;
+scenarioSchema.statics.getOpenRound = challengeRounds.getOpenRound;
+scenarioSchema.statics.isFinalRound = challengeRounds.isFinalRound;
+scenarioSchema.statics.roundVariableKeys = challengeRounds.roundVariableKeys;
+scenarioSchema.statics.normalizeRounds = challengeRounds.normalizeRounds;
+scenarioSchema.statics.resolveScheduleWithRounds =
+  challengeRounds.resolveScheduleWithRounds;
+scenarioSchema.statics.describeRound = challengeRounds.describeRound;
+
 // Static methods - Shared utilities for challenge operations
 
 /**
@@ -395,6 +651,9 @@ scenarioSchema.statics.createScenario = async function (
     automationStatus,
     missingSubmissionPolicy,
     punishAbsentStudents,
+    extensionProcessing,
+    sandbox,
+    rounds,
     ...scenarioFields
   } = scenarioData;
 
@@ -405,6 +664,13 @@ scenarioSchema.statics.createScenario = async function (
     throw new Error("publishAt is required for scheduled opening");
   }
   const resolvedPublishAt = resolvedPublishMode === "MANUAL" ? null : publishAt;
+  const normalizedRounds = challengeRounds.normalizeRounds(rounds, {
+    publishAt: resolvedPublishAt,
+  });
+  const roundSchedule = challengeRounds.resolveScheduleWithRounds(normalizedRounds, {
+    closeSubmissionsAt: closeSubmissionsAt || submissionDeadlineAt,
+    processAt: processAt || submissionDeadlineAt,
+  });
   const resolvedFeedbackReleaseMode =
     resolvedAutomationMode === "MANUAL" && feedbackReleaseMode === "DELAYED"
       ? "MANUAL"
@@ -414,8 +680,8 @@ scenarioSchema.statics.createScenario = async function (
     publishAt: resolvedPublishAt || null,
     publishMode: resolvedPublishMode,
     submissionDeadlineAt: submissionDeadlineAt || null,
-    closeSubmissionsAt: closeSubmissionsAt || submissionDeadlineAt || null,
-    processAt: processAt || submissionDeadlineAt || null,
+    closeSubmissionsAt: roundSchedule.closeSubmissionsAt,
+    processAt: roundSchedule.processAt,
     feedbackReleaseAt: feedbackReleaseAt || null,
     feedbackReleaseMode: resolvedFeedbackReleaseMode,
     allowLateSubmissions: allowLateSubmissions || false,
@@ -426,6 +692,8 @@ scenarioSchema.statics.createScenario = async function (
       (resolvedPublishMode === "SCHEDULED" ? "SCHEDULED" : "UNSCHEDULED"),
     missingSubmissionPolicy: missingSubmissionPolicy || "SKIP",
     punishAbsentStudents: punishAbsentStudents || "none",
+    extensionProcessing: extensionProcessing || "WAIT",
+    rounds: normalizedRounds,
   };
 
   // Validate variables if provided
@@ -458,6 +726,7 @@ scenarioSchema.statics.createScenario = async function (
       isPublished: false,
       isClosed: false,
       ...scheduleFields,
+      sandbox,
       organization: organizationId,
       createdBy: clerkUserId,
       updatedBy: clerkUserId,
@@ -497,6 +766,7 @@ scenarioSchema.statics.createScenario = async function (
     isPublished: false,
     isClosed: false,
     ...scheduleFields,
+    sandbox,
     organization: organizationId,
     createdBy: clerkUserId,
     updatedBy: clerkUserId,
@@ -730,6 +1000,18 @@ scenarioSchema.methods.unpublish = async function (clerkUserId) {
  * @returns {Promise<Object>} Updated challenge
  */
 scenarioSchema.methods.beginResultCalculation = async function (clerkUserId) {
+  const Classroom = require("../classroom/classroom.model");
+  const classroom = await Classroom.findById(this.classroomId)
+    .select("outlierReviewSettings")
+    .lean();
+  // With outlier review on, release is held until the completed ledgers
+  // have been checked (services/outlierReview)
+  this.outlierReview = {
+    status: classroom?.outlierReviewSettings?.enabled ? "checking" : null,
+    flaggedCount: 0,
+    checkedAt: null,
+    clearedAt: null,
+  };
   this.isClosed = true;
   this.isLockedForStudents = true;
   this.isFeedbackReleased = false;
@@ -754,7 +1036,10 @@ scenarioSchema.methods.completeResultCalculation = async function (clerkUserId)
   this.automatedProcessedAt = completedAt;
   this.automationError = null;
   this.automationLastCheckedAt = completedAt;
-  if (this.feedbackReleaseMode === "IMMEDIATE") {
+  // Follow-up runs for extended students finish after feedback may already
+  // be out; they must not take it back. Outlier review holds back the
+  // IMMEDIATE release until flagged entries are resolved.
+  if (releaseHold.releasesImmediately(this) || this.isFeedbackReleased) {
     this.isFeedbackReleased = true;
     this.automationStatus = "feedbackReleased";
   } else {
@@ -782,6 +1067,7 @@ scenarioSchema.methods.close = async function (clerkUserId) {
 scenarioSchema.methods.open = async function (clerkUserId) {
   this.isClosed = false;
   this.isLockedForStudents = false;
+  this.deferredStudents = [];
   this.isFeedbackReleased = false;
   this.automationStatus = this.isPublished ? "acceptingSubmissions" : "UNSCHEDULED";
   this.automatedProcessedAt = null;
@@ -1420,7 +1706,7 @@ scenarioSchema.statics.processScenarioExport = async function (
   // Batch populate variables for all decisions
   await Decision.populateVariablesForMany(submissionDocs);
 
-  const ledgerEntries = await LedgerEntry.find({ challengeId }).lean();
+  const ledgerEntries = await LedgerEntry.find({ challengeId, roundKey: null }).lean();
 
   const ledgerMap = new Map();
   ledgerEntries.forEach((ledger) => {
@@ -1684,14 +1970,56 @@ scenarioSchema.statics.processDueOutcomes = async function (now) {
     automationMode: "FULL",
     isPublished: true,
     isClosed: false,
-    processAt: { $ne: null, $lte: now },
+    $or: [
+      { processAt: { $ne: null, $lte: now } },
+      {
+        rounds: {
+          $elemMatch: { status: "pending", processAt: { $ne: null, $lte: now } },
+        },
+      },
+    ],
     automationStatus: { $nin: ["queuedForProcessing", "processing", "processed", "feedbackReleased", "FAILED"] },
   }).sort({ processAt: 1, week: 1 });
 
   const results = [];
 
   for (const challenge of dueScenarios) {
+    // Multi-round challenges process one round at a time, in order, each once
+    // its own processAt has passed
+    const round = challengeRounds.hasRounds(challenge)
+      ? challengeRounds.getNextRound(challenge)
+      : null;
+    if (
+      challengeRounds.hasRounds(challenge) &&
+      (!round ||
+        round.status !== "pending" ||
+        !round.processAt ||
+        round.processAt > now)
+    ) {
+      continue;
+    }
+    const isFinalStep = !round || challengeRounds.isFinalRound(challenge, round.key);
+
     try {
+      // In WAIT mode, hold processing until every extended student's window
+      // has closed
+      if (!round && studentDeadlines.resolveExtensionProcessing(challenge) === "WAIT") {
+        const DeadlineExtension = require("./deadlineExtension.model");
+        const open = await DeadlineExtension.getOpenExtensions(challenge, now);
+        if (open.length > 0) {
+          results.push({
+            challengeId: challenge._id,
+            action: "process",
+            status: "waiting",
+            waitingForStudents: open.length,
+            until: new Date(
+              Math.max(...open.map((entry) => studentDeadlines.studentCloseAt(entry).getTime()))
+            ),
+          });
+          continue;
+        }
+      }
+
       const outcome = await Outcome.getOutcomeByScenario(challenge._id);
       if (!outcome) {
         await challenge.markAutomationBlocked(
@@ -1705,7 +2033,7 @@ scenarioSchema.statics.processDueOutcomes = async function (now) {
         continue;
       }
 
-      if (!challenge.isLockedForStudents) {
+      if (!challenge.isLockedForStudents && isFinalStep) {
         challenge.isLockedForStudents = true;
       }
 
@@ -1732,12 +2060,14 @@ scenarioSchema.statics.processDueOutcomes = async function (now) {
         challengeId: challenge._id,
         organizationId: challenge.organization,
         clerkUserId: AUTOMATION_SYSTEM_USER,
+        roundKey: round?.key,
       });
 
       results.push({
         challengeId: challenge._id,
         action: "process",
         status: "queued",
+        ...(round ? { roundKey: round.key } : {}),
         outcomeProcessingJobId: queuedJob?.id,
       });
     } catch (error) {
@@ -1757,6 +2087,177 @@ scenarioSchema.statics.processDueOutcomes = async function (now) {
   return results;
 };
 
+/**
+ * Queue follow-up runs for students who were left out of processing while
+ * their extension was open (Challenge.deferredStudents) and whose window has
+ * since closed. The outcome worker applies the missing-submission policy to
+ * them and simulates their decisions.
+ * @param {Date} now - Reference time for due-date comparison
+ * @returns {Promise<Array>} Per-challenge result entries
+ */
+scenarioSchema.statics.processDueFollowUps = async function (now) {
+  const DeadlineExtension = require("./deadlineExtension.model");
+  const { enqueueOutcomeProcessing } = require("../../lib/queues/outcome-processing-worker");
+
+  const challenges = await this.find({
+    isClosed: true,
+    deferredStudents: { $elemMatch: { status: "pending" } },
+  });
+
+  const results = [];
+
+  for (const challenge of challenges) {
+    try {
+      const due = await DeadlineExtension.getDueFollowUps(challenge, now);
+      if (due.length === 0) continue;
+
+      const queuedJob = await enqueueOutcomeProcessing({
+        challengeId: challenge._id,
+        organizationId: challenge.organization,
+        clerkUserId: AUTOMATION_SYSTEM_USER,
+        followUp: true,
+      });
+
+      results.push({
+        challengeId: challenge._id,
+        action: "followUp",
+        status: "queued",
+        students: due.length,
+        outcomeProcessingJobId: queuedJob?.id,
+      });
+    } catch (error) {
+      results.push({
+        challengeId: challenge._id,
+        action: "followUp",
+        status: "failed",
+        error: error.message,
+      });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Start simulating one round of a multi-round challenge: mark it processing,
+ * clear the round's shared market (classrooms with one) and create a job for
+ * every decision that submitted it. A round nobody submitted completes
+ * straight away. No-op unless the round is pending, so duplicate triggers
+ * cannot start a round twice.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} roundKey - Round key
+ * @param {Object} options - { organizationId, clerkUserId }
+ * @returns {Promise<{ started: boolean, jobsCreated: number }>}
+ */
+scenarioSchema.statics.startRound = async function (
+  challengeId,
+  roundKey,
+  { organizationId, clerkUserId } = {}
+) {
+  const JobService = require("../job/lib/jobService");
+
+  const challenge = await this.findOneAndUpdate(
+    { _id: challengeId, rounds: { $elemMatch: { key: roundKey, status: "pending" } } },
+    { $set: { "rounds.$.status": "processing", "rounds.$.processedAt": null } },
+    { new: true }
+  );
+  if (!challenge) return { started: false, jobsCreated: 0 };
+
+  const { clearChallengeMarket } = require("../market/lib/marketPhase");
+  await clearChallengeMarket(challenge, {
+    roundKey,
+    organizationId: organizationId || challenge.organization,
+    clerkUserId: clerkUserId || AUTOMATION_SYSTEM_USER,
+  });
+
+  const jobs = await JobService.createJobsForRound(
+    challenge,
+    roundKey,
+    organizationId || challenge.organization,
+    clerkUserId || AUTOMATION_SYSTEM_USER
+  );
+  if (jobs.length === 0) {
+    await this.completeRoundIfDone(challenge._id, roundKey);
+  }
+  return { started: true, jobsCreated: jobs.length };
+};
+
+/**
+ * Mark a processing round processed once none of its jobs are pending or
+ * running. After a non-final round the challenge reopens for the next round
+ * (or, during a rerun, starts it straight away). After the final round the
+ * per-student roll-ups are written and challenge completion is recorded.
+ * @param {string} challengeId - Challenge ID
+ * @param {string} roundKey - Round key
+ * @returns {Promise<Object>} { completed, finalRound }
+ */
+scenarioSchema.statics.completeRoundIfDone = async function (challengeId, roundKey) {
+  const SimulationJob = require("../job/job.model");
+
+  const busy = await SimulationJob.exists({
+    challengeId,
+    roundKey,
+    status: { $in: ["pending", "running"] },
+  });
+  if (busy) return { completed: false, finalRound: false };
+
+  const now = new Date();
+  const result = await this.updateOne(
+    { _id: challengeId, rounds: { $elemMatch: { key: roundKey, status: "processing" } } },
+    { $set: { "rounds.$.status": "processed", "rounds.$.processedAt": now } }
+  );
+  if (!result.modifiedCount) return { completed: false, finalRound: false };
+
+  const challenge = await this.findById(challengeId);
+  if (!challengeRounds.isFinalRound(challenge, roundKey)) {
+    if (challenge.isClosed) {
+      const next = challengeRounds.getNextRound(challenge);
+      await this.startRound(challenge._id, next.key, {
+        organizationId: challenge.organization,
+        clerkUserId: challenge.updatedBy || AUTOMATION_SYSTEM_USER,
+      });
+    } else if (challenge.automationStatus === "processing") {
+      challenge.automationStatus = challenge.isLockedForStudents
+        ? "submissionsClosed"
+        : "acceptingSubmissions";
+      challenge.automationLastCheckedAt = now;
+      await challenge.save();
+    }
+    return { completed: true, finalRound: false };
+  }
+
+  const LedgerEntry = require("../ledger/ledger.model");
+  const LedgerCompletionEvent = require("../job/ledgerCompletionEvent.model");
+  const rollups = await LedgerEntry.writeRoundRollups(challenge._id);
+
+  // Student completion waits for the roll-up, so record it now against each
+  // student's last completed round job
+  const jobs = await SimulationJob.find({ challengeId, status: "completed" })
+    .select("_id userId")
+    .sort({ completedAt: 1 })
+    .lean();
+  const lastJobByUser = new Map(jobs.map((job) => [String(job.userId), job._id]));
+  for (const jobId of lastJobByUser.values()) {
+    await LedgerCompletionEvent.recordStudentLedgerComplete(jobId);
+  }
+  await LedgerCompletionEvent.recordChallengeLedgersComplete(challenge._id);
+
+  return { completed: true, finalRound: true, rollupsWritten: rollups.length };
+};
+
+/**
+ * Put every round back to pending before a multi-round challenge is rerun.
+ * @returns {Promise<this>} Updated challenge
+ */
+scenarioSchema.methods.resetRounds = async function () {
+  this.rounds.forEach((round) => {
+    round.status = "pending";
+    round.processedAt = null;
+  });
+  await this.save();
+  return this;
+};
+
 /**
  * Release delayed feedback for closed challenges whose feedbackReleaseAt has passed
  * @param {Date} now - Reference time for due-date comparison
@@ -1770,6 +2271,7 @@ scenarioSchema.statics.releaseDelayedFeedback = async function (now) {
     isFeedbackReleased: false,
     feedbackReleaseMode: "DELAYED",
     automationStatus: "processed",
+    "outlierReview.status": { $nin: releaseHold.HELD_STATUSES },
     feedbackReleaseAt: { $ne: null, $lte: now },
   }).sort({ feedbackReleaseAt: 1, week: 1 });
 
@@ -1791,6 +2293,8 @@ scenarioSchema.statics.releaseDelayedFeedback = async function (now) {
 
       const LedgerEntry = require("../ledger/ledger.model");
       await LedgerEntry.sendResultsNotifications(challenge._id);
+      const { queueGradePassbackOnRelease } = require("../lti/lib/gradePassback");
+      await queueGradePassbackOnRelease(challenge);
 
       results.push({
         challengeId: challenge._id,
@@ -1825,6 +2329,7 @@ scenarioSchema.statics.runScenarioLifecycleCheck = async function (options = {})
   const published = await this.publishDueScenarios(now);
   const locked = await this.closeDueSubmissions(now);
   const processed = await this.processDueOutcomes(now);
+  const followUps = await this.processDueFollowUps(now);
   const released = await this.releaseDelayedFeedback(now);
 
   return {
@@ -1832,13 +2337,15 @@ scenarioSchema.statics.runScenarioLifecycleCheck = async function (options = {})
     published,
     locked,
     processed,
+    followUps,
     released,
     publishedCount: published.filter((result) => result.status === "published").length,
     lockedCount: locked.filter((result) => result.status === "locked").length,
     queuedCount: processed.filter((result) => result.status === "queued").length,
+    followUpCount: followUps.filter((result) => result.status === "queued").length,
     releasedCount: released.filter((result) => result.status === "released").length,
     blockedCount: [...published, ...processed].filter((result) => result.status === "blocked").length,
-    failedCount: [...published, ...locked, ...processed, ...released].filter((result) => result.status === "failed").length,
+    failedCount: [...published, ...locked, ...processed, ...followUps, ...released].filter((result) => result.status === "failed").length,
   };
 };
 
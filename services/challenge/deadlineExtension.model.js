@@ -0,0 +1,266 @@
+const mongoose = require("mongoose");
+const baseSchema = require("../../lib/baseSchema");
+const studentDeadlines = require("./lib/studentDeadlines");
+// Note: Challenge and Enrollment are required inside functions to avoid
+// circular dependencies
+
+const { makeDeadlineError } = studentDeadlines;
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     DeadlineExtension:
+ *       type: object
+ *       description: New deadlines for one student on one challenge. Takes precedence over the student's standing accommodation (Enrollment.accommodations).
+ *       properties:
+ *         _id:
+ *           type: string
+ *         classroomId:
+ *           type: string
+ *         challengeId:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         submissionDeadlineAt:
+ *           type: string
+ *           format: date-time
+ *         closeSubmissionsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Defaults to the new deadline plus the challenge's own late window.
+ *         reason:
+ *           type: string
+ *     StudentDeadlines:
+ *       type: object
+ *       properties:
+ *         userId:
+ *           type: string
+ *         submissionDeadlineAt:
+ *           type: string
+ *           format: date-time
+ *         closeSubmissionsAt:
+ *           type: string
+ *           format: date-time
+ *         extended:
+ *           type: boolean
+ *         source:
+ *           type: string
+ *           enum: [challenge, extension, accommodation]
+ *         reason:
+ *           type: string
+ */
+const deadlineExtensionSchema = new mongoose.Schema({
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Classroom",
+    required: true,
+  },
+  challengeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Challenge",
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    required: true,
+  },
+  submissionDeadlineAt: {
+    type: Date,
+    required: true,
+  },
+  closeSubmissionsAt: {
+    type: Date,
+    default: null,
+  },
+  reason: {
+    type: String,
+    default: "",
+  },
+}).add(baseSchema);
+
+deadlineExtensionSchema.index({ challengeId: 1, userId: 1 }, { unique: true });
+
+function toDate(value, field) {
+  const date = new Date(value);
+  if (value === undefined || value === null || value === "" || Number.isNaN(date.getTime())) {
+    throw makeDeadlineError(`${field} must be a valid date`, 400, "INVALID_EXTENSION", {
+      field,
+    });
+  }
+  return date;
+}
+
+/**
+ * A student's deadlines for a challenge, with their extension or
+ * accommodation applied (see lib/studentDeadlines).
+ */
+deadlineExtensionSchema.statics.resolveForStudent = async function (challenge, userId) {
+  const Enrollment = require("../enrollment/enrollment.model");
+  const [extension, enrollment] = await Promise.all([
+    this.findOne({ challengeId: challenge._id, userId }).lean(),
+    Enrollment.findOne({
+      classroomId: challenge.classroomId,
+      userId,
+      isRemoved: false,
+    })
+      .select("accommodations")
+      .lean(),
+  ]);
+  return studentDeadlines.resolveStudentDeadlines(challenge, {
+    extension,
+    accommodations: enrollment?.accommodations,
+  });
+};
+
+/**
+ * Deadlines for every student on a challenge who has an extension or an
+ * accommodation. Students on the challenge's own deadlines are left out.
+ *
+ * @returns {Promise<Array<Object>>} StudentDeadlines entries
+ */
+deadlineExtensionSchema.statics.resolveForChallenge = async function (challenge) {
+  const Enrollment = require("../enrollment/enrollment.model");
+  const [extensions, accommodated] = await Promise.all([
+    this.find({ challengeId: challenge._id }).lean(),
+    Enrollment.find({
+      classroomId: challenge.classroomId,
+      role: "member",
+      isRemoved: false,
+      "accommodations.extraTimeHours": { $gt: 0 },
+    })
+      .select("userId accommodations")
+      .lean(),
+  ]);
+
+  const byUser = new Map();
+  for (const enrollment of accommodated) {
+    byUser.set(String(enrollment.userId), {
+      userId: enrollment.userId,
+      accommodations: enrollment.accommodations,
+    });
+  }
+  for (const extension of extensions) {
+    const entry = byUser.get(String(extension.userId)) || { userId: extension.userId };
+    byUser.set(String(extension.userId), { ...entry, extension });
+  }
+
+  return [...byUser.values()]
+    .map(({ userId, extension, accommodations }) => ({
+      userId,
+      ...studentDeadlines.resolveStudentDeadlines(challenge, { extension, accommodations }),
+      reason: extension?.reason || accommodations?.note || "",
+    }))
+    .filter((entry) => entry.extended);
+};
+
+/**
+ * Extended students who can still submit at `now`.
+ */
+deadlineExtensionSchema.statics.getOpenExtensions = async function (
+  challenge,
+  now = new Date()
+) {
+  const entries = await this.resolveForChallenge(challenge);
+  return entries.filter((entry) => studentDeadlines.isExtensionOpen(entry, now));
+};
+
+/**
+ * Deferred students (see Challenge.deferredStudents) whose window has closed
+ * and who are ready for their follow-up run.
+ *
+ * @returns {Promise<Array>} Member IDs
+ */
+deadlineExtensionSchema.statics.getDueFollowUps = async function (
+  challenge,
+  now = new Date()
+) {
+  const pending = (challenge.deferredStudents || []).filter(
+    (entry) => entry.status === "pending"
+  );
+  if (pending.length === 0) return [];
+
+  const open = await this.getOpenExtensions(challenge, now);
+  const stillOpen = new Set(open.map((entry) => String(entry.userId)));
+  return pending
+    .filter((entry) => !stillOpen.has(String(entry.userId)))
+    .map((entry) => entry.userId);
+};
+
+/**
+ * Grant (or change) a student's extension on a challenge. Not available on
+ * multi-round challenges, or once the student's decision has been processed.
+ */
+deadlineExtensionSchema.statics.grantExtension = async function ({
+  challenge,
+  userId,
+  submissionDeadlineAt,
+  closeSubmissionsAt,
+  reason,
+  organizationId,
+  clerkUserId,
+}) {
+  const Enrollment = require("../enrollment/enrollment.model");
+  const Challenge = require("./challenge.model");
+
+  if (Challenge.hasRounds(challenge)) {
+    throw makeDeadlineError(
+      "Multi-round challenges use round deadlines and cannot be extended per student",
+      400,
+      "EXTENSIONS_NOT_SUPPORTED"
+    );
+  }
+  if (challenge.isClosed && !studentDeadlines.isDeferredStudent(challenge, userId)) {
+    throw makeDeadlineError(
+      "This student's decision has already been processed",
+      409,
+      "CHALLENGE_ALREADY_PROCESSED"
+    );
+  }
+
+  const enrolled = await Enrollment.isUserEnrolled(challenge.classroomId, userId);
+  if (!enrolled) {
+    throw makeDeadlineError(
+      "Student is not enrolled in this class",
+      404,
+      "ENROLLMENT_NOT_FOUND"
+    );
+  }
+
+  const deadline = toDate(submissionDeadlineAt, "submissionDeadlineAt");
+  const close =
+    closeSubmissionsAt === undefined || closeSubmissionsAt === null || closeSubmissionsAt === ""
+      ? null
+      : toDate(closeSubmissionsAt, "closeSubmissionsAt");
+  if (close && close < deadline) {
+    throw makeDeadlineError(
+      "closeSubmissionsAt must not be before submissionDeadlineAt",
+      400,
+      "INVALID_EXTENSION"
+    );
+  }
+
+  return this.findOneAndUpdate(
+    { challengeId: challenge._id, userId },
+    {
+      $set: {
+        submissionDeadlineAt: deadline,
+        closeSubmissionsAt: close,
+        reason: typeof reason === "string" ? reason.trim() : "",
+        updatedBy: clerkUserId,
+      },
+      $setOnInsert: {
+        classroomId: challenge.classroomId,
+        organization: organizationId,
+        createdBy: clerkUserId,
+      },
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+};
+
+const DeadlineExtension = mongoose.model("DeadlineExtension", deadlineExtensionSchema);
+
+module.exports = DeadlineExtension;
@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const DeadlineExtension = require("./deadlineExtension.model");
+const Enrollment = require("../enrollment/enrollment.model");
+
+function stub(t, target, key, value) {
+  const original = target[key];
+  target[key] = value;
+  t.after(() => {
+    target[key] = original;
+  });
+}
+
+const lean = (value) => ({ select: () => ({ lean: async () => value }), lean: async () => value });
+
+const accommodated = new mongoose.Types.ObjectId();
+const extended = new mongoose.Types.ObjectId();
+const challenge = {
+  _id: new mongoose.Types.ObjectId(),
+  classroomId: new mongoose.Types.ObjectId(),
+  submissionDeadlineAt: new Date("2026-10-05T17:00:00Z"),
+  closeSubmissionsAt: new Date("2026-10-05T17:00:00Z"),
+  isClosed: false,
+  deferredStudents: [],
+};
+
+function stubSources(t) {
+  stub(t, DeadlineExtension, "find", () =>
+    lean([
+      {
+        userId: extended,
+        submissionDeadlineAt: new Date("2026-10-09T17:00:00Z"),
+        reason: "Medical",
+      },
+    ])
+  );
+  stub(t, Enrollment, "find", () =>
+    lean([
+      { userId: accommodated, accommodations: { extraTimeHours: 48, note: "IEP" } },
+      { userId: extended, accommodations: { extraTimeHours: 24, note: "" } },
+    ])
+  );
+}
+
+test("resolveForChallenge merges extensions over accommodations", async (t) => {
+  stubSources(t);
+  const entries = await DeadlineExtension.resolveForChallenge(challenge);
+  const byUser = new Map(entries.map((entry) => [String(entry.userId), entry]));
+
+  assert.equal(entries.length, 2);
+  assert.equal(byUser.get(String(accommodated)).source, "accommodation");
+  assert.deepEqual(
+    byUser.get(String(accommodated)).closeSubmissionsAt,
+    new Date("2026-10-07T17:00:00Z")
+  );
+  assert.equal(byUser.get(String(extended)).source, "extension");
+  assert.equal(byUser.get(String(extended)).reason, "Medical");
+});
+
+test("getDueFollowUps returns deferred students whose window has closed", async (t) => {
+  stubSources(t);
+  const deferred = {
+    ...challenge,
+    isClosed: true,
+    deferredStudents: [
+      { userId: accommodated, status: "pending" },
+      { userId: extended, status: "pending" },
+    ],
+  };
+
+  const due = await DeadlineExtension.getDueFollowUps(
+    deferred,
+    new Date("2026-10-08T00:00:00Z")
+  );
+  assert.deepEqual(due.map(String), [String(accommodated)]);
+
+  const later = await DeadlineExtension.getDueFollowUps(
+    deferred,
+    new Date("2026-10-10T00:00:00Z")
+  );
+  assert.equal(later.length, 2);
+});
+
+test("grantExtension refuses processed students and multi-round challenges", async (t) => {
+  stub(t, Enrollment, "isUserEnrolled", async () => true);
+  const userId = new mongoose.Types.ObjectId();
+  const grant = (overrides) =>
+    DeadlineExtension.grantExtension({
+      challenge: { ...challenge, ...overrides },
+      userId,
+      submissionDeadlineAt: "2026-10-09T17:00:00Z",
+      organizationId: new mongoose.Types.ObjectId(),
+      clerkUserId: "user_teacher",
+    });
+
+  await assert.rejects(grant({ isClosed: true }), { code: "CHALLENGE_ALREADY_PROCESSED" });
+  await assert.rejects(grant({ rounds: [{ key: "a" }, { key: "b" }] }), {
+    code: "EXTENSIONS_NOT_SUPPORTED",
+  });
+  await assert.rejects(
+    DeadlineExtension.grantExtension({
+      challenge,
+      userId,
+      submissionDeadlineAt: "2026-10-09T17:00:00Z",
+      closeSubmissionsAt: "2026-10-08T17:00:00Z",
+      clerkUserId: "user_teacher",
+    }),
+    { code: "INVALID_EXTENSION" }
+  );
+});
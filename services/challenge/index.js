@@ -14,6 +14,7 @@ const {
   checkRole,
   requireMemberAuth,
 } = require("../../middleware/auth");
+const { planRateLimit } = require("../../middleware/rateLimit");
 
 // Admin routes - require org:admin role
 // Put specific routes before parameterized routes
@@ -70,9 +71,12 @@ router.post(
  *     responses:
  *       201:
  *         description: Challenge generated and created successfully.
+ *       429:
+ *         description: Rate limited for the "ai" route class (RATE_LIMITED). See the RateLimit-* headers.
  */
 router.post(
   "/admin/challenges/ai",
+  planRateLimit("ai"),
   requireAuth(),
   checkRole("org:admin"),
   controller.createScenarioWithAI,
@@ -206,6 +210,16 @@ router.post(
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Recorded on the ledger revisions the rerun creates.
  *     responses:
  *       200:
  *         description: Rerun jobs enqueued.
@@ -233,6 +247,16 @@ router.post(
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Recorded on the ledger revisions the rerun creates.
  *     responses:
  *       200:
  *         description: Batch cancelled and rerun initiated.
@@ -409,6 +433,138 @@ router.delete(
   controller.deleteScenario
 );
 
+/**
+ * @openapi
+ * /v1/admin/challenges/{challengeId}/extensions:
+ *   get:
+ *     summary: List per-student deadlines
+ *     description: Students whose deadlines on this challenge differ from the class's, from a per-challenge extension or a standing accommodation. followUpStatus is set for students left out of processing while their window was open. Requires org:admin role.
+ *     tags:
+ *       - Challenges
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: challengeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Extended students and their effective deadlines.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 extensionProcessing:
+ *                   type: string
+ *                   enum: [WAIT, FOLLOW_UP]
+ *                 students:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/StudentDeadlines'
+ *                       - type: object
+ *                         properties:
+ *                           followUpStatus:
+ *                             type: string
+ *                             enum: [pending, processed]
+ *                             nullable: true
+ */
+router.get(
+  "/admin/challenges/:challengeId/extensions",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.getStudentDeadlines
+);
+
+/**
+ * @openapi
+ * /v1/admin/challenges/{challengeId}/extensions/{userId}:
+ *   put:
+ *     summary: Grant a deadline extension
+ *     description: Give one student new deadlines on this challenge. Overrides their standing accommodation. Not available on multi-round challenges, or once the student's decision has been processed. Requires org:admin role.
+ *     tags:
+ *       - Challenges
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: challengeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [submissionDeadlineAt]
+ *             properties:
+ *               submissionDeadlineAt:
+ *                 type: string
+ *                 format: date-time
+ *               closeSubmissionsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to the new deadline plus the challenge's own late window.
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Extension saved.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeadlineExtension'
+ *       400:
+ *         description: Invalid dates (INVALID_EXTENSION) or a multi-round challenge (EXTENSIONS_NOT_SUPPORTED).
+ *       409:
+ *         description: The student's decision was already processed (CHALLENGE_ALREADY_PROCESSED).
+ *   delete:
+ *     summary: Remove a deadline extension
+ *     description: The student's accommodation, if any, applies again. Requires org:admin role.
+ *     tags:
+ *       - Challenges
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: challengeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Extension removed.
+ *       404:
+ *         description: Challenge or extension not found.
+ */
+router.put(
+  "/admin/challenges/:challengeId/extensions/:userId",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.grantExtension
+);
+router.delete(
+  "/admin/challenges/:challengeId/extensions/:userId",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.revokeExtension
+);
+
 // Student routes - require authenticated member
 
 /**
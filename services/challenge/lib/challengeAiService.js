@@ -1,10 +1,11 @@
 const { DateTime } = require("luxon");
 
-const openai = require("../../../lib/openai");
+const llm = require("../../../lib/llm");
 const Challenge = require("../challenge.model");
 const Outcome = require("../../outcome/outcome.model");
 const VariableDefinition = require("../../variableDefinition/variableDefinition.model");
 const VariableValue = require("../../variableDefinition/variableValue.model");
+const AIUsage = require("../../aiUsage/aiUsage.model");
 
 const MIN_PROMPT_LENGTH = 20;
 const MAX_PROMPT_LENGTH = 100000;
@@ -350,18 +351,24 @@ function normalizeGeneratedSpec(spec, scheduleOptions = {}) {
   };
 }
 
-async function generateChallengeSpec(prompt, { now = new Date(), timeZone } = {}) {
+async function generateChallengeSpec(
+  prompt,
+  {
+    now = new Date(),
+    timeZone,
+    llmSelection = llm.resolveLLM({ purpose: "challenge" }),
+    // { organizationId, classroomId, clerkUserId } to record AI usage
+    usageContext = null,
+  } = {},
+) {
   const validatedPrompt = validatePrompt(prompt);
   const zone = resolveTimeZone(timeZone);
   const localNow = DateTime.fromJSDate(now).setZone(zone).toISO();
 
   let response;
   try {
-    response = await openai.chat.completions.create({
-      model:
-        process.env.CHALLENGE_AI_MODEL ||
-        process.env.AI_MODEL ||
-        "gpt-4o-mini",
+    response = await llm.createChatCompletion(llmSelection.provider, {
+      model: llmSelection.model,
       messages: [
         {
           role: "system",
@@ -393,13 +400,26 @@ async function generateChallengeSpec(prompt, { now = new Date(), timeZone } = {}
       },
     });
   } catch (error) {
-    console.error("OpenAI challenge generation failed:", error);
+    console.error(
+      `${llmSelection.provider} challenge generation failed:`,
+      error,
+    );
     throw createHttpError(
       "Unable to generate the challenge with AI. Please try again.",
       502,
     );
   }
 
+  if (usageContext) {
+    await AIUsage.recordUsage({
+      source: "challenge",
+      provider: llmSelection.provider,
+      model: response.model || llmSelection.model,
+      usage: response.usage,
+      ...usageContext,
+    });
+  }
+
   const content = response.choices?.[0]?.message?.content;
   if (!content) {
     throw createHttpError("AI returned an empty challenge", 502);
@@ -440,7 +460,15 @@ async function createChallengeFromPrompt({
   clerkUserId,
   now = new Date(),
 }) {
-  const generated = await generateChallengeSpec(prompt, { now, timeZone });
+  const Classroom = require("../../classroom/classroom.model");
+  await AIUsage.assertWithinBudget({ organizationId, classroomId });
+  const llmSelection = await Classroom.getLLMSelection(classroomId, "challenge");
+  const generated = await generateChallengeSpec(prompt, {
+    now,
+    timeZone,
+    llmSelection,
+    usageContext: { organizationId, classroomId, clerkUserId },
+  });
   let challenge;
 
   try {
@@ -115,7 +115,12 @@ test("normalizeOutcomeNotes preserves intentional prose paragraphs", () => {
 });
 
 test("createChallengeFromPrompt persists generated variables and an outcome draft", async (t) => {
+  const Classroom = require("../../classroom/classroom.model");
+  const AIUsage = require("../../aiUsage/aiUsage.model");
   const originals = {
+    assertWithinBudget: AIUsage.assertWithinBudget,
+    recordUsage: AIUsage.recordUsage,
+    getLLMSelection: Classroom.getLLMSelection,
     openaiCreate: openai.chat.completions.create,
     createScenario: Challenge.createScenario,
     getScenarioById: Challenge.getScenarioById,
@@ -123,6 +128,9 @@ test("createChallengeFromPrompt persists generated variables and an outcome draf
     createOrUpdateOutcome: Outcome.createOrUpdateOutcome,
   };
   t.after(() => {
+    AIUsage.assertWithinBudget = originals.assertWithinBudget;
+    AIUsage.recordUsage = originals.recordUsage;
+    Classroom.getLLMSelection = originals.getLLMSelection;
     openai.chat.completions.create = originals.openaiCreate;
     Challenge.createScenario = originals.createScenario;
     Challenge.getScenarioById = originals.getScenarioById;
@@ -130,6 +138,17 @@ test("createChallengeFromPrompt persists generated variables and an outcome draf
     Outcome.createOrUpdateOutcome = originals.createOrUpdateOutcome;
   });
 
+  const usageRecords = [];
+  AIUsage.assertWithinBudget = async () => ({ status: "ok", blocked: false });
+  AIUsage.recordUsage = async (input) => {
+    usageRecords.push(input);
+    return null;
+  };
+  const selections = [];
+  Classroom.getLLMSelection = async (classroomId, purpose) => {
+    selections.push([classroomId, purpose]);
+    return { provider: "openai", model: "gpt-4o-mini" };
+  };
   openai.chat.completions.create = async () => ({
     choices: [
       {
@@ -192,6 +211,10 @@ test("createChallengeFromPrompt persists generated variables and an outcome draf
   });
 
   assert.equal(challenge._id, "challenge-id");
+  assert.deepEqual(selections, [["classroom-id", "challenge"]]);
+  assert.equal(usageRecords.length, 1);
+  assert.equal(usageRecords[0].source, "challenge");
+  assert.equal(usageRecords[0].classroomId, "classroom-id");
 
   const challengeCall = calls.find(([name]) => name === "challenge");
   assert.equal(challengeCall[1], "classroom-id");
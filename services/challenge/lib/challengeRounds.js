@@ -0,0 +1,250 @@
+/**
+ * Helpers for multi-round challenges. A challenge with `rounds` takes one
+ * sub-decision per round (e.g. a Monday order and a Thursday restock); each
+ * round is simulated on its own and feeds its metrics into the next. A
+ * challenge without rounds behaves exactly as before.
+ */
+
+const ROUND_KEY_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+const MAX_ROUNDS = 10;
+
+function invalidRounds(message, details = {}) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = "INVALID_CHALLENGE_ROUNDS";
+  error.details = details;
+  return error;
+}
+
+function toDate(value, field) {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw invalidRounds(`${field} must be a valid date`, { field });
+  }
+  return date;
+}
+
+function hasRounds(challenge) {
+  return Array.isArray(challenge?.rounds) && challenge.rounds.length > 0;
+}
+
+/**
+ * Rounds in play order.
+ */
+function sortedRounds(challenge) {
+  if (!hasRounds(challenge)) return [];
+  return [...challenge.rounds].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+}
+
+function getRound(challenge, roundKey) {
+  return sortedRounds(challenge).find((round) => round.key === roundKey) || null;
+}
+
+/**
+ * The round that comes before `roundKey`, or null for the first round.
+ */
+function getPreviousRound(challenge, roundKey) {
+  const rounds = sortedRounds(challenge);
+  const index = rounds.findIndex((round) => round.key === roundKey);
+  return index > 0 ? rounds[index - 1] : null;
+}
+
+function isFinalRound(challenge, roundKey) {
+  const rounds = sortedRounds(challenge);
+  return rounds.length > 0 && rounds[rounds.length - 1].key === roundKey;
+}
+
+/**
+ * The first round that has not finished processing (pending or processing),
+ * or null once every round is processed.
+ */
+function getNextRound(challenge) {
+  return sortedRounds(challenge).find((round) => round.status !== "processed") || null;
+}
+
+/**
+ * The round students can submit for right now: the next unprocessed round,
+ * provided it has not started processing and its deadline has not passed.
+ * Later rounds open only after the previous round's results are in.
+ */
+function getOpenRound(challenge, now = new Date()) {
+  const round = getNextRound(challenge);
+  if (!round || round.status !== "pending") return null;
+  if (round.closeSubmissionsAt && new Date(round.closeSubmissionsAt) <= now) {
+    return null;
+  }
+  return round;
+}
+
+/**
+ * Decision variable keys a round asks for, or null when it asks for all of
+ * the challenge's decision variables.
+ */
+function roundVariableKeys(round) {
+  return Array.isArray(round?.variableKeys) && round.variableKeys.length > 0
+    ? [...round.variableKeys]
+    : null;
+}
+
+/**
+ * Validate rounds input and return it in play order with `order` set.
+ * Round deadlines must be in order, fall after the challenge opens and, when
+ * the challenge has its own deadlines, not after them. The challenge-level
+ * closeSubmissionsAt/processAt default to the final round's values (see
+ * resolveScheduleWithRounds).
+ *
+ * @param {Array<Object>} rounds - [{ key, title, description, variableKeys, closeSubmissionsAt, processAt }]
+ * @param {Object} [schedule] - { publishAt, closeSubmissionsAt, processAt }
+ * @returns {Array<Object>}
+ */
+function normalizeRounds(rounds, schedule = {}) {
+  if (rounds === undefined || rounds === null) return [];
+  if (!Array.isArray(rounds)) {
+    throw invalidRounds("rounds must be an array");
+  }
+  if (rounds.length === 0) return [];
+  if (rounds.length === 1) {
+    throw invalidRounds("A multi-round challenge needs at least two rounds");
+  }
+  if (rounds.length > MAX_ROUNDS) {
+    throw invalidRounds(`A challenge can have at most ${MAX_ROUNDS} rounds`);
+  }
+
+  const publishAt = toDate(schedule.publishAt, "publishAt");
+  const seen = new Set();
+  let previous = null;
+
+  return rounds.map((input, index) => {
+    if (!input || typeof input !== "object" || Array.isArray(input)) {
+      throw invalidRounds(`rounds[${index}] must be an object`);
+    }
+    const key = typeof input.key === "string" ? input.key.trim() : "";
+    if (!ROUND_KEY_PATTERN.test(key)) {
+      throw invalidRounds(
+        `rounds[${index}].key must be 1-40 letters, numbers, dashes or underscores`,
+        { index }
+      );
+    }
+    if (seen.has(key)) {
+      throw invalidRounds(`Duplicate round key: ${key}`, { key });
+    }
+    seen.add(key);
+
+    const title = typeof input.title === "string" ? input.title.trim() : "";
+    if (!title) {
+      throw invalidRounds(`rounds[${index}].title is required`, { key });
+    }
+
+    if (
+      input.variableKeys !== undefined &&
+      (!Array.isArray(input.variableKeys) ||
+        input.variableKeys.some((value) => typeof value !== "string" || !value.trim()))
+    ) {
+      throw invalidRounds(`rounds[${index}].variableKeys must be an array of variable keys`, { key });
+    }
+
+    const closeSubmissionsAt = toDate(
+      input.closeSubmissionsAt,
+      `rounds[${index}].closeSubmissionsAt`
+    );
+    const processAt = toDate(input.processAt, `rounds[${index}].processAt`);
+
+    if (closeSubmissionsAt && processAt && processAt < closeSubmissionsAt) {
+      throw invalidRounds(`Round "${key}" is processed before its submissions close`, { key });
+    }
+    if (publishAt && closeSubmissionsAt && closeSubmissionsAt <= publishAt) {
+      throw invalidRounds(`Round "${key}" closes before the challenge opens`, { key });
+    }
+    const previousProcessAt = previous?.processAt || previous?.closeSubmissionsAt;
+    if (previousProcessAt && closeSubmissionsAt && closeSubmissionsAt <= previousProcessAt) {
+      throw invalidRounds(
+        `Round "${key}" must close after round "${previous.key}" is processed`,
+        { key }
+      );
+    }
+
+    const round = {
+      key,
+      title,
+      description: typeof input.description === "string" ? input.description : "",
+      order: index + 1,
+      variableKeys: (input.variableKeys || []).map((value) => value.trim()),
+      closeSubmissionsAt,
+      processAt,
+      status: "pending",
+      processedAt: null,
+    };
+    previous = round;
+    return round;
+  });
+}
+
+/**
+ * Tie challenge-level deadlines to the rounds: they default to the final
+ * round's deadlines and may not fall before them.
+ *
+ * @param {Array<Object>} rounds - normalized rounds
+ * @param {Object} schedule - { closeSubmissionsAt, processAt }
+ * @returns {{ closeSubmissionsAt: Date|null, processAt: Date|null }} - passed
+ *   through unchanged when there are no rounds
+ */
+function resolveScheduleWithRounds(rounds, schedule = {}) {
+  if (!rounds.length) {
+    return {
+      closeSubmissionsAt: schedule.closeSubmissionsAt || null,
+      processAt: schedule.processAt || null,
+    };
+  }
+  const closeSubmissionsAt = toDate(schedule.closeSubmissionsAt, "closeSubmissionsAt");
+  const processAt = toDate(schedule.processAt, "processAt");
+
+  const finalRound = rounds[rounds.length - 1];
+  if (
+    closeSubmissionsAt &&
+    finalRound.closeSubmissionsAt &&
+    closeSubmissionsAt < finalRound.closeSubmissionsAt
+  ) {
+    throw invalidRounds("closeSubmissionsAt must not be before the final round closes");
+  }
+  if (processAt && finalRound.processAt && processAt < finalRound.processAt) {
+    throw invalidRounds("processAt must not be before the final round is processed");
+  }
+
+  return {
+    closeSubmissionsAt: closeSubmissionsAt || finalRound.closeSubmissionsAt || null,
+    processAt: processAt || finalRound.processAt || null,
+  };
+}
+
+/**
+ * Student-facing description of a round, used in the simulation prompt.
+ */
+function describeRound(challenge, roundKey) {
+  const rounds = sortedRounds(challenge);
+  const index = rounds.findIndex((round) => round.key === roundKey);
+  if (index === -1) return null;
+  const round = rounds[index];
+  return {
+    key: round.key,
+    title: round.title,
+    description: round.description || "",
+    number: index + 1,
+    of: rounds.length,
+  };
+}
+
+module.exports = {
+  MAX_ROUNDS,
+  hasRounds,
+  sortedRounds,
+  getRound,
+  getPreviousRound,
+  isFinalRound,
+  getNextRound,
+  getOpenRound,
+  roundVariableKeys,
+  normalizeRounds,
+  resolveScheduleWithRounds,
+  describeRound,
+};
@@ -0,0 +1,129 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const rounds = require("./challengeRounds");
+
+const monday = {
+  key: "monday",
+  title: "Monday order",
+  variableKeys: ["order-qty"],
+  closeSubmissionsAt: "2026-10-05T09:00:00Z",
+  processAt: "2026-10-05T10:00:00Z",
+};
+const thursday = {
+  key: "thursday",
+  title: "Thursday restock",
+  variableKeys: ["restock-qty"],
+  closeSubmissionsAt: "2026-10-08T09:00:00Z",
+  processAt: "2026-10-08T10:00:00Z",
+};
+
+test("normalizeRounds", async (t) => {
+  await t.test("should order rounds and default their status", () => {
+    const result = rounds.normalizeRounds([monday, thursday], {
+      publishAt: "2026-10-04T00:00:00Z",
+    });
+    assert.deepEqual(
+      result.map((round) => [round.key, round.order, round.status]),
+      [
+        ["monday", 1, "pending"],
+        ["thursday", 2, "pending"],
+      ]
+    );
+    assert.ok(result[0].closeSubmissionsAt instanceof Date);
+  });
+
+  await t.test("should treat missing rounds as a single-round challenge", () => {
+    assert.deepEqual(rounds.normalizeRounds(undefined), []);
+    assert.deepEqual(rounds.normalizeRounds([]), []);
+  });
+
+  await t.test("should reject invalid rounds", () => {
+    const rejects = (input, schedule, pattern) =>
+      assert.throws(
+        () => rounds.normalizeRounds(input, schedule),
+        (error) =>
+          error.statusCode === 400 &&
+          error.code === "INVALID_CHALLENGE_ROUNDS" &&
+          pattern.test(error.message)
+      );
+
+    rejects([monday], {}, /at least two rounds/);
+    rejects([monday, { ...thursday, key: "monday" }], {}, /Duplicate round key/);
+    rejects([monday, { ...thursday, key: "bad key" }], {}, /key must be/);
+    rejects([monday, { ...thursday, title: " " }], {}, /title is required/);
+    rejects(
+      [monday, { ...thursday, closeSubmissionsAt: "2026-10-05T09:30:00Z" }],
+      {},
+      /must close after round "monday" is processed/
+    );
+    rejects(
+      [{ ...monday, processAt: "2026-10-05T08:00:00Z" }, thursday],
+      {},
+      /processed before its submissions close/
+    );
+    rejects([monday, thursday], { publishAt: "2026-10-06T00:00:00Z" }, /closes before the challenge opens/);
+  });
+});
+
+test("resolveScheduleWithRounds defaults challenge deadlines to the final round", () => {
+  const normalized = rounds.normalizeRounds([monday, thursday]);
+  const schedule = rounds.resolveScheduleWithRounds(normalized, {});
+  assert.equal(schedule.closeSubmissionsAt.toISOString(), "2026-10-08T09:00:00.000Z");
+  assert.equal(schedule.processAt.toISOString(), "2026-10-08T10:00:00.000Z");
+
+  assert.throws(
+    () =>
+      rounds.resolveScheduleWithRounds(normalized, {
+        processAt: "2026-10-07T00:00:00Z",
+      }),
+    (error) => error.code === "INVALID_CHALLENGE_ROUNDS"
+  );
+});
+
+test("getOpenRound", async (t) => {
+  const challenge = {
+    rounds: rounds.normalizeRounds([thursday, monday].reverse()),
+  };
+
+  await t.test("should open the first round until its deadline", () => {
+    assert.equal(
+      rounds.getOpenRound(challenge, new Date("2026-10-05T08:00:00Z")).key,
+      "monday"
+    );
+    assert.equal(rounds.getOpenRound(challenge, new Date("2026-10-05T09:30:00Z")), null);
+  });
+
+  await t.test("should open the next round once the previous one is processed", () => {
+    const processing = {
+      rounds: challenge.rounds.map((round, index) =>
+        index === 0 ? { ...round, status: "processing" } : round
+      ),
+    };
+    assert.equal(rounds.getOpenRound(processing, new Date("2026-10-06T00:00:00Z")), null);
+
+    const processed = {
+      rounds: challenge.rounds.map((round, index) =>
+        index === 0 ? { ...round, status: "processed" } : round
+      ),
+    };
+    assert.equal(
+      rounds.getOpenRound(processed, new Date("2026-10-06T00:00:00Z")).key,
+      "thursday"
+    );
+    assert.equal(rounds.getNextRound(processed).key, "thursday");
+    assert.equal(rounds.getPreviousRound(processed, "thursday").key, "monday");
+    assert.equal(rounds.isFinalRound(processed, "thursday"), true);
+  });
+
+  await t.test("should describe a round for the simulation prompt", () => {
+    assert.deepEqual(rounds.describeRound(challenge, "thursday"), {
+      key: "thursday",
+      title: "Thursday restock",
+      description: "",
+      number: 2,
+      of: 2,
+    });
+    assert.deepEqual(rounds.roundVariableKeys(challenge.rounds[0]), ["order-qty"]);
+    assert.equal(rounds.roundVariableKeys({ variableKeys: [] }), null);
+  });
+});
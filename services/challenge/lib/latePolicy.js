@@ -0,0 +1,238 @@
+/**
+ * Late submissions. A challenge with `allowLateSubmissions` accepts student
+ * decisions after `submissionDeadlineAt` (until submissions close or lock);
+ * each late decision is stamped with the days late and the penalty from
+ * `lateSubmissionPolicy.penaltyPercentPerDay`. `lateSubmissionPolicy.applyTo`
+ * decides what the penalty does:
+ *
+ * - "gradebook": nothing in the simulation; recorded on the ledger entry for
+ *   the gradebook to deduct
+ * - "metric": the ledger entry's `metricKey` value is reduced by the penalty
+ * - "ai_context": the simulation is told the decision was late
+ */
+
+const LATE_PENALTY_TARGETS = ["gradebook", "metric", "ai_context"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function makeLatePolicyError(message, statusCode, code, details = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+/**
+ * The challenge's late policy with defaults applied.
+ */
+function resolveLatePolicy(challenge) {
+  const policy = challenge?.lateSubmissionPolicy || {};
+  const penaltyPercentPerDay = Number(policy.penaltyPercentPerDay);
+  return {
+    allowed: challenge?.allowLateSubmissions === true,
+    penaltyPercentPerDay:
+      Number.isFinite(penaltyPercentPerDay) && penaltyPercentPerDay > 0
+        ? penaltyPercentPerDay
+        : 0,
+    applyTo: LATE_PENALTY_TARGETS.includes(policy.applyTo)
+      ? policy.applyTo
+      : "gradebook",
+    metricKey: policy.metricKey || null,
+  };
+}
+
+/**
+ * Validate a `lateSubmissionPolicy` update.
+ */
+function normalizeLatePolicyInput(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw makeLatePolicyError(
+      "lateSubmissionPolicy must be an object",
+      400,
+      "INVALID_LATE_POLICY"
+    );
+  }
+
+  const penaltyPercentPerDay =
+    value.penaltyPercentPerDay === undefined ? 0 : Number(value.penaltyPercentPerDay);
+  if (
+    !Number.isFinite(penaltyPercentPerDay) ||
+    penaltyPercentPerDay < 0 ||
+    penaltyPercentPerDay > 100
+  ) {
+    throw makeLatePolicyError(
+      "lateSubmissionPolicy.penaltyPercentPerDay must be between 0 and 100",
+      400,
+      "INVALID_LATE_POLICY"
+    );
+  }
+
+  const applyTo = value.applyTo === undefined ? "gradebook" : value.applyTo;
+  if (!LATE_PENALTY_TARGETS.includes(applyTo)) {
+    throw makeLatePolicyError(
+      `lateSubmissionPolicy.applyTo must be one of: ${LATE_PENALTY_TARGETS.join(", ")}`,
+      400,
+      "INVALID_LATE_POLICY"
+    );
+  }
+
+  const metricKey =
+    typeof value.metricKey === "string" && value.metricKey.trim()
+      ? value.metricKey.trim()
+      : null;
+  if (applyTo === "metric" && !metricKey) {
+    throw makeLatePolicyError(
+      "lateSubmissionPolicy.metricKey is required when applyTo is \"metric\"",
+      400,
+      "INVALID_LATE_POLICY"
+    );
+  }
+
+  return { penaltyPercentPerDay, applyTo, metricKey };
+}
+
+/**
+ * How late a submission made at `submittedAt` is. Any part of a day counts
+ * as a full day. Returns null when the challenge has no deadline or the
+ * submission is on time.
+ *
+ * @param {Object} [options]
+ * @param {Date|null} [options.deadlineAt] - the student's own deadline when it
+ *   differs from the challenge's (see lib/studentDeadlines)
+ * @returns {{ deadlineAt: Date, daysLate: number, penaltyPercent: number }|null}
+ */
+function computeLateness(challenge, submittedAt = new Date(), options = {}) {
+  const deadline =
+    options.deadlineAt !== undefined
+      ? options.deadlineAt
+      : challenge?.submissionDeadlineAt;
+  if (!deadline) return null;
+  const deadlineAt = new Date(deadline);
+  const lateMs = new Date(submittedAt).getTime() - deadlineAt.getTime();
+  if (!(lateMs > 0)) return null;
+
+  const daysLate = Math.ceil(lateMs / DAY_MS);
+  const { penaltyPercentPerDay } = resolveLatePolicy(challenge);
+  return {
+    deadlineAt,
+    daysLate,
+    penaltyPercent: Math.min(100, daysLate * penaltyPercentPerDay),
+  };
+}
+
+/**
+ * Stamp for a student (re)submission at `submittedAt`: the lateness, with
+ * any waiver on the previous stamp kept. Throws 409 SUBMISSION_DEADLINE_PASSED
+ * when the submission is late and the challenge does not accept late work.
+ * `options` are passed to computeLateness.
+ */
+function stampLateness(challenge, submittedAt, previous = null, options = {}) {
+  const late = computeLateness(challenge, submittedAt, options);
+  if (!late) return null;
+  if (!resolveLatePolicy(challenge).allowed) {
+    throw makeLatePolicyError(
+      "The submission deadline has passed",
+      409,
+      "SUBMISSION_DEADLINE_PASSED",
+      { submissionDeadlineAt: late.deadlineAt }
+    );
+  }
+  return {
+    ...late,
+    waivedAt: previous?.waivedAt || null,
+    waivedBy: previous?.waivedBy || null,
+    waiverReason: previous?.waiverReason || "",
+  };
+}
+
+/**
+ * The penalty still in force for a decision's late stamp (0 once waived).
+ */
+function effectivePenaltyPercent(late) {
+  if (!late || late.waivedAt) return 0;
+  return Number(late.penaltyPercent) || 0;
+}
+
+/**
+ * A metric value reduced by `penaltyPercent` of its magnitude, so the
+ * penalty lowers negative values (losses) too.
+ *
+ * @param {number} value
+ * @param {number} penaltyPercent
+ * @returns {number}
+ */
+function penalizeValue(value, penaltyPercent) {
+  return value - (Math.abs(value) * penaltyPercent) / 100;
+}
+
+/**
+ * Apply the late penalty to a ledger entry's metrics. Only the "metric"
+ * target changes values; every target returns the `latePenalty` record that
+ * is stored on the entry (null when the decision was on time).
+ *
+ * @param {Object} metrics - metric values keyed by MetricDefinition.key
+ * @param {Object} late - Decision.late
+ * @param {Object} policy - resolveLatePolicy(challenge)
+ * @param {Function} [round] - rounds the penalized value the way the metric is stored
+ * @returns {{ metrics: Object, latePenalty: Object|null }}
+ */
+function applyLatePenalty(metrics, late, policy, round = (value) => value) {
+  if (!late) return { metrics, latePenalty: null };
+
+  const penaltyPercent = effectivePenaltyPercent(late);
+  const latePenalty = {
+    daysLate: late.daysLate,
+    penaltyPercent: Number(late.penaltyPercent) || 0,
+    applyTo: policy.applyTo,
+    metricKey: policy.applyTo === "metric" ? policy.metricKey : null,
+    originalValue: null,
+    waived: Boolean(late.waivedAt),
+  };
+
+  const original = metrics?.[policy.metricKey];
+  if (
+    policy.applyTo !== "metric" ||
+    penaltyPercent <= 0 ||
+    typeof original !== "number" ||
+    !Number.isFinite(original)
+  ) {
+    return { metrics, latePenalty };
+  }
+
+  latePenalty.originalValue = original;
+  return {
+    metrics: {
+      ...metrics,
+      [policy.metricKey]: round(penalizeValue(original, penaltyPercent)),
+    },
+    latePenalty,
+  };
+}
+
+/**
+ * Prompt text telling the simulation a decision was late, or null when the
+ * penalty isn't applied through the AI.
+ */
+function describeLatenessForPrompt(challenge, late) {
+  const policy = resolveLatePolicy(challenge);
+  const penaltyPercent = effectivePenaltyPercent(late);
+  if (policy.applyTo !== "ai_context" || penaltyPercent <= 0) return null;
+  const days = late.daysLate === 1 ? "1 day" : `${late.daysLate} days`;
+  return (
+    `IMPORTANT (LATE SUBMISSION): These decisions were submitted ${days} after the deadline. ` +
+    `The late policy calls for a ${penaltyPercent}% penalty. Reflect the delay in the results, ` +
+    `for example lost sales or missed opportunities, roughly in proportion to that penalty, and mention it in the summary.`
+  );
+}
+
+module.exports = {
+  LATE_PENALTY_TARGETS,
+  resolveLatePolicy,
+  normalizeLatePolicyInput,
+  computeLateness,
+  stampLateness,
+  effectivePenaltyPercent,
+  penalizeValue,
+  applyLatePenalty,
+  describeLatenessForPrompt,
+};
@@ -0,0 +1,163 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  resolveLatePolicy,
+  normalizeLatePolicyInput,
+  computeLateness,
+  stampLateness,
+  applyLatePenalty,
+  describeLatenessForPrompt,
+} = require("./latePolicy");
+
+const deadline = new Date("2026-10-05T17:00:00Z");
+const challenge = (policy = {}, allowLateSubmissions = true) => ({
+  submissionDeadlineAt: deadline,
+  allowLateSubmissions,
+  lateSubmissionPolicy: { penaltyPercentPerDay: 10, ...policy },
+});
+
+test("computeLateness counts part days as whole days", () => {
+  assert.equal(computeLateness(challenge(), new Date("2026-10-05T16:59:00Z")), null);
+  assert.equal(computeLateness(challenge(), deadline), null);
+  assert.deepEqual(computeLateness(challenge(), new Date("2026-10-05T17:01:00Z")), {
+    deadlineAt: deadline,
+    daysLate: 1,
+    penaltyPercent: 10,
+  });
+  assert.equal(
+    computeLateness(challenge(), new Date("2026-10-07T18:00:00Z")).daysLate,
+    3
+  );
+  assert.equal(
+    computeLateness(challenge(), new Date("2026-10-30T18:00:00Z")).penaltyPercent,
+    100
+  );
+  assert.equal(computeLateness({ submissionDeadlineAt: null }, new Date()), null);
+});
+
+test("stampLateness rejects late work unless the challenge allows it", () => {
+  const late = new Date("2026-10-06T12:00:00Z");
+  assert.throws(
+    () => stampLateness(challenge({}, false), late),
+    (error) => error.statusCode === 409 && error.code === "SUBMISSION_DEADLINE_PASSED"
+  );
+  assert.equal(stampLateness(challenge({}, false), new Date("2026-10-05T12:00:00Z")), null);
+
+  const waivedAt = new Date("2026-10-06T13:00:00Z");
+  const stamp = stampLateness(challenge(), late, {
+    waivedAt,
+    waivedBy: "user_teacher",
+    waiverReason: "Illness",
+  });
+  assert.equal(stamp.daysLate, 1);
+  assert.equal(stamp.waivedAt, waivedAt);
+  assert.equal(stamp.waiverReason, "Illness");
+});
+
+test("normalizeLatePolicyInput validates the penalty and its target", () => {
+  assert.deepEqual(normalizeLatePolicyInput({ penaltyPercentPerDay: 5 }), {
+    penaltyPercentPerDay: 5,
+    applyTo: "gradebook",
+    metricKey: null,
+  });
+  assert.deepEqual(
+    normalizeLatePolicyInput({ penaltyPercentPerDay: "5", applyTo: "metric", metricKey: " score " }),
+    { penaltyPercentPerDay: 5, applyTo: "metric", metricKey: "score" }
+  );
+  for (const input of [
+    null,
+    { penaltyPercentPerDay: -1 },
+    { penaltyPercentPerDay: 150 },
+    { applyTo: "email" },
+    { applyTo: "metric" },
+  ]) {
+    assert.throws(
+      () => normalizeLatePolicyInput(input),
+      (error) => error.statusCode === 400 && error.code === "INVALID_LATE_POLICY"
+    );
+  }
+});
+
+test("applyLatePenalty reduces the configured metric", () => {
+  const policy = resolveLatePolicy(challenge({ applyTo: "metric", metricKey: "score" }));
+  const late = { daysLate: 2, penaltyPercent: 20 };
+
+  const result = applyLatePenalty({ score: 87.5, revenue: 100 }, late, policy, Math.round);
+  assert.deepEqual(result.metrics, { score: 70, revenue: 100 });
+  assert.deepEqual(result.latePenalty, {
+    daysLate: 2,
+    penaltyPercent: 20,
+    applyTo: "metric",
+    metricKey: "score",
+    originalValue: 87.5,
+    waived: false,
+  });
+
+  const waived = applyLatePenalty({ score: 87.5 }, { ...late, waivedAt: new Date() }, policy);
+  assert.deepEqual(waived.metrics, { score: 87.5 });
+  assert.equal(waived.latePenalty.waived, true);
+  assert.equal(waived.latePenalty.originalValue, null);
+});
+
+test("applyLatePenalty lowers negative metrics further", () => {
+  const policy = resolveLatePolicy(challenge({ applyTo: "metric", metricKey: "netIncome" }));
+  const late = { daysLate: 1, penaltyPercent: 10 };
+
+  const result = applyLatePenalty({ netIncome: -1000 }, late, policy);
+  assert.deepEqual(result.metrics, { netIncome: -1100 });
+  assert.equal(result.latePenalty.originalValue, -1000);
+});
+
+test("applyLatePenalty only records the penalty for other targets", () => {
+  const metrics = { score: 80 };
+  const late = { daysLate: 1, penaltyPercent: 10 };
+
+  const gradebook = applyLatePenalty(metrics, late, resolveLatePolicy(challenge()));
+  assert.equal(gradebook.metrics, metrics);
+  assert.equal(gradebook.latePenalty.applyTo, "gradebook");
+  assert.equal(gradebook.latePenalty.metricKey, null);
+
+  assert.deepEqual(applyLatePenalty(metrics, null, resolveLatePolicy(challenge())), {
+    metrics,
+    latePenalty: null,
+  });
+});
+
+test("describeLatenessForPrompt only speaks for ai_context penalties in force", () => {
+  const late = { daysLate: 2, penaltyPercent: 20 };
+  assert.match(
+    describeLatenessForPrompt(challenge({ applyTo: "ai_context" }), late),
+    /submitted 2 days after the deadline.*20% penalty/
+  );
+  assert.equal(describeLatenessForPrompt(challenge(), late), null);
+  assert.equal(
+    describeLatenessForPrompt(challenge({ applyTo: "ai_context" }), {
+      ...late,
+      waivedAt: new Date(),
+    }),
+    null
+  );
+});
+
+test("computeLateness measures from the student's own deadline when given", () => {
+  const submittedAt = new Date("2026-10-06T12:00:00Z");
+  assert.equal(
+    computeLateness(challenge(), submittedAt, {
+      deadlineAt: new Date("2026-10-07T17:00:00Z"),
+    }),
+    null
+  );
+  assert.equal(
+    stampLateness(challenge({}, false), submittedAt, null, {
+      deadlineAt: new Date("2026-10-07T17:00:00Z"),
+    }),
+    null
+  );
+  assert.equal(
+    computeLateness(challenge(), new Date("2026-10-08T12:00:00Z"), {
+      deadlineAt: new Date("2026-10-07T17:00:00Z"),
+    }).daysLate,
+    1
+  );
+});
@@ -0,0 +1,39 @@
+/**
+ * Release hold from outlier review (services/outlierReview). While a
+ * challenge's `outlierReview.status` is "checking" (results still being
+ * calculated) or "pending" (flagged entries await the instructor), feedback
+ * is not released automatically: IMMEDIATE results stay hidden and the
+ * DELAYED release waits. Feedback that is already released stays released,
+ * and an instructor can still release manually.
+ */
+
+const HELD_STATUSES = ["checking", "pending"];
+
+function isReleaseHeld(challenge) {
+  return HELD_STATUSES.includes(challenge?.outlierReview?.status);
+}
+
+/**
+ * IMMEDIATE feedback that is not held back: students see results as soon as
+ * they are written.
+ */
+function releasesImmediately(challenge) {
+  return challenge?.feedbackReleaseMode === "IMMEDIATE" && !isReleaseHeld(challenge);
+}
+
+/**
+ * Query clause matching challenges for which releasesImmediately is true.
+ */
+function immediateReleaseQuery() {
+  return {
+    feedbackReleaseMode: "IMMEDIATE",
+    "outlierReview.status": { $nin: HELD_STATUSES },
+  };
+}
+
+module.exports = {
+  HELD_STATUSES,
+  isReleaseHeld,
+  releasesImmediately,
+  immediateReleaseQuery,
+};
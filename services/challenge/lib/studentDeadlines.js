@@ -0,0 +1,194 @@
+/**
+ * Per-student deadlines. A student's deadlines are the challenge's own
+ * `submissionDeadlineAt`/`closeSubmissionsAt` unless they have
+ *
+ * - a DeadlineExtension for the challenge: new dates for that one challenge
+ * - a standing accommodation on their enrollment (`accommodations.extraTimeHours`):
+ *   both challenge dates pushed back by that many hours, on every challenge
+ *
+ * A per-challenge extension wins over the accommodation. Multi-round
+ * challenges keep their round deadlines and ignore both.
+ *
+ * While an extended student's window is open they can still submit after the
+ * challenge locks. Processing either waits for them (`extensionProcessing:
+ * "WAIT"`) or runs without them and simulates them in a follow-up once their
+ * window closes (`"FOLLOW_UP"`, tracked in `Challenge.deferredStudents`).
+ */
+
+const challengeRounds = require("./challengeRounds");
+
+const EXTENSION_PROCESSING_MODES = ["WAIT", "FOLLOW_UP"];
+const MAX_ACCOMMODATION_HOURS = 30 * 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+function makeDeadlineError(message, statusCode, code, details = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+function toDateOrNull(value) {
+  return value ? new Date(value) : null;
+}
+
+function shift(date, ms) {
+  return date ? new Date(date.getTime() + ms) : null;
+}
+
+/**
+ * Validate an enrollment `accommodations` update.
+ */
+function normalizeAccommodationsInput(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw makeDeadlineError(
+      "accommodations must be an object",
+      400,
+      "INVALID_ACCOMMODATIONS"
+    );
+  }
+
+  const extraTimeHours =
+    value.extraTimeHours === undefined || value.extraTimeHours === null
+      ? 0
+      : Number(value.extraTimeHours);
+  if (
+    !Number.isFinite(extraTimeHours) ||
+    extraTimeHours < 0 ||
+    extraTimeHours > MAX_ACCOMMODATION_HOURS
+  ) {
+    throw makeDeadlineError(
+      `accommodations.extraTimeHours must be between 0 and ${MAX_ACCOMMODATION_HOURS}`,
+      400,
+      "INVALID_ACCOMMODATIONS"
+    );
+  }
+
+  if (value.note !== undefined && typeof value.note !== "string") {
+    throw makeDeadlineError(
+      "accommodations.note must be a string",
+      400,
+      "INVALID_ACCOMMODATIONS"
+    );
+  }
+
+  return { extraTimeHours, note: (value.note || "").trim() };
+}
+
+/**
+ * A student's effective deadlines for a challenge.
+ *
+ * @param {Object} challenge
+ * @param {Object} [sources]
+ * @param {Object} [sources.extension] - DeadlineExtension for this challenge and student
+ * @param {Object} [sources.accommodations] - Enrollment.accommodations
+ * @returns {{ submissionDeadlineAt: Date|null, closeSubmissionsAt: Date|null, extended: boolean, source: string }}
+ *   `source` is "challenge", "extension" or "accommodation"
+ */
+function resolveStudentDeadlines(challenge, { extension, accommodations } = {}) {
+  const submissionDeadlineAt = toDateOrNull(challenge?.submissionDeadlineAt);
+  const closeSubmissionsAt = toDateOrNull(challenge?.closeSubmissionsAt);
+  const base = {
+    submissionDeadlineAt,
+    closeSubmissionsAt,
+    extended: false,
+    source: "challenge",
+  };
+  if (challengeRounds.hasRounds(challenge)) return base;
+
+  if (extension?.submissionDeadlineAt) {
+    const extendedDeadline = new Date(extension.submissionDeadlineAt);
+    // Without an explicit close, keep the challenge's late window after the new deadline
+    const lateWindowMs =
+      submissionDeadlineAt && closeSubmissionsAt
+        ? Math.max(0, closeSubmissionsAt.getTime() - submissionDeadlineAt.getTime())
+        : 0;
+    return {
+      submissionDeadlineAt: extendedDeadline,
+      closeSubmissionsAt: extension.closeSubmissionsAt
+        ? new Date(extension.closeSubmissionsAt)
+        : shift(extendedDeadline, lateWindowMs),
+      extended: true,
+      source: "extension",
+    };
+  }
+
+  const extraTimeHours = Number(accommodations?.extraTimeHours) || 0;
+  if (extraTimeHours > 0 && (submissionDeadlineAt || closeSubmissionsAt)) {
+    const extraMs = extraTimeHours * HOUR_MS;
+    return {
+      submissionDeadlineAt: shift(submissionDeadlineAt, extraMs),
+      closeSubmissionsAt: shift(closeSubmissionsAt, extraMs),
+      extended: true,
+      source: "accommodation",
+    };
+  }
+
+  return base;
+}
+
+/**
+ * When the student's submission window ends: their close date, or their
+ * deadline when the challenge has no separate close.
+ */
+function studentCloseAt(deadlines) {
+  return deadlines?.closeSubmissionsAt || deadlines?.submissionDeadlineAt || null;
+}
+
+/**
+ * Whether an extended student can still submit at `now`.
+ */
+function isExtensionOpen(deadlines, now = new Date()) {
+  const closeAt = studentCloseAt(deadlines);
+  return Boolean(deadlines?.extended && closeAt && closeAt > now);
+}
+
+/**
+ * Whether processing ran without this student, who is still waiting on a
+ * follow-up run.
+ */
+function isDeferredStudent(challenge, userId) {
+  return (challenge?.deferredStudents || []).some(
+    (entry) => entry.status === "pending" && String(entry.userId) === String(userId)
+  );
+}
+
+/**
+ * Whether a student may submit or edit their decision at `now`, given their
+ * resolved deadlines. `reason` is "closed" (results were processed) or
+ * "locked" (submissions were closed) when they may not.
+ *
+ * @returns {{ open: boolean, reason: string|null }}
+ */
+function getSubmissionWindow(challenge, deadlines, userId, now = new Date()) {
+  const extensionOpen = isExtensionOpen(deadlines, now);
+  if (challenge.isClosed) {
+    return extensionOpen && isDeferredStudent(challenge, userId)
+      ? { open: true, reason: null }
+      : { open: false, reason: "closed" };
+  }
+  if (challenge.isLockedForStudents && !extensionOpen) {
+    return { open: false, reason: "locked" };
+  }
+  return { open: true, reason: null };
+}
+
+function resolveExtensionProcessing(challenge) {
+  return EXTENSION_PROCESSING_MODES.includes(challenge?.extensionProcessing)
+    ? challenge.extensionProcessing
+    : "WAIT";
+}
+
+module.exports = {
+  EXTENSION_PROCESSING_MODES,
+  MAX_ACCOMMODATION_HOURS,
+  makeDeadlineError,
+  normalizeAccommodationsInput,
+  resolveStudentDeadlines,
+  studentCloseAt,
+  isExtensionOpen,
+  isDeferredStudent,
+  getSubmissionWindow,
+  resolveExtensionProcessing,
+};
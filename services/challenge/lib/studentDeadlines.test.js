@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  normalizeAccommodationsInput,
+  resolveStudentDeadlines,
+  isExtensionOpen,
+  getSubmissionWindow,
+} = require("./studentDeadlines");
+
+const deadline = new Date("2026-10-05T17:00:00Z");
+const close = new Date("2026-10-06T17:00:00Z");
+const challenge = (overrides = {}) => ({
+  submissionDeadlineAt: deadline,
+  closeSubmissionsAt: close,
+  isClosed: false,
+  isLockedForStudents: false,
+  deferredStudents: [],
+  ...overrides,
+});
+
+test("resolveStudentDeadlines shifts both dates for an accommodation", () => {
+  assert.deepEqual(resolveStudentDeadlines(challenge()), {
+    submissionDeadlineAt: deadline,
+    closeSubmissionsAt: close,
+    extended: false,
+    source: "challenge",
+  });
+
+  assert.deepEqual(
+    resolveStudentDeadlines(challenge(), { accommodations: { extraTimeHours: 48 } }),
+    {
+      submissionDeadlineAt: new Date("2026-10-07T17:00:00Z"),
+      closeSubmissionsAt: new Date("2026-10-08T17:00:00Z"),
+      extended: true,
+      source: "accommodation",
+    }
+  );
+});
+
+test("a per-challenge extension wins and keeps the late window", () => {
+  const deadlines = resolveStudentDeadlines(challenge(), {
+    extension: { submissionDeadlineAt: new Date("2026-10-10T17:00:00Z") },
+    accommodations: { extraTimeHours: 48 },
+  });
+  assert.equal(deadlines.source, "extension");
+  assert.deepEqual(deadlines.closeSubmissionsAt, new Date("2026-10-11T17:00:00Z"));
+
+  const explicit = resolveStudentDeadlines(challenge(), {
+    extension: {
+      submissionDeadlineAt: new Date("2026-10-10T17:00:00Z"),
+      closeSubmissionsAt: new Date("2026-10-10T18:00:00Z"),
+    },
+  });
+  assert.deepEqual(explicit.closeSubmissionsAt, new Date("2026-10-10T18:00:00Z"));
+});
+
+test("multi-round challenges ignore extensions and accommodations", () => {
+  const deadlines = resolveStudentDeadlines(
+    challenge({ rounds: [{ key: "monday" }, { key: "thursday" }] }),
+    { accommodations: { extraTimeHours: 48 } }
+  );
+  assert.equal(deadlines.extended, false);
+  assert.deepEqual(deadlines.closeSubmissionsAt, close);
+});
+
+test("getSubmissionWindow lets extended students past the lock", () => {
+  const now = new Date("2026-10-07T00:00:00Z");
+  const extended = resolveStudentDeadlines(challenge(), {
+    accommodations: { extraTimeHours: 48 },
+  });
+  const regular = resolveStudentDeadlines(challenge());
+  const locked = challenge({ isLockedForStudents: true });
+
+  assert.equal(isExtensionOpen(extended, now), true);
+  assert.deepEqual(getSubmissionWindow(locked, extended, "m1", now), {
+    open: true,
+    reason: null,
+  });
+  assert.deepEqual(getSubmissionWindow(locked, regular, "m1", now), {
+    open: false,
+    reason: "locked",
+  });
+  assert.equal(
+    getSubmissionWindow(locked, extended, "m1", new Date("2026-10-09T00:00:00Z")).open,
+    false
+  );
+
+  // Once processed, only students deferred to a follow-up may still submit
+  const closed = challenge({
+    isClosed: true,
+    isLockedForStudents: true,
+    deferredStudents: [{ userId: "m1", status: "pending" }],
+  });
+  assert.equal(getSubmissionWindow(closed, extended, "m1", now).open, true);
+  assert.deepEqual(getSubmissionWindow(closed, extended, "m2", now), {
+    open: false,
+    reason: "closed",
+  });
+});
+
+test("normalizeAccommodationsInput validates extra time", () => {
+  assert.deepEqual(normalizeAccommodationsInput({ extraTimeHours: "48", note: " IEP " }), {
+    extraTimeHours: 48,
+    note: "IEP",
+  });
+  assert.deepEqual(normalizeAccommodationsInput({}), { extraTimeHours: 0, note: "" });
+  for (const input of [null, [], { extraTimeHours: -1 }, { extraTimeHours: 1000 }, { note: 5 }]) {
+    assert.throws(
+      () => normalizeAccommodationsInput(input),
+      (error) => error.statusCode === 400 && error.code === "INVALID_ACCOMMODATIONS"
+    );
+  }
+});
@@ -1,10 +1,24 @@
 const test = require("node:test");
 const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
 
+const Challenge = require("./challenge.model");
+const Classroom = require("../classroom/classroom.model");
+const LedgerCompletionEvent = require("../job/ledgerCompletionEvent.model");
+const DeadlineExtension = require("./deadlineExtension.model");
+const Decision = require("../decision/decision.model");
+const Outcome = require("../outcome/outcome.model");
+const MarketClearing = require("../market/marketClearing.model");
+const SimulationJob = require("../job/job.model");
+const JobService = require("../job/lib/jobService");
 const {
   markOutcomeProcessingFailed,
+  processOutcomeProcessingJob,
+  processFollowUpOutcome,
 } = require("../../lib/queues/outcome-processing-worker");
 
+const lean = (value) => ({ lean: async () => value });
+
 test("outcome processing only marks a challenge failed after the final attempt", async () => {
   const updates = [];
   const ChallengeModel = {
@@ -43,3 +57,100 @@ test("outcome processing only marks a challenge failed after the final attempt",
   assert.equal(updates[0][1].$set.automationError, "permanent failure");
   assert.ok(updates[0][1].$set.automationLastCheckedAt instanceof Date);
 });
+
+test("a retried follow-up only creates jobs the failed attempt did not", async (t) => {
+  const challenge = { _id: "507f1f77bcf86cd799439011", classroomId: "507f1f77bcf86cd799439012" };
+  const decisions = [
+    { _id: "507f1f77bcf86cd7994390d1", userId: "507f1f77bcf86cd7994390a1" },
+    { _id: "507f1f77bcf86cd7994390d2", userId: "507f1f77bcf86cd7994390a2" },
+  ];
+  const created = [];
+  const statusUpdates = [];
+  let failNext = true;
+
+  t.mock.method(DeadlineExtension, "getDueFollowUps", async () =>
+    decisions.map((decision) => decision.userId)
+  );
+  t.mock.method(Outcome, "getOutcomeByScenario", async () => ({
+    autoGenerateSubmissionsOnOutcome: "SKIP",
+  }));
+  t.mock.method(MarketClearing, "findOne", () => lean(null));
+  t.mock.method(Decision, "find", () => ({ select: () => lean(decisions) }));
+  t.mock.method(SimulationJob, "find", () => ({
+    select: () => lean(created.map((job) => ({ decisionId: job.decisionId }))),
+  }));
+  t.mock.method(JobService, "createJob", async (params) => {
+    if (created.length === 1 && failNext) {
+      failNext = false;
+      throw new Error("queue unavailable");
+    }
+    const job = { _id: `job-${created.length + 1}`, decisionId: params.decisionId };
+    created.push(job);
+    return job;
+  });
+  t.mock.method(Challenge, "updateOne", async (...args) => {
+    statusUpdates.push(args);
+  });
+
+  const payload = { organizationId: "org1", clerkUserId: "user_1" };
+  await assert.rejects(processFollowUpOutcome(challenge, payload), /queue unavailable/);
+  assert.equal(statusUpdates.length, 0);
+
+  const result = await processFollowUpOutcome(challenge, payload);
+
+  assert.deepEqual(
+    created.map((job) => job.decisionId),
+    decisions.map((decision) => decision._id)
+  );
+  assert.equal(result.jobsCreated, 1);
+  assert.equal(result.jobsExisting, 1);
+  assert.equal(statusUpdates.length, 1);
+});
+
+test("outcome processing creates jobs and starts result calculation", async (t) => {
+  const calculations = [];
+  const challenge = {
+    _id: "507f1f77bcf86cd799439011",
+    classroomId: "507f1f77bcf86cd799439012",
+    isClosed: false,
+    automationMode: "MANUAL",
+    beginResultCalculation: async (clerkUserId) => {
+      calculations.push(clerkUserId);
+    },
+  };
+  const scenarioCalls = [];
+
+  t.mock.method(mongoose, "connect", async () => mongoose);
+  t.mock.method(Challenge, "findOne", async () => challenge);
+  t.mock.method(Outcome, "getOutcomeByScenario", async () => ({
+    autoGenerateSubmissionsOnOutcome: "SKIP",
+  }));
+  t.mock.method(DeadlineExtension, "getOpenExtensions", async () => []);
+  t.mock.method(Classroom, "findById", () => ({ select: () => lean(null) }));
+  t.mock.method(JobService, "createJobsForScenario", async (...args) => {
+    scenarioCalls.push(args);
+    return [{ _id: "job-1" }, { _id: "job-2" }];
+  });
+  t.mock.method(LedgerCompletionEvent, "recordChallengeLedgersComplete", async () => ({
+    ready: false,
+    event: null,
+  }));
+
+  const result = await processOutcomeProcessingJob({
+    data: {
+      challengeId: challenge._id,
+      organizationId: "org1",
+      clerkUserId: "user_1",
+    },
+  });
+
+  assert.equal(result.success, true);
+  assert.equal(result.jobsCreated, 2);
+  assert.equal(result.deferredStudents, 0);
+  assert.equal(result.market, null);
+  assert.equal(result.ledgerCompletionReady, false);
+  assert.equal(scenarioCalls.length, 1);
+  assert.deepEqual(scenarioCalls[0][5].excludeUserIds, []);
+  assert.deepEqual(calculations, ["user_1"]);
+  assert.deepEqual(challenge.deferredStudents, []);
+});
@@ -2,6 +2,7 @@ const Classroom = require("./classroom.model");
 const Member = require("../members/member.model");
 const Enrollment = require("../enrollment/enrollment.model");
 const { sendEmail } = require("../../lib/sendGrid/sendEmail");
+const { getAuth } = require("@clerk/express");
 
 /**
  * Create a new class
@@ -274,6 +275,11 @@ exports.updateClass = async function (req, res) {
       accessCode,
       allowAnonymousJoin,
       automationSettings,
+      simulationSettings,
+      marketSettings,
+      outlierReviewSettings,
+      leaderboardSettings,
+      aiSettings,
     } = req.body;
     const organizationId = req.organization._id;
     const clerkUserId = req.clerkUser.id;
@@ -323,6 +329,78 @@ exports.updateClass = async function (req, res) {
     if (automationSettings !== undefined) {
       classroom.automationSettings = automationSettings;
     }
+    if (simulationSettings !== undefined) {
+      if (!simulationSettings || typeof simulationSettings !== "object") {
+        return res
+          .status(400)
+          .json({ error: "simulationSettings must be an object" });
+      }
+      if (simulationSettings.engine !== undefined) {
+        classroom.simulationSettings.engine = simulationSettings.engine;
+      }
+      if (simulationSettings.narrativeMode !== undefined) {
+        classroom.simulationSettings.narrativeMode =
+          simulationSettings.narrativeMode;
+      }
+      if (simulationSettings.formulaCheck !== undefined) {
+        classroom.simulationSettings.formulaCheck =
+          simulationSettings.formulaCheck;
+      }
+    }
+    if (marketSettings !== undefined) {
+      const {
+        normalizeMarketSettings,
+        assertMarketVariables,
+      } = require("../market/lib/marketSettings");
+      const settings = normalizeMarketSettings(
+        marketSettings,
+        classroom.marketSettings
+      );
+      await assertMarketVariables(classroom._id, settings);
+      classroom.marketSettings = settings;
+    }
+    if (outlierReviewSettings !== undefined) {
+      const {
+        normalizeOutlierReviewSettings,
+        assertReviewMetrics,
+      } = require("../outlierReview/lib/reviewSettings");
+      const settings = normalizeOutlierReviewSettings(
+        outlierReviewSettings,
+        classroom.outlierReviewSettings
+      );
+      await assertReviewMetrics(classroom._id, settings);
+      classroom.outlierReviewSettings = settings;
+    }
+    if (aiSettings !== undefined) {
+      if (!aiSettings || typeof aiSettings !== "object") {
+        return res.status(400).json({ error: "aiSettings must be an object" });
+      }
+      for (const field of [
+        "provider",
+        "simulationModel",
+        "decisionModel",
+        "challengeModel",
+      ]) {
+        if (aiSettings[field] !== undefined) {
+          classroom.aiSettings[field] = aiSettings[field] || null;
+        }
+      }
+    }
+    if (leaderboardSettings !== undefined) {
+      if (!leaderboardSettings || typeof leaderboardSettings !== "object") {
+        return res
+          .status(400)
+          .json({ error: "leaderboardSettings must be an object" });
+      }
+      if (leaderboardSettings.visibleToStudents !== undefined) {
+        classroom.leaderboardSettings.visibleToStudents =
+          !!leaderboardSettings.visibleToStudents;
+      }
+      if (leaderboardSettings.anonymizeForStudents !== undefined) {
+        classroom.leaderboardSettings.anonymizeForStudents =
+          !!leaderboardSettings.anonymizeForStudents;
+      }
+    }
 
     // Update classroom prompts (optional)
     // - omit prompts => no change
@@ -408,9 +486,20 @@ exports.getAllClassrooms = async function (req, res) {
       select: "firstName lastName",
     });
 
+    // The access code gates joining, so only admins and owners may see it
+    const isOrgAdmin = getAuth(req)?.orgRole === "org:admin";
+    const memberId = req.user?._id?.toString();
+
     res.json({
       success: true,
-      data: classrooms,
+      data: classrooms.map((classroom) => {
+        const data = classroom.toObject();
+        const ownerId = (classroom.ownership?._id || classroom.ownership)?.toString();
+        if (!isOrgAdmin && (!memberId || ownerId !== memberId)) {
+          delete data.accessCode;
+        }
+        return data;
+      }),
     });
   } catch (error) {
     console.error("Error getting all classrooms:", error);
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const baseSchema = require("../../lib/baseSchema");
+const { LLM_PROVIDERS, resolveLLM } = require("../../lib/llm");
 const Enrollment = require("../enrollment/enrollment.model");
 const Challenge = require("../challenge/challenge.model");
 const Decision = require("../decision/decision.model");
@@ -8,6 +9,7 @@ const Outcome = require("../outcome/outcome.model");
 const Profile = require("../profile/profile.model");
 const VariableDefinition = require("../variableDefinition/variableDefinition.model");
 const ClassroomTemplate = require("../classroomTemplate/classroomTemplate.model");
+const { immediateReleaseQuery } = require("../challenge/lib/releaseHold");
 /**
  * @openapi
  * components:
@@ -87,6 +89,116 @@ const ClassroomTemplate = require("../classroomTemplate/classroomTemplate.model"
  *             missingSubmissionPolicy:
  *               type: string
  *               enum: [FORWARD_PREVIOUS, USE_DEFAULTS, SKIP]
+ *         simulationSettings:
+ *           type: object
+ *           properties:
+ *             engine:
+ *               type: string
+ *               enum: [ai, formula]
+ *               description: How weekly metrics are computed. `formula` evaluates each MetricDefinition.formula deterministically.
+ *             narrativeMode:
+ *               type: string
+ *               enum: [ai, template]
+ *               description: For the formula engine, whether the summary/randomEvent narrative comes from the AI or a built-in template (no network).
+ *             formulaCheck:
+ *               type: string
+ *               enum: [verify, recompute, "off"]
+ *               description: For the AI engine, whether metrics with a MetricDefinition.formula are only verified against it (discrepancies recorded in the ledger's calculationContext) or recomputed from it.
+ *         marketSettings:
+ *           type: object
+ *           description: Optional shared market (services/market). When enabled, each challenge's demand pool is split between students by price, quality and marketing before the per-student simulations run.
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *             demandPool:
+ *               type: number
+ *               nullable: true
+ *               description: Demand units shared by the class each challenge (or round).
+ *             demandPoolVariable:
+ *               type: string
+ *               nullable: true
+ *               description: Outcome variable whose value, when numeric, replaces demandPool.
+ *             priceVariable:
+ *               type: string
+ *               nullable: true
+ *               description: Numeric decision variable holding the student's price. Required when enabled.
+ *             qualityVariable:
+ *               type: string
+ *               nullable: true
+ *             marketingVariable:
+ *               type: string
+ *               nullable: true
+ *             weights:
+ *               type: object
+ *               description: How strongly each factor moves share (0 to 5; 0 ignores it).
+ *               properties:
+ *                 price:
+ *                   type: number
+ *                 quality:
+ *                   type: number
+ *                 marketing:
+ *                   type: number
+ *         outlierReviewSettings:
+ *           type: object
+ *           description: Optional outlier review (services/outlierReview). When enabled, a challenge's ledger entries are checked against the class and each student's own history once they complete, and flagged entries hold back IMMEDIATE/DELAYED feedback until the instructor approves, overrides or reruns them.
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *             classThreshold:
+ *               type: number
+ *               description: Modified z-score (against the class) at which a value is flagged. Default 3.5.
+ *             historyThreshold:
+ *               type: number
+ *               description: Modified z-score of the change from the student's previous value, against their earlier changes. Default 3.5.
+ *             minClassSize:
+ *               type: integer
+ *               description: Entries with a value needed for the class check. Default 5.
+ *             minHistory:
+ *               type: integer
+ *               description: Earlier period-to-period changes needed for the history check. Default 3.
+ *             metricKeys:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               description: Numeric metrics to check; empty checks all of them.
+ *         aiSettings:
+ *           type: object
+ *           description: LLM provider/model for this classroom. Unset fields fall back to LLM_PROVIDER and the provider's default models.
+ *           properties:
+ *             provider:
+ *               type: string
+ *               nullable: true
+ *               enum: [openai, gemini, openai-compatible]
+ *             simulationModel:
+ *               type: string
+ *               nullable: true
+ *             decisionModel:
+ *               type: string
+ *               nullable: true
+ *               description: Model for auto-generated student decisions.
+ *             challengeModel:
+ *               type: string
+ *               nullable: true
+ *               description: Model for AI-drafted challenges.
+ *         leaderboardSettings:
+ *           type: object
+ *           properties:
+ *             visibleToStudents:
+ *               type: boolean
+ *               description: Whether students can see the class leaderboard.
+ *             anonymizeForStudents:
+ *               type: boolean
+ *               description: Replace other students' names with stable aliases on the student leaderboard.
+ *         aiBudget:
+ *           type: object
+ *           description: Monthly (UTC) limits on estimated AI spend for this classroom. The hard limit blocks new AI work.
+ *           properties:
+ *             softLimitUsd:
+ *               type: number
+ *               nullable: true
+ *             hardLimitUsd:
+ *               type: number
+ *               nullable: true
  */
 const classroomSchema = new mongoose.Schema({
   name: {
@@ -206,6 +318,144 @@ const classroomSchema = new mongoose.Schema({
       default: "USE_DEFAULTS",
     },
   },
+  // Which engine computes weekly results. "ai" asks the model for every
+  // metric; "formula" evaluates MetricDefinition.formula deterministically and
+  // only uses the AI (or a template) for the narrative.
+  simulationSettings: {
+    engine: {
+      type: String,
+      enum: ["ai", "formula"],
+      default: "ai",
+    },
+    narrativeMode: {
+      type: String,
+      enum: ["ai", "template"],
+      default: "ai",
+    },
+    // AI engine only: "verify" records where the model disagrees with a
+    // metric's formula, "recompute" replaces the model's value with it.
+    formulaCheck: {
+      type: String,
+      enum: ["verify", "recompute", "off"],
+      default: "verify",
+    },
+  },
+  // Optional shared market (services/market): before the per-student jobs,
+  // the class demand pool is split by price, quality and marketing, and each
+  // student's share becomes a simulation input.
+  marketSettings: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    demandPool: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    demandPoolVariable: {
+      type: String,
+      default: null,
+    },
+    priceVariable: {
+      type: String,
+      default: null,
+    },
+    qualityVariable: {
+      type: String,
+      default: null,
+    },
+    marketingVariable: {
+      type: String,
+      default: null,
+    },
+    weights: {
+      price: { type: Number, default: 1, min: 0, max: 5 },
+      quality: { type: Number, default: 1, min: 0, max: 5 },
+      marketing: { type: Number, default: 1, min: 0, max: 5 },
+    },
+  },
+  // Optional outlier review (services/outlierReview): completed ledger
+  // entries far from the class or the student's own history are flagged,
+  // and automatic feedback release waits for the instructor.
+  outlierReviewSettings: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    classThreshold: {
+      type: Number,
+      default: 3.5,
+      min: 1,
+    },
+    historyThreshold: {
+      type: Number,
+      default: 3.5,
+      min: 1,
+    },
+    minClassSize: {
+      type: Number,
+      default: 5,
+      min: 3,
+    },
+    minHistory: {
+      type: Number,
+      default: 3,
+      min: 2,
+    },
+    metricKeys: {
+      type: [String],
+      default: [],
+    },
+  },
+  // LLM provider/model selection (lib/llm). null = deployment default.
+  aiSettings: {
+    provider: {
+      type: String,
+      enum: [...LLM_PROVIDERS, null],
+      default: null,
+    },
+    simulationModel: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    decisionModel: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    challengeModel: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+  },
+  // Student access to the leaderboard (services/leaderboard). Admins always
+  // see names.
+  leaderboardSettings: {
+    visibleToStudents: {
+      type: Boolean,
+      default: true,
+    },
+    anonymizeForStudents: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  // Monthly estimated AI spend limits (services/aiUsage). null = no limit.
+  aiBudget: {
+    softLimitUsd: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    hardLimitUsd: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+  },
 }).add(baseSchema);
 
 // Indexes for performance
@@ -278,88 +528,40 @@ classroomSchema.statics.getDashboard = async function (
   }
 
   const MetricDefinition = require("../metricDefinition/metricDefinition.model");
-  const [leaderboardDef, metricDefinitionCount] = await Promise.all([
-    MetricDefinition.findOne({
-      classroomId,
-      organization: organizationId,
-      isActive: true,
-      dataType: "number",
-      "displayIn.leaderboard": true,
-    }).sort({ sortOrder: 1, label: 1 }),
+  const LeaderboardService = require("../leaderboard/lib/leaderboardService");
+  const [leaderboard, metricDefinitionCount] = await Promise.all([
+    LeaderboardService.getLeaderboard(classroomId, organizationId, {
+      limit: 10,
+    }),
     MetricDefinition.countDocuments({
       classroomId,
       organization: organizationId,
     }),
   ]);
 
-  let leaderboardTop10 = [];
-  let leaderboardMetric = null;
-
-  if (leaderboardDef) {
-    const metricPath = `$metrics.${leaderboardDef.key}`;
-    leaderboardMetric = {
-      key: leaderboardDef.key,
-      label: leaderboardDef.label,
-      format: leaderboardDef.format,
-    };
-
-    leaderboardTop10 = await LedgerEntry.aggregate([
-      {
-        $match: {
-          classroomId: new mongoose.Types.ObjectId(classroomId),
-          challengeId: { $ne: null },
-        },
-      },
-      {
-        $group: {
-          _id: "$userId",
-          metricTotal: { $sum: { $ifNull: [metricPath, 0] } },
-          classroomId: { $first: "$classroomId" },
-        },
-      },
-      { $sort: { metricTotal: -1 } },
-      { $limit: 10 },
-      {
-        $lookup: {
-          from: "profiles",
-          let: {
-            userIdField: "$_id",
-            classroomIdField: "$classroomId",
-          },
-          pipeline: [
-            {
-              $match: {
-                $expr: {
-                  $and: [
-                    { $eq: ["$userId", "$$userIdField"] },
-                    { $eq: ["$classroomId", "$$classroomIdField"] },
-                  ],
-                },
-              },
-            },
-            {
-              $project: {
-                shopName: 1,
-                studentId: 1,
-                _id: 1,
-              },
-            },
-          ],
-          as: "profile",
-        },
-      },
-      { $unwind: { path: "$profile", preserveNullAndEmptyArrays: false } },
-      {
-        $project: {
-          userId: "$_id",
-          metricTotal: 1,
-          profileName: "$profile.shopName",
-          profileId: "$profile._id",
-          studentId: "$profile.studentId",
-        },
-      },
-    ]);
-  }
+  // The first leaderboard metric keeps the original top-10 shape; every
+  // leaderboard metric is available under `leaderboards`.
+  const primaryBoard = leaderboard.metrics[0] || null;
+  const leaderboardMetric = primaryBoard
+    ? {
+        key: primaryBoard.key,
+        label: primaryBoard.label,
+        format: primaryBoard.format,
+        aggregation: primaryBoard.aggregation,
+      }
+    : null;
+  const leaderboardTop10 = primaryBoard
+    ? primaryBoard.rows.map((row) => ({
+        userId: row.userId,
+        metricTotal: row.value,
+        rank: row.rank,
+        tied: row.tied,
+        rankDelta: row.rankDelta,
+        profileName: row.profileName,
+        profileId: row.profileId,
+        studentId: row.studentId,
+      }))
+    : [];
 
   // Get pending approvals (published challenges with outcomes that are not approved)
   const publishedScenarios = await Challenge.find({
@@ -378,6 +580,24 @@ classroomSchema.statics.getDashboard = async function (
     pendingApprovals = pendingOutcomes;
   }
 
+  // This month's AI spend; the dashboard still loads if accounting fails.
+  const AIUsage = require("../aiUsage/aiUsage.model");
+  let aiUsage = null;
+  try {
+    const [report, budget] = await Promise.all([
+      AIUsage.getUsageReport({ organizationId, classroomId }),
+      AIUsage.getBudgetStatus({ organizationId, classroomId }),
+    ]);
+    aiUsage = {
+      month: report.month,
+      totals: report.totals,
+      bySource: report.bySource,
+      budget,
+    };
+  } catch (error) {
+    console.error("Error loading AI usage for dashboard:", error);
+  }
+
   return {
     className: classDoc.name,
     classDescription: classDoc.description,
@@ -387,8 +607,10 @@ classroomSchema.statics.getDashboard = async function (
     submissionsCompleted: submissionsCompleted,
     leaderboardTop10: leaderboardTop10,
     leaderboardMetric: leaderboardMetric,
+    leaderboards: leaderboard,
     metricDefinitionCount,
     pendingApprovals: pendingApprovals,
+    aiUsage,
   };
 };
 
@@ -405,6 +627,11 @@ classroomSchema.statics.getStudentDashboard = async function (
     throw new Error("Class not found");
   }
 
+  // Team members see their team's shop, decisions and results, which are
+  // kept under the team's anchor member
+  const Team = require("../team/team.model");
+  const { subjectId, team } = await Team.resolveSubject(classroomId, memberId);
+
   const activeScenario = await Challenge.getActiveScenario(classroomId);
   const visibleScenario = Challenge.isVisibleToStudents(activeScenario)
     ? activeScenario
@@ -432,7 +659,7 @@ classroomSchema.statics.getStudentDashboard = async function (
     ? await Decision.getSubmission(
         classroomId,
         visibleScenario._id,
-        memberId
+        subjectId
       )
     : null;
 
@@ -453,7 +680,7 @@ classroomSchema.statics.getStudentDashboard = async function (
   ] = await Promise.all([
     Profile.findOne({
       classroomId,
-      userId: memberId,
+      userId: subjectId,
       organization: organizationId,
     })
       .populate("profileType", "key label")
@@ -470,10 +697,7 @@ classroomSchema.statics.getStudentDashboard = async function (
       organization: organizationId,
       isPublished: true,
       isClosed: true,
-      $or: [
-        { isFeedbackReleased: true },
-        { feedbackReleaseMode: "IMMEDIATE" },
-      ],
+      $or: [{ isFeedbackReleased: true }, immediateReleaseQuery()],
     })
       .sort({ week: -1, createdDate: -1 })
       .lean(),
@@ -491,8 +715,9 @@ classroomSchema.statics.getStudentDashboard = async function (
         LedgerEntry.find({
           classroomId,
           organization: organizationId,
-          userId: memberId,
+          userId: subjectId,
           challengeId: { $in: challengeIds },
+          roundKey: null,
         }).lean(),
         Outcome.find({
           organization: organizationId,
@@ -530,6 +755,8 @@ classroomSchema.statics.getStudentDashboard = async function (
         metrics: metricsToObject(entry.metrics),
         summary: entry.summary,
         randomEvent: entry.randomEvent,
+        revised: Boolean(entry.revisedAt),
+        revisedAt: entry.revisedAt || null,
         outcomeNotes: outcomesByChallenge.get(challengeId)?.notes || "",
       };
     })
@@ -542,6 +769,7 @@ classroomSchema.statics.getStudentDashboard = async function (
       classroomId,
       organization: organizationId,
       challengeId: latestResult.challengeId,
+      roundKey: null,
     })
       .select("userId metrics")
       .lean();
@@ -564,22 +792,21 @@ classroomSchema.statics.getStudentDashboard = async function (
         (definition) => definition.displayIn?.leaderboard
       ) || numericDefinitions[0] || null;
     let rank = null;
+    let rankTied = false;
 
     if (leaderboardDefinition) {
-      const rankedEntries = [...classEntries].sort((a, b) => {
-        const aValue = Number(
-          metricsToObject(a.metrics)[leaderboardDefinition.key]
-        );
-        const bValue = Number(
-          metricsToObject(b.metrics)[leaderboardDefinition.key]
-        );
-        return (Number.isFinite(bValue) ? bValue : 0) -
-          (Number.isFinite(aValue) ? aValue : 0);
-      });
-      const rankIndex = rankedEntries.findIndex(
-        (entry) => entry.userId.toString() === memberId.toString()
+      const { rankRows } = require("../leaderboard/lib/rankLeaderboard");
+      const rankedEntries = rankRows(
+        classEntries.map((entry) => ({
+          userId: entry.userId.toString(),
+          value: metricsToObject(entry.metrics)[leaderboardDefinition.key],
+        }))
+      );
+      const ownRow = rankedEntries.find(
+        (row) => row.userId === subjectId.toString()
       );
-      rank = rankIndex >= 0 ? rankIndex + 1 : null;
+      rank = ownRow ? ownRow.rank : null;
+      rankTied = ownRow ? ownRow.tied : false;
     }
 
     classStatistics = {
@@ -587,6 +814,7 @@ classroomSchema.statics.getStudentDashboard = async function (
       title: latestResult.title,
       participantCount: classEntries.length,
       rank,
+      rankTied,
       averages,
       studentMetrics: latestResult.metrics,
       leaderboardMetric: leaderboardDefinition
@@ -599,6 +827,21 @@ classroomSchema.statics.getStudentDashboard = async function (
     };
   }
 
+  let leaderboard = null;
+  if (latestResult && classDoc.leaderboardSettings?.visibleToStudents !== false) {
+    const LeaderboardService = require("../leaderboard/lib/leaderboardService");
+    leaderboard = await LeaderboardService.getLeaderboard(
+      classroomId,
+      organizationId,
+      {
+        limit: 10,
+        releasedOnly: true,
+        viewerUserId: subjectId,
+        anonymize: classDoc.leaderboardSettings?.anonymizeForStudents !== false,
+      }
+    );
+  }
+
   return {
     className: classDoc.name,
     classDescription: classDoc.description,
@@ -616,6 +859,15 @@ classroomSchema.statics.getStudentDashboard = async function (
     recentResults,
     completedChallengeCount,
     classStatistics,
+    leaderboard,
+    team: team
+      ? {
+          id: team._id,
+          name: team.name,
+          memberIds: team.memberIds,
+          finalization: team.finalization,
+        }
+      : null,
   };
 };
 
@@ -745,6 +997,23 @@ classroomSchema.statics.validateStudentAccess = async function (
   return classDoc;
 };
 
+/**
+ * Resolve the LLM provider and model a classroom uses for `purpose`
+ * ("simulation" | "decision" | "challenge"). An explicit `model` wins over
+ * the classroom's selection.
+ * @returns {Promise<{provider: string, model: string}>}
+ */
+classroomSchema.statics.getLLMSelection = async function (
+  classroomId,
+  purpose,
+  model = null
+) {
+  const classDoc = classroomId
+    ? await this.findById(classroomId).select("aiSettings").lean()
+    : null;
+  return resolveLLM({ purpose, aiSettings: classDoc?.aiSettings, model });
+};
+
 /**
  * Generate join link for a class
  * @param {string} classroomId - Class ID
@@ -1169,6 +1438,8 @@ classroomSchema.statics.deleteClassroom = async function (
     submissionsDeleted: 0,
     scenarioOutcomesDeleted: 0,
     ledgerEntriesDeleted: 0,
+    ledgerRevisionsDeleted: 0,
+    simulationRunsDeleted: 0,
     storesDeleted: 0,
     storeTypesDeleted: 0,
     variableDefinitionsDeleted: 0,
@@ -1192,6 +1463,14 @@ classroomSchema.statics.deleteClassroom = async function (
   const ledgerEntriesResult = await LedgerEntry.deleteMany({ classroomId });
   stats.ledgerEntriesDeleted = ledgerEntriesResult.deletedCount || 0;
 
+  // 3b. Delete ledger revision history and stored simulation runs
+  const LedgerRevision = require("../ledger/ledgerRevision.model");
+  const SimulationRun = require("../ledger/simulationRun.model");
+  const ledgerRevisionsResult = await LedgerRevision.deleteMany({ classroomId });
+  stats.ledgerRevisionsDeleted = ledgerRevisionsResult.deletedCount || 0;
+  const simulationRunsResult = await SimulationRun.deleteMany({ classroomId });
+  stats.simulationRunsDeleted = simulationRunsResult.deletedCount || 0;
+
   // 4. Delete all decisions for this classroom
   const submissionsResult = await Decision.deleteMany({ classroomId });
   stats.submissionsDeleted = submissionsResult.deletedCount || 0;
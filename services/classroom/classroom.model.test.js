@@ -455,7 +455,11 @@ test("Classroom Model Integration Tests", async (t) => {
     assert.equal(dashboard.leaderboardTop10[0].userId.toString(), student2Id.toString());
     assert.equal(dashboard.leaderboardTop10[0].metricTotal, 500);
     assert.equal(dashboard.leaderboardTop10[0].profileName, "Pizza Queen");
+    assert.equal(dashboard.leaderboardTop10[0].rank, 1);
+    assert.equal(dashboard.leaderboards.metrics.length, 1);
     assert.equal(dashboard.pendingApprovals, 1);
+    assert.equal(dashboard.aiUsage.totals.calls, 0);
+    assert.equal(dashboard.aiUsage.budget.status, "ok");
   });
 
   await t.test("getDashboard reports when no metrics are configured", async () => {
@@ -692,6 +696,10 @@ test("Classroom Model Integration Tests", async (t) => {
     assert.equal(dashboard.classStatistics.participantCount, 2);
     assert.equal(dashboard.classStatistics.rank, 2);
     assert.equal(dashboard.classStatistics.averages.revenue, 2600);
+    assert.equal(dashboard.classStatistics.rankTied, false);
+    assert.equal(dashboard.leaderboard.anonymized, true);
+    assert.equal(dashboard.leaderboard.metrics[0].currentUser.rank, 2);
+    assert.equal(dashboard.leaderboard.metrics[0].rows[0].userId, null);
   });
 
   await t.test("Variable and Metric definition queries", async () => {
@@ -103,6 +103,7 @@ async function buildTemplatePayloadFromClassroom({
       dataType: md.dataType,
       format: md.format,
       aiPromptRule: md.aiPromptRule || "",
+      formula: md.formula || "",
       aggregation: md.aggregation,
       displayIn: md.displayIn,
       defaultInitialValue: md.defaultInitialValue,
@@ -2344,6 +2344,13 @@ classroomTemplateSchema.methods.applyToClassroom = async function ({
           dataType: md.dataType || "number",
           format: md.format || "count",
           aiPromptRule: md.aiPromptRule || "",
+          formula: md.formula || "",
+          min: md.min ?? null,
+          max: md.max ?? null,
+          precision: md.precision ?? null,
+          integer: md.integer === true,
+          boundsPolicy: md.boundsPolicy || "clamp",
+          unit: md.unit || "",
           aggregation: md.aggregation || "last",
           displayIn: md.displayIn || {
             table: true,
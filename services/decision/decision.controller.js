@@ -6,6 +6,7 @@ const Enrollment = require("../enrollment/enrollment.model");
 const Member = require("../members/member.model");
 const LedgerEntry = require("../ledger/ledger.model");
 const Profile = require("../profile/profile.model");
+const DeadlineExtension = require("../challenge/deadlineExtension.model");
 
 // ---- helpers ----
 
@@ -91,13 +92,40 @@ function isPostLookupField(field) {
   );
 }
 
+/**
+ * Error body for a student who is on a team, or null. Team decisions are
+ * submitted from the team's draft (see services/team).
+ */
+async function rejectTeamMember(classroomId, memberId) {
+  const Team = require("../team/team.model");
+  const team = await Team.findActiveForMember(classroomId, memberId)
+    .select("_id")
+    .lean();
+  if (!team) return null;
+  return {
+    error: "Team members submit decisions through their team's draft",
+    code: "TEAM_DECISION_REQUIRED",
+    details: { teamId: team._id },
+  };
+}
+
+/**
+ * A student's decisions in a class: their team's when they are on one.
+ */
+async function getSubmissionsForStudent(classroomId, memberId) {
+  const Team = require("../team/team.model");
+  const { subjectId } = await Team.resolveSubject(classroomId, memberId);
+  return Decision.getSubmissionsByUser(classroomId, subjectId);
+}
+
 /**
  * Submit challenge decisions
  * POST /api/student/decision
  */
 exports.submitWeeklyDecisions = async function (req, res) {
   try {
-    const { challengeId, variables, challengeVariableAnswers } = req.body;
+    const { challengeId, variables, challengeVariableAnswers, roundKey } =
+      req.body;
     const member = req.user;
     const clerkUserId = req.clerkUser.id;
 
@@ -108,6 +136,9 @@ exports.submitWeeklyDecisions = async function (req, res) {
     if (!variables || typeof variables !== "object") {
       return res.status(400).json({ error: "variables object is required" });
     }
+    if (roundKey !== undefined && typeof roundKey !== "string") {
+      return res.status(400).json({ error: "roundKey must be a string" });
+    }
     if (
       challengeVariableAnswers !== undefined &&
       (!challengeVariableAnswers ||
@@ -136,6 +167,12 @@ exports.submitWeeklyDecisions = async function (req, res) {
       });
     }
 
+    // Team members decide through the team's shared draft
+    const teamRejection = await rejectTeamMember(classroomId, member._id);
+    if (teamRejection) {
+      return res.status(409).json(teamRejection);
+    }
+
     // Get organization from class
     const Classroom = require("../classroom/classroom.model");
     const classDoc = await Classroom.findById(classroomId);
@@ -145,16 +182,27 @@ exports.submitWeeklyDecisions = async function (req, res) {
 
     const organizationId = classDoc.organization;
 
-    // Create decision using static method
-    const decision = await Decision.createSubmission(
-      classroomId,
-      challengeId,
-      member._id,
-      variables,
-      organizationId,
-      clerkUserId,
-      { challengeVariableAnswers }
-    );
+    // Multi-round challenges take one sub-decision per round
+    const decision = Challenge.hasRounds(challenge)
+      ? await Decision.submitRound({
+          classroomId,
+          challengeId,
+          userId: member._id,
+          roundKey,
+          variables,
+          challengeVariableAnswers,
+          organizationId,
+          clerkUserId,
+        })
+      : await Decision.createSubmission(
+          classroomId,
+          challengeId,
+          member._id,
+          variables,
+          organizationId,
+          clerkUserId,
+          { challengeVariableAnswers }
+        );
 
     // Trigger student submission tasks asynchronously (do not block the response)
     const AutomationTask = require("../ai/automationTask.model");
@@ -176,6 +224,13 @@ exports.submitWeeklyDecisions = async function (req, res) {
     });
   } catch (error) {
     console.error("Error creating decision:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code,
+        details: error.details,
+      });
+    }
     if (
       error.message === "Decision already exists for this challenge" ||
       error.message.includes("Cannot submit out of order") ||
@@ -207,7 +262,8 @@ exports.submitWeeklyDecisions = async function (req, res) {
  */
 exports.updateWeeklyDecisions = async function (req, res) {
   try {
-    const { challengeId, variables, challengeVariableAnswers } = req.body;
+    const { challengeId, variables, challengeVariableAnswers, roundKey } =
+      req.body;
     const member = req.user;
     const clerkUserId = req.clerkUser.id;
 
@@ -218,6 +274,9 @@ exports.updateWeeklyDecisions = async function (req, res) {
     if (!variables || typeof variables !== "object") {
       return res.status(400).json({ error: "variables object is required" });
     }
+    if (roundKey !== undefined && typeof roundKey !== "string") {
+      return res.status(400).json({ error: "roundKey must be a string" });
+    }
     if (
       challengeVariableAnswers !== undefined &&
       (!challengeVariableAnswers ||
@@ -245,6 +304,12 @@ exports.updateWeeklyDecisions = async function (req, res) {
         .json({ error: "User is not enrolled in this class" });
     }
 
+    // Team members decide through the team's shared draft
+    const teamRejection = await rejectTeamMember(classroomId, member._id);
+    if (teamRejection) {
+      return res.status(409).json(teamRejection);
+    }
+
     // Get organization from class
     const Classroom = require("../classroom/classroom.model");
     const classDoc = await Classroom.findById(classroomId);
@@ -254,16 +319,27 @@ exports.updateWeeklyDecisions = async function (req, res) {
 
     const organizationId = classDoc.organization;
 
-    // Update decision using static method
-    const decision = await Decision.updateSubmission(
-      classroomId,
-      challengeId,
-      member._id,
-      variables,
-      organizationId,
-      clerkUserId,
-      { challengeVariableAnswers }
-    );
+    // Multi-round challenges take one sub-decision per round
+    const decision = Challenge.hasRounds(challenge)
+      ? await Decision.submitRound({
+          classroomId,
+          challengeId,
+          userId: member._id,
+          roundKey,
+          variables,
+          challengeVariableAnswers,
+          organizationId,
+          clerkUserId,
+        })
+      : await Decision.updateSubmission(
+          classroomId,
+          challengeId,
+          member._id,
+          variables,
+          organizationId,
+          clerkUserId,
+          { challengeVariableAnswers }
+        );
 
     res.json({
       success: true,
@@ -272,6 +348,13 @@ exports.updateWeeklyDecisions = async function (req, res) {
     });
   } catch (error) {
     console.error("Error updating challenge decisions:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code,
+        details: error.details,
+      });
+    }
     if (error.message === "Challenge not found") {
       return res.status(404).json({ error: error.message });
     }
@@ -315,19 +398,64 @@ exports.getSubmissionStatus = async function (req, res) {
 
     const classroomId = challenge.classroomId;
 
+    // Team members see the team's decision (stored under the anchor)
+    const Team = require("../team/team.model");
+    const { subjectId, team } = await Team.resolveSubject(
+      classroomId,
+      member._id
+    );
+
     // Get decision
     const decision = await Decision.getSubmission(
       classroomId,
       challengeId,
-      member._id
+      subjectId
     );
 
+    // Multi-round challenges also report which round is open and which
+    // rounds this student has submitted
+    const roundStatus = Challenge.hasRounds(challenge)
+      ? {
+          openRoundKey: Challenge.getOpenRound(challenge)?.key || null,
+          rounds: Challenge.sortedRounds(challenge).map((round) => {
+            const submission = (decision?.rounds || []).find(
+              (entry) => entry.roundKey === round.key
+            );
+            return {
+              key: round.key,
+              title: round.title,
+              closeSubmissionsAt: round.closeSubmissionsAt,
+              status: round.status,
+              submitted: !!submission,
+              submittedAt: submission?.submittedAt || null,
+            };
+          }),
+        }
+      : {};
+
+    // The student's own deadlines (extension or accommodation applied);
+    // a team works to its anchor's deadlines
+    const deadlines = await DeadlineExtension.resolveForStudent(challenge, subjectId);
+    const deadlineStatus = {
+      submissionDeadlineAt: deadlines.submissionDeadlineAt,
+      closeSubmissionsAt: deadlines.closeSubmissionsAt,
+      deadlineExtended: deadlines.extended,
+      canEdit: Decision.isEditableByStudent(challenge, {
+        decision,
+        userId: subjectId,
+        deadlines,
+      }),
+      teamId: team?._id || null,
+    };
+
     if (!decision) {
       return res.json({
         success: true,
         data: {
           submitted: false,
           submittedAt: null,
+          ...deadlineStatus,
+          ...roundStatus,
         },
       });
     }
@@ -337,6 +465,8 @@ exports.getSubmissionStatus = async function (req, res) {
       data: {
         submitted: true,
         submittedAt: decision.submittedAt,
+        ...deadlineStatus,
+        ...roundStatus,
       },
     });
   } catch (error) {
@@ -376,10 +506,7 @@ exports.getStudentSubmissions = async function (req, res) {
         return res.status(403).json({ error: "Not enrolled in this class" });
       }
 
-      decisions = await Decision.getSubmissionsByUser(
-        classroomId,
-        member._id
-      );
+      decisions = await getSubmissionsForStudent(classroomId, member._id);
     } else {
       // Get all enrolled classrooms
       const enrollments = await Enrollment.getEnrollmentsByUser(member._id);
@@ -401,7 +528,7 @@ exports.getStudentSubmissions = async function (req, res) {
 
       const submissionsByClass = await Promise.all(
         classroomIds.map((classroomId) =>
-          Decision.getSubmissionsByUser(classroomId, member._id)
+          getSubmissionsForStudent(classroomId, member._id)
         )
       );
 
@@ -814,7 +941,7 @@ exports.getAllSubmissionsForUser = async function (req, res) {
 
     const ledgerEntriesBySubmission = await Promise.all(
       submissionIds.map((decisionId) =>
-        LedgerEntry.findOne({ decisionId }).lean()
+        LedgerEntry.findOne({ decisionId, roundKey: null }).lean()
       )
     );
 
@@ -1425,3 +1552,72 @@ exports.getSubmissions = async function (req, res) {
     return res.status(500).json({ error: error.message });
   }
 };
+
+/**
+ * Waive or reinstate a student's late penalty
+ * PUT /api/admin/decisions/:decisionId/late-waiver
+ * Body: { waived?: boolean (default true), reason?: string }
+ */
+exports.setLateWaiver = async function (req, res) {
+  try {
+    const { decisionId } = req.params;
+    const { waived = true, reason = "" } = req.body || {};
+    const organizationId = req.organization._id;
+    const clerkUserId = req.clerkUser.id;
+
+    if (!mongoose.Types.ObjectId.isValid(decisionId)) {
+      return res.status(400).json({ error: "Invalid decision ID" });
+    }
+    if (typeof waived !== "boolean") {
+      return res.status(400).json({ error: "waived must be a boolean" });
+    }
+    if (typeof reason !== "string") {
+      return res.status(400).json({ error: "reason must be a string" });
+    }
+
+    const decision = await Decision.findOne({
+      _id: decisionId,
+      organization: organizationId,
+    }).select("classroomId");
+    if (!decision) {
+      return res.status(404).json({ error: "Decision not found" });
+    }
+
+    await Classroom.validateAdminAccess(
+      decision.classroomId,
+      clerkUserId,
+      organizationId
+    );
+
+    const adminMember = await Member.findOne({ clerkUserId }).select("_id");
+    const result = await Decision.setLateWaiver(decisionId, {
+      organizationId,
+      clerkUserId,
+      adminUserId: adminMember?._id || null,
+      waived,
+      reason,
+    });
+
+    return res.json({
+      success: true,
+      message: waived ? "Late penalty waived" : "Late penalty reinstated",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error setting late waiver:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code,
+        details: error.details,
+      });
+    }
+    if (error.message === "Class not found") {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes("Insufficient permissions")) {
+      return res.status(403).json({ error: error.message });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Decision = require("./decision.model");
+const LedgerEntry = require("../ledger/ledger.model");
+
+function stub(t, target, key, value) {
+  const original = target[key];
+  target[key] = value;
+  t.after(() => {
+    target[key] = original;
+  });
+}
+
+const organization = new mongoose.Types.ObjectId();
+
+function buildDecision(late) {
+  const decision = new Decision({
+    classroomId: new mongoose.Types.ObjectId(),
+    challengeId: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    organization,
+    createdBy: "user_student",
+    updatedBy: "user_student",
+    late,
+  });
+  decision.save = async function () {
+    return this;
+  };
+  return decision;
+}
+
+test("setLateWaiver waives the penalty and updates existing results", async (t) => {
+  const decision = buildDecision({
+    deadlineAt: new Date("2026-10-05T17:00:00Z"),
+    daysLate: 2,
+    penaltyPercent: 20,
+  });
+  const applied = [];
+  stub(t, Decision, "findOne", async () => decision);
+  stub(t, LedgerEntry, "applyLateWaiver", async (doc, options) => {
+    applied.push({ waivedAt: doc.late.waivedAt, options });
+    const latePenalty = { applyTo: "ai_context", penaltyPercent: 20, waived: true };
+    return { latePenalty, toObject: () => ({ latePenalty }) };
+  });
+
+  const result = await Decision.setLateWaiver(decision._id, {
+    organizationId: organization,
+    clerkUserId: "user_teacher",
+    reason: " Family emergency ",
+  });
+
+  assert.ok(result.decision.late.waivedAt instanceof Date);
+  assert.equal(result.decision.late.waivedBy, "user_teacher");
+  assert.equal(result.decision.late.waiverReason, "Family emergency");
+  assert.equal(result.decision.late.daysLate, 2);
+  assert.equal(result.requiresRerun, true);
+  assert.equal(applied.length, 1);
+  assert.equal(applied[0].options.reason, "Family emergency");
+
+  const reinstated = await Decision.setLateWaiver(decision._id, {
+    organizationId: organization,
+    clerkUserId: "user_teacher",
+    waived: false,
+  });
+  assert.equal(reinstated.decision.late.waivedAt, null);
+  assert.equal(reinstated.decision.late.waiverReason, "");
+});
+
+test("setLateWaiver rejects on-time and unknown decisions", async (t) => {
+  let found = buildDecision(null);
+  stub(t, Decision, "findOne", async () => found);
+
+  await assert.rejects(
+    Decision.setLateWaiver(found._id, { organizationId: organization, clerkUserId: "u" }),
+    (error) => error.statusCode === 409 && error.code === "DECISION_NOT_LATE"
+  );
+
+  found = null;
+  await assert.rejects(
+    Decision.setLateWaiver(new mongoose.Types.ObjectId(), {
+      organizationId: organization,
+      clerkUserId: "u",
+    }),
+    (error) => error.statusCode === 404 && error.code === "DECISION_NOT_FOUND"
+  );
+});
@@ -4,12 +4,17 @@ const VariableDefinition = require("../variableDefinition/variableDefinition.mod
 const Challenge = require("../challenge/challenge.model");
 const VariableValue = require("../variableDefinition/variableValue.model");
 const variablePopulationPlugin = require("../../lib/variablePopulationPlugin");
+const AIUsage = require("../aiUsage/aiUsage.model");
 const mapWithConcurrency = require("./lib/mapWithConcurrency");
 const coerceValue = require("./lib/coerceValue");
 const clampNumber = require("./lib/clampNumber");
 const buildJsonSchemaFromDefinitions = require("./lib/buildJsonSchemaFromDefinitions");
 const fillMissingWithDefaults = require("./lib/fillMissingWithDefaults");
 const normalizeSelectAllowedValues = require("./lib/normalizeSelectAllowedValues");
+const latePolicy = require("../challenge/lib/latePolicy");
+const studentDeadlines = require("../challenge/lib/studentDeadlines");
+const DeadlineExtension = require("../challenge/deadlineExtension.model");
+const { teamContributionSchema } = require("../team/lib/teamContribution");
 /**
  * @openapi
  * components:
@@ -59,7 +64,89 @@ const normalizeSelectAllowedValues = require("./lib/normalizeSelectAllowedValues
  *         challengeVariableAnswers:
  *           type: object
  *           description: Map of this student's answers to challenge-specific variables.
+ *         rounds:
+ *           type: array
+ *           description: Per-round sub-decisions on multi-round challenges. `variables` above holds all rounds merged (later rounds win).
+ *           items:
+ *             type: object
+ *             properties:
+ *               roundKey:
+ *                 type: string
+ *               variables:
+ *                 type: object
+ *               submittedAt:
+ *                 type: string
+ *                 format: date-time
+ *               processingStatus:
+ *                 type: string
+ *                 enum: [pending, processing, completed, failed]
+ *               ledgerEntryId:
+ *                 type: string
+ *         late:
+ *           type: object
+ *           nullable: true
+ *           description: Set when the student submitted after the challenge's submissionDeadlineAt (see Challenge.lateSubmissionPolicy). Null for on-time and auto-generated decisions.
+ *           properties:
+ *             deadlineAt:
+ *               type: string
+ *               format: date-time
+ *             daysLate:
+ *               type: integer
+ *             penaltyPercent:
+ *               type: number
+ *             waivedAt:
+ *               type: string
+ *               format: date-time
+ *             waivedBy:
+ *               type: string
+ *             waiverReason:
+ *               type: string
+ *         team:
+ *           $ref: '#/components/schemas/TeamContribution'
+ *     TeamContribution:
+ *       type: object
+ *       nullable: true
+ *       description: Set on a team's decisions and ledger entries (userId is the team's anchor member). Records who submitted and approved the draft, and which member last changed each value.
+ *       properties:
+ *         teamId:
+ *           type: string
+ *         submittedBy:
+ *           type: string
+ *         approvedBy:
+ *           type: array
+ *           items:
+ *             type: string
+ *         draftRevision:
+ *           type: integer
+ *         authors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *                 enum: [variable, answer]
+ *               memberId:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
  */
+const lateSchema = new mongoose.Schema(
+  {
+    deadlineAt: { type: Date, required: true },
+    daysLate: { type: Number, required: true, min: 1 },
+    penaltyPercent: { type: Number, default: 0, min: 0, max: 100 },
+    // A teacher waiver cancels the penalty but keeps the record of lateness
+    waivedAt: { type: Date, default: null },
+    waivedBy: { type: String, default: null },
+    waiverReason: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
 const submissionSchema = new mongoose.Schema({
   classroomId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -129,6 +216,37 @@ const submissionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: () => ({}),
   },
+  // Sub-decisions for multi-round challenges (see Challenge.rounds)
+  rounds: {
+    type: [
+      {
+        _id: false,
+        roundKey: { type: String, required: true },
+        variables: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+        submittedAt: { type: Date, default: Date.now },
+        processingStatus: {
+          type: String,
+          enum: ["pending", "processing", "completed", "failed"],
+          default: "pending",
+        },
+        ledgerEntryId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "LedgerEntry",
+          default: null,
+        },
+      },
+    ],
+    default: [],
+  },
+  late: {
+    type: lateSchema,
+    default: null,
+  },
+  // Set when a team finalized this decision from its shared draft
+  team: {
+    type: teamContributionSchema,
+    default: null,
+  },
 }).add(baseSchema);
 
 // Apply variable population plugin
@@ -156,18 +274,20 @@ submissionSchema.index({ ledgerEntryId: 1 });
  * @param {string} classroomId - Class ID
  * @param {Object} variables - Variables object to validate
  * @param {string} [challengeId] - Challenge ID (optional)
+ * @param {Object} [options] - Extra definition filters (e.g. `keys` for one challenge round)
  * @returns {Promise<Object>} Validation result
  */
 submissionSchema.statics.validateSubmissionVariables = async function (
   classroomId,
   variables,
-  challengeId = null
+  challengeId = null,
+  options = {}
 ) {
   return await VariableDefinition.validateValues(
     classroomId,
     "decision",
     variables,
-    { challengeId }
+    { ...options, challengeId }
   );
 };
 
@@ -295,12 +415,24 @@ submissionSchema.statics.createSubmission = async function (
   if (!Challenge.hasStarted(challenge)) {
     throw new Error("Challenge has not started yet");
   }
-  if (challenge.isClosed) {
+  const isStudentSubmission =
+    !createOptions?.generation || createOptions.generation.method === "MANUAL";
+  const submittedAt = new Date();
+  let late = null;
+  if (isStudentSubmission) {
+    // Students with an open extension can still submit after the lock
+    const deadlines = await DeadlineExtension.resolveForStudent(challenge, userId);
+    assertSubmissionWindowOpen(challenge, deadlines, userId, submittedAt);
+    late = latePolicy.stampLateness(challenge, submittedAt, null, {
+      deadlineAt: deadlines.submissionDeadlineAt,
+    });
+  } else if (
+    challenge.isClosed &&
+    !studentDeadlines.isDeferredStudent(challenge, userId)
+  ) {
+    // Missing-submission policies reach closed challenges only in follow-up runs
     throw new Error("Challenge is closed");
   }
-  if (challenge.isLockedForStudents && (!createOptions?.generation || createOptions.generation.method === "MANUAL")) {
-    throw new Error("Submissions are closed for this challenge");
-  }
 
   // Older clients and automated submissions do not send this field. Use the
   // challenge's configured values as their backwards-compatible defaults.
@@ -316,7 +448,8 @@ submissionSchema.statics.createSubmission = async function (
     classroomId,
     challengeId,
     userId,
-    submittedAt: new Date(),
+    submittedAt,
+    late,
     organization: organizationId,
     createdBy: clerkUserId,
     updatedBy: clerkUserId,
@@ -405,12 +538,13 @@ submissionSchema.statics.updateSubmission = async function (
   if (!Challenge.hasStarted(challenge)) {
     throw new Error("Challenge has not started yet");
   }
-  if (challenge.isClosed) {
-    throw new Error("Challenge is closed");
-  }
-  if (challenge.isLockedForStudents) {
-    throw new Error("Submissions are closed for this challenge");
-  }
+  const now = new Date();
+  const deadlines = await DeadlineExtension.resolveForStudent(challenge, userId);
+  assertSubmissionWindowOpen(challenge, deadlines, userId, now);
+  // A late edit makes the decision late (days counted from the edit)
+  const late = latePolicy.stampLateness(challenge, now, decision.late, {
+    deadlineAt: deadlines.submissionDeadlineAt,
+  });
 
   // Validate variables
   const validation = await this.validateSubmissionVariables(
@@ -457,6 +591,7 @@ submissionSchema.statics.updateSubmission = async function (
   // Update decision document
   decision.challengeVariableAnswers = challengeVariableAnswers;
   decision.markModified("challengeVariableAnswers");
+  decision.late = late;
   decision.updatedBy = clerkUserId;
   decision.updatedDate = new Date();
   await decision.save();
@@ -499,6 +634,209 @@ submissionSchema.statics.updateSubmission = async function (
   return updatedSubmission ? updatedSubmission.toObject() : null;
 };
 
+/**
+ * Throw the usual closed/locked errors unless the student may submit now
+ * (see studentDeadlines.getSubmissionWindow).
+ */
+function assertSubmissionWindowOpen(challenge, deadlines, userId, now) {
+  const window = studentDeadlines.getSubmissionWindow(challenge, deadlines, userId, now);
+  if (window.reason === "closed") {
+    throw new Error("Challenge is closed");
+  }
+  if (window.reason === "locked") {
+    throw new Error("Submissions are closed for this challenge");
+  }
+}
+
+/**
+ * Narrow the students a missing-submission policy applies to. `userIds`
+ * limits it to those students (a follow-up run); `excludeUserIds` leaves out
+ * students whose extended window is still open.
+ */
+function inStudentScope(userId, scope = {}) {
+  const id = String(userId);
+  if (scope.userIds && !scope.userIds.some((value) => String(value) === id)) {
+    return false;
+  }
+  if (scope.excludeUserIds && scope.excludeUserIds.some((value) => String(value) === id)) {
+    return false;
+  }
+  return true;
+}
+
+function makeDecisionError(message, statusCode, code, details = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Submit (or resubmit) one round of a multi-round challenge. Students submit
+ * only for the open round (see Challenge.getOpenRound) and only the variables
+ * that round asks for. All rounds live on a single Decision: each round's
+ * values are kept in `rounds`, and the decision's own variables are the rounds
+ * merged in play order so single-round consumers still see one decision.
+ *
+ * @param {Object} params
+ * @param {string} [params.roundKey] - Defaults to the open round
+ * @returns {Promise<Object>} Decision with variables populated
+ */
+submissionSchema.statics.submitRound = async function ({
+  classroomId,
+  challengeId,
+  userId,
+  roundKey,
+  variables,
+  challengeVariableAnswers,
+  organizationId,
+  clerkUserId,
+  now = new Date(),
+}) {
+  const challenge = await Challenge.findById(challengeId);
+  if (!challenge) {
+    throw new Error("Challenge not found");
+  }
+  if (!challenge.isPublished) {
+    throw new Error("Challenge is not published");
+  }
+  if (!Challenge.hasStarted(challenge, now)) {
+    throw new Error("Challenge has not started yet");
+  }
+  if (challenge.isClosed) {
+    throw new Error("Challenge is closed");
+  }
+  if (challenge.isLockedForStudents) {
+    throw new Error("Submissions are closed for this challenge");
+  }
+  if (!Challenge.hasRounds(challenge)) {
+    throw makeDecisionError(
+      "Challenge does not have rounds",
+      400,
+      "CHALLENGE_HAS_NO_ROUNDS"
+    );
+  }
+
+  const openRound = Challenge.getOpenRound(challenge, now);
+  const round = roundKey ? Challenge.getRound(challenge, roundKey) : openRound;
+  if (roundKey && !round) {
+    throw makeDecisionError(`Unknown round: ${roundKey}`, 400, "UNKNOWN_ROUND", {
+      roundKey,
+    });
+  }
+  if (!round || !openRound || round.key !== openRound.key) {
+    throw makeDecisionError(
+      round
+        ? `Round "${round.key}" is not open for submissions`
+        : "No round is open for submissions",
+      409,
+      "ROUND_NOT_OPEN",
+      { roundKey: round?.key || null, openRoundKey: openRound?.key || null }
+    );
+  }
+
+  const options = { challengeId, keys: Challenge.roundVariableKeys(round) };
+  const validation = await this.validateSubmissionVariables(
+    classroomId,
+    variables,
+    challengeId,
+    options
+  );
+  if (!validation.isValid) {
+    throw new Error(
+      `Invalid decision variables: ${validation.errors.map((e) => e.message).join(", ")}`
+    );
+  }
+  const variablesWithDefaults = await VariableDefinition.applyDefaults(
+    classroomId,
+    "decision",
+    variables,
+    options
+  );
+  const roundVariables =
+    await VariableDefinition.filterVariablesByActiveDefinitions(
+      classroomId,
+      "decision",
+      variablesWithDefaults,
+      options
+    );
+
+  let decision = await this.findOne({ classroomId, challengeId, userId });
+  const existingAnswers =
+    decision?.challengeVariableAnswers &&
+    Object.keys(decision.challengeVariableAnswers).length > 0
+      ? decision.challengeVariableAnswers
+      : await challenge.getVariables();
+  const answers = await this.prepareChallengeVariableAnswers(
+    classroomId,
+    challengeId,
+    challengeVariableAnswers ?? existingAnswers
+  );
+
+  if (!decision) {
+    decision = new this({
+      classroomId,
+      challengeId,
+      userId,
+      submittedAt: now,
+      organization: organizationId,
+      createdBy: clerkUserId,
+      updatedBy: clerkUserId,
+    });
+  }
+
+  const submission = {
+    roundKey: round.key,
+    variables: roundVariables,
+    submittedAt: now,
+    processingStatus: "pending",
+    ledgerEntryId: null,
+  };
+  const index = decision.rounds.findIndex((entry) => entry.roundKey === round.key);
+  if (index === -1) {
+    decision.rounds.push(submission);
+  } else {
+    decision.rounds.set(index, submission);
+  }
+  decision.challengeVariableAnswers = answers;
+  decision.markModified("challengeVariableAnswers");
+  decision.updatedBy = clerkUserId;
+  decision.updatedDate = now;
+  await decision.save();
+
+  // Keep the decision-level variables in step: every submitted round merged
+  // in play order, later rounds overriding earlier ones
+  const merged = {};
+  for (const { key } of Challenge.sortedRounds(challenge)) {
+    const entry = decision.rounds.find((r) => r.roundKey === key);
+    if (entry) Object.assign(merged, entry.variables || {});
+  }
+  await VariableValue.deleteMany({
+    classroomId,
+    appliesTo: "decision",
+    ownerId: decision._id,
+  });
+  const variableDocs = Object.entries(merged).map(([key, value]) => ({
+    classroomId,
+    appliesTo: "decision",
+    ownerId: decision._id,
+    variableKey: key,
+    value,
+    organization: decision.organization,
+    createdBy: clerkUserId,
+    updatedBy: clerkUserId,
+  }));
+  if (variableDocs.length > 0) {
+    await VariableValue.insertMany(variableDocs);
+  }
+
+  const saved = await this.findById(decision._id);
+  if (saved) {
+    await this.populateVariablesForMany([saved]);
+  }
+  return saved ? saved.toObject() : null;
+};
 
 /**
 * Get decisions for a challenge (normalized for AI)
@@ -587,7 +925,8 @@ submissionSchema.statics.getSubmissionRefsByScenario = async function (
  * Get missing decisions for a challenge
  * @param {string} classroomId - Class ID
  * @param {string} challengeId - Challenge ID
- * @returns {Promise<Array>} Array of user IDs who haven't submitted (only org:member role)
+ * @returns {Promise<Array>} Array of user IDs who haven't submitted (only org:member role).
+ * Team members other than the anchor are left out: the team submits as its anchor.
  */
 submissionSchema.statics.getMissingSubmissions = async function (
   classroomId,
@@ -595,6 +934,7 @@ submissionSchema.statics.getMissingSubmissions = async function (
 ) {
   const Enrollment = require("../enrollment/enrollment.model");
   const Classroom = require("../classroom/classroom.model");
+  const Team = require("../team/team.model");
 
   // Get classroom to access organization
   const classroom = await Classroom.findById(classroomId);
@@ -642,10 +982,12 @@ submissionSchema.statics.getMissingSubmissions = async function (
   const decisions = await this.find({ challengeId }).lean();
   const submittedUserIds = new Set(decisions.map((s) => s.userId.toString()));
 
+  const teamMemberIds = await Team.nonAnchorMemberIds(classroomId);
+
   // Find missing user IDs (convert to string for comparison)
   const missingUserIds = enrolledUserIds.filter((userId) => {
     const userIdStr = userId.toString();
-    return !submittedUserIds.has(userIdStr);
+    return !submittedUserIds.has(userIdStr) && !teamMemberIds.has(userIdStr);
   });
 
   return missingUserIds;
@@ -736,6 +1078,8 @@ submissionSchema.statics.getSubmissionsByUser = async function (
 /**
  * Auto-create a Decision for every enrolled student in the class for a published challenge.
  * Uses one LLM call per profileType, then reuses the generated values for all students of that type.
+ * `scope` ({ userIds, excludeUserIds, followUp }) narrows the students, as for the other
+ * missing-submission policies; `followUp` runs it for deferred students after the challenge closed.
  */
 submissionSchema.statics.autoCreateDecisionsForChallenge = async function ({
   challengeId,
@@ -743,28 +1087,19 @@ submissionSchema.statics.autoCreateDecisionsForChallenge = async function ({
   clerkUserId,
   options = {},
   punishAbsentStudents,
+  scope = {},
 }) {
   const Enrollment = require("../enrollment/enrollment.model");
   const Profile = require("../profile/profile.model");
   const Member = require("../members/member.model");
   const ProfileType = require("../profileType/profileType.model");
+  const Team = require("../team/team.model");
 
-  const {
-    model = process.env.AUTO_SUBMISSION_MODEL || "gpt-4o-mini",
-    concurrency = 10,
-    includeExisting = false,
-  } = options;
+  const Classroom = require("../classroom/classroom.model");
+  const { isProviderConfigured } = require("../../lib/llm");
 
-  if (!process.env.OPENAI_API_KEY) {
-    return {
-      skipped: true,
-      reason: "OPENAI_API_KEY not set",
-      created: 0,
-      existing: 0,
-      missingStore: 0,
-      errors: [],
-    };
-  }
+  // `model` overrides the classroom's aiSettings.decisionModel
+  const { model = null, concurrency = 10, includeExisting = false } = options;
 
   const challenge = await Challenge.findOne({
     _id: challengeId,
@@ -773,7 +1108,23 @@ submissionSchema.statics.autoCreateDecisionsForChallenge = async function ({
   if (!challenge) {
     throw new Error("Challenge not found");
   }
-  if (!challenge.isPublished || challenge.isClosed) {
+
+  const { provider } = await Classroom.getLLMSelection(
+    challenge.classroomId,
+    "decision",
+    model
+  );
+  if (!isProviderConfigured(provider)) {
+    return {
+      skipped: true,
+      reason: `LLM provider "${provider}" is not configured`,
+      created: 0,
+      existing: 0,
+      missingStore: 0,
+      errors: [],
+    };
+  }
+  if (!challenge.isPublished || (challenge.isClosed && !scope.followUp)) {
     return {
       skipped: true,
       reason: "Challenge not published or already closed",
@@ -783,6 +1134,21 @@ submissionSchema.statics.autoCreateDecisionsForChallenge = async function ({
       errors: [],
     };
   }
+  const budget = await AIUsage.getBudgetStatus({
+    organizationId,
+    classroomId: challenge.classroomId,
+    skipUnlimited: true,
+  });
+  if (budget.blocked) {
+    return {
+      skipped: true,
+      reason: "Monthly AI budget exceeded",
+      created: 0,
+      existing: 0,
+      missingStore: 0,
+      errors: [],
+    };
+  }
 
   const classroomId = challenge.classroomId;
   const hydratedScenario = await Challenge.getScenarioById(
@@ -790,9 +1156,14 @@ submissionSchema.statics.autoCreateDecisionsForChallenge = async function ({
     organizationId
   );
 
-  const enrollments = await Enrollment.findByClassAndRole(
-    classroomId,
-    "member"
+  // Teams get one decision, under their anchor
+  const teamMemberIds = await Team.nonAnchorMemberIds(classroomId);
+  const enrollments = (
+    await Enrollment.findByClassAndRole(classroomId, "member")
+  ).filter(
+    (enrollment) =>
+      inStudentScope(enrollment.userId, scope) &&
+      !teamMemberIds.has(enrollment.userId.toString())
   );
   if (!enrollments || enrollments.length === 0) {
     return {
@@ -935,6 +1306,7 @@ submissionSchema.statics.forwardPreviousDecisionsForChallenge = async function (
   organizationId,
   clerkUserId,
   punishAbsentStudents,
+  scope = {},
 }) {
   const Profile = require("../profile/profile.model");
   const ProfileType = require("../profileType/profileType.model");
@@ -947,7 +1319,7 @@ submissionSchema.statics.forwardPreviousDecisionsForChallenge = async function (
     throw new Error("Challenge not found");
   }
 
-  if (!challenge.isPublished || challenge.isClosed) {
+  if (!challenge.isPublished || (challenge.isClosed && !scope.followUp)) {
     return {
       skipped: true,
       reason: "Challenge not published or already closed",
@@ -960,10 +1332,9 @@ submissionSchema.statics.forwardPreviousDecisionsForChallenge = async function (
 
   const classroomId = challenge.classroomId;
 
-  const missingUserIds = await this.getMissingSubmissions(
-    classroomId,
-    challengeId
-  );
+  const missingUserIds = (
+    await this.getMissingSubmissions(classroomId, challengeId)
+  ).filter((userId) => inStudentScope(userId, scope));
 
   if (missingUserIds.length === 0) {
     return {
@@ -1086,7 +1457,6 @@ submissionSchema.statics.forwardPreviousDecisionsForChallenge = async function (
             challenge: hydratedScenario,
             organizationId,
             clerkUserId,
-            model: process.env.AUTO_SUBMISSION_MODEL || "gpt-4o-mini",
             absentPunishmentLevel,
           });
 
@@ -1209,6 +1579,7 @@ submissionSchema.statics.useDefaultsForDecisions = async function ({
   challengeId,
   organizationId,
   clerkUserId,
+  scope = {},
 }) {
   const Profile = require("../profile/profile.model");
 
@@ -1220,7 +1591,7 @@ submissionSchema.statics.useDefaultsForDecisions = async function ({
     throw new Error("Challenge not found");
   }
 
-  if (!challenge.isPublished || challenge.isClosed) {
+  if (!challenge.isPublished || (challenge.isClosed && !scope.followUp)) {
     return {
       skipped: true,
       reason: "Challenge not published or already closed",
@@ -1233,10 +1604,9 @@ submissionSchema.statics.useDefaultsForDecisions = async function ({
 
   const classroomId = challenge.classroomId;
 
-  const missingUserIds = await this.getMissingSubmissions(
-    classroomId,
-    challengeId
-  );
+  const missingUserIds = (
+    await this.getMissingSubmissions(classroomId, challengeId)
+  ).filter((userId) => inStudentScope(userId, scope));
 
   if (missingUserIds.length === 0) {
     return {
@@ -1347,7 +1717,8 @@ submissionSchema.statics.useDefaultsForDecisions = async function ({
 
 /**
  * Generate a fully-filled decision variables object for a given profileType + challenge.
- * Uses a cheap OpenAI model with structured JSON schema output.
+ * Uses the classroom's decision model (aiSettings.decisionModel, or a cheap
+ * provider default) with structured JSON schema output.
  */
 submissionSchema.statics.generateSubmissionVariablesForStoreType = async function ({
   classroomId,
@@ -1359,7 +1730,8 @@ submissionSchema.statics.generateSubmissionVariablesForStoreType = async functio
   model,
   absentPunishmentLevel,
 }) {
-  const openai = require("../../lib/openai");
+  const llm = require("../../lib/llm");
+  const Classroom = require("../classroom/classroom.model");
   const VariableDefinition = require("../variableDefinition/variableDefinition.model");
 
   const definitions = await VariableDefinition.getDefinitionsForScope(
@@ -1427,8 +1799,14 @@ submissionSchema.statics.generateSubmissionVariablesForStoreType = async functio
 
   const system = systemMessages.join("\n");
 
-  const response = await openai.chat.completions.create({
-    model: model || process.env.AUTO_SUBMISSION_MODEL || "gpt-4o-mini",
+  await AIUsage.assertWithinBudget({ organizationId, classroomId });
+  const selection = await Classroom.getLLMSelection(
+    classroomId,
+    "decision",
+    model
+  );
+  const response = await llm.createChatCompletion(selection.provider, {
+    model: selection.model,
     temperature: 0.2,
     max_tokens: 600,
     messages: [
@@ -1449,12 +1827,23 @@ submissionSchema.statics.generateSubmissionVariablesForStoreType = async functio
     },
   });
 
+  await AIUsage.recordUsage({
+    source: "decision",
+    provider: selection.provider,
+    model: response.model || selection.model,
+    usage: response.usage,
+    organizationId,
+    classroomId,
+    challengeId: challenge?._id || challenge?.id || null,
+    clerkUserId,
+  });
+
   const content = response.choices?.[0]?.message?.content || "{}";
   let parsed;
   try {
     parsed = JSON.parse(content);
   } catch (e) {
-    throw new Error(`Failed to parse OpenAI decision JSON: ${e.message}`);
+    throw new Error(`Failed to parse AI decision JSON: ${e.message}`);
   }
 
   const coerced = {};
@@ -1504,11 +1893,105 @@ submissionSchema.methods.getVariables = async function () {
 };
 
 /**
- * Check if decision can be edited
- * @returns {boolean} Always false - decisions are immutable
+ * Waive (or reinstate) the late penalty on a student's decision. The late
+ * stamp itself is kept; the waiver is copied to the ledger entry if results
+ * already exist (see LedgerEntry.applyLateWaiver). With applyTo "ai_context"
+ * the penalty is part of the simulated results, so those need a rerun.
+ *
+ * @param {string} decisionId
+ * @param {Object} options - { organizationId, clerkUserId, adminUserId, waived = true, reason }
+ * @returns {Promise<{ decision: Object, ledgerEntry: Object|null, requiresRerun: boolean }>}
+ */
+submissionSchema.statics.setLateWaiver = async function (
+  decisionId,
+  { organizationId, clerkUserId, adminUserId = null, waived = true, reason = "" }
+) {
+  const LedgerEntry = require("../ledger/ledger.model");
+
+  const decision = await this.findOne({
+    _id: decisionId,
+    organization: organizationId,
+  });
+  if (!decision) {
+    throw makeDecisionError("Decision not found", 404, "DECISION_NOT_FOUND");
+  }
+  if (!decision.late) {
+    throw makeDecisionError(
+      "This decision was submitted on time",
+      409,
+      "DECISION_NOT_LATE"
+    );
+  }
+
+  decision.late.waivedAt = waived ? new Date() : null;
+  decision.late.waivedBy = waived ? clerkUserId : null;
+  decision.late.waiverReason = waived && typeof reason === "string" ? reason.trim() : "";
+  decision.updatedBy = clerkUserId;
+  await decision.save();
+
+  const ledgerEntry = await LedgerEntry.applyLateWaiver(decision, {
+    clerkUserId,
+    adminUserId,
+    reason: decision.late.waiverReason || null,
+  });
+
+  return {
+    decision: decision.toObject(),
+    ledgerEntry: ledgerEntry ? ledgerEntry.toObject() : null,
+    requiresRerun: Boolean(
+      ledgerEntry?.latePenalty?.applyTo === "ai_context" &&
+        ledgerEntry.latePenalty.penaltyPercent > 0
+    ),
+  };
+};
+
+/**
+ * Whether the student can still change a decision (or, with no decision,
+ * submit one) on a challenge: it has not been simulated yet, the student's
+ * submission window is open (extensions and accommodations included), and
+ * a submission now would not be refused as late.
+ * @param {Object} challenge - Challenge
+ * @param {Object} options
+ * @param {Object|null} [options.decision] - Decision (document or plain object)
+ * @param {string} [options.userId] - Member ID; defaults to the decision's
+ * @param {Object} [options.deadlines] - DeadlineExtension.resolveForStudent
+ *   result; the challenge's own deadlines when omitted
+ * @param {Date} [options.now]
+ * @returns {boolean}
  */
-submissionSchema.methods.canEdit = function () {
-  return false; // Decisions are immutable after creation
+submissionSchema.statics.isEditableByStudent = function (
+  challenge,
+  { decision = null, userId = decision?.userId, deadlines = null, now = new Date() } = {}
+) {
+  if (!challenge?.isPublished || !Challenge.hasStarted(challenge, now)) {
+    return false;
+  }
+  if (decision && (decision.processingStatus || "pending") !== "pending") {
+    return false;
+  }
+  const resolved = deadlines || studentDeadlines.resolveStudentDeadlines(challenge);
+  if (!studentDeadlines.getSubmissionWindow(challenge, resolved, userId, now).open) {
+    return false;
+  }
+  const late = latePolicy.computeLateness(challenge, now, {
+    deadlineAt: resolved.submissionDeadlineAt,
+  });
+  return !late || latePolicy.resolveLatePolicy(challenge).allowed;
+};
+
+/**
+ * Check if the student can still edit this decision
+ * @param {Object} challenge - The decision's challenge
+ * @param {Object} [deadlines] - The student's resolved deadlines
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+submissionSchema.methods.canEdit = function (challenge, deadlines = null, now = new Date()) {
+  return this.constructor.isEditableByStudent(challenge, {
+    decision: this,
+    deadlines,
+    now,
+  });
 };
 
 /**
@@ -1546,6 +2029,29 @@ submissionSchema.methods.updateProcessingStatus = async function (jobStatus) {
   return this;
 };
 
+/**
+ * Update one round's processing status from its job status. A failed round
+ * fails the decision; the decision completes when the challenge roll-up is
+ * written (LedgerEntry.writeRoundRollups).
+ * @param {string} roundKey - Round key
+ * @param {string} jobStatus - Job status ("completed" or "failed")
+ * @returns {Promise<this>} Updated decision
+ */
+submissionSchema.methods.updateRoundProcessingStatus = async function (
+  roundKey,
+  jobStatus
+) {
+  const round = this.rounds.find((entry) => entry.roundKey === roundKey);
+  if (round && (jobStatus === "completed" || round.processingStatus !== "completed")) {
+    round.processingStatus = jobStatus;
+  }
+  if (jobStatus === "failed") {
+    return this.updateProcessingStatus(jobStatus);
+  }
+  await this.save();
+  return this;
+};
+
 const Decision = mongoose.model("Decision", submissionSchema);
 
 module.exports = Decision;
@@ -14,3 +14,42 @@ test("decision model exports submission statics", () => {
 test("decision schema stores challenge-specific student answers", () => {
   assert.ok(Decision.schema.path("challengeVariableAnswers"));
 });
+
+test("isEditableByStudent honors the student's extended deadlines", () => {
+  const challenge = {
+    isPublished: true,
+    publishAt: null,
+    isClosed: false,
+    isLockedForStudents: true,
+    submissionDeadlineAt: new Date("2026-10-05T17:00:00Z"),
+    closeSubmissionsAt: new Date("2026-10-05T17:00:00Z"),
+    allowLateSubmissions: false,
+    deferredStudents: [],
+  };
+  const now = new Date("2026-10-06T12:00:00Z");
+  const decision = { userId: "m1", processingStatus: "pending" };
+  const extended = {
+    submissionDeadlineAt: new Date("2026-10-07T17:00:00Z"),
+    closeSubmissionsAt: new Date("2026-10-07T17:00:00Z"),
+    extended: true,
+    source: "accommodation",
+  };
+
+  assert.equal(Decision.isEditableByStudent(challenge, { decision, now }), false);
+  assert.equal(
+    Decision.isEditableByStudent(challenge, { decision, deadlines: extended, now }),
+    true
+  );
+  assert.equal(
+    Decision.isEditableByStudent(challenge, {
+      decision: { ...decision, processingStatus: "completed" },
+      deadlines: extended,
+      now,
+    }),
+    false
+  );
+  assert.equal(
+    new Decision({ userId: "507f1f77bcf86cd799439011" }).canEdit(challenge, extended, now),
+    true
+  );
+});
@@ -0,0 +1,160 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Decision = require("./decision.model");
+const Challenge = require("../challenge/challenge.model");
+const VariableDefinition = require("../variableDefinition/variableDefinition.model");
+const VariableValue = require("../variableDefinition/variableValue.model");
+
+const classroomId = new mongoose.Types.ObjectId();
+const challengeId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+const organization = new mongoose.Types.ObjectId();
+
+function stub(t, target, key, value) {
+  const original = target[key];
+  target[key] = value;
+  t.after(() => {
+    target[key] = original;
+  });
+}
+
+function buildChallenge(roundStatuses = ["pending", "pending"]) {
+  return {
+    _id: challengeId,
+    classroomId,
+    organization,
+    isPublished: true,
+    isClosed: false,
+    isLockedForStudents: false,
+    publishAt: null,
+    rounds: [
+      {
+        key: "monday",
+        title: "Monday order",
+        order: 1,
+        variableKeys: ["order-qty"],
+        closeSubmissionsAt: new Date("2026-10-05T09:00:00Z"),
+        processAt: new Date("2026-10-05T10:00:00Z"),
+        status: roundStatuses[0],
+      },
+      {
+        key: "thursday",
+        title: "Thursday restock",
+        order: 2,
+        variableKeys: ["restock-qty"],
+        closeSubmissionsAt: new Date("2026-10-08T09:00:00Z"),
+        processAt: new Date("2026-10-08T10:00:00Z"),
+        status: roundStatuses[1],
+      },
+    ],
+    getVariables: async () => ({}),
+  };
+}
+
+/**
+ * Stub the persistence submitRound touches. Returns what it observed.
+ */
+function stubRoundDependencies(t, { challenge = buildChallenge(), existing = null } = {}) {
+  const calls = { validateOptions: null, saved: null, variableDocs: [] };
+
+  stub(t, Challenge, "findById", async () => challenge);
+  stub(t, VariableDefinition, "validateValues", async (_c, _s, _v, options) => {
+    calls.validateOptions = options;
+    return { isValid: true, errors: [] };
+  });
+  stub(t, VariableDefinition, "applyDefaults", async (_c, _s, vars) => vars);
+  stub(t, VariableDefinition, "filterVariablesByActiveDefinitions", async (_c, _s, vars) => vars);
+  stub(t, Decision, "prepareChallengeVariableAnswers", async (_c, _ch, answers) => answers || {});
+  stub(t, Decision, "findOne", async () => existing);
+  stub(t, Decision.prototype, "save", async function () {
+    calls.saved = this;
+    return this;
+  });
+  stub(t, VariableValue, "deleteMany", async () => ({ deletedCount: 0 }));
+  stub(t, VariableValue, "insertMany", async (docs) => {
+    calls.variableDocs = docs;
+    return docs;
+  });
+  stub(t, Decision, "findById", async () => calls.saved);
+  stub(t, Decision, "populateVariablesForMany", async () => {});
+  return calls;
+}
+
+const submit = (overrides = {}) =>
+  Decision.submitRound({
+    classroomId,
+    challengeId,
+    userId,
+    variables: { "order-qty": 40 },
+    organizationId: organization,
+    clerkUserId: "user_1",
+    now: new Date("2026-10-05T08:00:00Z"),
+    ...overrides,
+  });
+
+test("submitRound records the open round and validates only its variables", async (t) => {
+  const calls = stubRoundDependencies(t);
+
+  const decision = await submit();
+
+  assert.deepEqual(calls.validateOptions, { keys: ["order-qty"], challengeId });
+  assert.equal(decision.rounds.length, 1);
+  assert.equal(decision.rounds[0].roundKey, "monday");
+  assert.deepEqual(decision.rounds[0].variables, { "order-qty": 40 });
+  assert.deepEqual(
+    calls.variableDocs.map((doc) => [doc.variableKey, doc.value]),
+    [["order-qty", 40]]
+  );
+});
+
+test("submitRound merges later rounds into the decision variables", async (t) => {
+  const existing = new Decision({
+    classroomId,
+    challengeId,
+    userId,
+    organization,
+    createdBy: "user_1",
+    updatedBy: "user_1",
+    rounds: [{ roundKey: "monday", variables: { "order-qty": 40, note: "a" } }],
+  });
+  const calls = stubRoundDependencies(t, {
+    challenge: buildChallenge(["processed", "pending"]),
+    existing,
+  });
+
+  await submit({
+    variables: { "restock-qty": 12, note: "b" },
+    now: new Date("2026-10-06T08:00:00Z"),
+  });
+
+  assert.deepEqual(
+    calls.saved.rounds.map((round) => round.roundKey),
+    ["monday", "thursday"]
+  );
+  assert.deepEqual(
+    Object.fromEntries(calls.variableDocs.map((doc) => [doc.variableKey, doc.value])),
+    { "order-qty": 40, note: "b", "restock-qty": 12 }
+  );
+});
+
+test("submitRound rejects rounds that are not open", async (t) => {
+  stubRoundDependencies(t);
+
+  await assert.rejects(
+    submit({ roundKey: "thursday" }),
+    (error) =>
+      error.statusCode === 409 &&
+      error.code === "ROUND_NOT_OPEN" &&
+      error.details.openRoundKey === "monday"
+  );
+  await assert.rejects(
+    submit({ roundKey: "sunday" }),
+    (error) => error.statusCode === 400 && error.code === "UNKNOWN_ROUND"
+  );
+  await assert.rejects(
+    submit({ now: new Date("2026-10-05T09:30:00Z") }),
+    (error) => error.code === "ROUND_NOT_OPEN" && error.details.openRoundKey === null
+  );
+});
@@ -136,6 +136,9 @@ router.get(
  *               challengeVariableAnswers:
  *                 type: object
  *                 description: Map of challenge-specific question keys to this student's answers.
+ *               roundKey:
+ *                 type: string
+ *                 description: Multi-round challenges only. The round being submitted; defaults to the open round. Only the open round accepts submissions (409 ROUND_NOT_OPEN otherwise), and resubmitting replaces that round's values.
  *     responses:
  *       201:
  *         description: Decisions submitted.
@@ -178,6 +181,9 @@ router.post(
  *               challengeVariableAnswers:
  *                 type: object
  *                 description: Map of challenge-specific question keys to this student's answers.
+ *               roundKey:
+ *                 type: string
+ *                 description: Multi-round challenges only; see POST /v1/student/decision.
  *     responses:
  *       200:
  *         description: Submission updated.
@@ -204,7 +210,7 @@ router.put(
  *       - BearerAuth: []
  *     responses:
  *       200:
- *         description: Submission status flags.
+ *         description: Submission status flags, with the student's own `submissionDeadlineAt`/`closeSubmissionsAt` (after any extension or accommodation, flagged by `deadlineExtended`) and `canEdit`. Multi-round challenges also return `openRoundKey` and per-round `rounds` status.
  */
 router.get(
   "/student/decision/status",
@@ -299,4 +305,47 @@ router.get(
   controller.getMissingSubmissionsForScenario
 );
 
+/**
+ * @openapi
+ * /v1/admin/decisions/{decisionId}/late-waiver:
+ *   put:
+ *     summary: Waive a student's late penalty
+ *     description: Waives (or, with waived false, reinstates) the late-submission penalty on one student's decision. The decision stays marked late. When results exist and the challenge applies the penalty to a metric, the metric is restored and a late_waiver revision is recorded. Penalties applied through the AI (applyTo ai_context) need a rerun, reported as requiresRerun. Requires org:admin role.
+ *     tags:
+ *       - Decisions
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: decisionId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               waived:
+ *                 type: boolean
+ *                 default: true
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: "{ decision, ledgerEntry, requiresRerun }"
+ *       404:
+ *         description: Decision not found.
+ *       409:
+ *         description: The decision was not late (DECISION_NOT_LATE).
+ */
+router.put(
+  "/admin/decisions/:decisionId/late-waiver",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.setLateWaiver
+);
+
 module.exports = router;
@@ -3,6 +3,9 @@ const Member = require("../members/member.model");
 const Enrollment = require("./enrollment.model");
 const Organization = require("../organizations/organization.model");
 const Profile = require("../profile/profile.model");
+const {
+  normalizeAccommodationsInput,
+} = require("../challenge/lib/studentDeadlines");
 
 /**
  * Student joins class
@@ -11,7 +14,7 @@ const Profile = require("../profile/profile.model");
 exports.joinClass = async function (req, res) {
   try {
     const { classroomId } = req.params;
-    const { studentId } = req.body || {};
+    const { studentId, accessCode } = req.body || {};
     const clerkUserId = req.clerkUser.id;
 
     // Verify classroom exists and is active
@@ -51,6 +54,8 @@ exports.joinClass = async function (req, res) {
       studentEmail,
       studentId,
       joinSource: "classroom_list",
+      accessCode,
+      ipAddress: req.ip,
     });
 
     // TODO: Trigger downstream initialization (profile, variables)
@@ -357,6 +362,70 @@ exports.updateStudentEnrollment = async function (req, res) {
   }
 };
 
+/**
+ * Set a student's standing accommodations (admin)
+ * PUT /v1/enrollment/admin/class/:classroomId/student/:userId/accommodations
+ */
+exports.updateStudentAccommodations = async function (req, res) {
+  try {
+    const { classroomId, userId } = req.params;
+    const organizationId = req.organization._id;
+    const clerkUserId = req.clerkUser.id;
+
+    const accommodations = normalizeAccommodationsInput(req.body);
+
+    await Classroom.validateAdminAccess(
+      classroomId,
+      clerkUserId,
+      organizationId,
+    );
+
+    const enrollment = await Enrollment.findOneAndUpdate(
+      {
+        classroomId,
+        userId,
+        organization: organizationId,
+        isRemoved: false,
+      },
+      { $set: { accommodations, updatedBy: clerkUserId } },
+      { new: true, runValidators: true },
+    );
+    if (!enrollment) {
+      return res.status(404).json({ error: "Enrollment not found" });
+    }
+
+    return res.json({
+      success: true,
+      message: "Accommodations updated successfully",
+      data: {
+        _id: enrollment._id,
+        classroomId: enrollment.classroomId,
+        userId: enrollment.userId,
+        accommodations: enrollment.accommodations,
+      },
+    });
+  } catch (error) {
+    console.error("Error updating student accommodations:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code,
+        details: error.details,
+      });
+    }
+    if (error.message === "Class not found") {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes("Insufficient permissions")) {
+      return res.status(403).json({ error: error.message });
+    }
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({ error: error.message });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+};
+
 /**
  * Student leaves class
  * POST /v1/enrollment/class/:classroomId/leave
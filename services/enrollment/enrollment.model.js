@@ -24,6 +24,20 @@ const enrollmentSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // Standing accommodations applied on every challenge (see
+  // challenge/lib/studentDeadlines)
+  accommodations: {
+    extraTimeHours: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 720,
+    },
+    note: {
+      type: String,
+      default: "",
+    },
+  },
   joinedAt: {
     type: Date,
     default: Date.now,
@@ -268,6 +282,10 @@ enrollmentSchema.statics.getClassRoster = async function (classroomId) {
       role: enrollment.role,
       joinedAt: enrollment.joinedAt,
       studentId: enrollment.studentId || profile?.studentId || "",
+      accommodations: {
+        extraTimeHours: enrollment.accommodations?.extraTimeHours || 0,
+        note: enrollment.accommodations?.note || "",
+      },
       profile,
     };
   });
@@ -675,6 +693,8 @@ enrollmentSchema.statics.grantOrgSeatAndEnroll = async function ({
 
 /**
  * Ensures the final state is valid (auth/org/classroom/membership/enrollment) and returns it.
+ * Students joining for the first time must pass the classroom's join policy,
+ * allowed email domains and access code (see licensing/joinPolicy).
  */
 enrollmentSchema.statics.ensureJoin = async function ({
   orgId,
@@ -684,6 +704,8 @@ enrollmentSchema.statics.ensureJoin = async function ({
   studentEmail,
   studentId,
   joinSource = "invite_link",
+  accessCode,
+  ipAddress,
 }) {
   const Organization = require("../organizations/organization.model");
   const Classroom = require("../classroom/classroom.model");
@@ -738,6 +760,8 @@ enrollmentSchema.statics.ensureJoin = async function ({
       studentEmail,
       studentId,
       joinSource,
+      accessCode,
+      ipAddress,
     });
 
     let rosterSeat;
@@ -859,6 +883,10 @@ enrollmentSchema.statics.leaveClassroom = async function ({
     updatedBy,
   });
 
+  // Leaving students drop off their team (see Team.anchorMemberId)
+  const { dropDepartedMember } = require("../team/lib/teams");
+  await dropDepartedMember(classroomId, userId);
+
   if (member) {
     await member.clearActiveClassroomIfMatches(classroomId);
   }
@@ -1042,6 +1070,9 @@ enrollmentSchema.statics.transferStudentBetweenClassrooms = async function ({
     transferredSeat = seatClaim;
   }
 
+  const { dropDepartedMember } = require("../team/lib/teams");
+  await dropDepartedMember(fromClassroomId, member._id);
+
   await member.updateActiveClassroomForTransfer({
     fromClassroomId,
     toClassroom,
@@ -14,6 +14,7 @@ const {
   checkRole,
   requireMemberAuth,
 } = require("../../middleware/auth");
+const { planRateLimit } = require("../../middleware/rateLimit");
 
 // enrollment/index.js
 /**
@@ -181,6 +182,56 @@ router.patch(
   controller.updateStudentEnrollment
 );
 
+/**
+ * @openapi
+ * /v1/enrollment/admin/class/{classroomId}/student/{userId}/accommodations:
+ *   put:
+ *     summary: Set a student's standing accommodations
+ *     description: Extra time applied to the student's deadlines on every challenge in the classroom (both submissionDeadlineAt and closeSubmissionsAt move back). A per-challenge deadline extension takes precedence. Requires org:admin role.
+ *     tags:
+ *       - Enrollments
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               extraTimeHours:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 720
+ *                 description: 0 removes the accommodation.
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Accommodations updated.
+ *       400:
+ *         description: Invalid accommodations (INVALID_ACCOMMODATIONS).
+ *       404:
+ *         description: Enrollment not found.
+ */
+router.put(
+  "/admin/class/:classroomId/student/:userId/accommodations",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.updateStudentAccommodations
+);
+
 /**
  * @openapi
  * /v1/enrollment/admin/transfer:
@@ -245,13 +296,20 @@ router.post(
  *             properties:
  *               accessCode:
  *                 type: string
- *                 description: Code to authenticate the join request.
+ *                 description: Required when the classroom has an access code.
+ *               studentId:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Successfully joined classroom.
+ *       403:
+ *         description: Join refused by classroom policy (CLASSROOM_CLOSED, INVITE_REQUIRED, ROSTER_ONLY, EMAIL_DOMAIN_NOT_ALLOWED, ACCESS_CODE_REQUIRED or ACCESS_CODE_INVALID).
+ *       429:
+ *         description: Too many join requests (RATE_LIMITED) or incorrect access codes (ACCESS_CODE_RATE_LIMITED).
  */
 router.post(
   "/class/:classroomId/join",
+  planRateLimit("join"),
   requireMemberAuth(),
   controller.joinClass
 );
@@ -0,0 +1,128 @@
+const mongoose = require("mongoose");
+const baseSchema = require("../../lib/baseSchema");
+const { makeGradebookError } = require("./gradebook.errors");
+// Note: Challenge and Enrollment are required inside functions to avoid
+// circular dependencies
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     GradeAdjustment:
+ *       type: object
+ *       description: Points an instructor adds to (or takes off) one student's challenge score, or their course grade when challengeId is null.
+ *       properties:
+ *         _id:
+ *           type: string
+ *         classroomId:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         challengeId:
+ *           type: string
+ *           nullable: true
+ *         points:
+ *           type: number
+ *         reason:
+ *           type: string
+ */
+const MAX_ADJUSTMENT_POINTS = 100;
+
+const gradeAdjustmentSchema = new mongoose.Schema({
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Classroom",
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    required: true,
+  },
+  challengeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Challenge",
+    default: null,
+  },
+  points: {
+    type: Number,
+    required: true,
+    min: -MAX_ADJUSTMENT_POINTS,
+    max: MAX_ADJUSTMENT_POINTS,
+  },
+  reason: {
+    type: String,
+    default: "",
+  },
+}).add(baseSchema);
+
+gradeAdjustmentSchema.index({ classroomId: 1, userId: 1, challengeId: 1 }, { unique: true });
+
+/**
+ * Set a student's adjustment on a challenge (or the course when
+ * `challengeId` is null), replacing any previous one.
+ */
+gradeAdjustmentSchema.statics.setAdjustment = async function ({
+  classroomId,
+  userId,
+  challengeId = null,
+  points,
+  reason,
+  organizationId,
+  clerkUserId,
+}) {
+  const Challenge = require("../challenge/challenge.model");
+  const Enrollment = require("../enrollment/enrollment.model");
+
+  const value = Number(points);
+  if (
+    points === null ||
+    points === undefined ||
+    points === "" ||
+    !Number.isFinite(value) ||
+    Math.abs(value) > MAX_ADJUSTMENT_POINTS
+  ) {
+    throw makeGradebookError(
+      `points must be a number between -${MAX_ADJUSTMENT_POINTS} and ${MAX_ADJUSTMENT_POINTS}`,
+      400,
+      "INVALID_GRADE_ADJUSTMENT"
+    );
+  }
+  if (reason !== undefined && typeof reason !== "string") {
+    throw makeGradebookError("reason must be a string", 400, "INVALID_GRADE_ADJUSTMENT");
+  }
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw makeGradebookError("Student is not enrolled in this class", 404, "ENROLLMENT_NOT_FOUND");
+  }
+  if (challengeId !== null) {
+    const challenge = mongoose.Types.ObjectId.isValid(challengeId)
+      ? await Challenge.exists({ _id: challengeId, classroomId })
+      : null;
+    if (!challenge) {
+      throw makeGradebookError("Challenge not found in this class", 404, "CHALLENGE_NOT_FOUND");
+    }
+  }
+  const enrolled = await Enrollment.isUserEnrolled(classroomId, userId);
+  if (!enrolled) {
+    throw makeGradebookError("Student is not enrolled in this class", 404, "ENROLLMENT_NOT_FOUND");
+  }
+
+  return this.findOneAndUpdate(
+    { classroomId, userId, challengeId },
+    {
+      $set: {
+        points: value,
+        reason: typeof reason === "string" ? reason.trim() : "",
+        updatedBy: clerkUserId,
+      },
+      $setOnInsert: { organization: organizationId, createdBy: clerkUserId },
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+};
+
+gradeAdjustmentSchema.statics.MAX_ADJUSTMENT_POINTS = MAX_ADJUSTMENT_POINTS;
+
+const GradeAdjustment = mongoose.model("GradeAdjustment", gradeAdjustmentSchema);
+
+module.exports = GradeAdjustment;
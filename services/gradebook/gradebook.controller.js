@@ -0,0 +1,197 @@
+const Classroom = require("../classroom/classroom.model");
+const GradingScheme = require("./gradingScheme.model");
+const GradeAdjustment = require("./gradeAdjustment.model");
+const GradebookService = require("./lib/gradebookService");
+const { makeGradebookError } = require("./gradebook.errors");
+
+function parseGradebookQuery(query = {}) {
+  return { releasedOnly: query.releasedOnly === "true" };
+}
+
+function handleGradebookError(res, error) {
+  if (error.message === "Class not found") {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes("Insufficient permissions")) {
+    return res.status(403).json({ error: error.message });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code,
+      details: error.details,
+    });
+  }
+  return res.status(500).json({ error: error.message });
+}
+
+async function validateAccess(req) {
+  return Classroom.validateAdminAccess(
+    req.params.classroomId,
+    req.clerkUser.id,
+    req.organization._id
+  );
+}
+
+/**
+ * Get the class gradebook
+ * GET /api/admin/class/:classroomId/gradebook
+ */
+exports.getGradebook = async function (req, res) {
+  try {
+    await validateAccess(req);
+    const gradebook = await GradebookService.getGradebook(
+      req.params.classroomId,
+      req.organization._id,
+      parseGradebookQuery(req.query)
+    );
+    res.json({ success: true, data: gradebook });
+  } catch (error) {
+    console.error("Error getting gradebook:", error);
+    handleGradebookError(res, error);
+  }
+};
+
+/**
+ * Get one student's grades
+ * GET /api/admin/class/:classroomId/gradebook/students/:userId
+ */
+exports.getStudentGrades = async function (req, res) {
+  try {
+    await validateAccess(req);
+    const grades = await GradebookService.getStudentGrades(
+      req.params.classroomId,
+      req.organization._id,
+      req.params.userId,
+      parseGradebookQuery(req.query)
+    );
+    res.json({ success: true, data: grades });
+  } catch (error) {
+    console.error("Error getting student grades:", error);
+    handleGradebookError(res, error);
+  }
+};
+
+/**
+ * Get every student's grade on one challenge
+ * GET /api/admin/class/:classroomId/gradebook/challenges/:challengeId
+ */
+exports.getChallengeGrades = async function (req, res) {
+  try {
+    await validateAccess(req);
+    const grades = await GradebookService.getChallengeGrades(
+      req.params.classroomId,
+      req.organization._id,
+      req.params.challengeId,
+      parseGradebookQuery(req.query)
+    );
+    res.json({ success: true, data: grades });
+  } catch (error) {
+    console.error("Error getting challenge grades:", error);
+    handleGradebookError(res, error);
+  }
+};
+
+/**
+ * Export the gradebook as CSV
+ * GET /api/admin/class/:classroomId/gradebook/export
+ */
+exports.exportGradebook = async function (req, res) {
+  try {
+    const classroom = await validateAccess(req);
+    const gradebook = await GradebookService.getGradebook(
+      req.params.classroomId,
+      req.organization._id,
+      parseGradebookQuery(req.query)
+    );
+    const result = GradebookService.buildCsv(gradebook, classroom?.name);
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${result.fileName}"`);
+    res.setHeader("Content-Length", Buffer.byteLength(result.csv, "utf8"));
+    return res.status(200).send(result.csv);
+  } catch (error) {
+    console.error("Error exporting gradebook:", error);
+    handleGradebookError(res, error);
+  }
+};
+
+/**
+ * Get the grading scheme
+ * GET /api/admin/class/:classroomId/gradebook/scheme
+ */
+exports.getScheme = async function (req, res) {
+  try {
+    await validateAccess(req);
+    const scheme = await GradingScheme.getForClassroom(req.params.classroomId);
+    res.json({ success: true, data: scheme });
+  } catch (error) {
+    console.error("Error getting grading scheme:", error);
+    handleGradebookError(res, error);
+  }
+};
+
+/**
+ * Replace the grading scheme
+ * PUT /api/admin/class/:classroomId/gradebook/scheme
+ */
+exports.updateScheme = async function (req, res) {
+  try {
+    await validateAccess(req);
+    const scheme = await GradingScheme.saveForClassroom(
+      req.params.classroomId,
+      req.body,
+      req.organization._id,
+      req.clerkUser.id
+    );
+    res.json({ success: true, data: scheme });
+  } catch (error) {
+    console.error("Error updating grading scheme:", error);
+    handleGradebookError(res, error);
+  }
+};
+
+/**
+ * Set a manual grade adjustment
+ * PUT /api/admin/class/:classroomId/gradebook/adjustments
+ */
+exports.setAdjustment = async function (req, res) {
+  try {
+    await validateAccess(req);
+    const { userId, challengeId, points, reason } = req.body || {};
+    const adjustment = await GradeAdjustment.setAdjustment({
+      classroomId: req.params.classroomId,
+      userId,
+      challengeId: challengeId || null,
+      points,
+      reason,
+      organizationId: req.organization._id,
+      clerkUserId: req.clerkUser.id,
+    });
+    res.json({ success: true, data: adjustment });
+  } catch (error) {
+    console.error("Error setting grade adjustment:", error);
+    handleGradebookError(res, error);
+  }
+};
+
+/**
+ * Remove a manual grade adjustment
+ * DELETE /api/admin/class/:classroomId/gradebook/adjustments/:adjustmentId
+ */
+exports.deleteAdjustment = async function (req, res) {
+  try {
+    await validateAccess(req);
+    const deleted = await GradeAdjustment.findOneAndDelete({
+      _id: req.params.adjustmentId,
+      classroomId: req.params.classroomId,
+    }).lean();
+    if (!deleted) {
+      throw makeGradebookError("Grade adjustment not found", 404, "GRADE_ADJUSTMENT_NOT_FOUND");
+    }
+    res.json({ success: true, data: deleted });
+  } catch (error) {
+    console.error("Error deleting grade adjustment:", error);
+    handleGradebookError(res, error);
+  }
+};
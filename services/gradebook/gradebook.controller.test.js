@@ -0,0 +1,17 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const controller = require("./gradebook.controller");
+
+test("gradebook controller exports handlers", () => {
+  [
+    "getGradebook",
+    "getStudentGrades",
+    "getChallengeGrades",
+    "exportGradebook",
+    "getScheme",
+    "updateScheme",
+    "setAdjustment",
+    "deleteAdjustment",
+  ].forEach((name) => assert.equal(typeof controller[name], "function", name));
+});
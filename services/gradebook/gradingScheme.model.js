@@ -0,0 +1,164 @@
+const mongoose = require("mongoose");
+const baseSchema = require("../../lib/baseSchema");
+const { defaultScheme, normalizeSchemeInput } = require("./lib/gradeCalculator");
+// Note: Challenge and MetricDefinition are required inside functions to avoid
+// circular dependencies
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     GradingScheme:
+ *       type: object
+ *       description: How a classroom's challenges are scored (see services/gradebook/lib/gradeCalculator.js). Classrooms without a saved scheme grade completion only.
+ *       properties:
+ *         criteria:
+ *           type: array
+ *           description: Weighted criteria averaged into each challenge score.
+ *           items:
+ *             type: object
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [absolute, rank_percentile, improvement, completion]
+ *               metricKey:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Numeric MetricDefinition key (not used by completion).
+ *               weight:
+ *                 type: number
+ *               floor:
+ *                 type: number
+ *                 description: Value (or change, for improvement) that scores 0.
+ *               target:
+ *                 type: number
+ *                 description: Value (or change) that scores 100. Below floor for lower-is-better metrics.
+ *               higherIsBetter:
+ *                 type: boolean
+ *                 description: rank_percentile only.
+ *         challengeWeights:
+ *           type: array
+ *           description: Challenge weights in the course grade (1 when not listed; 0 leaves the challenge out).
+ *           items:
+ *             type: object
+ *             properties:
+ *               challengeId:
+ *                 type: string
+ *               weight:
+ *                 type: number
+ *         dropLowest:
+ *           type: integer
+ *           description: Lowest challenge scores dropped from each student's course grade.
+ *         applyLatePenalties:
+ *           type: boolean
+ *           description: Deduct late penalties recorded for the gradebook (lateSubmissionPolicy.applyTo "gradebook").
+ */
+const criterionSchema = new mongoose.Schema(
+  {
+    method: {
+      type: String,
+      enum: ["absolute", "rank_percentile", "improvement", "completion"],
+      required: true,
+    },
+    metricKey: { type: String, default: null },
+    weight: { type: Number, default: 1, min: 0 },
+    floor: { type: Number },
+    target: { type: Number },
+    higherIsBetter: { type: Boolean },
+  },
+  { _id: false }
+);
+
+const gradingSchemeSchema = new mongoose.Schema({
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Classroom",
+    required: true,
+    unique: true,
+  },
+  criteria: {
+    type: [criterionSchema],
+    default: () => defaultScheme().criteria,
+  },
+  challengeWeights: [
+    {
+      _id: false,
+      challengeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Challenge",
+        required: true,
+      },
+      weight: { type: Number, default: 1, min: 0 },
+    },
+  ],
+  dropLowest: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  applyLatePenalties: {
+    type: Boolean,
+    default: true,
+  },
+}).add(baseSchema);
+
+function toScheme(doc) {
+  return {
+    criteria: doc.criteria.map((criterion) => ({ ...criterion })),
+    challengeWeights: (doc.challengeWeights || []).map((entry) => ({
+      challengeId: String(entry.challengeId),
+      weight: entry.weight,
+    })),
+    dropLowest: doc.dropLowest || 0,
+    applyLatePenalties: doc.applyLatePenalties !== false,
+  };
+}
+
+/**
+ * The classroom's grading scheme, or the default scheme when none is saved.
+ *
+ * @returns {Promise<Object>} scheme, with `isDefault`
+ */
+gradingSchemeSchema.statics.getForClassroom = async function (classroomId) {
+  const doc = await this.findOne({ classroomId }).lean();
+  return doc ? { ...toScheme(doc), isDefault: false } : { ...defaultScheme(), isDefault: true };
+};
+
+/**
+ * Validate and save the classroom's grading scheme. Throws 400
+ * INVALID_GRADING_SCHEME.
+ */
+gradingSchemeSchema.statics.saveForClassroom = async function (
+  classroomId,
+  input,
+  organizationId,
+  clerkUserId
+) {
+  const Challenge = require("../challenge/challenge.model");
+  const MetricDefinition = require("../metricDefinition/metricDefinition.model");
+
+  const [metricDefinitions, challenges] = await Promise.all([
+    MetricDefinition.find({ classroomId, isActive: true, dataType: "number" })
+      .select("key")
+      .lean(),
+    Challenge.find({ classroomId }).select("_id").lean(),
+  ]);
+  const scheme = normalizeSchemeInput(input, {
+    metricKeys: metricDefinitions.map((definition) => definition.key),
+    challengeIds: challenges.map((challenge) => String(challenge._id)),
+  });
+
+  const doc = await this.findOneAndUpdate(
+    { classroomId },
+    {
+      $set: { ...scheme, updatedBy: clerkUserId },
+      $setOnInsert: { organization: organizationId, createdBy: clerkUserId },
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+  return { ...toScheme(doc), isDefault: false };
+};
+
+const GradingScheme = mongoose.model("GradingScheme", gradingSchemeSchema);
+
+module.exports = GradingScheme;
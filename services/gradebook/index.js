@@ -0,0 +1,413 @@
+/**
+ * Gradebook Service Routes
+ *
+ * Scores each student's challenge results with the classroom's grading scheme.
+ * Mounted at: /v1/admin/class/:classroomId/gradebook
+ */
+const express = require("express");
+const controller = require("./gradebook.controller");
+const router = express.Router();
+
+const { requireAuth, checkRole } = require("../../middleware/auth");
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Gradebook:
+ *       type: object
+ *       properties:
+ *         scheme:
+ *           $ref: '#/components/schemas/GradingScheme'
+ *         challenges:
+ *           type: array
+ *           description: Challenges with results, oldest first.
+ *           items:
+ *             type: object
+ *             properties:
+ *               challengeId:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               week:
+ *                 type: integer
+ *               weight:
+ *                 type: number
+ *               gradedCount:
+ *                 type: integer
+ *               averageScore:
+ *                 type: number
+ *                 nullable: true
+ *         students:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/GradebookStudent'
+ *     GradebookStudent:
+ *       type: object
+ *       properties:
+ *         userId:
+ *           type: string
+ *         firstName:
+ *           type: string
+ *         lastName:
+ *           type: string
+ *         email:
+ *           type: string
+ *           description: Masked email.
+ *         studentId:
+ *           type: string
+ *           nullable: true
+ *         profileName:
+ *           type: string
+ *           nullable: true
+ *           description: The team's store for team members.
+ *         teamId:
+ *           type: string
+ *           nullable: true
+ *         teamName:
+ *           type: string
+ *           nullable: true
+ *           description: Team members are graded on their team's results.
+ *         courseGrade:
+ *           type: number
+ *           nullable: true
+ *           description: Weighted average of the kept challenge scores plus any course adjustment.
+ *         courseAdjustment:
+ *           type: number
+ *         courseAdjustmentReason:
+ *           type: string
+ *           nullable: true
+ *         grades:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ChallengeGrade'
+ *     ChallengeGrade:
+ *       type: object
+ *       properties:
+ *         challengeId:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [graded, missing]
+ *           description: missing scores 0 (the student has no results for the challenge).
+ *         weight:
+ *           type: number
+ *         baseScore:
+ *           type: number
+ *           description: Weighted average of the scheme criteria before penalties and adjustments.
+ *         criteria:
+ *           type: array
+ *           items:
+ *             type: object
+ *         latePenaltyPercent:
+ *           type: number
+ *         adjustment:
+ *           type: number
+ *         adjustmentReason:
+ *           type: string
+ *           nullable: true
+ *         score:
+ *           type: number
+ *         dropped:
+ *           type: boolean
+ */
+
+/**
+ * @openapi
+ * /v1/admin/class/{classroomId}/gradebook:
+ *   get:
+ *     summary: Get class gradebook
+ *     description: Grades every enrolled student on every challenge with results using the class grading scheme, including late penalties, manual adjustments, challenge weights and dropped-lowest scores. Requires org:admin role.
+ *     tags:
+ *       - Gradebook
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: releasedOnly
+ *         in: query
+ *         description: Only grade challenges whose results students can see.
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Gradebook.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Gradebook'
+ *       404:
+ *         description: Class not found.
+ */
+router.get(
+  "/admin/class/:classroomId/gradebook",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.getGradebook
+);
+
+/**
+ * @openapi
+ * /v1/admin/class/{classroomId}/gradebook/export:
+ *   get:
+ *     summary: Export class gradebook as CSV
+ *     description: One row per student with a score column per challenge (dropped scores are marked "(dropped)") and the course grade, plus a Team column when the class has teams. Requires org:admin role.
+ *     tags:
+ *       - Gradebook
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: releasedOnly
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: CSV file.
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Class not found.
+ */
+router.get(
+  "/admin/class/:classroomId/gradebook/export",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.exportGradebook
+);
+
+/**
+ * @openapi
+ * /v1/admin/class/{classroomId}/gradebook/scheme:
+ *   get:
+ *     summary: Get class grading scheme
+ *     description: Returns the saved scheme, or the default completion-only scheme (`isDefault` true). Requires org:admin role.
+ *     tags:
+ *       - Gradebook
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Grading scheme.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GradingScheme'
+ *   put:
+ *     summary: Replace class grading scheme
+ *     description: Criteria must reference active numeric metric definitions of the class; challenge weights must reference its challenges. Requires org:admin role.
+ *     tags:
+ *       - Gradebook
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GradingScheme'
+ *     responses:
+ *       200:
+ *         description: Saved grading scheme.
+ *       400:
+ *         description: Invalid scheme (code INVALID_GRADING_SCHEME).
+ */
+router.get(
+  "/admin/class/:classroomId/gradebook/scheme",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.getScheme
+);
+
+router.put(
+  "/admin/class/:classroomId/gradebook/scheme",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.updateScheme
+);
+
+/**
+ * @openapi
+ * /v1/admin/class/{classroomId}/gradebook/students/{userId}:
+ *   get:
+ *     summary: Get one student's grades
+ *     tags:
+ *       - Gradebook
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: userId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: releasedOnly
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: The scheme, graded challenges and the student's grades.
+ *       404:
+ *         description: Class not found, or the student is not enrolled (code ENROLLMENT_NOT_FOUND).
+ */
+router.get(
+  "/admin/class/:classroomId/gradebook/students/:userId",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.getStudentGrades
+);
+
+/**
+ * @openapi
+ * /v1/admin/class/{classroomId}/gradebook/challenges/{challengeId}:
+ *   get:
+ *     summary: Get every student's grade on one challenge
+ *     tags:
+ *       - Gradebook
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: challengeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: releasedOnly
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: The scheme, the challenge summary and one grade per student.
+ *       404:
+ *         description: Class not found, or the challenge has no results (code CHALLENGE_NOT_GRADED).
+ */
+router.get(
+  "/admin/class/:classroomId/gradebook/challenges/:challengeId",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.getChallengeGrades
+);
+
+/**
+ * @openapi
+ * /v1/admin/class/{classroomId}/gradebook/adjustments:
+ *   put:
+ *     summary: Set a manual grade adjustment
+ *     description: Adds points to (or takes points off) a student's challenge score, or their course grade when challengeId is omitted. Replaces any previous adjustment for the same student and challenge. Requires org:admin role.
+ *     tags:
+ *       - Gradebook
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId, points]
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               challengeId:
+ *                 type: string
+ *                 nullable: true
+ *               points:
+ *                 type: number
+ *                 minimum: -100
+ *                 maximum: 100
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Saved adjustment.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GradeAdjustment'
+ *       400:
+ *         description: Invalid points or reason (code INVALID_GRADE_ADJUSTMENT).
+ *       404:
+ *         description: Class, challenge or enrollment not found (codes CHALLENGE_NOT_FOUND, ENROLLMENT_NOT_FOUND).
+ */
+router.put(
+  "/admin/class/:classroomId/gradebook/adjustments",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.setAdjustment
+);
+
+/**
+ * @openapi
+ * /v1/admin/class/{classroomId}/gradebook/adjustments/{adjustmentId}:
+ *   delete:
+ *     summary: Remove a manual grade adjustment
+ *     tags:
+ *       - Gradebook
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: adjustmentId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Removed adjustment.
+ *       404:
+ *         description: Class or adjustment not found (code GRADE_ADJUSTMENT_NOT_FOUND).
+ */
+router.delete(
+  "/admin/class/:classroomId/gradebook/adjustments/:adjustmentId",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.deleteAdjustment
+);
+
+module.exports = router;
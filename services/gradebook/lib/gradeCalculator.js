@@ -0,0 +1,424 @@
+const { makeGradebookError } = require("../gradebook.errors");
+const { rankRows } = require("../../leaderboard/lib/rankLeaderboard");
+
+/**
+ * Grades from ledger results. A classroom's grading scheme scores every
+ * challenge with results from one or more weighted criteria:
+ *
+ * - "absolute": the metric's value on a linear scale, `floor` earns 0 and
+ *   `target` earns 100 (set target below floor for lower-is-better metrics)
+ * - "rank_percentile": where the value ranks among the class on that
+ *   challenge (top = 100, bottom = 0)
+ * - "improvement": the change since the student's previous challenge (or
+ *   their week 0 entry), on the same floor/target scale as "absolute"
+ * - "completion": 100 when the student submitted their own decision, 0 when
+ *   it was generated for them
+ *
+ * The challenge score then loses any late penalty recorded for the gradebook
+ * (LedgerEntry.latePenalty with applyTo "gradebook", unless waived) and gains
+ * the instructor's manual adjustment. The course grade is the weighted
+ * average of challenge scores after dropping each student's `dropLowest`
+ * lowest, plus any course-level adjustment.
+ */
+
+const GRADING_METHODS = Object.freeze([
+  "absolute",
+  "rank_percentile",
+  "improvement",
+  "completion",
+]);
+const MAX_CRITERIA = 10;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function toFiniteNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function metricsToObject(metrics) {
+  if (!metrics) return {};
+  if (metrics instanceof Map) return Object.fromEntries(metrics);
+  return metrics;
+}
+
+/**
+ * The scheme used when a classroom hasn't saved one: every challenge counts
+ * equally for completion, with late penalties applied.
+ */
+function defaultScheme() {
+  return {
+    criteria: [{ method: "completion", metricKey: null, weight: 1 }],
+    challengeWeights: [],
+    dropLowest: 0,
+    applyLatePenalties: true,
+  };
+}
+
+function invalid(message, details) {
+  return makeGradebookError(message, 400, "INVALID_GRADING_SCHEME", details);
+}
+
+function readWeight(value, field) {
+  if (value === undefined || value === null) return 1;
+  const weight = Number(value);
+  if (!Number.isFinite(weight) || weight < 0) {
+    throw invalid(`${field} must be a number of at least 0`, { field });
+  }
+  return weight;
+}
+
+/**
+ * Validate a grading scheme update.
+ *
+ * @param {Object} value
+ * @param {Object} [options]
+ * @param {string[]} [options.metricKeys] - numeric metric keys of the classroom
+ * @param {string[]} [options.challengeIds] - the classroom's challenges
+ */
+function normalizeSchemeInput(value, { metricKeys = [], challengeIds = [] } = {}) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw invalid("grading scheme must be an object");
+  }
+
+  if (!Array.isArray(value.criteria) || value.criteria.length === 0) {
+    throw invalid("criteria must be a non-empty array");
+  }
+  if (value.criteria.length > MAX_CRITERIA) {
+    throw invalid(`A scheme can have at most ${MAX_CRITERIA} criteria`);
+  }
+  const criteria = value.criteria.map((criterion, index) => {
+    const field = `criteria[${index}]`;
+    if (!criterion || typeof criterion !== "object") {
+      throw invalid(`${field} must be an object`, { field });
+    }
+    if (!GRADING_METHODS.includes(criterion.method)) {
+      throw invalid(`${field}.method must be one of: ${GRADING_METHODS.join(", ")}`, {
+        field,
+      });
+    }
+
+    const normalized = {
+      method: criterion.method,
+      metricKey: null,
+      weight: readWeight(criterion.weight, `${field}.weight`),
+    };
+    if (criterion.method === "completion") return normalized;
+
+    if (!metricKeys.includes(criterion.metricKey)) {
+      throw invalid(`${field}.metricKey must be a numeric metric of this class`, {
+        field,
+        metricKey: criterion.metricKey ?? null,
+      });
+    }
+    normalized.metricKey = criterion.metricKey;
+
+    if (criterion.method === "rank_percentile") {
+      normalized.higherIsBetter = criterion.higherIsBetter !== false;
+      return normalized;
+    }
+
+    const floor = criterion.floor === undefined ? 0 : toFiniteNumber(criterion.floor);
+    const target = toFiniteNumber(criterion.target);
+    if (floor === null || target === null || floor === target) {
+      throw invalid(`${field} needs numeric floor and target values that differ`, { field });
+    }
+    return { ...normalized, floor, target };
+  });
+  if (!criteria.some((criterion) => criterion.weight > 0)) {
+    throw invalid("At least one criterion needs a weight above 0");
+  }
+
+  const challengeWeights = (value.challengeWeights || []).map((entry, index) => {
+    const field = `challengeWeights[${index}]`;
+    if (!entry || !challengeIds.includes(String(entry.challengeId))) {
+      throw invalid(`${field}.challengeId must be a challenge of this class`, { field });
+    }
+    return {
+      challengeId: String(entry.challengeId),
+      weight: readWeight(entry.weight, `${field}.weight`),
+    };
+  });
+
+  const dropLowest = value.dropLowest === undefined ? 0 : Number(value.dropLowest);
+  if (!Number.isInteger(dropLowest) || dropLowest < 0) {
+    throw invalid("dropLowest must be a whole number of at least 0");
+  }
+
+  return {
+    criteria,
+    challengeWeights,
+    dropLowest,
+    applyLatePenalties: value.applyLatePenalties !== false,
+  };
+}
+
+/**
+ * Score one value on the scheme's linear floor -> target scale, clamped to 0-100.
+ */
+function scaleScore(value, floor, target) {
+  return clamp(((value - floor) / (target - floor)) * 100, 0, 100);
+}
+
+/**
+ * Percentile scores (0-100) for one challenge's values, by competition rank.
+ *
+ * @param {Array<{userId, value}>} rows
+ * @returns {Map<string, number>}
+ */
+function rankPercentiles(rows, higherIsBetter = true) {
+  const ranked = rankRows(
+    rows.map((row) => {
+      const value = toFiniteNumber(row.value);
+      return {
+        userId: String(row.userId),
+        value: value === null || higherIsBetter ? value : -value,
+      };
+    })
+  );
+  const scores = new Map();
+  const count = ranked.length;
+  ranked.forEach((row) => {
+    scores.set(row.userId, count === 1 ? 100 : ((count - row.rank) / (count - 1)) * 100);
+  });
+  return scores;
+}
+
+/**
+ * The penalty to deduct from a challenge score: only penalties recorded for
+ * the gradebook, and not once waived.
+ */
+function gradebookLatePenaltyPercent(latePenalty) {
+  if (!latePenalty || latePenalty.applyTo !== "gradebook" || latePenalty.waived) return 0;
+  return clamp(Number(latePenalty.penaltyPercent) || 0, 0, 100);
+}
+
+/**
+ * Drop the `count` lowest scored grades (never all of them). Ties drop the
+ * later challenge first so earlier work is kept.
+ *
+ * @returns {Set<string>} challenge IDs dropped
+ */
+function pickDropped(grades, count) {
+  if (!(count > 0) || grades.length <= 1) return new Set();
+  const dropCount = Math.min(count, grades.length - 1);
+  return new Set(
+    grades
+      .map((grade, index) => ({ grade, index }))
+      .sort((a, b) => a.grade.score - b.grade.score || b.index - a.index)
+      .slice(0, dropCount)
+      .map(({ grade }) => grade.challengeId)
+  );
+}
+
+/**
+ * Compute the gradebook.
+ *
+ * @param {Object} input
+ * @param {Object} input.scheme - normalized scheme (defaultScheme() when unset)
+ * @param {Array} input.challenges - graded challenges in timeline order
+ * @param {string[]} input.userIds - students to grade
+ * @param {Array} input.entries - challenge-level ledger entries ({ userId,
+ *   challengeId, metrics, latePenalty, decisionId }) for those challenges,
+ *   plus week 0 entries (challengeId null) for the improvement baseline
+ * @param {Map<string, string>} [input.decisionMethods] - decisionId -> generation.method
+ * @param {Array} [input.adjustments] - GradeAdjustments ({ userId, challengeId|null, points, reason })
+ * @returns {{ challenges: Array, students: Array }}
+ */
+function computeGradebook({
+  scheme,
+  challenges,
+  userIds,
+  entries,
+  decisionMethods = new Map(),
+  adjustments = [],
+}) {
+  const weightByChallenge = new Map(
+    (scheme.challengeWeights || []).map((entry) => [String(entry.challengeId), entry.weight])
+  );
+  const challengeWeight = (challengeId) =>
+    weightByChallenge.has(challengeId) ? weightByChallenge.get(challengeId) : 1;
+
+  const entryKey = (challengeId, userId) => `${challengeId || "initial"}:${userId}`;
+  const entriesByKey = new Map();
+  entries.forEach((entry) => {
+    entriesByKey.set(entryKey(entry.challengeId, entry.userId), {
+      ...entry,
+      metrics: metricsToObject(entry.metrics),
+    });
+  });
+
+  const adjustmentByKey = new Map();
+  adjustments.forEach((adjustment) => {
+    adjustmentByKey.set(entryKey(adjustment.challengeId, adjustment.userId), adjustment);
+  });
+
+  // Percentiles per challenge and rank criterion
+  const percentiles = new Map();
+  challenges.forEach((challenge) => {
+    const challengeId = String(challenge._id);
+    scheme.criteria.forEach((criterion, index) => {
+      if (criterion.method !== "rank_percentile") return;
+      const rows = userIds
+        .map((userId) => entriesByKey.get(entryKey(challengeId, userId)))
+        .filter(Boolean)
+        .map((entry) => ({
+          userId: entry.userId,
+          value: toFiniteNumber(entry.metrics[criterion.metricKey]),
+        }));
+      percentiles.set(
+        `${challengeId}:${index}`,
+        rankPercentiles(rows, criterion.higherIsBetter !== false)
+      );
+    });
+  });
+
+  const totalCriteriaWeight = scheme.criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+
+  const scoreCriterion = (criterion, index, { challengeId, userId, entry, priorEntry }) => {
+    const value =
+      criterion.metricKey === null ? null : toFiniteNumber(entry.metrics[criterion.metricKey]);
+    switch (criterion.method) {
+      case "completion": {
+        const method = entry.decisionId ? decisionMethods.get(String(entry.decisionId)) : null;
+        return { value: method || null, score: method === "MANUAL" ? 100 : 0 };
+      }
+      case "rank_percentile": {
+        const score = percentiles.get(`${challengeId}:${index}`)?.get(String(userId));
+        return { value, score: score === undefined ? 0 : score };
+      }
+      case "improvement": {
+        const prior = priorEntry
+          ? toFiniteNumber(priorEntry.metrics[criterion.metricKey])
+          : null;
+        if (value === null || prior === null) return { value: null, score: 0 };
+        const change = value - prior;
+        return { value: change, score: scaleScore(change, criterion.floor, criterion.target) };
+      }
+      case "absolute":
+      default:
+        return {
+          value,
+          score: value === null ? 0 : scaleScore(value, criterion.floor, criterion.target),
+        };
+    }
+  };
+
+  const students = userIds.map((userId) => {
+    let priorEntry = entriesByKey.get(entryKey(null, userId)) || null;
+    const grades = challenges.map((challenge) => {
+      const challengeId = String(challenge._id);
+      const entry = entriesByKey.get(entryKey(challengeId, userId)) || null;
+      const adjustment = adjustmentByKey.get(entryKey(challengeId, userId)) || null;
+      const adjustmentPoints = adjustment ? Number(adjustment.points) || 0 : 0;
+
+      if (!entry) {
+        return {
+          challengeId,
+          status: "missing",
+          weight: challengeWeight(challengeId),
+          baseScore: 0,
+          criteria: [],
+          latePenaltyPercent: 0,
+          adjustment: adjustmentPoints,
+          adjustmentReason: adjustment?.reason || "",
+          score: round2(Math.max(0, adjustmentPoints)),
+          dropped: false,
+        };
+      }
+
+      const criteria = scheme.criteria.map((criterion, index) => ({
+        method: criterion.method,
+        metricKey: criterion.metricKey,
+        weight: criterion.weight,
+        ...scoreCriterion(criterion, index, { challengeId, userId, entry, priorEntry }),
+      }));
+      priorEntry = entry;
+
+      const baseScore = totalCriteriaWeight
+        ? criteria.reduce((sum, criterion) => sum + criterion.score * criterion.weight, 0) /
+          totalCriteriaWeight
+        : 0;
+      const latePenaltyPercent = scheme.applyLatePenalties
+        ? gradebookLatePenaltyPercent(entry.latePenalty)
+        : 0;
+      const penalized = baseScore * (1 - latePenaltyPercent / 100);
+
+      return {
+        challengeId,
+        status: "graded",
+        weight: challengeWeight(challengeId),
+        baseScore: round2(baseScore),
+        criteria: criteria.map((criterion) => ({ ...criterion, score: round2(criterion.score) })),
+        latePenaltyPercent,
+        adjustment: adjustmentPoints,
+        adjustmentReason: adjustment?.reason || "",
+        score: round2(Math.max(0, penalized + adjustmentPoints)),
+        dropped: false,
+      };
+    });
+
+    const dropped = pickDropped(
+      grades.filter((grade) => grade.weight > 0),
+      scheme.dropLowest
+    );
+    grades.forEach((grade) => {
+      grade.dropped = dropped.has(grade.challengeId);
+    });
+
+    const counted = grades.filter((grade) => !grade.dropped && grade.weight > 0);
+    const totalWeight = counted.reduce((sum, grade) => sum + grade.weight, 0);
+    const courseAdjustment = adjustmentByKey.get(entryKey(null, userId)) || null;
+    const courseAdjustmentPoints = courseAdjustment ? Number(courseAdjustment.points) || 0 : 0;
+    const average = totalWeight
+      ? counted.reduce((sum, grade) => sum + grade.score * grade.weight, 0) / totalWeight
+      : null;
+
+    return {
+      userId: String(userId),
+      grades,
+      courseAdjustment: courseAdjustmentPoints,
+      courseAdjustmentReason: courseAdjustment?.reason || "",
+      courseGrade:
+        average === null ? null : round2(Math.max(0, average + courseAdjustmentPoints)),
+    };
+  });
+
+  const summarizeChallenge = (challenge) => {
+    const challengeId = String(challenge._id);
+    const scores = students
+      .map((student) => student.grades.find((grade) => grade.challengeId === challengeId))
+      .filter((grade) => grade.status === "graded")
+      .map((grade) => grade.score);
+    return {
+      challengeId,
+      title: challenge.title,
+      week: challenge.week,
+      weight: challengeWeight(challengeId),
+      gradedCount: scores.length,
+      averageScore: scores.length
+        ? round2(scores.reduce((sum, score) => sum + score, 0) / scores.length)
+        : null,
+    };
+  };
+
+  return { challenges: challenges.map(summarizeChallenge), students };
+}
+
+module.exports = {
+  GRADING_METHODS,
+  defaultScheme,
+  normalizeSchemeInput,
+  scaleScore,
+  rankPercentiles,
+  gradebookLatePenaltyPercent,
+  pickDropped,
+  computeGradebook,
+};
@@ -0,0 +1,243 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  defaultScheme,
+  normalizeSchemeInput,
+  scaleScore,
+  rankPercentiles,
+  gradebookLatePenaltyPercent,
+  pickDropped,
+  computeGradebook,
+} = require("./gradeCalculator");
+
+const week1 = { _id: "c1", title: "Week 1", week: 1 };
+const week2 = { _id: "c2", title: "Week 2", week: 2 };
+
+function scheme(overrides) {
+  return { ...defaultScheme(), ...overrides };
+}
+
+test("scaleScore maps floor to 0 and target to 100, clamped", () => {
+  assert.equal(scaleScore(50, 0, 100), 50);
+  assert.equal(scaleScore(150, 0, 100), 100);
+  assert.equal(scaleScore(-5, 0, 100), 0);
+  // Lower is better when target is below floor
+  assert.equal(scaleScore(25, 100, 0), 75);
+});
+
+test("rankPercentiles scores the top 100 and the bottom 0", () => {
+  const rows = [
+    { userId: "a", value: 10 },
+    { userId: "b", value: 30 },
+    { userId: "c", value: 20 },
+  ];
+  const higher = rankPercentiles(rows);
+  assert.equal(higher.get("b"), 100);
+  assert.equal(higher.get("c"), 50);
+  assert.equal(higher.get("a"), 0);
+
+  const lower = rankPercentiles(rows, false);
+  assert.equal(lower.get("a"), 100);
+  assert.equal(lower.get("b"), 0);
+
+  assert.equal(rankPercentiles([{ userId: "a", value: 1 }]).get("a"), 100);
+});
+
+test("gradebookLatePenaltyPercent only counts unwaived gradebook penalties", () => {
+  assert.equal(gradebookLatePenaltyPercent(null), 0);
+  assert.equal(gradebookLatePenaltyPercent({ applyTo: "gradebook", penaltyPercent: 20 }), 20);
+  assert.equal(gradebookLatePenaltyPercent({ applyTo: "metrics", penaltyPercent: 20 }), 0);
+  assert.equal(
+    gradebookLatePenaltyPercent({ applyTo: "gradebook", penaltyPercent: 20, waived: true }),
+    0
+  );
+});
+
+test("pickDropped drops the lowest scores but never every grade", () => {
+  const grades = [
+    { challengeId: "c1", score: 80 },
+    { challengeId: "c2", score: 40 },
+    { challengeId: "c3", score: 60 },
+  ];
+  assert.deepEqual([...pickDropped(grades, 1)], ["c2"]);
+  assert.deepEqual([...pickDropped(grades, 5)].sort(), ["c2", "c3"]);
+  assert.equal(pickDropped(grades, 0).size, 0);
+});
+
+test("normalizeSchemeInput validates criteria and weights", () => {
+  const options = { metricKeys: ["profit"], challengeIds: ["c1"] };
+
+  const normalized = normalizeSchemeInput(
+    {
+      criteria: [
+        { method: "absolute", metricKey: "profit", target: 1000, weight: 2 },
+        { method: "completion" },
+      ],
+      challengeWeights: [{ challengeId: "c1", weight: 0 }],
+      dropLowest: 1,
+    },
+    options
+  );
+  assert.deepEqual(normalized.criteria[0], {
+    method: "absolute",
+    metricKey: "profit",
+    weight: 2,
+    floor: 0,
+    target: 1000,
+  });
+  assert.deepEqual(normalized.challengeWeights, [{ challengeId: "c1", weight: 0 }]);
+  assert.equal(normalized.dropLowest, 1);
+  assert.equal(normalized.applyLatePenalties, true);
+
+  const invalidInputs = [
+    { criteria: [] },
+    { criteria: [{ method: "curve" }] },
+    { criteria: [{ method: "absolute", metricKey: "cash", target: 1 }] },
+    { criteria: [{ method: "absolute", metricKey: "profit", floor: 5, target: 5 }] },
+    { criteria: [{ method: "completion", weight: 0 }] },
+    { criteria: [{ method: "completion" }], challengeWeights: [{ challengeId: "c9" }] },
+    { criteria: [{ method: "completion" }], dropLowest: 1.5 },
+  ];
+  invalidInputs.forEach((input) => {
+    assert.throws(
+      () => normalizeSchemeInput(input, options),
+      (error) => error.statusCode === 400 && error.code === "INVALID_GRADING_SCHEME"
+    );
+  });
+});
+
+test("computeGradebook scores completion from the decision method", () => {
+  const result = computeGradebook({
+    scheme: defaultScheme(),
+    challenges: [week1],
+    userIds: ["u1", "u2", "u3"],
+    entries: [
+      { userId: "u1", challengeId: "c1", decisionId: "d1", metrics: {} },
+      { userId: "u2", challengeId: "c1", decisionId: "d2", metrics: {} },
+    ],
+    decisionMethods: new Map([
+      ["d1", "MANUAL"],
+      ["d2", "AI_GENERATED"],
+    ]),
+  });
+
+  const [u1, u2, u3] = result.students;
+  assert.equal(u1.grades[0].score, 100);
+  assert.equal(u2.grades[0].score, 0);
+  assert.equal(u3.grades[0].status, "missing");
+  assert.equal(u3.courseGrade, 0);
+  assert.deepEqual(result.challenges[0], {
+    challengeId: "c1",
+    title: "Week 1",
+    week: 1,
+    weight: 1,
+    gradedCount: 2,
+    averageScore: 50,
+  });
+});
+
+test("computeGradebook scores absolute, rank and improvement criteria", () => {
+  const result = computeGradebook({
+    scheme: scheme({
+      criteria: [
+        { method: "absolute", metricKey: "profit", weight: 1, floor: 0, target: 200 },
+        { method: "rank_percentile", metricKey: "profit", weight: 1, higherIsBetter: true },
+        { method: "improvement", metricKey: "profit", weight: 2, floor: 0, target: 100 },
+      ],
+    }),
+    challenges: [week1],
+    userIds: ["u1", "u2"],
+    entries: [
+      { userId: "u1", challengeId: null, metrics: { profit: 50 } },
+      { userId: "u2", challengeId: null, metrics: { profit: 100 } },
+      { userId: "u1", challengeId: "c1", metrics: new Map([["profit", 150]]) },
+      { userId: "u2", challengeId: "c1", metrics: { profit: 100 } },
+    ],
+  });
+
+  const [u1, u2] = result.students;
+  assert.deepEqual(
+    u1.grades[0].criteria.map((criterion) => criterion.score),
+    [75, 100, 100]
+  );
+  assert.equal(u1.grades[0].criteria[2].value, 100);
+  // (75 + 100 + 2 * 100) / 4
+  assert.equal(u1.grades[0].score, 93.75);
+  // (50 + 0 + 2 * 0) / 4
+  assert.equal(u2.grades[0].score, 12.5);
+});
+
+test("computeGradebook applies late penalties and adjustments", () => {
+  const baseInput = {
+    challenges: [week1],
+    userIds: ["u1"],
+    entries: [
+      {
+        userId: "u1",
+        challengeId: "c1",
+        decisionId: "d1",
+        metrics: {},
+        latePenalty: { applyTo: "gradebook", penaltyPercent: 20 },
+      },
+    ],
+    decisionMethods: new Map([["d1", "MANUAL"]]),
+    adjustments: [
+      { userId: "u1", challengeId: "c1", points: 5, reason: "Great memo" },
+      { userId: "u1", challengeId: null, points: -10, reason: "Participation" },
+    ],
+  };
+
+  const [student] = computeGradebook({ ...baseInput, scheme: defaultScheme() }).students;
+  assert.equal(student.grades[0].latePenaltyPercent, 20);
+  assert.equal(student.grades[0].adjustment, 5);
+  assert.equal(student.grades[0].adjustmentReason, "Great memo");
+  assert.equal(student.grades[0].score, 85);
+  assert.equal(student.courseAdjustment, -10);
+  assert.equal(student.courseGrade, 75);
+
+  const [unpenalized] = computeGradebook({
+    ...baseInput,
+    scheme: scheme({ applyLatePenalties: false }),
+  }).students;
+  assert.equal(unpenalized.grades[0].score, 105);
+});
+
+test("computeGradebook weights challenges and drops the lowest", () => {
+  const week3 = { _id: "c3", title: "Week 3", week: 3 };
+  const entries = [
+    { userId: "u1", challengeId: "c1", metrics: { profit: 100 } },
+    { userId: "u1", challengeId: "c2", metrics: { profit: 20 } },
+    { userId: "u1", challengeId: "c3", metrics: { profit: 60 } },
+  ];
+  const criteria = [{ method: "absolute", metricKey: "profit", weight: 1, floor: 0, target: 100 }];
+
+  const [weighted] = computeGradebook({
+    scheme: scheme({ criteria, challengeWeights: [{ challengeId: "c1", weight: 2 }] }),
+    challenges: [week1, week2, week3],
+    userIds: ["u1"],
+    entries,
+  }).students;
+  // (2 * 100 + 20 + 60) / 4
+  assert.equal(weighted.courseGrade, 70);
+
+  const [dropped] = computeGradebook({
+    scheme: scheme({ criteria, dropLowest: 1 }),
+    challenges: [week1, week2, week3],
+    userIds: ["u1"],
+    entries,
+  }).students;
+  assert.deepEqual(
+    dropped.grades.map((grade) => grade.dropped),
+    [false, true, false]
+  );
+  assert.equal(dropped.courseGrade, 80);
+
+  const [excluded] = computeGradebook({
+    scheme: scheme({ criteria, challengeWeights: [{ challengeId: "c2", weight: 0 }] }),
+    challenges: [week1, week2, week3],
+    userIds: ["u1"],
+    entries,
+  }).students;
+  assert.equal(excluded.courseGrade, 80);
+});
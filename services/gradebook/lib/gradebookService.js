@@ -0,0 +1,282 @@
+const Challenge = require("../../challenge/challenge.model");
+const Decision = require("../../decision/decision.model");
+const Enrollment = require("../../enrollment/enrollment.model");
+const LedgerEntry = require("../../ledger/ledger.model");
+const Member = require("../../members/member.model");
+const Profile = require("../../profile/profile.model");
+const Team = require("../../team/team.model");
+const GradingScheme = require("../gradingScheme.model");
+const GradeAdjustment = require("../gradeAdjustment.model");
+const { makeGradebookError } = require("../gradebook.errors");
+const { computeGradebook } = require("./gradeCalculator");
+const { immediateReleaseQuery } = require("../../challenge/lib/releaseHold");
+
+function toSlug(value) {
+  return String(value || "")
+    .trim()
+    .split(/\s+/)
+    .slice(0, 3)
+    .map((word) => word.replace(/[^a-zA-Z0-9]/g, ""))
+    .filter(Boolean)
+    .join("-")
+    .toLowerCase();
+}
+
+/**
+ * Team members are graded on their team's results, which are stored under
+ * the team's anchor member. Returns a copy of each team entry for every
+ * other member, and the teams by member ID. Entries a team submitted go to
+ * that team's members even after it disbanded; other anchor entries
+ * (initial and auto-generated) go to the anchor's active team.
+ */
+async function shareTeamEntries(classroomId, entries) {
+  const stampedIds = [...new Set(entries.map((entry) => entry.team?.teamId).filter(Boolean).map(String))];
+  const teams = await Team.find({
+    classroomId,
+    $or: [{ status: "active" }, { _id: { $in: stampedIds } }],
+  })
+    .select("name memberIds anchorMemberId status")
+    .lean();
+  const teamsById = new Map(teams.map((team) => [String(team._id), team]));
+  const activeByAnchor = new Map(
+    teams.filter((team) => team.status === "active").map((team) => [String(team.anchorMemberId), team])
+  );
+  const teamsByMember = new Map();
+  teams
+    .filter((team) => team.status === "active")
+    .forEach((team) => team.memberIds.forEach((id) => teamsByMember.set(String(id), team)));
+
+  const teamEntries = entries.flatMap((entry) => {
+    const team = entry.team?.teamId
+      ? teamsById.get(String(entry.team.teamId))
+      : activeByAnchor.get(String(entry.userId));
+    if (!team || String(team.anchorMemberId) !== String(entry.userId)) return [];
+    return team.memberIds
+      .filter((id) => String(id) !== String(team.anchorMemberId))
+      .map((id) => ({ ...entry, userId: id }));
+  });
+  return { teamEntries, teamsByMember };
+}
+
+/**
+ * Gradebook Service
+ * Loads a classroom's results and grades them with its GradingScheme
+ * (see ./gradeCalculator).
+ */
+class GradebookService {
+  /**
+   * Grade every enrolled student on every challenge with results.
+   *
+   * @param {string} classroomId
+   * @param {string} organizationId
+   * @param {Object} [options]
+   * @param {boolean} [options.releasedOnly] - Only grade challenges whose
+   *   feedback students can see
+   * @returns {Promise<{ scheme: Object, challenges: Array, students: Array }>}
+   */
+  static async getGradebook(classroomId, organizationId, options = {}) {
+    const challengeQuery = { classroomId, organization: organizationId };
+    if (options.releasedOnly) {
+      Object.assign(challengeQuery, {
+        isPublished: true,
+        isClosed: true,
+        $or: [{ isFeedbackReleased: true }, immediateReleaseQuery()],
+      });
+    }
+
+    const [scheme, challenges, enrollments, adjustments] = await Promise.all([
+      GradingScheme.getForClassroom(classroomId),
+      Challenge.find(challengeQuery)
+        .select("_id title week createdDate")
+        .sort({ week: 1, createdDate: 1 })
+        .lean(),
+      Enrollment.findByClassAndRole(classroomId, "member").select("userId").lean(),
+      GradeAdjustment.find({ classroomId }).lean(),
+    ]);
+    const userIds = enrollments.map((enrollment) => String(enrollment.userId));
+
+    const entries = await LedgerEntry.find({
+      classroomId,
+      organization: organizationId,
+      roundKey: null,
+      $or: [
+        { challengeId: { $in: challenges.map((challenge) => challenge._id) } },
+        { challengeId: null },
+      ],
+    })
+      .select("userId challengeId decisionId metrics latePenalty team.teamId")
+      .lean();
+    const { teamEntries, teamsByMember } = await shareTeamEntries(classroomId, entries);
+
+    // Only challenges with results are graded
+    const resultChallengeIds = new Set(
+      entries.filter((entry) => entry.challengeId).map((entry) => String(entry.challengeId))
+    );
+    const graded = challenges.filter((challenge) =>
+      resultChallengeIds.has(String(challenge._id))
+    );
+
+    const decisionIds = entries.map((entry) => entry.decisionId).filter(Boolean);
+    const [decisions, members, profiles] = await Promise.all([
+      decisionIds.length
+        ? Decision.find({ _id: { $in: decisionIds } }).select("generation.method").lean()
+        : [],
+      Member.find({ _id: { $in: userIds } })
+        .select("firstName lastName maskedEmail")
+        .lean(),
+      Profile.find({
+        classroomId,
+        userId: { $in: [...userIds, ...[...teamsByMember.values()].map((team) => team.anchorMemberId)] },
+      })
+        .select("userId shopName studentId")
+        .lean(),
+    ]);
+    const decisionMethods = new Map(
+      decisions.map((decision) => [String(decision._id), decision.generation?.method || "MANUAL"])
+    );
+    const membersById = new Map(members.map((member) => [String(member._id), member]));
+    const profilesByUser = new Map(profiles.map((profile) => [String(profile.userId), profile]));
+
+    const result = computeGradebook({
+      scheme,
+      challenges: graded,
+      userIds,
+      entries: [...entries, ...teamEntries].map((entry) => ({
+        ...entry,
+        userId: String(entry.userId),
+        challengeId: entry.challengeId ? String(entry.challengeId) : null,
+      })),
+      decisionMethods,
+      adjustments: adjustments.map((adjustment) => ({
+        ...adjustment,
+        userId: String(adjustment.userId),
+        challengeId: adjustment.challengeId ? String(adjustment.challengeId) : null,
+      })),
+    });
+
+    return {
+      scheme,
+      challenges: result.challenges,
+      students: result.students.map((student) => {
+        const member = membersById.get(student.userId);
+        const team = teamsByMember.get(student.userId) || null;
+        const ownProfile = profilesByUser.get(student.userId);
+        const profile = team ? profilesByUser.get(String(team.anchorMemberId)) : ownProfile;
+        return {
+          userId: student.userId,
+          firstName: member?.firstName || "",
+          lastName: member?.lastName || "",
+          email: member?.maskedEmail || "",
+          studentId: ownProfile?.studentId || null,
+          profileName: profile?.shopName || null,
+          teamId: team ? String(team._id) : null,
+          teamName: team?.name || null,
+          courseGrade: student.courseGrade,
+          courseAdjustment: student.courseAdjustment,
+          courseAdjustmentReason: student.courseAdjustmentReason,
+          grades: student.grades,
+        };
+      }),
+    };
+  }
+
+  /**
+   * One student's grades. Throws 404 ENROLLMENT_NOT_FOUND for students not
+   * in the class.
+   */
+  static async getStudentGrades(classroomId, organizationId, userId, options = {}) {
+    const gradebook = await this.getGradebook(classroomId, organizationId, options);
+    const student = gradebook.students.find((row) => row.userId === String(userId));
+    if (!student) {
+      throw makeGradebookError(
+        "Student is not enrolled in this class",
+        404,
+        "ENROLLMENT_NOT_FOUND"
+      );
+    }
+    return { scheme: gradebook.scheme, challenges: gradebook.challenges, student };
+  }
+
+  /**
+   * Every student's grade on one challenge. Throws 404 CHALLENGE_NOT_GRADED
+   * when the challenge has no results.
+   */
+  static async getChallengeGrades(classroomId, organizationId, challengeId, options = {}) {
+    const gradebook = await this.getGradebook(classroomId, organizationId, options);
+    const challenge = gradebook.challenges.find((row) => row.challengeId === String(challengeId));
+    if (!challenge) {
+      throw makeGradebookError(
+        "Challenge has no results to grade",
+        404,
+        "CHALLENGE_NOT_GRADED",
+        { challengeId }
+      );
+    }
+    return {
+      scheme: gradebook.scheme,
+      challenge,
+      grades: gradebook.students.map(({ grades, courseGrade, ...student }) => ({
+        ...student,
+        ...grades.find((grade) => grade.challengeId === challenge.challengeId),
+      })),
+    };
+  }
+
+  /**
+   * The gradebook as CSV: one row per student with a score column per
+   * challenge (dropped scores marked with "(dropped)") and the course grade.
+   *
+   * @returns {{ csv: string, fileName: string, total: number }}
+   */
+  static buildCsv(gradebook, classroomName) {
+    const { Parser } = require("json2csv");
+
+    const challengeFields = gradebook.challenges.map((challenge, index) => ({
+      label: `Week ${challenge.week ?? index + 1}: ${challenge.title}`,
+      value: `challenge_${challenge.challengeId}`,
+    }));
+    // Classes without teams keep the original columns
+    const hasTeams = gradebook.students.some((student) => student.teamName);
+    const fields = [
+      { label: "Last Name", value: "lastName" },
+      { label: "First Name", value: "firstName" },
+      { label: "Email", value: "email" },
+      { label: "Student ID", value: "studentId" },
+      { label: "Store", value: "profileName" },
+      ...(hasTeams ? [{ label: "Team", value: "teamName" }] : []),
+      ...challengeFields,
+      { label: "Course Adjustment", value: "courseAdjustment" },
+      { label: "Course Grade", value: "courseGrade" },
+    ];
+
+    const rows = gradebook.students.map((student) => {
+      const row = {
+        lastName: student.lastName,
+        firstName: student.firstName,
+        email: student.email,
+        studentId: student.studentId || "",
+        profileName: student.profileName || "",
+        teamName: student.teamName || "",
+        courseAdjustment: student.courseAdjustment || "",
+        courseGrade: student.courseGrade ?? "",
+      };
+      student.grades.forEach((grade) => {
+        row[`challenge_${grade.challengeId}`] = grade.dropped
+          ? `${grade.score} (dropped)`
+          : grade.score;
+      });
+      return row;
+    });
+
+    const parser = new Parser({ fields });
+    const slug = toSlug(classroomName) || "classroom";
+    return {
+      csv: parser.parse(rows),
+      fileName: `${slug}_gradebook_${Date.now()}.csv`,
+      total: rows.length,
+    };
+  }
+}
+
+module.exports = GradebookService;
+module.exports.shareTeamEntries = shareTeamEntries;
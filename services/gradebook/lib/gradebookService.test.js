@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const GradebookService = require("./gradebookService");
+
+const gradebook = {
+  challenges: [
+    { challengeId: "c1", title: "Launch", week: 1 },
+    { challengeId: "c2", title: "Pricing", week: 2 },
+  ],
+  students: [
+    {
+      userId: "u1",
+      firstName: "Ada",
+      lastName: "Lovelace",
+      email: "a***@example.com",
+      studentId: "S1",
+      profileName: "Ada's Shop",
+      courseAdjustment: 0,
+      courseGrade: 90,
+      grades: [
+        { challengeId: "c1", score: 90, dropped: false },
+        { challengeId: "c2", score: 40, dropped: true },
+      ],
+    },
+  ],
+};
+
+test("GradebookService.buildCsv writes one row per student", () => {
+  const result = GradebookService.buildCsv(gradebook, "Retail Strategy 101");
+  const [header, row] = result.csv.split("\n");
+
+  assert.equal(result.total, 1);
+  assert.match(result.fileName, /^retail-strategy-101_gradebook_\d+\.csv$/);
+  assert.equal(
+    header,
+    '"Last Name","First Name","Email","Student ID","Store","Week 1: Launch","Week 2: Pricing","Course Adjustment","Course Grade"'
+  );
+  assert.equal(
+    row,
+    '"Lovelace","Ada","a***@example.com","S1","Ada\'s Shop",90,"40 (dropped)","",90'
+  );
+});
+
+test("GradebookService.buildCsv writes headers for an empty class", () => {
+  const result = GradebookService.buildCsv({ challenges: [], students: [] }, "");
+  assert.equal(result.total, 0);
+  assert.match(result.fileName, /^classroom_gradebook_/);
+  assert.match(result.csv, /^"Last Name"/);
+});
+
+test("GradebookService.getStudentGrades rejects students not in the class", async (t) => {
+  t.mock.method(GradebookService, "getGradebook", async () => ({
+    scheme: {},
+    challenges: [],
+    students: [{ userId: "u1", grades: [] }],
+  }));
+
+  await assert.rejects(
+    () => GradebookService.getStudentGrades("class1", "org1", "u2"),
+    (error) => error.statusCode === 404 && error.code === "ENROLLMENT_NOT_FOUND"
+  );
+  const result = await GradebookService.getStudentGrades("class1", "org1", "u1");
+  assert.equal(result.student.userId, "u1");
+});
+
+test("GradebookService.getChallengeGrades lists one grade per student", async (t) => {
+  t.mock.method(GradebookService, "getGradebook", async () => gradebook);
+
+  const result = await GradebookService.getChallengeGrades("class1", "org1", "c2");
+  assert.equal(result.challenge.title, "Pricing");
+  assert.equal(result.grades.length, 1);
+  assert.equal(result.grades[0].userId, "u1");
+  assert.equal(result.grades[0].score, 40);
+  assert.equal(result.grades[0].courseGrade, undefined);
+
+  await assert.rejects(
+    () => GradebookService.getChallengeGrades("class1", "org1", "c9"),
+    (error) => error.code === "CHALLENGE_NOT_GRADED"
+  );
+});
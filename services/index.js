@@ -7,6 +7,11 @@
  */
 const express = require("express");
 const router = express.Router();
+const { planRateLimit } = require("../middleware/rateLimit");
+
+// Every /v1 request counts toward the "api" rate limit; AI and join routes
+// add their own route class on top
+router.use(planRateLimit("api"));
 
 router.use("/auth", require("./auth"));
 router.use("/members", require("./members"));
@@ -60,4 +65,34 @@ router.use("/admin/ledger", require("./ledger"));
 // Job routes
 router.use("/admin/job", require("./job"));
 
+// Leaderboard routes
+router.use("/", require("./leaderboard"));
+
+// Gradebook routes
+router.use("/", require("./gradebook"));
+
+// Team routes
+router.use("/", require("./team"));
+
+// Random event catalog routes
+router.use("/", require("./randomEvent"));
+
+// Market clearing routes
+router.use("/", require("./market"));
+
+// Outlier review routes
+router.use("/", require("./outlierReview"));
+
+// LTI routes
+router.use("/", require("./lti"));
+
+// OneRoster roster import routes
+router.use("/admin/oneroster", require("./oneRoster"));
+
+// AI usage and budget routes
+router.use("/", require("./aiUsage"));
+
+// Decision sandbox (what-if preview) routes
+router.use("/", require("./sandbox"));
+
 module.exports = router;
@@ -0,0 +1,174 @@
+const mongoose = require("mongoose");
+
+/**
+ * AdminSimulationRun - audit record for one simulation run started from the
+ * admin console (apps/admin, GET /api/simulation/run): the platform admin who
+ * started it, the database it ran against, its parameters and how it ended.
+ *
+ * Runs are platform-level, so this does not use baseSchema: a run that fails
+ * before its organization is found is still recorded.
+ */
+const ADMIN_SIMULATION_RUN_STATUSES = Object.freeze(["running", "completed", "failed"]);
+
+// Query parameters never stored on the run
+const OMITTED_PARAMS = new Set(["token", "access_token"]);
+
+const adminSimulationRunSchema = new mongoose.Schema(
+  {
+    initiatedBy: {
+      method: {
+        type: String,
+        enum: ["clerk", "local_token"],
+        required: true,
+      },
+      subject: {
+        type: String,
+        required: true,
+      },
+      clerkUserId: {
+        type: String,
+        default: null,
+      },
+      email: {
+        type: String,
+        default: null,
+      },
+      ip: {
+        type: String,
+        default: null,
+      },
+    },
+    database: {
+      host: {
+        type: String,
+        default: null,
+      },
+      name: {
+        type: String,
+        default: null,
+      },
+    },
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    actingAdminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Member",
+      default: null,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    classroomId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Classroom",
+      default: null,
+    },
+    challengeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Challenge",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ADMIN_SIMULATION_RUN_STATUSES,
+      default: "running",
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: {
+      createdAt: "createdDate",
+      updatedAt: "updatedDate",
+    },
+  }
+);
+
+adminSimulationRunSchema.index({ startedAt: -1 });
+adminSimulationRunSchema.index({ "initiatedBy.subject": 1, startedAt: -1 });
+
+function toObjectIdOrNull(value) {
+  return value && mongoose.Types.ObjectId.isValid(value) ? value : null;
+}
+
+/**
+ * Run parameters as stored: strings only, without credentials.
+ */
+adminSimulationRunSchema.statics.sanitizeParams = function (query = {}) {
+  const params = {};
+  for (const [key, value] of Object.entries(query)) {
+    if (OMITTED_PARAMS.has(key) || typeof value !== "string") continue;
+    params[key] = value;
+  }
+  return params;
+};
+
+/**
+ * Host and database name of a mongoose connection (never the credentials).
+ */
+adminSimulationRunSchema.statics.describeDatabase = function (
+  connection = mongoose.connection
+) {
+  return {
+    host: connection?.host
+      ? `${connection.host}${connection.port ? `:${connection.port}` : ""}`
+      : null,
+    name: connection?.name || null,
+  };
+};
+
+/**
+ * Record the start of a run.
+ *
+ * @param {Object} options
+ * @param {Object} options.platformAdmin - req.platformAdmin (lib/platformAdminAuth)
+ * @param {Object} options.query - the run's query parameters
+ * @param {string} [options.ip]
+ * @param {Object} [options.connection] - defaults to the default mongoose connection
+ */
+adminSimulationRunSchema.statics.start = function ({
+  platformAdmin,
+  query = {},
+  ip = null,
+  connection,
+}) {
+  return this.create({
+    initiatedBy: { ...platformAdmin, ip },
+    database: this.describeDatabase(connection),
+    params: this.sanitizeParams(query),
+    actingAdminId: toObjectIdOrNull(query.adminId),
+    organization: toObjectIdOrNull(query.orgId),
+  });
+};
+
+/**
+ * Record how the run ended. Pass `error` for a failed run.
+ */
+adminSimulationRunSchema.methods.finish = function ({ classroomId, challengeId, error } = {}) {
+  this.status = error ? "failed" : "completed";
+  this.error = error ? String(error.message || error) : null;
+  if (classroomId) this.classroomId = classroomId;
+  if (challengeId) this.challengeId = challengeId;
+  this.finishedAt = new Date();
+  return this.save();
+};
+
+adminSimulationRunSchema.statics.ADMIN_SIMULATION_RUN_STATUSES = ADMIN_SIMULATION_RUN_STATUSES;
+
+const AdminSimulationRun = mongoose.model("AdminSimulationRun", adminSimulationRunSchema);
+
+module.exports = AdminSimulationRun;
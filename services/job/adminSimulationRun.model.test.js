@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const AdminSimulationRun = require("./adminSimulationRun.model");
+
+function stub(t, target, key, value) {
+  const original = target[key];
+  target[key] = value;
+  t.after(() => {
+    target[key] = original;
+  });
+}
+
+test("start records who ran the simulation and against which database", async (t) => {
+  let created = null;
+  stub(t, AdminSimulationRun, "create", async (doc) => {
+    created = doc;
+    return doc;
+  });
+  const adminId = new mongoose.Types.ObjectId().toString();
+
+  await AdminSimulationRun.start({
+    platformAdmin: { method: "local_token", subject: "dev@example.com", clerkUserId: null, email: null },
+    query: { adminId, orgId: "not-an-id", studentCount: "5", token: "sadm_secret" },
+    ip: "127.0.0.1",
+    connection: { host: "db.internal", port: 27017, name: "scale-ai-api" },
+  });
+
+  assert.deepEqual(created.initiatedBy, {
+    method: "local_token",
+    subject: "dev@example.com",
+    clerkUserId: null,
+    email: null,
+    ip: "127.0.0.1",
+  });
+  assert.deepEqual(created.database, { host: "db.internal:27017", name: "scale-ai-api" });
+  assert.deepEqual(created.params, { adminId, orgId: "not-an-id", studentCount: "5" });
+  assert.equal(created.actingAdminId, adminId);
+  assert.equal(created.organization, null);
+});
+
+test("finish marks the run completed or failed", async (t) => {
+  stub(t, AdminSimulationRun.prototype, "save", async function () {
+    return this;
+  });
+  const classroomId = new mongoose.Types.ObjectId();
+  const run = new AdminSimulationRun({
+    initiatedBy: { method: "clerk", subject: "user_a", clerkUserId: "user_a" },
+  });
+  assert.equal(run.status, "running");
+  assert.equal(run.validateSync(), undefined);
+
+  await run.finish({ classroomId, error: new Error("No ProfileTypes exist for this classroom.") });
+  assert.equal(run.status, "failed");
+  assert.equal(run.error, "No ProfileTypes exist for this classroom.");
+  assert.equal(String(run.classroomId), String(classroomId));
+  assert.ok(run.finishedAt instanceof Date);
+
+  await run.finish({ classroomId });
+  assert.equal(run.status, "completed");
+  assert.equal(run.error, null);
+});
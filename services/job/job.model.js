@@ -23,6 +23,12 @@ const simulationJobSchema = new mongoose.Schema({
     ref: "Member",
     required: true,
   },
+  // Challenge round this job simulates (multi-round challenges); null for
+  // single-round challenges
+  roundKey: {
+    type: String,
+    default: null,
+  },
   status: {
     type: String,
     enum: ["pending", "running", "completed", "failed"],
@@ -79,6 +85,25 @@ const simulationJobSchema = new mongoose.Schema({
     submittedAt: { type: Date, default: null },
     completedAt: { type: Date, default: null },
   },
+  // Model calls made for the simulation, in order: the initial reply, each
+  // repair turn sent after a reply failed validation, and a final "degraded"
+  // entry when the fallback result was used (see ledger/lib/simulationRepair).
+  // runAttempt is the job's `attempts` count at the time.
+  simulationAttempts: [
+    {
+      _id: false,
+      runAttempt: { type: Number, default: null },
+      attempt: { type: Number, required: true },
+      kind: { type: String, enum: ["initial", "repair", "degraded"], required: true },
+      status: { type: String, enum: ["valid", "invalid", "degraded"], required: true },
+      // [{ field, problem, message }]
+      issues: { type: [mongoose.Schema.Types.Mixed], default: [] },
+      model: { type: String, default: null },
+      usage: { type: mongoose.Schema.Types.Mixed, default: null },
+      startedAt: { type: Date, default: null },
+      completedAt: { type: Date, default: null },
+    },
+  ],
   ledgerEntryId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "LedgerEntry",
@@ -96,7 +121,10 @@ const simulationJobSchema = new mongoose.Schema({
 }).add(baseSchema);
 
 // Compound indexes for performance
-simulationJobSchema.index({ challengeId: 1, userId: 1 }, { unique: true });
+simulationJobSchema.index(
+  { challengeId: 1, userId: 1, roundKey: 1 },
+  { unique: true }
+);
 simulationJobSchema.index({ status: 1 });
 simulationJobSchema.index({ challengeId: 1, status: 1 });
 simulationJobSchema.index({ classroomId: 1, userId: 1 });
@@ -122,6 +150,7 @@ simulationJobSchema.statics.createJob = async function (
   const existing = await this.findOne({
     challengeId: input.challengeId,
     userId: input.userId,
+    roundKey: input.roundKey || null,
   });
 
   if (existing) {
@@ -145,6 +174,7 @@ simulationJobSchema.statics.createJob = async function (
       submittedAt: null,
       completedAt: null,
     };
+    existing.simulationAttempts = [];
     existing.ledgerEntryId = null;
     existing.ledgerCompletionTracking = true;
     existing.ledgerCompletionReconciledAt = null;
@@ -162,6 +192,7 @@ simulationJobSchema.statics.createJob = async function (
     challengeId: input.challengeId,
     decisionId: input.decisionId || null,
     userId: input.userId,
+    roundKey: input.roundKey || null,
     status: "pending",
     attempts: 0,
     error: null,
@@ -249,6 +280,17 @@ simulationJobSchema.methods.markFailed = async function (errorMessage) {
   return this;
 };
 
+/**
+ * Record one model call made for this job's simulation
+ * @param {Object} attempt - { attempt, kind, status, issues, model, usage, startedAt, completedAt }
+ * @returns {Promise<Object>} Updated job
+ */
+simulationJobSchema.methods.recordSimulationAttempt = async function (attempt) {
+  this.simulationAttempts.push({ ...attempt, runAttempt: this.attempts });
+  await this.save();
+  return this;
+};
+
 /**
  * Reset job for retry
  * @returns {Promise<Object>} Updated job
@@ -273,6 +315,7 @@ simulationJobSchema.methods.reset = async function () {
     submittedAt: null,
     completedAt: null,
   };
+  this.simulationAttempts = [];
   this.ledgerEntryId = null;
   await this.save();
   return this;
@@ -8,6 +8,18 @@ const EVENT_TYPES = Object.freeze({
 
 const TERMINAL_JOB_STATUSES = new Set(["completed", "failed"]);
 
+// A multi-round decision has one job per round; the least finished one
+// decides its state (in flight, then failed, then completed).
+const JOB_STATUS_WEIGHT = { pending: 3, running: 3, failed: 2, completed: 1 };
+
+function worseJob(current, candidate) {
+  if (!current) return candidate;
+  return (JOB_STATUS_WEIGHT[candidate.status] || 0) >
+    (JOB_STATUS_WEIGHT[current.status] || 0)
+    ? candidate
+    : current;
+}
+
 const ledgerCompletionEventSchema = new mongoose.Schema({
   eventType: {
     type: String,
@@ -92,14 +104,40 @@ ledgerCompletionEventSchema.statics.evaluateChallenge = async function (
   const Decision = require("../decision/decision.model");
   const SimulationJob = require("./job.model");
   const LedgerEntry = require("../ledger/ledger.model");
+  const Challenge = require("../challenge/challenge.model");
+
+  // Multi-round challenges are not done until every round is processed
+  // (and the roll-ups below are written)
+  const challenge = await Challenge.findById(challengeId)
+    .select("rounds deferredStudents")
+    .lean();
+  const pendingRound = Challenge.getNextRound(challenge);
+  if (pendingRound) {
+    return {
+      ready: false,
+      reason: "rounds-not-processed",
+      roundKey: pendingRound.key,
+    };
+  }
 
-  const [decisions, jobs, ledgers] = await Promise.all([
+  // Students deferred to a follow-up run don't hold up the rest of the class
+  const deferred = new Set(
+    (challenge?.deferredStudents || [])
+      .filter((entry) => entry.status === "pending")
+      .map((entry) => asString(entry.userId)),
+  );
+  const [allDecisions, jobs, ledgers] = await Promise.all([
     Decision.find({ challengeId }).select("_id userId ledgerEntryId").lean(),
     SimulationJob.find({ challengeId })
       .select("_id decisionId userId status dryRun")
       .lean(),
-    LedgerEntry.find({ challengeId }).select("_id decisionId userId").lean(),
+    LedgerEntry.find({ challengeId, roundKey: null })
+      .select("_id decisionId userId")
+      .lean(),
   ]);
+  const decisions = allDecisions.filter(
+    (decision) => !deferred.has(asString(decision.userId)),
+  );
 
   if (decisions.length === 0) {
     return {
@@ -115,8 +153,12 @@ ledgerCompletionEventSchema.statics.evaluateChallenge = async function (
   const jobsByDecision = new Map();
   const jobsByUser = new Map();
   for (const job of jobs) {
-    if (job.decisionId) jobsByDecision.set(asString(job.decisionId), job);
-    jobsByUser.set(asString(job.userId), job);
+    if (job.decisionId) {
+      const key = asString(job.decisionId);
+      jobsByDecision.set(key, worseJob(jobsByDecision.get(key), job));
+    }
+    const userKey = asString(job.userId);
+    jobsByUser.set(userKey, worseJob(jobsByUser.get(userKey), job));
   }
 
   const ledgersByDecision = new Map();
@@ -217,9 +259,11 @@ ledgerCompletionEventSchema.statics.recordStudentLedgerComplete = async function
     return { ready: false, reason: "decision-not-found" };
   }
 
+  // On multi-round challenges this is the roll-up written after the final round
   const ledger = await LedgerEntry.findOne({
     challengeId: job.challengeId,
     userId: job.userId,
+    roundKey: null,
   })
     .select("_id")
     .lean();
@@ -273,9 +317,19 @@ ledgerCompletionEventSchema.statics.recordChallengeLedgersComplete = async funct
   const challenge = await Challenge.findById(challengeId);
   if (!challenge) throw new Error(`Challenge not found: ${challengeId}`);
 
+  // Outlier review (when on) flags entries before release is decided; an
+  // IMMEDIATE release it held back also held back the result notifications
+  const { checkChallengeLedgers } = require("../outlierReview/lib/challengeReview");
+  const wasReleased = challenge.isFeedbackReleased;
+  const outlierReview = await checkChallengeLedgers(challenge);
+
   await challenge.completeResultCalculation(
     challenge.updatedBy || challenge.createdBy || "system",
   );
+  if (outlierReview && !wasReleased && challenge.isFeedbackReleased) {
+    const LedgerEntry = require("../ledger/ledger.model");
+    await LedgerEntry.sendResultsNotifications(challengeId);
+  }
 
   const idempotencyKey = `challenge-ledgers-complete:${challengeId}`;
   const event = await this.findOneAndUpdate(
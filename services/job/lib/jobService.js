@@ -14,6 +14,7 @@ class JobService {
    * @param {string} params.userId
    * @param {boolean} [params.dryRun]
    * @param {string|null} [params.decisionId] - Optional decision ID to link job to
+   * @param {string|null} [params.roundKey] - Round of a multi-round challenge
    * @param {string} params.organizationId
    * @param {string} params.clerkUserId
    * @returns {Promise<Object>} Created job
@@ -106,6 +107,8 @@ class JobService {
    * @param {boolean} dryRun - Whether this is a dry run (preview)
    * @param {string} organizationId - Organization ID
    * @param {string} clerkUserId - Clerk user ID
+   * @param {Object} [options] - { enqueue, excludeUserIds } where
+   *   excludeUserIds are students deferred to a follow-up run
    * @returns {Promise<Array>} Array of created jobs
    */
   static async createJobsForScenario(
@@ -119,7 +122,10 @@ class JobService {
     const Decision = require("../../decision/decision.model");
 
     // Get lightweight decision refs for this challenge (avoid expensive populates/variable population)
-    const decisions = await Decision.getSubmissionRefsByScenario(challengeId);
+    const excluded = new Set((options.excludeUserIds || []).map(String));
+    const decisions = (await Decision.getSubmissionRefsByScenario(challengeId)).filter(
+      (decision) => !excluded.has(String(decision.userId))
+    );
 
     if (decisions.length === 0) {
       return [];
@@ -147,6 +153,59 @@ class JobService {
     return jobs;
   }
 
+  /**
+   * Create and enqueue jobs for one round of a multi-round challenge: one per
+   * decision that submitted the round. Students who skipped the round get no
+   * job. Rounds always run in direct mode, since each round needs the
+   * previous round's ledger entries before it can be prompted.
+   * @param {Object} challenge - Challenge (document or plain object)
+   * @param {string} roundKey - Round key
+   * @param {string} organizationId - Organization ID
+   * @param {string} clerkUserId - Clerk user ID
+   * @returns {Promise<Array>} Array of created jobs
+   */
+  static async createJobsForRound(
+    challenge,
+    roundKey,
+    organizationId,
+    clerkUserId
+  ) {
+    const Decision = require("../../decision/decision.model");
+
+    const decisions = await Decision.find({
+      challengeId: challenge._id,
+      "rounds.roundKey": roundKey,
+    })
+      .select("_id userId")
+      .lean();
+
+    const jobs = [];
+    for (const decision of decisions) {
+      await Decision.updateOne(
+        { _id: decision._id, "rounds.roundKey": roundKey },
+        {
+          $set: {
+            "rounds.$.processingStatus": "processing",
+            "rounds.$.ledgerEntryId": null,
+          },
+        }
+      );
+      const job = await this.createJob({
+        classroomId: challenge.classroomId,
+        challengeId: challenge._id,
+        userId: decision.userId,
+        roundKey,
+        dryRun: false,
+        decisionId: decision._id,
+        organizationId,
+        clerkUserId,
+      });
+      jobs.push(job);
+    }
+
+    return jobs;
+  }
+
   /**
    * Get jobs for a challenge
    * @param {string} challengeId - Challenge ID
@@ -4,8 +4,13 @@ const Challenge = require("../../challenge/challenge.model");
 const Outcome = require("../../outcome/outcome.model");
 const Decision = require("../../decision/decision.model");
 const LedgerEntry = require("../../ledger/ledger.model");
+const SimulationRun = require("../../ledger/simulationRun.model");
 const VariableDefinition = require("../../variableDefinition/variableDefinition.model");
 const MetricDefinition = require("../../metricDefinition/metricDefinition.model");
+const AIUsage = require("../../aiUsage/aiUsage.model");
+const MarketClearing = require("../../market/marketClearing.model");
+const RandomEvent = require("../../randomEvent/randomEvent.model");
+const { applyVariableEffects } = require("../../randomEvent/lib/drawEvent");
 
 /**
  * Simulation Worker - processes individual simulation jobs and writes
@@ -24,6 +29,7 @@ class SimulationWorker {
         allowTerminalReconciliation &&
         ["completed", "failed"].includes(job.status)
       ) {
+        await this.completeRound(job);
         return this.recordLedgerCompletionEvents(job);
       }
       throw new Error(`Job is not pending: ${job.status}`);
@@ -32,7 +38,10 @@ class SimulationWorker {
     try {
       await job.markRunning();
       const context = await this.fetchJobContext(job);
-      const aiResult = await LedgerEntry.runAISimulation(context);
+      const aiResult = await LedgerEntry.runAISimulation(context, {
+        onAttempt: (attempt) => job.recordSimulationAttempt(attempt),
+      });
+      await this.recordUsage(job, aiResult);
 
       if (!job.dryRun) {
         await this.writeLedgerEntry(job, aiResult, context);
@@ -50,6 +59,7 @@ class SimulationWorker {
 
       await job.markCompleted();
       await this.updateSubmissionStatus(job, "completed");
+      await this.completeRound(job);
       await this.recordLedgerCompletionEvents(job);
 
       return {
@@ -70,6 +80,7 @@ class SimulationWorker {
         await this.updateSubmissionStatus(job, "failed").catch((err) => {
           console.error(`Error updating decision status:`, err);
         });
+        await this.completeRound(job);
         await this.recordLedgerCompletionEvents(job);
       } else {
         job.status = "pending";
@@ -82,9 +93,33 @@ class SimulationWorker {
     }
   }
 
+  /**
+   * Record the tokens the simulation spent, repair turns included (formula
+   * runs with a template narrative report none and are skipped).
+   */
+  static async recordUsage(job, aiResult) {
+    const meta = aiResult?.aiMetadata || {};
+    return AIUsage.recordUsage({
+      source: "simulation",
+      provider: meta.provider,
+      model: meta.response?.model || meta.model,
+      usage: meta.usage || meta.response?.usage,
+      organizationId: job.organization,
+      classroomId: job.classroomId,
+      challengeId: job.challengeId,
+      userId: job.userId,
+      jobId: job._id,
+      decisionId: job.decisionId,
+      clerkUserId: job.createdBy,
+    });
+  }
+
   /**
    * Fetch all required data for a job. Builds the new metric-driven context
-   * shape (`profile`, `challenge`, `outcome`, `decision`, `priorMetrics`).
+   * shape (`profile`, `challenge`, `outcome`, `decision`, `priorMetrics`),
+   * plus `market` when the student's share of a shared market was cleared
+   * and `randomEvent` (the catalog draw, with its variable effects already
+   * applied to the inputs) when the classroom has a random event catalog.
    */
   static async fetchJobContext(job) {
     const profile = await Profile.getStoreForSimulation(
@@ -109,7 +144,7 @@ class SimulationWorker {
       );
     }
 
-    const decision = await Decision.getSubmission(
+    let decision = await Decision.getSubmission(
       job.classroomId,
       job.challengeId,
       job.userId
@@ -120,14 +155,94 @@ class SimulationWorker {
       );
     }
 
-    const ledgerHistory = await LedgerEntry.getLedgerHistory(
+    // Round jobs simulate one sub-decision: only that round's variables, with
+    // the round described in the challenge envelope
+    if (job.roundKey) {
+      const submission = (decision.rounds || []).find(
+        (entry) => entry.roundKey === job.roundKey
+      );
+      if (!submission) {
+        throw new Error(
+          `Round ${job.roundKey} decision not found for user ${job.userId} and challenge ${job.challengeId}`
+        );
+      }
+      decision = {
+        ...decision,
+        variables: submission.variables || {},
+        roundKey: job.roundKey,
+      };
+      challenge.round = Challenge.describeRound(challenge, job.roundKey);
+    }
+
+    const { ledgerHistory, priorMetrics } = await this.fetchPriorState(
       job.classroomId,
       job.userId,
-      job.challengeId
+      job.challengeId,
+      { roundKey: job.roundKey || null }
+    );
+
+    const market = await MarketClearing.getAllocation(
+      job.challengeId,
+      job.roundKey || null,
+      job.userId
     );
 
-    // Build prior metrics from the most recent ledger entry, or fall back to
-    // each MetricDefinition.defaultInitialValue when there's no history.
+    const context = {
+      profile,
+      challenge,
+      outcome,
+      decision,
+      ledgerHistory,
+      priorMetrics,
+      ...(market ? { market } : {}),
+    };
+
+    const draw = await RandomEvent.drawForStudent({
+      classroomId: job.classroomId,
+      challengeId: job.challengeId,
+      userId: job.userId,
+      roundKey: job.roundKey || null,
+      profileType: profile.profileType || null,
+      priorMetrics,
+    });
+    if (!draw) return context;
+
+    const { context: withEffects, applied } = applyVariableEffects(
+      context,
+      draw.effects
+    );
+    return { ...withEffects, randomEvent: { ...draw, applied } };
+  }
+
+  /**
+   * Ledger history before a challenge and the metrics carried into it: the
+   * most recent entry's metrics, or each MetricDefinition.defaultInitialValue
+   * when there's no history. `releasedOnly` drops entries whose results the
+   * student has not seen yet. With `roundKey`, the challenge's earlier round
+   * entries are appended, so each round starts where the last one ended.
+   */
+  static async fetchPriorState(
+    classroomId,
+    userId,
+    challengeId,
+    { releasedOnly = false, roundKey = null } = {}
+  ) {
+    let ledgerHistory = await LedgerEntry.getLedgerHistory(
+      classroomId,
+      userId,
+      challengeId
+    );
+    if (releasedOnly) {
+      ledgerHistory = ledgerHistory.filter(
+        (entry) => entry.challengeId?.isFeedbackReleased === true
+      );
+    } else if (roundKey) {
+      ledgerHistory = [
+        ...ledgerHistory,
+        ...(await this.fetchEarlierRoundEntries(userId, challengeId, roundKey)),
+      ];
+    }
+
     let priorMetrics = {};
     if (ledgerHistory.length > 0) {
       const lastEntry = ledgerHistory[ledgerHistory.length - 1];
@@ -138,7 +253,7 @@ class SimulationWorker {
         priorMetrics = { ...map };
       }
     } else {
-      const defs = await MetricDefinition.getActive(job.classroomId);
+      const defs = await MetricDefinition.getActive(classroomId);
       for (const def of defs) {
         if (def.defaultInitialValue !== null && def.defaultInitialValue !== undefined) {
           priorMetrics[def.key] = def.defaultInitialValue;
@@ -146,14 +261,42 @@ class SimulationWorker {
       }
     }
 
-    return {
-      profile,
-      challenge,
-      outcome,
-      decision,
-      ledgerHistory,
-      priorMetrics,
-    };
+    return { ledgerHistory, priorMetrics };
+  }
+
+  /**
+   * This challenge's round entries before `roundKey`, in round order and
+   * shaped like populated history entries ("Challenge (Round)" as the title).
+   */
+  static async fetchEarlierRoundEntries(userId, challengeId, roundKey) {
+    const challenge = await Challenge.findById(challengeId)
+      .select("title rounds")
+      .lean();
+    const rounds = Challenge.sortedRounds(challenge);
+    const index = rounds.findIndex((round) => round.key === roundKey);
+    if (index <= 0) return [];
+
+    const earlier = rounds.slice(0, index);
+    const entries = await LedgerEntry.find({
+      challengeId,
+      userId,
+      roundKey: { $in: earlier.map((round) => round.key) },
+    }).lean();
+
+    return earlier
+      .map((round) => {
+        const entry = entries.find((e) => e.roundKey === round.key);
+        return entry
+          ? {
+              ...entry,
+              challengeId: {
+                _id: challenge._id,
+                title: `${challenge.title} (${round.title})`,
+              },
+            }
+          : null;
+      })
+      .filter(Boolean);
   }
 
   /**
@@ -256,6 +399,10 @@ class SimulationWorker {
       prompt: aiResult.aiMetadata?.prompt
         ? JSON.stringify(aiResult.aiMetadata.prompt, null, 2)
         : null,
+      formulaCheck: aiResult.formulaCheck || null,
+      metricClamps: aiResult.metricClamps || [],
+      market: context.market || null,
+      randomEvent: aiResult.randomEventDraw || context.randomEvent || null,
     };
 
     const ledgerInput = {
@@ -263,12 +410,14 @@ class SimulationWorker {
       classroomId: job.classroomId,
       challengeId: job.challengeId,
       decisionId: job.decisionId || null,
+      roundKey: job.roundKey || null,
       userId: job.userId,
       metrics,
       randomEvent: aiResult.randomEvent,
       summary: aiResult.summary,
       aiMetadata: aiResult.aiMetadata,
       calculationContext,
+      outlierReview: aiResult.outlierReview || null,
     };
 
     const entry = await LedgerEntry.createLedgerEntry(
@@ -278,7 +427,18 @@ class SimulationWorker {
     );
 
     try {
-      if (job.decisionId) {
+      if (job.roundKey) {
+        // The decision-level pointer is set to the roll-up after the final round
+        await Decision.updateOne(
+          {
+            classroomId: job.classroomId,
+            challengeId: job.challengeId,
+            userId: job.userId,
+            "rounds.roundKey": job.roundKey,
+          },
+          { $set: { "rounds.$.ledgerEntryId": entry._id } }
+        );
+      } else if (job.decisionId) {
         await Decision.updateOne(
           { _id: job.decisionId },
           { $set: { ledgerEntryId: entry._id } }
@@ -297,6 +457,35 @@ class SimulationWorker {
       console.error("Failed to attach ledger entry to decision:", err);
     }
 
+    try {
+      const meta = aiResult.aiMetadata || {};
+      await SimulationRun.recordRun(
+        {
+          runId: meta.runId,
+          classroomId: job.classroomId,
+          challengeId: job.challengeId,
+          userId: job.userId,
+          decisionId: job.decisionId || null,
+          jobId: job._id,
+          ledgerEntryId: entry._id,
+          mode: "direct",
+          engine: meta.engine,
+          settings: meta.settings,
+          seed: meta.seed,
+          model: meta.model,
+          request: meta.request,
+          rawMessages: meta.prompt,
+          inputs: meta.inputs,
+          response: meta.response,
+          result: meta.aiResult,
+        },
+        organizationId,
+        job.createdBy
+      );
+    } catch (err) {
+      console.error("Failed to record simulation run:", err);
+    }
+
     return entry;
   }
 
@@ -307,7 +496,9 @@ class SimulationWorker {
       challengeId: job.challengeId,
       userId: job.userId,
     });
-    if (decision) {
+    if (decision && job.roundKey) {
+      await decision.updateRoundProcessingStatus(job.roundKey, jobStatus);
+    } else if (decision) {
       await decision.updateProcessingStatus(jobStatus);
     }
   }
@@ -353,6 +544,15 @@ class SimulationWorker {
     return results;
   }
 
+  /**
+   * Multi-round challenges: once a round's last job is terminal, mark the
+   * round processed, which starts the next round or writes the roll-ups.
+   */
+  static async completeRound(job) {
+    if (!job.roundKey) return null;
+    return Challenge.completeRoundIfDone(job.challengeId, job.roundKey);
+  }
+
   static async recordLedgerCompletionEvents(job) {
     const LedgerCompletionEvent = require("../ledgerCompletionEvent.model");
     return LedgerCompletionEvent.recordReadyEventsForJob(job._id);
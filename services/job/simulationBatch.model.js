@@ -76,6 +76,13 @@ const simulationBatchSchema = new mongoose.Schema({
     type: String,
     default: null,
   },
+  // Tokens and estimated cost of the batch's results (services/aiUsage)
+  usage: {
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 },
+    estimatedCostUsd: { type: Number, default: 0 },
+  },
 }).add(baseSchema);
 
 simulationBatchSchema.index({ challengeId: 1, createdDate: -1 });
@@ -131,6 +138,21 @@ simulationBatchSchema.methods.updateFromOpenAIStatus = async function (
   return this;
 };
 
+/**
+ * Add one result's AIUsage record to the batch totals.
+ */
+simulationBatchSchema.methods.addUsage = async function (record) {
+  if (!record) return this;
+  const inc = {
+    "usage.promptTokens": record.promptTokens || 0,
+    "usage.completionTokens": record.completionTokens || 0,
+    "usage.totalTokens": record.totalTokens || 0,
+    "usage.estimatedCostUsd": record.estimatedCostUsd || 0,
+  };
+  await this.constructor.updateOne({ _id: this._id }, { $inc: inc });
+  return this;
+};
+
 simulationBatchSchema.methods.markFailed = async function (errorMessage) {
   this.status = "failed";
   this.error = errorMessage || "Batch failed";
@@ -0,0 +1,184 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  setupTestDb,
+  teardownTestDb,
+  clearCollections,
+} = require("../../test/helpers/db");
+const {
+  createOrganization,
+  createClassroom,
+  createMember,
+} = require("../../test/helpers/factories");
+
+const llm = require("../../lib/llm");
+const { createMockLLMServer, MOCK_LLM_MODEL } = require("../../lib/llm/mockServer");
+const Challenge = require("../challenge/challenge.model");
+const Decision = require("../decision/decision.model");
+const Outcome = require("../outcome/outcome.model");
+const Profile = require("../profile/profile.model");
+const ProfileType = require("../profileType/profileType.model");
+const MetricDefinition = require("../metricDefinition/metricDefinition.model");
+const LedgerEntry = require("../ledger/ledger.model");
+const SimulationJob = require("./job.model");
+const SimulationWorker = require("./lib/simulationWorker");
+const LedgerCompletionEvent = require("./ledgerCompletionEvent.model");
+const AIUsage = require("../aiUsage/aiUsage.model");
+
+const ADMIN = "test-admin";
+let mock;
+let previousBaseURL;
+let originalRecordCompletion;
+
+before(async () => {
+  await setupTestDb();
+  mock = await createMockLLMServer().listen();
+  previousBaseURL = process.env.LLM_COMPATIBLE_BASE_URL;
+  process.env.LLM_COMPATIBLE_BASE_URL = mock.baseURL;
+  llm.resetClients();
+
+  // Completion events normally go to Bull; record them without a queue.
+  originalRecordCompletion = SimulationWorker.recordLedgerCompletionEvents;
+  SimulationWorker.recordLedgerCompletionEvents = (job) =>
+    LedgerCompletionEvent.recordReadyEventsForJob(job._id, { enqueue: false });
+});
+
+after(async () => {
+  // before() may have failed part way (e.g. no MongoDB binary)
+  if (originalRecordCompletion) {
+    SimulationWorker.recordLedgerCompletionEvents = originalRecordCompletion;
+  }
+  if (mock) {
+    if (previousBaseURL === undefined) delete process.env.LLM_COMPATIBLE_BASE_URL;
+    else process.env.LLM_COMPATIBLE_BASE_URL = previousBaseURL;
+    llm.resetClients();
+    await mock.close();
+  }
+  await teardownTestDb();
+});
+
+beforeEach(async () => {
+  await clearCollections();
+  mock.reset();
+});
+
+async function createClassroomFixture() {
+  const organization = await createOrganization();
+  const classroom = await createClassroom(organization._id, {
+    aiSettings: { provider: "openai-compatible", simulationModel: MOCK_LLM_MODEL },
+  });
+  const base = { organization: organization._id, createdBy: ADMIN, updatedBy: ADMIN };
+
+  await MetricDefinition.create([
+    { ...base, classroomId: classroom._id, key: "revenue", label: "Revenue", dataType: "number", format: "currency" },
+    { ...base, classroomId: classroom._id, key: "unitsSold", label: "Units Sold", dataType: "number", format: "count" },
+    { ...base, classroomId: classroom._id, key: "stockout", label: "Stockout", dataType: "boolean", format: "text" },
+  ]);
+  const profileType = await ProfileType.create({
+    ...base,
+    classroomId: classroom._id,
+    key: "downtown",
+    label: "Downtown",
+  });
+
+  const students = [];
+  for (let i = 0; i < 2; i += 1) {
+    const member = await createMember();
+    await Profile.create({
+      ...base,
+      classroomId: classroom._id,
+      userId: member._id,
+      studentId: `student_${i + 1}`,
+      shopName: `Shop ${i + 1}`,
+      storeDescription: "Mock shop",
+      storeLocation: "Campus",
+      profileType: profileType._id,
+    });
+    students.push(member);
+  }
+
+  return { organization, classroom, students };
+}
+
+test("publish, submit, process and release run against the mock LLM server", async () => {
+  const { organization, classroom, students } = await createClassroomFixture();
+
+  const created = await Challenge.createScenario(
+    classroom._id,
+    { title: "Week 1", description: "Hermetic cycle", variables: {}, feedbackReleaseMode: "IMMEDIATE" },
+    organization._id,
+    ADMIN
+  );
+  const challenge = await Challenge.findById(created._id || created.id);
+  await challenge.publish(ADMIN);
+
+  for (const student of students) {
+    await Decision.createSubmission(
+      classroom._id,
+      challenge._id,
+      student._id,
+      {},
+      organization._id,
+      student.clerkUserId
+    );
+  }
+  await Outcome.createOrUpdateOutcome(
+    challenge._id,
+    { notes: "Quiet week", randomEventChancePercent: 0 },
+    organization._id,
+    ADMIN
+  );
+
+  const jobs = [];
+  for (const student of students) {
+    const decision = await Decision.findOne({ challengeId: challenge._id, userId: student._id });
+    jobs.push(
+      await SimulationJob.createJob(
+        { classroomId: classroom._id, challengeId: challenge._id, decisionId: decision._id, userId: student._id },
+        organization._id,
+        ADMIN
+      )
+    );
+  }
+  await challenge.close(ADMIN);
+
+  for (const job of jobs) {
+    const result = await SimulationWorker.processJob(job._id);
+    assert.equal(result.success, true);
+  }
+
+  const chatCalls = mock.requests.filter((r) => r.path === "/v1/chat/completions");
+  assert.equal(chatCalls.length, students.length);
+  assert.equal(chatCalls[0].body.model, MOCK_LLM_MODEL);
+  assert.deepEqual(
+    [...chatCalls[0].body.response_format.json_schema.schema.required].sort(),
+    ["randomEvent", "revenue", "stockout", "summary", "unitsSold"]
+  );
+
+  const entries = await LedgerEntry.find({ challengeId: challenge._id }).lean();
+  assert.equal(entries.length, students.length);
+  for (const entry of entries) {
+    assert.equal(typeof entry.metrics.revenue, "number");
+    assert.equal(typeof entry.metrics.stockout, "boolean");
+    assert.equal(entry.aiMetadata.provider, "openai-compatible");
+    assert.equal(entry.aiMetadata.model, MOCK_LLM_MODEL);
+  }
+
+  const usage = await AIUsage.find({ challengeId: challenge._id }).lean();
+  assert.equal(usage.length, students.length);
+  assert.ok(usage.every((record) => record.source === "simulation" && record.totalTokens > 0));
+  const report = await AIUsage.getUsageReport({
+    organizationId: organization._id,
+    classroomId: classroom._id,
+  });
+  assert.equal(report.totals.calls, students.length);
+  assert.equal(report.byChallenge[0].key, String(challenge._id));
+
+  const released = await Challenge.findById(challenge._id).lean();
+  assert.equal(released.automationStatus, "feedbackReleased");
+  assert.equal(released.isFeedbackReleased, true);
+  assert.equal(
+    await SimulationJob.countDocuments({ challengeId: challenge._id, status: "completed" }),
+    students.length
+  );
+});
@@ -8,6 +8,7 @@
  */
 const express = require("express");
 const { requireMemberAuth } = require("../../middleware/auth");
+const { planRateLimit } = require("../../middleware/rateLimit");
 const controller = require("./join.controller");
 
 const router = express.Router();
@@ -21,11 +22,32 @@ const router = express.Router();
  *       - Onboarding & Join
  *     security:
  *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [orgId, classroomId]
+ *             properties:
+ *               orgId:
+ *                 type: string
+ *               classroomId:
+ *                 type: string
+ *               studentId:
+ *                 type: string
+ *               accessCode:
+ *                 type: string
+ *                 description: Required when the classroom has an access code.
  *     responses:
  *       200:
  *         description: Onboarded successfully.
+ *       403:
+ *         description: Join refused by classroom policy (CLASSROOM_CLOSED, INVITE_REQUIRED, ROSTER_ONLY, EMAIL_DOMAIN_NOT_ALLOWED, ACCESS_CODE_REQUIRED or ACCESS_CODE_INVALID).
+ *       429:
+ *         description: Too many join requests (RATE_LIMITED) or incorrect access codes (ACCESS_CODE_RATE_LIMITED).
  */
-router.post("/", requireMemberAuth(), controller.join);
+router.post("/", planRateLimit("join"), requireMemberAuth(), controller.join);
 
 module.exports = router;
 
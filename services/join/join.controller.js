@@ -1,9 +1,10 @@
 const Enrollment = require("../enrollment/enrollment.model");
+const { isJoinRejection } = require("../licensing/joinPolicy");
 
 /**
  * POST /v1/join  (also mounted at /api/join)
  *
- * Body: { orgId: string, classroomId: string }
+ * Body: { orgId: string, classroomId: string, studentId?: string, accessCode?: string }
  *
  * Guarantees on success:
  * - authenticated user
@@ -14,7 +15,7 @@ const Enrollment = require("../enrollment/enrollment.model");
  */
 exports.join = async function join(req, res) {
   try {
-    const { orgId, classroomId, studentId } = req.body || {};
+    const { orgId, classroomId, studentId, accessCode } = req.body || {};
     const clerkUserId = req.clerkUser?.id;
     const member = req.user;
 
@@ -43,6 +44,8 @@ exports.join = async function join(req, res) {
       studentEmail,
       studentId,
       joinSource: "invite_link",
+      accessCode,
+      ipAddress: req.ip,
     });
 
     return res.status(200).json({
@@ -59,7 +62,8 @@ exports.join = async function join(req, res) {
     const isExpectedPaymentRequired =
       error?.statusCode === 402 && error?.code === "PAYMENT_REQUIRED";
 
-    if (!isExpectedPaymentRequired) {
+    // Policy rejections are audited as JoinAttempts rather than logged
+    if (!isExpectedPaymentRequired && !isJoinRejection(error)) {
       console.error("Error in join:", {
         message: error?.message,
         status: error?.statusCode,
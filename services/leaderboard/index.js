@@ -0,0 +1,209 @@
+/**
+ * Leaderboard Service Routes
+ *
+ * Ranks students by the classroom's leaderboard metrics.
+ * Mounted at: /v1/admin/class/:classroomId/leaderboard and
+ * /v1/student/class/:classroomId/leaderboard
+ */
+const express = require("express");
+const controller = require("./leaderboard.controller");
+const router = express.Router();
+
+const {
+  requireAuth,
+  checkRole,
+  requireMemberAuth,
+} = require("../../middleware/auth");
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Leaderboard:
+ *       type: object
+ *       properties:
+ *         view:
+ *           type: string
+ *           enum: [cumulative, challenge]
+ *         challenge:
+ *           type: object
+ *           description: Challenge the standings are for (latest ranked challenge by default).
+ *         previousChallenge:
+ *           type: object
+ *           nullable: true
+ *           description: Challenge the rank deltas compare against.
+ *         challenges:
+ *           type: array
+ *           description: Challenges with results, oldest first.
+ *           items:
+ *             type: object
+ *         participantCount:
+ *           type: integer
+ *         anonymized:
+ *           type: boolean
+ *         metrics:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *               label:
+ *                 type: string
+ *               format:
+ *                 type: string
+ *               aggregation:
+ *                 type: string
+ *                 description: How values combine across challenges in the cumulative view.
+ *               rows:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/LeaderboardRow'
+ *               currentUser:
+ *                 $ref: '#/components/schemas/LeaderboardRow'
+ *     LeaderboardRow:
+ *       type: object
+ *       properties:
+ *         rank:
+ *           type: integer
+ *           description: Competition rank (ties share a rank; the next rank is skipped).
+ *         previousRank:
+ *           type: integer
+ *           nullable: true
+ *         rankDelta:
+ *           type: integer
+ *           nullable: true
+ *           description: Places gained since the previous challenge (negative = dropped).
+ *         tied:
+ *           type: boolean
+ *         value:
+ *           type: number
+ *         userId:
+ *           type: string
+ *           nullable: true
+ *         profileId:
+ *           type: string
+ *           nullable: true
+ *         profileName:
+ *           type: string
+ *           nullable: true
+ *           description: Store name, or a stable alias such as "Competitor 4" when anonymized.
+ *         studentId:
+ *           type: string
+ *           nullable: true
+ *         teamName:
+ *           type: string
+ *           nullable: true
+ *           description: Set when the shop is run by a team.
+ *         isCurrentUser:
+ *           type: boolean
+ */
+
+/**
+ * @openapi
+ * /v1/admin/class/{classroomId}/leaderboard:
+ *   get:
+ *     summary: Get class leaderboard
+ *     description: Ranks students by every numeric metric flagged `displayIn.leaderboard`. The cumulative view combines each metric across challenges using its `aggregation`; the challenge view ranks a single challenge. Requires org:admin role.
+ *     tags:
+ *       - Classrooms
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: view
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [cumulative, challenge]
+ *       - name: challengeId
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: metrics
+ *         in: query
+ *         description: Comma-separated metric keys (defaults to all leaderboard metrics).
+ *         schema:
+ *           type: string
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *       - name: releasedOnly
+ *         in: query
+ *         description: Only count challenges whose results students can see.
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Leaderboard.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Leaderboard'
+ *       400:
+ *         description: Invalid view or metric (codes INVALID_LEADERBOARD_VIEW, UNKNOWN_LEADERBOARD_METRIC).
+ *       404:
+ *         description: Class not found, or the challenge has no results (code CHALLENGE_NOT_RANKED).
+ */
+router.get(
+  "/admin/class/:classroomId/leaderboard",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.getClassLeaderboard
+);
+
+/**
+ * @openapi
+ * /v1/student/class/{classroomId}/leaderboard:
+ *   get:
+ *     summary: Get class leaderboard (Student)
+ *     description: Same standings as the admin leaderboard, limited to challenges whose results have been released. Unless the class disables `leaderboardSettings.anonymizeForStudents`, other students are shown under stable aliases; the caller's own row is returned as `currentUser`.
+ *     tags:
+ *       - Classrooms
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: view
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [cumulative, challenge]
+ *       - name: challengeId
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: metrics
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Leaderboard.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Leaderboard'
+ *       403:
+ *         description: Not enrolled, or the class hides its leaderboard from students (code LEADERBOARD_HIDDEN).
+ */
+router.get(
+  "/student/class/:classroomId/leaderboard",
+  requireMemberAuth(),
+  controller.getStudentLeaderboard
+);
+
+module.exports = router;
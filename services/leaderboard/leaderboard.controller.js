@@ -0,0 +1,116 @@
+const Classroom = require("../classroom/classroom.model");
+const LeaderboardService = require("./lib/leaderboardService");
+const { makeLeaderboardError } = require("./leaderboard.errors");
+
+function parseLeaderboardQuery(query = {}) {
+  const metricKeys =
+    typeof query.metrics === "string" && query.metrics.trim()
+      ? query.metrics
+          .split(",")
+          .map((key) => key.trim())
+          .filter(Boolean)
+      : [];
+  return {
+    view: query.view || undefined,
+    challengeId: query.challengeId || undefined,
+    metricKeys,
+    limit: query.limit !== undefined ? parseInt(query.limit, 10) : undefined,
+  };
+}
+
+function handleLeaderboardError(res, error) {
+  if (error.message === "Class not found") {
+    return res.status(404).json({ error: error.message });
+  }
+  if (
+    error.message.includes("Insufficient permissions") ||
+    error.message === "Not enrolled in this class" ||
+    error.message === "Member not found"
+  ) {
+    return res.status(403).json({ error: error.message });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code,
+      details: error.details,
+    });
+  }
+  return res.status(500).json({ error: error.message });
+}
+
+/**
+ * Get the class leaderboard (admin)
+ * GET /api/admin/class/:classroomId/leaderboard
+ */
+exports.getClassLeaderboard = async function (req, res) {
+  try {
+    const { classroomId } = req.params;
+    const organizationId = req.organization._id;
+    const clerkUserId = req.clerkUser.id;
+
+    await Classroom.validateAdminAccess(classroomId, clerkUserId, organizationId);
+
+    const leaderboard = await LeaderboardService.getLeaderboard(
+      classroomId,
+      organizationId,
+      {
+        ...parseLeaderboardQuery(req.query),
+        releasedOnly: req.query.releasedOnly === "true",
+      }
+    );
+
+    res.json({ success: true, data: leaderboard });
+  } catch (error) {
+    console.error("Error getting class leaderboard:", error);
+    handleLeaderboardError(res, error);
+  }
+};
+
+/**
+ * Get the class leaderboard (student). Only released results count, and
+ * other students are anonymized when the classroom asks for it.
+ * GET /api/student/class/:classroomId/leaderboard
+ */
+exports.getStudentLeaderboard = async function (req, res) {
+  try {
+    const { classroomId } = req.params;
+    const organizationId = req.organization._id;
+    const clerkUserId = req.clerkUser.id;
+
+    const classroom = await Classroom.validateStudentAccess(
+      classroomId,
+      clerkUserId,
+      organizationId
+    );
+
+    const settings = classroom.leaderboardSettings || {};
+    if (settings.visibleToStudents === false) {
+      throw makeLeaderboardError(
+        "The leaderboard is not available for this class",
+        403,
+        "LEADERBOARD_HIDDEN"
+      );
+    }
+
+    // A team member's row is their team's (ranked under the anchor)
+    const Team = require("../team/team.model");
+    const { subjectId } = await Team.resolveSubject(classroomId, req.user._id);
+
+    const leaderboard = await LeaderboardService.getLeaderboard(
+      classroomId,
+      organizationId,
+      {
+        ...parseLeaderboardQuery(req.query),
+        releasedOnly: true,
+        viewerUserId: subjectId,
+        anonymize: settings.anonymizeForStudents !== false,
+      }
+    );
+
+    res.json({ success: true, data: leaderboard });
+  } catch (error) {
+    console.error("Error getting student leaderboard:", error);
+    handleLeaderboardError(res, error);
+  }
+};
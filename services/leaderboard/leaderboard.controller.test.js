@@ -0,0 +1,9 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const controller = require("./leaderboard.controller");
+
+test("leaderboard controller exports handlers", () => {
+  assert.equal(typeof controller.getClassLeaderboard, "function");
+  assert.equal(typeof controller.getStudentLeaderboard, "function");
+});
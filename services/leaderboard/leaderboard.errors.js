@@ -0,0 +1,11 @@
+function makeLeaderboardError(message, statusCode, code, details = {}) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  err.details = details;
+  return err;
+}
+
+module.exports = {
+  makeLeaderboardError,
+};
@@ -0,0 +1,285 @@
+const Challenge = require("../../challenge/challenge.model");
+const LedgerEntry = require("../../ledger/ledger.model");
+const MetricDefinition = require("../../metricDefinition/metricDefinition.model");
+const Profile = require("../../profile/profile.model");
+const Team = require("../../team/team.model");
+const { makeLeaderboardError } = require("../leaderboard.errors");
+const { immediateReleaseQuery } = require("../../challenge/lib/releaseHold");
+const {
+  aggregateMetricValues,
+  rankRows,
+  applyRankDeltas,
+  buildAliases,
+  anonymizeRows,
+} = require("./rankLeaderboard");
+
+const LEADERBOARD_VIEWS = Object.freeze(["cumulative", "challenge"]);
+
+function metricsToObject(metrics) {
+  if (!metrics) return {};
+  if (metrics instanceof Map) return Object.fromEntries(metrics);
+  return { ...metrics };
+}
+
+function describeChallenge(challenge) {
+  return challenge
+    ? { id: challenge._id, title: challenge.title, week: challenge.week }
+    : null;
+}
+
+/**
+ * Leaderboard Service
+ * Ranks students by every numeric MetricDefinition flagged
+ * `displayIn.leaderboard`, combining values across challenges with the
+ * metric's own `aggregation`.
+ */
+class LeaderboardService {
+  /**
+   * Build a classroom leaderboard.
+   *
+   * Views:
+   * - "cumulative" (default): standings through the selected challenge, each
+   *   metric aggregated across that challenge and every earlier one
+   *   (sum/avg/max/min/last). Deltas compare with the standings through the
+   *   previous challenge.
+   * - "challenge": standings on the selected challenge alone. Deltas compare
+   *   with the previous challenge's standings.
+   *
+   * @param {string} classroomId
+   * @param {string} organizationId
+   * @param {Object} [options]
+   * @param {string} [options.view] - "cumulative" | "challenge"
+   * @param {string} [options.challengeId] - Defaults to the latest ranked challenge
+   * @param {string[]} [options.metricKeys] - Restrict to these leaderboard metrics
+   * @param {number} [options.limit] - Max rows per metric
+   * @param {boolean} [options.releasedOnly] - Only count challenges whose
+   *   feedback students can see
+   * @param {string} [options.viewerUserId] - Member viewing the board; their
+   *   row is returned as `currentUser` even when outside `limit`
+   * @param {boolean} [options.anonymize] - Replace other students' identities
+   *   with stable aliases
+   * @returns {Promise<Object>}
+   */
+  static async getLeaderboard(classroomId, organizationId, options = {}) {
+    const view = options.view || "cumulative";
+    if (!LEADERBOARD_VIEWS.includes(view)) {
+      throw makeLeaderboardError(
+        `view must be one of: ${LEADERBOARD_VIEWS.join(", ")}`,
+        400,
+        "INVALID_LEADERBOARD_VIEW",
+        { view }
+      );
+    }
+
+    const challengeQuery = { classroomId, organization: organizationId };
+    if (options.releasedOnly) {
+      Object.assign(challengeQuery, {
+        isPublished: true,
+        isClosed: true,
+        $or: [{ isFeedbackReleased: true }, immediateReleaseQuery()],
+      });
+    }
+
+    const [allDefinitions, challenges] = await Promise.all([
+      MetricDefinition.find({
+        classroomId,
+        organization: organizationId,
+        isActive: true,
+        dataType: "number",
+        "displayIn.leaderboard": true,
+      })
+        .sort({ sortOrder: 1, label: 1 })
+        .lean(),
+      Challenge.find(challengeQuery)
+        .select("_id title week createdDate")
+        .sort({ week: 1, createdDate: 1 })
+        .lean(),
+    ]);
+
+    const requestedKeys = Array.isArray(options.metricKeys)
+      ? options.metricKeys.filter(Boolean)
+      : [];
+    const definitions = requestedKeys.length
+      ? allDefinitions.filter((definition) =>
+          requestedKeys.includes(definition.key)
+        )
+      : allDefinitions;
+    const unknownKeys = requestedKeys.filter(
+      (key) => !allDefinitions.some((definition) => definition.key === key)
+    );
+    if (unknownKeys.length > 0) {
+      throw makeLeaderboardError(
+        "Metrics are not leaderboard metrics for this class",
+        400,
+        "UNKNOWN_LEADERBOARD_METRIC",
+        { metricKeys: unknownKeys }
+      );
+    }
+
+    const entries = challenges.length
+      ? await LedgerEntry.find({
+          classroomId,
+          organization: organizationId,
+          challengeId: { $in: challenges.map((challenge) => challenge._id) },
+          roundKey: null,
+        })
+          .select("userId challengeId metrics")
+          .lean()
+      : [];
+
+    // Only challenges with results take part in the timeline
+    const entriesByChallenge = new Map();
+    entries.forEach((entry) => {
+      const key = entry.challengeId.toString();
+      if (!entriesByChallenge.has(key)) entriesByChallenge.set(key, []);
+      entriesByChallenge.get(key).push(entry);
+    });
+    const timeline = challenges.filter((challenge) =>
+      entriesByChallenge.has(challenge._id.toString())
+    );
+
+    let selectedIndex = timeline.length - 1;
+    if (options.challengeId) {
+      selectedIndex = timeline.findIndex(
+        (challenge) => challenge._id.toString() === String(options.challengeId)
+      );
+      if (selectedIndex < 0) {
+        throw makeLeaderboardError(
+          "Challenge has no ranked results",
+          404,
+          "CHALLENGE_NOT_RANKED",
+          { challengeId: options.challengeId }
+        );
+      }
+    }
+
+    const selected = timeline[selectedIndex] || null;
+    const result = {
+      view,
+      challenge: describeChallenge(selected),
+      previousChallenge: describeChallenge(timeline[selectedIndex - 1]),
+      challenges: timeline.map(describeChallenge),
+      participantCount: 0,
+      anonymized: Boolean(options.anonymize),
+      metrics: [],
+    };
+    if (!selected) {
+      result.metrics = definitions.map((definition) => ({
+        key: definition.key,
+        label: definition.label,
+        format: definition.format,
+        aggregation: definition.aggregation,
+        rows: [],
+        currentUser: null,
+      }));
+      return result;
+    }
+
+    // Values per challenge index -> userId for one metric
+    const valuesAt = (index, key) => {
+      const values = new Map();
+      (entriesByChallenge.get(timeline[index]._id.toString()) || []).forEach(
+        (entry) => {
+          values.set(entry.userId.toString(), metricsToObject(entry.metrics)[key]);
+        }
+      );
+      return values;
+    };
+
+    const standingsThrough = (index, definition) => {
+      if (index < 0) return [];
+      if (view === "challenge") {
+        return rankRows(
+          [...valuesAt(index, definition.key)].map(([userId, value]) => ({
+            userId,
+            value,
+          }))
+        );
+      }
+      const history = new Map();
+      for (let i = 0; i <= index; i += 1) {
+        valuesAt(i, definition.key).forEach((value, userId) => {
+          if (!history.has(userId)) history.set(userId, []);
+          history.get(userId).push(value);
+        });
+      }
+      return rankRows(
+        [...history].map(([userId, values]) => ({
+          userId,
+          value: aggregateMetricValues(values, definition.aggregation),
+        }))
+      );
+    };
+
+    const participantIds = new Set(
+      (view === "challenge"
+        ? entriesByChallenge.get(selected._id.toString())
+        : timeline
+            .slice(0, selectedIndex + 1)
+            .flatMap((challenge) =>
+              entriesByChallenge.get(challenge._id.toString())
+            )
+      ).map((entry) => entry.userId.toString())
+    );
+    result.participantCount = participantIds.size;
+
+    const profiles = await Profile.find({
+      classroomId,
+      userId: { $in: [...participantIds] },
+    })
+      .select("userId shopName studentId teamId")
+      .lean();
+    const profilesByUser = new Map(
+      profiles.map((profile) => [profile.userId.toString(), profile])
+    );
+    // Team shops are ranked once, under the team's anchor member
+    const teamIds = profiles.map((profile) => profile.teamId).filter(Boolean);
+    const teams = teamIds.length
+      ? await Team.find({ _id: { $in: teamIds } }).select("name").lean()
+      : [];
+    const teamNames = new Map(teams.map((team) => [team._id.toString(), team.name]));
+    const aliases = options.anonymize
+      ? buildAliases(classroomId, [...participantIds])
+      : null;
+    const viewerId = options.viewerUserId ? String(options.viewerUserId) : null;
+    const limit = Number(options.limit) > 0 ? Number(options.limit) : null;
+
+    result.metrics = definitions.map((definition) => {
+      let rows = applyRankDeltas(
+        standingsThrough(selectedIndex, definition),
+        standingsThrough(selectedIndex - 1, definition)
+      ).map((row) => {
+        const profile = profilesByUser.get(row.userId);
+        return {
+          rank: row.rank,
+          previousRank: row.previousRank,
+          rankDelta: row.rankDelta,
+          tied: row.tied,
+          value: row.value,
+          userId: row.userId,
+          profileId: profile?._id || null,
+          profileName: profile?.shopName || null,
+          studentId: profile?.studentId || null,
+          teamName: profile?.teamId ? teamNames.get(profile.teamId.toString()) || null : null,
+          isCurrentUser: viewerId !== null && row.userId === viewerId,
+        };
+      });
+      if (aliases) rows = anonymizeRows(rows, viewerId, aliases);
+
+      return {
+        key: definition.key,
+        label: definition.label,
+        format: definition.format,
+        aggregation: definition.aggregation,
+        rows: limit ? rows.slice(0, limit) : rows,
+        currentUser: rows.find((row) => row.isCurrentUser) || null,
+      };
+    });
+
+    return result;
+  }
+}
+
+LeaderboardService.LEADERBOARD_VIEWS = LEADERBOARD_VIEWS;
+
+module.exports = LeaderboardService;
@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const Challenge = require("../../challenge/challenge.model");
+const LedgerEntry = require("../../ledger/ledger.model");
+const MetricDefinition = require("../../metricDefinition/metricDefinition.model");
+const Profile = require("../../profile/profile.model");
+const LeaderboardService = require("./leaderboardService");
+
+function chain(result) {
+  const query = {
+    sort: () => query,
+    select: () => query,
+    lean: async () => result,
+  };
+  return query;
+}
+
+test("LeaderboardService.getLeaderboard", async (t) => {
+  const originals = {
+    metricFind: MetricDefinition.find,
+    challengeFind: Challenge.find,
+    ledgerFind: LedgerEntry.find,
+    profileFind: Profile.find,
+  };
+  t.after(() => {
+    MetricDefinition.find = originals.metricFind;
+    Challenge.find = originals.challengeFind;
+    LedgerEntry.find = originals.ledgerFind;
+    Profile.find = originals.profileFind;
+  });
+
+  const week1 = { _id: "c1", title: "Week 1", week: 1 };
+  const week2 = { _id: "c2", title: "Week 2", week: 2 };
+  const unplayed = { _id: "c3", title: "Week 3", week: 3 };
+  let challengeQuery = null;
+
+  MetricDefinition.find = () =>
+    chain([
+      { key: "cash", label: "Cash", format: "currency", aggregation: "last" },
+      { key: "profit", label: "Profit", format: "currency", aggregation: "sum" },
+    ]);
+  Challenge.find = (query) => {
+    challengeQuery = query;
+    return chain([week1, week2, unplayed]);
+  };
+  LedgerEntry.find = () =>
+    chain([
+      { userId: "u1", challengeId: "c1", metrics: { cash: 1100, profit: 100 } },
+      { userId: "u2", challengeId: "c1", metrics: { cash: 1200, profit: 200 } },
+      { userId: "u3", challengeId: "c1", metrics: { cash: 900, profit: -100 } },
+      { userId: "u1", challengeId: "c2", metrics: { cash: 1500, profit: 400 } },
+      { userId: "u2", challengeId: "c2", metrics: { cash: 1250, profit: 50 } },
+      { userId: "u3", challengeId: "c2", metrics: { cash: 1250, profit: 350 } },
+    ]);
+  Profile.find = () =>
+    chain([
+      { _id: "p1", userId: "u1", shopName: "Slice King", studentId: "S1" },
+      { _id: "p2", userId: "u2", shopName: "Pizza Queen", studentId: "S2" },
+      { _id: "p3", userId: "u3", shopName: "Taco Town", studentId: "S3" },
+    ]);
+
+  await t.test("should rank each metric cumulatively by its aggregation", async () => {
+    const board = await LeaderboardService.getLeaderboard("class-1", "org-1");
+    const [cash, profit] = board.metrics;
+
+    assert.equal(board.view, "cumulative");
+    assert.deepEqual(board.challenge, { id: "c2", title: "Week 2", week: 2 });
+    assert.deepEqual(board.previousChallenge, { id: "c1", title: "Week 1", week: 1 });
+    assert.deepEqual(board.challenges.map((item) => item.id), ["c1", "c2"]);
+    assert.equal(board.participantCount, 3);
+
+    // "last": latest balance, not a sum of balances. u2 and u3 tie.
+    assert.deepEqual(
+      cash.rows.map((row) => [row.userId, row.value, row.rank, row.tied, row.rankDelta]),
+      [
+        ["u1", 1500, 1, false, 1],
+        ["u2", 1250, 2, true, -1],
+        ["u3", 1250, 2, true, 1],
+      ]
+    );
+    // "sum": total profit across both weeks
+    assert.deepEqual(
+      profit.rows.map((row) => [row.userId, row.value, row.rank]),
+      [
+        ["u1", 500, 1],
+        ["u2", 250, 2],
+        ["u3", 250, 2],
+      ]
+    );
+    assert.equal(cash.rows[0].profileName, "Slice King");
+    assert.equal(challengeQuery.isPublished, undefined);
+  });
+
+  await t.test("should rank a single challenge in the challenge view", async () => {
+    const board = await LeaderboardService.getLeaderboard("class-1", "org-1", {
+      view: "challenge",
+      challengeId: "c2",
+      metricKeys: ["profit"],
+      limit: 2,
+    });
+
+    assert.equal(board.metrics.length, 1);
+    assert.deepEqual(
+      board.metrics[0].rows.map((row) => [row.userId, row.value, row.previousRank, row.rankDelta]),
+      [
+        ["u1", 400, 2, 1],
+        ["u3", 350, 3, 1],
+      ]
+    );
+  });
+
+  await t.test("should anonymize other students for a viewer", async () => {
+    const board = await LeaderboardService.getLeaderboard("class-1", "org-1", {
+      releasedOnly: true,
+      viewerUserId: "u3",
+      anonymize: true,
+      limit: 1,
+    });
+    const [cash] = board.metrics;
+
+    assert.equal(board.anonymized, true);
+    assert.equal(challengeQuery.isClosed, true);
+    assert.equal(cash.rows.length, 1);
+    assert.equal(cash.rows[0].userId, null);
+    assert.match(cash.rows[0].profileName, /^Competitor \d$/);
+    assert.equal(cash.currentUser.profileName, "Taco Town");
+    assert.equal(cash.currentUser.rank, 2);
+  });
+
+  await t.test("should reject unknown views, metrics and challenges", async () => {
+    await assert.rejects(
+      LeaderboardService.getLeaderboard("class-1", "org-1", { view: "weekly" }),
+      (error) => error.statusCode === 400 && error.code === "INVALID_LEADERBOARD_VIEW"
+    );
+    await assert.rejects(
+      LeaderboardService.getLeaderboard("class-1", "org-1", { metricKeys: ["waste"] }),
+      (error) => error.code === "UNKNOWN_LEADERBOARD_METRIC"
+    );
+    await assert.rejects(
+      LeaderboardService.getLeaderboard("class-1", "org-1", { challengeId: "c3" }),
+      (error) => error.statusCode === 404 && error.code === "CHALLENGE_NOT_RANKED"
+    );
+  });
+});
@@ -0,0 +1,143 @@
+const crypto = require("crypto");
+
+// Values closer than this are treated as a tie (averages accumulate float noise)
+const TIE_EPSILON = 1e-9;
+
+function toFiniteNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Combine one student's values for a metric across challenges using the
+ * MetricDefinition's `aggregation`. `values` must be in chronological order;
+ * missing/non-numeric values are skipped. "none" behaves like "last" (the
+ * metric is a running balance with no meaningful total).
+ *
+ * @returns {number|null} null when there is nothing to aggregate
+ */
+function aggregateMetricValues(values, aggregation = "last") {
+  const numbers = (values || []).map(toFiniteNumber).filter((v) => v !== null);
+  if (numbers.length === 0) return null;
+
+  switch (aggregation) {
+    case "sum":
+      return numbers.reduce((sum, value) => sum + value, 0);
+    case "avg":
+      return numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+    case "max":
+      return Math.max(...numbers);
+    case "min":
+      return Math.min(...numbers);
+    case "last":
+    case "none":
+    default:
+      return numbers[numbers.length - 1];
+  }
+}
+
+/**
+ * Rank rows by `value`, highest first, using standard competition ranking
+ * (1, 2, 2, 4). Rows without a value are dropped.
+ *
+ * @param {Array<{userId, value}>} rows
+ * @returns {Array} rows sorted by rank, each with `rank` and `tied`
+ */
+function rankRows(rows) {
+  const ranked = (rows || [])
+    .map((row) => ({ ...row, value: toFiniteNumber(row.value) }))
+    .filter((row) => row.value !== null)
+    .sort(
+      (a, b) =>
+        b.value - a.value || String(a.userId).localeCompare(String(b.userId))
+    );
+
+  ranked.forEach((row, index) => {
+    const previous = ranked[index - 1];
+    row.rank =
+      previous && Math.abs(previous.value - row.value) <= TIE_EPSILON
+        ? previous.rank
+        : index + 1;
+  });
+
+  const countByRank = new Map();
+  ranked.forEach((row) => {
+    countByRank.set(row.rank, (countByRank.get(row.rank) || 0) + 1);
+  });
+  ranked.forEach((row) => {
+    row.tied = countByRank.get(row.rank) > 1;
+  });
+
+  return ranked;
+}
+
+/**
+ * Annotate ranked rows with the student's rank in `previousRows` and the
+ * change (positive = moved up). Students absent from the previous standings
+ * get nulls.
+ */
+function applyRankDeltas(rows, previousRows) {
+  const previousRanks = new Map(
+    (previousRows || []).map((row) => [String(row.userId), row.rank])
+  );
+  return rows.map((row) => {
+    const previousRank = previousRanks.get(String(row.userId)) ?? null;
+    return {
+      ...row,
+      previousRank,
+      rankDelta: previousRank === null ? null : previousRank - row.rank,
+    };
+  });
+}
+
+/**
+ * Stable, non-reversible aliases ("Competitor 3") for a classroom's
+ * participants. The order is derived from a hash of classroom + student, so
+ * aliases do not follow rank, enrollment order or the student's name, and a
+ * student keeps the same alias across challenges and views.
+ *
+ * @returns {Map<string, string>} userId -> alias
+ */
+function buildAliases(classroomId, userIds) {
+  const hashed = [...new Set((userIds || []).map(String))].map((userId) => ({
+    userId,
+    hash: crypto
+      .createHash("sha256")
+      .update(`${classroomId}|${userId}`)
+      .digest("hex"),
+  }));
+  hashed.sort((a, b) => a.hash.localeCompare(b.hash));
+  return new Map(
+    hashed.map((item, index) => [item.userId, `Competitor ${index + 1}`])
+  );
+}
+
+/**
+ * Strip identities from every row except the viewer's.
+ */
+function anonymizeRows(rows, viewerUserId, aliases) {
+  const viewer = viewerUserId ? String(viewerUserId) : null;
+  return rows.map((row) => {
+    if (viewer && String(row.userId) === viewer) {
+      return { ...row, isCurrentUser: true };
+    }
+    return {
+      ...row,
+      userId: null,
+      profileId: null,
+      studentId: null,
+      teamName: null,
+      profileName: aliases.get(String(row.userId)) || "Competitor",
+      isCurrentUser: false,
+    };
+  });
+}
+
+module.exports = {
+  aggregateMetricValues,
+  rankRows,
+  applyRankDeltas,
+  buildAliases,
+  anonymizeRows,
+};
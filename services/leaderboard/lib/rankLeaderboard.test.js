@@ -0,0 +1,107 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  aggregateMetricValues,
+  rankRows,
+  applyRankDeltas,
+  buildAliases,
+  anonymizeRows,
+} = require("./rankLeaderboard");
+
+test("rankLeaderboard", async (t) => {
+  await t.test("should aggregate values with the metric's aggregation", () => {
+    const values = [100, "250", null, 50];
+    assert.equal(aggregateMetricValues(values, "sum"), 400);
+    assert.equal(aggregateMetricValues(values, "avg"), 400 / 3);
+    assert.equal(aggregateMetricValues(values, "max"), 250);
+    assert.equal(aggregateMetricValues(values, "min"), 50);
+    assert.equal(aggregateMetricValues(values, "last"), 50);
+    assert.equal(aggregateMetricValues(values, "none"), 50);
+    assert.equal(aggregateMetricValues([null, "n/a"], "sum"), null);
+  });
+
+  await t.test("should use competition ranking for ties", () => {
+    const ranked = rankRows([
+      { userId: "a", value: 300 },
+      { userId: "b", value: 500 },
+      { userId: "c", value: 300 },
+      { userId: "d", value: 100 },
+      { userId: "e", value: null },
+    ]);
+
+    assert.deepEqual(
+      ranked.map((row) => [row.userId, row.rank, row.tied]),
+      [
+        ["b", 1, false],
+        ["a", 2, true],
+        ["c", 2, true],
+        ["d", 4, false],
+      ]
+    );
+  });
+
+  await t.test("should treat float noise from averages as a tie", () => {
+    const ranked = rankRows([
+      { userId: "a", value: 0.1 + 0.2 },
+      { userId: "b", value: 0.3 },
+    ]);
+    assert.equal(ranked[0].rank, 1);
+    assert.equal(ranked[1].rank, 1);
+  });
+
+  await t.test("should report places gained since the previous standings", () => {
+    const previous = rankRows([
+      { userId: "a", value: 10 },
+      { userId: "b", value: 5 },
+    ]);
+    const current = rankRows([
+      { userId: "a", value: 10 },
+      { userId: "b", value: 20 },
+      { userId: "c", value: 15 },
+    ]);
+
+    assert.deepEqual(
+      applyRankDeltas(current, previous).map((row) => [
+        row.userId,
+        row.previousRank,
+        row.rankDelta,
+      ]),
+      [
+        ["b", 2, 1],
+        ["c", null, null],
+        ["a", 1, -2],
+      ]
+    );
+  });
+
+  await t.test("should alias everyone but the viewer", () => {
+    const aliases = buildAliases("class-1", ["u1", "u2", "u3"]);
+    assert.equal(aliases.size, 3);
+    assert.deepEqual(
+      [...aliases.values()].sort(),
+      ["Competitor 1", "Competitor 2", "Competitor 3"]
+    );
+    assert.deepEqual(buildAliases("class-1", ["u3", "u1", "u2"]), aliases);
+
+    const rows = anonymizeRows(
+      [
+        { userId: "u1", profileId: "p1", profileName: "Slice King", studentId: "S1", rank: 1 },
+        { userId: "u2", profileId: "p2", profileName: "Pizza Queen", studentId: "S2", rank: 2 },
+      ],
+      "u2",
+      aliases
+    );
+
+    assert.deepEqual(rows[0], {
+      userId: null,
+      profileId: null,
+      profileName: aliases.get("u1"),
+      studentId: null,
+      teamName: null,
+      rank: 1,
+      isCurrentUser: false,
+    });
+    assert.equal(rows[1].profileName, "Pizza Queen");
+    assert.equal(rows[1].isCurrentUser, true);
+  });
+});
@@ -69,6 +69,12 @@ router.get(
  *         required: true
  *         schema:
  *           type: string
+ *       - name: includeRounds
+ *         in: query
+ *         required: false
+ *         description: Also return the per-round entries of a multi-round challenge (by default only the challenge roll-up is returned).
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
  *         description: List of ledger entries.
@@ -150,6 +156,9 @@ router.get(
  *               metrics:
  *                 type: object
  *                 description: Map of metric keys to overridden values.
+ *               reason:
+ *                 type: string
+ *                 description: Why the entry was overridden (stored on the ledger revision).
  *     responses:
  *       200:
  *         description: Ledger entry updated with overrides.
@@ -165,4 +174,185 @@ router.patch(
   controller.overrideLedgerEntry
 );
 
+// Replay the stored simulation run behind a ledger entry
+/**
+ * @openapi
+ * /v1/admin/ledger/{ledgerId}/replay:
+ *   post:
+ *     summary: Replay a ledger entry's simulation run
+ *     description: Re-executes the stored simulation request (same messages, schema, model and seed) behind a ledger entry and returns a metric-by-metric diff against the entry's current values. The ledger entry is not modified; the replay is stored as a new SimulationRun. Use it to audit results before a challenge rerun overwrites them. Requires org:admin role.
+ *     tags:
+ *       - Ledgers
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: ledgerId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Replay diff.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 runId:
+ *                   type: string
+ *                 replayRunId:
+ *                   type: string
+ *                 seed:
+ *                   type: integer
+ *                   nullable: true
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     metricCount:
+ *                       type: integer
+ *                     changedCount:
+ *                       type: integer
+ *                     identical:
+ *                       type: boolean
+ *                 metrics:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         type: string
+ *                       label:
+ *                         type: string
+ *                       before: {}
+ *                       after: {}
+ *                       difference:
+ *                         type: number
+ *                         nullable: true
+ *                       changed:
+ *                         type: boolean
+ *       404:
+ *         description: Ledger entry not found, or it predates stored runs (code RUN_NOT_FOUND).
+ */
+router.post(
+  "/:ledgerId/replay",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.replayLedgerEntry
+);
+
+// Ledger revision history
+/**
+ * @openapi
+ * /v1/admin/ledger/{ledgerId}/revisions:
+ *   get:
+ *     summary: List ledger entry revisions
+ *     description: Append-only history for the student's results on this challenge, including entries replaced by earlier reruns. Each revision records the snapshot, source (simulation, rerun, override, ai_correction, restore, late_waiver), reason and who made the change. Requires org:admin role.
+ *     tags:
+ *       - Ledgers
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: ledgerId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revision history, oldest first.
+ */
+router.get(
+  "/:ledgerId/revisions",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.listLedgerRevisions
+);
+
+/**
+ * @openapi
+ * /v1/admin/ledger/{ledgerId}/revisions/diff:
+ *   get:
+ *     summary: Diff two ledger entry revisions
+ *     description: Metric-by-metric comparison between two revisions. `to` defaults to the latest revision and `from` to the one before it. Requires org:admin role.
+ *     tags:
+ *       - Ledgers
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: ledgerId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: from
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - name: to
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Revision diff.
+ *       404:
+ *         description: Ledger entry or revision not found.
+ */
+router.get(
+  "/:ledgerId/revisions/diff",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.diffLedgerRevisions
+);
+
+/**
+ * @openapi
+ * /v1/admin/ledger/{ledgerId}/revisions/{revision}/restore:
+ *   post:
+ *     summary: Restore a ledger entry revision
+ *     description: Replaces the entry's metrics, summary and random event with an earlier revision's snapshot. The restore is appended as a new revision and students see a "results were revised" marker. Requires org:admin role.
+ *     tags:
+ *       - Ledgers
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: ledgerId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: revision
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Restored ledger entry.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LedgerEntry'
+ *       409:
+ *         description: The revision is already current (code REVISION_ALREADY_CURRENT).
+ */
+router.post(
+  "/:ledgerId/revisions/:revision/restore",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.restoreLedgerRevision
+);
+
 module.exports = router;
@@ -2,6 +2,8 @@ const LedgerEntry = require("./ledger.model");
 const Classroom = require("../classroom/classroom.model");
 const Challenge = require("../challenge/challenge.model");
 const Member = require("../members/member.model");
+const Team = require("../team/team.model");
+const { releasesImmediately } = require("../challenge/lib/releaseHold");
 
 /**
  * Get ledger history for a user
@@ -17,7 +19,9 @@ exports.getLedgerHistory = async function (req, res) {
       return res.status(404).json({ error: "Member not found" });
     }
 
-    const history = await LedgerEntry.getLedgerHistory(classroomId, member._id);
+    // A team member's history is the team's ledger
+    const { subjectId } = await Team.resolveSubject(classroomId, member._id);
+    const history = await LedgerEntry.getLedgerHistory(classroomId, subjectId);
 
     const includeCalculationDetails =
       req.query.includeCalculationDetails === "true";
@@ -39,7 +43,7 @@ exports.getLedgerHistory = async function (req, res) {
       historyData = historyData.filter((entry) => {
         const chal = entry.challengeId;
         if (!chal) return true; // Initial entry (week 0) has no challengeId, always visible
-        const isReleased = chal.feedbackReleaseMode === "IMMEDIATE" ||
+        const isReleased = releasesImmediately(chal) ||
           chal.isFeedbackReleased ||
           (chal.isClosed && !chal.feedbackReleaseMode);
         return isReleased === true;
@@ -100,7 +104,9 @@ exports.getLedgerEntriesByChallenge = async function (req, res) {
       organizationId
     );
 
-    const entries = await LedgerEntry.getLedgerEntriesByChallenge(challengeId);
+    const entries = await LedgerEntry.getLedgerEntriesByChallenge(challengeId, {
+      includeRounds: req.query.includeRounds === "true",
+    });
 
     const includeCalculationDetails =
       req.query.includeCalculationDetails === "true";
@@ -203,7 +209,8 @@ exports.getLedgerEntry = async function (req, res) {
       return res.status(404).json({ error: "Member not found" });
     }
 
-    const entry = await LedgerEntry.getLedgerEntry(challengeId, member._id);
+    const { subjectId } = await Team.resolveSubject(challenge.classroomId, member._id);
+    const entry = await LedgerEntry.getLedgerEntry(challengeId, subjectId);
     if (!entry) {
       return res.status(404).json({ error: "Ledger entry not found" });
     }
@@ -229,3 +236,151 @@ exports.getLedgerEntry = async function (req, res) {
     res.status(500).json({ error: error.message });
   }
 };
+
+/**
+ * Replay the stored simulation run behind a ledger entry and diff it
+ * against the entry's current metrics. Does not modify the ledger entry.
+ * POST /api/admin/ledger/:ledgerId/replay
+ */
+exports.replayLedgerEntry = async function (req, res) {
+  try {
+    const { ledgerId } = req.params;
+    const organizationId = req.organization._id;
+    const clerkUserId = req.clerkUser.id;
+
+    const entry = await LedgerEntry.findById(ledgerId).select("classroomId");
+    if (!entry) {
+      return res.status(404).json({ error: "Ledger entry not found" });
+    }
+
+    await Classroom.validateAdminAccess(
+      entry.classroomId,
+      clerkUserId,
+      organizationId
+    );
+
+    const replay = await LedgerEntry.replaySimulationRun(ledgerId, clerkUserId);
+
+    res.json({ success: true, data: replay });
+  } catch (error) {
+    console.error("Error replaying ledger entry:", error);
+    if (error.message === "Class not found") {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes("Insufficient permissions")) {
+      return res.status(403).json({ error: error.message });
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code,
+        details: error.details,
+      });
+    }
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Load a ledger entry's classroom and check admin access. Returns false (after
+ * responding 404) when the entry does not exist.
+ */
+async function validateLedgerAdminAccess(req, res, ledgerId) {
+  const entry = await LedgerEntry.findById(ledgerId).select("classroomId");
+  if (!entry) {
+    res.status(404).json({ error: "Ledger entry not found" });
+    return false;
+  }
+  await Classroom.validateAdminAccess(
+    entry.classroomId,
+    req.clerkUser.id,
+    req.organization._id
+  );
+  return true;
+}
+
+function handleRevisionError(res, error) {
+  if (error.message === "Class not found") {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes("Insufficient permissions")) {
+    return res.status(403).json({ error: error.message });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code,
+      details: error.details,
+    });
+  }
+  return res.status(500).json({ error: error.message });
+}
+
+/**
+ * List revision history for a ledger entry
+ * GET /api/admin/ledger/:ledgerId/revisions
+ */
+exports.listLedgerRevisions = async function (req, res) {
+  try {
+    const { ledgerId } = req.params;
+    if (!(await validateLedgerAdminAccess(req, res, ledgerId))) return;
+
+    const history = await LedgerEntry.listRevisions(ledgerId);
+
+    res.json({ success: true, data: history });
+  } catch (error) {
+    console.error("Error listing ledger revisions:", error);
+    handleRevisionError(res, error);
+  }
+};
+
+/**
+ * Diff two revisions of a ledger entry
+ * GET /api/admin/ledger/:ledgerId/revisions/diff?from=1&to=2
+ */
+exports.diffLedgerRevisions = async function (req, res) {
+  try {
+    const { ledgerId } = req.params;
+    const { from, to } = req.query;
+    if (!(await validateLedgerAdminAccess(req, res, ledgerId))) return;
+
+    const diff = await LedgerEntry.diffRevisions(ledgerId, from, to);
+
+    res.json({ success: true, data: diff });
+  } catch (error) {
+    console.error("Error diffing ledger revisions:", error);
+    handleRevisionError(res, error);
+  }
+};
+
+/**
+ * Restore a ledger entry to an earlier revision
+ * POST /api/admin/ledger/:ledgerId/revisions/:revision/restore
+ */
+exports.restoreLedgerRevision = async function (req, res) {
+  try {
+    const { ledgerId, revision } = req.params;
+    const clerkUserId = req.clerkUser.id;
+    if (!(await validateLedgerAdminAccess(req, res, ledgerId))) return;
+
+    const adminMember = await Member.findOne({ clerkUserId });
+    if (!adminMember) {
+      return res.status(404).json({ error: "Admin member not found" });
+    }
+
+    const entry = await LedgerEntry.restoreRevision(ledgerId, revision, {
+      reason: req.body?.reason || null,
+      clerkUserId,
+      adminUserId: adminMember._id,
+    });
+
+    res.json({
+      success: true,
+      message: `Ledger entry restored to revision ${revision}`,
+      data: entry,
+    });
+  } catch (error) {
+    console.error("Error restoring ledger revision:", error);
+    handleRevisionError(res, error);
+  }
+};
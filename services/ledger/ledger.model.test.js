@@ -2,6 +2,29 @@ const test = require("node:test");
 const assert = require("node:assert/strict");
 
 const LedgerEntry = require("./ledger.model");
+const AIUsage = require("../aiUsage/aiUsage.model");
+
+// Budget checks and usage records need the database; capture them instead.
+function stubAIUsage(t) {
+  const originals = {
+    assertWithinBudget: AIUsage.assertWithinBudget,
+    recordUsage: AIUsage.recordUsage,
+  };
+  t.after(() => {
+    AIUsage.assertWithinBudget = originals.assertWithinBudget;
+    AIUsage.recordUsage = originals.recordUsage;
+  });
+  const usage = { checks: [], records: [] };
+  AIUsage.assertWithinBudget = async (scope) => {
+    usage.checks.push(scope);
+    return { status: "ok", blocked: false };
+  };
+  AIUsage.recordUsage = async (input) => {
+    usage.records.push(input);
+    return null;
+  };
+  return usage;
+}
 
 test("ledger model exports AI simulation helpers", () => {
   assert.equal(typeof LedgerEntry.buildAISimulationPrompt, "function");
@@ -241,3 +264,757 @@ test("buildResponseJsonSchema keeps metric rules out of the response schema", as
   assert.deepEqual(schema.properties.profit, { type: "number" });
   assert.equal(typeof schema.properties.summary.description, "string");
 });
+
+test("buildResponseJsonSchema turns metric constraints into JSON Schema keywords", async (t) => {
+  const MetricDefinition = require("../metricDefinition/metricDefinition.model");
+  t.mock.method(MetricDefinition, "getActive", async () => [
+    { key: "unitsSold", dataType: "number", integer: true, min: 0, unit: "units" },
+    { key: "margin", dataType: "number", precision: 1, min: -100, max: 100 },
+    { key: "open", dataType: "boolean", unit: "" },
+  ]);
+
+  const schema = await LedgerEntry.buildResponseJsonSchema("classroom-id");
+
+  assert.deepEqual(schema.properties.unitsSold, { type: "integer", minimum: 0 });
+  assert.deepEqual(schema.properties.margin, {
+    type: "number",
+    minimum: -100,
+    maximum: 100,
+    multipleOf: 0.1,
+  });
+  assert.deepEqual(schema.properties.open, { type: "boolean" });
+});
+
+test("normalizeAndValidateAISimulationResult clamps or rejects per boundsPolicy", async (t) => {
+  const MetricDefinition = require("../metricDefinition/metricDefinition.model");
+  t.mock.method(MetricDefinition, "getActive", async () => [
+    { key: "unitsSold", dataType: "number", format: "units", integer: true, min: 0 },
+    { key: "customers", dataType: "number", format: "count", integer: true, boundsPolicy: "reject" },
+    { key: "share", dataType: "number", format: "percent", max: 100, boundsPolicy: "reject" },
+  ]);
+
+  const clamped = await LedgerEntry.normalizeAndValidateAISimulationResult(
+    { summary: "ok", unitsSold: -3.6, customers: 12, share: 40 },
+    "classroom-id"
+  );
+  assert.equal(clamped.unitsSold, 0);
+  assert.deepEqual(clamped.metricClamps, [
+    { metricKey: "unitsSold", bound: "integer", limit: null, original: -3.6, value: -4 },
+    { metricKey: "unitsSold", bound: "min", limit: 0, original: -4, value: 0 },
+  ]);
+
+  await assert.rejects(
+    LedgerEntry.normalizeAndValidateAISimulationResult(
+      { summary: "ok", unitsSold: 5, customers: 12.5, share: 140 },
+      "classroom-id"
+    ),
+    (error) => {
+      assert.equal(error.code, "AI_RESULT_INVALID");
+      assert.deepEqual(
+        error.details.issues.map((issue) => [issue.field, issue.problem]),
+        [
+          ["customers", "range"],
+          ["share", "range"],
+        ]
+      );
+      assert.match(error.details.issues[1].message, /must be at most 100 \(got 140\)/);
+      return true;
+    }
+  );
+
+  const forced = await LedgerEntry.normalizeAndValidateAISimulationResult(
+    { summary: "ok", unitsSold: 5, customers: 12.5, share: 140 },
+    "classroom-id",
+    { forceClamp: true }
+  );
+  assert.equal(forced.customers, 13);
+  assert.equal(forced.share, 100);
+  assert.equal(forced.metricClamps.length, 2);
+});
+
+test("applyFormulaCheck records discrepancies without changing verified metrics", async (t) => {
+  const MetricDefinition = require("../metricDefinition/metricDefinition.model");
+  const originalGetActive = MetricDefinition.getActive;
+  t.after(() => {
+    MetricDefinition.getActive = originalGetActive;
+  });
+  MetricDefinition.getActive = async () => [
+    { key: "revenue", dataType: "number", format: "currency" },
+    { key: "costs", dataType: "number", format: "currency" },
+    {
+      key: "cashAfter",
+      dataType: "number",
+      format: "currency",
+      formula: "prior.cashAfter + revenue - costs",
+    },
+  ];
+
+  const aiResult = {
+    summary: "Week summary",
+    randomEvent: null,
+    revenue: 500,
+    costs: 320,
+    cashAfter: 1200,
+  };
+  const check = await LedgerEntry.applyFormulaCheck(
+    aiResult,
+    "classroom-id",
+    { prior: { cashAfter: 1000 } },
+    "verify"
+  );
+
+  assert.equal(aiResult.cashAfter, 1200);
+  assert.equal(aiResult.formulaCheck, check);
+  assert.deepEqual(check.discrepancies, [
+    {
+      key: "cashAfter",
+      formula: "prior.cashAfter + revenue - costs",
+      aiValue: 1200,
+      formulaValue: 1180,
+      difference: -20,
+    },
+  ]);
+  assert.equal(check.applied, false);
+});
+
+test("applyFormulaCheck recomputes formula metrics in recompute mode", async (t) => {
+  const MetricDefinition = require("../metricDefinition/metricDefinition.model");
+  const originalGetActive = MetricDefinition.getActive;
+  t.after(() => {
+    MetricDefinition.getActive = originalGetActive;
+  });
+  MetricDefinition.getActive = async () => [
+    { key: "revenue", dataType: "number", format: "currency" },
+    { key: "costs", dataType: "number", format: "currency" },
+    {
+      key: "netProfit",
+      dataType: "number",
+      format: "currency",
+      formula: "revenue - costs",
+    },
+  ];
+
+  const aiResult = {
+    summary: "Week summary",
+    randomEvent: null,
+    revenue: 500,
+    costs: 320,
+    netProfit: 200,
+  };
+  const check = await LedgerEntry.applyFormulaCheck(
+    aiResult,
+    "classroom-id",
+    {},
+    "recompute"
+  );
+
+  assert.equal(aiResult.netProfit, 180);
+  assert.equal(check.applied, true);
+  assert.deepEqual(
+    LedgerEntry.extractMetricsFromAIResult(aiResult, []),
+    { revenue: 500, costs: 320, netProfit: 180 }
+  );
+
+  const off = await LedgerEntry.applyFormulaCheck(
+    { summary: "", netProfit: 1 },
+    "classroom-id",
+    {},
+    "off"
+  );
+  assert.equal(off, null);
+});
+
+test("replaySimulationRun resends the stored request and diffs metrics", async (t) => {
+  const MetricDefinition = require("../metricDefinition/metricDefinition.model");
+  const SimulationRun = require("./simulationRun.model");
+  const openai = require("../../lib/openai");
+  const originals = {
+    findById: LedgerEntry.findById,
+    getActive: MetricDefinition.getActive,
+    getRunForLedgerEntry: SimulationRun.getRunForLedgerEntry,
+    recordRun: SimulationRun.recordRun,
+    create: openai.chat.completions.create,
+  };
+  const usage = stubAIUsage(t);
+  t.after(() => {
+    LedgerEntry.findById = originals.findById;
+    MetricDefinition.getActive = originals.getActive;
+    SimulationRun.getRunForLedgerEntry = originals.getRunForLedgerEntry;
+    SimulationRun.recordRun = originals.recordRun;
+    openai.chat.completions.create = originals.create;
+  });
+
+  const entry = new LedgerEntry({
+    classroomId: "507f1f77bcf86cd799439011",
+    userId: "507f1f77bcf86cd799439012",
+    metrics: { revenue: 500, cashAfter: 1200 },
+    summary: "Original summary",
+    aiMetadata: { model: "gpt-4o", runId: "run-1", seed: 99 },
+  });
+  const storedRequest = { model: "gpt-4o", seed: 99, temperature: 0, messages: [] };
+  const recorded = [];
+  let sentRequest = null;
+
+  LedgerEntry.findById = async () => entry;
+  MetricDefinition.getActive = async () => [
+    { key: "revenue", label: "Revenue", dataType: "number", format: "currency" },
+    { key: "cashAfter", label: "Cash", dataType: "number", format: "currency" },
+  ];
+  SimulationRun.getRunForLedgerEntry = async () => ({
+    runId: "run-1",
+    engine: "ai",
+    seed: 99,
+    model: "gpt-4o",
+    request: storedRequest,
+    settings: { formulaCheck: "off" },
+    inputs: {},
+    response: { systemFingerprint: "fp_a" },
+  });
+  SimulationRun.recordRun = async (input) => {
+    recorded.push(input);
+    return input;
+  };
+  openai.chat.completions.create = async (request) => {
+    sentRequest = request;
+    return {
+      system_fingerprint: "fp_b",
+      usage: { prompt_tokens: 120, completion_tokens: 30, total_tokens: 150 },
+      choices: [
+        {
+          message: {
+            content: JSON.stringify({
+              summary: "Replayed",
+              randomEvent: null,
+              revenue: 500,
+              cashAfter: 1180,
+            }),
+          },
+        },
+      ],
+    };
+  };
+
+  const replay = await LedgerEntry.replaySimulationRun(entry._id, "user_admin");
+
+  assert.equal(sentRequest, storedRequest);
+  assert.equal(replay.runId, "run-1");
+  assert.deepEqual(replay.systemFingerprint, { original: "fp_a", replay: "fp_b" });
+  assert.deepEqual(replay.summary, { metricCount: 2, changedCount: 1, identical: false });
+  assert.deepEqual(
+    replay.metrics.find((item) => item.key === "cashAfter"),
+    { key: "cashAfter", label: "Cash", before: 1200, after: 1180, difference: -20, changed: true }
+  );
+  assert.equal(recorded.length, 1);
+  assert.equal(recorded[0].mode, "replay");
+  assert.equal(recorded[0].replayOf, "run-1");
+  assert.equal(usage.checks.length, 1);
+  assert.equal(usage.records[0].source, "replay");
+  assert.equal(usage.records[0].usage.total_tokens, 150);
+  assert.equal(entry.metrics.get("cashAfter"), 1200);
+});
+
+test("replaySimulationRun applies constraints and the late penalty before diffing", async (t) => {
+  const MetricDefinition = require("../metricDefinition/metricDefinition.model");
+  const SimulationRun = require("./simulationRun.model");
+  const originals = {
+    findById: LedgerEntry.findById,
+    getActive: MetricDefinition.getActive,
+    getRunForLedgerEntry: SimulationRun.getRunForLedgerEntry,
+    recordRun: SimulationRun.recordRun,
+  };
+  t.after(() => {
+    LedgerEntry.findById = originals.findById;
+    MetricDefinition.getActive = originals.getActive;
+    SimulationRun.getRunForLedgerEntry = originals.getRunForLedgerEntry;
+    SimulationRun.recordRun = originals.recordRun;
+  });
+
+  // netIncome -1000 took a 10% late penalty; the event pushed share past max
+  const entry = new LedgerEntry({
+    classroomId: "507f1f77bcf86cd799439011",
+    challengeId: "507f1f77bcf86cd799439013",
+    userId: "507f1f77bcf86cd799439012",
+    metrics: { netIncome: -1100, share: 100 },
+    summary: "Original summary",
+    aiMetadata: { model: "formula-engine", engine: "formula", runId: "run-2" },
+    calculationContext: {
+      randomEvent: {
+        eventId: "boom",
+        effects: [{ target: "metric", key: "share", operation: "multiply", value: 1.5 }],
+      },
+    },
+    latePenalty: {
+      daysLate: 1,
+      penaltyPercent: 10,
+      applyTo: "metric",
+      metricKey: "netIncome",
+      originalValue: -1000,
+      waived: false,
+    },
+  });
+
+  LedgerEntry.findById = async () => entry;
+  MetricDefinition.getActive = async () => [
+    { key: "netIncome", label: "Net Income", dataType: "number", formula: "decision.result" },
+    { key: "share", label: "Share", dataType: "number", formula: "decision.share", max: 100, boundsPolicy: "clamp" },
+  ];
+  SimulationRun.getRunForLedgerEntry = async () => ({
+    runId: "run-2",
+    engine: "formula",
+    settings: {},
+    inputs: { decision: { result: -1000, share: 80 } },
+  });
+  SimulationRun.recordRun = async (input) => input;
+
+  const replay = await LedgerEntry.replaySimulationRun(entry._id, "user_admin");
+
+  assert.deepEqual(replay.summary, { metricCount: 2, changedCount: 0, identical: true });
+  assert.deepEqual(
+    replay.metrics.map((item) => [item.key, item.before, item.after]),
+    [
+      ["netIncome", -1100, -1100],
+      ["share", 100, 100],
+    ]
+  );
+});
+
+test("buildAISimulationOpenAIRequest seeds the request deterministically", async (t) => {
+  const MetricDefinition = require("../metricDefinition/metricDefinition.model");
+  const originalGetActive = MetricDefinition.getActive;
+  t.after(() => {
+    MetricDefinition.getActive = originalGetActive;
+  });
+  MetricDefinition.getActive = async () => [];
+
+  const context = {
+    challenge: { _id: "challenge-1", title: "Week 1", variables: {} },
+    decision: { userId: "user-1", variables: {} },
+    outcome: { variables: {}, randomEventChancePercent: 50 },
+  };
+  const first = await LedgerEntry.buildAISimulationOpenAIRequest(context, []);
+  const second = await LedgerEntry.buildAISimulationOpenAIRequest(context, []);
+
+  assert.ok(Number.isInteger(first.seed));
+  assert.equal(first.request.seed, first.seed);
+  assert.deepEqual(first.request, second.request);
+
+  const explicit = await LedgerEntry.buildAISimulationOpenAIRequest(context, [], {
+    seed: 1234,
+  });
+  assert.equal(explicit.request.seed, 1234);
+});
+
+test("diffRevisions compares the latest revision with the one before it", async (t) => {
+  const MetricDefinition = require("../metricDefinition/metricDefinition.model");
+  const LedgerRevision = require("./ledgerRevision.model");
+  const originals = {
+    findById: LedgerEntry.findById,
+    listForSlot: LedgerRevision.listForSlot,
+    getDefinitionsForClassroom: MetricDefinition.getDefinitionsForClassroom,
+  };
+  t.after(() => {
+    LedgerEntry.findById = originals.findById;
+    LedgerRevision.listForSlot = originals.listForSlot;
+    MetricDefinition.getDefinitionsForClassroom =
+      originals.getDefinitionsForClassroom;
+  });
+
+  const entry = new LedgerEntry({
+    classroomId: "507f1f77bcf86cd799439011",
+    userId: "507f1f77bcf86cd799439012",
+    metrics: { revenue: 650 },
+    revision: 3,
+  });
+  let definitionOptions = null;
+  LedgerEntry.findById = async () => entry;
+  LedgerRevision.listForSlot = async () => [
+    { revision: 1, source: "simulation", snapshot: { metrics: { revenue: 500 }, summary: "A" } },
+    { revision: 2, source: "rerun", snapshot: { metrics: { revenue: 600 }, summary: "B" } },
+    { revision: 3, source: "override", reason: "Typo", snapshot: { metrics: { revenue: 650 }, summary: "B" } },
+  ];
+  MetricDefinition.getDefinitionsForClassroom = async (classroomId, options) => {
+    definitionOptions = options;
+    return [{ key: "revenue", label: "Revenue" }];
+  };
+
+  const latest = await LedgerEntry.diffRevisions(entry._id);
+  assert.equal(latest.from.revision, 2);
+  assert.equal(latest.to.revision, 3);
+  assert.equal(latest.to.reason, "Typo");
+  assert.deepEqual(latest.metrics, [
+    { key: "revenue", label: "Revenue", before: 600, after: 650, difference: 50, changed: true },
+  ]);
+  assert.equal(latest.summary.changed, false);
+  assert.deepEqual(definitionOptions, { includeInactive: true });
+
+  const explicit = await LedgerEntry.diffRevisions(entry._id, "1", "3");
+  assert.equal(explicit.metrics[0].before, 500);
+  assert.equal(explicit.summary.changed, true);
+
+  await assert.rejects(
+    LedgerEntry.diffRevisions(entry._id, 9),
+    (error) => error.statusCode === 404 && error.code === "REVISION_NOT_FOUND"
+  );
+});
+
+test("restoreRevision applies an earlier snapshot as a new revision", async (t) => {
+  const LedgerRevision = require("./ledgerRevision.model");
+  const originals = {
+    findById: LedgerEntry.findById,
+    listForSlot: LedgerRevision.listForSlot,
+    recordRevision: LedgerRevision.recordRevision,
+  };
+  t.after(() => {
+    LedgerEntry.findById = originals.findById;
+    LedgerRevision.listForSlot = originals.listForSlot;
+    LedgerRevision.recordRevision = originals.recordRevision;
+  });
+
+  const entry = new LedgerEntry({
+    classroomId: "507f1f77bcf86cd799439011",
+    userId: "507f1f77bcf86cd799439012",
+    metrics: { revenue: 650 },
+    summary: "Overridden",
+    overridden: true,
+    revision: 2,
+  });
+  entry.save = async function () {
+    return this;
+  };
+  const recorded = [];
+  LedgerEntry.findById = async () => entry;
+  LedgerRevision.listForSlot = async () => [
+    { revision: 1, source: "simulation", snapshot: { metrics: { revenue: 500 }, summary: "Original", randomEvent: null, overridden: false } },
+    { revision: 2, source: "override", snapshot: { metrics: { revenue: 650 }, summary: "Overridden", overridden: true } },
+  ];
+  LedgerRevision.recordRevision = async (doc, options) => {
+    recorded.push(options);
+    return options;
+  };
+
+  await assert.rejects(
+    LedgerEntry.restoreRevision(entry._id, 2, { clerkUserId: "user_admin" }),
+    (error) => error.statusCode === 409 && error.code === "REVISION_ALREADY_CURRENT"
+  );
+
+  const restored = await LedgerEntry.restoreRevision(entry._id, 1, {
+    reason: "Override was wrong",
+    clerkUserId: "user_admin",
+    adminUserId: "507f1f77bcf86cd799439013",
+  });
+
+  assert.equal(restored.metrics.get("revenue"), 500);
+  assert.equal(restored.summary, "Original");
+  assert.equal(restored.overridden, false);
+  assert.equal(restored.revision, 3);
+  assert.ok(restored.revisedAt instanceof Date);
+  assert.equal(recorded.length, 1);
+  assert.equal(recorded[0].source, "restore");
+  assert.equal(recorded[0].restoredFrom, 1);
+  assert.equal(recorded[0].revision, 3);
+  assert.equal(recorded[0].reason, "Override was wrong");
+});
+
+test("runAISimulation sends the request through the classroom's LLM provider", async (t) => {
+  const MetricDefinition = require("../metricDefinition/metricDefinition.model");
+  const llm = require("../../lib/llm");
+  const originals = {
+    getSimulationSettings: LedgerEntry.getSimulationSettings,
+    buildRequest: LedgerEntry.buildAISimulationOpenAIRequest,
+    getActive: MetricDefinition.getActive,
+    createChatCompletion: llm.createChatCompletion,
+  };
+  const usage = stubAIUsage(t);
+  t.after(() => {
+    LedgerEntry.getSimulationSettings = originals.getSimulationSettings;
+    LedgerEntry.buildAISimulationOpenAIRequest = originals.buildRequest;
+    MetricDefinition.getActive = originals.getActive;
+    llm.createChatCompletion = originals.createChatCompletion;
+  });
+
+  let builtWith = null;
+  let sentTo = null;
+  LedgerEntry.getSimulationSettings = async () => ({
+    engine: "ai",
+    narrativeMode: "ai",
+    formulaCheck: "off",
+    provider: "gemini",
+    model: "gemini-2.5-flash",
+  });
+  LedgerEntry.buildAISimulationOpenAIRequest = async (context, basePrompts, options) => {
+    builtWith = options;
+    return {
+      rawMessages: [],
+      seed: 5,
+      request: { model: options.model, seed: 5, messages: [] },
+    };
+  };
+  MetricDefinition.getActive = async () => [
+    { key: "revenue", label: "Revenue", dataType: "number", format: "currency" },
+  ];
+  llm.createChatCompletion = async (provider, request) => {
+    sentTo = { provider, model: request.model };
+    return {
+      choices: [
+        {
+          message: {
+            content: JSON.stringify({ summary: "Done", randomEvent: null, revenue: 10 }),
+          },
+        },
+      ],
+    };
+  };
+
+  const result = await LedgerEntry.runAISimulation({
+    challenge: { _id: "507f1f77bcf86cd799439014", classroomId: "507f1f77bcf86cd799439011" },
+    decision: { _id: "507f1f77bcf86cd799439015" },
+  });
+
+  assert.deepEqual(builtWith, { model: "gemini-2.5-flash" });
+  assert.deepEqual(sentTo, { provider: "gemini", model: "gemini-2.5-flash" });
+  assert.equal(result.aiMetadata.provider, "gemini");
+  assert.equal(result.aiMetadata.model, "gemini-2.5-flash");
+  assert.deepEqual(usage.checks, [{ classroomId: "507f1f77bcf86cd799439011" }]);
+});
+
+test("normalizeAndValidateAISimulationResult reports every issue at once", async (t) => {
+  const MetricDefinition = require("../metricDefinition/metricDefinition.model");
+  t.mock.method(MetricDefinition, "getActive", async () => [
+    { key: "revenue", dataType: "number", format: "currency" },
+    { key: "open", dataType: "boolean" },
+    { key: "note", dataType: "string" },
+  ]);
+
+  await assert.rejects(
+    LedgerEntry.normalizeAndValidateAISimulationResult(
+      { summary: 3, revenue: "12", note: "fine" },
+      "507f1f77bcf86cd799439011"
+    ),
+    (error) => {
+      assert.equal(error.statusCode, 422);
+      assert.equal(error.code, "AI_RESULT_INVALID");
+      assert.deepEqual(
+        error.details.issues.map((issue) => [issue.field, issue.problem]),
+        [
+          ["summary", "type"],
+          ["revenue", "type"],
+          ["open", "missing"],
+        ]
+      );
+      return true;
+    }
+  );
+});
+
+test("runAISimulation repairs an invalid reply, then falls back to a degraded result", async (t) => {
+  const MetricDefinition = require("../metricDefinition/metricDefinition.model");
+  const llm = require("../../lib/llm");
+  stubAIUsage(t);
+  t.mock.method(LedgerEntry, "getSimulationSettings", async () => ({
+    engine: "ai",
+    narrativeMode: "ai",
+    formulaCheck: "off",
+    provider: "openai",
+    model: "gpt-test",
+  }));
+  t.mock.method(LedgerEntry, "buildAISimulationOpenAIRequest", async () => ({
+    rawMessages: [],
+    seed: 5,
+    request: { model: "gpt-test", seed: 5, messages: [{ role: "user", content: "Simulate" }] },
+  }));
+  t.mock.method(MetricDefinition, "getActive", async () => [
+    { key: "revenue", label: "Revenue", dataType: "number", format: "currency" },
+  ]);
+  const usage = { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 };
+  const context = {
+    challenge: { _id: "507f1f77bcf86cd799439014", classroomId: "507f1f77bcf86cd799439011" },
+    decision: { _id: "507f1f77bcf86cd799439015" },
+    priorMetrics: { revenue: 40 },
+  };
+
+  const replies = [{ summary: "Done" }, { summary: "Done", revenue: 12.345 }];
+  const sent = [];
+  t.mock.method(llm, "createChatCompletion", async (provider, request) => {
+    sent.push(request);
+    return { usage, choices: [{ message: { content: JSON.stringify(replies.shift()) } }] };
+  });
+  const attempts = [];
+  const repaired = await LedgerEntry.runAISimulation(context, {
+    onAttempt: (attempt) => attempts.push(attempt),
+  });
+
+  assert.equal(repaired.revenue, 12.35);
+  assert.equal(repaired.aiMetadata.degraded, false);
+  assert.equal(sent.length, 2);
+  assert.match(sent[1].messages[2].content, /Missing required metric in AI response: revenue/);
+  assert.deepEqual(attempts.map((attempt) => attempt.status), ["invalid", "valid"]);
+  assert.equal(repaired.aiMetadata.usage.total_tokens, 30);
+  assert.equal(repaired.aiMetadata.request.messages.length, 3);
+
+  llm.createChatCompletion.mock.mockImplementation(async () => ({
+    usage,
+    choices: [{ message: { content: '{"summary": "Done", "revenue": "lots"}' } }],
+  }));
+  attempts.length = 0;
+  const degraded = await LedgerEntry.runAISimulation(context, {
+    onAttempt: (attempt) => attempts.push(attempt),
+  });
+
+  assert.equal(degraded.revenue, 40);
+  assert.equal(degraded.aiMetadata.degraded, true);
+  assert.match(degraded.summary, /could not be generated automatically/);
+  assert.deepEqual(
+    attempts.map((attempt) => attempt.kind),
+    ["initial", "repair", "repair", "degraded"]
+  );
+  assert.equal(degraded.outlierReview.status, "flagged");
+  assert.equal(degraded.outlierReview.flags[0].check, "degraded");
+  assert.equal(degraded.outlierReview.flags[0].issues[0].field, "revenue");
+});
+
+test("applyLateWaiver restores a penalized metric as a late_waiver revision", async (t) => {
+  const LedgerRevision = require("./ledgerRevision.model");
+  const MetricDefinition = require("../metricDefinition/metricDefinition.model");
+  const originals = {
+    findOne: LedgerEntry.findOne,
+    ensureBaseline: LedgerRevision.ensureBaseline,
+    recordRevision: LedgerRevision.recordRevision,
+    getActive: MetricDefinition.getActive,
+  };
+  t.after(() => {
+    LedgerEntry.findOne = originals.findOne;
+    LedgerRevision.ensureBaseline = originals.ensureBaseline;
+    LedgerRevision.recordRevision = originals.recordRevision;
+    MetricDefinition.getActive = originals.getActive;
+  });
+
+  const entry = new LedgerEntry({
+    classroomId: "507f1f77bcf86cd799439011",
+    userId: "507f1f77bcf86cd799439012",
+    metrics: { score: 72, revenue: 500 },
+    summary: "Late week",
+    revision: 1,
+    latePenalty: {
+      daysLate: 2,
+      penaltyPercent: 20,
+      applyTo: "metric",
+      metricKey: "score",
+      originalValue: 90,
+      waived: false,
+    },
+  });
+  entry.save = async function () {
+    return this;
+  };
+  const recorded = [];
+  LedgerEntry.findOne = async () => entry;
+  LedgerRevision.ensureBaseline = async () => ({ revision: 1 });
+  LedgerRevision.recordRevision = async (doc, options) => {
+    recorded.push(options);
+    return options;
+  };
+  MetricDefinition.getActive = async () => [{ key: "score", format: "count" }];
+
+  const decision = { challengeId: "c1", userId: entry.userId, late: { waivedAt: new Date() } };
+  await LedgerEntry.applyLateWaiver(decision, { clerkUserId: "user_admin", reason: "Illness" });
+
+  assert.equal(entry.metrics.get("score"), 90);
+  assert.equal(entry.metrics.get("revenue"), 500);
+  assert.equal(entry.latePenalty.waived, true);
+  assert.equal(entry.revision, 2);
+  assert.deepEqual(
+    recorded.map((options) => [options.source, options.reason, options.revision]),
+    [["late_waiver", "Illness", 2]]
+  );
+
+  // Revoking the waiver applies the penalty again; repeating a state is a no-op
+  LedgerRevision.ensureBaseline = async () => ({ revision: 2 });
+  await LedgerEntry.applyLateWaiver({ ...decision, late: { waivedAt: null } }, {
+    clerkUserId: "user_admin",
+  });
+  await LedgerEntry.applyLateWaiver({ ...decision, late: { waivedAt: null } }, {
+    clerkUserId: "user_admin",
+  });
+  assert.equal(entry.metrics.get("score"), 72);
+  assert.equal(entry.latePenalty.waived, false);
+  assert.equal(recorded.length, 2);
+  assert.equal(recorded[1].reason, "Late penalty waiver revoked");
+});
+
+test("buildAISimulationPrompt tells the model about late ai_context penalties", () => {
+  const messages = LedgerEntry.buildAISimulationPrompt(
+    [],
+    {},
+    {
+      title: "Week 3",
+      lateSubmissionPolicy: { penaltyPercentPerDay: 15, applyTo: "ai_context" },
+    },
+    null,
+    { variables: {}, late: { daysLate: 1, penaltyPercent: 15 } },
+    [],
+    {},
+    []
+  );
+  const text = JSON.stringify(messages);
+  assert.match(text, /LATE SUBMISSION/);
+  assert.match(text, /15% penalty/);
+});
+
+test("buildAISimulationPrompt passes a drawn catalog event instead of the free-form chance", () => {
+  const outcome = { randomEventChancePercent: 100, variables: {} };
+  const draw = {
+    eventId: "event-1",
+    title: "Rainy week",
+    description: "Foot traffic dropped.",
+    effects: [{ target: "metric", scope: null, key: "revenue", operation: "multiply", value: 0.8 }],
+  };
+
+  const drawn = JSON.stringify(
+    LedgerEntry.buildAISimulationPrompt([], {}, {}, outcome, { variables: {} }, [], {}, [], {
+      seed: 1,
+      randomEvent: draw,
+    })
+  );
+  assert.match(drawn, /random_event/);
+  assert.match(drawn, /Rainy week/);
+  assert.doesNotMatch(drawn, /randomEventInstruction/);
+
+  const none = JSON.stringify(
+    LedgerEntry.buildAISimulationPrompt([], {}, {}, outcome, { variables: {} }, [], {}, [], {
+      seed: 1,
+      randomEvent: { eventId: null },
+    })
+  );
+  assert.match(none, /No random event occurred/);
+  assert.doesNotMatch(none, /randomEventInstruction/);
+});
+
+test("applyRandomEventMetrics applies a draw's metric effects and keeps the catalog authoritative", async (t) => {
+  const MetricDefinition = require("../metricDefinition/metricDefinition.model");
+  t.mock.method(MetricDefinition, "getActive", async () => [
+    { key: "revenue", dataType: "number", format: "currency" },
+  ]);
+  const draw = {
+    eventId: "event-1",
+    title: "Rainy week",
+    description: "Foot traffic dropped.",
+    effects: [{ target: "metric", scope: null, key: "revenue", operation: "multiply", value: 0.8 }],
+    applied: [{ target: "variable", scope: "outcome", key: "demand", before: 1, after: 0.9 }],
+  };
+  const result = { summary: "", randomEvent: null, revenue: 500 };
+
+  const record = await LedgerEntry.applyRandomEventMetrics(result, "classroom-id", draw);
+
+  assert.equal(result.revenue, 400);
+  assert.deepEqual(
+    record.applied.map(({ key, after }) => [key, after]),
+    [
+      ["demand", 0.9],
+      ["revenue", 400],
+    ]
+  );
+  assert.equal(LedgerEntry.randomEventText(draw, null), "Foot traffic dropped.");
+  assert.equal(LedgerEntry.randomEventText({ eventId: null }, "Made-up event"), null);
+  assert.equal(LedgerEntry.randomEventText(null, "Made-up event"), "Made-up event");
+  assert.equal(await LedgerEntry.applyRandomEventMetrics(result, "classroom-id", null), null);
+});
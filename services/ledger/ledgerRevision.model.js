@@ -0,0 +1,234 @@
+const mongoose = require("mongoose");
+const baseSchema = require("../../lib/baseSchema");
+
+const REVISION_SOURCES = Object.freeze([
+  "simulation",
+  "rerun",
+  "override",
+  "ai_correction",
+  "restore",
+  "late_waiver",
+]);
+
+// Changes that replace numbers a student may already have seen.
+const STUDENT_VISIBLE_SOURCES = new Set([
+  "rerun",
+  "override",
+  "restore",
+  "late_waiver",
+]);
+
+/**
+ * LedgerRevision - append-only history of a student's ledger results.
+ *
+ * Revisions are keyed by the ledger "slot" (classroom + challenge + student,
+ * plus the round on multi-round challenges) rather than the LedgerEntry _id, because a challenge rerun deletes the entry
+ * and writes a new one. Each revision is a full snapshot of the entry as it
+ * stood after the change, plus who made it, why, and where it came from.
+ *
+ * A rerun marks the slot's latest revision `superseded` before the entry is
+ * deleted; the next entry written into the slot becomes a "rerun" revision.
+ */
+const ledgerRevisionSchema = new mongoose.Schema({
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Classroom",
+    required: true,
+  },
+  challengeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Challenge",
+    default: null,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    required: true,
+  },
+  // LedgerEntry.roundKey of the slot (null for challenge-level entries)
+  roundKey: {
+    type: String,
+    default: null,
+  },
+  ledgerEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "LedgerEntry",
+    required: true,
+    index: true,
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  source: {
+    type: String,
+    enum: REVISION_SOURCES,
+    required: true,
+  },
+  reason: {
+    type: String,
+    default: null,
+  },
+  // Member who made the change (null for system/worker changes)
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    default: null,
+  },
+  restoredFrom: {
+    type: Number,
+    default: null,
+  },
+  // Metric keys whose value differs from the previous revision
+  changedKeys: {
+    type: [String],
+    default: [],
+  },
+  snapshot: {
+    metrics: { type: mongoose.Schema.Types.Mixed, default: {} },
+    summary: { type: String, default: "" },
+    randomEvent: { type: String, default: null },
+    overridden: { type: Boolean, default: false },
+    aiMetadata: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  superseded: {
+    at: { type: Date, default: null },
+    by: { type: String, default: null },
+    reason: { type: String, default: null },
+  },
+}).add(baseSchema);
+
+ledgerRevisionSchema.index(
+  { classroomId: 1, challengeId: 1, userId: 1, roundKey: 1, revision: 1 },
+  { unique: true }
+);
+
+function metricsToObject(metrics) {
+  if (!metrics) return {};
+  if (metrics instanceof Map) return Object.fromEntries(metrics);
+  return { ...metrics };
+}
+
+function slotOf(entry) {
+  return {
+    classroomId: entry.classroomId,
+    challengeId: entry.challengeId || null,
+    userId: entry.userId,
+    roundKey: entry.roundKey || null,
+  };
+}
+
+/**
+ * Snapshot the student-facing state of a ledger entry.
+ */
+function snapshotOf(entry) {
+  return {
+    metrics: metricsToObject(entry.metrics),
+    summary: entry.summary || "",
+    randomEvent: entry.randomEvent ?? null,
+    overridden: Boolean(entry.overridden),
+    aiMetadata: entry.aiMetadata
+      ? {
+        model: entry.aiMetadata.model || null,
+        engine: entry.aiMetadata.engine || null,
+        runId: entry.aiMetadata.runId || null,
+        seed: entry.aiMetadata.seed ?? null,
+      }
+      : null,
+  };
+}
+
+function changedMetricKeys(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys].filter(
+    (key) => JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key])
+  );
+}
+
+ledgerRevisionSchema.statics.REVISION_SOURCES = REVISION_SOURCES;
+ledgerRevisionSchema.statics.snapshotOf = snapshotOf;
+ledgerRevisionSchema.statics.isStudentVisibleSource = (source) =>
+  STUDENT_VISIBLE_SOURCES.has(source);
+
+/**
+ * Latest revision for the slot a ledger entry occupies (or null).
+ */
+ledgerRevisionSchema.statics.getLatestForSlot = async function (entry) {
+  return await this.findOne(slotOf(entry)).sort({ revision: -1 });
+};
+
+/**
+ * All revisions for the slot a ledger entry occupies, oldest first.
+ */
+ledgerRevisionSchema.statics.listForSlot = async function (entry) {
+  return await this.find(slotOf(entry)).sort({ revision: 1 });
+};
+
+/**
+ * Append a revision for `entry` as it currently stands.
+ *
+ * @param {Object} entry - LedgerEntry (document or plain object)
+ * @param {Object} options - { source, reason, changedBy, restoredFrom,
+ *   revision, snapshot, clerkUserId }. `revision` defaults to latest + 1;
+ *   `snapshot` defaults to snapshotOf(entry).
+ */
+ledgerRevisionSchema.statics.recordRevision = async function (
+  entry,
+  options = {}
+) {
+  const previous = await this.getLatestForSlot(entry);
+  const snapshot = options.snapshot || snapshotOf(entry);
+  const clerkUserId = options.clerkUserId || entry.updatedBy || entry.createdBy;
+
+  return await this.create({
+    ...slotOf(entry),
+    ledgerEntryId: entry._id,
+    revision: options.revision || (previous?.revision || 0) + 1,
+    source: options.source,
+    reason: options.reason || null,
+    changedBy: options.changedBy || null,
+    restoredFrom: options.restoredFrom ?? null,
+    changedKeys: changedMetricKeys(previous?.snapshot?.metrics, snapshot.metrics),
+    snapshot,
+    organization: entry.organization,
+    createdBy: clerkUserId,
+    updatedBy: clerkUserId,
+  });
+};
+
+/**
+ * Make sure an entry written before revision history existed has a baseline
+ * revision, so the numbers students saw survive the first change.
+ */
+ledgerRevisionSchema.statics.ensureBaseline = async function (entry) {
+  const latest = await this.getLatestForSlot(entry);
+  if (latest) return latest;
+  return await this.recordRevision(entry, {
+    source: "simulation",
+    revision: entry.revision || 1,
+    reason: "Baseline captured before the first revision",
+  });
+};
+
+/**
+ * Mark the latest revision of each entry's slot as superseded. Called before
+ * ledger entries are deleted for a rerun; the next entry written into the
+ * slot is recorded as a "rerun" revision carrying this reason.
+ */
+ledgerRevisionSchema.statics.markSuperseded = async function (
+  entries,
+  { clerkUserId = null, reason = null } = {}
+) {
+  const now = new Date();
+  for (const entry of entries) {
+    const latest = await this.ensureBaseline(entry);
+    latest.superseded = { at: now, by: clerkUserId, reason };
+    await latest.save();
+  }
+  return entries.length;
+};
+
+const LedgerRevision = mongoose.model("LedgerRevision", ledgerRevisionSchema);
+
+module.exports = LedgerRevision;
@@ -0,0 +1,49 @@
+const { round2 } = require("../../../lib/number-utils");
+
+function sameValue(a, b) {
+  if (typeof a === "number" && typeof b === "number") {
+    return Math.abs(a - b) < 1e-9;
+  }
+  return a === b;
+}
+
+/**
+ * Metric-by-metric comparison of two ledger metric maps. Keys follow the
+ * metric definitions' order, then any extra keys present in either map.
+ *
+ * @param {Array<Object>} metricDefs - MetricDefinitions (for order + labels)
+ * @param {Object} before - metric values being compared against
+ * @param {Object} after - new metric values
+ * @returns {Array<{ key, label, before, after, difference, changed }>}
+ */
+function diffMetrics(metricDefs, before, after) {
+  const defs = Array.isArray(metricDefs) ? metricDefs : [];
+  const left = before || {};
+  const right = after || {};
+  const labels = new Map(defs.map((def) => [def.key, def.label]));
+  const keys = [
+    ...new Set([
+      ...defs.map((def) => def.key),
+      ...Object.keys(left),
+      ...Object.keys(right),
+    ]),
+  ];
+
+  return keys
+    .filter((key) => left[key] !== undefined || right[key] !== undefined)
+    .map((key) => {
+      const a = left[key] === undefined ? null : left[key];
+      const b = right[key] === undefined ? null : right[key];
+      return {
+        key,
+        label: labels.get(key) || key,
+        before: a,
+        after: b,
+        difference:
+          typeof a === "number" && typeof b === "number" ? round2(b - a) : null,
+        changed: !sameValue(a, b),
+      };
+    });
+}
+
+module.exports = diffMetrics;
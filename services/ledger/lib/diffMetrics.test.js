@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const diffMetrics = require("./diffMetrics");
+
+test("diffMetrics", async (t) => {
+  await t.test("should compare metrics in definition order", () => {
+    const defs = [
+      { key: "revenue", label: "Revenue" },
+      { key: "cashAfter", label: "Cash" },
+    ];
+    const diff = diffMetrics(
+      defs,
+      { revenue: 500, cashAfter: 1200, legacy: "x" },
+      { revenue: 500, cashAfter: 1180.5 }
+    );
+
+    assert.deepEqual(diff, [
+      { key: "revenue", label: "Revenue", before: 500, after: 500, difference: 0, changed: false },
+      { key: "cashAfter", label: "Cash", before: 1200, after: 1180.5, difference: -19.5, changed: true },
+      { key: "legacy", label: "legacy", before: "x", after: null, difference: null, changed: true },
+    ]);
+  });
+
+  await t.test("should skip definitions missing from both sides", () => {
+    assert.deepEqual(diffMetrics([{ key: "unused", label: "Unused" }], {}, {}), []);
+  });
+});
@@ -0,0 +1,289 @@
+const {
+  compileFormula,
+  evaluateFormula,
+  makeFormulaError,
+} = require("./formulaEvaluator");
+const { round2 } = require("../../../lib/number-utils");
+const roundMetricValue = require("./roundMetricValue");
+
+const FORMULA_ENGINE_MODEL = "formula-engine";
+
+const EMPTY_VALUES = Object.freeze({
+  number: 0,
+  string: "",
+  boolean: false,
+});
+
+/**
+ * Value used for a metric that has no formula: carry the prior period's value
+ * forward, then fall back to the definition's defaultInitialValue, then to an
+ * empty value of the metric's dataType.
+ */
+function fallbackMetricValue(def, priorMetrics) {
+  const prior = priorMetrics?.[def.key];
+  if (prior !== undefined && prior !== null) return prior;
+  if (def.defaultInitialValue !== undefined && def.defaultInitialValue !== null) {
+    return def.defaultInitialValue;
+  }
+  return EMPTY_VALUES[def.dataType] ?? null;
+}
+
+function coerceMetricValue(def, value) {
+  switch (def.dataType) {
+    case "number": {
+      const num = Number(value);
+      if (value === null || value === "" || !Number.isFinite(num)) {
+        throw makeFormulaError(
+          `Metric "${def.key}" formula must produce a number (got ${JSON.stringify(value)})`,
+          400,
+          "FORMULA_TYPE_ERROR",
+          { metricKey: def.key, value }
+        );
+      }
+      return num;
+    }
+    case "boolean":
+      return Boolean(value);
+    case "string":
+      return value === null || value === undefined ? "" : String(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Compute every metric for one simulation run from its declared formula.
+ *
+ * Formulas may reference other metrics by bare key (evaluated on demand, so
+ * declaration order does not matter) and inputs via `profile.*`,
+ * `challenge.*`, `decision.*`, `outcome.*`, `prior.*` and `market.*` (the
+ * student's shared-market allocation, see services/market).
+ *
+ * @param {Array<Object>} metricDefs - active MetricDefinitions
+ * @param {Object} inputs - { profile, challenge, decision, outcome, prior, market }
+ * @param {Object} [options]
+ * @param {Object} [options.baseMetrics] - values used for metrics without a
+ *   formula instead of carrying the prior value forward (e.g. the AI's values)
+ * @returns {{ metrics: Object, formulaKeys: string[], carriedKeys: string[] }}
+ */
+function computeFormulaMetrics(metricDefs, inputs = {}, options = {}) {
+  const defs = Array.isArray(metricDefs) ? metricDefs : [];
+  const defsByKey = new Map(defs.map((def) => [def.key, def]));
+  const priorMetrics = inputs.prior || {};
+  const baseMetrics = options.baseMetrics || null;
+
+  const metrics = {};
+  const formulaKeys = [];
+  const carriedKeys = [];
+  const inProgress = [];
+
+  const computeMetric = (key) => {
+    if (Object.prototype.hasOwnProperty.call(metrics, key)) return metrics[key];
+
+    const def = defsByKey.get(key);
+    const formula = typeof def.formula === "string" ? def.formula.trim() : "";
+
+    if (!formula) {
+      metrics[key] =
+        baseMetrics && baseMetrics[key] !== undefined
+          ? baseMetrics[key]
+          : fallbackMetricValue(def, priorMetrics);
+      carriedKeys.push(key);
+      return metrics[key];
+    }
+
+    if (inProgress.includes(key)) {
+      const cycle = [...inProgress.slice(inProgress.indexOf(key)), key];
+      throw makeFormulaError(
+        `Metric formulas form a cycle: ${cycle.join(" -> ")}`,
+        400,
+        "FORMULA_CYCLE",
+        { cycle }
+      );
+    }
+
+    inProgress.push(key);
+    let value;
+    try {
+      value = evaluateFormula(compileFormula(formula), resolve);
+    } catch (error) {
+      if (error.code === "FORMULA_CYCLE" || error.details?.metricKey) throw error;
+      throw makeFormulaError(
+        `Metric "${key}" formula failed: ${error.message}`,
+        error.statusCode || 400,
+        error.code || "FORMULA_ERROR",
+        { ...(error.details || {}), metricKey: key, formula }
+      );
+    } finally {
+      inProgress.pop();
+    }
+
+    metrics[key] = coerceMetricValue(def, value);
+    formulaKeys.push(key);
+    return metrics[key];
+  };
+
+  function resolve(scope, key) {
+    if (scope === "metric") {
+      return defsByKey.has(key) ? computeMetric(key) : undefined;
+    }
+    const values = inputs[scope];
+    if (!values || typeof values !== "object") return undefined;
+    return Object.prototype.hasOwnProperty.call(values, key) ? values[key] : undefined;
+  }
+
+  for (const def of defs) computeMetric(def.key);
+
+  return { metrics, formulaKeys, carriedKeys };
+}
+
+function sameMetricValue(a, b) {
+  if (typeof a === "number" && typeof b === "number") {
+    return Math.abs(a - b) < 1e-9;
+  }
+  return a === b;
+}
+
+function describeFormulaError(error) {
+  return {
+    metricKey: error.details?.metricKey || null,
+    code: error.code || "FORMULA_ERROR",
+    message: error.message,
+  };
+}
+
+/**
+ * Check the AI engine's metric values against each MetricDefinition.formula.
+ *
+ * - "verify" evaluates every formula against the AI's own values for the
+ *   metrics it references and reports where the AI disagrees; the AI's
+ *   values are kept.
+ * - "recompute" re-derives all formula metrics (propagating through metric
+ *   dependencies, with non-formula metrics taken from the AI) and replaces
+ *   the AI's values. If any formula fails, the AI's values are kept.
+ *
+ * Values are compared after ledger rounding, so cent-level noise is ignored.
+ *
+ * @param {Array<Object>} metricDefs - active MetricDefinitions
+ * @param {Object} inputs - { profile, challenge, decision, outcome, prior }
+ * @param {Object} aiMetrics - normalized metric values returned by the AI
+ * @param {Object} [options]
+ * @param {"verify"|"recompute"} [options.mode="verify"]
+ * @returns {{ metrics: Object, formulaCheck: Object }}
+ */
+function reconcileFormulaMetrics(metricDefs, inputs, aiMetrics, options = {}) {
+  const defs = Array.isArray(metricDefs) ? metricDefs : [];
+  const mode = options.mode === "recompute" ? "recompute" : "verify";
+  const formulaDefs = defs.filter(
+    (def) => typeof def.formula === "string" && def.formula.trim()
+  );
+
+  const expected = {};
+  const errors = [];
+
+  if (mode === "recompute") {
+    try {
+      const { metrics } = computeFormulaMetrics(defs, inputs, {
+        baseMetrics: aiMetrics,
+      });
+      for (const def of formulaDefs) expected[def.key] = metrics[def.key];
+    } catch (error) {
+      errors.push(describeFormulaError(error));
+    }
+  } else {
+    const resolve = (scope, key) => {
+      const values = scope === "metric" ? aiMetrics : inputs[scope];
+      return values && Object.prototype.hasOwnProperty.call(values, key)
+        ? values[key]
+        : undefined;
+    };
+    for (const def of formulaDefs) {
+      try {
+        expected[def.key] = coerceMetricValue(
+          def,
+          evaluateFormula(compileFormula(def.formula.trim()), resolve)
+        );
+      } catch (error) {
+        errors.push({ ...describeFormulaError(error), metricKey: def.key });
+      }
+    }
+  }
+
+  const discrepancies = [];
+  for (const def of formulaDefs) {
+    if (!Object.prototype.hasOwnProperty.call(expected, def.key)) continue;
+    const formulaValue = roundMetricValue(def, expected[def.key]);
+    const aiValue = aiMetrics[def.key];
+    expected[def.key] = formulaValue;
+    if (sameMetricValue(aiValue, formulaValue)) continue;
+    discrepancies.push({
+      key: def.key,
+      formula: def.formula.trim(),
+      aiValue: aiValue === undefined ? null : aiValue,
+      formulaValue,
+      difference:
+        typeof aiValue === "number" && typeof formulaValue === "number"
+          ? round2(formulaValue - aiValue)
+          : null,
+    });
+  }
+
+  const applied =
+    mode === "recompute" && errors.length === 0 && discrepancies.length > 0;
+
+  return {
+    metrics: applied ? { ...aiMetrics, ...expected } : { ...aiMetrics },
+    formulaCheck: {
+      mode,
+      checkedAt: new Date(),
+      formulaKeys: formulaDefs.map((def) => def.key),
+      discrepancies,
+      errors,
+      applied,
+    },
+  };
+}
+
+function formatMetricValue(def, value) {
+  if (typeof value !== "number") return String(value);
+  switch (def.format) {
+    case "currency":
+      return new Intl.NumberFormat("en-US", {
+        style: "currency",
+        currency: "USD",
+      }).format(value);
+    case "percent":
+      return `${value}%`;
+    default:
+      return new Intl.NumberFormat("en-US").format(value);
+  }
+}
+
+const TEMPLATE_NARRATIVE_INTRO =
+  "Results for this period were calculated from your classroom's metric formulas.";
+
+/**
+ * Deterministic narrative used when a formula classroom runs without the AI
+ * (narrativeMode "template"), e.g. offline or in CI, and for degraded AI
+ * results (with their own `intro`).
+ */
+function buildTemplateNarrative(metricDefs, metrics, intro = TEMPLATE_NARRATIVE_INTRO) {
+  const lines = (Array.isArray(metricDefs) ? metricDefs : [])
+    .filter((def) => metrics[def.key] !== undefined)
+    .map((def) => `- ${def.label}: ${formatMetricValue(def, metrics[def.key])}`);
+
+  return {
+    summary: [
+      intro,
+      ...(lines.length > 0 ? ["", ...lines] : []),
+    ].join("\n"),
+    randomEvent: null,
+  };
+}
+
+module.exports = {
+  FORMULA_ENGINE_MODEL,
+  computeFormulaMetrics,
+  reconcileFormulaMetrics,
+  buildTemplateNarrative,
+};
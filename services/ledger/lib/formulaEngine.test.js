@@ -0,0 +1,170 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  computeFormulaMetrics,
+  reconcileFormulaMetrics,
+  buildTemplateNarrative,
+} = require("./formulaEngine");
+
+const metricDefs = [
+  { key: "cashAfter", label: "Cash", dataType: "number", format: "currency", formula: "prior.cashAfter + netProfit" },
+  { key: "netProfit", label: "Net Profit", dataType: "number", format: "currency", formula: "revenue - costs" },
+  { key: "revenue", label: "Revenue", dataType: "number", format: "currency", formula: "unitsSold * decision.price" },
+  { key: "costs", label: "Costs", dataType: "number", format: "currency", formula: "profile.rent + unitsSold * 2" },
+  { key: "unitsSold", label: "Units Sold", dataType: "number", format: "units", formula: "min(outcome.demand, profile.capacity)" },
+  { key: "reputation", label: "Reputation", dataType: "string", format: "text" },
+];
+
+const inputs = {
+  profile: { rent: 100, capacity: 60 },
+  decision: { price: 5 },
+  outcome: { demand: 80 },
+  prior: { cashAfter: 1000, reputation: "Growing" },
+};
+
+test("formulaEngine", async (t) => {
+  await t.test("should compute metrics regardless of declaration order", () => {
+    const result = computeFormulaMetrics(metricDefs, inputs);
+    assert.deepEqual(result.metrics, {
+      cashAfter: 1080,
+      netProfit: 80,
+      revenue: 300,
+      costs: 220,
+      unitsSold: 60,
+      reputation: "Growing",
+    });
+    assert.deepEqual(result.carriedKeys, ["reputation"]);
+    assert.equal(result.formulaKeys.length, 5);
+  });
+
+  await t.test("should be deterministic for identical inputs", () => {
+    assert.deepEqual(
+      computeFormulaMetrics(metricDefs, inputs).metrics,
+      computeFormulaMetrics(metricDefs, inputs).metrics
+    );
+  });
+
+  await t.test("should fall back to defaultInitialValue and empty values", () => {
+    const { metrics } = computeFormulaMetrics(
+      [
+        { key: "cash", dataType: "number", defaultInitialValue: 2500 },
+        { key: "open", dataType: "boolean" },
+      ],
+      {}
+    );
+    assert.deepEqual(metrics, { cash: 2500, open: false });
+  });
+
+  await t.test("should reject formula cycles", () => {
+    assert.throws(
+      () =>
+        computeFormulaMetrics(
+          [
+            { key: "a", dataType: "number", formula: "b + 1" },
+            { key: "b", dataType: "number", formula: "a + 1" },
+          ],
+          {}
+        ),
+      (err) => {
+        assert.equal(err.code, "FORMULA_CYCLE");
+        assert.deepEqual(err.details.cycle, ["a", "b", "a"]);
+        return true;
+      }
+    );
+  });
+
+  await t.test("should name the failing metric", () => {
+    assert.throws(
+      () =>
+        computeFormulaMetrics(
+          [{ key: "revenue", dataType: "number", formula: "decision.price * 2" }],
+          { decision: {} }
+        ),
+      (err) => {
+        assert.equal(err.code, "FORMULA_UNRESOLVED_REFERENCE");
+        assert.equal(err.details.metricKey, "revenue");
+        return true;
+      }
+    );
+  });
+
+  await t.test("should not resolve inherited object properties", () => {
+    for (const formula of ["profile.constructor", 'decision["toString"]', "hasOwnProperty"]) {
+      assert.throws(
+        () => computeFormulaMetrics([{ key: "x", dataType: "number", formula }], inputs),
+        { code: "FORMULA_UNRESOLVED_REFERENCE" },
+        formula
+      );
+    }
+    const { formulaCheck } = reconcileFormulaMetrics(
+      [{ key: "x", dataType: "number", formula: "outcome.valueOf" }],
+      inputs,
+      { x: 1 }
+    );
+    assert.equal(formulaCheck.errors[0].code, "FORMULA_UNRESOLVED_REFERENCE");
+  });
+
+  await t.test("should build a template narrative from metric labels", () => {
+    const { metrics } = computeFormulaMetrics(metricDefs, inputs);
+    const narrative = buildTemplateNarrative(metricDefs, metrics);
+    assert.equal(narrative.randomEvent, null);
+    assert.match(narrative.summary, /- Cash: \$1,080\.00/);
+    assert.match(narrative.summary, /- Units Sold: 60/);
+  });
+});
+
+test("reconcileFormulaMetrics", async (t) => {
+  const defs = [
+    { key: "revenue", dataType: "number", format: "currency" },
+    { key: "costs", dataType: "number", format: "currency" },
+    { key: "netProfit", dataType: "number", format: "currency", formula: "revenue - costs" },
+    { key: "cashAfter", dataType: "number", format: "currency", formula: "prior.cashAfter + netProfit" },
+  ];
+  const inputs = { prior: { cashAfter: 1000 } };
+
+  await t.test("should verify each formula against the AI's own values", () => {
+    const aiMetrics = { revenue: 500, costs: 320, netProfit: 200, cashAfter: 1200 };
+    const { metrics, formulaCheck } = reconcileFormulaMetrics(defs, inputs, aiMetrics);
+
+    assert.deepEqual(metrics, aiMetrics);
+    assert.equal(formulaCheck.mode, "verify");
+    // cashAfter is consistent with the AI's (wrong) netProfit, so only
+    // netProfit is flagged.
+    assert.deepEqual(
+      formulaCheck.discrepancies.map((d) => [d.key, d.aiValue, d.formulaValue]),
+      [["netProfit", 200, 180]]
+    );
+  });
+
+  await t.test("should propagate recomputed values through dependencies", () => {
+    const aiMetrics = { revenue: 500, costs: 320, netProfit: 200, cashAfter: 1200 };
+    const { metrics, formulaCheck } = reconcileFormulaMetrics(defs, inputs, aiMetrics, {
+      mode: "recompute",
+    });
+
+    assert.deepEqual(metrics, { revenue: 500, costs: 320, netProfit: 180, cashAfter: 1180 });
+    assert.equal(formulaCheck.applied, true);
+    assert.equal(formulaCheck.discrepancies.length, 2);
+  });
+
+  await t.test("should ignore differences removed by ledger rounding", () => {
+    const { formulaCheck } = reconcileFormulaMetrics(
+      defs,
+      inputs,
+      { revenue: 100.004, costs: 0, netProfit: 100, cashAfter: 1100 }
+    );
+    assert.deepEqual(formulaCheck.discrepancies, []);
+  });
+
+  await t.test("should keep the AI's values when a formula fails", () => {
+    const aiMetrics = { revenue: 500, costs: 320, netProfit: 200, cashAfter: 1200 };
+    const { metrics, formulaCheck } = reconcileFormulaMetrics(defs, {}, aiMetrics, {
+      mode: "recompute",
+    });
+
+    assert.deepEqual(metrics, aiMetrics);
+    assert.equal(formulaCheck.applied, false);
+    assert.equal(formulaCheck.errors[0].code, "FORMULA_UNRESOLVED_REFERENCE");
+    assert.equal(formulaCheck.errors[0].metricKey, "cashAfter");
+  });
+});
@@ -0,0 +1,556 @@
+/**
+ * Safe arithmetic expression evaluator for metric formulas.
+ *
+ * Formulas are parsed into a small AST and walked directly; nothing is ever
+ * passed to eval/Function, and identifiers can only resolve through the
+ * `resolve` callback supplied by the caller.
+ *
+ * Supported syntax:
+ * - numbers, 'single' or "double" quoted strings, true/false/null
+ * - identifiers, optionally scoped: `revenue`, `prior.cash`, `decision.price`
+ * - bracketed keys for slug-style variable keys: `decision["unit-sale-price"]`
+ * - arithmetic: + - * / % ^ (power, right-associative)
+ * - comparison: == != < <= > >=
+ * - logic: && || ! and the ternary `cond ? a : b`
+ * - functions: min, max, abs, round(x, digits?), floor, ceil, sqrt, pow,
+ *   clamp(x, lo, hi), if(cond, a, b)
+ */
+
+// Bare identifiers resolve to metrics computed in the same run; `metric` may
+// also be written explicitly (e.g. `metric["net-profit"]`).
+const FORMULA_SCOPES = Object.freeze([
+  "metric",
+  "profile",
+  "challenge",
+  "decision",
+  "outcome",
+  "prior",
+  "market",
+]);
+
+const FUNCTIONS = Object.freeze({
+  min: { minArgs: 1, fn: (...args) => Math.min(...args.map(toNumber)) },
+  max: { minArgs: 1, fn: (...args) => Math.max(...args.map(toNumber)) },
+  abs: { minArgs: 1, maxArgs: 1, fn: (x) => Math.abs(toNumber(x)) },
+  floor: { minArgs: 1, maxArgs: 1, fn: (x) => Math.floor(toNumber(x)) },
+  ceil: { minArgs: 1, maxArgs: 1, fn: (x) => Math.ceil(toNumber(x)) },
+  sqrt: { minArgs: 1, maxArgs: 1, fn: (x) => Math.sqrt(toNumber(x)) },
+  pow: {
+    minArgs: 2,
+    maxArgs: 2,
+    fn: (x, y) => Math.pow(toNumber(x), toNumber(y)),
+  },
+  round: {
+    minArgs: 1,
+    maxArgs: 2,
+    fn: (x, digits = 0) => {
+      const factor = Math.pow(10, toNumber(digits));
+      return Math.round((toNumber(x) + Number.EPSILON) * factor) / factor;
+    },
+  },
+  clamp: {
+    minArgs: 3,
+    maxArgs: 3,
+    fn: (x, lo, hi) =>
+      Math.min(Math.max(toNumber(x), toNumber(lo)), toNumber(hi)),
+  },
+});
+
+function makeFormulaError(message, statusCode, code, details = {}) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  err.details = details;
+  return err;
+}
+
+function toNumber(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (typeof value === "string" && value.trim() !== "") {
+    const num = Number(value);
+    if (Number.isFinite(num)) return num;
+  }
+  throw makeFormulaError(
+    `Expected a number but got ${JSON.stringify(value)}`,
+    400,
+    "FORMULA_TYPE_ERROR",
+    { value }
+  );
+}
+
+function isTruthy(value) {
+  return Boolean(value);
+}
+
+// Variable values may arrive as strings from form inputs ("12" vs 12), so
+// equality compares by string form once both sides are non-null.
+function looseEquals(left, right) {
+  if (left === right) return true;
+  if (left === null || left === undefined) return false;
+  if (right === null || right === undefined) return false;
+  return String(left) === String(right);
+}
+
+// ---------- Tokenizer ----------
+
+const OPERATORS = [
+  "&&",
+  "||",
+  "==",
+  "!=",
+  "<=",
+  ">=",
+  "+",
+  "-",
+  "*",
+  "/",
+  "%",
+  "^",
+  "<",
+  ">",
+  "!",
+  "?",
+  ":",
+  "(",
+  ")",
+  ",",
+  ".",
+  "[",
+  "]",
+];
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(source[i + 1]))) {
+      const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(
+        source.slice(i)
+      );
+      tokens.push({ type: "number", value: Number(match[0]), pos: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(ch)) {
+      const match = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(source.slice(i));
+      tokens.push({ type: "identifier", value: match[0], pos: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let j = i + 1;
+      let value = "";
+      while (j < source.length && source[j] !== ch) {
+        if (source[j] === "\\" && j + 1 < source.length) {
+          value += source[j + 1];
+          j += 2;
+        } else {
+          value += source[j];
+          j += 1;
+        }
+      }
+      if (j >= source.length) {
+        throw makeFormulaError(
+          `Unterminated string at position ${i}`,
+          400,
+          "FORMULA_SYNTAX_ERROR",
+          { position: i }
+        );
+      }
+      tokens.push({ type: "string", value, pos: i });
+      i = j + 1;
+      continue;
+    }
+
+    const op = OPERATORS.find((candidate) => source.startsWith(candidate, i));
+    if (op) {
+      tokens.push({ type: "operator", value: op, pos: i });
+      i += op.length;
+      continue;
+    }
+
+    throw makeFormulaError(
+      `Unexpected character "${ch}" at position ${i}`,
+      400,
+      "FORMULA_SYNTAX_ERROR",
+      { position: i }
+    );
+  }
+
+  tokens.push({ type: "eof", value: null, pos: source.length });
+  return tokens;
+}
+
+// ---------- Parser (recursive descent) ----------
+
+function parse(source) {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOp = (value) =>
+    peek().type === "operator" && peek().value === value;
+
+  const syntaxError = (message) => {
+    const token = peek();
+    return makeFormulaError(
+      `${message} at position ${token.pos}`,
+      400,
+      "FORMULA_SYNTAX_ERROR",
+      { position: token.pos }
+    );
+  };
+
+  const expect = (value) => {
+    if (!isOp(value)) throw syntaxError(`Expected "${value}"`);
+    return next();
+  };
+
+  const binary = (parseOperand, operators) => () => {
+    let left = parseOperand();
+    while (peek().type === "operator" && operators.includes(peek().value)) {
+      const op = next().value;
+      left = { type: "binary", op, left, right: parseOperand() };
+    }
+    return left;
+  };
+
+  function parseExpression() {
+    const test = parseOr();
+    if (!isOp("?")) return test;
+    next();
+    const consequent = parseExpression();
+    expect(":");
+    const alternate = parseExpression();
+    return { type: "conditional", test, consequent, alternate };
+  }
+
+  function parseUnary() {
+    if (isOp("-") || isOp("+") || isOp("!")) {
+      const op = next().value;
+      return { type: "unary", op, argument: parseUnary() };
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (!isOp("^")) return base;
+    next();
+    return { type: "binary", op: "^", left: base, right: parseUnary() };
+  }
+
+  function parsePrimary() {
+    const token = peek();
+
+    if (token.type === "number" || token.type === "string") {
+      next();
+      return { type: "literal", value: token.value };
+    }
+
+    if (token.type === "identifier") {
+      next();
+      if (token.value === "true") return { type: "literal", value: true };
+      if (token.value === "false") return { type: "literal", value: false };
+      if (token.value === "null") return { type: "literal", value: null };
+
+      if (isOp("(")) {
+        next();
+        const args = [];
+        if (!isOp(")")) {
+          args.push(parseExpression());
+          while (isOp(",")) {
+            next();
+            args.push(parseExpression());
+          }
+        }
+        expect(")");
+        return { type: "call", name: token.value, args, pos: token.pos };
+      }
+
+      if (isOp(".")) {
+        next();
+        const keyToken = peek();
+        if (keyToken.type !== "identifier") {
+          throw syntaxError(`Expected a key after "${token.value}."`);
+        }
+        next();
+        return {
+          type: "reference",
+          scope: token.value,
+          key: keyToken.value,
+          pos: token.pos,
+        };
+      }
+
+      if (isOp("[")) {
+        next();
+        const keyToken = peek();
+        if (keyToken.type !== "string") {
+          throw syntaxError(`Expected a quoted key after "${token.value}["`);
+        }
+        next();
+        expect("]");
+        return {
+          type: "reference",
+          scope: token.value,
+          key: keyToken.value,
+          pos: token.pos,
+        };
+      }
+
+      return {
+        type: "reference",
+        scope: "metric",
+        key: token.value,
+        pos: token.pos,
+      };
+    }
+
+    if (isOp("(")) {
+      next();
+      const inner = parseExpression();
+      expect(")");
+      return inner;
+    }
+
+    throw syntaxError(
+      token.type === "eof" ? "Unexpected end of formula" : "Unexpected token"
+    );
+  }
+
+  const parseMultiplicative = binary(parseUnary, ["*", "/", "%"]);
+  const parseAdditive = binary(parseMultiplicative, ["+", "-"]);
+  const parseComparison = binary(parseAdditive, ["<", "<=", ">", ">="]);
+  const parseEquality = binary(parseComparison, ["==", "!="]);
+  const parseAnd = binary(parseEquality, ["&&"]);
+  const parseOr = binary(parseAnd, ["||"]);
+
+  const ast = parseExpression();
+  if (peek().type !== "eof") throw syntaxError("Unexpected token");
+  return ast;
+}
+
+// ---------- Static analysis ----------
+
+function checkNode(node) {
+  if (node.type === "reference" && !FORMULA_SCOPES.includes(node.scope)) {
+    throw makeFormulaError(
+      `Unknown scope "${node.scope}" (expected one of: ${FORMULA_SCOPES.join(", ")})`,
+      400,
+      "FORMULA_UNKNOWN_SCOPE",
+      { scope: node.scope, key: node.key }
+    );
+  }
+
+  if (node.type !== "call") return;
+
+  // Own properties only, so names like "toString" are unknown functions
+  const spec =
+    node.name === "if"
+      ? { minArgs: 3, maxArgs: 3 }
+      : Object.prototype.hasOwnProperty.call(FUNCTIONS, node.name)
+        ? FUNCTIONS[node.name]
+        : null;
+  if (!spec) {
+    throw makeFormulaError(
+      `Unknown function "${node.name}"`,
+      400,
+      "FORMULA_UNKNOWN_FUNCTION",
+      { name: node.name }
+    );
+  }
+  if (
+    node.args.length < spec.minArgs ||
+    (spec.maxArgs !== undefined && node.args.length > spec.maxArgs)
+  ) {
+    throw makeFormulaError(
+      `${node.name}() called with ${node.args.length} argument(s)`,
+      400,
+      "FORMULA_ARITY_ERROR",
+      { name: node.name }
+    );
+  }
+}
+
+function childNodes(node) {
+  switch (node.type) {
+    case "unary":
+      return [node.argument];
+    case "binary":
+      return [node.left, node.right];
+    case "conditional":
+      return [node.test, node.consequent, node.alternate];
+    case "call":
+      return node.args;
+    default:
+      return [];
+  }
+}
+
+function walk(node, visit) {
+  visit(node);
+  childNodes(node).forEach((child) => walk(child, visit));
+}
+
+/**
+ * Parse a formula and return its AST plus every variable/metric reference.
+ * Throws a FORMULA_* error (statusCode 400) when the formula is malformed.
+ * @param {string} source
+ * @returns {{ source: string, ast: Object, references: Array<{scope: string, key: string}> }}
+ */
+function compileFormula(source) {
+  if (typeof source !== "string" || source.trim() === "") {
+    throw makeFormulaError(
+      "Formula must be a non-empty string",
+      400,
+      "FORMULA_SYNTAX_ERROR"
+    );
+  }
+
+  const ast = parse(source);
+  const references = [];
+  walk(ast, (node) => {
+    checkNode(node);
+    if (node.type === "reference") {
+      references.push({ scope: node.scope, key: node.key });
+    }
+  });
+
+  return { source, ast, references };
+}
+
+// ---------- Evaluation ----------
+
+function evaluateNode(node, resolve) {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+    case "reference": {
+      const value = resolve(node.scope, node.key);
+      if (value === undefined) {
+        const name =
+          node.scope === "metric" ? node.key : `${node.scope}.${node.key}`;
+        throw makeFormulaError(
+          `Unresolved reference "${name}"`,
+          400,
+          "FORMULA_UNRESOLVED_REFERENCE",
+          { scope: node.scope, key: node.key }
+        );
+      }
+      return value;
+    }
+    case "unary": {
+      const value = evaluateNode(node.argument, resolve);
+      if (node.op === "!") return !isTruthy(value);
+      if (node.op === "-") return -toNumber(value);
+      return toNumber(value);
+    }
+    case "conditional":
+      return isTruthy(evaluateNode(node.test, resolve))
+        ? evaluateNode(node.consequent, resolve)
+        : evaluateNode(node.alternate, resolve);
+    case "binary": {
+      if (node.op === "&&") {
+        const left = evaluateNode(node.left, resolve);
+        return isTruthy(left) ? evaluateNode(node.right, resolve) : left;
+      }
+      if (node.op === "||") {
+        const left = evaluateNode(node.left, resolve);
+        return isTruthy(left) ? left : evaluateNode(node.right, resolve);
+      }
+      const left = evaluateNode(node.left, resolve);
+      const right = evaluateNode(node.right, resolve);
+      switch (node.op) {
+        case "==":
+          return looseEquals(left, right);
+        case "!=":
+          return !looseEquals(left, right);
+        case "+":
+          if (typeof left === "string" && typeof right === "string") {
+            return left + right;
+          }
+          return toNumber(left) + toNumber(right);
+        case "-":
+          return toNumber(left) - toNumber(right);
+        case "*":
+          return toNumber(left) * toNumber(right);
+        case "/":
+          return toNumber(left) / toNumber(right);
+        case "%":
+          return toNumber(left) % toNumber(right);
+        case "^":
+          return Math.pow(toNumber(left), toNumber(right));
+        case "<":
+          return toNumber(left) < toNumber(right);
+        case "<=":
+          return toNumber(left) <= toNumber(right);
+        case ">":
+          return toNumber(left) > toNumber(right);
+        case ">=":
+          return toNumber(left) >= toNumber(right);
+        default:
+          throw makeFormulaError(
+            `Unsupported operator "${node.op}"`,
+            400,
+            "FORMULA_SYNTAX_ERROR"
+          );
+      }
+    }
+    case "call": {
+      if (node.name === "if") {
+        return isTruthy(evaluateNode(node.args[0], resolve))
+          ? evaluateNode(node.args[1], resolve)
+          : evaluateNode(node.args[2], resolve);
+      }
+      const args = node.args.map((arg) => evaluateNode(arg, resolve));
+      return FUNCTIONS[node.name].fn(...args);
+    }
+    default:
+      throw makeFormulaError(
+        `Unsupported expression node "${node.type}"`,
+        400,
+        "FORMULA_SYNTAX_ERROR"
+      );
+  }
+}
+
+/**
+ * Evaluate a formula (source string or the result of compileFormula).
+ * @param {string|Object} formula
+ * @param {(scope: string, key: string) => *} resolve - returns undefined for unknown references
+ * @returns {number|string|boolean|null}
+ */
+function evaluateFormula(formula, resolve) {
+  const compiled =
+    typeof formula === "string" ? compileFormula(formula) : formula;
+  const value = evaluateNode(compiled.ast, resolve);
+  if (typeof value === "number" && !Number.isFinite(value)) {
+    throw makeFormulaError(
+      `Formula "${compiled.source}" produced a non-finite number`,
+      400,
+      "FORMULA_NON_FINITE",
+      { formula: compiled.source }
+    );
+  }
+  return value;
+}
+
+module.exports = {
+  FORMULA_SCOPES,
+  compileFormula,
+  evaluateFormula,
+  makeFormulaError,
+};
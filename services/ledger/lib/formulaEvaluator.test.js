@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { compileFormula, evaluateFormula } = require("./formulaEvaluator");
+
+const resolverFor = (scopes) => (scope, key) => scopes[scope]?.[key];
+
+test("formulaEvaluator", async (t) => {
+  await t.test("should evaluate arithmetic with precedence and scoped references", () => {
+    const resolve = resolverFor({
+      metric: { revenue: 500, costs: 320 },
+      prior: { cash: 1000 },
+    });
+    assert.strictEqual(evaluateFormula("prior.cash + revenue - costs", resolve), 1180);
+    assert.strictEqual(evaluateFormula("2 + 3 * 4", resolve), 14);
+    assert.strictEqual(evaluateFormula("(2 + 3) * 4", resolve), 20);
+    assert.strictEqual(evaluateFormula("2 ^ 3 ^ 2", resolve), 512);
+    assert.strictEqual(evaluateFormula("-2 ^ 2", resolve), -4);
+  });
+
+  await t.test("should resolve slug-style keys through bracket access", () => {
+    const resolve = resolverFor({ decision: { "unit-sale-price": "12" } });
+    assert.strictEqual(evaluateFormula('decision["unit-sale-price"] * 10', resolve), 120);
+  });
+
+  await t.test("should support functions, comparisons and conditionals", () => {
+    const resolve = resolverFor({ metric: { demand: 80, capacity: 60 } });
+    assert.strictEqual(evaluateFormula("min(demand, capacity)", resolve), 60);
+    assert.strictEqual(evaluateFormula("clamp(demand, 0, 50)", resolve), 50);
+    assert.strictEqual(evaluateFormula("round(10 / 3, 2)", resolve), 3.33);
+    assert.strictEqual(evaluateFormula("demand > capacity ? 'short' : 'ok'", resolve), "short");
+    assert.strictEqual(evaluateFormula("if(demand <= capacity, 1, 0)", resolve), 0);
+    assert.strictEqual(evaluateFormula("demand > 0 && capacity > 0", resolve), true);
+  });
+
+  await t.test("should report every reference in a compiled formula", () => {
+    const compiled = compileFormula('prior.cash + revenue - outcome["cost-shock"]');
+    assert.deepEqual(compiled.references, [
+      { scope: "prior", key: "cash" },
+      { scope: "metric", key: "revenue" },
+      { scope: "outcome", key: "cost-shock" },
+    ]);
+  });
+
+  await t.test("should reject malformed formulas with structured codes", () => {
+    const cases = [
+      ["1 +", "FORMULA_SYNTAX_ERROR"],
+      ["(1", "FORMULA_SYNTAX_ERROR"],
+      ["revenue; process.exit()", "FORMULA_SYNTAX_ERROR"],
+      ["eval(1)", "FORMULA_UNKNOWN_FUNCTION"],
+      ["toString(1)", "FORMULA_UNKNOWN_FUNCTION"],
+      ["constructor(1)", "FORMULA_UNKNOWN_FUNCTION"],
+      ["hasOwnProperty(revenue)", "FORMULA_UNKNOWN_FUNCTION"],
+      ["constructor.prototype", "FORMULA_UNKNOWN_SCOPE"],
+      ["max()", "FORMULA_ARITY_ERROR"],
+      ["", "FORMULA_SYNTAX_ERROR"],
+    ];
+    for (const [formula, code] of cases) {
+      assert.throws(() => compileFormula(formula), (err) => {
+        assert.strictEqual(err.code, code, formula);
+        assert.strictEqual(err.statusCode, 400);
+        return true;
+      });
+    }
+  });
+
+  await t.test("should fail on unresolved references and non-finite results", () => {
+    const resolve = resolverFor({ metric: { revenue: 10 } });
+    assert.throws(() => evaluateFormula("revenue + missing", resolve), {
+      code: "FORMULA_UNRESOLVED_REFERENCE",
+    });
+    assert.throws(() => evaluateFormula("revenue / 0", resolve), {
+      code: "FORMULA_NON_FINITE",
+    });
+    assert.throws(() => evaluateFormula("revenue * 'abc'", resolve), {
+      code: "FORMULA_TYPE_ERROR",
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const roundMetricValue = require("./roundMetricValue");
+
+/**
+ * Combine per-round metrics into a challenge roll-up using each
+ * MetricDefinition.aggregation: "sum", "avg", "max" and "min" combine the
+ * numeric round values; "last" and "none" keep the final round's value (the
+ * end-of-challenge state, since each round starts from the previous one).
+ * Non-numeric values and metrics without a definition keep the last value.
+ *
+ * @param {Array<Object>} metricDefs - MetricDefinitions (key, aggregation, format)
+ * @param {Array<Object>} roundMetrics - metric maps in round order
+ * @returns {Object} roll-up metrics keyed by metric key
+ */
+function rollupRoundMetrics(metricDefs, roundMetrics) {
+  const rounds = (Array.isArray(roundMetrics) ? roundMetrics : []).map(
+    (metrics) => (metrics instanceof Map ? Object.fromEntries(metrics) : metrics || {})
+  );
+  const defs = new Map(
+    (Array.isArray(metricDefs) ? metricDefs : []).map((def) => [def.key, def])
+  );
+  const keys = [...new Set(rounds.flatMap((metrics) => Object.keys(metrics)))];
+
+  const rollup = {};
+  for (const key of keys) {
+    const values = rounds
+      .map((metrics) => metrics[key])
+      .filter((value) => value !== undefined && value !== null);
+    if (values.length === 0) continue;
+
+    const last = values[values.length - 1];
+    const def = defs.get(key);
+    const numbers = values.filter(
+      (value) => typeof value === "number" && Number.isFinite(value)
+    );
+    if (!def || numbers.length !== values.length) {
+      rollup[key] = last;
+      continue;
+    }
+
+    let value;
+    switch (def.aggregation) {
+      case "sum":
+        value = numbers.reduce((total, n) => total + n, 0);
+        break;
+      case "avg":
+        value = numbers.reduce((total, n) => total + n, 0) / numbers.length;
+        break;
+      case "max":
+        value = Math.max(...numbers);
+        break;
+      case "min":
+        value = Math.min(...numbers);
+        break;
+      default:
+        value = last;
+    }
+    rollup[key] = roundMetricValue(def, value);
+  }
+  return rollup;
+}
+
+module.exports = rollupRoundMetrics;
@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const rollupRoundMetrics = require("./rollupRoundMetrics");
+
+const defs = [
+  { key: "revenue", aggregation: "sum", format: "currency" },
+  { key: "cashAfter", aggregation: "last", format: "currency" },
+  { key: "serviceLevel", aggregation: "avg", format: "percent" },
+  { key: "peakQueue", aggregation: "max", format: "count" },
+  { key: "stockouts", aggregation: "min", format: "count" },
+];
+
+test("rollupRoundMetrics", async (t) => {
+  await t.test("should combine rounds by each metric's aggregation", () => {
+    const rollup = rollupRoundMetrics(defs, [
+      { revenue: 100.1, cashAfter: 1100, serviceLevel: 90, peakQueue: 4, stockouts: 2 },
+      new Map(Object.entries({
+        revenue: 200.2,
+        cashAfter: 1250.5,
+        serviceLevel: 95,
+        peakQueue: 7,
+        stockouts: 1,
+      })),
+    ]);
+
+    assert.deepEqual(rollup, {
+      revenue: 300.3,
+      cashAfter: 1250.5,
+      serviceLevel: 92.5,
+      peakQueue: 7,
+      stockouts: 1,
+    });
+  });
+
+  await t.test("should keep the last value for text and undefined metrics", () => {
+    const rollup = rollupRoundMetrics(defs, [
+      { revenue: 10, mood: "calm", legacy: 1 },
+      { revenue: "n/a", mood: "busy", legacy: 3 },
+    ]);
+
+    assert.deepEqual(rollup, { revenue: "n/a", mood: "busy", legacy: 3 });
+  });
+
+  await t.test("should skip rounds that are missing a metric", () => {
+    const rollup = rollupRoundMetrics(defs, [{ revenue: 50 }, { cashAfter: 900 }]);
+    assert.deepEqual(rollup, { revenue: 50, cashAfter: 900 });
+  });
+});
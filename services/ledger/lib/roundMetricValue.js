@@ -0,0 +1,25 @@
+const { round2, roundInt } = require("../../../lib/number-utils");
+
+/**
+ * Round a numeric metric value the way ledger entries store it: whole numbers
+ * for `integer` metrics, `precision` decimal places when set, otherwise by
+ * format (currency and percent to cents, count and units to whole numbers,
+ * anything else as-is).
+ */
+function roundMetricValue(def, value) {
+  if (typeof value !== "number" || !Number.isFinite(value)) return value;
+  if (def.integer) return roundInt(value);
+  if (Number.isInteger(def.precision) && def.precision >= 0) {
+    const factor = 10 ** def.precision;
+    return Math.round((value + Number.EPSILON) * factor) / factor;
+  }
+  if (def.format === "currency" || def.format === "percent") {
+    return round2(value);
+  }
+  if (def.format === "count" || def.format === "units") {
+    return roundInt(value);
+  }
+  return value;
+}
+
+module.exports = roundMetricValue;
@@ -0,0 +1,25 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const roundMetricValue = require("./roundMetricValue");
+
+test("roundMetricValue", async (t) => {
+  await t.test("should round by metric format", () => {
+    assert.strictEqual(roundMetricValue({ format: "currency" }, 10.005), 10.01);
+    assert.strictEqual(roundMetricValue({ format: "percent" }, 33.3333), 33.33);
+    assert.strictEqual(roundMetricValue({ format: "count" }, 4.6), 5);
+    assert.strictEqual(roundMetricValue({ format: "units" }, 4.4), 4);
+    assert.strictEqual(roundMetricValue({ format: "text" }, 4.44), 4.44);
+  });
+
+  await t.test("should prefer integer, then precision, over format", () => {
+    assert.strictEqual(roundMetricValue({ format: "currency", integer: true }, 10.6), 11);
+    assert.strictEqual(roundMetricValue({ format: "currency", precision: 0 }, 10.4), 10);
+    assert.strictEqual(roundMetricValue({ format: "count", precision: 3 }, 4.12345), 4.123);
+    assert.strictEqual(roundMetricValue({ format: "percent", precision: null }, 33.3333), 33.33);
+  });
+
+  await t.test("should pass through non-numeric values", () => {
+    assert.strictEqual(roundMetricValue({ format: "currency" }, "abc"), "abc");
+    assert.strictEqual(roundMetricValue({ format: "count" }, true), true);
+  });
+});
@@ -0,0 +1,180 @@
+const { makeLedgerError } = require("../ledger.errors");
+
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+const MAX_REPAIR_ATTEMPTS = 5;
+
+/**
+ * Follow-up turns allowed after an invalid simulation response
+ * (SIMULATION_REPAIR_ATTEMPTS, 0 disables repair).
+ */
+function repairAttemptLimit() {
+  const raw = process.env.SIMULATION_REPAIR_ATTEMPTS;
+  if (raw === undefined || raw === "") return DEFAULT_REPAIR_ATTEMPTS;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 0) return DEFAULT_REPAIR_ATTEMPTS;
+  return Math.min(value, MAX_REPAIR_ATTEMPTS);
+}
+
+/**
+ * The error normalizeAndValidateAISimulationResult throws. `issues` lists
+ * every problem found: [{ field, problem, message }] where problem is
+ * "json", "missing", "type" or "range" and field is null for the response
+ * as a whole. A single issue keeps its own message.
+ */
+function makeInvalidResultError(issues) {
+  const message =
+    issues.length === 1
+      ? issues[0].message
+      : `AI result failed validation: ${issues.map((issue) => issue.message).join("; ")}`;
+  return makeLedgerError(message, 422, "AI_RESULT_INVALID", { issues });
+}
+
+function isInvalidResultError(error) {
+  return error?.code === "AI_RESULT_INVALID" && Array.isArray(error.details?.issues);
+}
+
+function parseSimulationContent(content) {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    const message = `Failed to parse AI response as JSON: ${error.message}`;
+    throw makeLedgerError(message, 422, "AI_RESULT_INVALID", {
+      issues: [{ field: null, problem: "json", message }],
+    });
+  }
+}
+
+/**
+ * The follow-up turn sent after an invalid response: what was wrong, and a
+ * request for the complete object again.
+ */
+function describeIssues(issues) {
+  return [
+    "Your previous response could not be used:",
+    ...issues.map((issue) => `- ${issue.message}`),
+    "",
+    "Reply with the complete corrected JSON object (every field, not just the corrected ones), following the same schema.",
+  ].join("\n");
+}
+
+/**
+ * The request for the next attempt: the conversation so far plus the invalid
+ * reply and the issues found in it.
+ */
+function buildRepairRequest(request, content, issues) {
+  return {
+    ...request,
+    messages: [
+      ...(request.messages || []),
+      { role: "assistant", content: typeof content === "string" ? content : "" },
+      { role: "user", content: describeIssues(issues) },
+    ],
+  };
+}
+
+function sumUsage(usages) {
+  const present = usages.filter(Boolean);
+  if (present.length === 0) return null;
+  const total = (key) => present.reduce((sum, usage) => sum + (Number(usage[key]) || 0), 0);
+  return {
+    prompt_tokens: total("prompt_tokens"),
+    completion_tokens: total("completion_tokens"),
+    total_tokens: total("total_tokens"),
+  };
+}
+
+/**
+ * Call the model, and while its reply fails validation, send the issues back
+ * as a follow-up turn, up to `maxRepairs` times. Provider errors are not
+ * repaired and propagate. Each attempt is passed to `onAttempt` as it
+ * finishes: { attempt, kind: "initial" | "repair", status: "valid" |
+ * "invalid", issues, model, usage, startedAt, completedAt }.
+ *
+ * @param {Object} options
+ * @param {Object} options.request - chat completion request
+ * @param {Function} options.call - request -> chat completion response
+ * @param {Function} options.validate - async (parsed) -> normalizes in place,
+ *   throws an AI_RESULT_INVALID error
+ * @param {Object} [options.response] - an initial response already received
+ *   (batch output); it is validated before any call is made
+ * @param {number} [options.maxRepairs]
+ * @param {Function} [options.onAttempt]
+ * @returns {Promise<Object>} { result, response, request, attempts, issues,
+ *   usage }; result is null when every attempt was invalid
+ */
+async function runWithRepair({
+  request,
+  call,
+  validate,
+  response: initialResponse = null,
+  maxRepairs = repairAttemptLimit(),
+  onAttempt = null,
+}) {
+  const attempts = [];
+  let current = request;
+  let response = null;
+  let issues = [];
+
+  for (let attempt = 1; attempt <= maxRepairs + 1; attempt += 1) {
+    const startedAt = new Date();
+    response = attempt === 1 && initialResponse ? initialResponse : await call(current);
+    const content = response?.choices?.[0]?.message?.content;
+    const record = {
+      attempt,
+      kind: attempt === 1 ? "initial" : "repair",
+      status: "valid",
+      issues: [],
+      model: response?.model || current.model || null,
+      usage: response?.usage || null,
+      startedAt,
+      completedAt: null,
+    };
+
+    let result = null;
+    try {
+      result = parseSimulationContent(content);
+      await validate(result);
+    } catch (error) {
+      if (!isInvalidResultError(error)) throw error;
+      issues = error.details.issues;
+      record.status = "invalid";
+      record.issues = issues;
+      result = null;
+    }
+    record.completedAt = new Date();
+    attempts.push(record);
+    if (onAttempt) await onAttempt(record);
+
+    if (result) {
+      return {
+        result,
+        response,
+        request: current,
+        attempts,
+        issues: [],
+        usage: sumUsage(attempts.map((item) => item.usage)),
+      };
+    }
+    if (attempt <= maxRepairs) current = buildRepairRequest(current, content, issues);
+  }
+
+  return {
+    result: null,
+    response,
+    request: current,
+    attempts,
+    issues,
+    usage: sumUsage(attempts.map((item) => item.usage)),
+  };
+}
+
+module.exports = {
+  DEFAULT_REPAIR_ATTEMPTS,
+  repairAttemptLimit,
+  makeInvalidResultError,
+  isInvalidResultError,
+  parseSimulationContent,
+  buildRepairRequest,
+  sumUsage,
+  runWithRepair,
+};
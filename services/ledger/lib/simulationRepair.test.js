@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  makeInvalidResultError,
+  buildRepairRequest,
+  sumUsage,
+  runWithRepair,
+} = require("./simulationRepair");
+
+function reply(content, usage = { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }) {
+  return {
+    model: "gpt-test",
+    usage,
+    choices: [{ message: { content: typeof content === "string" ? content : JSON.stringify(content) } }],
+  };
+}
+
+async function requireRevenue(result) {
+  if (typeof result.revenue !== "number") {
+    throw makeInvalidResultError([
+      { field: "revenue", problem: "missing", message: "Missing required metric in AI response: revenue" },
+    ]);
+  }
+}
+
+test("makeInvalidResultError keeps a single issue's message and joins several", () => {
+  const one = makeInvalidResultError([{ field: "summary", problem: "type", message: "summary must be a string" }]);
+  assert.equal(one.message, "summary must be a string");
+  assert.equal(one.statusCode, 422);
+  assert.equal(one.code, "AI_RESULT_INVALID");
+
+  const two = makeInvalidResultError([
+    { field: "a", problem: "missing", message: "A" },
+    { field: "b", problem: "type", message: "B" },
+  ]);
+  assert.equal(two.message, "AI result failed validation: A; B");
+  assert.equal(two.details.issues.length, 2);
+});
+
+test("buildRepairRequest appends the invalid reply and the issues", () => {
+  const request = { model: "gpt-test", seed: 3, messages: [{ role: "user", content: "Simulate" }] };
+  const next = buildRepairRequest(request, '{"summary":"x"}', [
+    { field: "revenue", problem: "missing", message: "Missing required metric in AI response: revenue" },
+  ]);
+
+  assert.equal(request.messages.length, 1);
+  assert.equal(next.seed, 3);
+  assert.deepEqual(next.messages[1], { role: "assistant", content: '{"summary":"x"}' });
+  assert.equal(next.messages[2].role, "user");
+  assert.match(next.messages[2].content, /- Missing required metric in AI response: revenue/);
+});
+
+test("runWithRepair sends issues back until the reply is valid", async () => {
+  const sent = [];
+  const replies = [reply("not json"), reply({ summary: "x" }), reply({ summary: "x", revenue: 12 })];
+  const recorded = [];
+
+  const completion = await runWithRepair({
+    request: { model: "gpt-test", messages: [] },
+    call: async (request) => {
+      sent.push(request);
+      return replies.shift();
+    },
+    validate: requireRevenue,
+    maxRepairs: 2,
+    onAttempt: (attempt) => recorded.push(attempt),
+  });
+
+  assert.deepEqual(completion.result, { summary: "x", revenue: 12 });
+  assert.equal(sent.length, 3);
+  assert.equal(sent[2].messages.length, 4);
+  assert.deepEqual(
+    completion.attempts.map((attempt) => [attempt.kind, attempt.status, attempt.issues.map((issue) => issue.problem)]),
+    [
+      ["initial", "invalid", ["json"]],
+      ["repair", "invalid", ["missing"]],
+      ["repair", "valid", []],
+    ]
+  );
+  assert.equal(recorded.length, 3);
+  assert.deepEqual(completion.usage, { prompt_tokens: 30, completion_tokens: 15, total_tokens: 45 });
+});
+
+test("runWithRepair stops after maxRepairs and validates a given first reply", async () => {
+  let calls = 0;
+  const completion = await runWithRepair({
+    request: { model: "gpt-test", messages: [] },
+    response: reply({ summary: "batch" }),
+    call: async () => {
+      calls += 1;
+      return reply({ summary: "still wrong" });
+    },
+    validate: requireRevenue,
+    maxRepairs: 1,
+  });
+
+  assert.equal(completion.result, null);
+  assert.equal(calls, 1);
+  assert.equal(completion.attempts.length, 2);
+  assert.equal(completion.issues[0].field, "revenue");
+});
+
+test("runWithRepair does not repair provider or unexpected errors", async () => {
+  await assert.rejects(
+    runWithRepair({
+      request: { messages: [] },
+      call: async () => {
+        throw new Error("rate limited");
+      },
+      validate: requireRevenue,
+    }),
+    /rate limited/
+  );
+  assert.equal(sumUsage([null, undefined]), null);
+});
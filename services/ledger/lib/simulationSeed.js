@@ -0,0 +1,49 @@
+const crypto = require("crypto");
+
+/**
+ * Derive a stable 31-bit integer seed from identifying parts (classroom,
+ * challenge, student...). The same parts always produce the same seed, so a
+ * rerun of the same student/challenge uses the same random-event draw and
+ * OpenAI `seed`.
+ */
+function deriveSimulationSeed(...parts) {
+  const digest = crypto
+    .createHash("sha256")
+    .update(parts.map((part) => (part == null ? "" : String(part))).join("|"))
+    .digest();
+  return digest.readUInt32BE(0) & 0x7fffffff;
+}
+
+/**
+ * Small deterministic PRNG (mulberry32). Returns a function yielding floats
+ * in [0, 1), like Math.random.
+ */
+function seededRandom(seed) {
+  let state = Number(seed) >>> 0;
+  return function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Sampling parameters to pin on a chat completion request. Every model
+ * accepts `seed`; reasoning models (o-series, gpt-5) reject a non-default
+ * temperature, so it is only pinned for the models that support it (GPT-4,
+ * GPT-3.5 and Gemini).
+ */
+function samplingParamsForModel(model, seed) {
+  const params = {};
+  if (Number.isInteger(seed)) params.seed = seed;
+  if (/^(gpt-4|gpt-3\.5|gemini)/.test(String(model || ""))) params.temperature = 0;
+  return params;
+}
+
+module.exports = {
+  deriveSimulationSeed,
+  seededRandom,
+  samplingParamsForModel,
+};
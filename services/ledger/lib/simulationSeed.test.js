@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  deriveSimulationSeed,
+  seededRandom,
+  samplingParamsForModel,
+} = require("./simulationSeed");
+
+test("simulationSeed", async (t) => {
+  await t.test("should derive stable non-negative integer seeds", () => {
+    const seed = deriveSimulationSeed("classroom", "challenge", "user");
+    assert.ok(Number.isInteger(seed));
+    assert.ok(seed >= 0 && seed <= 0x7fffffff);
+    assert.strictEqual(seed, deriveSimulationSeed("classroom", "challenge", "user"));
+    assert.notStrictEqual(seed, deriveSimulationSeed("classroom", "challenge", "other"));
+  });
+
+  await t.test("should produce a repeatable random sequence", () => {
+    const a = seededRandom(42);
+    const b = seededRandom(42);
+    const first = [a(), a(), a()];
+    assert.deepEqual(first, [b(), b(), b()]);
+    for (const value of first) assert.ok(value >= 0 && value < 1);
+  });
+
+  await t.test("should only pin temperature for models that accept it", () => {
+    assert.deepEqual(samplingParamsForModel("gpt-4o", 7), { seed: 7, temperature: 0 });
+    assert.deepEqual(samplingParamsForModel("gpt-5-mini-2025-08-07", 7), { seed: 7 });
+    assert.deepEqual(samplingParamsForModel("gemini-2.5-flash", 7), { seed: 7, temperature: 0 });
+    assert.deepEqual(samplingParamsForModel("o3-mini", null), {});
+  });
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const SimulationJob = require("../job/job.model");
+const LedgerEntry = require("./ledger.model");
+const LedgerRevision = require("./ledgerRevision.model");
+const { migrateRoundKeyIndexes } = require("../../lib/round-key-indexes");
+
+const indexes = (...names) => async () => names.map((name) => ({ name, key: {} }));
+
+test("migrateRoundKeyIndexes drops the unique indexes from before rounds", async (t) => {
+  t.mock.method(SimulationJob.collection, "indexes", indexes("_id_", "challengeId_1_userId_1"));
+  t.mock.method(
+    LedgerEntry.collection,
+    "indexes",
+    indexes("_id_", "challengeId_1_userId_1_roundKey_1", "classroomId_1_userId_1")
+  );
+  t.mock.method(LedgerRevision.collection, "indexes", async () => {
+    throw Object.assign(new Error("ns does not exist"), { codeName: "NamespaceNotFound" });
+  });
+  const dropped = [];
+  const created = [];
+  for (const Model of [SimulationJob, LedgerEntry, LedgerRevision]) {
+    t.mock.method(Model.collection, "dropIndex", async (name) => {
+      dropped.push([Model.modelName, name]);
+    });
+    t.mock.method(Model, "createIndexes", async () => {
+      created.push(Model.modelName);
+    });
+  }
+
+  const result = await migrateRoundKeyIndexes();
+
+  assert.deepEqual(dropped, [["SimulationJob", "challengeId_1_userId_1"]]);
+  assert.deepEqual(result.dropped, [`${SimulationJob.collection.collectionName}.challengeId_1_userId_1`]);
+  assert.deepEqual(created, ["SimulationJob", "LedgerEntry", "LedgerRevision"]);
+});
@@ -0,0 +1,176 @@
+const mongoose = require("mongoose");
+const baseSchema = require("../../lib/baseSchema");
+
+/**
+ * SimulationRun - durable, replayable record of one simulation execution.
+ *
+ * SimulationJob payloads are cleared on every rerun and ledger entries are
+ * deleted before a challenge is re-processed, so neither can answer "what
+ * exactly did we send, and would we get the same answer again?". A run keeps
+ * the complete chat completion request (model, messages, response schema,
+ * seed/temperature), the calculation inputs and the model's raw result, keyed
+ * by the `aiMetadata.runId` stamped on the ledger entry it produced.
+ *
+ * Runs are append-only: replays are stored as new runs with `replayOf` set.
+ */
+const simulationRunSchema = new mongoose.Schema({
+  runId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Classroom",
+    required: true,
+    index: true,
+  },
+  challengeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Challenge",
+    default: null,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    default: null,
+  },
+  decisionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Decision",
+    default: null,
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SimulationJob",
+    default: null,
+  },
+  ledgerEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "LedgerEntry",
+    default: null,
+    index: true,
+  },
+  // direct = SimulationWorker, batch = OpenAI Batch ingestion, replay = admin replay
+  mode: {
+    type: String,
+    enum: ["direct", "batch", "replay"],
+    required: true,
+  },
+  replayOf: {
+    type: String,
+    default: null,
+    index: true,
+  },
+  engine: {
+    type: String,
+    enum: ["ai", "formula"],
+    default: "ai",
+  },
+  // Classroom simulationSettings in effect when the run executed
+  settings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  seed: {
+    type: Number,
+    default: null,
+  },
+  model: {
+    type: String,
+    default: null,
+  },
+  // Exact chat completion payload sent to the provider (null for template
+  // narratives, which make no call).
+  request: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // Pre-hardening prompt messages, as shown in calculationContext.prompt
+  rawMessages: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // { profile, challenge, decision, outcome, prior } variable maps
+  inputs: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // Provider response metadata: { id, model, systemFingerprint, usage }
+  response: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // Parsed, normalized result before formula checks were applied
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+}).add(baseSchema);
+
+simulationRunSchema.index({ challengeId: 1, userId: 1, createdDate: -1 });
+
+/**
+ * Reduce a chat completion response to the fields worth keeping for audits.
+ */
+function describeCompletionResponse(response) {
+  if (!response || typeof response !== "object") return null;
+  return {
+    id: response.id || null,
+    model: response.model || null,
+    systemFingerprint: response.system_fingerprint || null,
+    usage: response.usage || null,
+  };
+}
+simulationRunSchema.statics.describeCompletionResponse =
+  describeCompletionResponse;
+
+/**
+ * Persist a run. `input` mirrors the schema fields.
+ */
+simulationRunSchema.statics.recordRun = async function (
+  input,
+  organizationId,
+  clerkUserId
+) {
+  if (!input.runId) {
+    throw new Error("runId is required");
+  }
+
+  return await this.create({
+    runId: input.runId,
+    classroomId: input.classroomId,
+    challengeId: input.challengeId || null,
+    userId: input.userId || null,
+    decisionId: input.decisionId || null,
+    jobId: input.jobId || null,
+    ledgerEntryId: input.ledgerEntryId || null,
+    mode: input.mode,
+    replayOf: input.replayOf || null,
+    engine: input.engine || "ai",
+    settings: input.settings || null,
+    seed: Number.isInteger(input.seed) ? input.seed : null,
+    model: input.model || input.request?.model || null,
+    request: input.request || null,
+    rawMessages: input.rawMessages || null,
+    inputs: input.inputs || null,
+    response: input.response || null,
+    result: input.result || null,
+    organization: organizationId,
+    createdBy: clerkUserId,
+    updatedBy: clerkUserId,
+  });
+};
+
+/**
+ * Find the run that produced a ledger entry (by its aiMetadata.runId).
+ */
+simulationRunSchema.statics.getRunForLedgerEntry = async function (entry) {
+  const runId = entry?.aiMetadata?.runId;
+  if (!runId) return null;
+  return await this.findOne({ runId });
+};
+
+const SimulationRun = mongoose.model("SimulationRun", simulationRunSchema);
+
+module.exports = SimulationRun;
@@ -177,6 +177,40 @@ router.get(
   controller.getRosterSeats,
 );
 
+/**
+ * @openapi
+ * /v1/licensing/classrooms/{classroomId}/join-rejections:
+ *   get:
+ *     summary: Get rejected join attempts
+ *     description: Audit log of joins refused by the classroom's join policy, allowed domains or access code, newest first. Requires org:admin role.
+ *     tags:
+ *       - Licensing
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: limit
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Rejected joins with the student, email, join source and error code.
+ */
+router.get(
+  "/classrooms/:classroomId/join-rejections",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.getJoinRejections,
+);
+
 /**
  * @openapi
  * /v1/licensing/classrooms/{classroomId}/roster-seats:
@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+const baseSchema = require("../../lib/baseSchema");
+const { JOIN_REJECTION_CODES } = require("./joinPolicy");
+
+/**
+ * Audit entry for a join refused by classroom policy (closed classroom,
+ * missing invite, roster-only, email domain or access code). Failed access
+ * code attempts are also what the per-student code rate limit counts.
+ */
+const joinAttemptSchema = new mongoose.Schema({
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Classroom",
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    default: null,
+  },
+  clerkUserId: {
+    type: String,
+    default: null,
+  },
+  email: {
+    type: String,
+    default: null,
+  },
+  joinSource: {
+    type: String,
+    enum: ["invite_link", "classroom_list", "lti"],
+    default: "invite_link",
+  },
+  code: {
+    type: String,
+    enum: JOIN_REJECTION_CODES,
+    required: true,
+  },
+  message: {
+    type: String,
+    default: "",
+  },
+  ipAddress: {
+    type: String,
+    default: null,
+  },
+}).add(baseSchema);
+
+joinAttemptSchema.index({ classroomId: 1, userId: 1, code: 1, createdDate: -1 });
+joinAttemptSchema.index({ organization: 1, classroomId: 1, createdDate: -1 });
+
+/**
+ * Record a rejected join. Never throws: a failed audit write must not turn a
+ * policy rejection into a 500.
+ */
+joinAttemptSchema.statics.recordRejection = async function ({
+  classroom,
+  organization,
+  member,
+  clerkUserId,
+  email,
+  joinSource,
+  ipAddress,
+  error,
+}) {
+  try {
+    return await this.create({
+      classroomId: classroom._id,
+      userId: member?._id || null,
+      clerkUserId: clerkUserId || null,
+      email: email ? email.trim().toLowerCase() : null,
+      joinSource,
+      code: error.code,
+      message: error.message,
+      ipAddress: ipAddress || null,
+      organization: organization?._id || classroom.organization,
+      createdBy: clerkUserId || "system",
+      updatedBy: clerkUserId || "system",
+    });
+  } catch (auditError) {
+    console.error("Failed to record join rejection:", auditError.message);
+    return null;
+  }
+};
+
+/**
+ * Incorrect access codes a student entered for a classroom within the window.
+ */
+joinAttemptSchema.statics.countRecentInvalidCodes = async function ({
+  classroomId,
+  userId,
+  windowMs,
+  now = new Date(),
+}) {
+  return this.countDocuments({
+    classroomId,
+    userId,
+    code: "ACCESS_CODE_INVALID",
+    createdDate: { $gte: new Date(now.getTime() - windowMs) },
+  });
+};
+
+/**
+ * Rejected joins for a classroom, newest first.
+ */
+joinAttemptSchema.statics.getRejectionsForClassroom = async function (
+  classroomId,
+  organizationId,
+  { limit = 100 } = {},
+) {
+  return this.find({ classroomId, organization: organizationId })
+    .sort({ createdDate: -1 })
+    .limit(Math.min(Math.max(Number(limit) || 100, 1), 500))
+    .lean();
+};
+
+const JoinAttempt = mongoose.model("JoinAttempt", joinAttemptSchema);
+
+module.exports = JoinAttempt;
@@ -0,0 +1,125 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const JoinAttempt = require("./joinAttempt.model");
+const SeatClaim = require("./seatClaim.model");
+
+function stub(t, target, key, value) {
+  const original = target[key];
+  target[key] = value;
+  t.after(() => {
+    target[key] = original;
+  });
+}
+
+const organization = { _id: new mongoose.Types.ObjectId() };
+const member = { _id: new mongoose.Types.ObjectId(), email: "student@school.edu" };
+
+function buildClassroom(overrides = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    organization: organization._id,
+    joinPolicy: "open",
+    allowAnonymousJoin: true,
+    allowedDomains: [],
+    accessCode: "",
+    ...overrides,
+  };
+}
+
+const claim = (classroom, overrides = {}) =>
+  SeatClaim.claimSeatOrRequireCheckout({
+    classroom,
+    organization,
+    member,
+    clerkUserId: "user_join",
+    studentEmail: "student@school.edu",
+    joinSource: "invite_link",
+    ipAddress: "203.0.113.7",
+    ...overrides,
+  });
+
+test("claimSeatOrRequireCheckout audits an incorrect access code", async (t) => {
+  const recorded = [];
+  stub(t, SeatClaim, "findActiveClaim", async () => null);
+  stub(t, JoinAttempt, "countRecentInvalidCodes", async () => 0);
+  stub(t, JoinAttempt, "recordRejection", async (entry) => {
+    recorded.push(entry);
+  });
+
+  await assert.rejects(
+    claim(buildClassroom({ accessCode: "BLUE42" }), { accessCode: "RED42" }),
+    (error) => error.code === "ACCESS_CODE_INVALID"
+  );
+
+  assert.equal(recorded.length, 1);
+  assert.equal(recorded[0].error.code, "ACCESS_CODE_INVALID");
+  assert.equal(recorded[0].email, "student@school.edu");
+  assert.equal(recorded[0].ipAddress, "203.0.113.7");
+});
+
+test("claimSeatOrRequireCheckout blocks access codes after too many failures", async (t) => {
+  const recorded = [];
+  stub(t, SeatClaim, "findActiveClaim", async () => null);
+  stub(t, JoinAttempt, "countRecentInvalidCodes", async () => 5);
+  stub(t, JoinAttempt, "recordRejection", async (entry) => {
+    recorded.push(entry.error.code);
+  });
+
+  // Even the right code is refused while the student is locked out
+  await assert.rejects(
+    claim(buildClassroom({ accessCode: "BLUE42" }), { accessCode: "BLUE42" }),
+    (error) => error.statusCode === 429 && error.code === "ACCESS_CODE_RATE_LIMITED"
+  );
+  assert.deepEqual(recorded, ["ACCESS_CODE_RATE_LIMITED"]);
+});
+
+test("claimSeatOrRequireCheckout audits disallowed email domains", async (t) => {
+  const recorded = [];
+  stub(t, SeatClaim, "findActiveClaim", async () => null);
+  stub(t, JoinAttempt, "recordRejection", async (entry) => {
+    recorded.push(entry.error.code);
+  });
+
+  await assert.rejects(
+    claim(buildClassroom({ allowedDomains: ["school.edu"] }), {
+      studentEmail: "student@gmail.com",
+    }),
+    (error) => error.code === "EMAIL_DOMAIN_NOT_ALLOWED"
+  );
+  assert.deepEqual(recorded, ["EMAIL_DOMAIN_NOT_ALLOWED"]);
+});
+
+test("students with an existing claim skip the join checks", async (t) => {
+  const existing = { _id: new mongoose.Types.ObjectId() };
+  stub(t, SeatClaim, "findActiveClaim", async () => existing);
+  stub(t, JoinAttempt, "recordRejection", async () => {
+    throw new Error("should not audit");
+  });
+
+  const result = await claim(buildClassroom({ accessCode: "BLUE42" }));
+  assert.equal(result.claim, existing);
+  assert.equal(result.decision, "already_claimed");
+});
+
+test("recordRejection never throws", async (t) => {
+  stub(t, JoinAttempt, "create", async () => {
+    throw new Error("write failed");
+  });
+  const originalConsoleError = console.error;
+  console.error = () => {};
+  t.after(() => {
+    console.error = originalConsoleError;
+  });
+
+  const result = await JoinAttempt.recordRejection({
+    classroom: buildClassroom(),
+    organization,
+    member,
+    clerkUserId: "user_join",
+    joinSource: "invite_link",
+    error: { code: "ROSTER_ONLY", message: "Roster only" },
+  });
+  assert.equal(result, null);
+});
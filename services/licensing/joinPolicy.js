@@ -1,3 +1,19 @@
+const crypto = require("crypto");
+
+/**
+ * Error codes for joins refused by classroom policy. Rejections with these
+ * codes are recorded as JoinAttempt audit entries.
+ */
+const JOIN_REJECTION_CODES = [
+  "CLASSROOM_CLOSED",
+  "INVITE_REQUIRED",
+  "ROSTER_ONLY",
+  "EMAIL_DOMAIN_NOT_ALLOWED",
+  "ACCESS_CODE_REQUIRED",
+  "ACCESS_CODE_INVALID",
+  "ACCESS_CODE_RATE_LIMITED",
+];
+
 function makeJoinPolicyError(message, statusCode, code, details = {}) {
   const err = new Error(message);
   err.statusCode = statusCode;
@@ -6,15 +22,91 @@ function makeJoinPolicyError(message, statusCode, code, details = {}) {
   return err;
 }
 
+function isJoinRejection(error) {
+  return JOIN_REJECTION_CODES.includes(error?.code);
+}
+
+/**
+ * Access codes are compared trimmed and case-insensitively.
+ */
+function normalizeAccessCode(value) {
+  return typeof value === "string" ? value.trim().toUpperCase() : "";
+}
+
+function requiresAccessCode(classroom) {
+  return normalizeAccessCode(classroom?.accessCode) !== "";
+}
+
+function accessCodeMatches(expected, provided) {
+  const digest = (value) =>
+    crypto.createHash("sha256").update(normalizeAccessCode(value)).digest();
+  return crypto.timingSafeEqual(digest(expected), digest(provided));
+}
+
+function normalizeDomain(value) {
+  return typeof value === "string"
+    ? value.trim().toLowerCase().replace(/^@/, "")
+    : "";
+}
+
+/**
+ * Whether an email belongs to one of the allowed domains (or a subdomain of
+ * one). An empty allow list allows every email.
+ */
+function isEmailDomainAllowed(email, allowedDomains) {
+  const domains = (allowedDomains || []).map(normalizeDomain).filter(Boolean);
+  if (domains.length === 0) {
+    return true;
+  }
+  const at = typeof email === "string" ? email.lastIndexOf("@") : -1;
+  if (at === -1) {
+    return false;
+  }
+  const domain = email.slice(at + 1).trim().toLowerCase();
+  return domains.some(
+    (allowed) => domain === allowed || domain.endsWith(`.${allowed}`),
+  );
+}
+
 /**
- * Validates join policy and entry path before roster or seat checks.
- * @param {"invite_link"|"classroom_list"} joinSource
+ * Failed access code attempts allowed per student and classroom within the
+ * window (JOIN_CODE_MAX_ATTEMPTS, default 5; JOIN_CODE_WINDOW_MS, default 15
+ * minutes).
+ */
+function getAccessCodeAttemptLimit() {
+  return {
+    limit: Number(process.env.JOIN_CODE_MAX_ATTEMPTS || 5),
+    windowMs: Number(process.env.JOIN_CODE_WINDOW_MS || 15 * 60 * 1000),
+  };
+}
+
+function assertAccessCodeAttemptsAllowed({ classroom, failedAttempts }) {
+  const { limit, windowMs } = getAccessCodeAttemptLimit();
+  if (failedAttempts >= limit) {
+    throw makeJoinPolicyError(
+      "Too many incorrect access codes. Please wait and try again.",
+      429,
+      "ACCESS_CODE_RATE_LIMITED",
+      { classroomId: classroom._id, limit, windowMs },
+    );
+  }
+}
+
+/**
+ * Validates join policy, entry path, email domain and access code before
+ * roster or seat checks. LTI launches come from the LMS course, which stands
+ * in for the invite link and access code.
+ * @param {"invite_link"|"classroom_list"|"lti"} joinSource
+ * @param {string} [studentEmail] - the joining user's Clerk email
+ * @param {string} [accessCode] - the code the student entered
  */
 function assertJoinPolicyAllowed({
   classroom,
   organization,
   joinPolicy,
   joinSource,
+  studentEmail,
+  accessCode,
 }) {
   if (joinPolicy === "closed") {
     throw makeJoinPolicyError(
@@ -25,7 +117,7 @@ function assertJoinPolicyAllowed({
     );
   }
 
-  if (joinPolicy === "invite_link" && joinSource !== "invite_link") {
+  if (joinPolicy === "invite_link" && !["invite_link", "lti"].includes(joinSource)) {
     throw makeJoinPolicyError(
       "This classroom requires an invite link to join.",
       403,
@@ -33,6 +125,39 @@ function assertJoinPolicyAllowed({
       { classroomId: classroom._id, organizationId: organization._id },
     );
   }
+
+  if (!isEmailDomainAllowed(studentEmail, classroom.allowedDomains)) {
+    throw makeJoinPolicyError(
+      "Your email address is not allowed to join this classroom.",
+      403,
+      "EMAIL_DOMAIN_NOT_ALLOWED",
+      {
+        classroomId: classroom._id,
+        allowedDomains: (classroom.allowedDomains || [])
+          .map(normalizeDomain)
+          .filter(Boolean),
+      },
+    );
+  }
+
+  if (requiresAccessCode(classroom) && joinSource !== "lti") {
+    if (!normalizeAccessCode(accessCode)) {
+      throw makeJoinPolicyError(
+        "This classroom requires an access code to join.",
+        403,
+        "ACCESS_CODE_REQUIRED",
+        { classroomId: classroom._id },
+      );
+    }
+    if (!accessCodeMatches(classroom.accessCode, accessCode)) {
+      throw makeJoinPolicyError(
+        "The access code is incorrect.",
+        403,
+        "ACCESS_CODE_INVALID",
+        { classroomId: classroom._id },
+      );
+    }
+  }
 }
 
 function assertRosterAccessAllowed({ classroom, rosterSeat, joinPolicy }) {
@@ -60,6 +185,12 @@ function assertRosterAccessAllowed({ classroom, rosterSeat, joinPolicy }) {
 }
 
 module.exports = {
+  JOIN_REJECTION_CODES,
+  isJoinRejection,
+  requiresAccessCode,
+  isEmailDomainAllowed,
+  getAccessCodeAttemptLimit,
+  assertAccessCodeAttemptsAllowed,
   assertJoinPolicyAllowed,
   assertRosterAccessAllowed,
 };
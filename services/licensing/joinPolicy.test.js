@@ -3,6 +3,9 @@ const assert = require("node:assert/strict");
 const {
   assertJoinPolicyAllowed,
   assertRosterAccessAllowed,
+  assertAccessCodeAttemptsAllowed,
+  isEmailDomainAllowed,
+  isJoinRejection,
 } = require("./joinPolicy");
 
 const classroomId = "507f1f77bcf86cd799439011";
@@ -91,3 +94,102 @@ test("roster seat satisfies roster_only access check", () => {
     })
   );
 });
+
+test("allowedDomains rejects emails outside the allowed domains", () => {
+  const classroom = { ...mockClassroom, allowedDomains: ["school.edu"] };
+  assert.throws(
+    () =>
+      assertJoinPolicyAllowed({
+        classroom,
+        organization: mockOrganization,
+        joinPolicy: "open",
+        joinSource: "invite_link",
+        studentEmail: "student@gmail.com",
+      }),
+    (err) =>
+      err.statusCode === 403 &&
+      err.code === "EMAIL_DOMAIN_NOT_ALLOWED" &&
+      err.details.allowedDomains[0] === "school.edu"
+  );
+  assert.throws(
+    () =>
+      assertJoinPolicyAllowed({
+        classroom,
+        organization: mockOrganization,
+        joinPolicy: "open",
+        joinSource: "invite_link",
+      }),
+    (err) => err.code === "EMAIL_DOMAIN_NOT_ALLOWED"
+  );
+});
+
+test("isEmailDomainAllowed matches domains and subdomains case-insensitively", () => {
+  assert.equal(isEmailDomainAllowed("a@School.edu", ["@school.edu"]), true);
+  assert.equal(isEmailDomainAllowed("a@mail.school.edu", ["school.edu"]), true);
+  assert.equal(isEmailDomainAllowed("a@notschool.edu", ["school.edu"]), false);
+  assert.equal(isEmailDomainAllowed("a@anything.com", []), true);
+});
+
+test("accessCode is required and must match when set", () => {
+  const classroom = { ...mockClassroom, accessCode: "Blue-42" };
+  const join = (accessCode) =>
+    assertJoinPolicyAllowed({
+      classroom,
+      organization: mockOrganization,
+      joinPolicy: "open",
+      joinSource: "invite_link",
+      accessCode,
+    });
+
+  assert.throws(() => join(undefined), (err) => err.code === "ACCESS_CODE_REQUIRED");
+  assert.throws(() => join("blue-41"), (err) => err.code === "ACCESS_CODE_INVALID");
+  assert.doesNotThrow(() => join(" blue-42 "));
+});
+
+test("LTI launches skip the invite link and access code but not closed classes", () => {
+  const classroom = { ...mockClassroom, accessCode: "Blue-42" };
+  assert.doesNotThrow(() =>
+    assertJoinPolicyAllowed({
+      classroom,
+      organization: mockOrganization,
+      joinPolicy: "invite_link",
+      joinSource: "lti",
+    })
+  );
+  assert.throws(
+    () =>
+      assertJoinPolicyAllowed({
+        classroom,
+        organization: mockOrganization,
+        joinPolicy: "closed",
+        joinSource: "lti",
+      }),
+    (err) => err.code === "CLASSROOM_CLOSED"
+  );
+});
+
+test("classrooms without an access code ignore the submitted code", () => {
+  assert.doesNotThrow(() =>
+    assertJoinPolicyAllowed({
+      classroom: { ...mockClassroom, accessCode: "" },
+      organization: mockOrganization,
+      joinPolicy: "open",
+      joinSource: "invite_link",
+      accessCode: "anything",
+    })
+  );
+});
+
+test("access code attempts are limited", () => {
+  assert.doesNotThrow(() =>
+    assertAccessCodeAttemptsAllowed({ classroom: mockClassroom, failedAttempts: 4 })
+  );
+  assert.throws(
+    () => assertAccessCodeAttemptsAllowed({ classroom: mockClassroom, failedAttempts: 5 }),
+    (err) =>
+      err.statusCode === 429 &&
+      err.code === "ACCESS_CODE_RATE_LIMITED" &&
+      err.details.limit === 5 &&
+      isJoinRejection(err)
+  );
+});
@@ -16,6 +16,7 @@ const {
   processCheckoutSessionCompleted,
 } = require("../stripe/stripe.webhook.service");
 const StripeCheckoutRecord = require("./stripeCheckoutRecord.model");
+const JoinAttempt = require("./joinAttempt.model");
 const { PLAN_CATALOG, PLAN_KEYS } = require("./planCatalog");
 const { parseRosterCsv } = require("./rosterCsv");
 
@@ -193,6 +194,27 @@ exports.getRosterSeats = async function getRosterSeats(req, res, next) {
   }
 };
 
+exports.getJoinRejections = async function getJoinRejections(req, res, next) {
+  try {
+    const { classroomId } = req.params;
+    await Classroom.validateAdminAccess(
+      classroomId,
+      req.clerkUser.id,
+      req.organization._id,
+    );
+
+    const rejections = await JoinAttempt.getRejectionsForClassroom(
+      classroomId,
+      req.organization._id,
+      { limit: req.query.limit },
+    );
+
+    return res.json({ success: true, data: rejections });
+  } catch (error) {
+    return next(error);
+  }
+};
+
 exports.createStudentCheckout = async function createStudentCheckout(
   req,
   res,
@@ -29,6 +29,13 @@ const orgSeatReservationSchema = new mongoose.Schema({
     ref: "Classroom",
     index: true,
   },
+  // "oneroster" reservations are revoked by a later OneRoster import once
+  // the student leaves the roster; manual ones are only revoked by an admin
+  source: {
+    type: String,
+    enum: ["manual", "oneroster"],
+    default: "manual",
+  },
 }).add(baseSchema);
 
 orgSeatReservationSchema.index(
@@ -70,6 +77,7 @@ orgSeatReservationSchema.statics.createReservation = async function ({
   organization,
   email,
   createdBy,
+  source = "manual",
 }) {
   const SeatPool = require("./seatPool.model");
   const normalizedEmail = this.normalizeEmail(email);
@@ -113,6 +121,7 @@ orgSeatReservationSchema.statics.createReservation = async function ({
   const reservation = new this({
     email: normalizedEmail,
     status: "reserved",
+    source,
     organization: organization._id,
     createdBy,
     updatedBy: createdBy,
@@ -3,6 +3,20 @@ const PLAN_KEYS = {
   STUDENT_CLASS_PASS: "student_class_pass",
 };
 
+/**
+ * API rate limits (middleware/rateLimit.js) by route class. Each class allows
+ * `perMember` requests per member and `perOrganization` requests across the
+ * organization in every `windowMs` window. These are the free tier limits;
+ * plans override them with their own `rateLimits`.
+ */
+const RATE_LIMIT_ROUTE_CLASSES = ["api", "ai", "join"];
+
+const DEFAULT_RATE_LIMITS = {
+  api: { windowMs: 60 * 1000, perMember: 300, perOrganization: 3000 },
+  ai: { windowMs: 60 * 1000, perMember: 10, perOrganization: 60 },
+  join: { windowMs: 15 * 60 * 1000, perMember: 10, perOrganization: 300 },
+};
+
 const PLAN_CATALOG = {
   [PLAN_KEYS.ORG_SEATS]: {
     key: PLAN_KEYS.ORG_SEATS,
@@ -13,6 +27,11 @@ const PLAN_CATALOG = {
     features: {
       stripeCheckout: true,
     },
+    rateLimits: {
+      api: { perMember: 600, perOrganization: 20000 },
+      ai: { perMember: 20, perOrganization: 600 },
+      join: { perOrganization: 2000 },
+    },
   },
   [PLAN_KEYS.STUDENT_CLASS_PASS]: {
     key: PLAN_KEYS.STUDENT_CLASS_PASS,
@@ -35,12 +54,30 @@ function getDefaultFreeTeacherLimits() {
   return {
     planKey: "free_teacher_workspace",
     classroomLimit: Number(process.env.FREE_TEACHER_CLASSROOM_LIMIT || 3),
+    rateLimits: DEFAULT_RATE_LIMITS,
   };
 }
 
+/**
+ * Rate limits for a plan, with the free tier filling in anything the plan
+ * doesn't set. Unknown plans get the free tier.
+ */
+function getRateLimits(planKey) {
+  const overrides = getPlan(planKey)?.rateLimits || {};
+  return Object.fromEntries(
+    RATE_LIMIT_ROUTE_CLASSES.map((routeClass) => [
+      routeClass,
+      { ...DEFAULT_RATE_LIMITS[routeClass], ...(overrides[routeClass] || {}) },
+    ])
+  );
+}
+
 module.exports = {
   PLAN_KEYS,
   PLAN_CATALOG,
+  RATE_LIMIT_ROUTE_CLASSES,
+  DEFAULT_RATE_LIMITS,
   getPlan,
   getDefaultFreeTeacherLimits,
+  getRateLimits,
 };
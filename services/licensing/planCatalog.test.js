@@ -4,8 +4,11 @@ const assert = require("node:assert/strict");
 const {
   PLAN_KEYS,
   PLAN_CATALOG,
+  RATE_LIMIT_ROUTE_CLASSES,
+  DEFAULT_RATE_LIMITS,
   getPlan,
   getDefaultFreeTeacherLimits,
+  getRateLimits,
 } = require("./planCatalog");
 
 test("plan catalog defines org and student plans", () => {
@@ -35,3 +38,15 @@ test("student seat plan is per enrollment", () => {
   assert.equal(plan.purchaserScope, "user");
   assert.equal(plan.features.perEnrollment, true);
 });
+
+test("getRateLimits fills plan overrides in from the free tier", () => {
+  const free = getRateLimits("free_teacher_workspace");
+  assert.deepEqual(free, DEFAULT_RATE_LIMITS);
+  assert.deepEqual(getRateLimits("does_not_exist"), DEFAULT_RATE_LIMITS);
+
+  const orgSeats = getRateLimits(PLAN_KEYS.ORG_SEATS);
+  assert.deepEqual(Object.keys(orgSeats), RATE_LIMIT_ROUTE_CLASSES);
+  assert.equal(orgSeats.ai.perMember > free.ai.perMember, true);
+  assert.equal(orgSeats.join.perMember, free.join.perMember);
+  assert.equal(orgSeats.join.windowMs, free.join.windowMs);
+});
@@ -3,6 +3,10 @@ const baseSchema = require("../../lib/baseSchema");
 const { PLAN_KEYS } = require("./planCatalog");
 const { makeLicensingError } = require("./licensing.errors");
 const {
+  isJoinRejection,
+  requiresAccessCode,
+  getAccessCodeAttemptLimit,
+  assertAccessCodeAttemptsAllowed,
   assertJoinPolicyAllowed,
   assertRosterAccessAllowed,
 } = require("./joinPolicy");
@@ -421,10 +425,13 @@ seatClaimSchema.statics.claimSeatOrRequireCheckout = async function ({
   studentEmail,
   studentId,
   joinSource = "invite_link",
+  accessCode,
+  ipAddress,
 }) {
   const RosterSeat = require("./rosterSeat.model");
   const OrgSeatReservation = require("./orgSeatReservation.model");
   const SeatPool = require("./seatPool.model");
+  const JoinAttempt = require("./joinAttempt.model");
 
   const existing = await this.findActiveClaim(classroom._id, member._id);
   if (existing) {
@@ -432,39 +439,68 @@ seatClaimSchema.statics.claimSeatOrRequireCheckout = async function ({
   }
 
   const joinPolicy = classroom.joinPolicy || "invite_link";
-
-  assertJoinPolicyAllowed({
-    classroom,
-    organization,
-    joinPolicy,
-    joinSource,
-  });
-
   const lookupEmail = studentEmail || this.getPrimaryEmail(member);
   let rosterSeat = null;
 
-  if (lookupEmail) {
-    rosterSeat = await RosterSeat.findReservableForEmail(
-      classroom._id,
-      lookupEmail,
-      organization._id,
-    );
-  }
+  try {
+    if (requiresAccessCode(classroom) && joinSource !== "lti") {
+      const { windowMs } = getAccessCodeAttemptLimit();
+      assertAccessCodeAttemptsAllowed({
+        classroom,
+        failedAttempts: await JoinAttempt.countRecentInvalidCodes({
+          classroomId: classroom._id,
+          userId: member._id,
+          windowMs,
+        }),
+      });
+    }
 
-  if (!rosterSeat && studentId) {
-    rosterSeat = await RosterSeat.findOne({
-      classroomId: classroom._id,
-      organization: organization._id,
-      studentId: studentId.trim(),
-      status: "reserved",
+    assertJoinPolicyAllowed({
+      classroom,
+      organization,
+      joinPolicy,
+      joinSource,
+      studentEmail: lookupEmail,
+      accessCode,
     });
-  }
 
-  assertRosterAccessAllowed({
-    classroom,
-    rosterSeat,
-    joinPolicy,
-  });
+    if (lookupEmail) {
+      rosterSeat = await RosterSeat.findReservableForEmail(
+        classroom._id,
+        lookupEmail,
+        organization._id,
+      );
+    }
+
+    if (!rosterSeat && studentId) {
+      rosterSeat = await RosterSeat.findOne({
+        classroomId: classroom._id,
+        organization: organization._id,
+        studentId: studentId.trim(),
+        status: "reserved",
+      });
+    }
+
+    assertRosterAccessAllowed({
+      classroom,
+      rosterSeat,
+      joinPolicy,
+    });
+  } catch (error) {
+    if (isJoinRejection(error)) {
+      await JoinAttempt.recordRejection({
+        classroom,
+        organization,
+        member,
+        clerkUserId,
+        email: lookupEmail,
+        joinSource,
+        ipAddress,
+        error,
+      });
+    }
+    throw error;
+  }
 
   const reusableStudentClaim = await this.findReusableStudentClaimForJoin({
     organizationId: organization._id,
@@ -115,6 +115,19 @@ seatPoolSchema.statics.getOrgSeatAvailability = async function (organizationId)
   });
 };
 
+/**
+ * The plan an organization is on: org seats while it has an active org seat
+ * pool, otherwise the free teacher workspace.
+ */
+seatPoolSchema.statics.getOrganizationPlanKey = async function (organizationId) {
+  const pool = await this.exists({
+    organization: organizationId,
+    planKey: PLAN_KEYS.ORG_SEATS,
+    status: { $in: ACTIVE_POOL_STATUSES },
+  });
+  return pool ? PLAN_KEYS.ORG_SEATS : getDefaultFreeTeacherLimits().planKey;
+};
+
 seatPoolSchema.statics.findOrCreateOrgSeatPool = async function (
   organization,
   createdBy = "system",
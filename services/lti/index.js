@@ -0,0 +1,633 @@
+/**
+ * LTI Service Routes
+ *
+ * LTI 1.3 tool endpoints for LMS launches and deep linking, LMS platform
+ * registration, and classroom roster sync (NRPS).
+ * Mounted at: /v1/lti and /v1/admin/lti
+ */
+const express = require("express");
+const controller = require("./lti.controller");
+const router = express.Router();
+
+const { requireAuth, checkRole } = require("../../middleware/auth");
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     LtiDeepLinkingItem:
+ *       type: object
+ *       required: [classroomId]
+ *       properties:
+ *         classroomId:
+ *           type: string
+ *         challengeId:
+ *           type: string
+ *           description: Open this challenge instead of the classroom.
+ *         title:
+ *           type: string
+ *           description: Link title in the LMS (defaults to the classroom or challenge name).
+ *     LtiRosterSyncSummary:
+ *       type: object
+ *       properties:
+ *         members:
+ *           type: integer
+ *           description: Course members returned by the LMS.
+ *         rosterSeats:
+ *           type: integer
+ *           description: Roster seats reserved or refreshed for active learners.
+ *         rosterSeatsRevoked:
+ *           type: integer
+ *         enrolled:
+ *           type: integer
+ *         unenrolled:
+ *           type: integer
+ *         skipped:
+ *           type: array
+ *           description: Learners the LMS shared no email for who have not launched yet.
+ *           items:
+ *             type: object
+ *         failures:
+ *           type: array
+ *           items:
+ *             type: object
+ */
+
+/**
+ * @openapi
+ * /v1/lti/login:
+ *   get:
+ *     summary: LTI OIDC login initiation
+ *     description: Called by the LMS to start a launch. Redirects to the platform's authorization endpoint with a single-use state and nonce.
+ *     tags:
+ *       - LTI
+ *     parameters:
+ *       - name: iss
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: login_hint
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: client_id
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: target_link_uri
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: lti_message_hint
+ *         in: query
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the platform authorization endpoint.
+ *       404:
+ *         description: Platform not registered (code LTI_PLATFORM_NOT_FOUND).
+ *   post:
+ *     summary: LTI OIDC login initiation (form post)
+ *     description: Same as GET, with the parameters form-encoded.
+ *     tags:
+ *       - LTI
+ *     responses:
+ *       302:
+ *         description: Redirect to the platform authorization endpoint.
+ */
+router.get("/lti/login", controller.login);
+router.post("/lti/login", controller.login);
+
+/**
+ * @openapi
+ * /v1/lti/launch:
+ *   post:
+ *     summary: LTI launch
+ *     description: Receives the platform's signed id_token, verifies it against the platform JWKS, provisions the user (Clerk user, organization membership and classroom enrollment with the role mapped from the LMS roles) and redirects to the app with a one-time sign-in ticket. A first launch whose email already has a SCALE account redirects to the account link page instead, without a ticket. Resource links open the classroom or challenge set by deep linking, or the classroom the course is linked to. Deep linking requests open the content picker. Instructors must already be organization admins.
+ *     tags:
+ *       - LTI
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id_token:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the app.
+ *       401:
+ *         description: Invalid token, state or claims (codes LTI_TOKEN_INVALID, LTI_STATE_INVALID, LTI_LAUNCH_INVALID). Errors are returned as an HTML page.
+ *       403:
+ *         description: LMS role not supported, or instructor without admin access (codes LTI_ROLE_NOT_SUPPORTED, LTI_INSTRUCTOR_NOT_AUTHORIZED).
+ *       404:
+ *         description: Link not connected to a classroom (code LTI_RESOURCE_NOT_LINKED).
+ *       422:
+ *         description: First launch without an email address (code LTI_EMAIL_REQUIRED).
+ */
+router.post("/lti/launch", controller.launch);
+
+/**
+ * @openapi
+ * /v1/lti/jwks:
+ *   get:
+ *     summary: Tool public keys
+ *     description: JWKS the LMS uses to verify deep linking responses and service client assertions.
+ *     tags:
+ *       - LTI
+ *     responses:
+ *       200:
+ *         description: JSON Web Key Set.
+ *       503:
+ *         description: Tool key not configured (code LTI_NOT_CONFIGURED).
+ */
+router.get("/lti/jwks", controller.getJwks);
+
+/**
+ * @openapi
+ * /v1/lti/deep-linking/response:
+ *   post:
+ *     summary: Create a deep linking response
+ *     description: Signs the LtiDeepLinkingResponse for the classrooms or challenges the instructor picked. The app posts the returned JWT to returnUrl as the form field "JWT". Only the instructor who started the deep linking request can use its session. Requires org:admin role.
+ *     tags:
+ *       - LTI
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [session, items]
+ *             properties:
+ *               session:
+ *                 type: string
+ *                 description: Session token from the launch redirect.
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/LtiDeepLinkingItem'
+ *     responses:
+ *       200:
+ *         description: Signed response.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 returnUrl:
+ *                   type: string
+ *                 jwt:
+ *                   type: string
+ *                 contentItems:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Invalid items (code INVALID_DEEP_LINK_ITEMS).
+ *       401:
+ *         description: Session expired or invalid (code LTI_DEEP_LINKING_SESSION_INVALID).
+ */
+router.post(
+  "/lti/deep-linking/response",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.createDeepLinkingResponse
+);
+
+/**
+ * @openapi
+ * /v1/lti/account-link:
+ *   post:
+ *     summary: Link an LMS user to the signed-in account
+ *     description: Confirms the account link offered after a first launch whose email already has a SCALE account. The signed-in user must have the launch email as a verified address. Later launches from the LMS sign in as this account.
+ *     tags:
+ *       - LTI
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [session]
+ *             properties:
+ *               session:
+ *                 type: string
+ *                 description: Session token from the launch redirect.
+ *     responses:
+ *       200:
+ *         description: Account linked.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 platformName:
+ *                   type: string
+ *       401:
+ *         description: Session expired or invalid (code LTI_ACCOUNT_LINK_SESSION_INVALID).
+ *       403:
+ *         description: The signed-in account does not have the launch email (code LTI_ACCOUNT_LINK_FORBIDDEN).
+ *       404:
+ *         description: Platform no longer registered (code LTI_PLATFORM_NOT_FOUND).
+ */
+router.post(
+  "/lti/account-link",
+  requireAuth({ organizationOptional: true }),
+  controller.confirmAccountLink
+);
+
+/**
+ * @openapi
+ * /v1/admin/lti/config:
+ *   get:
+ *     summary: Get tool registration details
+ *     description: The login, launch and JWKS URLs to enter when registering SCALE in an LMS. Requires org:admin role.
+ *     tags:
+ *       - LTI
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tool URLs and whether the tool key is configured.
+ */
+router.get("/admin/lti/config", requireAuth(), checkRole("org:admin"), controller.getToolConfig);
+
+/**
+ * @openapi
+ * /v1/admin/lti/platforms:
+ *   get:
+ *     summary: List LMS platforms
+ *     description: LMS platforms registered for the organization. Requires org:admin role.
+ *     tags:
+ *       - LTI
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Platforms.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LtiPlatform'
+ *   post:
+ *     summary: Register an LMS platform
+ *     description: Registers an LTI 1.3 platform using the issuer, client ID, deployment IDs and endpoints from the LMS tool registration. Requires org:admin role.
+ *     tags:
+ *       - LTI
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LtiPlatform'
+ *     responses:
+ *       201:
+ *         description: Registered platform.
+ *       400:
+ *         description: Invalid registration (code INVALID_LTI_PLATFORM).
+ *       409:
+ *         description: Issuer and client ID already registered (code LTI_PLATFORM_EXISTS).
+ */
+router.get("/admin/lti/platforms", requireAuth(), checkRole("org:admin"), controller.listPlatforms);
+router.post("/admin/lti/platforms", requireAuth(), checkRole("org:admin"), controller.createPlatform);
+
+/**
+ * @openapi
+ * /v1/admin/lti/platforms/{platformId}:
+ *   put:
+ *     summary: Update an LMS platform
+ *     description: Updates any registration fields given. Set isActive false to stop accepting launches. Requires org:admin role.
+ *     tags:
+ *       - LTI
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: platformId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LtiPlatform'
+ *     responses:
+ *       200:
+ *         description: Updated platform.
+ *       404:
+ *         description: Platform not found (code LTI_PLATFORM_NOT_FOUND).
+ *   delete:
+ *     summary: Remove an LMS platform
+ *     description: Removes the platform and its course links. LMS users keep their accounts and enrollments. Requires org:admin role.
+ *     tags:
+ *       - LTI
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: platformId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Removed.
+ *       404:
+ *         description: Platform not found (code LTI_PLATFORM_NOT_FOUND).
+ */
+router.put(
+  "/admin/lti/platforms/:platformId",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.updatePlatform
+);
+router.delete(
+  "/admin/lti/platforms/:platformId",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.deletePlatform
+);
+
+/**
+ * @openapi
+ * /v1/admin/class/{classroomId}/lti:
+ *   get:
+ *     summary: Get classroom LMS links
+ *     description: LMS courses linked to the classroom by launches, with their last roster sync. Requires org:admin role.
+ *     tags:
+ *       - LTI
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Linked courses.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LtiContext'
+ *       404:
+ *         description: Class not found.
+ */
+router.get("/admin/class/:classroomId/lti", requireAuth(), checkRole("org:admin"), controller.getClassLinks);
+
+/**
+ * @openapi
+ * /v1/admin/class/{classroomId}/lti/roster-sync:
+ *   post:
+ *     summary: Sync classroom roster from the LMS
+ *     description: Reads each linked course's roster (Names and Role Provisioning Services). Active learners get roster seats, learners who have launched before are enrolled, and learners who left the course are unenrolled. Instructors are never changed. Instructor launches also start a sync when the last one is older than 12 hours. Requires org:admin role.
+ *     tags:
+ *       - LTI
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Result per linked course.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   contextId:
+ *                     type: string
+ *                   status:
+ *                     type: string
+ *                     enum: [succeeded, failed]
+ *                   summary:
+ *                     $ref: '#/components/schemas/LtiRosterSyncSummary'
+ *                   code:
+ *                     type: string
+ *                   error:
+ *                     type: string
+ *       404:
+ *         description: Class not found, or not linked to an LMS course (code LTI_CONTEXT_NOT_FOUND).
+ */
+router.post(
+  "/admin/class/:classroomId/lti/roster-sync",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.syncClassRoster
+);
+
+/**
+ * @openapi
+ * /v1/admin/challenges/{challengeId}/lti/grades:
+ *   get:
+ *     summary: Get LMS grade passback status
+ *     description: The challenge's grade passback settings, the linked LMS courses with the line item its scores are posted to, and each student's sync status. Requires org:admin role.
+ *     tags:
+ *       - LTI
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: challengeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Passback settings and sync status.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 passback:
+ *                   type: object
+ *                   description: See Challenge.ltiGradePassback.
+ *                 feedbackReleased:
+ *                   type: boolean
+ *                 courses:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       contextId:
+ *                         type: string
+ *                       title:
+ *                         type: string
+ *                       gradeServiceAvailable:
+ *                         type: boolean
+ *                         description: The LMS granted the AGS score scope on the latest launch.
+ *                       lineItemUrl:
+ *                         type: string
+ *                         nullable: true
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     pending:
+ *                       type: integer
+ *                     synced:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *                     skipped:
+ *                       type: integer
+ *                 students:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LtiGradeSync'
+ *       404:
+ *         description: Challenge not found (code CHALLENGE_NOT_FOUND).
+ */
+router.get(
+  "/admin/challenges/:challengeId/lti/grades",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.getChallengeGrades
+);
+
+/**
+ * @openapi
+ * /v1/admin/challenges/{challengeId}/lti/grade-passback:
+ *   put:
+ *     summary: Update LMS grade passback settings
+ *     description: Turn posting this challenge's scores to linked LMS gradebooks on or off and choose what is posted. Omitted fields keep their current values. Can be changed at any time; scores already posted change on the next passback or resync. Requires org:admin role.
+ *     tags:
+ *       - LTI
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: challengeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *               source:
+ *                 type: string
+ *                 enum: [gradebook, metric]
+ *               metricKey:
+ *                 type: string
+ *                 description: Required with source metric; a numeric metric of the classroom.
+ *               floor:
+ *                 type: number
+ *                 nullable: true
+ *               target:
+ *                 type: number
+ *                 nullable: true
+ *               scoreMaximum:
+ *                 type: number
+ *               label:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Updated settings.
+ *       400:
+ *         description: Invalid settings (code INVALID_GRADE_PASSBACK).
+ *       404:
+ *         description: Challenge not found (code CHALLENGE_NOT_FOUND).
+ */
+router.put(
+  "/admin/challenges/:challengeId/lti/grade-passback",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.updateGradePassback
+);
+
+/**
+ * @openapi
+ * /v1/admin/challenges/{challengeId}/lti/grades/resync:
+ *   post:
+ *     summary: Resync grades to the LMS
+ *     description: Queue a re-post of the challenge's scores to every linked LMS course, for everyone, the given students, or the students whose last post failed. Passback also runs by itself when feedback is released, and failed posts are retried with backoff. Requires org:admin role.
+ *     tags:
+ *       - LTI
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: challengeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               memberIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               failedOnly:
+ *                 type: boolean
+ *     responses:
+ *       202:
+ *         description: Resync queued.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 queued:
+ *                   type: boolean
+ *                 jobId:
+ *                   type: string
+ *                 memberIds:
+ *                   type: array
+ *                   nullable: true
+ *                   items:
+ *                     type: string
+ *       200:
+ *         description: failedOnly with no failed students; nothing queued.
+ *       400:
+ *         description: Invalid memberIds (code INVALID_GRADE_PASSBACK).
+ *       404:
+ *         description: Challenge not found, or classroom not linked to an LMS course (code LTI_CONTEXT_NOT_FOUND).
+ *       409:
+ *         description: Passback is not enabled (LTI_GRADE_PASSBACK_DISABLED) or feedback is not released (LTI_GRADES_NOT_RELEASED).
+ */
+router.post(
+  "/admin/challenges/:challengeId/lti/grades/resync",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.resyncChallengeGrades
+);
+
+module.exports = router;
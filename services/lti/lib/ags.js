@@ -0,0 +1,138 @@
+const axios = require("axios");
+const { makeLtiError } = require("../lti.errors");
+const { getServiceToken } = require("./ltiServiceToken");
+
+/**
+ * Assignment and Grade Services: find or create an LMS gradebook column
+ * (line item) and post scores to it.
+ */
+
+const AGS_SCOPES = Object.freeze({
+  LINE_ITEM: "https://purl.imsglobal.org/spec/lti-ags/scope/lineitem",
+  LINE_ITEM_READONLY: "https://purl.imsglobal.org/spec/lti-ags/scope/lineitem.readonly",
+  SCORE: "https://purl.imsglobal.org/spec/lti-ags/scope/score",
+});
+
+const AGS_MEDIA_TYPES = Object.freeze({
+  LINE_ITEM: "application/vnd.ims.lis.v2.lineitem+json",
+  LINE_ITEM_CONTAINER: "application/vnd.ims.lis.v2.lineitemcontainer+json",
+  SCORE: "application/vnd.ims.lis.v1.score+json",
+});
+
+const LINE_ITEM_TAG = "scale-challenge";
+const REQUEST_TIMEOUT_MS = 15000;
+
+function agsFailed(message, error) {
+  return makeLtiError(message, 502, "LTI_AGS_FAILED", {
+    status: error.response?.status || null,
+    reason: error.response?.data?.error || error.message,
+  });
+}
+
+/**
+ * The scores endpoint of a line item: its URL with "/scores" appended to the
+ * path (line item URLs may carry a query string).
+ */
+function scoresUrl(lineItemUrl) {
+  const url = new URL(lineItemUrl);
+  url.pathname = `${url.pathname.replace(/\/$/, "")}/scores`;
+  return url.toString();
+}
+
+/**
+ * The course's line item for a resource (challenge), or null.
+ *
+ * @returns {Promise<Object|null>} line item ({ id, label, scoreMaximum, resourceId })
+ */
+async function findLineItem(platform, lineItemsUrl, resourceId, options = {}) {
+  const accessToken = await getServiceToken(platform, [AGS_SCOPES.LINE_ITEM], options);
+  const url = new URL(lineItemsUrl);
+  url.searchParams.set("resource_id", String(resourceId));
+  try {
+    const response = await axios.get(url.toString(), {
+      headers: { Authorization: `Bearer ${accessToken}`, Accept: AGS_MEDIA_TYPES.LINE_ITEM_CONTAINER },
+      timeout: REQUEST_TIMEOUT_MS,
+    });
+    const lineItems = Array.isArray(response.data) ? response.data : [];
+    return lineItems.find((item) => String(item.resourceId) === String(resourceId)) || null;
+  } catch (error) {
+    throw agsFailed("Could not read the LMS gradebook columns", error);
+  }
+}
+
+/**
+ * Create a line item in the course.
+ *
+ * @param {Object} lineItem - { label, scoreMaximum, resourceId }
+ * @returns {Promise<Object>} the created line item
+ */
+async function createLineItem(platform, lineItemsUrl, lineItem, options = {}) {
+  const accessToken = await getServiceToken(platform, [AGS_SCOPES.LINE_ITEM], options);
+  try {
+    const response = await axios.post(
+      lineItemsUrl,
+      {
+        label: lineItem.label,
+        scoreMaximum: lineItem.scoreMaximum,
+        resourceId: String(lineItem.resourceId),
+        tag: LINE_ITEM_TAG,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          "Content-Type": AGS_MEDIA_TYPES.LINE_ITEM,
+          Accept: AGS_MEDIA_TYPES.LINE_ITEM,
+        },
+        timeout: REQUEST_TIMEOUT_MS,
+      }
+    );
+    if (!response.data?.id) {
+      throw new Error("The LMS returned a line item without an id");
+    }
+    return response.data;
+  } catch (error) {
+    throw agsFailed("Could not create the LMS gradebook column", error);
+  }
+}
+
+/**
+ * Post one student's final score to a line item.
+ *
+ * @param {Object} score
+ * @param {string} score.userId - the student's LTI user ID (sub)
+ * @param {number} score.scoreGiven
+ * @param {number} score.scoreMaximum
+ * @param {Date} [score.timestamp]
+ */
+async function postScore(platform, lineItemUrl, score, options = {}) {
+  const accessToken = await getServiceToken(platform, [AGS_SCOPES.SCORE], options);
+  try {
+    await axios.post(
+      scoresUrl(lineItemUrl),
+      {
+        userId: score.userId,
+        scoreGiven: score.scoreGiven,
+        scoreMaximum: score.scoreMaximum,
+        activityProgress: "Completed",
+        gradingProgress: "FullyGraded",
+        timestamp: (score.timestamp || new Date()).toISOString(),
+      },
+      {
+        headers: { Authorization: `Bearer ${accessToken}`, "Content-Type": AGS_MEDIA_TYPES.SCORE },
+        timeout: REQUEST_TIMEOUT_MS,
+      }
+    );
+  } catch (error) {
+    throw agsFailed("The LMS did not accept the score", error);
+  }
+}
+
+module.exports = {
+  AGS_SCOPES,
+  AGS_MEDIA_TYPES,
+  LINE_ITEM_TAG,
+  scoresUrl,
+  findLineItem,
+  createLineItem,
+  postScore,
+};
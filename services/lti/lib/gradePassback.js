@@ -0,0 +1,394 @@
+const mongoose = require("mongoose");
+const Challenge = require("../../challenge/challenge.model");
+const Enrollment = require("../../enrollment/enrollment.model");
+const LedgerEntry = require("../../ledger/ledger.model");
+const GradebookService = require("../../gradebook/lib/gradebookService");
+const { shareTeamEntries } = GradebookService;
+const LtiPlatform = require("../ltiPlatform.model");
+const LtiContext = require("../ltiContext.model");
+const LtiIdentity = require("../ltiIdentity.model");
+const LtiGradeSync = require("../ltiGradeSync.model");
+const { makeLtiError } = require("../lti.errors");
+const { AGS_SCOPES, findLineItem, createLineItem, postScore } = require("./ags");
+const { scaleScore } = require("../../gradebook/lib/gradeCalculator");
+const { releasesImmediately } = require("../../challenge/lib/releaseHold");
+
+/**
+ * LMS grade passback: when a challenge's feedback is released, post each
+ * student's score to a line item (gradebook column) in every LMS course
+ * linked to the classroom.
+ *
+ * What is posted is set by `challenge.ltiGradePassback`:
+ *
+ * - source "gradebook": the challenge grade under the classroom's grading
+ *   scheme (0-100, with late penalties and adjustments), scaled to
+ *   scoreMaximum.
+ * - source "metric": one ledger metric (team members get their team's). With
+ *   floor and target it is scaled like an "absolute" gradebook criterion;
+ *   without them the raw value is posted (negative values post as 0).
+ *
+ * The line item is the one the LMS named in a launch of the challenge's
+ * deep link when there is one; otherwise it is looked up by resourceId
+ * (the challenge ID) and created if missing. Each student's outcome is kept
+ * in LtiGradeSync; students who never opened SCALE from the LMS have no LTI
+ * user ID to post to and are skipped.
+ */
+
+const PASSBACK_SOURCES = ["gradebook", "metric"];
+const MAX_LABEL_LENGTH = 255;
+
+function invalid(message, details) {
+  return makeLtiError(message, 400, "INVALID_GRADE_PASSBACK", details);
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function toFiniteNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function readOptionalNumber(value, field) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = toFiniteNumber(value);
+  if (number === null) throw invalid(`${field} must be a number`, { field });
+  return number;
+}
+
+/**
+ * Validate a grade passback settings update and merge it over the current
+ * settings. Throws 400 INVALID_GRADE_PASSBACK.
+ *
+ * @param {Object} value - the update
+ * @param {Object} [options]
+ * @param {Object} [options.current] - current challenge.ltiGradePassback
+ * @param {string[]} [options.metricKeys] - numeric metric keys of the classroom
+ * @returns {Object} the full settings
+ */
+function normalizePassbackInput(value, { current = {}, metricKeys = [] } = {}) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw invalid("ltiGradePassback must be an object");
+  }
+  const merged = {
+    enabled: false,
+    source: "gradebook",
+    metricKey: null,
+    floor: null,
+    target: null,
+    scoreMaximum: 100,
+    label: null,
+    ...current,
+    ...value,
+  };
+
+  const settings = {
+    enabled: !!merged.enabled,
+    source: merged.source || "gradebook",
+    metricKey: null,
+    floor: null,
+    target: null,
+    scoreMaximum: readOptionalNumber(merged.scoreMaximum, "scoreMaximum"),
+    label: merged.label ? String(merged.label).trim().slice(0, MAX_LABEL_LENGTH) || null : null,
+  };
+  if (!PASSBACK_SOURCES.includes(settings.source)) {
+    throw invalid(`source must be one of: ${PASSBACK_SOURCES.join(", ")}`, { field: "source" });
+  }
+  if (settings.scoreMaximum === null || settings.scoreMaximum <= 0) {
+    throw invalid("scoreMaximum must be greater than 0", { field: "scoreMaximum" });
+  }
+
+  if (settings.source === "metric") {
+    if (!metricKeys.includes(merged.metricKey)) {
+      throw invalid("metricKey must be a numeric metric of this class", { field: "metricKey" });
+    }
+    settings.metricKey = merged.metricKey;
+    settings.floor = readOptionalNumber(merged.floor, "floor");
+    settings.target = readOptionalNumber(merged.target, "target");
+    if ((settings.floor === null) !== (settings.target === null)) {
+      throw invalid("floor and target must be set together", { field: "target" });
+    }
+    if (settings.floor !== null && settings.floor === settings.target) {
+      throw invalid("target must differ from floor", { field: "target" });
+    }
+  }
+  return settings;
+}
+
+/**
+ * The score to post for a student's value (a 0-100 grade or a metric), or
+ * null when there is nothing to post.
+ *
+ * @returns {{ scoreGiven: number, scoreMaximum: number }|null}
+ */
+function passbackScore(settings, value) {
+  const number = toFiniteNumber(value);
+  if (number === null) return null;
+  const scoreMaximum = settings.scoreMaximum || 100;
+
+  let scoreGiven;
+  if (settings.source === "metric" && (settings.floor === null || settings.floor === undefined)) {
+    scoreGiven = Math.max(0, number);
+  } else {
+    const percent =
+      settings.source === "metric" ? scaleScore(number, settings.floor, settings.target) : number;
+    scoreGiven = (Math.max(0, percent) / 100) * scoreMaximum;
+  }
+  return { scoreGiven: round2(scoreGiven), scoreMaximum };
+}
+
+/**
+ * Students can see the challenge's results: the same rule the student
+ * gradebook uses.
+ */
+function isFeedbackVisible(challenge) {
+  return (
+    !!challenge.isPublished &&
+    !!challenge.isClosed &&
+    (!!challenge.isFeedbackReleased || releasesImmediately(challenge))
+  );
+}
+
+/**
+ * Every enrolled student's score for the challenge (null when they have
+ * no result).
+ *
+ * @returns {Promise<Map<string, Object|null>>} memberId -> passbackScore
+ */
+async function computePassbackScores(challenge) {
+  const settings = challenge.ltiGradePassback || {};
+  const enrollments = await Enrollment.findByClassAndRole(challenge.classroomId, "member")
+    .select("userId")
+    .lean();
+  const values = new Map();
+
+  if (settings.source === "metric") {
+    const entries = await LedgerEntry.find({ challengeId: challenge._id, roundKey: null })
+      .select("userId metrics team.teamId")
+      .lean();
+    // Team results live under the anchor member; every member is scored on them
+    const { teamEntries } = await shareTeamEntries(challenge.classroomId, entries);
+    [...entries, ...teamEntries].forEach((entry) => {
+      const metrics = entry.metrics instanceof Map ? Object.fromEntries(entry.metrics) : entry.metrics || {};
+      values.set(String(entry.userId), metrics[settings.metricKey]);
+    });
+  } else {
+    try {
+      const { grades } = await GradebookService.getChallengeGrades(
+        challenge.classroomId,
+        challenge.organization,
+        challenge._id
+      );
+      grades
+        .filter((grade) => grade.status === "graded")
+        .forEach((grade) => values.set(String(grade.userId), grade.score));
+    } catch (error) {
+      if (error.code !== "CHALLENGE_NOT_GRADED") throw error;
+    }
+  }
+
+  return new Map(
+    enrollments.map((enrollment) => {
+      const memberId = String(enrollment.userId);
+      return [memberId, passbackScore(settings, values.get(memberId))];
+    })
+  );
+}
+
+function agsUnavailable() {
+  return makeLtiError(
+    "The LMS has not offered a gradebook service for this course",
+    409,
+    "LTI_AGS_UNAVAILABLE"
+  );
+}
+
+/**
+ * The URL of the challenge's line item in a linked course, finding or
+ * creating it on first use.
+ *
+ * @param {Object} platform - LtiPlatform
+ * @param {Object} context - LtiContext document
+ * @param {Object} challenge
+ * @returns {Promise<string>}
+ */
+async function ensureLineItem(platform, context, challenge, options = {}) {
+  const known = context.lineItemFor(challenge._id);
+  if (known) return known;
+  if (!context.lineItemsUrl || !(context.agsScopes || []).includes(AGS_SCOPES.LINE_ITEM)) {
+    throw agsUnavailable();
+  }
+
+  const settings = challenge.ltiGradePassback || {};
+  const lineItem =
+    (await findLineItem(platform, context.lineItemsUrl, challenge._id, options)) ||
+    (await createLineItem(
+      platform,
+      context.lineItemsUrl,
+      {
+        label: settings.label || challenge.title,
+        scoreMaximum: settings.scoreMaximum || 100,
+        resourceId: challenge._id,
+      },
+      options
+    ));
+  await LtiContext.recordLineItem(context._id, challenge._id, lineItem.id);
+  return lineItem.id;
+}
+
+/**
+ * Post a challenge's scores to every linked LMS course and record each
+ * student's outcome.
+ *
+ * @param {string} challengeId
+ * @param {Object} [options]
+ * @param {string[]} [options.memberIds] - only these students (default: everyone enrolled)
+ * @param {string} [options.updatedBy]
+ * @returns {Promise<Object>} summary: counts per status, per-course results
+ *   and `failedMemberIds` (to retry)
+ */
+async function syncChallengeGrades(
+  challengeId,
+  { memberIds = null, updatedBy = "lti-grade-passback", now = new Date(), ...options } = {}
+) {
+  const challenge = mongoose.Types.ObjectId.isValid(challengeId)
+    ? await Challenge.findById(challengeId)
+    : null;
+  if (!challenge) {
+    throw makeLtiError("Challenge not found", 404, "CHALLENGE_NOT_FOUND");
+  }
+  const summary = {
+    challengeId: String(challenge._id),
+    status: "completed",
+    synced: 0,
+    failed: 0,
+    skipped: 0,
+    contexts: [],
+    failedMemberIds: [],
+  };
+  if (!challenge.ltiGradePassback?.enabled) return { ...summary, status: "disabled" };
+  if (!isFeedbackVisible(challenge)) {
+    throw makeLtiError("Feedback has not been released", 409, "LTI_GRADES_NOT_RELEASED");
+  }
+
+  const contexts = await LtiContext.find({ classroomId: challenge.classroomId });
+  if (contexts.length === 0) return { ...summary, status: "not_linked" };
+
+  const scores = await computePassbackScores(challenge);
+  const targetIds = memberIds
+    ? [...new Set(memberIds.map(String))].filter((memberId) => scores.has(memberId))
+    : [...scores.keys()];
+  const failedMemberIds = new Set();
+
+  for (const context of contexts) {
+    const result = { contextId: context.contextId, lineItemUrl: null, synced: 0, failed: 0, skipped: 0, error: null };
+    const platform = await LtiPlatform.findOne({ _id: context.platformId, isActive: true }).lean();
+    const identities = platform
+      ? await LtiIdentity.find({ platformId: platform._id, memberId: { $in: targetIds } })
+          .select("sub memberId")
+          .lean()
+      : [];
+    const subByMember = new Map(identities.map((identity) => [String(identity.memberId), identity.sub]));
+
+    // Only touch the LMS gradebook when someone in it has a score to post
+    let contextError = null;
+    const postable = targetIds.filter((memberId) => scores.get(memberId) && subByMember.has(memberId));
+    if (postable.length > 0) {
+      try {
+        if (!platform) {
+          throw makeLtiError("This LMS is not registered with SCALE", 404, "LTI_PLATFORM_NOT_FOUND");
+        }
+        if (!(context.agsScopes || []).includes(AGS_SCOPES.SCORE)) throw agsUnavailable();
+        result.lineItemUrl = await ensureLineItem(platform, context, challenge, options);
+      } catch (error) {
+        contextError = error;
+        result.error = error.message;
+      }
+    }
+
+    for (const memberId of targetIds) {
+      const score = scores.get(memberId);
+      const ltiUserId = subByMember.get(memberId) || null;
+      const record = (fields) =>
+        LtiGradeSync.recordResult({
+          context,
+          challengeId: challenge._id,
+          memberId,
+          ltiUserId,
+          updatedBy,
+          now,
+          ...fields,
+        });
+
+      if (!score || !ltiUserId) {
+        await record({ status: "skipped", score, skipReason: score ? "no_lti_identity" : "no_result" });
+        result.skipped++;
+        continue;
+      }
+      let error = contextError;
+      if (!error) {
+        try {
+          await postScore(platform, result.lineItemUrl, { userId: ltiUserId, ...score, timestamp: now }, options);
+        } catch (postError) {
+          error = postError;
+        }
+      }
+      if (error) {
+        await record({ status: "failed", score, error: error.message });
+        result.failed++;
+        failedMemberIds.add(memberId);
+      } else {
+        await record({ status: "synced", score });
+        result.synced++;
+      }
+    }
+
+    summary.synced += result.synced;
+    summary.failed += result.failed;
+    summary.skipped += result.skipped;
+    summary.contexts.push(result);
+  }
+
+  summary.failedMemberIds = [...failedMemberIds];
+  return summary;
+}
+
+/**
+ * Queue a passback run for a challenge, marking the students' sync rows
+ * pending. Omit memberIds for everyone.
+ */
+async function requestGradePassback(challenge, { memberIds = null, updatedBy = "lti-grade-passback" } = {}) {
+  const { enqueueChallengeGradePassback } = require("../../../lib/queues/lti-grade-passback-worker");
+  await LtiGradeSync.markPending(challenge._id, memberIds, updatedBy);
+  return enqueueChallengeGradePassback(challenge._id, { memberIds });
+}
+
+/**
+ * Release hook: queue passback for a challenge whose feedback was just
+ * released, when it is enabled and the classroom is linked to an LMS course.
+ * Never throws; releasing feedback must not fail on the LMS.
+ */
+async function queueGradePassbackOnRelease(challenge) {
+  if (!challenge?.ltiGradePassback?.enabled) return null;
+  try {
+    if (!(await LtiContext.exists({ classroomId: challenge.classroomId }))) return null;
+    return await requestGradePassback(challenge);
+  } catch (error) {
+    console.error(`Failed to queue LMS grade passback for challenge ${challenge._id}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  PASSBACK_SOURCES,
+  normalizePassbackInput,
+  passbackScore,
+  isFeedbackVisible,
+  computePassbackScores,
+  ensureLineItem,
+  syncChallengeGrades,
+  requestGradePassback,
+  queueGradePassbackOnRelease,
+};
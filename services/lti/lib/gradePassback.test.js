@@ -0,0 +1,321 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const Challenge = require("../../challenge/challenge.model");
+const Enrollment = require("../../enrollment/enrollment.model");
+const GradebookService = require("../../gradebook/lib/gradebookService");
+const LedgerEntry = require("../../ledger/ledger.model");
+const LtiPlatform = require("../ltiPlatform.model");
+const LtiContext = require("../ltiContext.model");
+const LtiIdentity = require("../ltiIdentity.model");
+const LtiGradeSync = require("../ltiGradeSync.model");
+const Team = require("../../team/team.model");
+const { AGS_SCOPES, scoresUrl } = require("./ags");
+const {
+  normalizePassbackInput,
+  passbackScore,
+  isFeedbackVisible,
+  syncChallengeGrades,
+} = require("./gradePassback");
+const { clearServiceTokenCache } = require("./ltiServiceToken");
+const { createMockLtiPlatform, DEFAULT_CONTEXT } = require("./mockPlatform");
+
+const toolKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const platformId = "64b7f0000000000000000001";
+const classroomId = "64b7f0000000000000000002";
+const challengeId = "64b7f0000000000000000003";
+const [m1, m2, m3, m4] = [
+  "64b7f00000000000000000a1",
+  "64b7f00000000000000000a2",
+  "64b7f00000000000000000a3",
+  "64b7f00000000000000000a4",
+];
+
+const lean = (value) => ({ lean: async () => value });
+
+test("normalizePassbackInput validates the source and its scale", () => {
+  const invalid = (err) => err.statusCode === 400 && err.code === "INVALID_GRADE_PASSBACK";
+
+  assert.deepEqual(normalizePassbackInput({ enabled: true }), {
+    enabled: true,
+    source: "gradebook",
+    metricKey: null,
+    floor: null,
+    target: null,
+    scoreMaximum: 100,
+    label: null,
+  });
+  assert.deepEqual(
+    normalizePassbackInput(
+      { source: "metric", metricKey: "profit", floor: "0", target: 5000, label: "  Week 1  " },
+      { current: { enabled: true, scoreMaximum: 10 }, metricKeys: ["profit"] }
+    ),
+    {
+      enabled: true,
+      source: "metric",
+      metricKey: "profit",
+      floor: 0,
+      target: 5000,
+      scoreMaximum: 10,
+      label: "Week 1",
+    }
+  );
+
+  assert.throws(() => normalizePassbackInput([]), invalid);
+  assert.throws(() => normalizePassbackInput({ source: "rubric" }), invalid);
+  assert.throws(() => normalizePassbackInput({ scoreMaximum: 0 }), invalid);
+  assert.throws(() => normalizePassbackInput({ source: "metric", metricKey: "nope" }, { metricKeys: ["profit"] }), invalid);
+  assert.throws(
+    () => normalizePassbackInput({ source: "metric", metricKey: "profit", floor: 1 }, { metricKeys: ["profit"] }),
+    invalid
+  );
+  assert.throws(
+    () =>
+      normalizePassbackInput(
+        { source: "metric", metricKey: "profit", floor: 1, target: 1 },
+        { metricKeys: ["profit"] }
+      ),
+    invalid
+  );
+});
+
+test("passbackScore scales grades and metrics to scoreMaximum", () => {
+  assert.deepEqual(passbackScore({ source: "gradebook", scoreMaximum: 20 }, 87.5), {
+    scoreGiven: 17.5,
+    scoreMaximum: 20,
+  });
+  assert.deepEqual(
+    passbackScore({ source: "metric", floor: 1000, target: 3000, scoreMaximum: 10 }, 2000),
+    { scoreGiven: 5, scoreMaximum: 10 }
+  );
+  // Scaled metrics are capped like gradebook criteria; raw metrics are not
+  assert.equal(
+    passbackScore({ source: "metric", floor: 1000, target: 3000, scoreMaximum: 10 }, 9000).scoreGiven,
+    10
+  );
+  assert.equal(passbackScore({ source: "metric", floor: null, scoreMaximum: 100 }, 123.456).scoreGiven, 123.46);
+  assert.equal(passbackScore({ source: "metric", floor: null, scoreMaximum: 100 }, -4).scoreGiven, 0);
+  assert.equal(passbackScore({ source: "gradebook", scoreMaximum: 100 }, null), null);
+  assert.equal(passbackScore({ source: "gradebook", scoreMaximum: 100 }, "n/a"), null);
+});
+
+test("isFeedbackVisible matches the student gradebook", () => {
+  const closed = { isPublished: true, isClosed: true };
+  assert.equal(isFeedbackVisible({ ...closed, isFeedbackReleased: true }), true);
+  assert.equal(isFeedbackVisible({ ...closed, feedbackReleaseMode: "IMMEDIATE" }), true);
+  assert.equal(isFeedbackVisible({ ...closed, feedbackReleaseMode: "DELAYED" }), false);
+  // Held back by outlier review until the flagged entries are resolved
+  const held = { ...closed, feedbackReleaseMode: "IMMEDIATE", outlierReview: { status: "pending" } };
+  assert.equal(isFeedbackVisible(held), false);
+  assert.equal(isFeedbackVisible({ ...held, isFeedbackReleased: true }), true);
+  assert.equal(isFeedbackVisible({ isPublished: true, isFeedbackReleased: true }), false);
+});
+
+test("scoresUrl keeps the line item's query string", () => {
+  assert.equal(
+    scoresUrl("https://lms.example.edu/api/lti/courses/1/line_items/7?type=x"),
+    "https://lms.example.edu/api/lti/courses/1/line_items/7/scores?type=x"
+  );
+  assert.equal(scoresUrl("https://lms/lineitems/7/"), "https://lms/lineitems/7/scores");
+});
+
+async function startPlatform(t) {
+  const previousKey = process.env.LTI_TOOL_PRIVATE_KEY;
+  process.env.LTI_TOOL_PRIVATE_KEY = toolKey.privateKey.export({ type: "pkcs8", format: "pem" });
+  const mock = createMockLtiPlatform({ toolPublicKey: toolKey.publicKey });
+  await mock.listen();
+  clearServiceTokenCache();
+  t.after(async () => {
+    await mock.close();
+    clearServiceTokenCache();
+    if (previousKey === undefined) delete process.env.LTI_TOOL_PRIVATE_KEY;
+    else process.env.LTI_TOOL_PRIVATE_KEY = previousKey;
+  });
+  return { mock, platform: { _id: platformId, organization: "org1", isActive: true, ...mock.registration() } };
+}
+
+/**
+ * Stub a released challenge in a classroom linked to the mock's course:
+ * m1 and m2 launched from the LMS, m3 never did, m4 has no result.
+ */
+function stubLinkedChallenge(t, { mock, platform }, passback = {}) {
+  const challenge = {
+    _id: challengeId,
+    classroomId,
+    organization: "org1",
+    title: "Week 3: Pricing",
+    isPublished: true,
+    isClosed: true,
+    isFeedbackReleased: true,
+    ltiGradePassback: { enabled: true, source: "gradebook", scoreMaximum: 10, label: null, ...passback },
+  };
+  const context = new LtiContext({
+    platformId,
+    deploymentId: "deployment-1",
+    contextId: DEFAULT_CONTEXT.id,
+    classroomId,
+    lineItemsUrl: `${mock.url}/ags/${DEFAULT_CONTEXT.id}/lineitems`,
+    agsScopes: [AGS_SCOPES.LINE_ITEM, AGS_SCOPES.SCORE],
+    organization: "64b7f0000000000000000010",
+  });
+  const recorded = [];
+
+  t.mock.method(Challenge, "findById", async () => challenge);
+  t.mock.method(LtiContext, "find", async () => [context]);
+  t.mock.method(LtiContext, "recordLineItem", async (id, itemChallengeId, lineItemUrl) => {
+    context.lineItems.push({ challengeId: itemChallengeId, lineItemUrl });
+  });
+  t.mock.method(Enrollment, "findByClassAndRole", () => ({
+    select: () => lean([m1, m2, m3, m4].map((userId) => ({ userId }))),
+  }));
+  t.mock.method(GradebookService, "getChallengeGrades", async () => ({
+    grades: [
+      { userId: m1, status: "graded", score: 80 },
+      { userId: m2, status: "graded", score: 45.5 },
+      { userId: m3, status: "graded", score: 100 },
+      { userId: m4, status: "missing", score: 0 },
+    ],
+  }));
+  t.mock.method(LtiPlatform, "findOne", () => lean(platform));
+  t.mock.method(LtiIdentity, "find", (query) => ({
+    select: () =>
+      lean(
+        [
+          { sub: "learner-1", memberId: m1 },
+          { sub: "learner-2", memberId: m2 },
+        ].filter((identity) => query.memberId.$in.includes(identity.memberId))
+      ),
+  }));
+  t.mock.method(LtiGradeSync, "recordResult", async (input) => {
+    recorded.push(input);
+  });
+  return { challenge, context, recorded };
+}
+
+test("syncChallengeGrades creates the line item and posts each student's score", async (t) => {
+  const started = await startPlatform(t);
+  const { mock } = started;
+  const { context, recorded } = stubLinkedChallenge(t, started);
+
+  const summary = await syncChallengeGrades(challengeId);
+
+  assert.equal(summary.status, "completed");
+  assert.deepEqual([summary.synced, summary.failed, summary.skipped], [2, 0, 2]);
+  assert.deepEqual(summary.failedMemberIds, []);
+
+  const [lineItem] = mock.lineItems(DEFAULT_CONTEXT.id);
+  assert.equal(lineItem.label, "Week 3: Pricing");
+  assert.equal(lineItem.resourceId, challengeId);
+  assert.equal(lineItem.scoreMaximum, 10);
+  assert.equal(context.lineItemFor(challengeId), lineItem.id);
+  assert.equal(summary.contexts[0].lineItemUrl, lineItem.id);
+
+  assert.deepEqual(
+    mock.scores.map((score) => [score.userId, score.scoreGiven, score.scoreMaximum, score.gradingProgress]),
+    [
+      ["learner-1", 8, 10, "FullyGraded"],
+      ["learner-2", 4.55, 10, "FullyGraded"],
+    ]
+  );
+  assert.deepEqual(
+    recorded.map((row) => [row.memberId, row.status, row.skipReason || null]),
+    [
+      [m1, "synced", null],
+      [m2, "synced", null],
+      [m3, "skipped", "no_lti_identity"],
+      [m4, "skipped", "no_result"],
+    ]
+  );
+
+  // A second run reuses the line item
+  await syncChallengeGrades(challengeId, { memberIds: [m2] });
+  assert.equal(mock.lineItems(DEFAULT_CONTEXT.id).length, 1);
+  assert.deepEqual(mock.scores.map((score) => score.userId), ["learner-1", "learner-2", "learner-2"]);
+});
+
+test("syncChallengeGrades records failed posts for retry", async (t) => {
+  const started = await startPlatform(t);
+  const { mock } = started;
+  const { recorded } = stubLinkedChallenge(t, started);
+  mock.failScoresFor(["learner-2"]);
+
+  const summary = await syncChallengeGrades(challengeId, { memberIds: [m1, m2] });
+
+  assert.deepEqual([summary.synced, summary.failed], [1, 1]);
+  assert.deepEqual(summary.failedMemberIds, [m2]);
+  const failed = recorded.find((row) => row.memberId === m2);
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.error, "The LMS did not accept the score");
+  assert.deepEqual(failed.score, { scoreGiven: 4.55, scoreMaximum: 10 });
+});
+
+test("syncChallengeGrades fails every student of a course without grade services", async (t) => {
+  const started = await startPlatform(t);
+  const { context, recorded } = stubLinkedChallenge(t, started);
+  context.agsScopes = [];
+
+  const summary = await syncChallengeGrades(challengeId);
+
+  assert.deepEqual(summary.failedMemberIds, [m1, m2]);
+  assert.match(summary.contexts[0].error, /gradebook service/);
+  assert.deepEqual(
+    recorded.map((row) => row.status),
+    ["failed", "failed", "skipped", "skipped"]
+  );
+});
+
+test("syncChallengeGrades posts a scaled metric and skips disabled or unreleased challenges", async (t) => {
+  const started = await startPlatform(t);
+  const { mock } = started;
+  const { challenge } = stubLinkedChallenge(t, started, {
+    source: "metric",
+    metricKey: "profit",
+    floor: 0,
+    target: 2000,
+  });
+  t.mock.method(LedgerEntry, "find", () => ({
+    select: () =>
+      lean([
+        { userId: m1, metrics: { profit: 1500 } },
+        { userId: m2, metrics: { profit: "not a number" } },
+      ]),
+  }));
+  t.mock.method(Team, "find", () => ({ select: () => lean([]) }));
+
+  const summary = await syncChallengeGrades(challengeId);
+  assert.deepEqual([summary.synced, summary.skipped], [1, 3]);
+  assert.deepEqual(mock.scores.map((score) => [score.userId, score.scoreGiven]), [["learner-1", 7.5]]);
+
+  challenge.isFeedbackReleased = false;
+  await assert.rejects(
+    syncChallengeGrades(challengeId),
+    (err) => err.statusCode === 409 && err.code === "LTI_GRADES_NOT_RELEASED"
+  );
+  challenge.ltiGradePassback.enabled = false;
+  assert.equal((await syncChallengeGrades(challengeId)).status, "disabled");
+});
+
+test("syncChallengeGrades scores every team member on the anchor's metric", async (t) => {
+  const started = await startPlatform(t);
+  const { mock } = started;
+  stubLinkedChallenge(t, started, { source: "metric", metricKey: "profit", floor: 0, target: 2000 });
+  t.mock.method(LedgerEntry, "find", () => ({
+    select: () => lean([{ userId: m1, metrics: { profit: 1000 }, team: { teamId: "team1" } }]),
+  }));
+  t.mock.method(Team, "find", () => ({
+    select: () =>
+      lean([{ _id: "team1", status: "active", anchorMemberId: m1, memberIds: [m1, m2] }]),
+  }));
+
+  const summary = await syncChallengeGrades(challengeId);
+
+  assert.deepEqual([summary.synced, summary.skipped], [2, 2]);
+  assert.deepEqual(
+    mock.scores.map((score) => [score.userId, score.scoreGiven]),
+    [
+      ["learner-1", 5],
+      ["learner-2", 5],
+    ]
+  );
+});
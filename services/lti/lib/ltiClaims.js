@@ -0,0 +1,167 @@
+const { makeLtiError } = require("../lti.errors");
+
+/**
+ * LTI 1.3 message claims: the claim names, how LMS roles map to Enrollment
+ * roles, and validation of a verified launch id_token.
+ */
+
+const LTI_VERSION = "1.3.0";
+
+const CLAIMS = Object.freeze({
+  MESSAGE_TYPE: "https://purl.imsglobal.org/spec/lti/claim/message_type",
+  VERSION: "https://purl.imsglobal.org/spec/lti/claim/version",
+  DEPLOYMENT_ID: "https://purl.imsglobal.org/spec/lti/claim/deployment_id",
+  TARGET_LINK_URI: "https://purl.imsglobal.org/spec/lti/claim/target_link_uri",
+  RESOURCE_LINK: "https://purl.imsglobal.org/spec/lti/claim/resource_link",
+  ROLES: "https://purl.imsglobal.org/spec/lti/claim/roles",
+  CONTEXT: "https://purl.imsglobal.org/spec/lti/claim/context",
+  CUSTOM: "https://purl.imsglobal.org/spec/lti/claim/custom",
+  LIS: "https://purl.imsglobal.org/spec/lti/claim/lis",
+  DEEP_LINKING_SETTINGS: "https://purl.imsglobal.org/spec/lti-dl/claim/deep_linking_settings",
+  CONTENT_ITEMS: "https://purl.imsglobal.org/spec/lti-dl/claim/content_items",
+  DEEP_LINKING_DATA: "https://purl.imsglobal.org/spec/lti-dl/claim/data",
+  NAMES_ROLE_SERVICE: "https://purl.imsglobal.org/spec/lti-nrps/claim/namesroleservice",
+  AGS_ENDPOINT: "https://purl.imsglobal.org/spec/lti-ags/claim/endpoint",
+});
+
+const MESSAGE_TYPES = Object.freeze({
+  RESOURCE_LINK: "LtiResourceLinkRequest",
+  DEEP_LINKING: "LtiDeepLinkingRequest",
+  DEEP_LINKING_RESPONSE: "LtiDeepLinkingResponse",
+});
+
+// Context, institution and system roles are matched by their short name
+// (".../membership#Instructor", ".../membership/Instructor#TeachingAssistant"
+// and plain "Instructor" all count)
+const INSTRUCTOR_ROLES = ["Instructor", "Administrator", "ContentDeveloper", "TeachingAssistant"];
+const LEARNER_ROLES = ["Learner", "Student"];
+
+function roleName(role) {
+  const value = String(role || "");
+  const hashIndex = value.lastIndexOf("#");
+  if (hashIndex >= 0) return value.slice(hashIndex + 1);
+  return value.slice(value.lastIndexOf("/") + 1);
+}
+
+/**
+ * The Enrollment role for a set of LMS roles: "admin" for instructors, TAs
+ * and administrators, "member" for learners, null for anyone else
+ * (observers, mentors, guests).
+ *
+ * @param {string[]} roles
+ * @returns {"admin"|"member"|null}
+ */
+function mapLtiRoles(roles) {
+  const names = (Array.isArray(roles) ? roles : []).map(roleName);
+  if (names.some((name) => INSTRUCTOR_ROLES.includes(name))) return "admin";
+  if (names.some((name) => LEARNER_ROLES.includes(name))) return "member";
+  return null;
+}
+
+function invalidLaunch(message, details) {
+  return makeLtiError(message, 401, "LTI_LAUNCH_INVALID", details);
+}
+
+/**
+ * Check a verified id_token against the platform registration and the login
+ * state, and pull out what the tool uses.
+ *
+ * @param {Object} claims - verified id_token payload
+ * @param {Object} options
+ * @param {Object} options.platform - LtiPlatform
+ * @param {string} options.nonce - nonce issued at login initiation
+ * @returns {Object} launch
+ */
+function parseLaunchClaims(claims, { platform, nonce }) {
+  if (claims.iss !== platform.issuer) {
+    throw invalidLaunch("Launch issuer does not match the platform", { iss: claims.iss });
+  }
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(platform.clientId)) {
+    throw invalidLaunch("Launch was not issued for this tool", { aud: claims.aud });
+  }
+  if (audiences.length > 1 && claims.azp !== platform.clientId) {
+    throw invalidLaunch("Launch authorized party does not match this tool", { azp: claims.azp });
+  }
+  if (!nonce || claims.nonce !== nonce) {
+    throw invalidLaunch("Launch nonce does not match the login request");
+  }
+  if (claims[CLAIMS.VERSION] !== LTI_VERSION) {
+    throw invalidLaunch(`Unsupported LTI version: ${claims[CLAIMS.VERSION]}`);
+  }
+
+  const messageType = claims[CLAIMS.MESSAGE_TYPE];
+  if (![MESSAGE_TYPES.RESOURCE_LINK, MESSAGE_TYPES.DEEP_LINKING].includes(messageType)) {
+    throw invalidLaunch(`Unsupported LTI message type: ${messageType}`, { messageType });
+  }
+
+  const deploymentId = claims[CLAIMS.DEPLOYMENT_ID];
+  if (!deploymentId) throw invalidLaunch("Launch is missing deployment_id");
+  const deploymentIds = platform.deploymentIds || [];
+  if (deploymentIds.length > 0 && !deploymentIds.includes(deploymentId)) {
+    throw invalidLaunch("Deployment is not registered for this platform", { deploymentId });
+  }
+
+  if (!claims.sub) throw invalidLaunch("Anonymous launches are not supported");
+
+  const roles = Array.isArray(claims[CLAIMS.ROLES]) ? claims[CLAIMS.ROLES] : [];
+  const context = claims[CLAIMS.CONTEXT] || null;
+  const resourceLink = claims[CLAIMS.RESOURCE_LINK] || null;
+  const deepLinking = claims[CLAIMS.DEEP_LINKING_SETTINGS] || null;
+  const nrps = claims[CLAIMS.NAMES_ROLE_SERVICE] || null;
+  const ags = claims[CLAIMS.AGS_ENDPOINT] || null;
+
+  if (messageType === MESSAGE_TYPES.RESOURCE_LINK && !resourceLink?.id) {
+    throw invalidLaunch("Resource link launch is missing resource_link.id");
+  }
+  if (messageType === MESSAGE_TYPES.DEEP_LINKING && !deepLinking?.deep_link_return_url) {
+    throw invalidLaunch("Deep linking request is missing deep_link_return_url");
+  }
+
+  return {
+    messageType,
+    deploymentId,
+    targetLinkUri: claims[CLAIMS.TARGET_LINK_URI] || null,
+    user: {
+      sub: String(claims.sub),
+      email: claims.email ? String(claims.email).trim().toLowerCase() : null,
+      firstName: claims.given_name || "",
+      lastName: claims.family_name || "",
+      name: claims.name || "",
+      sourcedId: claims[CLAIMS.LIS]?.person_sourcedid || null,
+    },
+    roles,
+    role: mapLtiRoles(roles),
+    context: context?.id
+      ? { id: String(context.id), title: context.title || "", label: context.label || "" }
+      : null,
+    resourceLink: resourceLink?.id
+      ? { id: String(resourceLink.id), title: resourceLink.title || "" }
+      : null,
+    custom: claims[CLAIMS.CUSTOM] || {},
+    deepLinking: deepLinking
+      ? {
+          returnUrl: deepLinking.deep_link_return_url,
+          acceptTypes: deepLinking.accept_types || [],
+          acceptMultiple: deepLinking.accept_multiple !== false,
+          data: deepLinking.data ?? null,
+        }
+      : null,
+    membershipsUrl: nrps?.context_memberships_url || null,
+    ags: ags
+      ? {
+          lineItemsUrl: ags.lineitems || null,
+          lineItemUrl: ags.lineitem || null,
+          scopes: Array.isArray(ags.scope) ? ags.scope : [],
+        }
+      : null,
+  };
+}
+
+module.exports = {
+  LTI_VERSION,
+  CLAIMS,
+  MESSAGE_TYPES,
+  mapLtiRoles,
+  parseLaunchClaims,
+};
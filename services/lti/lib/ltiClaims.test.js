@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CLAIMS, LTI_VERSION, MESSAGE_TYPES, mapLtiRoles, parseLaunchClaims } = require("./ltiClaims");
+
+const platform = { issuer: "https://lms.example.edu", clientId: "scale-tool", deploymentIds: ["d1"] };
+
+function launchClaims(overrides = {}) {
+  return {
+    iss: platform.issuer,
+    aud: platform.clientId,
+    sub: "user-1",
+    nonce: "n1",
+    email: " Ada@Example.EDU ",
+    given_name: "Ada",
+    family_name: "Lovelace",
+    [CLAIMS.VERSION]: LTI_VERSION,
+    [CLAIMS.MESSAGE_TYPE]: MESSAGE_TYPES.RESOURCE_LINK,
+    [CLAIMS.DEPLOYMENT_ID]: "d1",
+    [CLAIMS.RESOURCE_LINK]: { id: "rl-1" },
+    [CLAIMS.ROLES]: ["http://purl.imsglobal.org/vocab/lis/v2/membership#Learner"],
+    [CLAIMS.CONTEXT]: { id: "course-1", title: "Intro" },
+    [CLAIMS.CUSTOM]: { classroom_id: "c1" },
+    [CLAIMS.NAMES_ROLE_SERVICE]: { context_memberships_url: "https://lms.example.edu/nrps/course-1" },
+    ...overrides,
+  };
+}
+
+test("mapLtiRoles maps instructors to admin and learners to member", () => {
+  assert.equal(mapLtiRoles(["http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor"]), "admin");
+  assert.equal(
+    mapLtiRoles(["http://purl.imsglobal.org/vocab/lis/v2/membership/Instructor#TeachingAssistant"]),
+    "admin"
+  );
+  assert.equal(mapLtiRoles(["Learner"]), "member");
+  assert.equal(
+    mapLtiRoles(["http://purl.imsglobal.org/vocab/lis/v2/institution/person#Student", "Instructor"]),
+    "admin"
+  );
+  assert.equal(mapLtiRoles(["http://purl.imsglobal.org/vocab/lis/v2/membership#Mentor"]), null);
+  assert.equal(mapLtiRoles(undefined), null);
+});
+
+test("parseLaunchClaims extracts the user, course, custom parameters and NRPS URL", () => {
+  const launch = parseLaunchClaims(launchClaims(), { platform, nonce: "n1" });
+
+  assert.equal(launch.messageType, MESSAGE_TYPES.RESOURCE_LINK);
+  assert.equal(launch.role, "member");
+  assert.deepEqual(launch.user, {
+    sub: "user-1",
+    email: "ada@example.edu",
+    firstName: "Ada",
+    lastName: "Lovelace",
+    name: "",
+    sourcedId: null,
+  });
+  assert.deepEqual(launch.context, { id: "course-1", title: "Intro", label: "" });
+  assert.equal(launch.custom.classroom_id, "c1");
+  assert.equal(launch.membershipsUrl, "https://lms.example.edu/nrps/course-1");
+  assert.equal(launch.deepLinking, null);
+  assert.equal(launch.ags, null);
+});
+
+test("parseLaunchClaims reads the AGS endpoint claim", () => {
+  const launch = parseLaunchClaims(
+    launchClaims({
+      [CLAIMS.AGS_ENDPOINT]: {
+        scope: ["https://purl.imsglobal.org/spec/lti-ags/scope/score"],
+        lineitems: "https://lms.example.edu/ags/course-1/lineitems",
+        lineitem: "https://lms.example.edu/ags/course-1/lineitems/7",
+      },
+    }),
+    { platform, nonce: "n1" }
+  );
+
+  assert.deepEqual(launch.ags, {
+    lineItemsUrl: "https://lms.example.edu/ags/course-1/lineitems",
+    lineItemUrl: "https://lms.example.edu/ags/course-1/lineitems/7",
+    scopes: ["https://purl.imsglobal.org/spec/lti-ags/scope/score"],
+  });
+});
+
+test("parseLaunchClaims rejects launches not meant for this tool or login", () => {
+  const parse = (overrides, nonce = "n1") => () =>
+    parseLaunchClaims(launchClaims(overrides), { platform, nonce });
+  const invalid = (err) => err.statusCode === 401 && err.code === "LTI_LAUNCH_INVALID";
+
+  assert.throws(parse({ iss: "https://other.example.edu" }), invalid);
+  assert.throws(parse({ aud: "other-tool" }), invalid);
+  assert.throws(parse({ aud: ["other-tool", "scale-tool"], azp: "other-tool" }), invalid);
+  assert.throws(parse({}, "n2"), invalid);
+  assert.throws(parse({ [CLAIMS.VERSION]: "1.1" }), invalid);
+  assert.throws(parse({ [CLAIMS.DEPLOYMENT_ID]: "d2" }), invalid);
+  assert.throws(parse({ [CLAIMS.RESOURCE_LINK]: undefined }), invalid);
+  assert.throws(parse({ [CLAIMS.MESSAGE_TYPE]: "LtiSubmissionReviewRequest" }), invalid);
+  assert.throws(parse({ [CLAIMS.MESSAGE_TYPE]: MESSAGE_TYPES.DEEP_LINKING }), invalid);
+});
+
+test("parseLaunchClaims reads deep linking settings", () => {
+  const launch = parseLaunchClaims(
+    launchClaims({
+      [CLAIMS.MESSAGE_TYPE]: MESSAGE_TYPES.DEEP_LINKING,
+      [CLAIMS.RESOURCE_LINK]: undefined,
+      [CLAIMS.DEEP_LINKING_SETTINGS]: {
+        deep_link_return_url: "https://lms.example.edu/dl/return",
+        accept_types: ["ltiResourceLink"],
+        accept_multiple: false,
+        data: "opaque",
+      },
+    }),
+    { platform: { ...platform, deploymentIds: [] }, nonce: "n1" }
+  );
+  assert.deepEqual(launch.deepLinking, {
+    returnUrl: "https://lms.example.edu/dl/return",
+    acceptTypes: ["ltiResourceLink"],
+    acceptMultiple: false,
+    data: "opaque",
+  });
+});
@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+const { makeLtiError } = require("../lti.errors");
+
+/**
+ * Tool-side LTI settings from the environment:
+ *
+ * - LTI_TOOL_PRIVATE_KEY: the tool's RSA private key (PEM; "\n" escapes are
+ *   accepted so it fits on one line). Its public half is published at
+ *   /v1/lti/jwks for platforms to verify deep linking responses and service
+ *   token requests.
+ * - LTI_TOOL_KEY_ID: the `kid` for that key (defaults to a thumbprint).
+ *
+ * The URLs given to platforms when registering the tool are built from
+ * SCALE_API_HOST and SCALE_API_VERSION; students land on SCALE_APP_HOST.
+ */
+
+let cachedKey = { pem: null, privateKey: null, publicJwk: null };
+
+function parsePrivateKey(pem) {
+  if (cachedKey.pem === pem) return cachedKey;
+  let privateKey;
+  try {
+    privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, "\n"));
+  } catch (error) {
+    throw makeLtiError("LTI_TOOL_PRIVATE_KEY is not a valid private key", 503, "LTI_NOT_CONFIGURED", {
+      reason: error.message,
+    });
+  }
+  const publicJwk = crypto.createPublicKey(privateKey).export({ format: "jwk" });
+  cachedKey = { pem, privateKey, publicJwk };
+  return cachedKey;
+}
+
+function thumbprint(jwk) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ e: jwk.e, kty: jwk.kty, n: jwk.n }))
+    .digest("base64url");
+}
+
+/**
+ * @returns {{
+ *   apiBaseUrl: string,
+ *   appHost: string,
+ *   loginUrl: string,
+ *   launchUrl: string,
+ *   jwksUrl: string,
+ *   hasKey: boolean,
+ * }}
+ */
+function getLtiConfig(env = process.env) {
+  const apiHost = (env.SCALE_API_HOST || "http://localhost:1337").replace(/\/+$/, "");
+  const apiBaseUrl = `${apiHost}/${env.SCALE_API_VERSION || "v1"}/lti`;
+  return {
+    apiBaseUrl,
+    appHost: (env.SCALE_APP_HOST || "http://localhost:5173").replace(/\/+$/, ""),
+    loginUrl: `${apiBaseUrl}/login`,
+    launchUrl: `${apiBaseUrl}/launch`,
+    jwksUrl: `${apiBaseUrl}/jwks`,
+    hasKey: Boolean(env.LTI_TOOL_PRIVATE_KEY),
+  };
+}
+
+/**
+ * The tool's signing key. Throws 503 LTI_NOT_CONFIGURED without one.
+ *
+ * @returns {{ privateKey: crypto.KeyObject, kid: string, publicJwk: Object }}
+ */
+function getToolKey(env = process.env) {
+  if (!env.LTI_TOOL_PRIVATE_KEY) {
+    throw makeLtiError("LTI is not configured (LTI_TOOL_PRIVATE_KEY)", 503, "LTI_NOT_CONFIGURED");
+  }
+  const { privateKey, publicJwk } = parsePrivateKey(env.LTI_TOOL_PRIVATE_KEY);
+  return {
+    privateKey,
+    publicJwk,
+    kid: env.LTI_TOOL_KEY_ID || thumbprint(publicJwk),
+  };
+}
+
+/**
+ * The tool's public JWKS.
+ */
+function getToolJwks(env = process.env) {
+  const { publicJwk, kid } = getToolKey(env);
+  return { keys: [{ ...publicJwk, kid, alg: "RS256", use: "sig" }] };
+}
+
+module.exports = {
+  getLtiConfig,
+  getToolKey,
+  getToolJwks,
+};
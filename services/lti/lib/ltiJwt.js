@@ -0,0 +1,136 @@
+const crypto = require("crypto");
+const { makeLtiError } = require("../lti.errors");
+
+/**
+ * RS256 JSON Web Tokens for LTI 1.3, on Node's crypto (no JOSE dependency).
+ * Platforms sign launch id_tokens with RS256 and publish their keys as a
+ * JWKS; the tool signs deep linking responses and service client assertions
+ * with its own key (see ./ltiConfig).
+ */
+
+const ALGORITHM = "RS256";
+const DEFAULT_CLOCK_TOLERANCE_SECONDS = 60;
+
+function invalidToken(message, details) {
+  return makeLtiError(message, 401, "LTI_TOKEN_INVALID", details);
+}
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function decodeSegment(segment, name) {
+  try {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch {
+    throw invalidToken(`Token ${name} is not valid JSON`);
+  }
+}
+
+/**
+ * Split a compact JWT without verifying it.
+ *
+ * @returns {{ header: Object, payload: Object, signingInput: string, signature: Buffer }}
+ */
+function decodeJwt(token) {
+  if (typeof token !== "string") throw invalidToken("Token is missing");
+  const parts = token.split(".");
+  if (parts.length !== 3) throw invalidToken("Token is not a compact JWT");
+  const [header, payload, signature] = parts;
+  return {
+    header: decodeSegment(header, "header"),
+    payload: decodeSegment(payload, "payload"),
+    signingInput: `${header}.${payload}`,
+    signature: Buffer.from(signature, "base64url"),
+  };
+}
+
+/**
+ * Sign claims as an RS256 JWT.
+ *
+ * @param {Object} payload
+ * @param {Object} options
+ * @param {crypto.KeyObject|string} options.privateKey
+ * @param {string} [options.kid]
+ * @returns {string}
+ */
+function signJwt(payload, { privateKey, kid }) {
+  const header = { alg: ALGORITHM, typ: "JWT", ...(kid ? { kid } : {}) };
+  const signingInput = `${encodeSegment(header)}.${encodeSegment(payload)}`;
+  const signature = crypto.sign("RSA-SHA256", Buffer.from(signingInput), privateKey);
+  return `${signingInput}.${signature.toString("base64url")}`;
+}
+
+/**
+ * Turn what a key lookup returned into an RSA public key. Platform JWKS are
+ * outside our control, so a key that is malformed or not RSA rejects the
+ * token rather than surfacing as a crypto error.
+ *
+ * @param {crypto.KeyObject|Object} key - KeyObject or JWK
+ * @returns {crypto.KeyObject}
+ */
+function toPublicKey(key) {
+  if (key instanceof crypto.KeyObject) {
+    if (key.asymmetricKeyType !== "rsa") {
+      throw invalidToken("Platform key is not an RSA key", { keyType: key.asymmetricKeyType });
+    }
+    return key;
+  }
+  if (!key || typeof key !== "object" || key.kty !== "RSA") {
+    throw invalidToken("Platform key is not an RSA key", { kty: key?.kty });
+  }
+  if (key.alg !== undefined && key.alg !== ALGORITHM) {
+    throw invalidToken(`Unsupported platform key algorithm: ${key.alg}`, { alg: key.alg });
+  }
+  try {
+    return crypto.createPublicKey({ key, format: "jwk" });
+  } catch {
+    throw invalidToken("Platform key is malformed", { kid: key.kid });
+  }
+}
+
+/**
+ * Verify an RS256 JWT and its time claims.
+ *
+ * @param {string} token
+ * @param {Function} getKey - async (header) => crypto.KeyObject | JWK
+ * @param {Object} [options]
+ * @param {number} [options.now] - ms
+ * @param {number} [options.clockToleranceSeconds]
+ * @returns {Promise<Object>} payload
+ */
+async function verifyJwt(
+  token,
+  getKey,
+  { now = Date.now(), clockToleranceSeconds = DEFAULT_CLOCK_TOLERANCE_SECONDS } = {}
+) {
+  const { header, payload, signingInput, signature } = decodeJwt(token);
+  if (header.alg !== ALGORITHM) {
+    throw invalidToken(`Unsupported token algorithm: ${header.alg}`, { alg: header.alg });
+  }
+
+  const key = await getKey(header);
+  const publicKey = toPublicKey(key);
+  if (!crypto.verify("RSA-SHA256", Buffer.from(signingInput), publicKey, signature)) {
+    throw invalidToken("Token signature is invalid");
+  }
+
+  const seconds = Math.floor(now / 1000);
+  if (typeof payload.exp !== "number" || payload.exp + clockToleranceSeconds < seconds) {
+    throw invalidToken("Token has expired");
+  }
+  if (typeof payload.iat === "number" && payload.iat - clockToleranceSeconds > seconds) {
+    throw invalidToken("Token was issued in the future");
+  }
+  if (typeof payload.nbf === "number" && payload.nbf - clockToleranceSeconds > seconds) {
+    throw invalidToken("Token is not valid yet");
+  }
+  return payload;
+}
+
+module.exports = {
+  ALGORITHM,
+  decodeJwt,
+  signJwt,
+  verifyJwt,
+};
@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const { decodeJwt, signJwt, verifyJwt } = require("./ltiJwt");
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const now = Date.UTC(2026, 0, 15, 12);
+const iat = Math.floor(now / 1000);
+
+test("signJwt tokens verify with the public key or its JWK", async () => {
+  const token = signJwt({ sub: "u1", iat, exp: iat + 60 }, { privateKey, kid: "k1" });
+  assert.equal(decodeJwt(token).header.kid, "k1");
+
+  const payload = await verifyJwt(token, async () => publicKey, { now });
+  assert.equal(payload.sub, "u1");
+
+  const jwk = publicKey.export({ format: "jwk" });
+  assert.equal((await verifyJwt(token, async () => jwk, { now })).sub, "u1");
+});
+
+test("verifyJwt rejects tampered, expired and not-yet-valid tokens", async () => {
+  const getKey = async () => publicKey;
+  const token = signJwt({ sub: "u1", iat, exp: iat + 60 }, { privateKey });
+  const [header, , signature] = token.split(".");
+  const forged = `${header}.${Buffer.from(JSON.stringify({ sub: "admin", exp: iat + 60 })).toString("base64url")}.${signature}`;
+
+  await assert.rejects(verifyJwt(forged, getKey, { now }), (err) => err.code === "LTI_TOKEN_INVALID");
+  await assert.rejects(
+    verifyJwt(token, getKey, { now: now + 5 * 60 * 1000 }),
+    (err) => err.code === "LTI_TOKEN_INVALID" && /expired/i.test(err.message)
+  );
+  await assert.rejects(
+    verifyJwt(signJwt({ sub: "u1", nbf: iat + 600, exp: iat + 900 }, { privateKey }), getKey, { now }),
+    (err) => err.code === "LTI_TOKEN_INVALID"
+  );
+});
+
+test("verifyJwt only accepts RS256", async () => {
+  const body = Buffer.from(JSON.stringify({ sub: "u1", exp: iat + 60 })).toString("base64url");
+  const none = `${Buffer.from(JSON.stringify({ alg: "none" })).toString("base64url")}.${body}.`;
+  await assert.rejects(
+    verifyJwt(none, async () => publicKey, { now }),
+    (err) => err.code === "LTI_TOKEN_INVALID" && err.statusCode === 401
+  );
+  assert.throws(() => decodeJwt("not-a-jwt"), (err) => err.code === "LTI_TOKEN_INVALID");
+});
+
+test("verifyJwt rejects malformed and non-RSA platform keys as invalid tokens", async () => {
+  const token = signJwt({ sub: "u1", iat, exp: iat + 60 }, { privateKey });
+  const jwk = publicKey.export({ format: "jwk" });
+  const ecKey = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" }).publicKey;
+  const badKeys = [
+    { ...jwk, n: "!!not-base64!!" },
+    { kty: "RSA", e: "AQAB" },
+    { ...jwk, alg: "RS512" },
+    ecKey.export({ format: "jwk" }),
+    ecKey,
+    null,
+  ];
+
+  for (const key of badKeys) {
+    await assert.rejects(
+      verifyJwt(token, async () => key, { now }),
+      (err) => err.code === "LTI_TOKEN_INVALID" && err.statusCode === 401
+    );
+  }
+});
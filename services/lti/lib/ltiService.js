@@ -0,0 +1,591 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { clerkClient } = require("@clerk/express");
+
+const Challenge = require("../../challenge/challenge.model");
+const Classroom = require("../../classroom/classroom.model");
+const Enrollment = require("../../enrollment/enrollment.model");
+const Member = require("../../members/member.model");
+const Organization = require("../../organizations/organization.model");
+const LtiPlatform = require("../ltiPlatform.model");
+const LtiLoginState = require("../ltiLoginState.model");
+const LtiContext = require("../ltiContext.model");
+const LtiIdentity = require("../ltiIdentity.model");
+const { makeLtiError } = require("../lti.errors");
+const { signJwt, verifyJwt } = require("./ltiJwt");
+const { getLtiConfig, getToolKey } = require("./ltiConfig");
+const { getPlatformKey } = require("./platformJwks");
+const { CLAIMS, LTI_VERSION, MESSAGE_TYPES, parseLaunchClaims } = require("./ltiClaims");
+const { LINE_ITEM_TAG } = require("./ags");
+
+const SIGN_IN_TICKET_TTL_SECONDS = 5 * 60;
+const DEEP_LINKING_SESSION_TTL_SECONDS = 15 * 60;
+const DEEP_LINKING_RESPONSE_TTL_SECONDS = 5 * 60;
+const ROSTER_SYNC_STALE_MS = 12 * 60 * 60 * 1000;
+const DEEP_LINKING_SESSION_TYPE = "scale-lti-deep-linking";
+const ACCOUNT_LINK_SESSION_TTL_SECONDS = 15 * 60;
+const ACCOUNT_LINK_SESSION_TYPE = "scale-lti-account-link";
+
+function appUrl(path, params) {
+  const url = new URL(`${getLtiConfig().appHost}${path}`);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) url.searchParams.set(key, String(value));
+  });
+  return url.toString();
+}
+
+/**
+ * LTI 1.3 Service
+ *
+ * The tool side of an LMS launch:
+ *
+ * 1. The platform calls `initiateLogin` (OIDC third-party login); the user is
+ *    redirected to the platform's auth endpoint with a one-time state/nonce.
+ * 2. The platform posts a signed id_token to the launch URL. `handleLaunch`
+ *    verifies it against the platform JWKS, provisions the member (Clerk
+ *    user, org membership, Enrollment with the mapped role) and returns the
+ *    app URL to send the browser to, carrying a Clerk sign-in ticket. A
+ *    first launch whose email already has a SCALE account goes to the app's
+ *    account link page instead; the user signs in and `confirmAccountLink`
+ *    links the LMS user.
+ * 3. Deep linking requests send instructors to the app's picker, which
+ *    calls `buildDeepLinkingResponse` to place a classroom or challenge in
+ *    the course.
+ */
+class LtiService {
+  /**
+   * Start an OIDC login initiation. Returns the platform URL to redirect to.
+   *
+   * @param {Object} params - login initiation parameters (query or form body)
+   * @returns {Promise<string>}
+   */
+  static async initiateLogin(params = {}) {
+    const {
+      iss,
+      login_hint: loginHint,
+      target_link_uri: targetLinkUri,
+      lti_message_hint: messageHint,
+      client_id: clientId,
+    } = params;
+    if (!iss || !loginHint) {
+      throw makeLtiError("Login initiation needs iss and login_hint", 400, "LTI_LOGIN_INVALID");
+    }
+
+    const platform = await LtiPlatform.findForLaunch({ issuer: iss, clientId });
+    const { state, nonce } = await LtiLoginState.issue({
+      platformId: platform._id,
+      targetLinkUri,
+    });
+
+    const url = new URL(platform.authLoginUrl);
+    const query = {
+      scope: "openid",
+      response_type: "id_token",
+      response_mode: "form_post",
+      prompt: "none",
+      client_id: platform.clientId,
+      redirect_uri: getLtiConfig().launchUrl,
+      login_hint: loginHint,
+      state,
+      nonce,
+    };
+    if (messageHint) query.lti_message_hint = messageHint;
+    Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+
+  /**
+   * Verify a launch: the login state (used once), the id_token signature
+   * against the platform's JWKS, and its LTI claims.
+   *
+   * @returns {Promise<{ platform: Object, launch: Object }>}
+   */
+  static async verifyLaunch({ idToken, state, now = Date.now() }) {
+    const loginState = await LtiLoginState.consume(state, { now });
+    if (!loginState) {
+      throw makeLtiError(
+        "This launch has expired or was already used. Open SCALE from your course again.",
+        401,
+        "LTI_STATE_INVALID"
+      );
+    }
+    const platform = await LtiPlatform.findOne({ _id: loginState.platformId, isActive: true }).lean();
+    if (!platform) {
+      throw makeLtiError("This LMS is not registered with SCALE", 404, "LTI_PLATFORM_NOT_FOUND");
+    }
+
+    const claims = await verifyJwt(
+      idToken,
+      (header) => getPlatformKey(platform.jwksUrl, header.kid, { now }),
+      { now }
+    );
+    const launch = parseLaunchClaims(claims, { platform, nonce: loginState.nonce });
+    return { platform, launch };
+  }
+
+  /**
+   * Handle a launch POST. Returns the app URL the browser should go to.
+   *
+   * @param {Object} input
+   * @param {string} input.idToken
+   * @param {string} input.state
+   * @param {string} [input.ipAddress]
+   * @returns {Promise<{ redirectUrl: string, messageType: string }>}
+   */
+  static async handleLaunch({ idToken, state, ipAddress }) {
+    const { platform, launch } = await this.verifyLaunch({ idToken, state });
+    if (!launch.role) {
+      throw makeLtiError(
+        "Your course role does not have access to SCALE",
+        403,
+        "LTI_ROLE_NOT_SUPPORTED",
+        { roles: launch.roles }
+      );
+    }
+
+    const organization = await Organization.findById(platform.organization);
+    if (!organization) {
+      throw makeLtiError("This LMS is not registered with SCALE", 404, "LTI_PLATFORM_NOT_FOUND");
+    }
+    const member = await this.provisionMember({ platform, launch, organization });
+    if (!member) {
+      return {
+        messageType: launch.messageType,
+        redirectUrl: appUrl("/lti/link", {
+          session: this.signAccountLinkSession({ platform, launch }),
+          email: launch.user.email,
+          platformName: platform.name,
+        }),
+      };
+    }
+
+    if (launch.messageType === MESSAGE_TYPES.DEEP_LINKING) {
+      if (launch.role !== "admin") {
+        throw makeLtiError("Only instructors can add SCALE content", 403, "LTI_DEEP_LINKING_FORBIDDEN");
+      }
+      return {
+        messageType: launch.messageType,
+        redirectUrl: appUrl("/lti/deep-link", {
+          ticket: await this.createSignInTicket(member.clerkUserId),
+          orgId: organization.clerkOrganizationId,
+          session: this.signDeepLinkingSession({ platform, launch, member }),
+        }),
+      };
+    }
+
+    const { classroom, challengeId } = await this.resolveLaunchTarget({ platform, launch });
+    await Enrollment.ensureJoin({
+      orgId: organization.clerkOrganizationId,
+      classroomId: classroom._id,
+      clerkUserId: member.clerkUserId,
+      member,
+      studentEmail: launch.user.email || undefined,
+      studentId: launch.user.sourcedId || undefined,
+      joinSource: "lti",
+      ipAddress,
+    });
+    if (launch.context) {
+      const context = await LtiContext.linkLaunch({
+        platform,
+        launch,
+        classroomId: classroom._id,
+        clerkUserId: member.clerkUserId,
+      });
+      // Deep-linked challenges come with the line item the LMS created for them
+      const lineItemUrl = launch.ags?.lineItemUrl;
+      if (challengeId && lineItemUrl && context.lineItemFor(challengeId) !== lineItemUrl) {
+        await LtiContext.recordLineItem(context._id, challengeId, lineItemUrl);
+      }
+      if (launch.role === "admin") this.syncRosterIfStale(context);
+    }
+
+    return {
+      messageType: launch.messageType,
+      redirectUrl: appUrl("/lti/launch", {
+        ticket: await this.createSignInTicket(member.clerkUserId),
+        orgId: organization.clerkOrganizationId,
+        classroomId: classroom._id,
+        challengeId,
+      }),
+    };
+  }
+
+  /**
+   * Start a background roster sync when the course has not been synced
+   * recently. Instructor launches call this so rosters stay fresh without a
+   * scheduled job; failures are recorded on the context.
+   */
+  static syncRosterIfStale(context, { now = Date.now() } = {}) {
+    if (!context?.membershipsUrl) return false;
+    const lastSyncAt = context.lastRosterSync?.at ? new Date(context.lastRosterSync.at).getTime() : 0;
+    if (now - lastSyncAt < ROSTER_SYNC_STALE_MS) return false;
+    const { syncContextRoster } = require("./nrps");
+    syncContextRoster(context).catch((error) => {
+      console.error("LTI roster sync failed:", error.message);
+    });
+    return true;
+  }
+
+  /**
+   * The member behind an LMS user: the linked member for returning users,
+   * otherwise a new Clerk user for the launch email. Returns null when the
+   * email already belongs to an account: the email is only the LMS's word,
+   * so that account's owner has to sign in and confirm the link (see
+   * confirmAccountLink). Instructors must already be admins of the
+   * organization.
+   *
+   * Throws 422 LTI_EMAIL_REQUIRED for first launches without an email, and
+   * 403 LTI_INSTRUCTOR_NOT_AUTHORIZED.
+   */
+  static async provisionMember({ platform, launch, organization }) {
+    const { user } = launch;
+    const identity = await LtiIdentity.findOne({ platformId: platform._id, sub: user.sub }).lean();
+    let member = identity ? await Member.findById(identity.memberId) : null;
+
+    if (!member) {
+      if (!user.email) {
+        throw makeLtiError(
+          "Your LMS did not share your email address with SCALE. Ask your administrator to enable it for this tool.",
+          422,
+          "LTI_EMAIL_REQUIRED"
+        );
+      }
+      if (await Member.findClerkUserByEmail(user.email)) {
+        return null;
+      }
+      const clerkUser = await Member.findOrCreateClerkUser({
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+      });
+      member = await Member.findOne({ clerkUserId: clerkUser.id });
+      if (!member) {
+        // New Clerk users reach Mongo by webhook; don't wait for it
+        member = await Member.findOneAndUpdate(
+          { clerkUserId: clerkUser.id },
+          {
+            $setOnInsert: {
+              clerkUserId: clerkUser.id,
+              firstName: clerkUser.firstName || user.firstName,
+              lastName: clerkUser.lastName || user.lastName,
+              primaryEmailAddressId: clerkUser.primaryEmailAddressId,
+            },
+          },
+          { new: true, upsert: true }
+        );
+        try {
+          await member.populateMaskedContactInfo();
+        } catch (error) {
+          console.warn("Could not populate masked contact info for LTI member:", error.message);
+        }
+      }
+    }
+
+    if (launch.role === "admin") {
+      const membership = await Member.getExistingClerkOrgMembership(
+        organization.clerkOrganizationId,
+        member.clerkUserId
+      );
+      if (membership?.role !== "org:admin") {
+        throw makeLtiError(
+          "Instructors need a SCALE teacher account in this organization before launching from the LMS",
+          403,
+          "LTI_INSTRUCTOR_NOT_AUTHORIZED"
+        );
+      }
+    }
+
+    await LtiIdentity.linkMember({
+      platform,
+      user,
+      memberId: member._id,
+      clerkUserId: member.clerkUserId,
+    });
+    return member;
+  }
+
+  /**
+   * The classroom (and optional challenge) a resource link opens: the
+   * `classroom_id`/`challenge_id` custom parameters set by deep linking, or
+   * the one classroom the course is linked to.
+   *
+   * Throws 404 LTI_RESOURCE_NOT_LINKED.
+   */
+  static async resolveLaunchTarget({ platform, launch }) {
+    let classroomId = launch.custom.classroom_id || null;
+    if (!classroomId && launch.context) {
+      const linked = await LtiContext.findClassroomIds(platform._id, launch.context.id);
+      if (linked.length === 1) classroomId = linked[0];
+    }
+
+    const classroom =
+      classroomId && mongoose.Types.ObjectId.isValid(classroomId)
+        ? await Classroom.findOne({ _id: classroomId, organization: platform.organization })
+        : null;
+    if (!classroom) {
+      throw makeLtiError(
+        "This link is not connected to a SCALE classroom. Ask your instructor to add it again.",
+        404,
+        "LTI_RESOURCE_NOT_LINKED",
+        { classroomId }
+      );
+    }
+
+    const challengeId = launch.custom.challenge_id || null;
+    if (challengeId) {
+      const exists =
+        mongoose.Types.ObjectId.isValid(challengeId) &&
+        (await Challenge.exists({ _id: challengeId, classroomId: classroom._id }));
+      if (!exists) {
+        throw makeLtiError(
+          "This link points to a challenge that no longer exists",
+          404,
+          "LTI_RESOURCE_NOT_LINKED",
+          { classroomId: classroom._id, challengeId }
+        );
+      }
+    }
+    return { classroom, challengeId };
+  }
+
+  /**
+   * A short-lived Clerk sign-in token; the app exchanges it with the
+   * "ticket" sign-in strategy.
+   */
+  static async createSignInTicket(clerkUserId) {
+    const signInToken = await clerkClient.signInTokens.createSignInToken({
+      userId: clerkUserId,
+      expiresInSeconds: SIGN_IN_TICKET_TTL_SECONDS,
+    });
+    return signInToken.token;
+  }
+
+  /**
+   * Sign the deep linking request details the app hands back when the
+   * instructor has picked content. Signed with the tool key, so the return
+   * URL and platform cannot be swapped.
+   */
+  static signDeepLinkingSession({ platform, launch, member, now = Date.now() }) {
+    const { privateKey, kid } = getToolKey();
+    const iat = Math.floor(now / 1000);
+    return signJwt(
+      {
+        typ: DEEP_LINKING_SESSION_TYPE,
+        platformId: String(platform._id),
+        deploymentId: launch.deploymentId,
+        memberId: String(member._id),
+        returnUrl: launch.deepLinking.returnUrl,
+        acceptMultiple: launch.deepLinking.acceptMultiple,
+        data: launch.deepLinking.data,
+        contextId: launch.context?.id || null,
+        iat,
+        exp: iat + DEEP_LINKING_SESSION_TTL_SECONDS,
+      },
+      { privateKey, kid }
+    );
+  }
+
+  static async verifyDeepLinkingSession(session, { now = Date.now() } = {}) {
+    const { privateKey } = getToolKey();
+    let claims;
+    try {
+      claims = await verifyJwt(session, async () => crypto.createPublicKey(privateKey), {
+        now,
+        clockToleranceSeconds: 0,
+      });
+    } catch (error) {
+      throw makeLtiError(
+        "This content selection has expired. Start again from your course.",
+        401,
+        "LTI_DEEP_LINKING_SESSION_INVALID",
+        { reason: error.message }
+      );
+    }
+    if (claims.typ !== DEEP_LINKING_SESSION_TYPE) {
+      throw makeLtiError("Invalid content selection session", 401, "LTI_DEEP_LINKING_SESSION_INVALID");
+    }
+    return claims;
+  }
+
+  /**
+   * Sign the LMS user of a first launch whose email already has an account,
+   * for the app's account link page.
+   */
+  static signAccountLinkSession({ platform, launch, now = Date.now() }) {
+    const { privateKey, kid } = getToolKey();
+    const iat = Math.floor(now / 1000);
+    return signJwt(
+      {
+        typ: ACCOUNT_LINK_SESSION_TYPE,
+        platformId: String(platform._id),
+        sub: launch.user.sub,
+        email: launch.user.email,
+        iat,
+        exp: iat + ACCOUNT_LINK_SESSION_TTL_SECONDS,
+      },
+      { privateKey, kid }
+    );
+  }
+
+  /**
+   * Link the LMS user in an account link session to the signed-in member.
+   * The member must hold the launch email as a verified address, so a
+   * session cannot attach someone else's LMS user to their account. The
+   * next launch from the LMS signs in as the member.
+   *
+   * Throws 401 LTI_ACCOUNT_LINK_SESSION_INVALID and 403
+   * LTI_ACCOUNT_LINK_FORBIDDEN.
+   *
+   * @param {Object} input
+   * @param {string} input.session - from signAccountLinkSession
+   * @param {Object} input.member - the signed-in member
+   * @param {Array<string>} input.verifiedEmails - the member's verified Clerk emails
+   * @returns {Promise<{ platformName: string }>}
+   */
+  static async confirmAccountLink({ session, member, verifiedEmails = [], now = Date.now() }) {
+    const { privateKey } = getToolKey();
+    let claims;
+    try {
+      claims = await verifyJwt(session, async () => crypto.createPublicKey(privateKey), {
+        now,
+        clockToleranceSeconds: 0,
+      });
+    } catch (error) {
+      throw makeLtiError(
+        "This link has expired. Open SCALE from your course again.",
+        401,
+        "LTI_ACCOUNT_LINK_SESSION_INVALID",
+        { reason: error.message }
+      );
+    }
+    if (claims.typ !== ACCOUNT_LINK_SESSION_TYPE) {
+      throw makeLtiError("Invalid account link session", 401, "LTI_ACCOUNT_LINK_SESSION_INVALID");
+    }
+
+    const email = String(claims.email || "").toLowerCase();
+    if (!verifiedEmails.some((address) => String(address).toLowerCase() === email)) {
+      throw makeLtiError(
+        `Sign in with the SCALE account for ${claims.email} to link it to your course`,
+        403,
+        "LTI_ACCOUNT_LINK_FORBIDDEN"
+      );
+    }
+    const platform = await LtiPlatform.findOne({ _id: claims.platformId, isActive: true }).lean();
+    if (!platform) {
+      throw makeLtiError("This LMS is not registered with SCALE", 404, "LTI_PLATFORM_NOT_FOUND");
+    }
+
+    await LtiIdentity.linkMember({
+      platform,
+      user: { sub: claims.sub, email: claims.email },
+      memberId: member._id,
+      clerkUserId: member.clerkUserId,
+    });
+    return { platformName: platform.name };
+  }
+
+  /**
+   * Build the signed LtiDeepLinkingResponse for the instructor's picks.
+   *
+   * @param {Object} input
+   * @param {string} input.session - from signDeepLinkingSession
+   * @param {Array<{ classroomId: string, challengeId?: string }>} input.items
+   * @param {Object} input.member - the signed-in member (must be the instructor who launched)
+   * @returns {Promise<{ returnUrl: string, jwt: string, contentItems: Array }>}
+   */
+  static async buildDeepLinkingResponse({ session, items, member, now = Date.now() }) {
+    const claims = await this.verifyDeepLinkingSession(session, { now });
+    if (claims.memberId !== String(member._id)) {
+      throw makeLtiError(
+        "This content selection belongs to another user",
+        403,
+        "LTI_DEEP_LINKING_FORBIDDEN"
+      );
+    }
+    const platform = await LtiPlatform.findOne({ _id: claims.platformId, isActive: true }).lean();
+    if (!platform) {
+      throw makeLtiError("This LMS is not registered with SCALE", 404, "LTI_PLATFORM_NOT_FOUND");
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw makeLtiError("Pick at least one classroom or challenge", 400, "INVALID_DEEP_LINK_ITEMS");
+    }
+    if (!claims.acceptMultiple && items.length > 1) {
+      throw makeLtiError("The LMS accepts one item at a time", 400, "INVALID_DEEP_LINK_ITEMS");
+    }
+
+    const contentItems = [];
+    for (const [index, item] of items.entries()) {
+      const classroomId = item?.classroomId;
+      const classroom = mongoose.Types.ObjectId.isValid(classroomId)
+        ? await Classroom.validateAdminAccess(classroomId, member.clerkUserId, platform.organization).catch(
+            () => null
+          )
+        : null;
+      if (!classroom) {
+        throw makeLtiError(`items[${index}].classroomId is not a classroom you teach`, 400, "INVALID_DEEP_LINK_ITEMS");
+      }
+
+      const custom = { classroom_id: String(classroom._id) };
+      let title = classroom.name;
+      let lineItem = null;
+      if (item.challengeId) {
+        const challenge = mongoose.Types.ObjectId.isValid(item.challengeId)
+          ? await Challenge.findOne({ _id: item.challengeId, classroomId: classroom._id })
+              .select("title ltiGradePassback")
+              .lean()
+          : null;
+        if (!challenge) {
+          throw makeLtiError(
+            `items[${index}].challengeId is not a challenge of that classroom`,
+            400,
+            "INVALID_DEEP_LINK_ITEMS"
+          );
+        }
+        custom.challenge_id = String(challenge._id);
+        title = challenge.title;
+        // Ask the LMS to create the gradebook column scores are posted to
+        if (challenge.ltiGradePassback?.enabled) {
+          lineItem = {
+            label: challenge.ltiGradePassback.label || challenge.title,
+            scoreMaximum: challenge.ltiGradePassback.scoreMaximum || 100,
+            resourceId: String(challenge._id),
+            tag: LINE_ITEM_TAG,
+          };
+        }
+      }
+
+      contentItems.push({
+        type: "ltiResourceLink",
+        title: item.title || title,
+        url: getLtiConfig().launchUrl,
+        custom,
+        ...(lineItem ? { lineItem } : {}),
+      });
+    }
+
+    const { privateKey, kid } = getToolKey();
+    const iat = Math.floor(now / 1000);
+    const jwt = signJwt(
+      {
+        iss: platform.clientId,
+        aud: platform.issuer,
+        iat,
+        exp: iat + DEEP_LINKING_RESPONSE_TTL_SECONDS,
+        nonce: crypto.randomBytes(16).toString("base64url"),
+        [CLAIMS.MESSAGE_TYPE]: MESSAGE_TYPES.DEEP_LINKING_RESPONSE,
+        [CLAIMS.VERSION]: LTI_VERSION,
+        [CLAIMS.DEPLOYMENT_ID]: claims.deploymentId,
+        [CLAIMS.CONTENT_ITEMS]: contentItems,
+        ...(claims.data !== null && claims.data !== undefined
+          ? { [CLAIMS.DEEP_LINKING_DATA]: claims.data }
+          : {}),
+      },
+      { privateKey, kid }
+    );
+
+    return { returnUrl: claims.returnUrl, jwt, contentItems };
+  }
+}
+
+module.exports = LtiService;
@@ -0,0 +1,255 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const Challenge = require("../../challenge/challenge.model");
+const Classroom = require("../../classroom/classroom.model");
+const Member = require("../../members/member.model");
+const Organization = require("../../organizations/organization.model");
+const LtiIdentity = require("../ltiIdentity.model");
+const LtiPlatform = require("../ltiPlatform.model");
+const LtiLoginState = require("../ltiLoginState.model");
+const LtiService = require("./ltiService");
+const { CLAIMS, MESSAGE_TYPES, parseLaunchClaims } = require("./ltiClaims");
+const { decodeJwt, signJwt, verifyJwt } = require("./ltiJwt");
+const { clearJwksCache } = require("./platformJwks");
+const { createMockLtiPlatform, ROLES } = require("./mockPlatform");
+
+const toolKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const platformId = "64b7f0000000000000000001";
+const classroomId = "64b7f0000000000000000002";
+const challengeId = "64b7f0000000000000000003";
+
+async function startPlatform(t) {
+  const previousKey = process.env.LTI_TOOL_PRIVATE_KEY;
+  process.env.LTI_TOOL_PRIVATE_KEY = toolKey.privateKey.export({ type: "pkcs8", format: "pem" });
+  const mock = createMockLtiPlatform();
+  await mock.listen();
+  clearJwksCache();
+  t.after(async () => {
+    await mock.close();
+    if (previousKey === undefined) delete process.env.LTI_TOOL_PRIVATE_KEY;
+    else process.env.LTI_TOOL_PRIVATE_KEY = previousKey;
+  });
+  return { mock, platform: { _id: platformId, organization: "org1", isActive: true, ...mock.registration() } };
+}
+
+/** Stub the login state store in memory. */
+function mockLoginStates(t, platform) {
+  const states = new Map();
+  t.mock.method(LtiPlatform, "findForLaunch", async () => platform);
+  t.mock.method(LtiPlatform, "findOne", () => ({ lean: async () => platform }));
+  t.mock.method(LtiLoginState, "issue", async ({ platformId: id }) => {
+    const entry = { state: crypto.randomUUID(), nonce: crypto.randomUUID(), platformId: id };
+    states.set(entry.state, entry);
+    return { state: entry.state, nonce: entry.nonce };
+  });
+  t.mock.method(LtiLoginState, "consume", async (state) => {
+    const entry = states.get(state) || null;
+    states.delete(state);
+    return entry;
+  });
+}
+
+/** Follow the OIDC redirect to the mock and read its auto-posted form. */
+async function authorize(authUrl) {
+  const html = await (await fetch(authUrl)).text();
+  const field = (name) => html.match(new RegExp(`name="${name}" value="([^"]*)"`))[1];
+  return { idToken: field("id_token"), state: field("state") };
+}
+
+test("a launch through the mock platform verifies against its JWKS", async (t) => {
+  const { mock, platform } = await startPlatform(t);
+  mockLoginStates(t, platform);
+  mock.prepareLaunch("learner-7", { sub: "learner-7", custom: { classroom_id: classroomId } });
+
+  const authUrl = await LtiService.initiateLogin({
+    iss: platform.issuer,
+    client_id: platform.clientId,
+    login_hint: "learner-7",
+  });
+  const url = new URL(authUrl);
+  assert.equal(url.origin, mock.url);
+  assert.equal(url.searchParams.get("response_mode"), "form_post");
+  assert.match(url.searchParams.get("redirect_uri"), /\/v1\/lti\/launch$/);
+
+  const { idToken, state } = await authorize(authUrl);
+  const { launch } = await LtiService.verifyLaunch({ idToken, state });
+  assert.equal(launch.user.sub, "learner-7");
+  assert.equal(launch.role, "member");
+  assert.equal(launch.custom.classroom_id, classroomId);
+  assert.match(launch.membershipsUrl, /\/memberships\/course-101$/);
+
+  // The state can only be used once
+  await assert.rejects(
+    LtiService.verifyLaunch({ idToken, state }),
+    (err) => err.statusCode === 401 && err.code === "LTI_STATE_INVALID"
+  );
+});
+
+test("launches signed by another key or for another login are rejected", async (t) => {
+  const { mock, platform } = await startPlatform(t);
+  mockLoginStates(t, platform);
+
+  const { state } = await authorize(
+    await LtiService.initiateLogin({ iss: platform.issuer, login_hint: "learner-1" })
+  );
+  const forger = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey;
+  const { kid } = decodeJwt(mock.signIdToken({})).header;
+  const forged = signJwt(mock.launchClaims(), { privateKey: forger, kid });
+  await assert.rejects(
+    LtiService.verifyLaunch({ idToken: forged, state }),
+    (err) => err.code === "LTI_TOKEN_INVALID"
+  );
+
+  const second = await authorize(
+    await LtiService.initiateLogin({ iss: platform.issuer, login_hint: "learner-1" })
+  );
+  const replayed = mock.signIdToken(mock.launchClaims({ nonce: "some-other-login" }));
+  await assert.rejects(
+    LtiService.verifyLaunch({ idToken: replayed, state: second.state }),
+    (err) => err.code === "LTI_LAUNCH_INVALID"
+  );
+});
+
+test("first launches for an existing account link only after that account signs in", async (t) => {
+  const { mock, platform } = await startPlatform(t);
+  mockLoginStates(t, platform);
+  t.mock.method(Organization, "findById", async () => ({ _id: "org1", clerkOrganizationId: "org_1" }));
+  t.mock.method(LtiIdentity, "findOne", () => ({ lean: async () => null }));
+  t.mock.method(Member, "findClerkUserByEmail", async () => ({ id: "user_existing" }));
+  const findOrCreate = t.mock.method(Member, "findOrCreateClerkUser", async () => {
+    throw new Error("existing accounts must not be provisioned");
+  });
+  const linkMember = t.mock.method(LtiIdentity, "linkMember", async () => ({}));
+  const createTicket = t.mock.method(LtiService, "createSignInTicket", async () => "ticket");
+  mock.prepareLaunch("learner-7", { sub: "learner-7", email: "pat@example.edu" });
+
+  const { idToken, state } = await authorize(
+    await LtiService.initiateLogin({ iss: platform.issuer, login_hint: "learner-7" })
+  );
+  const { redirectUrl } = await LtiService.handleLaunch({ idToken, state });
+  const url = new URL(redirectUrl);
+  assert.equal(url.pathname, "/lti/link");
+  assert.equal(url.searchParams.get("ticket"), null);
+  assert.equal(url.searchParams.get("email"), "pat@example.edu");
+  assert.equal(findOrCreate.mock.callCount(), 0);
+  assert.equal(createTicket.mock.callCount(), 0);
+  assert.equal(linkMember.mock.callCount(), 0);
+
+  const session = url.searchParams.get("session");
+  const member = { _id: "member-1", clerkUserId: "user_existing" };
+  await assert.rejects(
+    LtiService.confirmAccountLink({ session, member, verifiedEmails: ["someone@example.edu"] }),
+    (err) => err.statusCode === 403 && err.code === "LTI_ACCOUNT_LINK_FORBIDDEN"
+  );
+  await assert.rejects(
+    LtiService.confirmAccountLink({ session: `${session}x`, member, verifiedEmails: ["pat@example.edu"] }),
+    (err) => err.statusCode === 401 && err.code === "LTI_ACCOUNT_LINK_SESSION_INVALID"
+  );
+  assert.equal(linkMember.mock.callCount(), 0);
+
+  await LtiService.confirmAccountLink({ session, member, verifiedEmails: ["Pat@example.edu"] });
+  assert.equal(linkMember.mock.callCount(), 1);
+  const [linked] = linkMember.mock.calls[0].arguments;
+  assert.equal(linked.platform._id, platformId);
+  assert.equal(linked.user.sub, "learner-7");
+  assert.equal(linked.memberId, "member-1");
+});
+
+test("first launches for a new email provision an account", async (t) => {
+  const { mock, platform } = await startPlatform(t);
+  t.mock.method(LtiIdentity, "findOne", () => ({ lean: async () => null }));
+  t.mock.method(Member, "findClerkUserByEmail", async () => null);
+  const findOrCreate = t.mock.method(Member, "findOrCreateClerkUser", async () => ({ id: "user_new" }));
+  const member = { _id: "member-2", clerkUserId: "user_new" };
+  t.mock.method(Member, "findOne", async () => member);
+  const linkMember = t.mock.method(LtiIdentity, "linkMember", async () => ({}));
+
+  const claims = mock.launchClaims({ sub: "learner-8", email: "new@example.edu" });
+  const launch = parseLaunchClaims(claims, { platform, nonce: claims.nonce });
+  const provisioned = await LtiService.provisionMember({ platform, launch, organization: { _id: "org1" } });
+
+  assert.equal(provisioned, member);
+  assert.equal(findOrCreate.mock.calls[0].arguments[0].email, "new@example.edu");
+  assert.equal(linkMember.mock.calls[0].arguments[0].memberId, "member-2");
+});
+
+test("deep linking responses carry the picked classroom and challenge", async (t) => {
+  const { mock, platform } = await startPlatform(t);
+  t.mock.method(LtiPlatform, "findOne", () => ({ lean: async () => platform }));
+  t.mock.method(Classroom, "validateAdminAccess", async (id) => {
+    if (id !== classroomId) throw new Error("Insufficient permissions: Admin access required");
+    return { _id: classroomId, name: "Retail Strategy" };
+  });
+  t.mock.method(Challenge, "findOne", () => ({
+    select: () => ({
+      lean: async () => ({
+        _id: challengeId,
+        title: "Week 3: Pricing",
+        ltiGradePassback: { enabled: true, scoreMaximum: 20, label: null },
+      }),
+    }),
+  }));
+
+  const member = { _id: "member-1", clerkUserId: "user_1" };
+  const requestClaims = mock.launchClaims({
+    messageType: MESSAGE_TYPES.DEEP_LINKING,
+    roles: [ROLES.INSTRUCTOR],
+  });
+  const launch = parseLaunchClaims(requestClaims, { platform, nonce: requestClaims.nonce });
+  const session = LtiService.signDeepLinkingSession({ platform, launch, member });
+
+  const { returnUrl, jwt } = await LtiService.buildDeepLinkingResponse({
+    session,
+    items: [{ classroomId }, { classroomId, challengeId }],
+    member,
+  });
+  assert.equal(returnUrl, `${mock.url}/deep-linking/return`);
+
+  const claims = await verifyJwt(jwt, async () => toolKey.publicKey);
+  assert.equal(claims.iss, platform.clientId);
+  assert.equal(claims.aud, platform.issuer);
+  assert.equal(claims[CLAIMS.MESSAGE_TYPE], MESSAGE_TYPES.DEEP_LINKING_RESPONSE);
+  assert.equal(claims[CLAIMS.DEEP_LINKING_DATA], "mock-deep-linking-data");
+  assert.deepEqual(
+    claims[CLAIMS.CONTENT_ITEMS].map((item) => [item.title, item.custom]),
+    [
+      ["Retail Strategy", { classroom_id: classroomId }],
+      ["Week 3: Pricing", { classroom_id: classroomId, challenge_id: challengeId }],
+    ]
+  );
+  // Challenges with grade passback ask the LMS for a gradebook column
+  assert.equal(claims[CLAIMS.CONTENT_ITEMS][0].lineItem, undefined);
+  assert.deepEqual(claims[CLAIMS.CONTENT_ITEMS][1].lineItem, {
+    label: "Week 3: Pricing",
+    scoreMaximum: 20,
+    resourceId: challengeId,
+    tag: "scale-challenge",
+  });
+
+  await assert.rejects(
+    LtiService.buildDeepLinkingResponse({ session, items: [{ classroomId }], member: { _id: "member-2" } }),
+    (err) => err.code === "LTI_DEEP_LINKING_FORBIDDEN"
+  );
+  await assert.rejects(
+    LtiService.buildDeepLinkingResponse({
+      session,
+      items: [{ classroomId: "64b7f0000000000000000009" }],
+      member,
+    }),
+    (err) => err.code === "INVALID_DEEP_LINK_ITEMS"
+  );
+});
+
+test("syncRosterIfStale only syncs courses with a roster service that are due", () => {
+  const now = Date.now();
+  assert.equal(LtiService.syncRosterIfStale({ membershipsUrl: null }, { now }), false);
+  assert.equal(
+    LtiService.syncRosterIfStale(
+      { membershipsUrl: "https://lms/m", lastRosterSync: { at: new Date(now - 60 * 1000) } },
+      { now }
+    ),
+    false
+  );
+});
@@ -0,0 +1,89 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const { makeLtiError } = require("../lti.errors");
+const { signJwt } = require("./ltiJwt");
+const { getToolKey } = require("./ltiConfig");
+
+/**
+ * OAuth2 access tokens for LTI services (NRPS, AGS). The tool authenticates
+ * to the platform's token endpoint with a JWT client assertion signed by its
+ * own key, and tokens are cached per platform and scope until shortly before
+ * they expire.
+ */
+
+const CLIENT_ASSERTION_TYPE = "urn:ietf:params:oauth:client-assertion-type:jwt-bearer";
+const EXPIRY_MARGIN_MS = 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+const tokenCache = new Map();
+
+function buildClientAssertion(platform, { now = Date.now(), env = process.env } = {}) {
+  const { privateKey, kid } = getToolKey(env);
+  const iat = Math.floor(now / 1000);
+  return signJwt(
+    {
+      iss: platform.clientId,
+      sub: platform.clientId,
+      aud: platform.accessTokenUrl,
+      iat,
+      exp: iat + 300,
+      jti: crypto.randomUUID(),
+    },
+    { privateKey, kid }
+  );
+}
+
+/**
+ * An access token for `scopes` on the platform.
+ *
+ * @param {Object} platform - LtiPlatform
+ * @param {string[]} scopes
+ * @returns {Promise<string>}
+ */
+async function getServiceToken(platform, scopes, { now = Date.now(), env = process.env } = {}) {
+  const scope = [...scopes].sort().join(" ");
+  const cacheKey = `${platform._id}:${scope}`;
+  const cached = tokenCache.get(cacheKey);
+  if (cached && cached.expiresAt - EXPIRY_MARGIN_MS > now) return cached.accessToken;
+
+  const body = new URLSearchParams({
+    grant_type: "client_credentials",
+    client_assertion_type: CLIENT_ASSERTION_TYPE,
+    client_assertion: buildClientAssertion(platform, { now, env }),
+    scope,
+  });
+
+  let response;
+  try {
+    response = await axios.post(platform.accessTokenUrl, body.toString(), {
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      timeout: REQUEST_TIMEOUT_MS,
+    });
+  } catch (error) {
+    throw makeLtiError("The LMS refused the service token request", 502, "LTI_SERVICE_TOKEN_FAILED", {
+      status: error.response?.status || null,
+      reason: error.response?.data?.error || error.message,
+    });
+  }
+
+  const { access_token: accessToken, expires_in: expiresIn } = response.data || {};
+  if (!accessToken) {
+    throw makeLtiError("The LMS returned no service token", 502, "LTI_SERVICE_TOKEN_FAILED");
+  }
+  tokenCache.set(cacheKey, {
+    accessToken,
+    expiresAt: now + (Number(expiresIn) || 3600) * 1000,
+  });
+  return accessToken;
+}
+
+function clearServiceTokenCache() {
+  tokenCache.clear();
+}
+
+module.exports = {
+  CLIENT_ASSERTION_TYPE,
+  buildClientAssertion,
+  getServiceToken,
+  clearServiceTokenCache,
+};
@@ -0,0 +1,410 @@
+/**
+ * Local mock of an LTI 1.3 platform (LMS), for tests and local development.
+ *
+ * Implements the platform side of the flows SCALE uses:
+ *
+ * - GET  /jwks                      platform public keys
+ * - GET  /auth                      OIDC authorization; answers with an
+ *                                   auto-submitting form that posts a signed
+ *                                   id_token and the state to redirect_uri
+ * - POST /token                     client_credentials grant for LTI services
+ * - GET  /memberships/:contextId    NRPS roster, paged with Link headers
+ * - GET  /ags/:contextId/lineitems  AGS line items (filter with ?resource_id)
+ * - POST /ags/:contextId/lineitems  create a line item
+ * - POST /ags/:contextId/lineitems/:id/scores
+ *                                   records scores; fails for users passed to
+ *                                   `failScoresFor`
+ * - POST /deep-linking/return       records LtiDeepLinkingResponse JWTs
+ *
+ * What a launch contains is set per login_hint with `prepareLaunch`; anything
+ * not set falls back to a learner launch into the default course. Register
+ * the mock as a platform with `registration()`.
+ */
+const crypto = require("crypto");
+const http = require("http");
+
+const { decodeJwt, signJwt, verifyJwt } = require("./ltiJwt");
+const { CLAIMS, LTI_VERSION, MESSAGE_TYPES } = require("./ltiClaims");
+const { AGS_SCOPES } = require("./ags");
+
+const ROLES = Object.freeze({
+  INSTRUCTOR: "http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor",
+  LEARNER: "http://purl.imsglobal.org/vocab/lis/v2/membership#Learner",
+  TEACHING_ASSISTANT: "http://purl.imsglobal.org/vocab/lis/v2/membership/Instructor#TeachingAssistant",
+  MENTOR: "http://purl.imsglobal.org/vocab/lis/v2/membership#Mentor",
+});
+
+const DEFAULT_CONTEXT = Object.freeze({ id: "course-101", title: "Intro to Business", label: "BUS101" });
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function autoPostForm(action, fields) {
+  const inputs = Object.entries(fields)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join("");
+  return (
+    `<!doctype html><html><body onload="document.forms[0].submit()">` +
+    `<form method="POST" action="${escapeHtml(action)}">${inputs}</form></body></html>`
+  );
+}
+
+function sendJson(res, statusCode, body, headers = {}) {
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "application/json");
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+  res.end(JSON.stringify(body));
+}
+
+function sendHtml(res, statusCode, html) {
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.end(html);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+async function readForm(req) {
+  return Object.fromEntries(new URLSearchParams(await readBody(req)));
+}
+
+async function readJson(req) {
+  const body = await readBody(req);
+  return body ? JSON.parse(body) : {};
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.clientId] - the client ID issued to the tool
+ * @param {string} [options.deploymentId]
+ * @param {string} [options.issuer] - defaults to the server URL
+ * @param {number} [options.pageSize] - NRPS members per page
+ * @param {crypto.KeyObject|string} [options.toolPublicKey] - when set, service
+ *   client assertions must verify against it
+ * @param {Function} [options.onScore] - called with each recorded AGS score
+ */
+function createMockLtiPlatform(options = {}) {
+  const { clientId = "scale-tool", deploymentId = "deployment-1", pageSize = 50 } = options;
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const kid = `mock-${crypto.randomBytes(4).toString("hex")}`;
+  const publicJwk = { ...publicKey.export({ format: "jwk" }), kid, alg: "RS256", use: "sig" };
+  const toolPublicKey =
+    options.toolPublicKey instanceof crypto.KeyObject
+      ? options.toolPublicKey
+      : options.toolPublicKey
+        ? crypto.createPublicKey(options.toolPublicKey)
+        : null;
+
+  const launches = new Map();
+  const memberships = new Map();
+  const accessTokens = new Set();
+  const lineItems = new Map();
+  const scores = [];
+  const scoreFailures = new Set();
+  const deepLinkingResponses = [];
+  const requests = [];
+
+  const mock = {
+    server: null,
+    url: null,
+    issuer: options.issuer || null,
+    clientId,
+    deploymentId,
+    requests,
+    scores,
+    deepLinkingResponses,
+
+    /** LtiPlatform fields for registering this mock. */
+    registration() {
+      return {
+        name: "Mock LMS",
+        issuer: mock.issuer,
+        clientId,
+        deploymentIds: [deploymentId],
+        authLoginUrl: `${mock.url}/auth`,
+        accessTokenUrl: `${mock.url}/token`,
+        jwksUrl: `${mock.url}/jwks`,
+      };
+    },
+
+    /**
+     * id_token claims for a launch. `overrides` are merged over the defaults;
+     * pass `messageType: MESSAGE_TYPES.DEEP_LINKING` for a deep linking request,
+     * `lineItemUrl` for a launch of a link with a line item, and `ags: null`
+     * for a course without grade services.
+     */
+    launchClaims(overrides = {}) {
+      const {
+        sub = "learner-1",
+        email = `${sub}@example.edu`,
+        givenName = "Pat",
+        familyName = "Learner",
+        roles = [ROLES.LEARNER],
+        context = DEFAULT_CONTEXT,
+        custom = {},
+        resourceLinkId = "resource-link-1",
+        messageType = MESSAGE_TYPES.RESOURCE_LINK,
+        nonce = crypto.randomBytes(8).toString("hex"),
+        targetLinkUri = null,
+        deepLinkReturnUrl = `${mock.url}/deep-linking/return`,
+        sourcedId = null,
+        ags = {},
+        lineItemUrl = null,
+        now = Date.now(),
+        ...extra
+      } = overrides;
+      const iat = Math.floor(now / 1000);
+      const claims = {
+        iss: mock.issuer,
+        aud: clientId,
+        sub,
+        iat,
+        exp: iat + 300,
+        nonce,
+        ...(email ? { email } : {}),
+        given_name: givenName,
+        family_name: familyName,
+        name: `${givenName} ${familyName}`.trim(),
+        [CLAIMS.MESSAGE_TYPE]: messageType,
+        [CLAIMS.VERSION]: LTI_VERSION,
+        [CLAIMS.DEPLOYMENT_ID]: deploymentId,
+        [CLAIMS.ROLES]: roles,
+        [CLAIMS.CUSTOM]: custom,
+        ...(targetLinkUri ? { [CLAIMS.TARGET_LINK_URI]: targetLinkUri } : {}),
+        ...(sourcedId ? { [CLAIMS.LIS]: { person_sourcedid: sourcedId } } : {}),
+        ...(context
+          ? {
+              [CLAIMS.CONTEXT]: context,
+              [CLAIMS.NAMES_ROLE_SERVICE]: {
+                context_memberships_url: `${mock.url}/memberships/${encodeURIComponent(context.id)}`,
+                service_versions: ["2.0"],
+              },
+              ...(ags
+                ? {
+                    [CLAIMS.AGS_ENDPOINT]: {
+                      scope: [AGS_SCOPES.LINE_ITEM, AGS_SCOPES.SCORE],
+                      lineitems: `${mock.url}/ags/${encodeURIComponent(context.id)}/lineitems`,
+                      ...(lineItemUrl ? { lineitem: lineItemUrl } : {}),
+                      ...ags,
+                    },
+                  }
+                : {}),
+            }
+          : {}),
+        ...extra,
+      };
+      if (messageType === MESSAGE_TYPES.DEEP_LINKING) {
+        claims[CLAIMS.DEEP_LINKING_SETTINGS] = {
+          deep_link_return_url: deepLinkReturnUrl,
+          accept_types: ["ltiResourceLink"],
+          accept_presentation_document_targets: ["iframe", "window"],
+          accept_multiple: true,
+          data: "mock-deep-linking-data",
+        };
+      } else {
+        claims[CLAIMS.RESOURCE_LINK] = { id: resourceLinkId, title: "SCALE" };
+      }
+      return claims;
+    },
+
+    signIdToken(claims) {
+      return signJwt(claims, { privateKey, kid });
+    },
+
+    /** Use these launch claim overrides for the next /auth with this login_hint. */
+    prepareLaunch(loginHint, overrides = {}) {
+      launches.set(String(loginHint), overrides);
+    },
+
+    /** Set the NRPS roster for a course. */
+    setMembers(contextId, members) {
+      memberships.set(String(contextId), members);
+    },
+
+    /** A course's line items. */
+    lineItems(contextId) {
+      return lineItems.get(String(contextId)) || [];
+    },
+
+    /** Make score posts for these LTI user IDs fail (until reset). */
+    failScoresFor(userIds) {
+      userIds.forEach((userId) => scoreFailures.add(String(userId)));
+    },
+
+    async listen(port = 0, host = "127.0.0.1") {
+      await new Promise((resolve, reject) => {
+        mock.server.once("error", reject);
+        mock.server.listen(port, host, resolve);
+      });
+      mock.url = `http://${host}:${mock.server.address().port}`;
+      if (!mock.issuer) mock.issuer = mock.url;
+      return mock;
+    },
+
+    async close() {
+      if (!mock.server.listening) return;
+      await new Promise((resolve) => mock.server.close(resolve));
+    },
+
+    reset() {
+      requests.length = 0;
+      deepLinkingResponses.length = 0;
+      scores.length = 0;
+      scoreFailures.clear();
+      lineItems.clear();
+      launches.clear();
+      memberships.clear();
+      accessTokens.clear();
+    },
+  };
+
+  async function handleToken(req, res) {
+    const form = await readForm(req);
+    if (form.grant_type !== "client_credentials" || !form.client_assertion) {
+      return sendJson(res, 400, { error: "invalid_request" });
+    }
+    try {
+      const { payload } = decodeJwt(form.client_assertion);
+      if (payload.iss !== clientId || payload.sub !== clientId) {
+        return sendJson(res, 401, { error: "invalid_client" });
+      }
+      if (toolPublicKey) await verifyJwt(form.client_assertion, async () => toolPublicKey);
+    } catch {
+      return sendJson(res, 401, { error: "invalid_client" });
+    }
+    const accessToken = crypto.randomBytes(16).toString("hex");
+    accessTokens.add(accessToken);
+    return sendJson(res, 200, {
+      access_token: accessToken,
+      token_type: "bearer",
+      expires_in: 3600,
+      scope: form.scope || "",
+    });
+  }
+
+  function handleMemberships(req, res, url, contextId) {
+    const token = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+    if (!accessTokens.has(token)) return sendJson(res, 401, { error: "invalid_token" });
+    const members = memberships.get(contextId);
+    if (!members) return sendJson(res, 404, { error: "unknown context" });
+
+    const page = Math.max(Number(url.searchParams.get("page")) || 1, 1);
+    const start = (page - 1) * pageSize;
+    const headers = {};
+    if (start + pageSize < members.length) {
+      headers.Link = `<${mock.url}/memberships/${encodeURIComponent(contextId)}?page=${page + 1}>; rel="next"`;
+    }
+    return sendJson(
+      res,
+      200,
+      {
+        id: `${mock.url}${url.pathname}`,
+        context: { id: contextId },
+        members: members.slice(start, start + pageSize),
+      },
+      headers
+    );
+  }
+
+  async function handleAgs(req, res, url, contextId, lineItemId, isScores) {
+    const token = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+    if (!accessTokens.has(token)) return sendJson(res, 401, { error: "invalid_token" });
+    const items = mock.lineItems(contextId);
+    const lineItemsUrl = `${mock.url}/ags/${encodeURIComponent(contextId)}/lineitems`;
+
+    if (!lineItemId && req.method === "GET") {
+      const resourceId = url.searchParams.get("resource_id");
+      return sendJson(res, 200, resourceId ? items.filter((item) => item.resourceId === resourceId) : items);
+    }
+    if (!lineItemId && req.method === "POST") {
+      const body = await readJson(req);
+      if (!body.label || !(Number(body.scoreMaximum) > 0)) {
+        return sendJson(res, 400, { error: "label and scoreMaximum are required" });
+      }
+      const lineItem = { ...body, id: `${lineItemsUrl}/${items.length + 1}` };
+      lineItems.set(contextId, [...items, lineItem]);
+      return sendJson(res, 201, lineItem);
+    }
+
+    const lineItem = items.find((item) => item.id === `${lineItemsUrl}/${lineItemId}`);
+    if (!lineItem) return sendJson(res, 404, { error: "unknown line item" });
+    if (isScores && req.method === "POST") {
+      const body = await readJson(req);
+      if (scoreFailures.has(String(body.userId))) {
+        return sendJson(res, 422, { error: "user is not in this course" });
+      }
+      const score = { contextId, lineItemId: lineItem.id, ...body };
+      scores.push(score);
+      if (options.onScore) options.onScore(score);
+      res.statusCode = 204;
+      return res.end();
+    }
+    if (!isScores && req.method === "GET") return sendJson(res, 200, lineItem);
+    return sendJson(res, 405, { error: "method not allowed" });
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, mock.url || "http://127.0.0.1");
+    requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+
+    if (req.method === "GET" && url.pathname === "/jwks") {
+      return sendJson(res, 200, { keys: [publicJwk] });
+    }
+
+    if (req.method === "GET" && url.pathname === "/auth") {
+      const params = Object.fromEntries(url.searchParams);
+      if (params.client_id !== clientId || !params.redirect_uri || !params.state || !params.nonce) {
+        return sendJson(res, 400, { error: "invalid_request" });
+      }
+      const overrides = launches.get(String(params.login_hint)) || {};
+      const idToken = mock.signIdToken(mock.launchClaims({ ...overrides, nonce: params.nonce }));
+      return sendHtml(res, 200, autoPostForm(params.redirect_uri, { id_token: idToken, state: params.state }));
+    }
+
+    if (req.method === "POST" && url.pathname === "/token") {
+      return handleToken(req, res);
+    }
+
+    const membershipsMatch = url.pathname.match(/^\/memberships\/([^/]+)$/);
+    if (req.method === "GET" && membershipsMatch) {
+      return handleMemberships(req, res, url, decodeURIComponent(membershipsMatch[1]));
+    }
+
+    const agsMatch = url.pathname.match(/^\/ags\/([^/]+)\/lineitems(?:\/([^/]+)(\/scores)?)?$/);
+    if (agsMatch) {
+      return handleAgs(req, res, url, decodeURIComponent(agsMatch[1]), agsMatch[2] || null, !!agsMatch[3]);
+    }
+
+    if (req.method === "POST" && url.pathname === "/deep-linking/return") {
+      const form = await readForm(req);
+      deepLinkingResponses.push(form.JWT);
+      return sendHtml(res, 200, "<!doctype html><p>Content added to the course.</p>");
+    }
+
+    return sendJson(res, 404, { error: `Unknown mock LTI route: ${req.method} ${url.pathname}` });
+  }
+
+  mock.server = http.createServer((req, res) => {
+    handle(req, res).catch((error) => sendJson(res, 500, { error: error.message }));
+  });
+
+  return mock;
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_CONTEXT,
+  createMockLtiPlatform,
+};
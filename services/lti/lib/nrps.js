@@ -0,0 +1,273 @@
+const axios = require("axios");
+const { makeLtiError } = require("../lti.errors");
+const { mapLtiRoles } = require("./ltiClaims");
+const { getServiceToken } = require("./ltiServiceToken");
+
+/**
+ * Names and Role Provisioning Services: read an LMS course roster and keep
+ * the linked classroom's RosterSeats and Enrollments in step with it.
+ *
+ * - Active learners with an email get a RosterSeat (tagged
+ *   `metadata.source: "lti"`), so roster-only classrooms admit them on their
+ *   first launch.
+ * - Active learners already known to SCALE (an LtiIdentity) but not enrolled
+ *   are enrolled.
+ * - Learners who were enrolled through this platform and are now inactive or
+ *   gone from the course are unenrolled (releasing their seat), and their
+ *   unclaimed LTI roster seats are revoked.
+ *
+ * Instructors are never enrolled or removed by a sync.
+ */
+
+const NRPS_SCOPE = "https://purl.imsglobal.org/spec/lti-nrps/scope/contextmembership.readonly";
+const NRPS_MEDIA_TYPE = "application/vnd.ims.lti-nrps.v2.membershipcontainer+json";
+const MAX_PAGES = 50;
+const REQUEST_TIMEOUT_MS = 15000;
+
+function nextPageUrl(linkHeader) {
+  if (!linkHeader) return null;
+  const match = String(linkHeader)
+    .split(",")
+    .map((part) => part.match(/<([^>]+)>\s*;\s*rel="?next"?/))
+    .find(Boolean);
+  return match ? match[1] : null;
+}
+
+/**
+ * Every member of an LMS course, following `Link: rel="next"` pages.
+ *
+ * @param {Object} platform - LtiPlatform
+ * @param {string} membershipsUrl - NRPS context_memberships_url
+ * @returns {Promise<Array>} NRPS members
+ */
+async function fetchMemberships(platform, membershipsUrl, options = {}) {
+  const accessToken = await getServiceToken(platform, [NRPS_SCOPE], options);
+  const members = [];
+  let url = membershipsUrl;
+  for (let page = 0; url && page < MAX_PAGES; page++) {
+    let response;
+    try {
+      response = await axios.get(url, {
+        headers: { Authorization: `Bearer ${accessToken}`, Accept: NRPS_MEDIA_TYPE },
+        timeout: REQUEST_TIMEOUT_MS,
+      });
+    } catch (error) {
+      throw makeLtiError("Could not read the course roster from the LMS", 502, "LTI_NRPS_FAILED", {
+        status: error.response?.status || null,
+        reason: error.message,
+      });
+    }
+    members.push(...(response.data?.members || []));
+    url = nextPageUrl(response.headers?.link);
+  }
+  return members;
+}
+
+/**
+ * Work out what a roster sync changes. Pure; see syncContextRoster.
+ *
+ * @param {Object} input
+ * @param {Array} input.members - NRPS members
+ * @param {Array} input.seats - the classroom's LTI RosterSeats for this platform ({ _id, email, status })
+ * @param {Array} input.identities - LtiIdentities for this platform ({ sub, memberId })
+ * @param {Set<string>} input.enrolledMemberIds - members with an active "member" enrollment
+ * @returns {{ seats: Array, revokeSeatIds: Array, enroll: Array, unenroll: string[], skipped: Array }}
+ */
+function planRosterSync({ members, seats, identities, enrolledMemberIds }) {
+  const memberIdBySub = new Map(identities.map((identity) => [identity.sub, String(identity.memberId)]));
+  const activeLearners = [];
+  const activeSubs = new Set();
+  const skipped = [];
+
+  members.forEach((member) => {
+    const sub = String(member.user_id || "");
+    if (!sub || (member.status || "Active") !== "Active") return;
+    activeSubs.add(sub);
+    if (mapLtiRoles(member.roles) !== "member") return;
+    activeLearners.push({
+      sub,
+      email: member.email ? String(member.email).trim().toLowerCase() : null,
+      firstName: member.given_name || "",
+      lastName: member.family_name || "",
+      sourcedId: member.lis_person_sourcedid || "",
+    });
+  });
+
+  const activeEmails = new Set(activeLearners.map((learner) => learner.email).filter(Boolean));
+
+  const seatRows = [];
+  const enroll = [];
+  activeLearners.forEach((learner) => {
+    if (learner.email) {
+      seatRows.push({
+        email: learner.email,
+        firstName: learner.firstName,
+        lastName: learner.lastName,
+        ...(learner.sourcedId ? { studentId: learner.sourcedId } : {}),
+        ltiUserId: learner.sub,
+      });
+    }
+    const memberId = memberIdBySub.get(learner.sub);
+    if (memberId && !enrolledMemberIds.has(memberId)) {
+      enroll.push({ ...learner, memberId });
+    } else if (!memberId && !learner.email) {
+      skipped.push({ userId: learner.sub, reason: "no_email" });
+    }
+  });
+
+  const unenroll = identities
+    .filter(
+      (identity) =>
+        !activeSubs.has(identity.sub) && enrolledMemberIds.has(String(identity.memberId))
+    )
+    .map((identity) => String(identity.memberId));
+
+  const revokeSeatIds = seats
+    .filter((seat) => seat.status === "reserved" && !activeEmails.has(seat.email))
+    .map((seat) => seat._id);
+
+  return { seats: seatRows, revokeSeatIds, enroll, unenroll: [...new Set(unenroll)], skipped };
+}
+
+/**
+ * Sync one linked course's roster into its classroom and record the result
+ * on the LtiContext.
+ *
+ * @param {Object} context - LtiContext document
+ * @param {Object} [options]
+ * @param {string} [options.updatedBy] - Clerk user ID of whoever asked for the sync
+ * @returns {Promise<Object>} summary counts
+ */
+async function syncContextRoster(context, { updatedBy = "lti-roster-sync", ...options } = {}) {
+  const LtiPlatform = require("../ltiPlatform.model");
+  const LtiIdentity = require("../ltiIdentity.model");
+  const Classroom = require("../../classroom/classroom.model");
+  const Enrollment = require("../../enrollment/enrollment.model");
+  const Member = require("../../members/member.model");
+  const Organization = require("../../organizations/organization.model");
+  const RosterSeat = require("../../licensing/rosterSeat.model");
+
+  try {
+    if (!context.membershipsUrl) {
+      throw makeLtiError(
+        "The LMS has not offered a roster service for this course",
+        409,
+        "LTI_NRPS_UNAVAILABLE"
+      );
+    }
+    const [platform, classroom] = await Promise.all([
+      LtiPlatform.findById(context.platformId).lean(),
+      Classroom.findById(context.classroomId),
+    ]);
+    if (!platform || !classroom) {
+      throw makeLtiError("Linked platform or classroom no longer exists", 404, "LTI_CONTEXT_NOT_FOUND");
+    }
+    const organization = await Organization.findById(classroom.organization);
+
+    const members = await fetchMemberships(platform, context.membershipsUrl, options);
+    const subs = members.map((member) => String(member.user_id || "")).filter(Boolean);
+    const [seats, enrollments] = await Promise.all([
+      RosterSeat.find({
+        classroomId: classroom._id,
+        "metadata.source": "lti",
+        "metadata.platformId": String(platform._id),
+        status: { $ne: "revoked" },
+      })
+        .select("_id email status")
+        .lean(),
+      Enrollment.findByClassAndRole(classroom._id, "member").select("userId").lean(),
+    ]);
+    const enrolledMemberIds = enrollments.map((enrollment) => String(enrollment.userId));
+    // Identities of course members, and of enrolled students who may have left the course
+    const identities = await LtiIdentity.find({
+      platformId: platform._id,
+      $or: [{ sub: { $in: subs } }, { memberId: { $in: enrolledMemberIds } }],
+    })
+      .select("sub memberId")
+      .lean();
+
+    const plan = planRosterSync({
+      members,
+      seats,
+      identities,
+      enrolledMemberIds: new Set(enrolledMemberIds),
+    });
+
+    await RosterSeat.importRows({
+      classroom,
+      rows: plan.seats.map(({ ltiUserId, ...row }) => ({
+        ...row,
+        metadata: { source: "lti", platformId: String(platform._id), ltiUserId },
+      })),
+      updatedBy,
+    });
+    if (plan.revokeSeatIds.length) {
+      await RosterSeat.updateMany(
+        { _id: { $in: plan.revokeSeatIds }, status: "reserved" },
+        { $set: { status: "revoked", updatedBy } }
+      );
+    }
+
+    const failures = [];
+    let enrolled = 0;
+    for (const learner of plan.enroll) {
+      try {
+        const member = await Member.findById(learner.memberId);
+        if (!member) continue;
+        await Enrollment.ensureJoin({
+          orgId: organization.clerkOrganizationId,
+          classroomId: classroom._id,
+          clerkUserId: member.clerkUserId,
+          member,
+          studentEmail: learner.email || undefined,
+          studentId: learner.sourcedId || undefined,
+          joinSource: "lti",
+        });
+        enrolled++;
+      } catch (error) {
+        failures.push({ userId: learner.sub, code: error.code || null, error: error.message });
+      }
+    }
+
+    let unenrolled = 0;
+    for (const memberId of plan.unenroll) {
+      try {
+        await Enrollment.leaveClassroom({
+          classroomId: classroom._id,
+          userId: memberId,
+          organizationId: classroom.organization,
+          updatedBy,
+        });
+        unenrolled++;
+      } catch (error) {
+        failures.push({ memberId, code: error.code || null, error: error.message });
+      }
+    }
+
+    const summary = {
+      members: members.length,
+      rosterSeats: plan.seats.length,
+      rosterSeatsRevoked: plan.revokeSeatIds.length,
+      enrolled,
+      unenrolled,
+      skipped: plan.skipped,
+      failures,
+    };
+    context.lastRosterSync = { at: new Date(), status: "succeeded", summary, error: undefined };
+    await context.save();
+    return summary;
+  } catch (error) {
+    context.lastRosterSync = { at: new Date(), status: "failed", error: error.message };
+    await context.save();
+    throw error;
+  }
+}
+
+module.exports = {
+  NRPS_SCOPE,
+  NRPS_MEDIA_TYPE,
+  nextPageUrl,
+  fetchMemberships,
+  planRosterSync,
+  syncContextRoster,
+};
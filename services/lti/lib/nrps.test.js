@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const { fetchMemberships, nextPageUrl, planRosterSync } = require("./nrps");
+const { clearServiceTokenCache } = require("./ltiServiceToken");
+const { createMockLtiPlatform } = require("./mockPlatform");
+
+test("nextPageUrl reads the rel=next link", () => {
+  assert.equal(
+    nextPageUrl('<https://lms/m?page=1>; rel="prev", <https://lms/m?page=3>; rel="next"'),
+    "https://lms/m?page=3"
+  );
+  assert.equal(nextPageUrl('<https://lms/m?page=1>; rel="first"'), null);
+  assert.equal(nextPageUrl(undefined), null);
+});
+
+test("planRosterSync seats and enrolls active learners and removes departed ones", () => {
+  const plan = planRosterSync({
+    members: [
+      { user_id: "t1", roles: ["Instructor"], email: "teacher@example.edu" },
+      { user_id: "s1", roles: ["Learner"], email: "S1@Example.edu", given_name: "Ada", lis_person_sourcedid: "1001" },
+      { user_id: "s2", roles: ["Learner"], email: "s2@example.edu" },
+      { user_id: "s3", roles: ["Learner"], email: "s3@example.edu", status: "Inactive" },
+      { user_id: "s4", roles: ["Learner"] },
+      { user_id: "s5", roles: ["Learner"] },
+    ],
+    seats: [
+      { _id: "seat-s1", email: "s1@example.edu", status: "claimed" },
+      { _id: "seat-s3", email: "s3@example.edu", status: "reserved" },
+      { _id: "seat-gone", email: "gone@example.edu", status: "claimed" },
+    ],
+    identities: [
+      { sub: "t1", memberId: "m-t1" },
+      { sub: "s1", memberId: "m1" },
+      { sub: "s2", memberId: "m2" },
+      { sub: "s3", memberId: "m3" },
+      { sub: "s5", memberId: "m5" },
+      { sub: "gone", memberId: "m-gone" },
+    ],
+    enrolledMemberIds: new Set(["m1", "m3", "m-gone", "m-t1"]),
+  });
+
+  assert.deepEqual(plan.seats, [
+    { email: "s1@example.edu", firstName: "Ada", lastName: "", studentId: "1001", ltiUserId: "s1" },
+    { email: "s2@example.edu", firstName: "", lastName: "", ltiUserId: "s2" },
+  ]);
+  assert.deepEqual(plan.revokeSeatIds, ["seat-s3"]);
+  assert.deepEqual(
+    plan.enroll.map((learner) => learner.memberId),
+    ["m2", "m5"]
+  );
+  // Anyone still active in the course keeps their enrollment, whatever their LMS role
+  assert.deepEqual(plan.unenroll.sort(), ["m-gone", "m3"]);
+  assert.deepEqual(plan.skipped, [{ userId: "s4", reason: "no_email" }]);
+});
+
+test("fetchMemberships authenticates with a client assertion and follows pages", async (t) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const env = { LTI_TOOL_PRIVATE_KEY: privateKey.export({ type: "pkcs8", format: "pem" }) };
+  const mock = createMockLtiPlatform({ pageSize: 2, toolPublicKey: publicKey });
+  await mock.listen();
+  t.after(() => mock.close());
+  clearServiceTokenCache();
+
+  mock.setMembers("course-1", [1, 2, 3, 4, 5].map((n) => ({ user_id: `s${n}`, roles: ["Learner"] })));
+  const platform = { _id: "p1", ...mock.registration() };
+
+  const members = await fetchMemberships(platform, `${mock.url}/memberships/course-1`, { env });
+  assert.deepEqual(
+    members.map((member) => member.user_id),
+    ["s1", "s2", "s3", "s4", "s5"]
+  );
+  assert.equal(mock.requests.filter((request) => request.path === "/token").length, 1);
+
+  // A key the platform does not know is refused
+  clearServiceTokenCache();
+  const other = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey;
+  await assert.rejects(
+    fetchMemberships(platform, `${mock.url}/memberships/course-1`, {
+      env: { LTI_TOOL_PRIVATE_KEY: other.export({ type: "pkcs8", format: "pem" }) },
+    }),
+    (err) => err.code === "LTI_SERVICE_TOKEN_FAILED" && err.statusCode === 502
+  );
+  clearServiceTokenCache();
+});
@@ -0,0 +1,71 @@
+const axios = require("axios");
+const { makeLtiError } = require("../lti.errors");
+
+/**
+ * Platform public keys, fetched from each platform's JWKS URL and cached.
+ * An unknown `kid` triggers one refetch (platforms rotate keys), at most
+ * every REFETCH_INTERVAL_MS per URL.
+ */
+
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const REFETCH_INTERVAL_MS = 30 * 1000;
+const FETCH_TIMEOUT_MS = 5000;
+
+const cache = new Map();
+
+async function fetchJwks(jwksUrl) {
+  let response;
+  try {
+    response = await axios.get(jwksUrl, { timeout: FETCH_TIMEOUT_MS });
+  } catch (error) {
+    throw makeLtiError("Could not fetch the platform's keys", 502, "LTI_JWKS_UNAVAILABLE", {
+      jwksUrl,
+      reason: error.message,
+    });
+  }
+  if (!Array.isArray(response.data?.keys)) {
+    throw makeLtiError("Platform JWKS has no keys", 502, "LTI_JWKS_UNAVAILABLE", { jwksUrl });
+  }
+  return response.data.keys;
+}
+
+function findKey(keys, kid) {
+  if (kid) return keys.find((key) => key.kid === kid) || null;
+  const signingKeys = keys.filter((key) => key.kty === "RSA" && key.use !== "enc");
+  return signingKeys.length === 1 ? signingKeys[0] : null;
+}
+
+/**
+ * The platform JWK that signed a token.
+ *
+ * @param {string} jwksUrl
+ * @param {string} [kid] - token header kid
+ * @returns {Promise<Object>} JWK
+ */
+async function getPlatformKey(jwksUrl, kid, { now = Date.now() } = {}) {
+  let entry = cache.get(jwksUrl);
+  if (!entry || now - entry.fetchedAt > CACHE_TTL_MS) {
+    entry = { keys: await fetchJwks(jwksUrl), fetchedAt: now };
+    cache.set(jwksUrl, entry);
+  }
+
+  let key = findKey(entry.keys, kid);
+  if (!key && now - entry.fetchedAt > REFETCH_INTERVAL_MS) {
+    entry = { keys: await fetchJwks(jwksUrl), fetchedAt: now };
+    cache.set(jwksUrl, entry);
+    key = findKey(entry.keys, kid);
+  }
+  if (!key) {
+    throw makeLtiError("No platform key matches the token", 401, "LTI_TOKEN_INVALID", { kid });
+  }
+  return key;
+}
+
+function clearJwksCache() {
+  cache.clear();
+}
+
+module.exports = {
+  getPlatformKey,
+  clearJwksCache,
+};
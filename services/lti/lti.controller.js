@@ -0,0 +1,452 @@
+const mongoose = require("mongoose");
+const Challenge = require("../challenge/challenge.model");
+const Classroom = require("../classroom/classroom.model");
+const Member = require("../members/member.model");
+const MetricDefinition = require("../metricDefinition/metricDefinition.model");
+const LtiPlatform = require("./ltiPlatform.model");
+const LtiContext = require("./ltiContext.model");
+const LtiGradeSync = require("./ltiGradeSync.model");
+const LtiService = require("./lib/ltiService");
+const { syncContextRoster } = require("./lib/nrps");
+const { AGS_SCOPES } = require("./lib/ags");
+const {
+  isFeedbackVisible,
+  normalizePassbackInput,
+  requestGradePassback,
+} = require("./lib/gradePassback");
+const { getLtiConfig, getToolJwks } = require("./lib/ltiConfig");
+const { makeLtiError } = require("./lti.errors");
+
+function handleLtiError(res, error) {
+  if (error.message === "Class not found") {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes("Insufficient permissions")) {
+    return res.status(403).json({ error: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      error: "A platform with this issuer and client ID is already registered",
+      code: "LTI_PLATFORM_EXISTS",
+    });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code,
+      details: error.details,
+    });
+  }
+  return res.status(500).json({ error: error.message });
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Launch failures are shown in the LMS frame, so they get a page rather
+ * than JSON.
+ */
+function sendLaunchError(res, error) {
+  const statusCode = error.statusCode || 500;
+  const message = error.statusCode ? error.message : "SCALE could not open this link. Please try again.";
+  res
+    .status(statusCode)
+    .type("html")
+    .send(
+      `<!doctype html><html><head><meta charset="utf-8"><title>SCALE</title></head>` +
+        `<body><h1>Unable to open SCALE</h1><p>${escapeHtml(message)}</p>` +
+        (error.code ? `<p><small>Error code: ${escapeHtml(error.code)}</small></p>` : "") +
+        `</body></html>`
+    );
+}
+
+function formatPlatform(platform) {
+  const { _id, name, issuer, clientId, deploymentIds, authLoginUrl, accessTokenUrl, jwksUrl, isActive } =
+    platform;
+  return { _id, name, issuer, clientId, deploymentIds, authLoginUrl, accessTokenUrl, jwksUrl, isActive };
+}
+
+function findOrgPlatform(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.platformId)) return null;
+  return LtiPlatform.findOne({ _id: req.params.platformId, organization: req.organization._id });
+}
+
+function platformNotFound() {
+  return makeLtiError("LTI platform not found", 404, "LTI_PLATFORM_NOT_FOUND");
+}
+
+async function findAdminChallenge(req) {
+  const challenge = mongoose.Types.ObjectId.isValid(req.params.challengeId)
+    ? await Challenge.findOne({ _id: req.params.challengeId, organization: req.organization._id })
+    : null;
+  if (!challenge) throw makeLtiError("Challenge not found", 404, "CHALLENGE_NOT_FOUND");
+  await Classroom.validateAdminAccess(challenge.classroomId, req.clerkUser.id, req.organization._id);
+  return challenge;
+}
+
+/**
+ * OIDC login initiation (third-party initiated login)
+ * GET|POST /api/lti/login
+ */
+exports.login = async function (req, res) {
+  try {
+    const redirectUrl = await LtiService.initiateLogin({ ...req.query, ...req.body });
+    res.redirect(302, redirectUrl);
+  } catch (error) {
+    console.error("Error initiating LTI login:", error);
+    sendLaunchError(res, error);
+  }
+};
+
+/**
+ * LTI launch (id_token form post)
+ * POST /api/lti/launch
+ */
+exports.launch = async function (req, res) {
+  try {
+    const { redirectUrl } = await LtiService.handleLaunch({
+      idToken: req.body?.id_token,
+      state: req.body?.state,
+      ipAddress: req.ip,
+    });
+    res.redirect(302, redirectUrl);
+  } catch (error) {
+    console.error("Error handling LTI launch:", error);
+    sendLaunchError(res, error);
+  }
+};
+
+/**
+ * Tool public keys
+ * GET /api/lti/jwks
+ */
+exports.getJwks = async function (req, res) {
+  try {
+    res.json(getToolJwks());
+  } catch (error) {
+    handleLtiError(res, error);
+  }
+};
+
+/**
+ * Tool registration details for LMS administrators
+ * GET /api/admin/lti/config
+ */
+exports.getToolConfig = async function (req, res) {
+  const { loginUrl, launchUrl, jwksUrl, hasKey } = getLtiConfig();
+  res.json({
+    success: true,
+    data: { loginUrl, launchUrl, deepLinkingUrl: launchUrl, jwksUrl, configured: hasKey },
+  });
+};
+
+/**
+ * Sign the deep linking response for the instructor's picks
+ * POST /api/lti/deep-linking/response
+ */
+exports.createDeepLinkingResponse = async function (req, res) {
+  try {
+    const member = await Member.findOne({ clerkUserId: req.clerkUser.id });
+    if (!member) {
+      throw makeLtiError("Member not found", 404, "MEMBER_NOT_FOUND");
+    }
+    const { returnUrl, jwt, contentItems } = await LtiService.buildDeepLinkingResponse({
+      session: req.body?.session,
+      items: req.body?.items,
+      member,
+    });
+    res.json({ success: true, data: { returnUrl, jwt, contentItems } });
+  } catch (error) {
+    console.error("Error creating LTI deep linking response:", error);
+    handleLtiError(res, error);
+  }
+};
+
+/**
+ * Link the LMS user of a first launch to the signed-in account
+ * POST /api/lti/account-link
+ */
+exports.confirmAccountLink = async function (req, res) {
+  try {
+    const member = await Member.findOne({ clerkUserId: req.clerkUser.id });
+    if (!member) {
+      throw makeLtiError("Member not found", 404, "MEMBER_NOT_FOUND");
+    }
+    const verifiedEmails = (req.clerkUser.emailAddresses || [])
+      .filter((email) => email.verification?.status === "verified")
+      .map((email) => email.emailAddress);
+    const data = await LtiService.confirmAccountLink({
+      session: req.body?.session,
+      member,
+      verifiedEmails,
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error("Error linking LTI account:", error);
+    handleLtiError(res, error);
+  }
+};
+
+/**
+ * List the organization's LMS platforms
+ * GET /api/admin/lti/platforms
+ */
+exports.listPlatforms = async function (req, res) {
+  try {
+    const platforms = await LtiPlatform.find({ organization: req.organization._id })
+      .sort({ createdDate: -1 })
+      .lean();
+    res.json({ success: true, data: platforms.map(formatPlatform) });
+  } catch (error) {
+    console.error("Error listing LTI platforms:", error);
+    handleLtiError(res, error);
+  }
+};
+
+/**
+ * Register an LMS platform
+ * POST /api/admin/lti/platforms
+ */
+exports.createPlatform = async function (req, res) {
+  try {
+    const input = LtiPlatform.normalizeInput(req.body);
+    const platform = await LtiPlatform.create({
+      ...input,
+      organization: req.organization._id,
+      createdBy: req.clerkUser.id,
+      updatedBy: req.clerkUser.id,
+    });
+    res.status(201).json({ success: true, data: formatPlatform(platform) });
+  } catch (error) {
+    console.error("Error registering LTI platform:", error);
+    handleLtiError(res, error);
+  }
+};
+
+/**
+ * Update an LMS platform
+ * PUT /api/admin/lti/platforms/:platformId
+ */
+exports.updatePlatform = async function (req, res) {
+  try {
+    const platform = await findOrgPlatform(req);
+    if (!platform) throw platformNotFound();
+    Object.assign(platform, LtiPlatform.normalizeInput(req.body, { partial: true }), {
+      updatedBy: req.clerkUser.id,
+    });
+    await platform.save();
+    res.json({ success: true, data: formatPlatform(platform) });
+  } catch (error) {
+    console.error("Error updating LTI platform:", error);
+    handleLtiError(res, error);
+  }
+};
+
+/**
+ * Remove an LMS platform. Its course links stop working; LMS users keep
+ * their SCALE accounts and enrollments.
+ * DELETE /api/admin/lti/platforms/:platformId
+ */
+exports.deletePlatform = async function (req, res) {
+  try {
+    const platform = await findOrgPlatform(req);
+    if (!platform) throw platformNotFound();
+    await Promise.all([
+      LtiContext.deleteMany({ platformId: platform._id }),
+      LtiPlatform.deleteOne({ _id: platform._id }),
+    ]);
+    res.json({ success: true, data: { _id: platform._id } });
+  } catch (error) {
+    console.error("Error deleting LTI platform:", error);
+    handleLtiError(res, error);
+  }
+};
+
+/**
+ * LMS courses linked to a classroom
+ * GET /api/admin/class/:classroomId/lti
+ */
+exports.getClassLinks = async function (req, res) {
+  try {
+    await Classroom.validateAdminAccess(req.params.classroomId, req.clerkUser.id, req.organization._id);
+    const contexts = await LtiContext.find({ classroomId: req.params.classroomId })
+      .populate("platformId", "name issuer")
+      .lean();
+    res.json({ success: true, data: contexts });
+  } catch (error) {
+    console.error("Error getting classroom LTI links:", error);
+    handleLtiError(res, error);
+  }
+};
+
+/**
+ * Sync a classroom's rosters from its linked LMS courses
+ * POST /api/admin/class/:classroomId/lti/roster-sync
+ */
+exports.syncClassRoster = async function (req, res) {
+  try {
+    await Classroom.validateAdminAccess(req.params.classroomId, req.clerkUser.id, req.organization._id);
+    const contexts = await LtiContext.find({ classroomId: req.params.classroomId });
+    if (contexts.length === 0) {
+      throw makeLtiError("This classroom is not linked to an LMS course", 404, "LTI_CONTEXT_NOT_FOUND");
+    }
+
+    const results = [];
+    for (const context of contexts) {
+      try {
+        const summary = await syncContextRoster(context, { updatedBy: req.clerkUser.id });
+        results.push({ contextId: context.contextId, status: "succeeded", summary });
+      } catch (error) {
+        results.push({
+          contextId: context.contextId,
+          status: "failed",
+          code: error.code || null,
+          error: error.message,
+        });
+      }
+    }
+    res.json({ success: true, data: results });
+  } catch (error) {
+    console.error("Error syncing LTI roster:", error);
+    handleLtiError(res, error);
+  }
+};
+
+/**
+ * LMS grade passback settings and each student's sync status for a challenge
+ * GET /api/admin/challenges/:challengeId/lti/grades
+ */
+exports.getChallengeGrades = async function (req, res) {
+  try {
+    const challenge = await findAdminChallenge(req);
+    const [contexts, rows] = await Promise.all([
+      LtiContext.find({ classroomId: challenge.classroomId })
+        .select("contextId title label lineItems agsScopes")
+        .lean(),
+      LtiGradeSync.find({ challengeId: challenge._id })
+        .populate("memberId", "firstName lastName maskedEmail")
+        .sort({ contextId: 1, status: 1 })
+        .lean(),
+    ]);
+
+    const summary = { pending: 0, synced: 0, failed: 0, skipped: 0 };
+    rows.forEach((row) => {
+      summary[row.status] += 1;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        passback: challenge.toObject().ltiGradePassback,
+        feedbackReleased: isFeedbackVisible(challenge),
+        courses: contexts.map((context) => ({
+          _id: context._id,
+          contextId: context.contextId,
+          title: context.title,
+          label: context.label,
+          gradeServiceAvailable: (context.agsScopes || []).includes(AGS_SCOPES.SCORE),
+          lineItemUrl:
+            (context.lineItems || []).find(
+              (item) => String(item.challengeId) === String(challenge._id)
+            )?.lineItemUrl || null,
+        })),
+        summary,
+        students: rows.map(({ memberId: member, ...row }) => ({
+          ...row,
+          memberId: member?._id || member,
+          firstName: member?.firstName || "",
+          lastName: member?.lastName || "",
+          email: member?.maskedEmail || "",
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting LTI grade sync status:", error);
+    handleLtiError(res, error);
+  }
+};
+
+/**
+ * Update a challenge's LMS grade passback settings
+ * PUT /api/admin/challenges/:challengeId/lti/grade-passback
+ */
+exports.updateGradePassback = async function (req, res) {
+  try {
+    const challenge = await findAdminChallenge(req);
+    const metricDefinitions = await MetricDefinition.find({
+      classroomId: challenge.classroomId,
+      isActive: true,
+      dataType: "number",
+    })
+      .select("key")
+      .lean();
+    challenge.ltiGradePassback = normalizePassbackInput(req.body, {
+      current: challenge.toObject().ltiGradePassback,
+      metricKeys: metricDefinitions.map((definition) => definition.key),
+    });
+    challenge.updatedBy = req.clerkUser.id;
+    await challenge.save();
+    res.json({ success: true, data: challenge.toObject().ltiGradePassback });
+  } catch (error) {
+    console.error("Error updating LTI grade passback:", error);
+    handleLtiError(res, error);
+  }
+};
+
+/**
+ * Queue a re-post of a challenge's scores to linked LMS gradebooks: everyone,
+ * the given students, or (failedOnly) the students whose last post failed
+ * POST /api/admin/challenges/:challengeId/lti/grades/resync
+ */
+exports.resyncChallengeGrades = async function (req, res) {
+  try {
+    const challenge = await findAdminChallenge(req);
+    if (!challenge.ltiGradePassback?.enabled) {
+      throw makeLtiError(
+        "Grade passback is not enabled for this challenge",
+        409,
+        "LTI_GRADE_PASSBACK_DISABLED"
+      );
+    }
+    if (!isFeedbackVisible(challenge)) {
+      throw makeLtiError("Feedback has not been released", 409, "LTI_GRADES_NOT_RELEASED");
+    }
+    if (!(await LtiContext.exists({ classroomId: challenge.classroomId }))) {
+      throw makeLtiError("This classroom is not linked to an LMS course", 404, "LTI_CONTEXT_NOT_FOUND");
+    }
+
+    const { memberIds: requestedIds, failedOnly } = req.body || {};
+    let memberIds = null;
+    if (requestedIds !== undefined) {
+      if (
+        !Array.isArray(requestedIds) ||
+        requestedIds.length === 0 ||
+        !requestedIds.every((id) => mongoose.Types.ObjectId.isValid(id))
+      ) {
+        throw makeLtiError("memberIds must be a non-empty array of member IDs", 400, "INVALID_GRADE_PASSBACK", {
+          field: "memberIds",
+        });
+      }
+      memberIds = requestedIds.map(String);
+    } else if (failedOnly) {
+      memberIds = (
+        await LtiGradeSync.distinct("memberId", { challengeId: challenge._id, status: "failed" })
+      ).map(String);
+      if (memberIds.length === 0) {
+        return res.json({ success: true, data: { queued: false, memberIds } });
+      }
+    }
+
+    const job = await requestGradePassback(challenge, { memberIds, updatedBy: req.clerkUser.id });
+    res.status(202).json({ success: true, data: { queued: true, jobId: job.id, memberIds } });
+  } catch (error) {
+    console.error("Error queueing LTI grade resync:", error);
+    handleLtiError(res, error);
+  }
+};
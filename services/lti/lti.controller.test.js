@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const Challenge = require("../challenge/challenge.model");
+const Classroom = require("../classroom/classroom.model");
+const controller = require("./lti.controller");
+
+test("lti controller exports handlers", () => {
+  [
+    "login",
+    "launch",
+    "getJwks",
+    "getToolConfig",
+    "createDeepLinkingResponse",
+    "confirmAccountLink",
+    "listPlatforms",
+    "createPlatform",
+    "updatePlatform",
+    "deletePlatform",
+    "getClassLinks",
+    "syncClassRoster",
+    "getChallengeGrades",
+    "updateGradePassback",
+    "resyncChallengeGrades",
+  ].forEach((name) => assert.equal(typeof controller[name], "function", name));
+});
+
+test("launch errors are shown as an escaped page", async () => {
+  const res = {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    type() {
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  await controller.launch({ body: { id_token: "<script>", state: "" }, ip: "127.0.0.1" }, res);
+
+  assert.equal(res.statusCode, 401);
+  assert.match(res.body, /LTI_STATE_INVALID|LTI_TOKEN_INVALID/);
+  assert.doesNotMatch(res.body, /<script>/);
+});
+
+test("grade resync needs passback enabled and released feedback", async (t) => {
+  const challenge = {
+    _id: "64b7f0000000000000000003",
+    classroomId: "64b7f0000000000000000002",
+    isPublished: true,
+    isClosed: true,
+    isFeedbackReleased: false,
+    ltiGradePassback: { enabled: false },
+  };
+  t.mock.method(Challenge, "findOne", async () => challenge);
+  t.mock.method(Classroom, "validateAdminAccess", async () => ({}));
+
+  const send = async () => {
+    const res = {
+      statusCode: 200,
+      body: null,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+    };
+    await controller.resyncChallengeGrades(
+      {
+        params: { challengeId: challenge._id },
+        body: {},
+        organization: { _id: "org1" },
+        clerkUser: { id: "user_1" },
+      },
+      res
+    );
+    return res;
+  };
+
+  let res = await send();
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.code, "LTI_GRADE_PASSBACK_DISABLED");
+
+  challenge.ltiGradePassback.enabled = true;
+  res = await send();
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.code, "LTI_GRADES_NOT_RELEASED");
+});
@@ -0,0 +1,196 @@
+const mongoose = require("mongoose");
+const baseSchema = require("../../lib/baseSchema");
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     LtiContext:
+ *       type: object
+ *       description: An LMS course linked to a SCALE classroom by an LTI launch. Its roster is synced from the course's Names and Role Provisioning Service.
+ *       properties:
+ *         _id:
+ *           type: string
+ *         platformId:
+ *           type: string
+ *         deploymentId:
+ *           type: string
+ *         contextId:
+ *           type: string
+ *           description: LMS course ID.
+ *         title:
+ *           type: string
+ *         label:
+ *           type: string
+ *         classroomId:
+ *           type: string
+ *         membershipsUrl:
+ *           type: string
+ *           nullable: true
+ *           description: NRPS context memberships URL (from the latest launch).
+ *         lineItemsUrl:
+ *           type: string
+ *           nullable: true
+ *           description: AGS line items URL (from the latest launch).
+ *         agsScopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: AGS scopes the LMS granted for this course.
+ *         lineItems:
+ *           type: array
+ *           description: LMS gradebook columns SCALE posts challenge scores to.
+ *           items:
+ *             type: object
+ *             properties:
+ *               challengeId:
+ *                 type: string
+ *               lineItemUrl:
+ *                 type: string
+ *         lastRosterSync:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             at:
+ *               type: string
+ *               format: date-time
+ *             status:
+ *               type: string
+ *               enum: [succeeded, failed]
+ *             summary:
+ *               type: object
+ *             error:
+ *               type: string
+ *               nullable: true
+ */
+const ltiContextSchema = new mongoose.Schema({
+  platformId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "LtiPlatform",
+    required: true,
+  },
+  deploymentId: {
+    type: String,
+    required: true,
+  },
+  contextId: {
+    type: String,
+    required: true,
+  },
+  title: {
+    type: String,
+    default: "",
+  },
+  label: {
+    type: String,
+    default: "",
+  },
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Classroom",
+    required: true,
+    index: true,
+  },
+  membershipsUrl: {
+    type: String,
+    default: null,
+  },
+  // Assignment and Grade Services (see lib/gradePassback)
+  lineItemsUrl: {
+    type: String,
+    default: null,
+  },
+  agsScopes: {
+    type: [String],
+    default: [],
+  },
+  lineItems: {
+    type: [
+      {
+        _id: false,
+        challengeId: { type: mongoose.Schema.Types.ObjectId, ref: "Challenge", required: true },
+        lineItemUrl: { type: String, required: true },
+      },
+    ],
+    default: [],
+  },
+  lastRosterSync: {
+    at: Date,
+    status: {
+      type: String,
+      enum: ["succeeded", "failed"],
+    },
+    summary: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+    error: String,
+  },
+}).add(baseSchema);
+
+ltiContextSchema.index({ platformId: 1, contextId: 1, classroomId: 1 }, { unique: true });
+
+/**
+ * Link the launch's course to a classroom, refreshing its title and its NRPS
+ * and AGS endpoints.
+ */
+ltiContextSchema.statics.linkLaunch = function ({ platform, launch, classroomId, clerkUserId }) {
+  const $set = {
+    deploymentId: launch.deploymentId,
+    title: launch.context.title,
+    label: launch.context.label,
+    updatedBy: clerkUserId,
+  };
+  if (launch.membershipsUrl) $set.membershipsUrl = launch.membershipsUrl;
+  if (launch.ags?.lineItemsUrl) $set.lineItemsUrl = launch.ags.lineItemsUrl;
+  if (launch.ags) $set.agsScopes = launch.ags.scopes;
+
+  return this.findOneAndUpdate(
+    { platformId: platform._id, contextId: launch.context.id, classroomId },
+    {
+      $set,
+      $setOnInsert: { organization: platform.organization, createdBy: clerkUserId },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Classrooms an LMS course is linked to.
+ *
+ * @returns {Promise<string[]>}
+ */
+ltiContextSchema.statics.findClassroomIds = async function (platformId, contextId) {
+  const contexts = await this.find({ platformId, contextId }).select("classroomId").lean();
+  return contexts.map((context) => String(context.classroomId));
+};
+
+/**
+ * The line item a challenge's scores are posted to in this course, or null.
+ */
+ltiContextSchema.methods.lineItemFor = function (challengeId) {
+  const lineItem = (this.lineItems || []).find(
+    (item) => String(item.challengeId) === String(challengeId)
+  );
+  return lineItem ? lineItem.lineItemUrl : null;
+};
+
+/**
+ * Remember the line item for a challenge, replacing any earlier one.
+ */
+ltiContextSchema.statics.recordLineItem = async function (contextId, challengeId, lineItemUrl) {
+  const replaced = await this.updateOne(
+    { _id: contextId, "lineItems.challengeId": challengeId },
+    { $set: { "lineItems.$.lineItemUrl": lineItemUrl } }
+  );
+  if (replaced.matchedCount === 0) {
+    await this.updateOne(
+      { _id: contextId, "lineItems.challengeId": { $ne: challengeId } },
+      { $push: { lineItems: { challengeId, lineItemUrl } } }
+    );
+  }
+};
+
+const LtiContext = mongoose.model("LtiContext", ltiContextSchema);
+
+module.exports = LtiContext;
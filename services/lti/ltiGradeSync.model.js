@@ -0,0 +1,188 @@
+const mongoose = require("mongoose");
+const baseSchema = require("../../lib/baseSchema");
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     LtiGradeSync:
+ *       type: object
+ *       description: Where one student's challenge score stands in one linked LMS course's gradebook.
+ *       properties:
+ *         _id:
+ *           type: string
+ *         ltiContextId:
+ *           type: string
+ *         contextId:
+ *           type: string
+ *           description: LMS course ID.
+ *         classroomId:
+ *           type: string
+ *         challengeId:
+ *           type: string
+ *         memberId:
+ *           type: string
+ *         ltiUserId:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [pending, synced, failed, skipped]
+ *           description: pending is queued for the next passback run; skipped students have no score to post (skipReason no_result) or have never opened SCALE from this LMS (no_lti_identity).
+ *         scoreGiven:
+ *           type: number
+ *           nullable: true
+ *         scoreMaximum:
+ *           type: number
+ *           nullable: true
+ *         skipReason:
+ *           type: string
+ *           nullable: true
+ *         attempts:
+ *           type: integer
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *         lastAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         syncedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+const ltiGradeSyncSchema = new mongoose.Schema({
+  ltiContextId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "LtiContext",
+    required: true,
+  },
+  contextId: {
+    type: String,
+    required: true,
+  },
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Classroom",
+    required: true,
+  },
+  challengeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Challenge",
+    required: true,
+    index: true,
+  },
+  memberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    required: true,
+  },
+  ltiUserId: {
+    type: String,
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "synced", "failed", "skipped"],
+    default: "pending",
+  },
+  scoreGiven: {
+    type: Number,
+    default: null,
+  },
+  scoreMaximum: {
+    type: Number,
+    default: null,
+  },
+  skipReason: {
+    type: String,
+    default: null,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  lastError: {
+    type: String,
+    default: null,
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null,
+  },
+  syncedAt: {
+    type: Date,
+    default: null,
+  },
+}).add(baseSchema);
+
+ltiGradeSyncSchema.index({ ltiContextId: 1, challengeId: 1, memberId: 1 }, { unique: true });
+
+/**
+ * Record the outcome of posting (or not posting) one student's score.
+ *
+ * @param {Object} input
+ * @param {Object} input.context - LtiContext
+ * @param {string} input.challengeId
+ * @param {string} input.memberId
+ * @param {"synced"|"failed"|"skipped"} input.status
+ * @param {Object} [input.score] - { scoreGiven, scoreMaximum }
+ * @param {string} [input.ltiUserId]
+ * @param {string} [input.skipReason]
+ * @param {string} [input.error]
+ * @param {string} input.updatedBy
+ */
+ltiGradeSyncSchema.statics.recordResult = function ({
+  context,
+  challengeId,
+  memberId,
+  status,
+  score = null,
+  ltiUserId = null,
+  skipReason = null,
+  error = null,
+  updatedBy,
+  now = new Date(),
+}) {
+  const $set = {
+    contextId: context.contextId,
+    classroomId: context.classroomId,
+    status,
+    ltiUserId,
+    scoreGiven: score ? score.scoreGiven : null,
+    scoreMaximum: score ? score.scoreMaximum : null,
+    skipReason: status === "skipped" ? skipReason : null,
+    lastError: status === "failed" ? error : null,
+    updatedBy,
+  };
+  if (status === "synced") $set.syncedAt = now;
+  const update = {
+    $set,
+    $setOnInsert: { organization: context.organization, createdBy: updatedBy },
+  };
+  // Skips make no LMS request, so they are not attempts
+  if (status !== "skipped") {
+    update.$inc = { attempts: 1 };
+    $set.lastAttemptAt = now;
+  }
+
+  return this.findOneAndUpdate(
+    { ltiContextId: context._id, challengeId, memberId },
+    update,
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Mark students' rows as waiting for the next passback run. Omit memberIds
+ * for the whole challenge.
+ */
+ltiGradeSyncSchema.statics.markPending = function (challengeId, memberIds = null, updatedBy) {
+  const filter = { challengeId };
+  if (memberIds) filter.memberId = { $in: memberIds };
+  return this.updateMany(filter, { $set: { status: "pending", updatedBy } });
+};
+
+const LtiGradeSync = mongoose.model("LtiGradeSync", ltiGradeSyncSchema);
+
+module.exports = LtiGradeSync;
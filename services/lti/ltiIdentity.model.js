@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+const baseSchema = require("../../lib/baseSchema");
+
+/**
+ * The SCALE member behind an LMS user (`sub`) on one platform. LMS user IDs
+ * are stable where emails may change or be withheld, so returning users and
+ * NRPS roster entries are matched here first.
+ */
+const ltiIdentitySchema = new mongoose.Schema({
+  platformId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "LtiPlatform",
+    required: true,
+  },
+  sub: {
+    type: String,
+    required: true,
+  },
+  memberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    required: true,
+    index: true,
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null,
+  },
+  lastLaunchAt: {
+    type: Date,
+    default: null,
+  },
+}).add(baseSchema);
+
+ltiIdentitySchema.index({ platformId: 1, sub: 1 }, { unique: true });
+
+/**
+ * Record (or move) the link from an LMS user to a member.
+ */
+ltiIdentitySchema.statics.linkMember = function ({ platform, user, memberId, clerkUserId }) {
+  return this.findOneAndUpdate(
+    { platformId: platform._id, sub: user.sub },
+    {
+      $set: {
+        memberId,
+        ...(user.email ? { email: user.email } : {}),
+        lastLaunchAt: new Date(),
+        updatedBy: clerkUserId,
+      },
+      $setOnInsert: { organization: platform.organization, createdBy: clerkUserId },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const LtiIdentity = mongoose.model("LtiIdentity", ltiIdentitySchema);
+
+module.exports = LtiIdentity;
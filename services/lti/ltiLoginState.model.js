@@ -0,0 +1,70 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+/**
+ * One OIDC login initiation: the `state` and `nonce` sent to the platform,
+ * checked (and used up) when the launch comes back. Expired states are
+ * removed by the TTL index.
+ */
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+
+const ltiLoginStateSchema = new mongoose.Schema(
+  {
+    state: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    nonce: {
+      type: String,
+      required: true,
+    },
+    platformId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LtiPlatform",
+      required: true,
+    },
+    targetLinkUri: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+ltiLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Record a login initiation.
+ *
+ * @returns {Promise<{ state: string, nonce: string }>}
+ */
+ltiLoginStateSchema.statics.issue = async function ({ platformId, targetLinkUri, now = Date.now() }) {
+  const doc = await this.create({
+    state: crypto.randomBytes(24).toString("base64url"),
+    nonce: crypto.randomBytes(24).toString("base64url"),
+    platformId,
+    targetLinkUri: targetLinkUri || null,
+    expiresAt: new Date(now + LOGIN_STATE_TTL_MS),
+  });
+  return { state: doc.state, nonce: doc.nonce };
+};
+
+/**
+ * Use up a login state. Returns null when it is unknown, expired or already
+ * used, so each id_token can only be launched once.
+ */
+ltiLoginStateSchema.statics.consume = function (state, { now = Date.now() } = {}) {
+  if (typeof state !== "string" || !state) return null;
+  return this.findOneAndDelete({ state, expiresAt: { $gt: new Date(now) } }).lean();
+};
+
+ltiLoginStateSchema.statics.LOGIN_STATE_TTL_MS = LOGIN_STATE_TTL_MS;
+
+const LtiLoginState = mongoose.model("LtiLoginState", ltiLoginStateSchema);
+
+module.exports = LtiLoginState;
@@ -0,0 +1,165 @@
+const mongoose = require("mongoose");
+const baseSchema = require("../../lib/baseSchema");
+const { makeLtiError } = require("./lti.errors");
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     LtiPlatform:
+ *       type: object
+ *       description: An LMS (Canvas, Moodle, Blackboard...) registered to launch SCALE with LTI 1.3. Values come from the LMS developer key / tool registration.
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         issuer:
+ *           type: string
+ *           description: Platform issuer (`iss`), e.g. https://canvas.instructure.com
+ *         clientId:
+ *           type: string
+ *           description: Client ID the platform assigned to SCALE.
+ *         deploymentIds:
+ *           type: array
+ *           description: Accepted deployment IDs (empty accepts any deployment of this client).
+ *           items:
+ *             type: string
+ *         authLoginUrl:
+ *           type: string
+ *           description: Platform OIDC authorization endpoint.
+ *         accessTokenUrl:
+ *           type: string
+ *           description: Platform OAuth2 token endpoint for LTI services (NRPS).
+ *         jwksUrl:
+ *           type: string
+ *           description: Platform public keyset URL.
+ *         isActive:
+ *           type: boolean
+ */
+const PLATFORM_FIELDS = ["name", "issuer", "clientId", "authLoginUrl", "accessTokenUrl", "jwksUrl"];
+const URL_FIELDS = ["authLoginUrl", "accessTokenUrl", "jwksUrl"];
+
+const ltiPlatformSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  issuer: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  clientId: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  deploymentIds: {
+    type: [String],
+    default: [],
+  },
+  authLoginUrl: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  accessTokenUrl: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  jwksUrl: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}).add(baseSchema);
+
+ltiPlatformSchema.index({ issuer: 1, clientId: 1 }, { unique: true });
+
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a platform registration body. Throws 400 INVALID_LTI_PLATFORM.
+ *
+ * @param {Object} input
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - only validate the fields given (updates)
+ */
+ltiPlatformSchema.statics.normalizeInput = function (input, { partial = false } = {}) {
+  if (!input || typeof input !== "object") {
+    throw makeLtiError("Platform registration must be an object", 400, "INVALID_LTI_PLATFORM");
+  }
+  const normalized = {};
+  PLATFORM_FIELDS.forEach((field) => {
+    if (input[field] === undefined && partial) return;
+    const value = typeof input[field] === "string" ? input[field].trim() : "";
+    if (!value) {
+      throw makeLtiError(`${field} is required`, 400, "INVALID_LTI_PLATFORM", { field });
+    }
+    if (URL_FIELDS.includes(field) && !isHttpUrl(value)) {
+      throw makeLtiError(`${field} must be an http(s) URL`, 400, "INVALID_LTI_PLATFORM", { field });
+    }
+    normalized[field] = value;
+  });
+  if (input.deploymentIds !== undefined) {
+    if (
+      !Array.isArray(input.deploymentIds) ||
+      input.deploymentIds.some((id) => typeof id !== "string" || !id.trim())
+    ) {
+      throw makeLtiError("deploymentIds must be an array of strings", 400, "INVALID_LTI_PLATFORM", {
+        field: "deploymentIds",
+      });
+    }
+    normalized.deploymentIds = [...new Set(input.deploymentIds.map((id) => id.trim()))];
+  }
+  if (input.isActive !== undefined) normalized.isActive = input.isActive !== false;
+  return normalized;
+};
+
+/**
+ * The active platform a login initiation or launch comes from. Platforms are
+ * matched on issuer and client ID; the client ID may be left out when only
+ * one platform uses the issuer.
+ *
+ * Throws 404 LTI_PLATFORM_NOT_FOUND or 400 LTI_PLATFORM_AMBIGUOUS.
+ */
+ltiPlatformSchema.statics.findForLaunch = async function ({ issuer, clientId }) {
+  if (!issuer) {
+    throw makeLtiError("Platform issuer is required", 400, "LTI_PLATFORM_NOT_FOUND");
+  }
+  const query = { issuer, isActive: true };
+  if (clientId) query.clientId = clientId;
+  const platforms = await this.find(query).limit(2).lean();
+  if (platforms.length === 0) {
+    throw makeLtiError("This LMS is not registered with SCALE", 404, "LTI_PLATFORM_NOT_FOUND", {
+      issuer,
+      clientId: clientId || null,
+    });
+  }
+  if (platforms.length > 1) {
+    throw makeLtiError(
+      "Several registrations use this issuer; the platform must send client_id",
+      400,
+      "LTI_PLATFORM_AMBIGUOUS",
+      { issuer }
+    );
+  }
+  return platforms[0];
+};
+
+const LtiPlatform = mongoose.model("LtiPlatform", ltiPlatformSchema);
+
+module.exports = LtiPlatform;
@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const LtiPlatform = require("./ltiPlatform.model");
+
+const registration = {
+  name: " Canvas ",
+  issuer: "https://canvas.instructure.com",
+  clientId: "10000000000001",
+  deploymentIds: ["1:abc", "1:abc", " 2:def "],
+  authLoginUrl: "https://sso.canvaslms.com/api/lti/authorize_redirect",
+  accessTokenUrl: "https://sso.canvaslms.com/login/oauth2/token",
+  jwksUrl: "https://sso.canvaslms.com/api/lti/security/jwks",
+};
+
+test("LtiPlatform.normalizeInput trims fields and dedupes deployment IDs", () => {
+  const normalized = LtiPlatform.normalizeInput(registration);
+  assert.equal(normalized.name, "Canvas");
+  assert.deepEqual(normalized.deploymentIds, ["1:abc", "2:def"]);
+  assert.equal(normalized.isActive, undefined);
+});
+
+test("LtiPlatform.normalizeInput requires fields and http(s) endpoints", () => {
+  assert.throws(
+    () => LtiPlatform.normalizeInput({ ...registration, clientId: "" }),
+    (err) => err.statusCode === 400 && err.code === "INVALID_LTI_PLATFORM" && err.details.field === "clientId"
+  );
+  assert.throws(
+    () => LtiPlatform.normalizeInput({ ...registration, jwksUrl: "ftp://lms.example.edu/jwks" }),
+    (err) => err.details.field === "jwksUrl"
+  );
+  assert.throws(
+    () => LtiPlatform.normalizeInput({ ...registration, deploymentIds: "1:abc" }),
+    (err) => err.details.field === "deploymentIds"
+  );
+});
+
+test("LtiPlatform.normalizeInput partial updates only include given fields", () => {
+  assert.deepEqual(LtiPlatform.normalizeInput({ isActive: false }, { partial: true }), {
+    isActive: false,
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Market Service Routes
+ *
+ * Instructor review of shared-market clearings: how each challenge's demand
+ * pool was split between students before their simulations ran.
+ * Mounted at: /v1
+ */
+const express = require("express");
+const controller = require("./market.controller");
+const router = express.Router();
+
+const { requireAuth, checkRole } = require("../../middleware/auth");
+
+/**
+ * @openapi
+ * /v1/admin/challenges/{challengeId}/market:
+ *   get:
+ *     summary: Get a challenge's market clearing
+ *     description: How the class's shared demand pool was split, with each student's attractiveness, share, units and rank. Multi-round challenges have one clearing per round, in round order. Requires org:admin role.
+ *     tags:
+ *       - Market
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: challengeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Clearings, participants sorted by rank and named (member).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MarketClearing'
+ *       403:
+ *         description: Insufficient permissions.
+ *       404:
+ *         description: Challenge not found, or the market has not cleared (code MARKET_NOT_CLEARED).
+ */
+router.get("/admin/challenges/:challengeId/market", requireAuth(), checkRole("org:admin"), controller.getChallengeMarket);
+
+module.exports = router;
@@ -0,0 +1,211 @@
+/**
+ * Shared-market clearing: split one demand pool between every student's
+ * decision by how attractive their offer is relative to the class.
+ *
+ * Attractiveness is a multiplicative share model. Each factor compares the
+ * student with the class average, raised to that factor's weight:
+ *
+ *   (avgPrice / price)^wPrice
+ *   * ((1 + quality) / (1 + avgQuality))^wQuality
+ *   * ((1 + marketing) / (1 + avgMarketing))^wMarketing
+ *
+ * A weight of 0 (or an unconfigured variable) leaves that factor out. Shares
+ * are attractiveness over the class total, and demand is split into whole
+ * units by largest remainder so the units add up to the pool.
+ */
+
+const DEFAULT_WEIGHTS = Object.freeze({ price: 1, quality: 1, marketing: 1 });
+
+function toNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value === "string" && value.trim() !== "") {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+  return null;
+}
+
+function average(values) {
+  return values.length === 0
+    ? 0
+    : values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function roundTo(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Read one decision's market inputs. Students without a positive price are
+ * left out of the market; missing quality or marketing counts as 0.
+ *
+ * @param {Object} entry - { userId, decisionId, variables }
+ * @param {Object} settings - { priceVariable, qualityVariable, marketingVariable }
+ * @returns {{ offer: Object|null, reason: string|null }}
+ */
+function readOffer(entry, settings) {
+  const variables = entry.variables || {};
+  const price = toNumber(variables[settings.priceVariable]);
+  if (price === null || price <= 0) {
+    return { offer: null, reason: "MISSING_PRICE" };
+  }
+  const factor = (key) => (key ? Math.max(0, toNumber(variables[key]) ?? 0) : null);
+  return {
+    offer: {
+      userId: entry.userId,
+      decisionId: entry.decisionId || null,
+      price,
+      quality: factor(settings.qualityVariable),
+      marketing: factor(settings.marketingVariable),
+    },
+    reason: null,
+  };
+}
+
+function attractivenessOf(offer, averages, weights) {
+  let score = Math.pow(averages.price / offer.price, weights.price);
+  if (offer.quality !== null) {
+    score *= Math.pow((1 + offer.quality) / (1 + averages.quality), weights.quality);
+  }
+  if (offer.marketing !== null) {
+    score *= Math.pow((1 + offer.marketing) / (1 + averages.marketing), weights.marketing);
+  }
+  return score;
+}
+
+/**
+ * Whole units per share, adding up to the pool (largest remainder, ties by
+ * userId so the split is deterministic).
+ */
+function splitUnits(shares, pool) {
+  const exact = shares.map(({ userId, share }) => ({ userId, exact: share * pool }));
+  const units = new Map(exact.map(({ userId, exact: value }) => [String(userId), Math.floor(value)]));
+  let remaining = pool - [...units.values()].reduce((sum, value) => sum + value, 0);
+  const byRemainder = [...exact].sort(
+    (a, b) =>
+      b.exact - Math.floor(b.exact) - (a.exact - Math.floor(a.exact)) ||
+      String(a.userId).localeCompare(String(b.userId))
+  );
+  for (const { userId } of byRemainder) {
+    if (remaining <= 0) break;
+    units.set(String(userId), units.get(String(userId)) + 1);
+    remaining -= 1;
+  }
+  return units;
+}
+
+/**
+ * Clear the market for one challenge (or round).
+ *
+ * @param {Array<Object>} entries - { userId, decisionId, variables } per decision
+ * @param {Object} settings - Classroom.marketSettings
+ * @param {number} demandPool - total demand to share out
+ * @returns {{ demandPool: number, averages: Object, totalAttractiveness: number,
+ *   participants: Array<Object>, excluded: Array<Object> }}
+ */
+function allocateMarket(entries, settings, demandPool) {
+  const weights = { ...DEFAULT_WEIGHTS, ...(settings.weights || {}) };
+  const pool = Math.max(0, Math.round(toNumber(demandPool) ?? 0));
+
+  const offers = [];
+  const excluded = [];
+  for (const entry of entries) {
+    const { offer, reason } = readOffer(entry, settings);
+    if (offer) {
+      offers.push(offer);
+    } else {
+      excluded.push({ userId: entry.userId, decisionId: entry.decisionId || null, reason });
+    }
+  }
+
+  const averages = {
+    price: average(offers.map((offer) => offer.price)),
+    quality: settings.qualityVariable ? average(offers.map((offer) => offer.quality)) : null,
+    marketing: settings.marketingVariable ? average(offers.map((offer) => offer.marketing)) : null,
+  };
+
+  const scored = offers.map((offer) => ({
+    ...offer,
+    attractiveness: attractivenessOf(offer, averages, weights),
+  }));
+  const totalAttractiveness = scored.reduce((sum, offer) => sum + offer.attractiveness, 0);
+  const shares = scored.map((offer) => ({
+    ...offer,
+    share: totalAttractiveness > 0 ? offer.attractiveness / totalAttractiveness : 0,
+  }));
+  const units = splitUnits(shares, pool);
+
+  const ranked = [...shares].sort((a, b) => b.attractiveness - a.attractiveness);
+  const participants = shares.map((offer) => ({
+    ...offer,
+    attractiveness: roundTo(offer.attractiveness, 6),
+    share: roundTo(offer.share, 6),
+    units: units.get(String(offer.userId)),
+    rank: 1 + ranked.findIndex((other) => other.attractiveness === offer.attractiveness),
+    lateEntry: false,
+  }));
+
+  return {
+    demandPool: pool,
+    averages: {
+      price: roundTo(averages.price, 4),
+      quality: averages.quality === null ? null : roundTo(averages.quality, 4),
+      marketing: averages.marketing === null ? null : roundTo(averages.marketing, 4),
+    },
+    totalAttractiveness: roundTo(totalAttractiveness, 6),
+    participants,
+    excluded,
+  };
+}
+
+/**
+ * Add students processed after the market cleared (deferred by a deadline
+ * extension). Each late entrant competes against the stored averages and
+ * total, and the students already simulated keep their units, so the pool
+ * can be exceeded by the late entrants' units.
+ *
+ * @param {Object} clearing - stored clearing ({ demandPool, averages, totalAttractiveness, settings })
+ * @param {Array<Object>} entries - { userId, decisionId, variables } per late decision
+ * @returns {{ participants: Array<Object>, excluded: Array<Object> }}
+ */
+function allocateLateEntrants(clearing, entries) {
+  const settings = clearing.settings || {};
+  const weights = { ...DEFAULT_WEIGHTS, ...(settings.weights || {}) };
+  const participants = [];
+  const excluded = [];
+
+  for (const entry of entries) {
+    const { offer, reason } = readOffer(entry, settings);
+    if (!offer) {
+      excluded.push({ userId: entry.userId, decisionId: entry.decisionId || null, reason });
+      continue;
+    }
+    // An empty market has no averages; the first entrant sets them
+    const averages = clearing.averages?.price
+      ? {
+          price: clearing.averages.price,
+          quality: clearing.averages.quality ?? 0,
+          marketing: clearing.averages.marketing ?? 0,
+        }
+      : { price: offer.price, quality: offer.quality ?? 0, marketing: offer.marketing ?? 0 };
+    const attractiveness = attractivenessOf(offer, averages, weights);
+    const share = attractiveness / ((clearing.totalAttractiveness || 0) + attractiveness);
+    participants.push({
+      ...offer,
+      attractiveness: roundTo(attractiveness, 6),
+      share: roundTo(share, 6),
+      units: Math.round(share * (clearing.demandPool || 0)),
+      rank: null,
+      lateEntry: true,
+    });
+  }
+
+  return { participants, excluded };
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  allocateMarket,
+  allocateLateEntrants,
+};
@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { allocateMarket, allocateLateEntrants } = require("./allocateMarket");
+
+const settings = {
+  priceVariable: "price",
+  qualityVariable: "quality",
+  marketingVariable: null,
+  weights: { price: 1, quality: 1, marketing: 1 },
+};
+
+function entry(userId, variables) {
+  return { userId, decisionId: `decision-${userId}`, variables };
+}
+
+test("cheaper, better offers win a larger share and units add up to the pool", () => {
+  const result = allocateMarket(
+    [
+      entry("a", { price: 4, quality: 3 }),
+      entry("b", { price: 5, quality: 3 }),
+      entry("c", { price: 5, quality: 1 }),
+    ],
+    settings,
+    101
+  );
+
+  const byUser = Object.fromEntries(result.participants.map((p) => [p.userId, p]));
+  assert.ok(byUser.a.share > byUser.b.share);
+  assert.ok(byUser.b.share > byUser.c.share);
+  assert.deepEqual(
+    [byUser.a.rank, byUser.b.rank, byUser.c.rank],
+    [1, 2, 3]
+  );
+  assert.equal(
+    result.participants.reduce((sum, p) => sum + p.units, 0),
+    101
+  );
+  assert.equal(result.averages.marketing, null);
+  assert.equal(result.demandPool, 101);
+});
+
+test("decisions without a positive price are excluded and ties share a rank", () => {
+  const result = allocateMarket(
+    [
+      entry("a", { price: 5, quality: 2 }),
+      entry("b", { price: "5", quality: 2 }),
+      entry("c", { price: 0 }),
+      entry("d", {}),
+    ],
+    settings,
+    11
+  );
+
+  assert.deepEqual(
+    result.excluded.map((e) => [e.userId, e.reason]),
+    [
+      ["c", "MISSING_PRICE"],
+      ["d", "MISSING_PRICE"],
+    ]
+  );
+  assert.deepEqual(
+    result.participants.map((p) => [p.userId, p.rank, p.units]),
+    [
+      ["a", 1, 6],
+      ["b", 1, 5],
+    ]
+  );
+});
+
+test("a weight of 0 leaves that factor out of the split", () => {
+  const result = allocateMarket(
+    [entry("a", { price: 4, quality: 0 }), entry("b", { price: 4, quality: 9 })],
+    { ...settings, weights: { price: 1, quality: 0 } },
+    100
+  );
+
+  assert.deepEqual(
+    result.participants.map((p) => p.units),
+    [50, 50]
+  );
+});
+
+test("late entrants compete against the stored averages without taking units", () => {
+  const clearing = allocateMarket(
+    [entry("a", { price: 4, quality: 2 }), entry("b", { price: 6, quality: 2 })],
+    settings,
+    100
+  );
+
+  const { participants, excluded } = allocateLateEntrants(
+    { ...clearing, settings },
+    [entry("c", { price: 5, quality: 2 }), entry("d", { quality: 2 })]
+  );
+
+  assert.equal(participants.length, 1);
+  assert.equal(participants[0].lateEntry, true);
+  assert.equal(participants[0].rank, null);
+  // At the average price and quality: attractiveness 1 against 5/4 + 5/6
+  assert.equal(participants[0].share, 0.324324);
+  assert.equal(participants[0].units, 32);
+  assert.deepEqual(excluded, [{ userId: "d", decisionId: "decision-d", reason: "MISSING_PRICE" }]);
+});
@@ -0,0 +1,41 @@
+/**
+ * The market values each student's simulation receives: in the prompt as a
+ * market_allocation envelope and in metric formulas as `market.*`.
+ */
+const MARKET_INPUT_KEYS = Object.freeze([
+  "demandPool",
+  "units",
+  "share",
+  "rank",
+  "participants",
+  "price",
+  "averagePrice",
+  "averageQuality",
+  "averageMarketing",
+  "lateEntry",
+]);
+
+/**
+ * @param {Object} clearing - MarketClearing (lean)
+ * @param {Object} participant - the student's entry in clearing.participants
+ * @returns {Object} keyed by MARKET_INPUT_KEYS
+ */
+function toMarketInput(clearing, participant) {
+  return {
+    demandPool: clearing.demandPool,
+    units: participant.units,
+    share: participant.share,
+    rank: participant.rank,
+    participants: clearing.participants.filter((entry) => !entry.lateEntry).length,
+    price: participant.price,
+    averagePrice: clearing.averages?.price ?? null,
+    averageQuality: clearing.averages?.quality ?? null,
+    averageMarketing: clearing.averages?.marketing ?? null,
+    lateEntry: !!participant.lateEntry,
+  };
+}
+
+module.exports = {
+  MARKET_INPUT_KEYS,
+  toMarketInput,
+};
@@ -0,0 +1,171 @@
+const MarketClearing = require("../marketClearing.model");
+const { allocateMarket, allocateLateEntrants } = require("./allocateMarket");
+// Note: Classroom, Decision, Outcome and VariableValue are required inside
+// functions to avoid circular dependencies
+
+const FACTOR_FIELDS = ["priceVariable", "qualityVariable", "marketingVariable"];
+
+/**
+ * The classroom's market settings, or null when it has no market.
+ */
+async function loadMarketSettings(classroomId) {
+  const Classroom = require("../../classroom/classroom.model");
+
+  const classDoc = await Classroom.findById(classroomId).select("marketSettings").lean();
+  const settings = classDoc?.marketSettings;
+  return settings?.enabled && settings.priceVariable ? settings : null;
+}
+
+/**
+ * The outcome's demandPoolVariable when it holds a number, else demandPool.
+ */
+async function resolveDemandPool(challengeId, settings) {
+  if (settings.demandPoolVariable) {
+    const Outcome = require("../../outcome/outcome.model");
+    const outcome = await Outcome.getOutcomeByScenario(challengeId);
+    const variables = outcome ? await outcome._loadVariables() : {};
+    const value = variables?.[settings.demandPoolVariable];
+    if (value !== undefined && value !== null && value !== "" && Number.isFinite(Number(value))) {
+      return Number(value);
+    }
+  }
+  return settings.demandPool ?? 0;
+}
+
+/**
+ * { userId, decisionId, variables } per decision, reading only the market
+ * variables: round decisions from the round's variables, single-round
+ * decisions from their stored VariableValues.
+ */
+async function loadMarketEntries(challengeId, roundKey, settings, userFilter = {}) {
+  const Decision = require("../../decision/decision.model");
+  const VariableValue = require("../../variableDefinition/variableValue.model");
+
+  const decisions = await Decision.find({
+    challengeId,
+    ...userFilter,
+    ...(roundKey ? { "rounds.roundKey": roundKey } : {}),
+  })
+    .select("_id userId rounds")
+    .lean();
+
+  if (roundKey) {
+    return decisions.map((decision) => ({
+      userId: decision.userId,
+      decisionId: decision._id,
+      variables: decision.rounds.find((round) => round.roundKey === roundKey)?.variables || {},
+    }));
+  }
+
+  const keys = FACTOR_FIELDS.map((field) => settings[field]).filter(Boolean);
+  const values = await VariableValue.find({
+    appliesTo: "decision",
+    ownerId: { $in: decisions.map((decision) => decision._id) },
+    variableKey: { $in: keys },
+  })
+    .select("ownerId variableKey value")
+    .lean();
+  const byDecision = new Map();
+  for (const value of values) {
+    const id = String(value.ownerId);
+    if (!byDecision.has(id)) byDecision.set(id, {});
+    byDecision.get(id)[value.variableKey] = value.value;
+  }
+  return decisions.map((decision) => ({
+    userId: decision.userId,
+    decisionId: decision._id,
+    variables: byDecision.get(String(decision._id)) || {},
+  }));
+}
+
+function settingsSnapshot(settings) {
+  return {
+    demandPool: settings.demandPool ?? null,
+    demandPoolVariable: settings.demandPoolVariable || null,
+    priceVariable: settings.priceVariable,
+    qualityVariable: settings.qualityVariable || null,
+    marketingVariable: settings.marketingVariable || null,
+    weights: { ...(settings.weights || {}) },
+  };
+}
+
+/**
+ * Market phase of outcome processing: split the challenge's (or round's)
+ * demand pool between every decision and store the clearing, so each
+ * student's simulation job can read its share. No-op (null) for classrooms
+ * without a market.
+ *
+ * @param {Object} challenge - Challenge (document or plain object)
+ * @param {Object} options
+ * @param {string|null} [options.roundKey]
+ * @param {Array<string>} [options.excludeUserIds] - students deferred to a follow-up run
+ * @param {string} options.organizationId
+ * @param {string} options.clerkUserId
+ * @returns {Promise<Object|null>} stored MarketClearing
+ */
+async function clearChallengeMarket(
+  challenge,
+  { roundKey = null, excludeUserIds = [], organizationId, clerkUserId }
+) {
+  const settings = await loadMarketSettings(challenge.classroomId);
+  if (!settings) return null;
+
+  const excluded = new Set(excludeUserIds.map(String));
+  const entries = (await loadMarketEntries(challenge._id, roundKey, settings)).filter(
+    (entry) => !excluded.has(String(entry.userId))
+  );
+  const demandPool = await resolveDemandPool(challenge._id, settings);
+  const result = allocateMarket(entries, settings, demandPool);
+
+  return MarketClearing.recordClearing(
+    challenge,
+    roundKey,
+    { ...result, settings: settingsSnapshot(settings) },
+    organizationId,
+    clerkUserId
+  );
+}
+
+/**
+ * Add deferred students to a cleared market once their follow-up run
+ * starts. No-op (null) when the challenge's market never cleared.
+ *
+ * @param {Object} challenge - Challenge (document or plain object)
+ * @param {Array<string>} userIds
+ * @param {Object} options - { clerkUserId }
+ * @returns {Promise<Object|null>} updated MarketClearing
+ */
+async function addLateEntrants(challenge, userIds, { clerkUserId }) {
+  const clearing = await MarketClearing.findOne({ challengeId: challenge._id, roundKey: null }).lean();
+  if (!clearing || userIds.length === 0) return null;
+
+  const late = new Set(userIds.map(String));
+  const entries = await loadMarketEntries(challenge._id, null, clearing.settings, {
+    userId: { $in: userIds },
+  });
+  const { participants, excluded } = allocateLateEntrants(clearing, entries);
+
+  // Replace any earlier late entry for the same students (re-run follow-ups)
+  return MarketClearing.findOneAndUpdate(
+    { _id: clearing._id },
+    {
+      $set: {
+        participants: [
+          ...clearing.participants.filter((entry) => !late.has(String(entry.userId))),
+          ...participants,
+        ],
+        excluded: [
+          ...clearing.excluded.filter((entry) => !late.has(String(entry.userId))),
+          ...excluded,
+        ],
+        updatedBy: clerkUserId,
+      },
+    },
+    { new: true }
+  ).lean();
+}
+
+module.exports = {
+  clearChallengeMarket,
+  addLateEntrants,
+};
@@ -0,0 +1,114 @@
+const { DEFAULT_WEIGHTS } = require("./allocateMarket");
+const { makeMarketError } = require("../market.errors");
+
+const VARIABLE_FIELDS = ["priceVariable", "qualityVariable", "marketingVariable"];
+
+function invalid(message, field) {
+  return makeMarketError(message, 400, "INVALID_MARKET_SETTINGS", { field });
+}
+
+function optionalKey(value, field) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value !== "string" || !value.trim()) {
+    throw invalid(`${field} must be a variable key`, field);
+  }
+  return value.trim();
+}
+
+function plain(settings) {
+  if (!settings) return {};
+  return typeof settings.toObject === "function" ? settings.toObject() : settings;
+}
+
+/**
+ * Merge a marketSettings update into the classroom's current settings and
+ * validate the result. Fields left out keep their current value.
+ *
+ * @param {Object} input - request body marketSettings
+ * @param {Object} [current] - Classroom.marketSettings
+ * @returns {Object} settings to store
+ */
+function normalizeMarketSettings(input, current = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw invalid("marketSettings must be an object", "marketSettings");
+  }
+  const base = plain(current);
+  const merged = {
+    enabled: base.enabled ?? false,
+    demandPool: base.demandPool ?? null,
+    demandPoolVariable: base.demandPoolVariable ?? null,
+    priceVariable: base.priceVariable ?? null,
+    qualityVariable: base.qualityVariable ?? null,
+    marketingVariable: base.marketingVariable ?? null,
+    weights: { ...DEFAULT_WEIGHTS, ...plain(base.weights) },
+  };
+
+  if (input.enabled !== undefined) {
+    merged.enabled = !!input.enabled;
+  }
+  if (input.demandPool !== undefined) {
+    const pool = input.demandPool;
+    if (pool !== null && (typeof pool !== "number" || !Number.isFinite(pool) || pool < 0)) {
+      throw invalid("demandPool must be a non-negative number", "demandPool");
+    }
+    merged.demandPool = pool;
+  }
+  for (const field of ["demandPoolVariable", ...VARIABLE_FIELDS]) {
+    if (input[field] !== undefined) {
+      merged[field] = optionalKey(input[field], field);
+    }
+  }
+  if (input.weights !== undefined) {
+    if (!input.weights || typeof input.weights !== "object") {
+      throw invalid("weights must be an object", "weights");
+    }
+    for (const factor of Object.keys(DEFAULT_WEIGHTS)) {
+      const weight = input.weights[factor];
+      if (weight === undefined) continue;
+      if (typeof weight !== "number" || !Number.isFinite(weight) || weight < 0 || weight > 5) {
+        throw invalid(`weights.${factor} must be a number from 0 to 5`, `weights.${factor}`);
+      }
+      merged.weights[factor] = weight;
+    }
+  }
+
+  if (merged.enabled) {
+    if (!merged.priceVariable) {
+      throw invalid("priceVariable is required to enable the market", "priceVariable");
+    }
+    if (merged.demandPool === null && !merged.demandPoolVariable) {
+      throw invalid("Set demandPool or demandPoolVariable to enable the market", "demandPool");
+    }
+  }
+  return merged;
+}
+
+/**
+ * The configured price, quality and marketing keys must be active numeric
+ * decision variables of the classroom.
+ */
+async function assertMarketVariables(classroomId, settings) {
+  const VariableDefinition = require("../../variableDefinition/variableDefinition.model");
+
+  const keys = VARIABLE_FIELDS.map((field) => settings[field]).filter(Boolean);
+  if (keys.length === 0) return;
+  const definitions = await VariableDefinition.getDefinitionsForScope(classroomId, "decision", { keys });
+  const numeric = new Set(
+    definitions.filter((definition) => definition.dataType === "number").map((definition) => definition.key)
+  );
+  for (const field of VARIABLE_FIELDS) {
+    if (settings[field] && !numeric.has(settings[field])) {
+      throw makeMarketError(
+        `${field} must be an active numeric decision variable`,
+        400,
+        "INVALID_MARKET_SETTINGS",
+        { field, key: settings[field] }
+      );
+    }
+  }
+}
+
+module.exports = {
+  normalizeMarketSettings,
+  assertMarketVariables,
+};
@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const VariableDefinition = require("../../variableDefinition/variableDefinition.model");
+const { normalizeMarketSettings, assertMarketVariables } = require("./marketSettings");
+
+test("updates merge into the current settings", () => {
+  const settings = normalizeMarketSettings(
+    { enabled: true, weights: { quality: 2 } },
+    { priceVariable: "price", demandPool: 500, weights: { price: 1, quality: 1, marketing: 1 } }
+  );
+
+  assert.equal(settings.enabled, true);
+  assert.equal(settings.priceVariable, "price");
+  assert.equal(settings.demandPool, 500);
+  assert.deepEqual(settings.weights, { price: 1, quality: 2, marketing: 1 });
+});
+
+test("enabling the market needs a price variable and a demand pool", () => {
+  assert.throws(() => normalizeMarketSettings({ enabled: true, demandPool: 100 }), {
+    code: "INVALID_MARKET_SETTINGS",
+    details: { field: "priceVariable" },
+  });
+  assert.throws(() => normalizeMarketSettings({ enabled: true, priceVariable: "price" }), {
+    code: "INVALID_MARKET_SETTINGS",
+    details: { field: "demandPool" },
+  });
+  assert.throws(() => normalizeMarketSettings({ weights: { price: 6 } }), {
+    details: { field: "weights.price" },
+  });
+  assert.throws(() => normalizeMarketSettings({ demandPool: -1 }), {
+    details: { field: "demandPool" },
+  });
+});
+
+test("market variables must be active numeric decision variables", async (t) => {
+  t.mock.method(VariableDefinition, "getDefinitionsForScope", async () => [
+    { key: "price", dataType: "number" },
+    { key: "quality", dataType: "text" },
+  ]);
+
+  await assertMarketVariables("class-1", { priceVariable: "price" });
+  await assert.rejects(
+    assertMarketVariables("class-1", { priceVariable: "price", qualityVariable: "quality" }),
+    { code: "INVALID_MARKET_SETTINGS", details: { field: "qualityVariable", key: "quality" } }
+  );
+});
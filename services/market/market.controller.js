@@ -0,0 +1,77 @@
+const MarketClearing = require("./marketClearing.model");
+const Challenge = require("../challenge/challenge.model");
+const Classroom = require("../classroom/classroom.model");
+const { makeMarketError } = require("./market.errors");
+
+function handleMarketError(res, error) {
+  if (error.message.includes("Insufficient permissions")) {
+    return res.status(403).json({ error: error.message });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code,
+      details: error.details,
+    });
+  }
+  return res.status(500).json({ error: error.message });
+}
+
+async function withMemberNames(clearings) {
+  const Member = require("../members/member.model");
+  const ids = [
+    ...new Set(
+      clearings.flatMap((clearing) =>
+        [...clearing.participants, ...clearing.excluded].map((entry) => String(entry.userId))
+      )
+    ),
+  ];
+  const members = await Member.find({ _id: { $in: ids } })
+    .select("firstName lastName email")
+    .lean();
+  const byId = new Map(members.map((member) => [String(member._id), member]));
+  const named = (entry) => ({ ...entry, member: byId.get(String(entry.userId)) || null });
+  return clearings.map((clearing) => ({
+    ...clearing,
+    participants: clearing.participants.map(named),
+    excluded: clearing.excluded.map(named),
+  }));
+}
+
+/**
+ * Market clearings of a challenge (one per round for multi-round challenges)
+ * GET /api/admin/challenges/:challengeId/market
+ */
+exports.getChallengeMarket = async function (req, res) {
+  try {
+    const { challengeId } = req.params;
+    const organizationId = req.organization._id;
+
+    const challenge = await Challenge.findOne({
+      _id: challengeId,
+      organization: organizationId,
+    })
+      .select("classroomId rounds")
+      .lean();
+    if (!challenge) {
+      return res.status(404).json({ error: "Challenge not found" });
+    }
+    await Classroom.validateAdminAccess(challenge.classroomId, req.clerkUser.id, organizationId);
+
+    const clearings = await MarketClearing.find({ challengeId }).lean();
+    if (clearings.length === 0) {
+      throw makeMarketError("The market has not cleared for this challenge", 404, "MARKET_NOT_CLEARED");
+    }
+    // Round clearings in the challenge's round order, single-round first
+    const roundOrder = (challenge.rounds || []).map((round) => round.key);
+    clearings.sort((a, b) => roundOrder.indexOf(a.roundKey) - roundOrder.indexOf(b.roundKey));
+    for (const clearing of clearings) {
+      clearing.participants.sort((a, b) => (a.rank ?? Infinity) - (b.rank ?? Infinity));
+    }
+
+    res.json({ success: true, data: await withMemberNames(clearings) });
+  } catch (error) {
+    console.error("Error fetching market clearing:", error);
+    handleMarketError(res, error);
+  }
+};
@@ -0,0 +1,231 @@
+const mongoose = require("mongoose");
+const baseSchema = require("../../lib/baseSchema");
+const { toMarketInput } = require("./lib/marketInput");
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     MarketClearing:
+ *       type: object
+ *       description: How a challenge's (or round's) shared demand pool was split between students before their simulations ran (see services/market).
+ *       properties:
+ *         _id:
+ *           type: string
+ *         classroomId:
+ *           type: string
+ *         challengeId:
+ *           type: string
+ *         roundKey:
+ *           type: string
+ *           nullable: true
+ *         demandPool:
+ *           type: integer
+ *         settings:
+ *           type: object
+ *           description: Classroom marketSettings in effect when the market cleared.
+ *         averages:
+ *           type: object
+ *           properties:
+ *             price:
+ *               type: number
+ *             quality:
+ *               type: number
+ *               nullable: true
+ *             marketing:
+ *               type: number
+ *               nullable: true
+ *         totalAttractiveness:
+ *           type: number
+ *         participants:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               decisionId:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *               quality:
+ *                 type: number
+ *                 nullable: true
+ *               marketing:
+ *                 type: number
+ *                 nullable: true
+ *               attractiveness:
+ *                 type: number
+ *               share:
+ *                 type: number
+ *                 description: Fraction of the demand pool (0 to 1).
+ *               units:
+ *                 type: integer
+ *               rank:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: 1 for the largest share. Null for late entrants.
+ *               lateEntry:
+ *                 type: boolean
+ *                 description: Added after the market cleared (deadline extension); competed against the stored averages without reducing other students' units.
+ *         excluded:
+ *           type: array
+ *           description: Decisions left out of the market (code MISSING_PRICE).
+ *           items:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               decisionId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *         clearedAt:
+ *           type: string
+ *           format: date-time
+ */
+const participantSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Member",
+      required: true,
+    },
+    decisionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Decision",
+      default: null,
+    },
+    price: { type: Number, required: true },
+    quality: { type: Number, default: null },
+    marketing: { type: Number, default: null },
+    attractiveness: { type: Number, required: true },
+    share: { type: Number, required: true },
+    units: { type: Number, required: true },
+    rank: { type: Number, default: null },
+    lateEntry: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const marketClearingSchema = new mongoose.Schema({
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Classroom",
+    required: true,
+  },
+  challengeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Challenge",
+    required: true,
+  },
+  // Round of a multi-round challenge; null for single-round challenges
+  roundKey: {
+    type: String,
+    default: null,
+  },
+  demandPool: {
+    type: Number,
+    required: true,
+  },
+  // Classroom.marketSettings snapshot, reused for late entrants
+  settings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  averages: {
+    price: { type: Number, default: 0 },
+    quality: { type: Number, default: null },
+    marketing: { type: Number, default: null },
+  },
+  totalAttractiveness: {
+    type: Number,
+    default: 0,
+  },
+  participants: {
+    type: [participantSchema],
+    default: [],
+  },
+  excluded: [
+    {
+      _id: false,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: "Member" },
+      decisionId: { type: mongoose.Schema.Types.ObjectId, ref: "Decision", default: null },
+      reason: String,
+    },
+  ],
+  clearedAt: {
+    type: Date,
+    default: null,
+  },
+}).add(baseSchema);
+
+marketClearingSchema.index({ challengeId: 1, roundKey: 1 }, { unique: true });
+marketClearingSchema.index({ classroomId: 1, clearedAt: -1 });
+
+/**
+ * Store a clearing, replacing any earlier one for the challenge and round
+ * (reruns clear the market again).
+ * @param {Object} challenge - Challenge (document or plain object)
+ * @param {string|null} roundKey
+ * @param {Object} result - allocateMarket result plus `settings`
+ * @param {string} organizationId
+ * @param {string} clerkUserId
+ * @returns {Promise<Object>} stored clearing (lean)
+ */
+marketClearingSchema.statics.recordClearing = async function (
+  challenge,
+  roundKey,
+  result,
+  organizationId,
+  clerkUserId
+) {
+  return this.findOneAndUpdate(
+    { challengeId: challenge._id, roundKey: roundKey || null },
+    {
+      $set: {
+        classroomId: challenge.classroomId,
+        demandPool: result.demandPool,
+        settings: result.settings,
+        averages: result.averages,
+        totalAttractiveness: result.totalAttractiveness,
+        participants: result.participants,
+        excluded: result.excluded,
+        clearedAt: new Date(),
+        updatedBy: clerkUserId,
+      },
+      $setOnInsert: {
+        organization: organizationId,
+        createdBy: clerkUserId,
+      },
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+};
+
+/**
+ * The student's market inputs for a simulation job, or null when the
+ * classroom has no market or the student was not in it.
+ * @param {string} challengeId
+ * @param {string|null} roundKey
+ * @param {string} userId
+ * @returns {Promise<Object|null>} see services/market/lib/marketInput.js
+ */
+marketClearingSchema.statics.getAllocation = async function (
+  challengeId,
+  roundKey,
+  userId
+) {
+  const clearing = await this.findOne({
+    challengeId,
+    roundKey: roundKey || null,
+  }).lean();
+  const participant = clearing?.participants.find(
+    (entry) => String(entry.userId) === String(userId)
+  );
+  return participant ? toMarketInput(clearing, participant) : null;
+};
+
+const MarketClearing = mongoose.model("MarketClearing", marketClearingSchema);
+
+module.exports = MarketClearing;
@@ -18,7 +18,7 @@ const { requireAuth, checkRole } = require("../../middleware/auth");
  * /v1/admin/metrics:
  *   post:
  *     summary: Create metric definition
- *     description: Define a new system output metric. Requires org:admin role.
+ *     description: Define a new system output metric. Number metrics may set min, max, precision (decimal places), integer and boundsPolicy (clamp or reject); any metric may set a display unit. Invalid constraints return 400 INVALID_METRIC_CONSTRAINTS. Requires org:admin role.
  *     tags:
  *       - Metric Definitions
  *     security:
@@ -39,7 +39,7 @@ router.post(
  * /v1/admin/metrics/{key}:
  *   put:
  *     summary: Update metric definition
- *     description: Modify metric definition details by key. Requires org:admin role.
+ *     description: Modify metric definition details by key, including the value constraints (min, max, precision, integer, boundsPolicy, unit). Requires org:admin role.
  *     tags:
  *       - Metric Definitions
  *     security:
@@ -0,0 +1,107 @@
+const { compileFormula } = require("../../ledger/lib/formulaEvaluator");
+
+/**
+ * Build the dependency graph for a classroom's metric formulas.
+ *
+ * Each metric with a formula becomes a node whose edges point at the metrics
+ * it references by bare key. `prior.*` references read last period's ledger
+ * and therefore never create an edge (they cannot form a cycle).
+ *
+ * Issues are collected instead of thrown so callers can decide which ones
+ * block a save:
+ *   - compile errors (FORMULA_SYNTAX_ERROR, FORMULA_UNKNOWN_FUNCTION, ...)
+ *   - FORMULA_UNKNOWN_KEY for references that do not resolve
+ *   - FORMULA_CYCLE for every strongly connected loop of metrics
+ *
+ * @param {Array<Object>} metricDefs - metric definitions ({ key, formula })
+ * @param {Object} [knownKeys] - { profile, challenge, decision, outcome, market } as
+ *   Sets of variable keys. Scopes that are omitted are not checked.
+ * @returns {{ dependencies: Object<string, string[]>, order: string[], issues: Array<Object> }}
+ */
+function buildFormulaGraph(metricDefs, knownKeys = {}) {
+  const defs = Array.isArray(metricDefs) ? metricDefs : [];
+  const metricKeys = new Set(defs.map((def) => def.key));
+  const dependencies = {};
+  const issues = [];
+
+  for (const def of defs) {
+    const formula = typeof def.formula === "string" ? def.formula.trim() : "";
+    dependencies[def.key] = [];
+    if (!formula) continue;
+
+    let compiled;
+    try {
+      compiled = compileFormula(formula);
+    } catch (error) {
+      issues.push({
+        metricKey: def.key,
+        code: error.code || "FORMULA_ERROR",
+        message: `Metric "${def.key}" formula is invalid: ${error.message}`,
+        details: { ...(error.details || {}), formula },
+      });
+      continue;
+    }
+
+    for (const ref of compiled.references) {
+      const known =
+        ref.scope === "metric" || ref.scope === "prior"
+          ? metricKeys
+          : knownKeys[ref.scope];
+      if (known && !known.has(ref.key)) {
+        const name =
+          ref.scope === "metric" ? ref.key : `${ref.scope}.${ref.key}`;
+        issues.push({
+          metricKey: def.key,
+          code: "FORMULA_UNKNOWN_KEY",
+          message: `Metric "${def.key}" formula references unknown key "${name}"`,
+          details: { formula, scope: ref.scope, key: ref.key },
+        });
+        continue;
+      }
+      if (
+        ref.scope === "metric" &&
+        !dependencies[def.key].includes(ref.key)
+      ) {
+        dependencies[def.key].push(ref.key);
+      }
+    }
+  }
+
+  // Depth-first topological sort; a back edge is a cycle.
+  const order = [];
+  const state = {};
+  const stack = [];
+  const reportedCycles = new Set();
+
+  const visit = (key) => {
+    if (state[key] === "done") return;
+    if (state[key] === "visiting") {
+      const cycle = [...stack.slice(stack.indexOf(key)), key];
+      const signature = [...new Set(cycle)].sort().join("|");
+      if (!reportedCycles.has(signature)) {
+        reportedCycles.add(signature);
+        issues.push({
+          metricKey: key,
+          code: "FORMULA_CYCLE",
+          message: `Metric formulas form a cycle: ${cycle.join(" -> ")}`,
+          details: { cycle },
+        });
+      }
+      return;
+    }
+    state[key] = "visiting";
+    stack.push(key);
+    for (const dep of dependencies[key] || []) visit(dep);
+    stack.pop();
+    state[key] = "done";
+    order.push(key);
+  };
+
+  for (const def of defs) visit(def.key);
+
+  return { dependencies, order, issues };
+}
+
+module.exports = {
+  buildFormulaGraph,
+};
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildFormulaGraph } = require("./formulaGraph");
+
+test("buildFormulaGraph", async (t) => {
+  await t.test("should order metrics so dependencies come first", () => {
+    const { dependencies, order, issues } = buildFormulaGraph([
+      { key: "cashAfter", formula: "prior.cashAfter + netProfit" },
+      { key: "netProfit", formula: "revenue - costs" },
+      { key: "revenue", formula: "" },
+      { key: "costs" },
+    ]);
+
+    assert.deepEqual(issues, []);
+    assert.deepEqual(dependencies.cashAfter, ["netProfit"]);
+    assert.deepEqual(dependencies.netProfit, ["revenue", "costs"]);
+    assert.ok(order.indexOf("netProfit") < order.indexOf("cashAfter"));
+    assert.ok(order.indexOf("revenue") < order.indexOf("netProfit"));
+  });
+
+  await t.test("should not treat prior references as cycle edges", () => {
+    const { issues } = buildFormulaGraph([
+      { key: "cash", formula: "prior.cash + 10" },
+    ]);
+    assert.deepEqual(issues, []);
+  });
+
+  await t.test("should report cycles once", () => {
+    const { issues } = buildFormulaGraph([
+      { key: "a", formula: "b + 1" },
+      { key: "b", formula: "c + 1" },
+      { key: "c", formula: "a + 1" },
+    ]);
+    assert.equal(issues.length, 1);
+    assert.equal(issues[0].code, "FORMULA_CYCLE");
+    assert.deepEqual(issues[0].details.cycle, ["a", "b", "c", "a"]);
+  });
+
+  await t.test("should flag unknown metric and variable keys", () => {
+    const { issues } = buildFormulaGraph(
+      [
+        {
+          key: "revenue",
+          formula: 'decision["unit-price"] * unitsSold + outcome.bonus',
+        },
+      ],
+      { decision: new Set(["unit-sale-price"]) }
+    );
+    assert.deepEqual(
+      issues.map((issue) => [issue.code, issue.details.scope, issue.details.key]),
+      [
+        ["FORMULA_UNKNOWN_KEY", "decision", "unit-price"],
+        ["FORMULA_UNKNOWN_KEY", "metric", "unitsSold"],
+      ]
+    );
+  });
+
+  await t.test("should surface compile errors per metric", () => {
+    const { issues } = buildFormulaGraph([{ key: "x", formula: "1 +" }]);
+    assert.equal(issues[0].metricKey, "x");
+    assert.equal(issues[0].code, "FORMULA_SYNTAX_ERROR");
+
+    const inherited = buildFormulaGraph([{ key: "y", formula: "toString(1)" }]).issues;
+    assert.equal(inherited[0].code, "FORMULA_UNKNOWN_FUNCTION");
+  });
+});
@@ -0,0 +1,136 @@
+const roundMetricValue = require("../../ledger/lib/roundMetricValue");
+const { makeMetricDefinitionError } = require("../metricDefinition.errors");
+
+const BOUNDS_POLICIES = ["clamp", "reject"];
+const MAX_PRECISION = 10;
+
+function hasValue(value) {
+  return value !== undefined && value !== null;
+}
+
+/**
+ * Check a metric definition's value constraints as they would be saved.
+ * min, max, precision and integer only apply to number metrics; unit is
+ * display text for any metric. Throws a 400 INVALID_METRIC_CONSTRAINTS with
+ * details.field.
+ *
+ * @param {Object} def - { dataType, min, max, precision, integer, unit, boundsPolicy }
+ */
+function validateMetricConstraints(def) {
+  const invalid = (message, field) =>
+    makeMetricDefinitionError(message, 400, "INVALID_METRIC_CONSTRAINTS", { field });
+
+  for (const field of ["min", "max"]) {
+    if (hasValue(def[field]) && (typeof def[field] !== "number" || !Number.isFinite(def[field]))) {
+      throw invalid(`${field} must be a number or null`, field);
+    }
+  }
+  if (
+    hasValue(def.precision) &&
+    (!Number.isInteger(def.precision) || def.precision < 0 || def.precision > MAX_PRECISION)
+  ) {
+    throw invalid(`precision must be a whole number from 0 to ${MAX_PRECISION} or null`, "precision");
+  }
+  if (hasValue(def.integer) && typeof def.integer !== "boolean") {
+    throw invalid("integer must be a boolean", "integer");
+  }
+  if (hasValue(def.unit) && typeof def.unit !== "string") {
+    throw invalid("unit must be a string", "unit");
+  }
+  if (hasValue(def.boundsPolicy) && !BOUNDS_POLICIES.includes(def.boundsPolicy)) {
+    throw invalid(`boundsPolicy must be one of: ${BOUNDS_POLICIES.join(", ")}`, "boundsPolicy");
+  }
+
+  if (def.dataType !== "number") {
+    const field = ["min", "max", "precision"].find((key) => hasValue(def[key])) ||
+      (def.integer ? "integer" : null);
+    if (field) {
+      throw invalid("min, max, precision and integer only apply to number metrics", field);
+    }
+    return true;
+  }
+  if (hasValue(def.min) && hasValue(def.max) && def.min > def.max) {
+    throw invalid("min must not be greater than max", "min");
+  }
+  if (def.integer && hasValue(def.precision) && def.precision > 0) {
+    throw invalid("integer metrics cannot have decimal places", "precision");
+  }
+  return true;
+}
+
+/**
+ * JSON Schema keywords for a number metric's response property: integer
+ * type, minimum/maximum and multipleOf for precision. The unit only goes in
+ * the prompt (describeMetricConstraints), like the other metric rules.
+ */
+function metricJsonSchemaConstraints(def) {
+  const schema = {};
+  if (def.dataType !== "number") return schema;
+  if (def.integer) schema.type = "integer";
+  if (hasValue(def.min)) schema.minimum = def.min;
+  if (hasValue(def.max)) schema.maximum = def.max;
+  if (!def.integer && hasValue(def.precision)) schema.multipleOf = 10 ** -def.precision;
+  return schema;
+}
+
+/**
+ * Round a number metric's value and hold it to its integer and min/max
+ * constraints. With boundsPolicy "clamp" (the default) a fractional integer
+ * is rounded and an out-of-range value moved to the bound, each recorded as a
+ * clamp; with "reject" the value is left alone and a "range" issue returned
+ * instead (see ledger/lib/simulationRepair). `options.forceClamp` clamps
+ * whatever the policy, for results that must not fail.
+ *
+ * @returns {{ value: number, clamps: Array<Object>, issue: Object|null }}
+ *   clamps: [{ metricKey, bound: "integer" | "min" | "max", limit, original, value }]
+ */
+function enforceMetricConstraints(def, value, options = {}) {
+  const clamp = Boolean(options.forceClamp) || def.boundsPolicy !== "reject";
+  const reject = (message) => ({
+    value,
+    clamps: [],
+    issue: { field: def.key, problem: "range", message },
+  });
+  const clamps = [];
+
+  if (def.integer && !Number.isInteger(value)) {
+    if (!clamp) return reject(`Metric "${def.key}" must be a whole number (got ${value})`);
+    clamps.push({ metricKey: def.key, bound: "integer", limit: null, original: value, value: Math.round(value) });
+  }
+  let next = roundMetricValue(def, value);
+
+  if (hasValue(def.min) && next < def.min) {
+    if (!clamp) return reject(`Metric "${def.key}" must be at least ${def.min} (got ${next})`);
+    clamps.push({ metricKey: def.key, bound: "min", limit: def.min, original: next, value: def.min });
+    next = def.min;
+  }
+  if (hasValue(def.max) && next > def.max) {
+    if (!clamp) return reject(`Metric "${def.key}" must be at most ${def.max} (got ${next})`);
+    clamps.push({ metricKey: def.key, bound: "max", limit: def.max, original: next, value: def.max });
+    next = def.max;
+  }
+  return { value: next, clamps, issue: null };
+}
+
+/**
+ * The constraints worth telling the model about in the prompt envelope
+ * (only those that are set).
+ */
+function describeMetricConstraints(def) {
+  const described = {};
+  if (def.unit) described.unit = def.unit;
+  if (def.dataType !== "number") return described;
+  if (hasValue(def.min)) described.min = def.min;
+  if (hasValue(def.max)) described.max = def.max;
+  if (def.integer) described.integer = true;
+  else if (hasValue(def.precision)) described.precision = def.precision;
+  return described;
+}
+
+module.exports = {
+  BOUNDS_POLICIES,
+  validateMetricConstraints,
+  metricJsonSchemaConstraints,
+  enforceMetricConstraints,
+  describeMetricConstraints,
+};
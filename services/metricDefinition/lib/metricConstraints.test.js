@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  validateMetricConstraints,
+  enforceMetricConstraints,
+  describeMetricConstraints,
+} = require("./metricConstraints");
+
+function rejects(def, field) {
+  assert.throws(
+    () => validateMetricConstraints(def),
+    (error) =>
+      error.statusCode === 400 &&
+      error.code === "INVALID_METRIC_CONSTRAINTS" &&
+      error.details.field === field
+  );
+}
+
+test("validateMetricConstraints checks types, ranges and dataType", () => {
+  assert.equal(
+    validateMetricConstraints({ dataType: "number", min: 0, max: 10, precision: 2, unit: "kg" }),
+    true
+  );
+  assert.equal(validateMetricConstraints({ dataType: "string", unit: "notes" }), true);
+
+  rejects({ dataType: "number", min: "0" }, "min");
+  rejects({ dataType: "number", min: 5, max: 1 }, "min");
+  rejects({ dataType: "number", precision: 1.5 }, "precision");
+  rejects({ dataType: "number", precision: 11 }, "precision");
+  rejects({ dataType: "number", integer: true, precision: 2 }, "precision");
+  rejects({ dataType: "number", boundsPolicy: "ignore" }, "boundsPolicy");
+  rejects({ dataType: "boolean", max: 1 }, "max");
+  rejects({ dataType: "string", integer: true }, "integer");
+});
+
+test("enforceMetricConstraints rounds by precision before checking bounds", () => {
+  const def = { key: "rate", dataType: "number", format: "percent", precision: 1, max: 50 };
+
+  assert.deepEqual(enforceMetricConstraints(def, 12.345), { value: 12.3, clamps: [], issue: null });
+
+  const high = enforceMetricConstraints(def, 50.04);
+  assert.equal(high.value, 50);
+  assert.equal(high.clamps.length, 0);
+
+  const clamped = enforceMetricConstraints(def, 72.26);
+  assert.equal(clamped.value, 50);
+  assert.deepEqual(clamped.clamps, [
+    { metricKey: "rate", bound: "max", limit: 50, original: 72.3, value: 50 },
+  ]);
+});
+
+test("enforceMetricConstraints leaves rejected values for the caller to report", () => {
+  const def = { key: "customers", dataType: "number", integer: true, min: 0, boundsPolicy: "reject" };
+
+  const fractional = enforceMetricConstraints(def, 3.5);
+  assert.equal(fractional.value, 3.5);
+  assert.deepEqual(fractional.issue, {
+    field: "customers",
+    problem: "range",
+    message: 'Metric "customers" must be a whole number (got 3.5)',
+  });
+  assert.equal(enforceMetricConstraints(def, -2).issue.message, 'Metric "customers" must be at least 0 (got -2)');
+  assert.equal(enforceMetricConstraints(def, -2, { forceClamp: true }).value, 0);
+});
+
+test("describeMetricConstraints lists only the constraints that are set", () => {
+  assert.deepEqual(
+    describeMetricConstraints({ dataType: "number", unit: "units", integer: true, precision: null, min: 0, max: null }),
+    { unit: "units", min: 0, integer: true }
+  );
+  assert.deepEqual(describeMetricConstraints({ dataType: "string", unit: "", min: null }), {});
+});
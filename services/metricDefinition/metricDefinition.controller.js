@@ -1,6 +1,7 @@
 const MetricDefinition = require("./metricDefinition.model");
 const Classroom = require("../classroom/classroom.model");
 const Enrollment = require("../enrollment/enrollment.model");
+const { validateMetricConstraints } = require("./lib/metricConstraints");
 
 /**
  * Create metric definition
@@ -16,6 +17,13 @@ exports.createMetricDefinition = async function (req, res) {
       dataType,
       format,
       aiPromptRule,
+      formula,
+      min,
+      max,
+      precision,
+      integer,
+      boundsPolicy,
+      unit,
       aggregation,
       displayIn,
       defaultInitialValue,
@@ -57,6 +65,13 @@ exports.createMetricDefinition = async function (req, res) {
         dataType,
         format,
         aiPromptRule,
+        formula,
+        min,
+        max,
+        precision,
+        integer,
+        boundsPolicy,
+        unit,
         aggregation,
         displayIn,
         defaultInitialValue,
@@ -85,6 +100,13 @@ exports.createMetricDefinition = async function (req, res) {
     if (error.name === "ValidationError") {
       return res.status(400).json({ error: error.message });
     }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code,
+        details: error.details,
+      });
+    }
     res.status(500).json({ error: error.message });
   }
 };
@@ -133,6 +155,13 @@ exports.updateMetricDefinition = async function (req, res) {
       "dataType",
       "format",
       "aiPromptRule",
+      "formula",
+      "min",
+      "max",
+      "precision",
+      "integer",
+      "boundsPolicy",
+      "unit",
       "aggregation",
       "displayIn",
       "defaultInitialValue",
@@ -146,6 +175,25 @@ exports.updateMetricDefinition = async function (req, res) {
       }
     });
 
+    // Checked against the raw values too: Mongoose would cast "5" to 5
+    validateMetricConstraints({
+      dataType: definition.dataType,
+      ...Object.fromEntries(
+        ["min", "max", "precision", "integer", "boundsPolicy", "unit"].map((field) => [
+          field,
+          req.body[field] !== undefined ? req.body[field] : definition[field],
+        ])
+      ),
+    });
+
+    if (definition.isModified("formula") || definition.isModified("isActive")) {
+      await MetricDefinition.validateFormulas(classroomId, {
+        key: definition.key,
+        formula: definition.formula,
+        isActive: definition.isActive,
+      });
+    }
+
     definition.updatedBy = clerkUserId;
     await definition.save();
 
@@ -165,6 +213,13 @@ exports.updateMetricDefinition = async function (req, res) {
     if (error.name === "ValidationError") {
       return res.status(400).json({ error: error.message });
     }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code,
+        details: error.details,
+      });
+    }
     res.status(500).json({ error: error.message });
   }
 };
@@ -255,6 +310,11 @@ exports.deleteMetricDefinition = async function (req, res) {
       return res.status(404).json({ error: "Metric definition not found" });
     }
 
+    await MetricDefinition.validateFormulas(classroomId, {
+      key: definition.key,
+      isActive: false,
+    });
+
     await definition.softDelete();
 
     res.json({
@@ -269,6 +329,13 @@ exports.deleteMetricDefinition = async function (req, res) {
     if (error.message.includes("Insufficient permissions")) {
       return res.status(403).json({ error: error.message });
     }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code,
+        details: error.details,
+      });
+    }
     res.status(500).json({ error: error.message });
   }
 };
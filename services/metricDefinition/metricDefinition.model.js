@@ -1,5 +1,10 @@
 const mongoose = require("mongoose");
 const baseSchema = require("../../lib/baseSchema");
+const VariableDefinition = require("../variableDefinition/variableDefinition.model");
+const { makeFormulaError } = require("../ledger/lib/formulaEvaluator");
+const { buildFormulaGraph } = require("./lib/formulaGraph");
+const { MARKET_INPUT_KEYS } = require("../market/lib/marketInput");
+const { validateMetricConstraints } = require("./lib/metricConstraints");
 
 /**
  * MetricDefinition - Output definitions for the AI simulation.
@@ -49,6 +54,52 @@ const metricDefinitionSchema = new mongoose.Schema({
     type: String,
     default: "",
   },
+  // Expression used by the formula simulation engine (Classroom
+  // simulationSettings.engine = "formula"), e.g. "prior.cash + revenue - costs".
+  // Bare keys reference other metrics; profile./challenge./decision./outcome./
+  // prior./market. prefixes reference inputs. See services/ledger/lib/formulaEvaluator.js.
+  // On the AI engine the formula is used to verify (or recompute) the model's
+  // value after it responds. References and cycles are checked on save by
+  // validateFormulas.
+  formula: {
+    type: String,
+    default: "",
+    trim: true,
+  },
+  // Optional value constraints for number metrics. They become JSON Schema
+  // keywords on the AI response (integer / minimum / maximum / multipleOf)
+  // and are enforced when results are normalized: precision (decimal places)
+  // and integer override the format's rounding, and a value outside min/max
+  // (or a fractional integer) is clamped, recorded in the ledger entry's
+  // calculationContext.metricClamps, or rejected per boundsPolicy. See
+  // lib/metricConstraints.js.
+  min: {
+    type: Number,
+    default: null,
+  },
+  max: {
+    type: Number,
+    default: null,
+  },
+  precision: {
+    type: Number,
+    default: null,
+  },
+  integer: {
+    type: Boolean,
+    default: false,
+  },
+  boundsPolicy: {
+    type: String,
+    enum: ["clamp", "reject"],
+    default: "clamp",
+  },
+  // Display unit, e.g. "kg" or "customers" (any dataType)
+  unit: {
+    type: String,
+    default: "",
+    trim: true,
+  },
   // How values aggregate across multiple ledger entries (used by charts/leaderboards)
   aggregation: {
     type: String,
@@ -123,6 +174,15 @@ metricDefinitionSchema.statics.createDefinition = async function (
     );
   }
 
+  validateMetricConstraints(payload);
+
+  if (payload.formula) {
+    await this.validateFormulas(classroomId, {
+      key: payload.key,
+      formula: payload.formula,
+    });
+  }
+
   const definition = new this({
     classroomId,
     key: payload.key,
@@ -131,6 +191,13 @@ metricDefinitionSchema.statics.createDefinition = async function (
     dataType: payload.dataType,
     format: payload.format || "count",
     aiPromptRule: payload.aiPromptRule || "",
+    formula: payload.formula || "",
+    min: payload.min ?? null,
+    max: payload.max ?? null,
+    precision: payload.precision ?? null,
+    integer: payload.integer === true,
+    boundsPolicy: payload.boundsPolicy || "clamp",
+    unit: payload.unit || "",
     aggregation: payload.aggregation || "last",
     displayIn: {
       table: payload.displayIn?.table !== false,
@@ -189,6 +256,71 @@ metricDefinitionSchema.statics.getActiveKeys = async function (classroomId) {
   return new Set(defs.map((d) => d.key));
 };
 
+/**
+ * Validate the classroom's metric formulas as they would be after saving
+ * `candidate` ({ key, formula, isActive }). Throws a 400 with code
+ * FORMULA_UNKNOWN_KEY, FORMULA_CYCLE or a compile error code when the change
+ * would leave a formula that cannot be evaluated. Issues that already existed
+ * on unrelated metrics do not block the save.
+ */
+metricDefinitionSchema.statics.validateFormulas = async function (
+  classroomId,
+  candidate
+) {
+  if (!classroomId) {
+    throw new Error("classroomId is required");
+  }
+
+  const removing = candidate.isActive === false;
+  const active = await this.getActive(classroomId);
+  const defs = active
+    .filter((def) => def.key !== candidate.key)
+    .map((def) => ({ key: def.key, formula: def.formula }));
+  if (!removing) {
+    defs.push({ key: candidate.key, formula: candidate.formula || "" });
+  }
+
+  // Profile-type variables are merged into the profile scope at run time.
+  const knownKeys = {
+    profile: new Set(),
+    challenge: new Set(),
+    decision: new Set(),
+    outcome: new Set(),
+    market: new Set(MARKET_INPUT_KEYS),
+  };
+  const variables = await VariableDefinition.find({
+    classroomId,
+    isActive: true,
+  }).select("key appliesTo");
+  for (const variable of variables) {
+    const scope =
+      variable.appliesTo === "profileType" ? "profile" : variable.appliesTo;
+    knownKeys[scope]?.add(variable.key);
+  }
+
+  const { issues } = buildFormulaGraph(defs, knownKeys);
+  const blocking = issues.filter((issue) =>
+    removing
+      ? issue.code === "FORMULA_UNKNOWN_KEY" &&
+        issue.details.key === candidate.key
+      : issue.metricKey === candidate.key ||
+        issue.details.cycle?.includes(candidate.key)
+  );
+
+  if (blocking.length > 0) {
+    const message = removing
+      ? `Metric "${candidate.key}" is referenced by other metric formulas: ${[
+        ...new Set(blocking.map((issue) => issue.metricKey)),
+      ].join(", ")}`
+      : blocking[0].message;
+    throw makeFormulaError(message, 400, blocking[0].code, {
+      issues: blocking,
+    });
+  }
+
+  return true;
+};
+
 /**
  * Get a definition by key
  */
@@ -0,0 +1,296 @@
+/**
+ * OneRoster Service Routes
+ *
+ * Roster imports from SIS OneRoster 1.2 exports (CSV zip) or REST services,
+ * previewed as a diff before they are applied, and the class to classroom
+ * mappings they use.
+ * Mounted at: /v1/admin/oneroster
+ */
+const express = require("express");
+const controller = require("./oneRoster.controller");
+const router = express.Router();
+
+const { requireAuth, checkRole } = require("../../middleware/auth");
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     OneRosterSource:
+ *       type: object
+ *       required: [type]
+ *       description: A OneRoster bulk CSV bundle (zip, or the CSV files as text) or REST connection. REST credentials are used for this request only and are not stored.
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [csv, rest]
+ *         zip:
+ *           type: string
+ *           format: byte
+ *           description: Base64 zip containing users.csv, classes.csv and enrollments.csv (csv).
+ *         files:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           description: CSV text by file name, instead of zip (csv).
+ *         fileName:
+ *           type: string
+ *         baseUrl:
+ *           type: string
+ *           description: Rostering API base URL, e.g. https://sis.example.edu/ims/oneroster/rostering/v1p2 (rest).
+ *         tokenUrl:
+ *           type: string
+ *           description: OAuth 2.0 token URL (rest; defaults to baseUrl/token).
+ *         clientId:
+ *           type: string
+ *         clientSecret:
+ *           type: string
+ *     OneRosterImportSummary:
+ *       type: object
+ *       properties:
+ *         classes:
+ *           type: integer
+ *         mappedClasses:
+ *           type: integer
+ *         students:
+ *           type: integer
+ *           description: Students in mapped classes.
+ *         adds:
+ *           type: integer
+ *         drops:
+ *           type: integer
+ *         moves:
+ *           type: integer
+ *         updates:
+ *           type: integer
+ *         unchanged:
+ *           type: integer
+ *         skipped:
+ *           type: integer
+ *         reservationsToCreate:
+ *           type: integer
+ *         reservationsToRevoke:
+ *           type: integer
+ *         orgSeatsAvailable:
+ *           type: integer
+ *         orgSeatShortfall:
+ *           type: integer
+ *           description: Reservations that will fail for lack of org seats.
+ *     OneRosterImportChanges:
+ *       type: object
+ *       properties:
+ *         classes:
+ *           type: array
+ *           description: Every class in the roster with its mapped classroom (null when unmapped) and student count.
+ *           items:
+ *             type: object
+ *         adds:
+ *           type: array
+ *           description: Roster seats to create ({ classroomId, email, firstName, lastName, section }).
+ *           items:
+ *             type: object
+ *         drops:
+ *           type: array
+ *           description: Imported roster seats whose student left the class. Students who already joined are unenrolled.
+ *           items:
+ *             type: object
+ *         moves:
+ *           type: array
+ *           description: Students whose section changed (kind section) or who moved between classrooms (kind classroom, also listed in adds and drops).
+ *           items:
+ *             type: object
+ *         updates:
+ *           type: array
+ *           description: Seats whose name or student ID changed in the SIS.
+ *           items:
+ *             type: object
+ *         skipped:
+ *           type: array
+ *           description: Students left out (reason no_email or unknown_user).
+ *           items:
+ *             type: object
+ *         reservations:
+ *           type: object
+ *           properties:
+ *             create:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             revoke:
+ *               type: array
+ *               items:
+ *                 type: object
+ */
+
+/**
+ * @openapi
+ * /v1/admin/oneroster/imports:
+ *   get:
+ *     summary: List OneRoster imports
+ *     description: The organization's 50 most recent imports, without their change lists. Requires org:admin role.
+ *     tags:
+ *       - OneRoster
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Imports.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/OneRosterImport'
+ *   post:
+ *     summary: Preview a OneRoster import
+ *     description: Reads the roster and reports what importing it would change against the organization's roster seats and seat reservations. Nothing changes until the preview is applied. classMappings are merged over the saved class links; a null classroomId unmaps a class. Requires org:admin role.
+ *     tags:
+ *       - OneRoster
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [source]
+ *             properties:
+ *               source:
+ *                 $ref: '#/components/schemas/OneRosterSource'
+ *               classMappings:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     classSourcedId:
+ *                       type: string
+ *                     classroomId:
+ *                       type: string
+ *                       nullable: true
+ *               reserveOrgSeats:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Also reserve organization seats for imported students.
+ *     responses:
+ *       201:
+ *         description: Previewed import with its changes.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OneRosterImport'
+ *       400:
+ *         description: Invalid source or mapping (codes INVALID_ONEROSTER_SOURCE, INVALID_ONEROSTER_ZIP, ONEROSTER_FILE_MISSING, ONEROSTER_DELTA_UNSUPPORTED, ONEROSTER_CLASS_NOT_FOUND, INVALID_CLASS_MAPPING).
+ *       404:
+ *         description: Mapped classroom not found.
+ *       502:
+ *         description: The OneRoster REST service failed (code ONEROSTER_REST_FAILED).
+ */
+router.get("/imports", requireAuth(), checkRole("org:admin"), controller.listImports);
+router.post("/imports", requireAuth(), checkRole("org:admin"), controller.previewImport);
+
+/**
+ * @openapi
+ * /v1/admin/oneroster/imports/{importId}:
+ *   get:
+ *     summary: Get a OneRoster import
+ *     description: The import with its changes and, once applied, its result. Requires org:admin role.
+ *     tags:
+ *       - OneRoster
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: importId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Import.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OneRosterImport'
+ *       404:
+ *         description: Import not found (code ONEROSTER_IMPORT_NOT_FOUND).
+ */
+router.get("/imports/:importId", requireAuth(), checkRole("org:admin"), controller.getImport);
+
+/**
+ * @openapi
+ * /v1/admin/oneroster/imports/{importId}/apply:
+ *   post:
+ *     summary: Apply a OneRoster import
+ *     description: Saves the preview's class mappings, creates, updates and revokes roster seats (unenrolling dropped students who had joined), and reserves or revokes organization seats. A preview can be applied once, within 24 hours, and only if no other import was applied after it. Per-student problems are listed in result.failures. Requires org:admin role.
+ *     tags:
+ *       - OneRoster
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: importId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Applied import.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OneRosterImport'
+ *       404:
+ *         description: Import not found (code ONEROSTER_IMPORT_NOT_FOUND).
+ *       409:
+ *         description: Already applied, expired or superseded (codes ONEROSTER_IMPORT_NOT_PENDING, ONEROSTER_PREVIEW_EXPIRED, ONEROSTER_PREVIEW_STALE).
+ */
+router.post("/imports/:importId/apply", requireAuth(), checkRole("org:admin"), controller.applyImport);
+
+/**
+ * @openapi
+ * /v1/admin/oneroster/class-links:
+ *   get:
+ *     summary: List OneRoster class mappings
+ *     description: OneRoster classes mapped to classrooms by applied imports. Requires org:admin role.
+ *     tags:
+ *       - OneRoster
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Class links.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/OneRosterClassLink'
+ */
+router.get("/class-links", requireAuth(), checkRole("org:admin"), controller.listClassLinks);
+
+/**
+ * @openapi
+ * /v1/admin/oneroster/class-links/{linkId}:
+ *   delete:
+ *     summary: Unmap a OneRoster class
+ *     description: Later imports skip the class. Seats it already imported stay in the classroom. Requires org:admin role.
+ *     tags:
+ *       - OneRoster
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: linkId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Removed.
+ *       404:
+ *         description: Class link not found (code ONEROSTER_CLASS_LINK_NOT_FOUND).
+ */
+router.delete("/class-links/:linkId", requireAuth(), checkRole("org:admin"), controller.deleteClassLink);
+
+module.exports = router;
@@ -0,0 +1,200 @@
+const { STUDENT_ROLES } = require("./oneRosterData");
+
+/**
+ * Work out what a OneRoster import changes. Pure; the import service loads
+ * the inputs and applies the result.
+ *
+ * - Every student enrolled in a mapped class gets a RosterSeat in that
+ *   class's classroom, with the class title as its section. A student in
+ *   several classes mapped to one classroom keeps the first class's section.
+ * - Seats the import created earlier (`metadata.source: "oneroster"`) whose
+ *   student is no longer in any mapped class of that classroom are dropped.
+ *   Seats added by hand are never dropped.
+ * - A student whose section changed, or who left one classroom and joined
+ *   another, is reported as a move.
+ * - With reserveOrgSeats, students without an org seat reservation get one,
+ *   and unclaimed reservations made by an earlier import are revoked once
+ *   the student is gone from the whole roster.
+ *
+ * Classrooms whose classes are all absent from this roster are left alone.
+ *
+ * @param {Object} input
+ * @param {Object} input.roster - see oneRosterData
+ * @param {Map<string, string>} input.mappings - class sourcedId -> classroom ID
+ * @param {Array} input.seats - non-revoked RosterSeats in the mapped classrooms
+ * @param {Array} [input.reservations] - the org's reserved or claimed OrgSeatReservations
+ * @param {boolean} [input.reserveOrgSeats]
+ */
+function planOneRosterImport({ roster, mappings, seats, reservations = [], reserveOrgSeats = false }) {
+  const usersById = new Map(roster.users.map((user) => [user.sourcedId, user]));
+  const classesById = new Map(roster.classes.map((klass) => [klass.sourcedId, klass]));
+  const studentCounts = new Map();
+  const rosterEmails = new Set();
+  const desiredByClassroom = new Map();
+  const skipped = [];
+  const skippedUsers = new Set();
+
+  const skip = (enrollment, reason) => {
+    if (skippedUsers.has(enrollment.userSourcedId)) return;
+    skippedUsers.add(enrollment.userSourcedId);
+    skipped.push({ userSourcedId: enrollment.userSourcedId, classSourcedId: enrollment.classSourcedId, reason });
+  };
+
+  roster.enrollments.forEach((enrollment) => {
+    const klass = classesById.get(enrollment.classSourcedId);
+    if (!klass || !STUDENT_ROLES.has(enrollment.role)) return;
+    const user = usersById.get(enrollment.userSourcedId);
+    if (!user) return skip(enrollment, "unknown_user");
+    if (!user.email.includes("@")) return skip(enrollment, "no_email");
+
+    studentCounts.set(klass.sourcedId, (studentCounts.get(klass.sourcedId) || 0) + 1);
+    rosterEmails.add(user.email);
+
+    const classroomId = mappings.get(klass.sourcedId);
+    if (!classroomId) return;
+    if (!desiredByClassroom.has(classroomId)) desiredByClassroom.set(classroomId, new Map());
+    const desired = desiredByClassroom.get(classroomId);
+    if (desired.has(user.email)) return;
+    desired.set(user.email, {
+      email: user.email,
+      firstName: user.givenName,
+      lastName: user.familyName,
+      studentId: user.identifier,
+      section: klass.title || klass.classCode,
+      classSourcedId: klass.sourcedId,
+      userSourcedId: user.sourcedId,
+    });
+  });
+
+  // Mapped classes with no students still count: everyone in them has left
+  roster.classes.forEach((klass) => {
+    const classroomId = mappings.get(klass.sourcedId);
+    if (classroomId && !desiredByClassroom.has(classroomId)) {
+      desiredByClassroom.set(classroomId, new Map());
+    }
+  });
+
+  const seatsByClassroom = new Map();
+  seats.forEach((seat) => {
+    const classroomId = String(seat.classroomId);
+    if (!seatsByClassroom.has(classroomId)) seatsByClassroom.set(classroomId, new Map());
+    seatsByClassroom.get(classroomId).set(seat.email, seat);
+  });
+
+  const adds = [];
+  const drops = [];
+  const updates = [];
+  const sectionMoves = [];
+  const seatRows = [];
+  let unchanged = 0;
+
+  desiredByClassroom.forEach((desired, classroomId) => {
+    const existing = seatsByClassroom.get(classroomId) || new Map();
+    desired.forEach((row) => {
+      seatRows.push({ classroomId, ...row });
+      const seat = existing.get(row.email);
+      if (!seat) {
+        adds.push({ classroomId, email: row.email, firstName: row.firstName, lastName: row.lastName, section: row.section });
+        return;
+      }
+      let changed = false;
+      if ((seat.section || "") !== row.section) {
+        sectionMoves.push({
+          email: row.email,
+          kind: "section",
+          fromClassroomId: classroomId,
+          toClassroomId: classroomId,
+          fromSection: seat.section || "",
+          toSection: row.section,
+        });
+        changed = true;
+      }
+      const changes = {};
+      ["firstName", "lastName", "studentId"].forEach((field) => {
+        if (row[field] && (seat[field] || "") !== row[field]) changes[field] = row[field];
+      });
+      if (Object.keys(changes).length) {
+        updates.push({ classroomId, seatId: seat._id, email: row.email, changes });
+        changed = true;
+      }
+      if (!changed) unchanged++;
+    });
+
+    existing.forEach((seat) => {
+      if (seat.metadata?.source !== "oneroster" || desired.has(seat.email)) return;
+      drops.push({
+        classroomId,
+        seatId: seat._id,
+        email: seat.email,
+        status: seat.status,
+        claimedBy: seat.claimedBy || null,
+        section: seat.section || "",
+      });
+    });
+  });
+
+  // A drop in one classroom plus an add in another is the same student moving
+  const addsByEmail = new Map(adds.map((add) => [add.email, add]));
+  const classroomMoves = drops
+    .filter((drop) => addsByEmail.has(drop.email))
+    .map((drop) => ({
+      email: drop.email,
+      kind: "classroom",
+      fromClassroomId: drop.classroomId,
+      toClassroomId: addsByEmail.get(drop.email).classroomId,
+      fromSection: drop.section,
+      toSection: addsByEmail.get(drop.email).section,
+    }));
+
+  const reservationPlan = { create: [], revoke: [] };
+  if (reserveOrgSeats) {
+    const reservedEmails = new Set(reservations.map((reservation) => reservation.email));
+    reservationPlan.create = [...new Set(seatRows.map((row) => row.email))].filter(
+      (email) => !reservedEmails.has(email)
+    );
+    reservationPlan.revoke = reservations
+      .filter(
+        (reservation) =>
+          reservation.source === "oneroster" &&
+          reservation.status === "reserved" &&
+          !rosterEmails.has(reservation.email)
+      )
+      .map((reservation) => ({ reservationId: reservation._id, email: reservation.email }));
+  }
+
+  const classes = roster.classes.map((klass) => ({
+    sourcedId: klass.sourcedId,
+    title: klass.title,
+    classCode: klass.classCode,
+    classroomId: mappings.get(klass.sourcedId) || null,
+    students: studentCounts.get(klass.sourcedId) || 0,
+  }));
+
+  return {
+    classes,
+    adds,
+    drops,
+    moves: [...sectionMoves, ...classroomMoves],
+    updates,
+    skipped,
+    seatRows,
+    reservations: reservationPlan,
+    summary: {
+      classes: classes.length,
+      mappedClasses: classes.filter((klass) => klass.classroomId).length,
+      students: seatRows.length,
+      adds: adds.length,
+      drops: drops.length,
+      moves: sectionMoves.length + classroomMoves.length,
+      updates: updates.length,
+      unchanged,
+      skipped: skipped.length,
+      reservationsToCreate: reservationPlan.create.length,
+      reservationsToRevoke: reservationPlan.revoke.length,
+    },
+  };
+}
+
+module.exports = {
+  planOneRosterImport,
+};
@@ -0,0 +1,133 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { planOneRosterImport } = require("./importPlan");
+
+const roster = {
+  classes: [
+    { sourcedId: "c1", title: "Algebra - P1", classCode: "ALG-1" },
+    { sourcedId: "c2", title: "Algebra - P2", classCode: "ALG-2" },
+    { sourcedId: "c3", title: "Biology", classCode: "BIO" },
+    { sourcedId: "c4", title: "Chemistry", classCode: "CHEM" },
+  ],
+  users: [
+    { sourcedId: "u1", email: "ada@example.edu", givenName: "Ada", familyName: "Lovelace", identifier: "1001" },
+    { sourcedId: "u2", email: "bob@example.edu", givenName: "Bob", familyName: "Ross", identifier: "1002" },
+    { sourcedId: "u3", email: "cy@example.edu", givenName: "Cy", familyName: "Young", identifier: "" },
+    { sourcedId: "u4", email: "", givenName: "Di", familyName: "", identifier: "" },
+    { sourcedId: "u5", email: "eve@example.edu", givenName: "Eve", familyName: "", identifier: "" },
+    { sourcedId: "t1", email: "tina@example.edu", givenName: "Tina", familyName: "", identifier: "" },
+  ],
+  enrollments: [
+    { classSourcedId: "c1", userSourcedId: "u1", role: "student" },
+    { classSourcedId: "c2", userSourcedId: "u2", role: "student" },
+    { classSourcedId: "c3", userSourcedId: "u3", role: "student" },
+    { classSourcedId: "c3", userSourcedId: "u4", role: "student" },
+    { classSourcedId: "c3", userSourcedId: "ghost", role: "student" },
+    { classSourcedId: "c3", userSourcedId: "t1", role: "teacher" },
+    { classSourcedId: "c4", userSourcedId: "u5", role: "student" },
+  ],
+};
+
+const oneroster = { source: "oneroster" };
+
+test("planOneRosterImport reports adds, drops, moves and updates", () => {
+  const plan = planOneRosterImport({
+    roster,
+    mappings: new Map([
+      ["c1", "room-alg"],
+      ["c2", "room-alg"],
+      ["c3", "room-bio"],
+    ]),
+    seats: [
+      // Moved from P1 to P2
+      { _id: "s-bob", classroomId: "room-alg", email: "bob@example.edu", section: "Algebra - P1", firstName: "Bob", lastName: "Ross", studentId: "1002", status: "reserved", metadata: oneroster },
+      // Left algebra for biology, already joined
+      { _id: "s-cy", classroomId: "room-alg", email: "cy@example.edu", section: "Algebra - P1", status: "claimed", claimedBy: "m-cy", metadata: oneroster },
+      // Added by hand: never dropped
+      { _id: "s-hand", classroomId: "room-alg", email: "hand@example.edu", section: "", status: "reserved", metadata: {} },
+      // Name fixed in the SIS
+      { _id: "s-ada", classroomId: "room-alg", email: "ada@example.edu", section: "Algebra - P1", firstName: "Ada", lastName: "Byron", studentId: "1001", status: "reserved", metadata: oneroster },
+    ],
+  });
+
+  assert.deepEqual(plan.adds, [
+    { classroomId: "room-bio", email: "cy@example.edu", firstName: "Cy", lastName: "Young", section: "Biology" },
+  ]);
+  assert.deepEqual(
+    plan.drops.map((drop) => [drop.seatId, drop.status, drop.claimedBy]),
+    [["s-cy", "claimed", "m-cy"]]
+  );
+  assert.deepEqual(plan.moves, [
+    {
+      email: "bob@example.edu",
+      kind: "section",
+      fromClassroomId: "room-alg",
+      toClassroomId: "room-alg",
+      fromSection: "Algebra - P1",
+      toSection: "Algebra - P2",
+    },
+    {
+      email: "cy@example.edu",
+      kind: "classroom",
+      fromClassroomId: "room-alg",
+      toClassroomId: "room-bio",
+      fromSection: "Algebra - P1",
+      toSection: "Biology",
+    },
+  ]);
+  assert.deepEqual(plan.updates, [
+    { classroomId: "room-alg", seatId: "s-ada", email: "ada@example.edu", changes: { lastName: "Lovelace" } },
+  ]);
+  assert.deepEqual(plan.skipped, [
+    { userSourcedId: "u4", classSourcedId: "c3", reason: "no_email" },
+    { userSourcedId: "ghost", classSourcedId: "c3", reason: "unknown_user" },
+  ]);
+  assert.deepEqual(
+    plan.seatRows.map((row) => [row.classroomId, row.email, row.section]),
+    [
+      ["room-alg", "ada@example.edu", "Algebra - P1"],
+      ["room-alg", "bob@example.edu", "Algebra - P2"],
+      ["room-bio", "cy@example.edu", "Biology"],
+    ]
+  );
+  assert.deepEqual(
+    plan.classes.map((klass) => [klass.sourcedId, klass.classroomId, klass.students]),
+    [
+      ["c1", "room-alg", 1],
+      ["c2", "room-alg", 1],
+      ["c3", "room-bio", 1],
+      ["c4", null, 1],
+    ]
+  );
+  assert.equal(plan.summary.unchanged, 0);
+  assert.deepEqual(plan.reservations, { create: [], revoke: [] });
+});
+
+test("planOneRosterImport drops everyone from a mapped class that emptied", () => {
+  const plan = planOneRosterImport({
+    roster: { ...roster, enrollments: [] },
+    mappings: new Map([["c1", "room-alg"]]),
+    seats: [{ _id: "s1", classroomId: "room-alg", email: "ada@example.edu", section: "Algebra - P1", status: "reserved", metadata: oneroster }],
+  });
+  assert.deepEqual(plan.drops.map((drop) => drop.seatId), ["s1"]);
+});
+
+test("planOneRosterImport reserves org seats for new students and revokes departed imports", () => {
+  const plan = planOneRosterImport({
+    roster,
+    mappings: new Map([["c1", "room-alg"], ["c2", "room-alg"]]),
+    seats: [],
+    reservations: [
+      { _id: "r-ada", email: "ada@example.edu", status: "claimed", source: "oneroster" },
+      // Still in the roster, in an unmapped class: kept
+      { _id: "r-eve", email: "eve@example.edu", status: "reserved", source: "oneroster" },
+      { _id: "r-gone", email: "gone@example.edu", status: "reserved", source: "oneroster" },
+      { _id: "r-manual", email: "manual@example.edu", status: "reserved", source: "manual" },
+    ],
+    reserveOrgSeats: true,
+  });
+
+  assert.deepEqual(plan.reservations.create, ["bob@example.edu"]);
+  assert.deepEqual(plan.reservations.revoke, [{ reservationId: "r-gone", email: "gone@example.edu" }]);
+});
@@ -0,0 +1,164 @@
+const path = require("path");
+const { parseCsvRows } = require("../../licensing/rosterCsv");
+const { makeOneRosterError } = require("../oneRoster.errors");
+const { readZipEntries } = require("./zipReader");
+
+/**
+ * OneRoster 1.2 rostering data, from a CSV bundle or the REST API, reduced
+ * to what a roster import needs:
+ *
+ *   { classes: [{ sourcedId, title, classCode }],
+ *     users: [{ sourcedId, email, givenName, familyName, identifier }],
+ *     enrollments: [{ classSourcedId, userSourcedId, role }] }
+ *
+ * Records marked tobedeleted, disabled users and enrollments past their
+ * endDate are dropped here, so everything left is current.
+ */
+
+const REQUIRED_FILES = ["users.csv", "classes.csv", "enrollments.csv"];
+const STUDENT_ROLES = new Set(["student", "learner"]);
+
+function isActiveStatus(status) {
+  return String(status || "active").trim().toLowerCase() !== "tobedeleted";
+}
+
+function isEnabled(value) {
+  if (value === undefined || value === null || value === "") return true;
+  return String(value).trim().toLowerCase() !== "false";
+}
+
+function hasEnded(endDate, now) {
+  if (!endDate) return false;
+  const end = new Date(endDate);
+  return !Number.isNaN(end.getTime()) && end < now;
+}
+
+/**
+ * Reduce flat OneRoster records (CSV rows, or REST records with their
+ * references flattened) to the import shape above.
+ *
+ * @param {Object} records - { classes, users, enrollments } flat records
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ */
+function normalizeRoster({ classes = [], users = [], enrollments = [] }, { now = new Date() } = {}) {
+  return {
+    classes: classes
+      .filter((record) => record.sourcedId && isActiveStatus(record.status))
+      .map((record) => ({
+        sourcedId: String(record.sourcedId),
+        title: String(record.title || "").trim(),
+        classCode: String(record.classCode || "").trim(),
+      })),
+    users: users
+      .filter((record) => record.sourcedId && isActiveStatus(record.status) && isEnabled(record.enabledUser))
+      .map((record) => ({
+        sourcedId: String(record.sourcedId),
+        email: String(record.email || "").trim().toLowerCase(),
+        givenName: String(record.givenName || "").trim(),
+        familyName: String(record.familyName || "").trim(),
+        identifier: String(record.identifier || "").trim(),
+      })),
+    enrollments: enrollments
+      .filter(
+        (record) =>
+          record.classSourcedId &&
+          record.userSourcedId &&
+          isActiveStatus(record.status) &&
+          !hasEnded(record.endDate, now)
+      )
+      .map((record) => ({
+        classSourcedId: String(record.classSourcedId),
+        userSourcedId: String(record.userSourcedId),
+        role: String(record.role || "").trim().toLowerCase(),
+      })),
+  };
+}
+
+function parseCsvRecords(csv) {
+  const [headerRow, ...dataRows] = parseCsvRows(csv);
+  if (!headerRow) return [];
+  const headers = headerRow.map((header) => header.replace(/^\uFEFF/, "").trim());
+  return dataRows.map((values) => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = values[index] || "";
+    });
+    return record;
+  });
+}
+
+/**
+ * Parse a OneRoster CSV bundle. Only bulk exports are accepted: a re-import
+ * diffs against everything SCALE holds, which a delta file cannot support.
+ *
+ * @param {Object<string, string>} files - CSV text by file name (e.g. "users.csv")
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ */
+function parseOneRosterFiles(files, options = {}) {
+  const byName = {};
+  Object.entries(files || {}).forEach(([name, content]) => {
+    byName[path.basename(name).toLowerCase()] = String(content || "");
+  });
+
+  const missing = REQUIRED_FILES.filter((name) => !(name in byName));
+  if (missing.length) {
+    throw makeOneRosterError(
+      `The OneRoster bundle is missing ${missing.join(", ")}`,
+      400,
+      "ONEROSTER_FILE_MISSING",
+      { missing }
+    );
+  }
+
+  if (byName["manifest.csv"]) {
+    const deltaFiles = parseCsvRecords(byName["manifest.csv"])
+      .filter(
+        (row) =>
+          /^file\.(users|classes|enrollments)$/.test(row.propertyName) &&
+          String(row.value).toLowerCase() === "delta"
+      )
+      .map((row) => row.propertyName);
+    if (deltaFiles.length) {
+      throw makeOneRosterError(
+        "Delta OneRoster exports are not supported; export a bulk file set",
+        400,
+        "ONEROSTER_DELTA_UNSUPPORTED",
+        { files: deltaFiles }
+      );
+    }
+  }
+
+  return normalizeRoster(
+    {
+      classes: parseCsvRecords(byName["classes.csv"]),
+      users: parseCsvRecords(byName["users.csv"]),
+      enrollments: parseCsvRecords(byName["enrollments.csv"]),
+    },
+    options
+  );
+}
+
+/**
+ * Parse a zipped OneRoster CSV bundle. Files may sit in a folder inside the
+ * zip; macOS resource forks are ignored.
+ *
+ * @param {Buffer} buffer - zip archive
+ */
+function parseOneRosterZip(buffer, options = {}) {
+  const files = {};
+  readZipEntries(buffer).forEach((content, name) => {
+    if (name.startsWith("__MACOSX/") || !name.toLowerCase().endsWith(".csv")) return;
+    files[name] = content.toString("utf8");
+  });
+  return parseOneRosterFiles(files, options);
+}
+
+module.exports = {
+  REQUIRED_FILES,
+  STUDENT_ROLES,
+  normalizeRoster,
+  parseOneRosterFiles,
+  parseOneRosterZip,
+};
@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+
+const { parseOneRosterFiles, parseOneRosterZip } = require("./oneRosterData");
+const { readZipEntries } = require("./zipReader");
+
+// Minimal zip writer: deflated entries, CRCs left at zero (the reader does not check them)
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBuffer = Buffer.from(name);
+    const raw = Buffer.from(content);
+    const data = zlib.deflateRawSync(raw);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+  const directory = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(files).length, 8);
+  eocd.writeUInt16LE(Object.keys(files).length, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, eocd]);
+}
+
+const FILES = {
+  "users.csv": [
+    "sourcedId,status,dateLastModified,enabledUser,username,givenName,familyName,identifier,email",
+    "u1,active,,true,ada,Ada,Lovelace,1001,Ada@Example.edu",
+    "u2,tobedeleted,,true,bob,Bob,Ross,1002,bob@example.edu",
+    "u3,,,false,cy,Cy,Young,1003,cy@example.edu",
+    't1,,,true,tina,"Tina, PhD",Teach,,tina@example.edu',
+  ].join("\n"),
+  "classes.csv": [
+    "\uFEFFsourcedId,status,title,classCode",
+    "c1,active,Algebra - Period 1,ALG-1",
+    "c2,tobedeleted,Old class,OLD",
+  ].join("\r\n"),
+  "enrollments.csv": [
+    "sourcedId,status,classSourcedId,userSourcedId,role,primary,beginDate,endDate",
+    "e1,active,c1,u1,student,false,2026-08-01,",
+    "e2,active,c1,t1,teacher,true,,",
+    "e3,active,c1,u3,student,false,,2020-01-01",
+  ].join("\n"),
+};
+
+test("parseOneRosterFiles keeps only current records", () => {
+  const roster = parseOneRosterFiles(FILES, { now: new Date("2026-10-01") });
+
+  assert.deepEqual(roster.classes, [{ sourcedId: "c1", title: "Algebra - Period 1", classCode: "ALG-1" }]);
+  assert.deepEqual(
+    roster.users.map((user) => [user.sourcedId, user.email, user.givenName]),
+    [
+      ["u1", "ada@example.edu", "Ada"],
+      ["t1", "tina@example.edu", "Tina, PhD"],
+    ]
+  );
+  assert.deepEqual(roster.enrollments, [
+    { classSourcedId: "c1", userSourcedId: "u1", role: "student" },
+    { classSourcedId: "c1", userSourcedId: "t1", role: "teacher" },
+  ]);
+});
+
+test("parseOneRosterFiles requires the rostering files and a bulk export", () => {
+  assert.throws(() => parseOneRosterFiles({ "users.csv": FILES["users.csv"] }), {
+    code: "ONEROSTER_FILE_MISSING",
+  });
+  assert.throws(
+    () =>
+      parseOneRosterFiles({
+        ...FILES,
+        "manifest.csv": "propertyName,value\nfile.users,delta\nfile.classes,bulk",
+      }),
+    { code: "ONEROSTER_DELTA_UNSUPPORTED", details: { files: ["file.users"] } }
+  );
+});
+
+test("parseOneRosterZip reads a bundle from a folder inside the zip", () => {
+  const zip = buildZip({
+    "export/users.csv": FILES["users.csv"],
+    "export/classes.csv": FILES["classes.csv"],
+    "export/enrollments.csv": FILES["enrollments.csv"],
+    "__MACOSX/export/._users.csv": "junk",
+  });
+  const roster = parseOneRosterZip(zip, { now: new Date("2026-10-01") });
+  assert.equal(roster.classes.length, 1);
+  assert.equal(roster.users.length, 2);
+});
+
+test("readZipEntries rejects what it cannot read", () => {
+  assert.throws(() => readZipEntries(Buffer.from("not a zip at all, not even close")), {
+    code: "INVALID_ONEROSTER_ZIP",
+  });
+  const zip = buildZip({ "users.csv": "x".repeat(5000) });
+  assert.throws(() => readZipEntries(zip, { maxUncompressedBytes: 1000 }), {
+    code: "INVALID_ONEROSTER_ZIP",
+  });
+  assert.equal(readZipEntries(zip).get("users.csv").length, 5000);
+});
@@ -0,0 +1,418 @@
+const mongoose = require("mongoose");
+const { makeOneRosterError } = require("../oneRoster.errors");
+const { parseOneRosterFiles, parseOneRosterZip } = require("./oneRosterData");
+const { normalizeConnection, fetchOneRosterRoster } = require("./oneRosterRest");
+const { planOneRosterImport } = require("./importPlan");
+
+/**
+ * OneRoster roster imports in two steps: preview reads the roster, diffs it
+ * against the organization's RosterSeats and reservations and stores the
+ * plan; apply carries a stored plan out. Nothing changes until an admin
+ * applies a preview.
+ */
+
+const PREVIEW_TTL_MS = 24 * 60 * 60 * 1000;
+const SEAT_FIELDS = "_id classroomId email section status claimedBy firstName lastName studentId metadata";
+
+function invalidSource(message, field) {
+  return makeOneRosterError(message, 400, "INVALID_ONEROSTER_SOURCE", { field });
+}
+
+/**
+ * Read a roster from a request's source.
+ *
+ * @param {Object} source
+ * @param {"csv"|"rest"} source.type
+ * @param {string} [source.zip] - base64 zip of the CSV bundle (csv)
+ * @param {Object<string, string>} [source.files] - CSV text by file name, instead of zip (csv)
+ * @param {string} [source.fileName] - kept on the import for reference (csv)
+ * @param {string} [source.baseUrl] - rostering API base URL (rest)
+ * @param {string} [source.tokenUrl] - defaults to `${baseUrl}/token` (rest)
+ * @param {string} [source.clientId] - (rest)
+ * @param {string} [source.clientSecret] - (rest)
+ * @returns {Promise<{ roster: Object, source: Object }>} roster and the source as stored
+ */
+async function loadRoster(source = {}, options = {}) {
+  if (source.type === "csv") {
+    let roster;
+    if (typeof source.zip === "string" && source.zip) {
+      roster = parseOneRosterZip(Buffer.from(source.zip, "base64"), options);
+    } else if (source.files && typeof source.files === "object") {
+      roster = parseOneRosterFiles(source.files, options);
+    } else {
+      throw invalidSource("A OneRoster zip or CSV files are required", "zip");
+    }
+    return { roster, source: { type: "csv", fileName: source.fileName ? String(source.fileName) : null } };
+  }
+  if (source.type === "rest") {
+    const connection = normalizeConnection(source);
+    const roster = await fetchOneRosterRoster(connection, options);
+    return { roster, source: { type: "rest", baseUrl: connection.baseUrl } };
+  }
+  throw invalidSource('source.type must be "csv" or "rest"', "type");
+}
+
+/**
+ * Check class mappings from a request against the roster and the admin's
+ * classrooms.
+ *
+ * @param {Array} input - [{ classSourcedId, classroomId }]; classroomId null unmaps
+ * @returns {Promise<Array>} [{ classSourcedId, classroomId }]
+ */
+async function normalizeClassMappings(input, { roster, organization, clerkUserId }) {
+  const Classroom = require("../../classroom/classroom.model");
+  if (input === undefined || input === null) return [];
+  if (!Array.isArray(input)) {
+    throw makeOneRosterError("classMappings must be an array", 400, "INVALID_CLASS_MAPPING");
+  }
+
+  const classIds = new Set(roster.classes.map((klass) => klass.sourcedId));
+  const mappings = input.map((mapping) => {
+    const classSourcedId = String(mapping?.classSourcedId || "");
+    if (!classIds.has(classSourcedId)) {
+      throw makeOneRosterError("Class not found in the OneRoster data", 400, "ONEROSTER_CLASS_NOT_FOUND", {
+        classSourcedId,
+      });
+    }
+    const classroomId = mapping.classroomId ? String(mapping.classroomId) : null;
+    if (classroomId && !mongoose.Types.ObjectId.isValid(classroomId)) {
+      throw makeOneRosterError("classroomId is not a valid ID", 400, "INVALID_CLASS_MAPPING", {
+        classSourcedId,
+      });
+    }
+    return { classSourcedId, classroomId };
+  });
+
+  const classroomIds = [...new Set(mappings.map((mapping) => mapping.classroomId).filter(Boolean))];
+  for (const classroomId of classroomIds) {
+    await Classroom.validateAdminAccess(classroomId, clerkUserId, organization._id);
+  }
+  return mappings;
+}
+
+function formatImport(doc) {
+  const record = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  const { plan = {}, ...rest } = record;
+  return {
+    ...rest,
+    changes: {
+      classes: plan.classes || [],
+      adds: plan.adds || [],
+      drops: plan.drops || [],
+      moves: plan.moves || [],
+      updates: plan.updates || [],
+      skipped: plan.skipped || [],
+      reservations: plan.reservations || { create: [], revoke: [] },
+    },
+  };
+}
+
+/**
+ * Read a roster and store what importing it would change.
+ *
+ * @param {Object} input
+ * @param {Object} input.organization - Organization document
+ * @param {Object} input.source - see loadRoster
+ * @param {Array} [input.classMappings] - see normalizeClassMappings; merged over saved links
+ * @param {boolean} [input.reserveOrgSeats] - also reserve org seats (default true)
+ * @param {string} input.clerkUserId
+ * @returns {Promise<Object>} the previewed import, with its changes
+ */
+async function previewImport({
+  organization,
+  source,
+  classMappings,
+  reserveOrgSeats = true,
+  clerkUserId,
+  ...options
+}) {
+  const OneRosterClassLink = require("../oneRosterClassLink.model");
+  const OneRosterImport = require("../oneRosterImport.model");
+  const OrgSeatReservation = require("../../licensing/orgSeatReservation.model");
+  const RosterSeat = require("../../licensing/rosterSeat.model");
+  const SeatPool = require("../../licensing/seatPool.model");
+
+  const loaded = await loadRoster(source, options);
+  const { roster } = loaded;
+  const overrides = await normalizeClassMappings(classMappings, { roster, organization, clerkUserId });
+
+  const mappings = await OneRosterClassLink.mappingsFor(organization._id);
+  overrides.forEach(({ classSourcedId, classroomId }) => {
+    if (classroomId) mappings.set(classSourcedId, classroomId);
+    else mappings.delete(classSourcedId);
+  });
+
+  const classroomIds = [...new Set(mappings.values())];
+  const [seats, reservations, availability] = await Promise.all([
+    RosterSeat.find({
+      organization: organization._id,
+      classroomId: { $in: classroomIds },
+      status: { $ne: "revoked" },
+    })
+      .select(SEAT_FIELDS)
+      .lean(),
+    reserveOrgSeats
+      ? OrgSeatReservation.find({ organization: organization._id, status: { $in: ["reserved", "claimed"] } })
+          .select("_id email status source")
+          .lean()
+      : [],
+    reserveOrgSeats ? SeatPool.getOrgSeatAvailability(organization._id) : null,
+  ]);
+
+  const plan = planOneRosterImport({
+    roster,
+    mappings,
+    seats: seats.map((seat) => ({ ...seat, classroomId: String(seat.classroomId) })),
+    reservations,
+    reserveOrgSeats: Boolean(reserveOrgSeats),
+  });
+
+  const summary = { ...plan.summary };
+  if (availability) {
+    // Revoked reservations free their seats before new ones are made
+    const seatsAvailable = availability.floatingAvailable + plan.reservations.revoke.length;
+    summary.orgSeatsAvailable = availability.floatingAvailable;
+    summary.orgSeatShortfall = Math.max(plan.reservations.create.length - seatsAvailable, 0);
+  }
+
+  const classesById = new Map(roster.classes.map((klass) => [klass.sourcedId, klass]));
+  const importDoc = await OneRosterImport.create({
+    status: "previewed",
+    source: loaded.source,
+    reserveOrgSeats: Boolean(reserveOrgSeats),
+    mappings: [
+      ...plan.classes
+        .filter((klass) => klass.classroomId)
+        .map((klass) => ({
+          classSourcedId: klass.sourcedId,
+          classroomId: klass.classroomId,
+          title: klass.title,
+          classCode: klass.classCode,
+        })),
+      ...overrides
+        .filter((mapping) => !mapping.classroomId)
+        .map((mapping) => ({
+          classSourcedId: mapping.classSourcedId,
+          classroomId: null,
+          title: classesById.get(mapping.classSourcedId)?.title || "",
+          classCode: classesById.get(mapping.classSourcedId)?.classCode || "",
+        })),
+    ],
+    summary,
+    plan,
+    organization: organization._id,
+    createdBy: clerkUserId,
+    updatedBy: clerkUserId,
+  });
+
+  return formatImport(importDoc);
+}
+
+/**
+ * Find a preview that can still be applied and claim it, so two admins
+ * cannot apply it at once.
+ */
+async function claimPreview(OneRosterImport, { organization, importId, clerkUserId, now }) {
+  const importDoc = mongoose.Types.ObjectId.isValid(importId)
+    ? await OneRosterImport.findOne({ _id: importId, organization: organization._id }).lean()
+    : null;
+  if (!importDoc) {
+    throw makeOneRosterError("Import not found", 404, "ONEROSTER_IMPORT_NOT_FOUND");
+  }
+  if (importDoc.status !== "previewed") {
+    throw makeOneRosterError("This import has already been applied", 409, "ONEROSTER_IMPORT_NOT_PENDING", {
+      status: importDoc.status,
+    });
+  }
+  if (now - new Date(importDoc.createdDate) > PREVIEW_TTL_MS) {
+    throw makeOneRosterError("This preview has expired; preview the import again", 409, "ONEROSTER_PREVIEW_EXPIRED");
+  }
+  const newerApplied = await OneRosterImport.exists({
+    organization: organization._id,
+    status: "applied",
+    appliedAt: { $gt: importDoc.createdDate },
+  });
+  if (newerApplied) {
+    throw makeOneRosterError(
+      "Another import was applied after this preview; preview the import again",
+      409,
+      "ONEROSTER_PREVIEW_STALE"
+    );
+  }
+
+  const claimed = await OneRosterImport.findOneAndUpdate(
+    { _id: importDoc._id, status: "previewed" },
+    { $set: { status: "applying", updatedBy: clerkUserId } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw makeOneRosterError("This import has already been applied", 409, "ONEROSTER_IMPORT_NOT_PENDING");
+  }
+  return claimed;
+}
+
+async function saveClassLinks(importDoc, { organization, clerkUserId }) {
+  const OneRosterClassLink = require("../oneRosterClassLink.model");
+  for (const mapping of importDoc.mappings) {
+    if (!mapping.classroomId) {
+      await OneRosterClassLink.deleteOne({ organization: organization._id, classSourcedId: mapping.classSourcedId });
+      continue;
+    }
+    await OneRosterClassLink.updateOne(
+      { organization: organization._id, classSourcedId: mapping.classSourcedId },
+      {
+        $set: {
+          classroomId: mapping.classroomId,
+          title: mapping.title,
+          classCode: mapping.classCode,
+          updatedBy: clerkUserId,
+        },
+        $setOnInsert: { createdBy: clerkUserId },
+      },
+      { upsert: true }
+    );
+  }
+}
+
+async function applySeats(plan, { organization, clerkUserId, failures }) {
+  const Classroom = require("../../classroom/classroom.model");
+  const Enrollment = require("../../enrollment/enrollment.model");
+  const RosterSeat = require("../../licensing/rosterSeat.model");
+
+  const rowsByClassroom = new Map();
+  (plan.seatRows || []).forEach(({ classroomId, classSourcedId, userSourcedId, ...row }) => {
+    if (!rowsByClassroom.has(classroomId)) rowsByClassroom.set(classroomId, []);
+    // Blank SIS fields leave whatever the seat already has
+    const fields = Object.fromEntries(Object.entries(row).filter(([, value]) => value !== ""));
+    rowsByClassroom.get(classroomId).push({
+      ...fields,
+      metadata: { source: "oneroster", classSourcedId, userSourcedId },
+    });
+  });
+
+  let seatsUpserted = 0;
+  for (const [classroomId, rows] of rowsByClassroom) {
+    const classroom = await Classroom.findOne({ _id: classroomId, organization: organization._id });
+    if (!classroom) {
+      failures.push({ classroomId, code: "CLASSROOM_NOT_FOUND", error: "Classroom no longer exists" });
+      continue;
+    }
+    const upserted = await RosterSeat.importRows({ classroom, rows, updatedBy: clerkUserId });
+    seatsUpserted += upserted.length;
+  }
+
+  let seatsRevoked = 0;
+  let unenrolled = 0;
+  for (const drop of plan.drops || []) {
+    if (drop.status === "claimed" && drop.claimedBy) {
+      try {
+        await Enrollment.leaveClassroom({
+          classroomId: drop.classroomId,
+          userId: drop.claimedBy,
+          organizationId: organization._id,
+          updatedBy: clerkUserId,
+        });
+        unenrolled++;
+      } catch (error) {
+        if (error.code !== "NOT_ENROLLED") {
+          failures.push({ email: drop.email, code: error.code || null, error: error.message });
+          continue;
+        }
+      }
+    }
+    const revoked = await RosterSeat.updateOne(
+      { _id: drop.seatId, status: { $ne: "revoked" } },
+      { $set: { status: "revoked", updatedBy: clerkUserId } }
+    );
+    seatsRevoked += revoked.modifiedCount || 0;
+  }
+
+  return { seatsUpserted, seatsRevoked, unenrolled };
+}
+
+async function applyReservations(plan, { organization, clerkUserId, failures }) {
+  const OrgSeatReservation = require("../../licensing/orgSeatReservation.model");
+  const reservationPlan = plan.reservations || { create: [], revoke: [] };
+
+  let reservationsRevoked = 0;
+  for (const { reservationId, email } of reservationPlan.revoke) {
+    try {
+      await OrgSeatReservation.revokeReservation({ organization, reservationId, updatedBy: clerkUserId });
+      reservationsRevoked++;
+    } catch (error) {
+      // Claimed since the preview: the student joined, so the seat stays
+      if (!["INVALID_STATUS", "NOT_FOUND"].includes(error.code)) {
+        failures.push({ email, code: error.code || null, error: error.message });
+      }
+    }
+  }
+
+  let reservationsCreated = 0;
+  for (let index = 0; index < reservationPlan.create.length; index++) {
+    const email = reservationPlan.create[index];
+    try {
+      await OrgSeatReservation.createReservation({ organization, email, createdBy: clerkUserId, source: "oneroster" });
+      reservationsCreated++;
+    } catch (error) {
+      if (error.code === "ALREADY_RESERVED") continue;
+      if (error.code === "NO_SEATS_AVAILABLE") {
+        failures.push({
+          code: error.code,
+          error: error.message,
+          emails: reservationPlan.create.slice(index),
+        });
+        break;
+      }
+      failures.push({ email, code: error.code || null, error: error.message });
+    }
+  }
+
+  return { reservationsCreated, reservationsRevoked };
+}
+
+/**
+ * Apply a previewed import: save its class links, write and drop roster
+ * seats (unenrolling dropped students who had joined) and reserve or
+ * revoke org seats. Per-student problems are collected in result.failures.
+ *
+ * @param {Object} input
+ * @param {Object} input.organization - Organization document
+ * @param {string} input.importId
+ * @param {string} input.clerkUserId
+ * @returns {Promise<Object>} the applied import
+ */
+async function applyImport({ organization, importId, clerkUserId, now = new Date() }) {
+  const OneRosterImport = require("../oneRosterImport.model");
+  const importDoc = await claimPreview(OneRosterImport, { organization, importId, clerkUserId, now });
+
+  try {
+    const failures = [];
+    await saveClassLinks(importDoc, { organization, clerkUserId });
+    const seatResult = await applySeats(importDoc.plan, { organization, clerkUserId, failures });
+    const reservationResult = importDoc.reserveOrgSeats
+      ? await applyReservations(importDoc.plan, { organization, clerkUserId, failures })
+      : { reservationsCreated: 0, reservationsRevoked: 0 };
+
+    importDoc.status = "applied";
+    importDoc.appliedAt = now;
+    importDoc.appliedBy = clerkUserId;
+    importDoc.result = { ...seatResult, ...reservationResult, failures };
+    importDoc.updatedBy = clerkUserId;
+    await importDoc.save();
+    return formatImport(importDoc);
+  } catch (error) {
+    importDoc.status = "failed";
+    importDoc.error = error.message;
+    await importDoc.save();
+    throw error;
+  }
+}
+
+module.exports = {
+  PREVIEW_TTL_MS,
+  loadRoster,
+  normalizeClassMappings,
+  formatImport,
+  previewImport,
+  applyImport,
+};
@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const OneRosterImport = require("../oneRosterImport.model");
+const { applyImport, loadRoster, PREVIEW_TTL_MS } = require("./oneRosterImport");
+
+const organization = { _id: new mongoose.Types.ObjectId() };
+
+test("loadRoster takes CSV files and records the source without content", async () => {
+  const { roster, source } = await loadRoster({
+    type: "csv",
+    fileName: "district.zip",
+    files: {
+      "users.csv": "sourcedId,email\nu1,ada@example.edu",
+      "classes.csv": "sourcedId,title\nc1,Algebra",
+      "enrollments.csv": "sourcedId,classSourcedId,userSourcedId,role\ne1,c1,u1,student",
+    },
+  });
+  assert.equal(roster.users.length, 1);
+  assert.deepEqual(source, { type: "csv", fileName: "district.zip" });
+
+  await assert.rejects(loadRoster({ type: "sftp" }), { code: "INVALID_ONEROSTER_SOURCE" });
+  await assert.rejects(loadRoster({ type: "csv" }), { code: "INVALID_ONEROSTER_SOURCE" });
+});
+
+test("applyImport only applies a fresh, unapplied preview", async (t) => {
+  const now = new Date("2026-10-19T12:00:00Z");
+  const importId = new mongoose.Types.ObjectId();
+  let stored;
+  let newerApplied = false;
+  t.mock.method(OneRosterImport, "findOne", () => ({ lean: async () => stored }));
+  t.mock.method(OneRosterImport, "exists", async () => newerApplied);
+  const claim = t.mock.method(OneRosterImport, "findOneAndUpdate", async () => null);
+
+  await assert.rejects(applyImport({ organization, importId: "nope", clerkUserId: "user_1", now }), {
+    code: "ONEROSTER_IMPORT_NOT_FOUND",
+  });
+
+  stored = { _id: importId, status: "applied", createdDate: now };
+  await assert.rejects(applyImport({ organization, importId, clerkUserId: "user_1", now }), {
+    code: "ONEROSTER_IMPORT_NOT_PENDING",
+  });
+
+  stored = { _id: importId, status: "previewed", createdDate: new Date(now - PREVIEW_TTL_MS - 1) };
+  await assert.rejects(applyImport({ organization, importId, clerkUserId: "user_1", now }), {
+    code: "ONEROSTER_PREVIEW_EXPIRED",
+  });
+
+  stored = { _id: importId, status: "previewed", createdDate: new Date(now - 60 * 1000) };
+  newerApplied = true;
+  await assert.rejects(applyImport({ organization, importId, clerkUserId: "user_1", now }), {
+    code: "ONEROSTER_PREVIEW_STALE",
+  });
+
+  // Another admin applied it between the checks and the claim
+  newerApplied = false;
+  await assert.rejects(applyImport({ organization, importId, clerkUserId: "user_1", now }), {
+    code: "ONEROSTER_IMPORT_NOT_PENDING",
+  });
+  assert.equal(claim.mock.callCount(), 1);
+});
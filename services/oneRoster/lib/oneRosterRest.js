@@ -0,0 +1,136 @@
+const axios = require("axios");
+const { makeOneRosterError } = require("../oneRoster.errors");
+const { normalizeRoster } = require("./oneRosterData");
+
+/**
+ * OneRoster 1.2 REST rostering client. Authenticates with OAuth 2.0 client
+ * credentials and pages through classes, users and enrollments with
+ * limit/offset.
+ */
+
+const ROSTER_SCOPE = "https://purl.imsglobal.org/spec/or/v1p2/scope/roster.readonly";
+const PAGE_SIZE = 1000;
+const MAX_PAGES = 200;
+const REQUEST_TIMEOUT_MS = 30000;
+
+function restFailed(message, error) {
+  return makeOneRosterError(message, 502, "ONEROSTER_REST_FAILED", {
+    status: error.response?.status || null,
+    reason: error.response?.data?.error_description || error.response?.data?.error || error.message,
+  });
+}
+
+/**
+ * Check and tidy a REST connection from a request body.
+ *
+ * @param {Object} input - { baseUrl, tokenUrl, clientId, clientSecret }
+ * @returns {{ baseUrl: string, tokenUrl: string, clientId: string, clientSecret: string }}
+ */
+function normalizeConnection(input = {}) {
+  const invalid = (field, reason) =>
+    makeOneRosterError(reason, 400, "INVALID_ONEROSTER_SOURCE", { field });
+
+  const urlField = (field) => {
+    const value = String(input[field] || "").trim();
+    if (!value) throw invalid(field, `${field} is required`);
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw invalid(field, `${field} must be a URL`);
+    }
+    if (url.protocol !== "https:" && !["localhost", "127.0.0.1"].includes(url.hostname)) {
+      throw invalid(field, `${field} must use https`);
+    }
+    return value.replace(/\/+$/, "");
+  };
+
+  const baseUrl = urlField("baseUrl");
+  const tokenUrl = input.tokenUrl ? urlField("tokenUrl") : `${baseUrl}/token`;
+  const clientId = String(input.clientId || "").trim();
+  const clientSecret = String(input.clientSecret || "");
+  if (!clientId) throw invalid("clientId", "clientId is required");
+  if (!clientSecret) throw invalid("clientSecret", "clientSecret is required");
+  return { baseUrl, tokenUrl, clientId, clientSecret };
+}
+
+async function getAccessToken(connection) {
+  try {
+    const response = await axios.post(
+      connection.tokenUrl,
+      new URLSearchParams({ grant_type: "client_credentials", scope: ROSTER_SCOPE }).toString(),
+      {
+        auth: { username: connection.clientId, password: connection.clientSecret },
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        timeout: REQUEST_TIMEOUT_MS,
+      }
+    );
+    if (!response.data?.access_token) {
+      throw new Error("The token response had no access_token");
+    }
+    return response.data.access_token;
+  } catch (error) {
+    throw restFailed("Could not authenticate with the OneRoster service", error);
+  }
+}
+
+/**
+ * Every record of one collection (e.g. "classes"), page by page.
+ */
+async function fetchCollection(connection, accessToken, collection) {
+  const records = [];
+  for (let page = 0; page < MAX_PAGES; page++) {
+    let response;
+    try {
+      response = await axios.get(`${connection.baseUrl}/${collection}`, {
+        params: { limit: PAGE_SIZE, offset: page * PAGE_SIZE },
+        headers: { Authorization: `Bearer ${accessToken}`, Accept: "application/json" },
+        timeout: REQUEST_TIMEOUT_MS,
+      });
+    } catch (error) {
+      throw restFailed(`Could not read ${collection} from the OneRoster service`, error);
+    }
+    const items = Array.isArray(response.data?.[collection]) ? response.data[collection] : [];
+    records.push(...items);
+
+    const total = Number(response.headers?.["x-total-count"]);
+    const done = Number.isFinite(total) ? records.length >= total : items.length < PAGE_SIZE;
+    if (done || items.length === 0) break;
+  }
+  return records;
+}
+
+/**
+ * Read the roster from a OneRoster REST service.
+ *
+ * @param {Object} connection - see normalizeConnection
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} roster (see oneRosterData)
+ */
+async function fetchOneRosterRoster(connection, options = {}) {
+  const accessToken = await getAccessToken(connection);
+  const classes = await fetchCollection(connection, accessToken, "classes");
+  const users = await fetchCollection(connection, accessToken, "users");
+  const enrollments = await fetchCollection(connection, accessToken, "enrollments");
+
+  return normalizeRoster(
+    {
+      classes,
+      users,
+      enrollments: enrollments.map((enrollment) => ({
+        ...enrollment,
+        classSourcedId: enrollment.class?.sourcedId,
+        userSourcedId: enrollment.user?.sourcedId,
+      })),
+    },
+    options
+  );
+}
+
+module.exports = {
+  ROSTER_SCOPE,
+  PAGE_SIZE,
+  normalizeConnection,
+  fetchOneRosterRoster,
+};
@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const { fetchOneRosterRoster, normalizeConnection } = require("./oneRosterRest");
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+test("normalizeConnection requires https and client credentials", () => {
+  assert.deepEqual(
+    normalizeConnection({ baseUrl: "https://sis.example.edu/ims/oneroster/rostering/v1p2/", clientId: "id", clientSecret: "s" }),
+    {
+      baseUrl: "https://sis.example.edu/ims/oneroster/rostering/v1p2",
+      tokenUrl: "https://sis.example.edu/ims/oneroster/rostering/v1p2/token",
+      clientId: "id",
+      clientSecret: "s",
+    }
+  );
+  assert.throws(() => normalizeConnection({ baseUrl: "http://sis.example.edu", clientId: "id", clientSecret: "s" }), {
+    code: "INVALID_ONEROSTER_SOURCE",
+    details: { field: "baseUrl" },
+  });
+  assert.throws(() => normalizeConnection({ baseUrl: "https://sis.example.edu", clientId: "id" }), {
+    code: "INVALID_ONEROSTER_SOURCE",
+    details: { field: "clientSecret" },
+  });
+});
+
+test("fetchOneRosterRoster authenticates and pages through each collection", async (t) => {
+  const users = Array.from({ length: 1500 }, (_, index) => ({
+    sourcedId: `u${index}`,
+    status: "active",
+    enabledUser: true,
+    givenName: `Student ${index}`,
+    familyName: "",
+    email: `s${index}@example.edu`,
+  }));
+  const data = {
+    classes: [{ sourcedId: "c1", status: "active", title: "Algebra", classCode: "ALG" }],
+    users,
+    enrollments: [
+      { sourcedId: "e1", status: "active", role: "student", user: { sourcedId: "u1" }, class: { sourcedId: "c1" } },
+      { sourcedId: "e2", status: "tobedeleted", role: "student", user: { sourcedId: "u2" }, class: { sourcedId: "c1" } },
+    ],
+  };
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    requests.push({ path: url.pathname, authorization: req.headers.authorization });
+    if (url.pathname === "/token") {
+      const valid = req.headers.authorization === `Basic ${Buffer.from("id:secret").toString("base64")}`;
+      res.writeHead(valid ? 200 : 401, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify(valid ? { access_token: "token-1" } : { error: "invalid_client" }));
+    }
+    const collection = url.pathname.slice(1);
+    const limit = Number(url.searchParams.get("limit"));
+    const offset = Number(url.searchParams.get("offset"));
+    const records = data[collection] || [];
+    res.writeHead(200, { "Content-Type": "application/json", "X-Total-Count": String(records.length) });
+    res.end(JSON.stringify({ [collection]: records.slice(offset, offset + limit) }));
+  });
+  const baseUrl = await listen(server);
+  t.after(() => server.close());
+
+  const roster = await fetchOneRosterRoster(normalizeConnection({ baseUrl, clientId: "id", clientSecret: "secret" }));
+  assert.equal(roster.users.length, 1500);
+  assert.deepEqual(roster.enrollments, [{ classSourcedId: "c1", userSourcedId: "u1", role: "student" }]);
+  assert.equal(requests.filter((request) => request.path === "/users").length, 2);
+  assert.ok(
+    requests
+      .filter((request) => request.path !== "/token")
+      .every((request) => request.authorization === "Bearer token-1")
+  );
+
+  await assert.rejects(
+    fetchOneRosterRoster(normalizeConnection({ baseUrl, clientId: "id", clientSecret: "wrong" })),
+    { code: "ONEROSTER_REST_FAILED", details: { status: 401, reason: "invalid_client" } }
+  );
+});
@@ -0,0 +1,101 @@
+const zlib = require("zlib");
+const { makeOneRosterError } = require("../oneRoster.errors");
+
+/**
+ * Just enough of the zip format to read a OneRoster CSV bundle: stored and
+ * deflated entries, no zip64, no encryption.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_LENGTH = 22;
+const MAX_COMMENT_LENGTH = 0xffff;
+const DEFAULT_MAX_UNCOMPRESSED_BYTES = 100 * 1024 * 1024;
+
+function invalidZip(reason) {
+  return makeOneRosterError("The OneRoster file is not a readable zip", 400, "INVALID_ONEROSTER_ZIP", {
+    reason,
+  });
+}
+
+function findEndOfCentralDirectory(buffer) {
+  const stop = Math.max(0, buffer.length - EOCD_MIN_LENGTH - MAX_COMMENT_LENGTH);
+  for (let offset = buffer.length - EOCD_MIN_LENGTH; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) return offset;
+  }
+  return -1;
+}
+
+/**
+ * The files in a zip archive, by name (directories are left out).
+ *
+ * @param {Buffer} buffer - zip archive
+ * @param {Object} [options]
+ * @param {number} [options.maxUncompressedBytes] - refuse archives that inflate past this
+ * @returns {Map<string, Buffer>}
+ */
+function readZipEntries(buffer, { maxUncompressedBytes = DEFAULT_MAX_UNCOMPRESSED_BYTES } = {}) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < EOCD_MIN_LENGTH) {
+    throw invalidZip("too short");
+  }
+  const eocd = findEndOfCentralDirectory(buffer);
+  if (eocd < 0) throw invalidZip("no end of central directory");
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  const directoryOffset = buffer.readUInt32LE(eocd + 16);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw invalidZip("zip64 archives are not supported");
+  }
+
+  const entries = new Map();
+  let inflatedBytes = 0;
+  let offset = directoryOffset;
+  for (let index = 0; index < entryCount; index++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw invalidZip("corrupt central directory");
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const uncompressedSize = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue;
+    if (flags & 0x1) throw invalidZip(`${name} is encrypted`);
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) {
+      throw invalidZip(`corrupt local header for ${name}`);
+    }
+    const dataStart =
+      localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (data.length !== compressedSize) throw invalidZip(`${name} is truncated`);
+
+    inflatedBytes += uncompressedSize;
+    if (inflatedBytes > maxUncompressedBytes) throw invalidZip("archive is too large when extracted");
+
+    let content;
+    if (method === 0) {
+      content = data;
+    } else if (method === 8) {
+      try {
+        content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(uncompressedSize, 1) });
+      } catch (error) {
+        throw invalidZip(`${name} could not be inflated`);
+      }
+    } else {
+      throw invalidZip(`${name} uses unsupported compression method ${method}`);
+    }
+    entries.set(name, content);
+  }
+  return entries;
+}
+
+module.exports = {
+  readZipEntries,
+};
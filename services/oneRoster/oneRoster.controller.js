@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+const OneRosterClassLink = require("./oneRosterClassLink.model");
+const OneRosterImport = require("./oneRosterImport.model");
+const OneRosterImportService = require("./lib/oneRosterImport");
+const { makeOneRosterError } = require("./oneRoster.errors");
+
+function handleOneRosterError(res, error) {
+  if (error.message === "Class not found") {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes("Insufficient permissions")) {
+    return res.status(403).json({ error: error.message });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code,
+      details: error.details,
+    });
+  }
+  return res.status(500).json({ error: error.message });
+}
+
+/**
+ * Preview a OneRoster import: the adds, drops and moves it would make
+ * POST /api/admin/oneroster/imports
+ */
+exports.previewImport = async function (req, res) {
+  try {
+    const importDoc = await OneRosterImportService.previewImport({
+      organization: req.organization,
+      source: req.body?.source,
+      classMappings: req.body?.classMappings,
+      reserveOrgSeats: req.body?.reserveOrgSeats !== false,
+      clerkUserId: req.clerkUser.id,
+    });
+    res.status(201).json({ success: true, data: importDoc });
+  } catch (error) {
+    console.error("Error previewing OneRoster import:", error);
+    handleOneRosterError(res, error);
+  }
+};
+
+/**
+ * Recent OneRoster imports (without their change lists)
+ * GET /api/admin/oneroster/imports
+ */
+exports.listImports = async function (req, res) {
+  try {
+    const imports = await OneRosterImport.find({ organization: req.organization._id })
+      .select("-plan")
+      .sort({ createdDate: -1 })
+      .limit(50)
+      .lean();
+    res.json({ success: true, data: imports });
+  } catch (error) {
+    console.error("Error listing OneRoster imports:", error);
+    handleOneRosterError(res, error);
+  }
+};
+
+/**
+ * One OneRoster import with its changes
+ * GET /api/admin/oneroster/imports/:importId
+ */
+exports.getImport = async function (req, res) {
+  try {
+    const importDoc = mongoose.Types.ObjectId.isValid(req.params.importId)
+      ? await OneRosterImport.findOne({ _id: req.params.importId, organization: req.organization._id }).lean()
+      : null;
+    if (!importDoc) {
+      throw makeOneRosterError("Import not found", 404, "ONEROSTER_IMPORT_NOT_FOUND");
+    }
+    res.json({ success: true, data: OneRosterImportService.formatImport(importDoc) });
+  } catch (error) {
+    console.error("Error getting OneRoster import:", error);
+    handleOneRosterError(res, error);
+  }
+};
+
+/**
+ * Apply a previewed OneRoster import
+ * POST /api/admin/oneroster/imports/:importId/apply
+ */
+exports.applyImport = async function (req, res) {
+  try {
+    const importDoc = await OneRosterImportService.applyImport({
+      organization: req.organization,
+      importId: req.params.importId,
+      clerkUserId: req.clerkUser.id,
+    });
+    res.json({ success: true, data: importDoc });
+  } catch (error) {
+    console.error("Error applying OneRoster import:", error);
+    handleOneRosterError(res, error);
+  }
+};
+
+/**
+ * The organization's OneRoster class to classroom mappings
+ * GET /api/admin/oneroster/class-links
+ */
+exports.listClassLinks = async function (req, res) {
+  try {
+    const links = await OneRosterClassLink.find({ organization: req.organization._id })
+      .populate("classroomId", "name")
+      .sort({ title: 1 })
+      .lean();
+    res.json({ success: true, data: links });
+  } catch (error) {
+    console.error("Error listing OneRoster class links:", error);
+    handleOneRosterError(res, error);
+  }
+};
+
+/**
+ * Unmap a OneRoster class. Seats it already imported stay in the classroom.
+ * DELETE /api/admin/oneroster/class-links/:linkId
+ */
+exports.deleteClassLink = async function (req, res) {
+  try {
+    const deleted = mongoose.Types.ObjectId.isValid(req.params.linkId)
+      ? await OneRosterClassLink.findOneAndDelete({ _id: req.params.linkId, organization: req.organization._id })
+      : null;
+    if (!deleted) {
+      throw makeOneRosterError("Class link not found", 404, "ONEROSTER_CLASS_LINK_NOT_FOUND");
+    }
+    res.json({ success: true, data: { _id: deleted._id } });
+  } catch (error) {
+    console.error("Error deleting OneRoster class link:", error);
+    handleOneRosterError(res, error);
+  }
+};
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const baseSchema = require("../../lib/baseSchema");
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     OneRosterClassLink:
+ *       type: object
+ *       description: A OneRoster class (an SIS section) mapped to a SCALE classroom. Several classes may map to one classroom; each becomes a roster section.
+ *       properties:
+ *         _id:
+ *           type: string
+ *         classSourcedId:
+ *           type: string
+ *           description: The class's OneRoster sourcedId.
+ *         title:
+ *           type: string
+ *           description: Class title at the last import.
+ *         classCode:
+ *           type: string
+ *         classroomId:
+ *           type: string
+ */
+const oneRosterClassLinkSchema = new mongoose.Schema({
+  classSourcedId: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  title: {
+    type: String,
+    default: "",
+  },
+  classCode: {
+    type: String,
+    default: "",
+  },
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Classroom",
+    required: true,
+    index: true,
+  },
+}).add(baseSchema);
+
+oneRosterClassLinkSchema.index({ organization: 1, classSourcedId: 1 }, { unique: true });
+
+/**
+ * The organization's class mappings as class sourcedId -> classroom ID.
+ *
+ * @returns {Promise<Map<string, string>>}
+ */
+oneRosterClassLinkSchema.statics.mappingsFor = async function (organizationId) {
+  const links = await this.find({ organization: organizationId }).select("classSourcedId classroomId").lean();
+  return new Map(links.map((link) => [link.classSourcedId, String(link.classroomId)]));
+};
+
+const OneRosterClassLink = mongoose.model("OneRosterClassLink", oneRosterClassLinkSchema);
+
+module.exports = OneRosterClassLink;
@@ -0,0 +1,134 @@
+const mongoose = require("mongoose");
+const baseSchema = require("../../lib/baseSchema");
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     OneRosterImport:
+ *       type: object
+ *       description: One OneRoster roster import. A preview records the changes it would make; applying it makes them.
+ *       properties:
+ *         _id:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [previewed, applying, applied, failed]
+ *         source:
+ *           type: object
+ *           description: Where the roster came from. REST credentials are never stored.
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [csv, rest]
+ *             fileName:
+ *               type: string
+ *               nullable: true
+ *             baseUrl:
+ *               type: string
+ *               nullable: true
+ *         reserveOrgSeats:
+ *           type: boolean
+ *         mappings:
+ *           type: array
+ *           description: Class mappings in effect for this import; saved as OneRosterClassLinks when it is applied.
+ *           items:
+ *             type: object
+ *             properties:
+ *               classSourcedId:
+ *                 type: string
+ *               classroomId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: null unmaps the class.
+ *               title:
+ *                 type: string
+ *               classCode:
+ *                 type: string
+ *         summary:
+ *           $ref: '#/components/schemas/OneRosterImportSummary'
+ *         changes:
+ *           $ref: '#/components/schemas/OneRosterImportChanges'
+ *         result:
+ *           type: object
+ *           nullable: true
+ *           description: What applying the import did (seatsUpserted, seatsRevoked, unenrolled, reservationsCreated, reservationsRevoked, failures).
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         appliedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         appliedBy:
+ *           type: string
+ *           nullable: true
+ *         createdDate:
+ *           type: string
+ *           format: date-time
+ */
+const oneRosterImportSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ["previewed", "applying", "applied", "failed"],
+    default: "previewed",
+    index: true,
+  },
+  source: {
+    type: {
+      type: String,
+      enum: ["csv", "rest"],
+      required: true,
+    },
+    fileName: { type: String, default: null },
+    baseUrl: { type: String, default: null },
+  },
+  reserveOrgSeats: {
+    type: Boolean,
+    default: true,
+  },
+  mappings: [
+    {
+      _id: false,
+      classSourcedId: { type: String, required: true },
+      classroomId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Classroom",
+        default: null,
+      },
+      title: { type: String, default: "" },
+      classCode: { type: String, default: "" },
+    },
+  ],
+  summary: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  // Plan from importPlan: the reported changes plus the seat rows to write
+  plan: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  appliedAt: {
+    type: Date,
+    default: null,
+  },
+  appliedBy: {
+    type: String,
+    default: null,
+  },
+}).add(baseSchema);
+
+oneRosterImportSchema.index({ organization: 1, createdDate: -1 });
+
+const OneRosterImport = mongoose.model("OneRosterImport", oneRosterImportSchema);
+
+module.exports = OneRosterImport;
@@ -12,6 +12,7 @@ const { upload } = require("../../lib/spaces");
 const router = express.Router();
 
 const { requireAuth, checkRole } = require("../../middleware/auth");
+const { planRateLimit } = require("../../middleware/rateLimit");
 
 /**
  * @openapi
@@ -37,8 +38,10 @@ const { requireAuth, checkRole } = require("../../middleware/auth");
  *     responses:
  *       200:
  *         description: Completion response returned.
+ *       429:
+ *         description: Rate limited for the "ai" route class (RATE_LIMITED). See the RateLimit-* headers.
  */
-router.post("/completion", requireAuth(), controller.completion);
+router.post("/completion", planRateLimit("ai"), requireAuth(), controller.completion);
 
 /**
  * @openapi
@@ -64,8 +67,10 @@ router.post("/completion", requireAuth(), controller.completion);
  *     responses:
  *       200:
  *         description: Generated image metadata/URL returned.
+ *       429:
+ *         description: Rate limited for the "ai" route class (RATE_LIMITED). See the RateLimit-* headers.
  */
-router.post("/generate", requireAuth(), controller.generateImage);
+router.post("/generate", planRateLimit("ai"), requireAuth(), controller.generateImage);
 
 
 module.exports = router;
@@ -6,6 +6,7 @@
  */
 const express = require("express");
 const { requireMemberAuth } = require("../../middleware/auth");
+const { planRateLimit } = require("../../middleware/rateLimit");
 const organizationsController = require("./organizations.controller");
 const router = express.Router();
 
@@ -94,9 +95,12 @@ router.post(
  *               $ref: '#/components/schemas/Organization'
  *       404:
  *         description: Organization not found.
+ *       429:
+ *         description: Too many join requests (RATE_LIMITED).
  */
 router.post(
   "/:organizationId/join",
+  planRateLimit("join"),
   requireMemberAuth(),
   organizationsController.joinOrganization
 );
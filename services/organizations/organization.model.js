@@ -26,6 +26,16 @@ const mongoose = require("mongoose");
  *           type: boolean
  *         stripeAccountId:
  *           type: string
+ *         aiBudget:
+ *           type: object
+ *           description: Monthly (UTC) limits on estimated AI spend across all classrooms.
+ *           properties:
+ *             softLimitUsd:
+ *               type: number
+ *               nullable: true
+ *             hardLimitUsd:
+ *               type: number
+ *               nullable: true
  *         publicMetadata:
  *           type: object
  *         privateMetadata:
@@ -71,6 +81,20 @@ const organizationSchema = new mongoose.Schema(
     // Stripe integration
     stripeAccountId: String,
 
+    // Monthly estimated AI spend limits (services/aiUsage). null = no limit.
+    aiBudget: {
+      softLimitUsd: {
+        type: Number,
+        default: null,
+        min: 0,
+      },
+      hardLimitUsd: {
+        type: Number,
+        default: null,
+        min: 0,
+      },
+    },
+
     // Metadata
     publicMetadata: {
       type: mongoose.Schema.Types.Mixed,
@@ -3,6 +3,7 @@ const Challenge = require("../challenge/challenge.model");
 const Classroom = require("../classroom/classroom.model");
 const Decision = require("../decision/decision.model");
 const LedgerEntry = require("../ledger/ledger.model");
+const { releasesImmediately } = require("../challenge/lib/releaseHold");
 const {
   enqueueOutcomeProcessing,
 } = require("../../lib/queues/outcome-processing-worker");
@@ -268,18 +269,23 @@ exports.getScenarioOutcome = async function (req, res) {
     }
 
     if (req.originalUrl?.includes("/student/")) {
+      const Team = require("../team/team.model");
+      const { subjectId } = await Team.resolveSubject(
+        challenge.classroomId,
+        req.user._id,
+      );
       const decision = await Decision.getSubmission(
         challenge.classroomId,
         challengeId,
-        req.user._id,
+        subjectId,
       );
       const ledgerEntry = await LedgerEntry.getLedgerEntry(
         challengeId,
-        req.user._id,
+        subjectId,
       );
       const resultComplete =
         decision?.processingStatus === "completed" && !!ledgerEntry;
-      const releaseAllowsViewing = challenge.feedbackReleaseMode === "IMMEDIATE"
+      const releaseAllowsViewing = releasesImmediately(challenge)
         ? true
         : challenge.isFeedbackReleased ||
           (challenge.isClosed && !challenge.feedbackReleaseMode);
@@ -5,6 +5,7 @@ const Outcome = require("./outcome.model");
 const Challenge = require("../challenge/challenge.model");
 const Decision = require("../decision/decision.model");
 const LedgerEntry = require("../ledger/ledger.model");
+const Team = require("../team/team.model");
 
 test("outcome controller exports handlers", () => {
   assert.equal(typeof controller.setScenarioOutcome, "function");
@@ -16,14 +17,18 @@ test("student outcome stays hidden while that student's result is calculating",
     getOutcomeByScenario: Outcome.getOutcomeByScenario,
     getSubmission: Decision.getSubmission,
     getLedgerEntry: LedgerEntry.getLedgerEntry,
+    resolveSubject: Team.resolveSubject,
   };
   t.after(() => {
     Challenge.getScenarioById = originals.getScenarioById;
     Outcome.getOutcomeByScenario = originals.getOutcomeByScenario;
     Decision.getSubmission = originals.getSubmission;
     LedgerEntry.getLedgerEntry = originals.getLedgerEntry;
+    Team.resolveSubject = originals.resolveSubject;
   });
 
+  Team.resolveSubject = async (classroomId, memberId) => ({ subjectId: memberId, team: null });
+
   Challenge.getScenarioById = async () => ({
     _id: "challenge-id",
     classroomId: "classroom-id",
@@ -63,14 +68,18 @@ test("immediate student outcome is visible after that student's ledger exists",
     getOutcomeByScenario: Outcome.getOutcomeByScenario,
     getSubmission: Decision.getSubmission,
     getLedgerEntry: LedgerEntry.getLedgerEntry,
+    resolveSubject: Team.resolveSubject,
   };
   t.after(() => {
     Challenge.getScenarioById = originals.getScenarioById;
     Outcome.getOutcomeByScenario = originals.getOutcomeByScenario;
     Decision.getSubmission = originals.getSubmission;
     LedgerEntry.getLedgerEntry = originals.getLedgerEntry;
+    Team.resolveSubject = originals.resolveSubject;
   });
 
+  Team.resolveSubject = async (classroomId, memberId) => ({ subjectId: memberId, team: null });
+
   Challenge.getScenarioById = async () => ({
     _id: "challenge-id",
     classroomId: "classroom-id",
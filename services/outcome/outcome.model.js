@@ -24,6 +24,7 @@ const variablePopulationPlugin = require("../../lib/variablePopulationPlugin");
  *           type: string
  *         randomEventChancePercent:
  *           type: number
+ *           description: Chance that the AI invents a free-form random event for each student. Ignored when the classroom has a random event catalog (see RandomEvent).
  *         autoGenerateSubmissionsOnOutcome:
  *           type: string
  *           enum: [USE_AI, FORWARD_PREVIOUS, USE_DEFAULTS, SKIP]
@@ -274,7 +275,9 @@ scenarioOutcomeSchema.statics.getOutcomeByScenario = async function (
  */
 scenarioOutcomeSchema.statics.deleteOutcome = async function (challengeId) {
   // Delete all ledger entries for this challenge first
-  await LedgerEntry.deleteLedgerEntriesForScenario(challengeId);
+  await LedgerEntry.deleteLedgerEntriesForScenario(challengeId, {
+    reason: "Challenge outcome deleted",
+  });
 
   // Then delete the outcome
   return await this.findOneAndDelete({ challengeId });
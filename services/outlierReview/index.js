@@ -0,0 +1,272 @@
+/**
+ * Outlier Review Service Routes
+ *
+ * The review queue of ledger entries flagged as outliers (against the class
+ * or the student's own history) once a challenge's ledgers complete, and the
+ * instructor's approve / override / rerun actions that clear the release
+ * hold.
+ * Mounted at: /v1
+ */
+const express = require("express");
+const controller = require("./outlierReview.controller");
+const router = express.Router();
+
+const { requireAuth, checkRole } = require("../../middleware/auth");
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     OutlierFlag:
+ *       type: object
+ *       properties:
+ *         check:
+ *           type: string
+ *           enum: [class, history, degraded]
+ *           description: class compares the value with the class; history compares the change from the student's previous value with their earlier changes; degraded marks a deterministic fallback written after the model's reply stayed invalid (only check and issues are set).
+ *         metricKey:
+ *           type: string
+ *         value:
+ *           type: number
+ *           description: The metric value (class) or its change from the previous period (history).
+ *         center:
+ *           type: number
+ *           description: Median of the comparison sample.
+ *         spread:
+ *           type: number
+ *           description: Median absolute deviation of the sample (mean absolute deviation when that is 0).
+ *         score:
+ *           type: number
+ *           description: Modified z-score.
+ *         threshold:
+ *           type: number
+ *         issues:
+ *           type: array
+ *           description: degraded only; the last attempt's validation issues.
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 nullable: true
+ *               problem:
+ *                 type: string
+ *                 enum: [json, missing, type, range]
+ *               message:
+ *                 type: string
+ *     OutlierReviewQueue:
+ *       type: object
+ *       properties:
+ *         challengeId:
+ *           type: string
+ *         outlierReview:
+ *           type: object
+ *           description: The challenge's review status (see Challenge.outlierReview).
+ *         feedbackReleaseMode:
+ *           type: string
+ *         isFeedbackReleased:
+ *           type: boolean
+ *         entries:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               userId:
+ *                 type: string
+ *               member:
+ *                 type: object
+ *               metrics:
+ *                 type: object
+ *               summary:
+ *                 type: string
+ *               overridden:
+ *                 type: boolean
+ *               revision:
+ *                 type: integer
+ *               outlierReview:
+ *                 type: object
+ */
+
+/**
+ * @openapi
+ * /v1/admin/challenges/{challengeId}/outlier-review:
+ *   get:
+ *     summary: Get a challenge's outlier review queue
+ *     description: Ledger entries flagged as outliers and awaiting review. Add status=all to include entries already cleared or resolved. Requires org:admin role.
+ *     tags:
+ *       - Outlier Review
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: challengeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [flagged, all]
+ *     responses:
+ *       200:
+ *         description: Review queue.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OutlierReviewQueue'
+ *       404:
+ *         description: Challenge not found.
+ */
+router.get(
+  "/admin/challenges/:challengeId/outlier-review",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.getReviewQueue
+);
+
+/**
+ * @openapi
+ * /v1/admin/challenges/{challengeId}/outlier-review/{ledgerId}/approve:
+ *   post:
+ *     summary: Approve a flagged entry
+ *     description: Keeps the entry's results. Once no flagged entries remain, held IMMEDIATE feedback is released (DELAYED feedback waits for feedbackReleaseAt). Requires org:admin role.
+ *     tags:
+ *       - Outlier Review
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: challengeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: ledgerId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Entry approved; returns the challenge's outlierReview and whether feedback was released.
+ *       404:
+ *         description: Challenge or entry not found (code LEDGER_NOT_FOUND).
+ *       409:
+ *         description: Entry is not flagged (code OUTLIER_NOT_FLAGGED).
+ */
+router.post(
+  "/admin/challenges/:challengeId/outlier-review/:ledgerId/approve",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.approveEntry
+);
+
+/**
+ * @openapi
+ * /v1/admin/challenges/{challengeId}/outlier-review/{ledgerId}/override:
+ *   post:
+ *     summary: Override a flagged entry
+ *     description: Corrects the entry like the ledger override (a new revision) and resolves it. Requires org:admin role.
+ *     tags:
+ *       - Outlier Review
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: challengeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: ledgerId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               metrics:
+ *                 type: object
+ *               summary:
+ *                 type: string
+ *               randomEvent:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Entry overridden.
+ *       400:
+ *         description: Invalid override (code INVALID_OVERRIDE).
+ *       404:
+ *         description: Challenge or entry not found.
+ *       409:
+ *         description: Entry is not flagged (code OUTLIER_NOT_FLAGGED).
+ */
+router.post(
+  "/admin/challenges/:challengeId/outlier-review/:ledgerId/override",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.overrideEntry
+);
+
+/**
+ * @openapi
+ * /v1/admin/challenges/{challengeId}/outlier-review/{ledgerId}/rerun:
+ *   post:
+ *     summary: Rerun a flagged entry
+ *     description: Replaces the entry by running the student's simulation job again (the old results stay in revision history). The new entry is checked when it completes, and release stays held until then. Not available for multi-round challenges. Requires org:admin role.
+ *     tags:
+ *       - Outlier Review
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: challengeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: ledgerId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Recorded on the revision the rerun creates.
+ *     responses:
+ *       200:
+ *         description: Rerun queued.
+ *       404:
+ *         description: Challenge or entry not found.
+ *       409:
+ *         description: Entry is not flagged (OUTLIER_NOT_FLAGGED), the challenge has rounds (OUTLIER_RERUN_UNSUPPORTED) or there is no job to rerun (OUTLIER_RERUN_NO_JOB).
+ */
+router.post(
+  "/admin/challenges/:challengeId/outlier-review/:ledgerId/rerun",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.rerunEntry
+);
+
+module.exports = router;
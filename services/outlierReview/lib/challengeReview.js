@@ -0,0 +1,171 @@
+const { detectOutliers } = require("./detectOutliers");
+const { resolveOutlierReviewSettings } = require("./reviewSettings");
+// Note: Challenge, Classroom, LedgerEntry, MetricDefinition and SimulationJob
+// are required inside functions to avoid circular dependencies
+
+/**
+ * Each student's earlier metrics, oldest first: their initial entry, then
+ * their entries for the classroom's earlier weeks.
+ *
+ * @returns {Promise<Map<string, Array<Object>>>} userId -> metrics objects
+ */
+async function loadHistory(challenge, userIds) {
+  const Challenge = require("../../challenge/challenge.model");
+  const LedgerEntry = require("../../ledger/ledger.model");
+
+  const earlier = await Challenge.find({
+    classroomId: challenge.classroomId,
+    week: { $lt: challenge.week ?? 0 },
+  })
+    .select("_id week")
+    .lean();
+  const weekById = new Map(earlier.map((item) => [String(item._id), item.week ?? 0]));
+  const entries = await LedgerEntry.find({
+    classroomId: challenge.classroomId,
+    userId: { $in: userIds },
+    roundKey: null,
+    $or: [{ challengeId: null }, { challengeId: { $in: earlier.map((item) => item._id) } }],
+  })
+    .select("userId challengeId metrics createdDate")
+    .sort({ createdDate: 1 })
+    .lean();
+
+  const order = (entry) => (entry.challengeId ? weekById.get(String(entry.challengeId)) : -Infinity);
+  const history = new Map();
+  entries
+    .sort((a, b) => order(a) - order(b))
+    .forEach((entry) => {
+      const key = String(entry.userId);
+      history.set(key, [...(history.get(key) || []), entry.metrics || {}]);
+    });
+  return history;
+}
+
+/**
+ * Recount the challenge's flagged entries and move its review status on:
+ * "pending" while any entry is flagged or a rerun is still in flight,
+ * otherwise "cleared".
+ */
+async function updateReviewStatus(challenge) {
+  const LedgerEntry = require("../../ledger/ledger.model");
+  const SimulationJob = require("../../job/job.model");
+
+  const flaggedCount = await LedgerEntry.countDocuments({
+    challengeId: challenge._id,
+    roundKey: null,
+    "outlierReview.status": "flagged",
+  });
+  const rerunning =
+    flaggedCount === 0 &&
+    (await SimulationJob.exists({
+      challengeId: challenge._id,
+      status: { $in: ["pending", "running"] },
+    }));
+
+  const now = new Date();
+  challenge.outlierReview.flaggedCount = flaggedCount;
+  if (flaggedCount > 0 || rerunning) {
+    challenge.outlierReview.status = "pending";
+    challenge.outlierReview.clearedAt = null;
+  } else {
+    challenge.outlierReview.status = "cleared";
+    challenge.outlierReview.clearedAt = challenge.outlierReview.clearedAt || now;
+  }
+  await challenge.save();
+  return challenge.outlierReview;
+}
+
+/**
+ * Check the challenge's entries that have not been checked yet against the
+ * whole class and each student's history, once its ledgers are complete.
+ * Does nothing unless outlier review was on when the calculation began.
+ * Release itself is left to Challenge.completeResultCalculation, which
+ * holds it back while entries are flagged.
+ *
+ * @param {Object} challenge - Challenge document
+ * @returns {Promise<Object|null>} the challenge's outlierReview, or null
+ */
+async function checkChallengeLedgers(challenge) {
+  if (!challenge.outlierReview?.status) return null;
+  const Classroom = require("../../classroom/classroom.model");
+  const LedgerEntry = require("../../ledger/ledger.model");
+  const MetricDefinition = require("../../metricDefinition/metricDefinition.model");
+
+  const [classroom, entries, defs] = await Promise.all([
+    Classroom.findById(challenge.classroomId).select("outlierReviewSettings").lean(),
+    LedgerEntry.find({ challengeId: challenge._id, roundKey: null })
+      .select("userId metrics outlierReview")
+      .lean(),
+    MetricDefinition.getActive(challenge.classroomId),
+  ]);
+  const settings = resolveOutlierReviewSettings(classroom?.outlierReviewSettings);
+  const metricKeys = defs
+    .filter((def) => def.dataType === "number")
+    .map((def) => def.key)
+    .filter((key) => settings.metricKeys.length === 0 || settings.metricKeys.includes(key));
+
+  const unchecked = entries.filter((entry) => !entry.outlierReview);
+  if (unchecked.length > 0) {
+    const history = await loadHistory(
+      challenge,
+      unchecked.map((entry) => entry.userId)
+    );
+    const flagsByEntry = detectOutliers(entries, { metricKeys, history, settings });
+    const checkedAt = new Date();
+    for (const entry of unchecked) {
+      const flags = flagsByEntry.get(String(entry._id)) || [];
+      await LedgerEntry.updateOne(
+        { _id: entry._id },
+        {
+          $set: {
+            outlierReview: {
+              status: flags.length > 0 ? "flagged" : "clear",
+              flags,
+              checkedAt,
+              resolvedAt: null,
+              resolvedBy: null,
+              note: null,
+            },
+          },
+        }
+      );
+    }
+    challenge.outlierReview.checkedAt = checkedAt;
+  }
+  return updateReviewStatus(challenge);
+}
+
+/**
+ * Re-evaluate the hold after the instructor resolves an entry. When nothing
+ * is left to review and the results are already calculated, the held
+ * IMMEDIATE release goes out now (with the result notifications it held
+ * back); DELAYED feedback goes out at feedbackReleaseAt as usual.
+ *
+ * @param {Object} challenge - Challenge document
+ * @param {string} clerkUserId
+ * @returns {Promise<Object>} { outlierReview, released }
+ */
+async function settleChallengeReview(challenge, clerkUserId) {
+  const outlierReview = await updateReviewStatus(challenge);
+  let released = false;
+  if (
+    outlierReview.status === "cleared" &&
+    challenge.automatedProcessedAt &&
+    !challenge.isFeedbackReleased
+  ) {
+    await challenge.completeResultCalculation(clerkUserId);
+    if (challenge.isFeedbackReleased) {
+      const LedgerEntry = require("../../ledger/ledger.model");
+      await LedgerEntry.sendResultsNotifications(challenge._id);
+      released = true;
+    }
+  }
+  return { outlierReview: challenge.outlierReview, released };
+}
+
+module.exports = {
+  loadHistory,
+  updateReviewStatus,
+  checkChallengeLedgers,
+  settleChallengeReview,
+};
@@ -0,0 +1,135 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const Challenge = require("../../challenge/challenge.model");
+const Classroom = require("../../classroom/classroom.model");
+const LedgerEntry = require("../../ledger/ledger.model");
+const MetricDefinition = require("../../metricDefinition/metricDefinition.model");
+const SimulationJob = require("../../job/job.model");
+const ChallengeReview = require("./challengeReview");
+
+function chain(result) {
+  const query = {
+    sort: () => query,
+    select: () => query,
+    lean: async () => result,
+  };
+  return query;
+}
+
+function stubClass(t, { entries, flagged }) {
+  const updates = [];
+  t.mock.method(Classroom, "findById", () => chain({ outlierReviewSettings: { enabled: true } }));
+  t.mock.method(Challenge, "find", () => chain([]));
+  t.mock.method(MetricDefinition, "getActive", async () => [
+    { key: "revenue", dataType: "number" },
+    { key: "note", dataType: "string" },
+  ]);
+  t.mock.method(LedgerEntry, "find", (query) => chain(query.userId ? [] : entries));
+  t.mock.method(LedgerEntry, "updateOne", async (filter, update) => {
+    updates.push({ id: filter._id, ...update.$set.outlierReview });
+  });
+  t.mock.method(LedgerEntry, "countDocuments", async () => flagged());
+  t.mock.method(SimulationJob, "exists", async () => null);
+  return updates;
+}
+
+function challengeDoc(overrides = {}) {
+  return {
+    _id: "ch1",
+    classroomId: "class-1",
+    week: 3,
+    feedbackReleaseMode: "IMMEDIATE",
+    isFeedbackReleased: false,
+    automatedProcessedAt: null,
+    outlierReview: { status: "checking", flaggedCount: 0, checkedAt: null, clearedAt: null },
+    saves: 0,
+    async save() {
+      this.saves += 1;
+    },
+    ...overrides,
+  };
+}
+
+test("checkChallengeLedgers flags unchecked outliers and holds the release", async (t) => {
+  const entries = [100, 105, 98, 102, 99, 5000].map((revenue, index) => ({
+    _id: `e${index}`,
+    userId: `u${index}`,
+    metrics: { revenue },
+    outlierReview: null,
+  }));
+  // Already reviewed entries keep their review
+  entries[0].outlierReview = { status: "approved" };
+  let updates = [];
+  updates = stubClass(t, {
+    entries,
+    flagged: () => updates.filter((update) => update.status === "flagged").length,
+  });
+  const challenge = challengeDoc();
+
+  const review = await ChallengeReview.checkChallengeLedgers(challenge);
+
+  assert.deepEqual(
+    updates.map((update) => [update.id, update.status]),
+    [
+      ["e1", "clear"],
+      ["e2", "clear"],
+      ["e3", "clear"],
+      ["e4", "clear"],
+      ["e5", "flagged"],
+    ]
+  );
+  assert.equal(updates[4].flags[0].metricKey, "revenue");
+  assert.equal(review.status, "pending");
+  assert.equal(review.flaggedCount, 1);
+  assert.ok(review.checkedAt instanceof Date);
+});
+
+test("checkChallengeLedgers does nothing when review was off for the calculation", async (t) => {
+  const updates = stubClass(t, { entries: [], flagged: () => 0 });
+  const challenge = challengeDoc({ outlierReview: { status: null } });
+
+  assert.equal(await ChallengeReview.checkChallengeLedgers(challenge), null);
+  assert.equal(updates.length, 0);
+  assert.equal(challenge.saves, 0);
+});
+
+test("settleChallengeReview releases held IMMEDIATE feedback once the queue is empty", async (t) => {
+  stubClass(t, { entries: [], flagged: () => 0 });
+  const notified = [];
+  t.mock.method(LedgerEntry, "sendResultsNotifications", async (challengeId) => {
+    notified.push(challengeId);
+  });
+  const challenge = challengeDoc({
+    automatedProcessedAt: new Date("2026-03-01T00:00:00Z"),
+    outlierReview: { status: "pending", flaggedCount: 1 },
+    async completeResultCalculation() {
+      // The real method releases IMMEDIATE feedback that is no longer held
+      this.isFeedbackReleased = this.outlierReview.status === "cleared";
+    },
+  });
+
+  const result = await ChallengeReview.settleChallengeReview(challenge, "admin-1");
+
+  assert.equal(result.released, true);
+  assert.equal(result.outlierReview.status, "cleared");
+  assert.equal(result.outlierReview.flaggedCount, 0);
+  assert.deepEqual(notified, ["ch1"]);
+});
+
+test("settleChallengeReview keeps the hold while a rerun is in flight", async (t) => {
+  stubClass(t, { entries: [], flagged: () => 0 });
+  t.mock.method(SimulationJob, "exists", async () => ({ _id: "job-1" }));
+  const challenge = challengeDoc({
+    automatedProcessedAt: new Date("2026-03-01T00:00:00Z"),
+    outlierReview: { status: "pending", flaggedCount: 1 },
+    async completeResultCalculation() {
+      throw new Error("should not release");
+    },
+  });
+
+  const result = await ChallengeReview.settleChallengeReview(challenge, "admin-1");
+
+  assert.equal(result.released, false);
+  assert.equal(result.outlierReview.status, "pending");
+});
@@ -0,0 +1,122 @@
+/**
+ * Outlier detection for a challenge's ledger entries. Two checks run per
+ * numeric metric, both with the modified z-score (Iglewicz & Hoaglin):
+ * 0.6745 * (x - median) / MAD, which a single wild value cannot drag along
+ * the way it drags a mean and standard deviation.
+ *
+ * - "class": the entry's value against every entry of the challenge (needs
+ *   minClassSize entries with a number)
+ * - "history": the change from the student's previous value against their
+ *   own earlier period-to-period changes (needs minHistory earlier changes)
+ *
+ * When the MAD is 0 (more than half the sample is identical) the mean
+ * absolute deviation is used instead, scaled by 1.2533 to match. A sample
+ * with no spread at all gives no score.
+ */
+
+const MAD_SCALE = 0.6745;
+const MEAN_AD_SCALE = 1.253314;
+
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function round4(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Modified z-score of `value` against `sample`.
+ *
+ * @returns {{ center: number, spread: number, score: number }|null} null
+ *   when the sample has no spread
+ */
+function robustScore(value, sample) {
+  const center = median(sample);
+  const deviations = sample.map((item) => Math.abs(item - center));
+  const mad = median(deviations);
+  if (mad > 0) {
+    return { center, spread: mad, score: (MAD_SCALE * (value - center)) / mad };
+  }
+  const meanAD = deviations.reduce((sum, item) => sum + item, 0) / deviations.length;
+  if (meanAD > 0) {
+    return { center, spread: meanAD, score: (value - center) / (MEAN_AD_SCALE * meanAD) };
+  }
+  return null;
+}
+
+function flag(check, metricKey, value, result, threshold) {
+  return {
+    check,
+    metricKey,
+    value,
+    center: round4(result.center),
+    spread: round4(result.spread),
+    score: round4(result.score),
+    threshold,
+  };
+}
+
+/**
+ * Flag the entries whose metrics are outliers.
+ *
+ * @param {Array<Object>} entries - the challenge's entries: { _id, userId,
+ *   metrics } with plain-object metrics
+ * @param {Object} options
+ * @param {Array<string>} options.metricKeys - numeric metrics to check
+ * @param {Map<string, Array<Object>>} [options.history] - userId -> the
+ *   student's earlier metrics objects, oldest first
+ * @param {Object} options.settings - Classroom.outlierReviewSettings
+ * @returns {Map<string, Array<Object>>} entryId -> flags (entries without
+ *   flags are left out)
+ */
+function detectOutliers(entries, { metricKeys, history = new Map(), settings }) {
+  const flagsByEntry = new Map();
+  const addFlag = (entry, item) => {
+    const key = String(entry._id);
+    flagsByEntry.set(key, [...(flagsByEntry.get(key) || []), item]);
+  };
+
+  for (const metricKey of metricKeys) {
+    const classValues = entries
+      .map((entry) => entry.metrics?.[metricKey])
+      .filter(isNumber);
+
+    for (const entry of entries) {
+      const value = entry.metrics?.[metricKey];
+      if (!isNumber(value)) continue;
+
+      if (classValues.length >= settings.minClassSize) {
+        const result = robustScore(value, classValues);
+        if (result && Math.abs(result.score) >= settings.classThreshold) {
+          addFlag(entry, flag("class", metricKey, value, result, settings.classThreshold));
+        }
+      }
+
+      const past = (history.get(String(entry.userId)) || [])
+        .map((metrics) => metrics?.[metricKey])
+        .filter(isNumber);
+      const changes = past.slice(1).map((item, index) => item - past[index]);
+      if (changes.length >= settings.minHistory) {
+        const change = value - past[past.length - 1];
+        const result = robustScore(change, changes);
+        if (result && Math.abs(result.score) >= settings.historyThreshold) {
+          addFlag(entry, flag("history", metricKey, change, result, settings.historyThreshold));
+        }
+      }
+    }
+  }
+  return flagsByEntry;
+}
+
+module.exports = {
+  median,
+  robustScore,
+  detectOutliers,
+};
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { robustScore, detectOutliers } = require("./detectOutliers");
+const { DEFAULT_SETTINGS } = require("./reviewSettings");
+
+const settings = { ...DEFAULT_SETTINGS, enabled: true };
+
+function entry(id, userId, metrics) {
+  return { _id: id, userId, metrics };
+}
+
+test("robustScore uses the MAD, then the mean absolute deviation", () => {
+  const wide = robustScore(5000, [98, 99, 100, 102, 105, 5000]);
+  assert.equal(wide.center, 101);
+  assert.equal(wide.spread, 2.5);
+  assert.ok(wide.score > 1000);
+
+  // Most of the sample identical: MAD is 0
+  const narrow = robustScore(50, [10, 10, 10, 10, 50]);
+  assert.equal(narrow.spread, 8);
+  assert.equal(Math.round(narrow.score * 1000) / 1000, 3.989);
+
+  assert.equal(robustScore(10, [10, 10, 10]), null);
+});
+
+test("flags values far from the class, once the class is large enough", () => {
+  const entries = [
+    entry("a", "u1", { revenue: 100, note: "ok" }),
+    entry("b", "u2", { revenue: 105 }),
+    entry("c", "u3", { revenue: 98 }),
+    entry("d", "u4", { revenue: 102 }),
+    entry("e", "u5", { revenue: 99 }),
+    entry("f", "u6", { revenue: 5000 }),
+  ];
+
+  const flags = detectOutliers(entries, { metricKeys: ["revenue", "note"], settings });
+  assert.deepEqual([...flags.keys()], ["f"]);
+  assert.deepEqual(flags.get("f")[0], {
+    check: "class",
+    metricKey: "revenue",
+    value: 5000,
+    center: 101,
+    spread: 2.5,
+    score: 1321.7502,
+    threshold: 3.5,
+  });
+
+  const small = detectOutliers(entries.slice(2), { metricKeys: ["revenue"], settings });
+  assert.equal(small.size, 0);
+});
+
+test("flags a change far outside the student's own history", () => {
+  const history = new Map([
+    ["u1", [{ cash: 1000 }, { cash: 1100 }, { cash: 1200 }, { cash: 1290 }, { cash: 1400 }]],
+    ["u2", [{ cash: 1000 }, { cash: 1100 }]],
+  ]);
+  const entries = [
+    entry("a", "u1", { cash: 9000 }),
+    entry("b", "u2", { cash: 9000 }),
+  ];
+
+  const flags = detectOutliers(entries, { metricKeys: ["cash"], history, settings });
+  // u2 has too little history to judge
+  assert.deepEqual([...flags.keys()], ["a"]);
+  const [flag] = flags.get("a");
+  assert.equal(flag.check, "history");
+  assert.equal(flag.value, 7600);
+  assert.equal(flag.center, 100);
+
+  const steady = detectOutliers([entry("a", "u1", { cash: 1500 })], {
+    metricKeys: ["cash"],
+    history,
+    settings,
+  });
+  assert.equal(steady.size, 0);
+});
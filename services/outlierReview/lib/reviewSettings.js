@@ -0,0 +1,103 @@
+const { makeOutlierReviewError } = require("../outlierReview.errors");
+
+const DEFAULT_SETTINGS = Object.freeze({
+  enabled: false,
+  classThreshold: 3.5,
+  historyThreshold: 3.5,
+  minClassSize: 5,
+  minHistory: 3,
+  metricKeys: [],
+});
+
+function invalid(message, field) {
+  return makeOutlierReviewError(message, 400, "INVALID_OUTLIER_REVIEW_SETTINGS", { field });
+}
+
+function plain(settings) {
+  if (!settings) return {};
+  return typeof settings.toObject === "function" ? settings.toObject() : settings;
+}
+
+/**
+ * A classroom's settings with defaults filled in.
+ *
+ * @param {Object} [settings] - Classroom.outlierReviewSettings
+ */
+function resolveOutlierReviewSettings(settings) {
+  const base = plain(settings);
+  return Object.fromEntries(
+    Object.entries(DEFAULT_SETTINGS).map(([field, fallback]) => [field, base[field] ?? fallback])
+  );
+}
+
+/**
+ * Merge an outlierReviewSettings update into the classroom's current
+ * settings and validate the result. Fields left out keep their value.
+ *
+ * @param {Object} input - request body outlierReviewSettings
+ * @param {Object} [current] - Classroom.outlierReviewSettings
+ * @returns {Object} settings to store
+ */
+function normalizeOutlierReviewSettings(input, current = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw invalid("outlierReviewSettings must be an object", "outlierReviewSettings");
+  }
+  const merged = resolveOutlierReviewSettings(current);
+  merged.metricKeys = [...merged.metricKeys];
+
+  if (input.enabled !== undefined) {
+    merged.enabled = !!input.enabled;
+  }
+  for (const field of ["classThreshold", "historyThreshold"]) {
+    if (input[field] === undefined) continue;
+    const value = input[field];
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 1) {
+      throw invalid(`${field} must be a number of at least 1`, field);
+    }
+    merged[field] = value;
+  }
+  for (const [field, minimum] of [
+    ["minClassSize", 3],
+    ["minHistory", 2],
+  ]) {
+    if (input[field] === undefined) continue;
+    if (!Number.isInteger(input[field]) || input[field] < minimum) {
+      throw invalid(`${field} must be an integer of at least ${minimum}`, field);
+    }
+    merged[field] = input[field];
+  }
+  if (input.metricKeys !== undefined) {
+    const keys = input.metricKeys ?? [];
+    if (!Array.isArray(keys) || keys.some((key) => typeof key !== "string" || !key.trim())) {
+      throw invalid("metricKeys must be an array of metric keys", "metricKeys");
+    }
+    merged.metricKeys = [...new Set(keys.map((key) => key.trim()))];
+  }
+  return merged;
+}
+
+/**
+ * Listed metricKeys must be active numeric metrics of the classroom.
+ */
+async function assertReviewMetrics(classroomId, settings) {
+  if (settings.metricKeys.length === 0) return;
+  const MetricDefinition = require("../../metricDefinition/metricDefinition.model");
+  const defs = await MetricDefinition.getActive(classroomId);
+  const numeric = new Set(defs.filter((def) => def.dataType === "number").map((def) => def.key));
+  const missing = settings.metricKeys.find((key) => !numeric.has(key));
+  if (missing) {
+    throw makeOutlierReviewError(
+      "metricKeys must be active numeric metrics",
+      400,
+      "INVALID_OUTLIER_REVIEW_SETTINGS",
+      { field: "metricKeys", key: missing }
+    );
+  }
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  resolveOutlierReviewSettings,
+  normalizeOutlierReviewSettings,
+  assertReviewMetrics,
+};
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const MetricDefinition = require("../../metricDefinition/metricDefinition.model");
+const {
+  resolveOutlierReviewSettings,
+  normalizeOutlierReviewSettings,
+  assertReviewMetrics,
+} = require("./reviewSettings");
+
+test("updates merge into the current settings", () => {
+  const settings = normalizeOutlierReviewSettings(
+    { enabled: true, classThreshold: 5, metricKeys: [" revenue ", "revenue", "cash"] },
+    { historyThreshold: 4 }
+  );
+
+  assert.deepEqual(settings, {
+    enabled: true,
+    classThreshold: 5,
+    historyThreshold: 4,
+    minClassSize: 5,
+    minHistory: 3,
+    metricKeys: ["revenue", "cash"],
+  });
+  assert.deepEqual(resolveOutlierReviewSettings(null).metricKeys, []);
+});
+
+test("rejects thresholds and sample sizes that cannot work", () => {
+  assert.throws(() => normalizeOutlierReviewSettings({ classThreshold: 0.5 }), {
+    code: "INVALID_OUTLIER_REVIEW_SETTINGS",
+    details: { field: "classThreshold" },
+  });
+  assert.throws(() => normalizeOutlierReviewSettings({ minClassSize: 2 }), {
+    details: { field: "minClassSize" },
+  });
+  assert.throws(() => normalizeOutlierReviewSettings({ minHistory: 2.5 }), {
+    details: { field: "minHistory" },
+  });
+  assert.throws(() => normalizeOutlierReviewSettings({ metricKeys: "revenue" }), {
+    details: { field: "metricKeys" },
+  });
+});
+
+test("metricKeys must be active numeric metrics", async (t) => {
+  t.mock.method(MetricDefinition, "getActive", async () => [
+    { key: "revenue", dataType: "number" },
+    { key: "mood", dataType: "string" },
+  ]);
+
+  await assertReviewMetrics("class-1", { metricKeys: ["revenue"] });
+  await assert.rejects(assertReviewMetrics("class-1", { metricKeys: ["revenue", "mood"] }), {
+    code: "INVALID_OUTLIER_REVIEW_SETTINGS",
+    details: { field: "metricKeys", key: "mood" },
+  });
+});
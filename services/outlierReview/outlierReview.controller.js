@@ -0,0 +1,216 @@
+const mongoose = require("mongoose");
+const Challenge = require("../challenge/challenge.model");
+const Classroom = require("../classroom/classroom.model");
+const LedgerEntry = require("../ledger/ledger.model");
+const LedgerRevision = require("../ledger/ledgerRevision.model");
+const Member = require("../members/member.model");
+const SimulationJob = require("../job/job.model");
+const SimulationWorker = require("../job/lib/simulationWorker");
+const ChallengeReview = require("./lib/challengeReview");
+const { makeOutlierReviewError } = require("./outlierReview.errors");
+const {
+  enqueueSimulationBatchSubmit,
+} = require("../../lib/queues/simulation-batch-worker");
+
+function handleOutlierReviewError(res, error) {
+  if (error.message === "Class not found") {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes("Insufficient permissions")) {
+    return res.status(403).json({ error: error.message });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code,
+      details: error.details,
+    });
+  }
+  return res.status(500).json({ error: error.message });
+}
+
+async function findAdminChallenge(req) {
+  const challenge = mongoose.Types.ObjectId.isValid(req.params.challengeId)
+    ? await Challenge.findOne({ _id: req.params.challengeId, organization: req.organization._id })
+    : null;
+  if (!challenge) {
+    throw makeOutlierReviewError("Challenge not found", 404, "CHALLENGE_NOT_FOUND");
+  }
+  await Classroom.validateAdminAccess(challenge.classroomId, req.clerkUser.id, req.organization._id);
+  return challenge;
+}
+
+/**
+ * The challenge's flagged entry named in the URL, with the reviewing admin.
+ */
+async function findFlaggedEntry(req, challenge) {
+  const entry = mongoose.Types.ObjectId.isValid(req.params.ledgerId)
+    ? await LedgerEntry.findOne({ _id: req.params.ledgerId, challengeId: challenge._id, roundKey: null })
+    : null;
+  if (!entry) {
+    throw makeOutlierReviewError("Ledger entry not found", 404, "LEDGER_NOT_FOUND");
+  }
+  if (entry.outlierReview?.status !== "flagged") {
+    throw makeOutlierReviewError("Ledger entry is not awaiting review", 409, "OUTLIER_NOT_FLAGGED", {
+      status: entry.outlierReview?.status || null,
+    });
+  }
+  const adminMember = await Member.findOne({ clerkUserId: req.clerkUser.id }).select("_id").lean();
+  return { entry, adminMemberId: adminMember?._id || null };
+}
+
+async function resolveEntry(entry, status, adminMemberId, note) {
+  await LedgerEntry.updateOne(
+    { _id: entry._id },
+    {
+      $set: {
+        "outlierReview.status": status,
+        "outlierReview.resolvedAt": new Date(),
+        "outlierReview.resolvedBy": adminMemberId,
+        "outlierReview.note": typeof note === "string" && note.trim() ? note.trim() : null,
+      },
+    }
+  );
+}
+
+/**
+ * Flagged entries of a challenge (or every checked entry with ?status=all)
+ * GET /api/admin/challenges/:challengeId/outlier-review
+ */
+exports.getReviewQueue = async function (req, res) {
+  try {
+    const challenge = await findAdminChallenge(req);
+    const query = { challengeId: challenge._id, roundKey: null };
+    query["outlierReview.status"] = req.query.status === "all" ? { $ne: null } : "flagged";
+
+    const entries = await LedgerEntry.find(query)
+      .select("userId metrics summary randomEvent overridden revision outlierReview")
+      .lean();
+    const members = await Member.find({ _id: { $in: entries.map((entry) => entry.userId) } })
+      .select("firstName lastName email")
+      .lean();
+    const byId = new Map(members.map((member) => [String(member._id), member]));
+
+    res.json({
+      success: true,
+      data: {
+        challengeId: challenge._id,
+        outlierReview: challenge.outlierReview,
+        feedbackReleaseMode: challenge.feedbackReleaseMode,
+        isFeedbackReleased: challenge.isFeedbackReleased,
+        entries: entries.map((entry) => ({
+          ...entry,
+          member: byId.get(String(entry.userId)) || null,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching outlier review queue:", error);
+    handleOutlierReviewError(res, error);
+  }
+};
+
+/**
+ * Keep a flagged entry's results as they are
+ * POST /api/admin/challenges/:challengeId/outlier-review/:ledgerId/approve
+ */
+exports.approveEntry = async function (req, res) {
+  try {
+    const challenge = await findAdminChallenge(req);
+    const { entry, adminMemberId } = await findFlaggedEntry(req, challenge);
+
+    await resolveEntry(entry, "approved", adminMemberId, req.body?.note);
+    const result = await ChallengeReview.settleChallengeReview(challenge, req.clerkUser.id);
+    res.json({ success: true, data: { ledgerEntryId: entry._id, ...result } });
+  } catch (error) {
+    console.error("Error approving ledger entry:", error);
+    handleOutlierReviewError(res, error);
+  }
+};
+
+/**
+ * Correct a flagged entry (same body as the ledger override) and resolve it
+ * POST /api/admin/challenges/:challengeId/outlier-review/:ledgerId/override
+ */
+exports.overrideEntry = async function (req, res) {
+  try {
+    const challenge = await findAdminChallenge(req);
+    const { entry, adminMemberId } = await findFlaggedEntry(req, challenge);
+
+    const patch = req.body || {};
+    if (patch.metrics !== undefined && (!patch.metrics || typeof patch.metrics !== "object")) {
+      throw makeOutlierReviewError("metrics must be an object", 400, "INVALID_OVERRIDE", {
+        field: "metrics",
+      });
+    }
+    const overridden = await LedgerEntry.overrideLedgerEntry(
+      entry._id,
+      patch,
+      req.clerkUser.id,
+      adminMemberId
+    );
+    await resolveEntry(entry, "overridden", adminMemberId, patch.reason);
+    const result = await ChallengeReview.settleChallengeReview(challenge, req.clerkUser.id);
+    res.json({
+      success: true,
+      data: { ledgerEntryId: entry._id, revision: overridden.revision, ...result },
+    });
+  } catch (error) {
+    console.error("Error overriding flagged ledger entry:", error);
+    handleOutlierReviewError(res, error);
+  }
+};
+
+/**
+ * Run a flagged entry's simulation again. The entry is replaced (its results
+ * stay in revision history) and the new one is checked when it completes.
+ * POST /api/admin/challenges/:challengeId/outlier-review/:ledgerId/rerun
+ */
+exports.rerunEntry = async function (req, res) {
+  try {
+    const challenge = await findAdminChallenge(req);
+    const { entry } = await findFlaggedEntry(req, challenge);
+    if (Challenge.hasRounds(challenge)) {
+      throw makeOutlierReviewError(
+        "Single entries of a multi-round challenge cannot be rerun; override the entry or rerun the challenge",
+        409,
+        "OUTLIER_RERUN_UNSUPPORTED"
+      );
+    }
+    const job = await SimulationJob.findOne({
+      challengeId: challenge._id,
+      userId: entry.userId,
+      dryRun: { $ne: true },
+    }).sort({ createdDate: -1 });
+    if (!job) {
+      throw makeOutlierReviewError("No simulation job to rerun for this entry", 409, "OUTLIER_RERUN_NO_JOB");
+    }
+
+    await LedgerRevision.markSuperseded([entry], {
+      clerkUserId: req.clerkUser.id,
+      reason: req.body?.reason || "Outlier review rerun",
+    });
+    await entry.deleteOne();
+    await job.reset();
+    // The hold stays until the rerun completes and its entry is checked
+    const outlierReview = await ChallengeReview.updateReviewStatus(challenge);
+
+    if (String(process.env.SIMULATION_MODE || "direct") === "batch") {
+      await enqueueSimulationBatchSubmit({
+        challengeId: challenge._id,
+        classroomId: challenge.classroomId,
+        organizationId: req.organization._id,
+        clerkUserId: req.clerkUser.id,
+      });
+    } else {
+      SimulationWorker.processJob(job._id).catch((error) => {
+        console.error(`Error processing job ${job._id} after outlier rerun:`, error);
+      });
+    }
+
+    res.json({ success: true, data: { jobId: job._id, outlierReview } });
+  } catch (error) {
+    console.error("Error rerunning flagged ledger entry:", error);
+    handleOutlierReviewError(res, error);
+  }
+};
@@ -1,6 +1,7 @@
 const Profile = require("./profile.model");
 const Enrollment = require("../enrollment/enrollment.model");
 const Classroom = require("../classroom/classroom.model");
+const Team = require("../team/team.model");
 
 /**
  * Validate profile request body and extract profile data
@@ -81,6 +82,19 @@ async function verifyEnrollmentAndGetContext(classroomId, userId) {
   };
 }
 
+/**
+ * Link a profile to its team when it was created after the team formed
+ * @param {Object|null} profile - Profile returned by createStore/updateStore
+ * @param {Object|null} team - The student's active team
+ */
+async function stampTeam(profile, team) {
+  if (!profile || !team || String(profile.teamId) === String(team._id)) {
+    return;
+  }
+  await Profile.updateOne({ _id: profile._id }, { $set: { teamId: team._id } });
+  profile.teamId = team._id;
+}
+
 /**
  * Create profile (delegates to updateStore for upsert behavior)
  * POST /api/student/profile
@@ -112,14 +126,18 @@ exports.createStore = async function (req, res) {
         });
     }
 
+    // A team shares one profile, kept under its anchor member
+    const { subjectId, team } = await Team.resolveSubject(classroomId, member._id);
+
     // Create profile (uses updateStore internally which now handles upsert)
     const profile = await Profile.createStore(
       classroomId,
-      member._id,
+      subjectId,
       storeData,
       context.organizationId,
       clerkUserId
     );
+    await stampTeam(profile, team);
 
     res.status(201).json({
       success: true,
@@ -153,8 +171,11 @@ exports.updateStore = async function (req, res) {
     const { storeData } = validation;
     const { classroomId } = req.body;
 
+    // A team shares one profile, kept under its anchor member
+    const { subjectId, team } = await Team.resolveSubject(classroomId, member._id);
+
     // Check if profile exists to determine success message
-    const existingStore = await Profile.getStoreByUser(classroomId, member._id);
+    const existingStore = await Profile.getStoreByUser(classroomId, subjectId);
     const isCreating = !existingStore;
 
     // Verify enrollment and get context
@@ -173,11 +194,12 @@ exports.updateStore = async function (req, res) {
     // Update or create profile using static method (upsert)
     const profile = await Profile.updateStore(
       classroomId,
-      member._id,
+      subjectId,
       storeData,
       context.organizationId,
       clerkUserId
     );
+    await stampTeam(profile, team);
 
     res.json({
       success: true,
@@ -210,10 +232,13 @@ exports.getStore = async function (req, res) {
         .json({ error: "classroomId query parameter is required" });
     }
 
+    // Team members share the team's profile
+    const { subjectId } = await Team.resolveSubject(classroomId, member._id);
+
     // Load the profile and enrollment together so a new profile form can use
     // the roster-derived student ID without making another request.
     const [profile, enrollment] = await Promise.all([
-      Profile.getStoreByUser(classroomId, member._id),
+      Profile.getStoreByUser(classroomId, subjectId),
       Enrollment.findOne({
         classroomId,
         userId: member._id,
@@ -82,6 +82,10 @@ async function ensureClassroomPromptsInitialized(
  *         variables:
  *           type: object
  *           description: Map of user-defined variable overrides.
+ *         teamId:
+ *           type: string
+ *           nullable: true
+ *           description: Set while the profile is shared by a team (userId is the team's anchor member).
  */
 const storeSchema = new mongoose.Schema({
   classroomId: {
@@ -119,6 +123,12 @@ const storeSchema = new mongoose.Schema({
     ref: "ProfileType",
     required: true,
   },
+  // The team sharing this profile, if any (see Team.anchorMemberId)
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Team",
+    default: null,
+  },
 }).add(baseSchema);
 
 // Apply variable population plugin
@@ -0,0 +1,310 @@
+/**
+ * Random Event Service Routes
+ *
+ * A classroom's random event catalog: events with a probability, eligibility
+ * rules and structured effects, drawn per student during processing, and the
+ * distribution of the draws across the class.
+ * Mounted at: /v1
+ */
+const express = require("express");
+const controller = require("./randomEvent.controller");
+const router = express.Router();
+
+const { requireAuth, checkRole } = require("../../middleware/auth");
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     RandomEventInput:
+ *       type: object
+ *       description: On update, fields left out keep their value; eligibility and effects replace the stored ones.
+ *       properties:
+ *         title:
+ *           type: string
+ *           description: Required on create.
+ *         description:
+ *           type: string
+ *         probabilityPercent:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           description: Required on create.
+ *         eligibility:
+ *           type: object
+ *           properties:
+ *             profileTypes:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             metricThresholds:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   metricKey:
+ *                     type: string
+ *                   operator:
+ *                     type: string
+ *                     enum: [gt, gte, lt, lte, eq, ne]
+ *                   value:
+ *                     type: number
+ *         effects:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               target:
+ *                 type: string
+ *                 enum: [variable, metric]
+ *               scope:
+ *                 type: string
+ *                 enum: [profile, decision, outcome]
+ *               key:
+ *                 type: string
+ *               operation:
+ *                 type: string
+ *                 enum: [add, multiply, set]
+ *               value:
+ *                 type: number
+ *         sortOrder:
+ *           type: integer
+ *         isActive:
+ *           type: boolean
+ *     RandomEventDistribution:
+ *       type: object
+ *       properties:
+ *         draws:
+ *           type: integer
+ *           description: Recorded draws (one per student and period; round challenges draw per round).
+ *         noEvent:
+ *           type: integer
+ *         events:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               eventId:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               probabilityPercent:
+ *                 type: number
+ *               isActive:
+ *                 type: boolean
+ *               count:
+ *                 type: integer
+ *               eligible:
+ *                 type: integer
+ *                 description: Draws in which the event could have been drawn.
+ *               observedPercent:
+ *                 type: number
+ *                 description: count as a percentage of eligible.
+ *               students:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     userId:
+ *                       type: string
+ *                     member:
+ *                       type: object
+ *                     challengeId:
+ *                       type: string
+ *                     roundKey:
+ *                       type: string
+ *                       nullable: true
+ *         challenges:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               challengeId:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               draws:
+ *                 type: integer
+ *               noEvent:
+ *                 type: integer
+ *               events:
+ *                 type: object
+ *                 description: Draw count by eventId.
+ */
+
+/**
+ * @openapi
+ * /v1/admin/class/{classroomId}/random-events:
+ *   get:
+ *     summary: List the random event catalog
+ *     description: Active events in draw order. Add includeInactive=true for deleted events too. Requires org:admin role.
+ *     tags:
+ *       - Random Events
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: includeInactive
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Events.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RandomEvent'
+ *       404:
+ *         description: Class not found.
+ *   post:
+ *     summary: Add a random event
+ *     description: Once a class has an active event, the catalog replaces the outcome's free-form randomEventChancePercent. Requires org:admin role.
+ *     tags:
+ *       - Random Events
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RandomEventInput'
+ *     responses:
+ *       201:
+ *         description: Created event.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RandomEvent'
+ *       400:
+ *         description: Invalid event (code INVALID_RANDOM_EVENT) or a profile type, metric or variable that does not exist or is not numeric (code RANDOM_EVENT_UNKNOWN_KEY).
+ */
+router.get("/admin/class/:classroomId/random-events", requireAuth(), checkRole("org:admin"), controller.listRandomEvents);
+router.post("/admin/class/:classroomId/random-events", requireAuth(), checkRole("org:admin"), controller.createRandomEvent);
+
+/**
+ * @openapi
+ * /v1/admin/class/{classroomId}/random-events/distribution:
+ *   get:
+ *     summary: Random event distribution
+ *     description: How often each catalog event was drawn across the class, who drew it, and per-challenge counts. Requires org:admin role.
+ *     tags:
+ *       - Random Events
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: challengeId
+ *         in: query
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Distribution.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RandomEventDistribution'
+ *       404:
+ *         description: Class not found.
+ */
+router.get(
+  "/admin/class/:classroomId/random-events/distribution",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.getDistribution
+);
+
+/**
+ * @openapi
+ * /v1/admin/class/{classroomId}/random-events/{eventId}:
+ *   put:
+ *     summary: Update a random event
+ *     description: Applies to later draws; past draws keep the effects they applied. Requires org:admin role.
+ *     tags:
+ *       - Random Events
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: eventId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RandomEventInput'
+ *     responses:
+ *       200:
+ *         description: Updated event.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RandomEvent'
+ *       400:
+ *         description: Invalid event (codes INVALID_RANDOM_EVENT, RANDOM_EVENT_UNKNOWN_KEY).
+ *       404:
+ *         description: Event not found (code RANDOM_EVENT_NOT_FOUND).
+ *   delete:
+ *     summary: Delete a random event
+ *     description: Deactivates the event, so it is no longer drawn but its past draws stay in the distribution. Requires org:admin role.
+ *     tags:
+ *       - Random Events
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: eventId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Deactivated event.
+ *       404:
+ *         description: Event not found (code RANDOM_EVENT_NOT_FOUND).
+ */
+router.put(
+  "/admin/class/:classroomId/random-events/:eventId",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.updateRandomEvent
+);
+router.delete(
+  "/admin/class/:classroomId/random-events/:eventId",
+  requireAuth(),
+  checkRole("org:admin"),
+  controller.deleteRandomEvent
+);
+
+module.exports = router;
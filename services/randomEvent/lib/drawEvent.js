@@ -0,0 +1,165 @@
+/**
+ * Random event draws: pick at most one catalog event per student and period
+ * with a recorded seed, and apply its structured effects.
+ *
+ * One roll in [0, 100) is drawn per student. Eligible events take
+ * consecutive slices of that range in catalog order, each as wide as its
+ * probabilityPercent, and the roll's slice is the drawn event (a roll past
+ * the last slice draws nothing). When the eligible events add up to more
+ * than 100 the slices are scaled down to fit.
+ */
+const { deriveSimulationSeed, seededRandom } = require("../../ledger/lib/simulationSeed");
+const roundMetricValue = require("../../ledger/lib/roundMetricValue");
+
+const COMPARE = {
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b,
+};
+
+/**
+ * Seed for one student's draw. Separate from the simulation seed, so adding
+ * a catalog does not change the model's sampling.
+ */
+function deriveEventSeed({ classroomId, challengeId, userId, roundKey = null }) {
+  return deriveSimulationSeed(
+    "random-event",
+    classroomId,
+    challengeId,
+    userId,
+    ...(roundKey ? [roundKey] : [])
+  );
+}
+
+/**
+ * Whether a student can draw the event: their profile type is listed (or
+ * none are), and every metric threshold holds on their prior metrics. A
+ * threshold on a metric the student has no number for does not hold.
+ */
+function isEligible(event, { profileType = null, priorMetrics = {} } = {}) {
+  const profileTypes = event.eligibility?.profileTypes || [];
+  if (profileTypes.length > 0 && !profileTypes.includes(profileType)) {
+    return false;
+  }
+  return (event.eligibility?.metricThresholds || []).every((threshold) => {
+    const value = priorMetrics?.[threshold.metricKey];
+    return (
+      typeof value === "number" &&
+      Number.isFinite(value) &&
+      COMPARE[threshold.operator](value, threshold.value)
+    );
+  });
+}
+
+/**
+ * Draw a student's event from the catalog.
+ *
+ * @param {Array<Object>} catalog - active events in draw order
+ * @param {Object} options - { seed, profileType, priorMetrics }
+ * @returns {Object} { seed, roll, eligibleEventIds, eventId, title,
+ *   description, effects } - eventId is null when nothing was drawn
+ */
+function drawRandomEvent(catalog, { seed, profileType = null, priorMetrics = {} }) {
+  const eligible = (catalog || []).filter((event) =>
+    isEligible(event, { profileType, priorMetrics })
+  );
+  const total = eligible.reduce((sum, event) => sum + (event.probabilityPercent || 0), 0);
+  const scale = total > 100 ? 100 / total : 1;
+  const roll = seededRandom(seed)() * 100;
+
+  let upper = 0;
+  const drawn = eligible.find((event) => {
+    upper += (event.probabilityPercent || 0) * scale;
+    return roll < upper;
+  });
+
+  return {
+    seed,
+    roll: Math.round(roll * 1e6) / 1e6,
+    eligibleEventIds: eligible.map((event) => event._id),
+    eventId: drawn?._id || null,
+    title: drawn?.title || null,
+    description: drawn?.description || "",
+    effects: drawn?.effects || [],
+  };
+}
+
+function applyOperation(before, effect) {
+  if (effect.operation === "set") return effect.value;
+  if (typeof before !== "number" || !Number.isFinite(before)) return null;
+  const after = effect.operation === "add" ? before + effect.value : before * effect.value;
+  // Drop float noise (1.5 * 0.8 = 1.2000000000000002) before it reaches the prompt
+  return Number(after.toFixed(10));
+}
+
+/**
+ * Apply a drawn event's variable effects to a simulation context, before
+ * the run. Returns a new context (inputs are not mutated) and one record
+ * per effect; `add`/`multiply` on a missing or non-numeric value is skipped.
+ *
+ * @param {Object} context - SimulationWorker job context
+ * @param {Array<Object>} effects
+ * @returns {{ context: Object, applied: Array<Object> }}
+ */
+function applyVariableEffects(context, effects) {
+  const variableEffects = (effects || []).filter((effect) => effect.target === "variable");
+  if (variableEffects.length === 0) return { context, applied: [] };
+
+  const plain = (doc) =>
+    doc && typeof doc.toObject === "function" ? doc.toObject() : { ...(doc || {}) };
+  const next = { ...context };
+  const touched = new Set(variableEffects.map((effect) => effect.scope));
+  if (touched.has("profile")) next.profile = { ...context.profile };
+  if (touched.has("decision")) {
+    next.decision = { ...context.decision, variables: { ...(context.decision?.variables || {}) } };
+  }
+  if (touched.has("outcome")) {
+    const outcome = plain(context.outcome);
+    next.outcome = { ...outcome, variables: { ...(outcome.variables || {}) } };
+  }
+
+  const applied = variableEffects.map((effect) => {
+    const target = effect.scope === "profile" ? next.profile : next[effect.scope].variables;
+    const before = target[effect.key] ?? null;
+    const after = applyOperation(before, effect);
+    if (after === null) return { ...effect, before, after: before, skipped: true };
+    target[effect.key] = after;
+    return { ...effect, before, after };
+  });
+
+  return { context: next, applied };
+}
+
+/**
+ * Apply a drawn event's metric effects to a normalized simulation result,
+ * after the run. Results are rounded like the metric's own values.
+ *
+ * @param {Object} result - normalized AI/formula result (mutated)
+ * @param {Array<Object>} effects
+ * @param {Array<Object>} metricDefs - active MetricDefinitions
+ * @returns {Array<Object>} one record per effect
+ */
+function applyMetricEffects(result, effects, metricDefs) {
+  const defsByKey = new Map((metricDefs || []).map((def) => [def.key, def]));
+  return (effects || [])
+    .filter((effect) => effect.target === "metric")
+    .map((effect) => {
+      const def = defsByKey.get(effect.key);
+      const before = result[effect.key] ?? null;
+      const after = def ? applyOperation(before, effect) : null;
+      if (after === null) return { ...effect, before, after: before, skipped: true };
+      result[effect.key] = roundMetricValue(def, after);
+      return { ...effect, before, after: result[effect.key] };
+    });
+}
+
+module.exports = {
+  deriveEventSeed,
+  isEligible,
+  drawRandomEvent,
+  applyVariableEffects,
+  applyMetricEffects,
+};
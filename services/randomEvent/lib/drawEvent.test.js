@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  deriveEventSeed,
+  isEligible,
+  drawRandomEvent,
+  applyVariableEffects,
+  applyMetricEffects,
+} = require("./drawEvent");
+
+const rain = {
+  _id: "rain",
+  title: "Rainy week",
+  description: "Foot traffic dropped.",
+  probabilityPercent: 30,
+  eligibility: { profileTypes: ["food-truck"], metricThresholds: [] },
+  effects: [{ target: "variable", scope: "outcome", key: "demandMultiplier", operation: "multiply", value: 0.8 }],
+};
+const audit = {
+  _id: "audit",
+  title: "Tax audit",
+  description: "",
+  probabilityPercent: 20,
+  eligibility: { profileTypes: [], metricThresholds: [{ metricKey: "cashAfter", operator: "gte", value: 5000 }] },
+  effects: [{ target: "metric", scope: null, key: "cashAfter", operation: "add", value: -250 }],
+};
+
+test("eligibility checks profile types and prior-metric thresholds", () => {
+  assert.equal(isEligible(rain, { profileType: "food-truck" }), true);
+  assert.equal(isEligible(rain, { profileType: "kiosk" }), false);
+  assert.equal(isEligible(audit, { priorMetrics: { cashAfter: 5000 } }), true);
+  assert.equal(isEligible(audit, { priorMetrics: { cashAfter: 4999 } }), false);
+  // No prior number: the threshold does not hold
+  assert.equal(isEligible(audit, { priorMetrics: {} }), false);
+});
+
+test("the same seed always draws the same event and records the roll", () => {
+  const seed = deriveEventSeed({ classroomId: "c", challengeId: "ch", userId: "u" });
+  assert.notEqual(seed, deriveEventSeed({ classroomId: "c", challengeId: "ch", userId: "u", roundKey: "r1" }));
+
+  const options = { seed, profileType: "food-truck", priorMetrics: { cashAfter: 6000 } };
+  const first = drawRandomEvent([rain, audit], options);
+  assert.deepEqual(drawRandomEvent([rain, audit], options), first);
+  assert.equal(first.seed, seed);
+  assert.deepEqual(first.eligibleEventIds, ["rain", "audit"]);
+  assert.ok(first.roll >= 0 && first.roll < 100);
+  const expected = first.roll < 30 ? "rain" : first.roll < 50 ? "audit" : null;
+  assert.equal(first.eventId, expected);
+});
+
+test("draw frequencies follow probabilities, scaled down past 100", () => {
+  const counts = { a: 0, b: 0, none: 0 };
+  const catalog = [
+    { _id: "a", title: "A", probabilityPercent: 90, eligibility: {}, effects: [] },
+    { _id: "b", title: "B", probabilityPercent: 90, eligibility: {}, effects: [] },
+  ];
+  for (let seed = 0; seed < 2000; seed += 1) {
+    counts[drawRandomEvent(catalog, { seed }).eventId || "none"] += 1;
+  }
+  assert.equal(counts.none, 0);
+  assert.ok(Math.abs(counts.a - counts.b) < 200);
+
+  let drawn = 0;
+  for (let seed = 0; seed < 2000; seed += 1) {
+    if (drawRandomEvent([{ ...catalog[0], probabilityPercent: 25 }], { seed }).eventId) drawn += 1;
+  }
+  assert.ok(drawn > 400 && drawn < 600);
+});
+
+test("variable effects return a new context and record before and after", () => {
+  const outcome = { toObject: () => ({ notes: "Sunny", variables: { demandMultiplier: 1.5 } }) };
+  const context = {
+    profile: { profileType: "food-truck", rent: 100 },
+    decision: { variables: { price: 4 } },
+    outcome,
+  };
+
+  const { context: next, applied } = applyVariableEffects(context, [
+    ...rain.effects,
+    { target: "variable", scope: "decision", key: "price", operation: "add", value: 1 },
+    { target: "variable", scope: "profile", key: "missing", operation: "add", value: 1 },
+    { target: "metric", scope: null, key: "cashAfter", operation: "add", value: -1 },
+  ]);
+
+  assert.equal(next.outcome.variables.demandMultiplier, 1.2);
+  assert.equal(next.outcome.notes, "Sunny");
+  assert.equal(next.decision.variables.price, 5);
+  assert.equal(context.decision.variables.price, 4);
+  assert.equal(context.outcome, outcome);
+  assert.deepEqual(
+    applied.map(({ key, before, after, skipped }) => [key, before, after, !!skipped]),
+    [
+      ["demandMultiplier", 1.5, 1.2, false],
+      ["price", 4, 5, false],
+      ["missing", null, null, true],
+    ]
+  );
+});
+
+test("metric effects are applied after the run and rounded like the metric", () => {
+  const result = { cashAfter: 1000.123, unitsSold: 40 };
+  const applied = applyMetricEffects(
+    result,
+    [
+      ...audit.effects,
+      { target: "metric", scope: null, key: "unitsSold", operation: "multiply", value: 0.55 },
+    ],
+    [
+      { key: "cashAfter", format: "currency" },
+      { key: "unitsSold", format: "units" },
+    ]
+  );
+
+  assert.equal(result.cashAfter, 750.12);
+  assert.equal(result.unitsSold, 22);
+  assert.deepEqual(
+    applied.map(({ key, before, after }) => [key, before, after]),
+    [
+      ["cashAfter", 1000.123, 750.12],
+      ["unitsSold", 40, 22],
+    ]
+  );
+});
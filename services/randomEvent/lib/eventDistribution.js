@@ -0,0 +1,108 @@
+const RandomEvent = require("../randomEvent.model");
+// Note: LedgerEntry, Challenge and Member are required inside the function
+// to avoid circular dependencies
+
+function percent(count, total) {
+  return total > 0 ? Math.round((count / total) * 10000) / 100 : 0;
+}
+
+/**
+ * How a classroom's catalog events were drawn across its students, from the
+ * draws recorded on ledger entries (one per student and period; round
+ * challenges draw per round).
+ *
+ * @param {string} classroomId
+ * @param {Object} [options] - { challengeId } to limit to one challenge
+ * @returns {Promise<Object>} { draws, noEvent, events[], challenges[] }
+ */
+async function summarizeEventDistribution(classroomId, { challengeId = null } = {}) {
+  const LedgerEntry = require("../../ledger/ledger.model");
+  const Challenge = require("../../challenge/challenge.model");
+  const Member = require("../../members/member.model");
+
+  const [catalog, entries] = await Promise.all([
+    RandomEvent.find({ classroomId }).sort({ sortOrder: 1, createdAt: 1 }).lean(),
+    LedgerEntry.find({
+      classroomId,
+      ...(challengeId ? { challengeId } : {}),
+      "calculationContext.randomEvent": { $ne: null },
+    })
+      .select("challengeId userId roundKey calculationContext.randomEvent")
+      .lean(),
+  ]);
+
+  const [challenges, members] = await Promise.all([
+    Challenge.find({ _id: { $in: [...new Set(entries.map((entry) => String(entry.challengeId)))] } })
+      .select("title week")
+      .lean(),
+    Member.find({ _id: { $in: [...new Set(entries.map((entry) => String(entry.userId)))] } })
+      .select("firstName lastName email")
+      .lean(),
+  ]);
+  const membersById = new Map(members.map((member) => [String(member._id), member]));
+
+  const events = new Map(
+    catalog.map((event) => [
+      String(event._id),
+      {
+        eventId: event._id,
+        title: event.title,
+        probabilityPercent: event.probabilityPercent,
+        isActive: event.isActive,
+        count: 0,
+        eligible: 0,
+        students: [],
+      },
+    ])
+  );
+  const byChallenge = new Map(
+    challenges.map((challenge) => [
+      String(challenge._id),
+      { challengeId: challenge._id, title: challenge.title, week: challenge.week, draws: 0, noEvent: 0, events: {} },
+    ])
+  );
+
+  let noEvent = 0;
+  for (const entry of entries) {
+    const draw = entry.calculationContext.randomEvent;
+    const challenge = byChallenge.get(String(entry.challengeId));
+    if (challenge) challenge.draws += 1;
+    (draw.eligibleEventIds || []).forEach((id) => {
+      const event = events.get(String(id));
+      if (event) event.eligible += 1;
+    });
+
+    const event = draw.eventId ? events.get(String(draw.eventId)) : null;
+    if (!event) {
+      noEvent += 1;
+      if (challenge) challenge.noEvent += 1;
+      continue;
+    }
+    event.count += 1;
+    event.students.push({
+      userId: entry.userId,
+      member: membersById.get(String(entry.userId)) || null,
+      challengeId: entry.challengeId,
+      roundKey: entry.roundKey || null,
+    });
+    if (challenge) {
+      challenge.events[String(event.eventId)] = (challenge.events[String(event.eventId)] || 0) + 1;
+    }
+  }
+
+  return {
+    draws: entries.length,
+    noEvent,
+    events: [...events.values()].map((event) => ({
+      ...event,
+      // Drawn share of the periods the event could be drawn in, to compare
+      // with probabilityPercent
+      observedPercent: percent(event.count, event.eligible),
+    })),
+    challenges: [...byChallenge.values()].sort((a, b) => (a.week ?? 0) - (b.week ?? 0)),
+  };
+}
+
+module.exports = {
+  summarizeEventDistribution,
+};
@@ -0,0 +1,201 @@
+const { makeRandomEventError } = require("../randomEvent.errors");
+
+const THRESHOLD_OPERATORS = ["gt", "gte", "lt", "lte", "eq", "ne"];
+const EFFECT_TARGETS = ["variable", "metric"];
+const VARIABLE_SCOPES = ["profile", "decision", "outcome"];
+const EFFECT_OPERATIONS = ["add", "multiply", "set"];
+
+function invalid(message, field) {
+  return makeRandomEventError(message, 400, "INVALID_RANDOM_EVENT", { field });
+}
+
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function requireKey(value, field) {
+  if (typeof value !== "string" || !value.trim()) {
+    throw invalid(`${field} is required`, field);
+  }
+  return value.trim();
+}
+
+function normalizeThresholds(thresholds) {
+  if (!Array.isArray(thresholds)) {
+    throw invalid("eligibility.metricThresholds must be an array", "eligibility.metricThresholds");
+  }
+  return thresholds.map((threshold, index) => {
+    const field = `eligibility.metricThresholds.${index}`;
+    if (!threshold || typeof threshold !== "object") {
+      throw invalid(`${field} must be an object`, field);
+    }
+    if (!THRESHOLD_OPERATORS.includes(threshold.operator)) {
+      throw invalid(`${field}.operator must be one of ${THRESHOLD_OPERATORS.join(", ")}`, `${field}.operator`);
+    }
+    if (!isNumber(threshold.value)) {
+      throw invalid(`${field}.value must be a number`, `${field}.value`);
+    }
+    return {
+      metricKey: requireKey(threshold.metricKey, `${field}.metricKey`),
+      operator: threshold.operator,
+      value: threshold.value,
+    };
+  });
+}
+
+function normalizeEffects(effects) {
+  if (!Array.isArray(effects)) {
+    throw invalid("effects must be an array", "effects");
+  }
+  return effects.map((effect, index) => {
+    const field = `effects.${index}`;
+    if (!effect || typeof effect !== "object") {
+      throw invalid(`${field} must be an object`, field);
+    }
+    if (!EFFECT_TARGETS.includes(effect.target)) {
+      throw invalid(`${field}.target must be variable or metric`, `${field}.target`);
+    }
+    if (effect.target === "variable" && !VARIABLE_SCOPES.includes(effect.scope)) {
+      throw invalid(`${field}.scope must be one of ${VARIABLE_SCOPES.join(", ")}`, `${field}.scope`);
+    }
+    if (!EFFECT_OPERATIONS.includes(effect.operation)) {
+      throw invalid(`${field}.operation must be one of ${EFFECT_OPERATIONS.join(", ")}`, `${field}.operation`);
+    }
+    if (!isNumber(effect.value)) {
+      throw invalid(`${field}.value must be a number`, `${field}.value`);
+    }
+    return {
+      target: effect.target,
+      scope: effect.target === "variable" ? effect.scope : null,
+      key: requireKey(effect.key, `${field}.key`),
+      operation: effect.operation,
+      value: effect.value,
+    };
+  });
+}
+
+/**
+ * Validate a create (no `current`) or update body. Updates only return the
+ * fields they set; `eligibility` and `effects` replace the stored ones.
+ *
+ * @param {Object} input - request body
+ * @param {Object|null} [current] - stored event, for updates
+ * @returns {Object} fields to store
+ */
+function normalizeRandomEventInput(input, current = null) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw invalid("Body must be an object", "body");
+  }
+  const creating = !current;
+  const fields = {};
+
+  if (creating || input.title !== undefined) {
+    fields.title = requireKey(input.title, "title");
+  }
+  if (input.description !== undefined) {
+    if (typeof input.description !== "string") {
+      throw invalid("description must be a string", "description");
+    }
+    fields.description = input.description;
+  }
+  if (creating || input.probabilityPercent !== undefined) {
+    const chance = input.probabilityPercent;
+    if (!isNumber(chance) || chance < 0 || chance > 100) {
+      throw invalid("probabilityPercent must be a number from 0 to 100", "probabilityPercent");
+    }
+    fields.probabilityPercent = chance;
+  }
+  if (input.eligibility !== undefined) {
+    const eligibility = input.eligibility || {};
+    if (typeof eligibility !== "object" || Array.isArray(eligibility)) {
+      throw invalid("eligibility must be an object", "eligibility");
+    }
+    const profileTypes = eligibility.profileTypes ?? [];
+    if (!Array.isArray(profileTypes) || profileTypes.some((key) => typeof key !== "string" || !key.trim())) {
+      throw invalid("eligibility.profileTypes must be an array of profile type keys", "eligibility.profileTypes");
+    }
+    fields.eligibility = {
+      profileTypes: [...new Set(profileTypes.map((key) => key.trim()))],
+      metricThresholds: normalizeThresholds(eligibility.metricThresholds ?? []),
+    };
+  }
+  if (input.effects !== undefined) {
+    fields.effects = normalizeEffects(input.effects || []);
+  }
+  if (input.sortOrder !== undefined) {
+    if (!Number.isInteger(input.sortOrder)) {
+      throw invalid("sortOrder must be an integer", "sortOrder");
+    }
+    fields.sortOrder = input.sortOrder;
+  }
+  if (input.isActive !== undefined) {
+    fields.isActive = !!input.isActive;
+  }
+  return fields;
+}
+
+/**
+ * Every key an event refers to must exist in the classroom: profile types,
+ * numeric metrics (thresholds and metric effects) and numeric variables of
+ * the effect's scope (profile effects may target profile type variables).
+ *
+ * @param {string} classroomId
+ * @param {Object} event - normalized event fields (eligibility, effects)
+ */
+async function assertRandomEventReferences(classroomId, event) {
+  const MetricDefinition = require("../../metricDefinition/metricDefinition.model");
+  const VariableDefinition = require("../../variableDefinition/variableDefinition.model");
+  const ProfileType = require("../../profileType/profileType.model");
+
+  const unknown = (field, key) =>
+    makeRandomEventError(`Unknown ${field} "${key}"`, 400, "RANDOM_EVENT_UNKNOWN_KEY", { field, key });
+
+  const profileTypes = event.eligibility?.profileTypes || [];
+  if (profileTypes.length > 0) {
+    const found = await ProfileType.find({ classroomId, key: { $in: profileTypes } })
+      .select("key")
+      .lean();
+    const known = new Set(found.map((type) => type.key));
+    const missing = profileTypes.find((key) => !known.has(key));
+    if (missing) throw unknown("profileType", missing);
+  }
+
+  const metricKeys = [
+    ...(event.eligibility?.metricThresholds || []).map((threshold) => threshold.metricKey),
+    ...(event.effects || []).filter((effect) => effect.target === "metric").map((effect) => effect.key),
+  ];
+  if (metricKeys.length > 0) {
+    const defs = await MetricDefinition.getActive(classroomId);
+    const numeric = new Set(defs.filter((def) => def.dataType === "number").map((def) => def.key));
+    const missing = metricKeys.find((key) => !numeric.has(key));
+    if (missing) throw unknown("metric", missing);
+  }
+
+  for (const scope of VARIABLE_SCOPES) {
+    const keys = (event.effects || [])
+      .filter((effect) => effect.target === "variable" && effect.scope === scope)
+      .map((effect) => effect.key);
+    if (keys.length === 0) continue;
+    const definitions = (
+      await Promise.all(
+        (scope === "profile" ? ["profile", "profileType"] : [scope]).map((appliesTo) =>
+          VariableDefinition.getDefinitionsForScope(classroomId, appliesTo, { keys })
+        )
+      )
+    ).flat();
+    const numeric = new Set(
+      definitions.filter((definition) => definition.dataType === "number").map((definition) => definition.key)
+    );
+    const missing = keys.find((key) => !numeric.has(key));
+    if (missing) throw unknown(`${scope} variable`, missing);
+  }
+}
+
+module.exports = {
+  THRESHOLD_OPERATORS,
+  EFFECT_TARGETS,
+  VARIABLE_SCOPES,
+  EFFECT_OPERATIONS,
+  normalizeRandomEventInput,
+  assertRandomEventReferences,
+};
@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const MetricDefinition = require("../../metricDefinition/metricDefinition.model");
+const VariableDefinition = require("../../variableDefinition/variableDefinition.model");
+const ProfileType = require("../../profileType/profileType.model");
+const { normalizeRandomEventInput, assertRandomEventReferences } = require("./randomEventInput");
+
+test("create requires a title and a probability from 0 to 100", () => {
+  assert.throws(() => normalizeRandomEventInput({ probabilityPercent: 10 }), {
+    code: "INVALID_RANDOM_EVENT",
+    details: { field: "title" },
+  });
+  assert.throws(() => normalizeRandomEventInput({ title: "Storm", probabilityPercent: 120 }), {
+    details: { field: "probabilityPercent" },
+  });
+
+  // Updates only validate what they send
+  assert.deepEqual(normalizeRandomEventInput({ sortOrder: 2 }, { title: "Storm" }), { sortOrder: 2 });
+});
+
+test("effects need a scope for variables and a numeric value", () => {
+  const base = { title: "Storm", probabilityPercent: 10 };
+  assert.throws(
+    () => normalizeRandomEventInput({ ...base, effects: [{ target: "variable", key: "price", operation: "add", value: 1 }] }),
+    { details: { field: "effects.0.scope" } }
+  );
+  assert.throws(
+    () => normalizeRandomEventInput({ ...base, effects: [{ target: "metric", key: "cash", operation: "add", value: "1" }] }),
+    { details: { field: "effects.0.value" } }
+  );
+  assert.throws(
+    () =>
+      normalizeRandomEventInput({
+        ...base,
+        eligibility: { metricThresholds: [{ metricKey: "cash", operator: "above", value: 1 }] },
+      }),
+    { details: { field: "eligibility.metricThresholds.0.operator" } }
+  );
+
+  const fields = normalizeRandomEventInput({
+    ...base,
+    eligibility: { profileTypes: ["kiosk", "kiosk"] },
+    effects: [{ target: "metric", scope: "decision", key: " cash ", operation: "add", value: -5 }],
+  });
+  assert.deepEqual(fields.eligibility, { profileTypes: ["kiosk"], metricThresholds: [] });
+  assert.deepEqual(fields.effects, [{ target: "metric", scope: null, key: "cash", operation: "add", value: -5 }]);
+});
+
+test("references must be existing profile types and numeric metrics and variables", async (t) => {
+  t.mock.method(ProfileType, "find", () => ({
+    select: () => ({ lean: async () => [{ key: "kiosk" }] }),
+  }));
+  t.mock.method(MetricDefinition, "getActive", async () => [
+    { key: "cashAfter", dataType: "number" },
+    { key: "mood", dataType: "text" },
+  ]);
+  t.mock.method(VariableDefinition, "getDefinitionsForScope", async (classroomId, appliesTo) =>
+    appliesTo === "outcome" ? [{ key: "demandMultiplier", dataType: "number" }] : []
+  );
+
+  const event = {
+    eligibility: { profileTypes: ["kiosk"], metricThresholds: [{ metricKey: "cashAfter", operator: "gt", value: 0 }] },
+    effects: [{ target: "variable", scope: "outcome", key: "demandMultiplier", operation: "multiply", value: 0.5 }],
+  };
+  await assertRandomEventReferences("class-1", event);
+
+  await assert.rejects(
+    assertRandomEventReferences("class-1", { ...event, eligibility: { profileTypes: ["truck"], metricThresholds: [] } }),
+    { code: "RANDOM_EVENT_UNKNOWN_KEY", details: { field: "profileType", key: "truck" } }
+  );
+  await assert.rejects(
+    assertRandomEventReferences("class-1", {
+      effects: [{ target: "metric", scope: null, key: "mood", operation: "set", value: 1 }],
+    }),
+    { details: { field: "metric", key: "mood" } }
+  );
+  await assert.rejects(
+    assertRandomEventReferences("class-1", {
+      effects: [{ target: "variable", scope: "decision", key: "price", operation: "add", value: 1 }],
+    }),
+    { details: { field: "decision variable", key: "price" } }
+  );
+});
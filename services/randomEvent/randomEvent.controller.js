@@ -0,0 +1,146 @@
+const mongoose = require("mongoose");
+const RandomEvent = require("./randomEvent.model");
+const Classroom = require("../classroom/classroom.model");
+const RandomEventInput = require("./lib/randomEventInput");
+const EventDistribution = require("./lib/eventDistribution");
+const { makeRandomEventError } = require("./randomEvent.errors");
+
+function handleRandomEventError(res, error) {
+  if (error.message === "Class not found") {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes("Insufficient permissions")) {
+    return res.status(403).json({ error: error.message });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code,
+      details: error.details,
+    });
+  }
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ error: error.message });
+  }
+  return res.status(500).json({ error: error.message });
+}
+
+async function validateAccess(req) {
+  return Classroom.validateAdminAccess(req.params.classroomId, req.clerkUser.id, req.organization._id);
+}
+
+async function findEvent(req) {
+  const event = mongoose.Types.ObjectId.isValid(req.params.eventId)
+    ? await RandomEvent.findOne({ _id: req.params.eventId, classroomId: req.params.classroomId })
+    : null;
+  if (!event) {
+    throw makeRandomEventError("Random event not found", 404, "RANDOM_EVENT_NOT_FOUND");
+  }
+  return event;
+}
+
+/**
+ * The class's random event catalog in draw order (active, or all with
+ * ?includeInactive=true)
+ * GET /api/admin/class/:classroomId/random-events
+ */
+exports.listRandomEvents = async function (req, res) {
+  try {
+    await validateAccess(req);
+    const query = { classroomId: req.params.classroomId };
+    if (req.query.includeInactive !== "true") {
+      query.isActive = true;
+    }
+    const events = await RandomEvent.find(query).sort({ sortOrder: 1, createdAt: 1 }).lean();
+    res.json({ success: true, data: events });
+  } catch (error) {
+    console.error("Error listing random events:", error);
+    handleRandomEventError(res, error);
+  }
+};
+
+/**
+ * Add an event to the catalog
+ * POST /api/admin/class/:classroomId/random-events
+ */
+exports.createRandomEvent = async function (req, res) {
+  try {
+    await validateAccess(req);
+    const fields = RandomEventInput.normalizeRandomEventInput(req.body);
+    await RandomEventInput.assertRandomEventReferences(req.params.classroomId, fields);
+
+    const event = await RandomEvent.create({
+      ...fields,
+      classroomId: req.params.classroomId,
+      organization: req.organization._id,
+      createdBy: req.clerkUser.id,
+      updatedBy: req.clerkUser.id,
+    });
+    res.status(201).json({ success: true, data: event.toObject() });
+  } catch (error) {
+    console.error("Error creating random event:", error);
+    handleRandomEventError(res, error);
+  }
+};
+
+/**
+ * Update a catalog event. Past draws keep the effects they applied.
+ * PUT /api/admin/class/:classroomId/random-events/:eventId
+ */
+exports.updateRandomEvent = async function (req, res) {
+  try {
+    await validateAccess(req);
+    const event = await findEvent(req);
+    const fields = RandomEventInput.normalizeRandomEventInput(req.body, event);
+    await RandomEventInput.assertRandomEventReferences(req.params.classroomId, {
+      eligibility: fields.eligibility || event.eligibility,
+      effects: fields.effects || event.effects,
+    });
+
+    event.set({ ...fields, updatedBy: req.clerkUser.id });
+    await event.save();
+    res.json({ success: true, data: event.toObject() });
+  } catch (error) {
+    console.error("Error updating random event:", error);
+    handleRandomEventError(res, error);
+  }
+};
+
+/**
+ * Remove an event from the catalog. It is deactivated, so the distribution
+ * still reports its past draws.
+ * DELETE /api/admin/class/:classroomId/random-events/:eventId
+ */
+exports.deleteRandomEvent = async function (req, res) {
+  try {
+    await validateAccess(req);
+    const event = await findEvent(req);
+    event.set({ isActive: false, updatedBy: req.clerkUser.id });
+    await event.save();
+    res.json({ success: true, data: event.toObject() });
+  } catch (error) {
+    console.error("Error deleting random event:", error);
+    handleRandomEventError(res, error);
+  }
+};
+
+/**
+ * How often each event was drawn across the class
+ * GET /api/admin/class/:classroomId/random-events/distribution?challengeId=...
+ */
+exports.getDistribution = async function (req, res) {
+  try {
+    await validateAccess(req);
+    const { challengeId } = req.query;
+    if (challengeId && !mongoose.Types.ObjectId.isValid(challengeId)) {
+      return res.status(400).json({ error: "challengeId must be a valid id" });
+    }
+    const distribution = await EventDistribution.summarizeEventDistribution(req.params.classroomId, {
+      challengeId: challengeId || null,
+    });
+    res.json({ success: true, data: distribution });
+  } catch (error) {
+    console.error("Error getting random event distribution:", error);
+    handleRandomEventError(res, error);
+  }
+};
@@ -0,0 +1,185 @@
+const mongoose = require("mongoose");
+const baseSchema = require("../../lib/baseSchema");
+const {
+  THRESHOLD_OPERATORS,
+  EFFECT_TARGETS,
+  VARIABLE_SCOPES,
+  EFFECT_OPERATIONS,
+} = require("./lib/randomEventInput");
+const { drawRandomEvent, deriveEventSeed } = require("./lib/drawEvent");
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     RandomEvent:
+ *       type: object
+ *       description: An event in a classroom's random event catalog. During processing each student draws at most one eligible event, and its effects are applied to the simulation.
+ *       properties:
+ *         _id:
+ *           type: string
+ *         classroomId:
+ *           type: string
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *           description: What happened, as told to the simulation and shown to the student when the AI writes no narrative.
+ *         probabilityPercent:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           description: Chance that an eligible student draws this event each period. When a student's eligible events add up to more than 100, they are scaled down to 100.
+ *         eligibility:
+ *           type: object
+ *           properties:
+ *             profileTypes:
+ *               type: array
+ *               description: Profile type keys that can draw the event. Empty for every profile type.
+ *               items:
+ *                 type: string
+ *             metricThresholds:
+ *               type: array
+ *               description: Conditions on the student's prior-period metrics, all of which must hold.
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   metricKey:
+ *                     type: string
+ *                   operator:
+ *                     type: string
+ *                     enum: [gt, gte, lt, lte, eq, ne]
+ *                   value:
+ *                     type: number
+ *         effects:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               target:
+ *                 type: string
+ *                 enum: [variable, metric]
+ *                 description: variable - changes a simulation input before the run; metric - changes a computed metric after it.
+ *               scope:
+ *                 type: string
+ *                 enum: [profile, decision, outcome]
+ *                 nullable: true
+ *                 description: Variable scope (variable effects only).
+ *               key:
+ *                 type: string
+ *               operation:
+ *                 type: string
+ *                 enum: [add, multiply, set]
+ *               value:
+ *                 type: number
+ *         sortOrder:
+ *           type: integer
+ *         isActive:
+ *           type: boolean
+ */
+const thresholdSchema = new mongoose.Schema(
+  {
+    metricKey: { type: String, required: true, trim: true },
+    operator: { type: String, enum: THRESHOLD_OPERATORS, required: true },
+    value: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const effectSchema = new mongoose.Schema(
+  {
+    target: { type: String, enum: EFFECT_TARGETS, required: true },
+    // Variable effects only
+    scope: { type: String, enum: [...VARIABLE_SCOPES, null], default: null },
+    key: { type: String, required: true, trim: true },
+    operation: { type: String, enum: EFFECT_OPERATIONS, required: true },
+    value: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const randomEventSchema = new mongoose.Schema({
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Classroom",
+    required: true,
+    index: true,
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: "",
+  },
+  probabilityPercent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100,
+  },
+  eligibility: {
+    profileTypes: { type: [String], default: [] },
+    metricThresholds: { type: [thresholdSchema], default: [] },
+  },
+  effects: {
+    type: [effectSchema],
+    default: [],
+  },
+  // Draw order: earlier events take the lower slice of the roll
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
+  // Deleted events are deactivated so past draws keep their event
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}).add(baseSchema);
+
+randomEventSchema.index({ classroomId: 1, isActive: 1, sortOrder: 1 });
+
+/**
+ * A classroom's active catalog in draw order.
+ * @param {string} classroomId
+ * @returns {Promise<Array<Object>>} lean events
+ */
+randomEventSchema.statics.getActiveCatalog = function (classroomId) {
+  return this.find({ classroomId, isActive: true })
+    .sort({ sortOrder: 1, createdAt: 1 })
+    .lean();
+};
+
+/**
+ * Draw a student's event for one simulation job from the classroom's
+ * catalog. Null for classrooms without an active catalog, which keep the
+ * outcome's free-form randomEventChancePercent.
+ *
+ * @param {Object} params - { classroomId, challengeId, userId, roundKey,
+ *   profileType, priorMetrics }
+ * @returns {Promise<Object|null>} see drawRandomEvent in lib/drawEvent.js
+ */
+randomEventSchema.statics.drawForStudent = async function ({
+  classroomId,
+  challengeId,
+  userId,
+  roundKey = null,
+  profileType = null,
+  priorMetrics = {},
+}) {
+  const catalog = await this.getActiveCatalog(classroomId);
+  if (catalog.length === 0) return null;
+
+  return drawRandomEvent(catalog, {
+    seed: deriveEventSeed({ classroomId, challengeId, userId, roundKey }),
+    profileType,
+    priorMetrics,
+  });
+};
+
+const RandomEvent = mongoose.model("RandomEvent", randomEventSchema);
+
+module.exports = RandomEvent;
@@ -0,0 +1,148 @@
+/**
+ * Sandbox Service Routes
+ *
+ * What-if previews of draft decisions. Previews are estimates only and are
+ * never written to the ledger.
+ * Mounted at: /v1/student/decision/sandbox
+ */
+const express = require("express");
+const controller = require("./sandbox.controller");
+const { createSandboxRateLimit } = require("./lib/sandboxRateLimit");
+const router = express.Router();
+
+const { requireMemberAuth } = require("../../middleware/auth");
+
+const previewRateLimit = createSandboxRateLimit();
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     SandboxPreviewResult:
+ *       type: object
+ *       properties:
+ *         preview:
+ *           $ref: '#/components/schemas/SandboxPreview'
+ *         isEstimate:
+ *           type: boolean
+ *           description: Always true. Show the disclaimer alongside the preview.
+ *         disclaimer:
+ *           type: string
+ *         limit:
+ *           type: integer
+ *           description: Previews allowed per student for this challenge.
+ *         used:
+ *           type: integer
+ *         remaining:
+ *           type: integer
+ */
+
+/**
+ * @openapi
+ * /v1/student/decision/sandbox:
+ *   post:
+ *     summary: Preview a draft decision
+ *     description: Runs the simulation for a draft decision against the student's profile and released results and returns an estimate. The instructor's outcome and random events are not applied, nothing is written to the ledger and the student's submission is unchanged. Only available while the challenge is open and the instructor has enabled `sandbox.enabled`; each successful preview counts toward `sandbox.maxPreviewsPerStudent`. Requests are also rate limited per student (SANDBOX_RATE_LIMIT_WINDOW_MS / SANDBOX_RATE_LIMIT_MAX) and RateLimit headers are returned.
+ *     tags:
+ *       - Decisions
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeId
+ *               - variables
+ *             properties:
+ *               challengeId:
+ *                 type: string
+ *               variables:
+ *                 type: object
+ *               challengeVariableAnswers:
+ *                 type: object
+ *     responses:
+ *       201:
+ *         description: Preview estimate.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/SandboxPreviewResult'
+ *       400:
+ *         description: Invalid draft decision (code INVALID_SANDBOX_DECISION).
+ *       402:
+ *         description: The class's AI budget is exhausted (code AI_BUDGET_EXCEEDED).
+ *       403:
+ *         description: Not enrolled (code NOT_ENROLLED) or previews are disabled for the challenge (code SANDBOX_DISABLED).
+ *       409:
+ *         description: The challenge is not open (code CHALLENGE_NOT_OPEN) or the student has no profile (code PROFILE_NOT_FOUND).
+ *       429:
+ *         description: Preview cap reached (code SANDBOX_PREVIEW_LIMIT) or too many requests (code SANDBOX_RATE_LIMITED).
+ */
+router.post(
+  "/student/decision/sandbox",
+  requireMemberAuth(),
+  previewRateLimit,
+  controller.runPreview
+);
+
+/**
+ * @openapi
+ * /v1/student/decision/sandbox:
+ *   get:
+ *     summary: List draft decision previews
+ *     description: The student's previews for a challenge, newest first, with the remaining allowance.
+ *     tags:
+ *       - Decisions
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: challengeId
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Previews and allowance.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     previews:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SandboxPreview'
+ *                     isEstimate:
+ *                       type: boolean
+ *                     disclaimer:
+ *                       type: string
+ *                     limit:
+ *                       type: integer
+ *                     used:
+ *                       type: integer
+ *                     remaining:
+ *                       type: integer
+ */
+router.get(
+  "/student/decision/sandbox",
+  requireMemberAuth(),
+  controller.getPreviews
+);
+
+module.exports = router;
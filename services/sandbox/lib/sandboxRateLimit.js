@@ -0,0 +1,34 @@
+const { rateLimit } = require("express-rate-limit");
+
+/**
+ * Per-student burst limit for sandbox previews. This sits in front of the
+ * per-challenge preview cap so a student can't fire off several AI calls at
+ * once before the first preview is counted.
+ *
+ * Keyed by Member id, so it must be mounted after requireMemberAuth().
+ *
+ * @param {Object} [options]
+ * @param {number} [options.windowMs] - Window length (SANDBOX_RATE_LIMIT_WINDOW_MS, default 60s)
+ * @param {number} [options.max] - Requests per window (SANDBOX_RATE_LIMIT_MAX, default 3)
+ */
+function createSandboxRateLimit({
+  windowMs = Number(process.env.SANDBOX_RATE_LIMIT_WINDOW_MS || 60000),
+  max = Number(process.env.SANDBOX_RATE_LIMIT_MAX || 3),
+} = {}) {
+  return rateLimit({
+    windowMs,
+    limit: max,
+    standardHeaders: "draft-7",
+    legacyHeaders: false,
+    keyGenerator: (req) => String(req.user?._id || req.clerkUser?.id || req.ip),
+    handler: (req, res) => {
+      res.status(429).json({
+        error: "Too many preview requests. Please wait a moment and try again.",
+        code: "SANDBOX_RATE_LIMITED",
+        details: { windowMs, limit: max },
+      });
+    },
+  });
+}
+
+module.exports = { createSandboxRateLimit };
@@ -0,0 +1,63 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const express = require("express");
+const { createSandboxRateLimit } = require("./sandboxRateLimit");
+
+async function withServer(app, fn) {
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+function buildApp(limiter) {
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = { _id: req.headers["x-member"] };
+    next();
+  });
+  app.post("/preview", limiter, (req, res) => res.json({ ok: true }));
+  return app;
+}
+
+test("createSandboxRateLimit: rejects requests over the limit with a structured 429", async () => {
+  const app = buildApp(createSandboxRateLimit({ windowMs: 60000, max: 1 }));
+
+  await withServer(app, async (base) => {
+    const first = await fetch(`${base}/preview`, {
+      method: "POST",
+      headers: { "x-member": "m1" },
+    });
+    assert.strictEqual(first.status, 200);
+    assert.ok(first.headers.get("ratelimit"));
+
+    const second = await fetch(`${base}/preview`, {
+      method: "POST",
+      headers: { "x-member": "m1" },
+    });
+    assert.strictEqual(second.status, 429);
+    const body = await second.json();
+    assert.strictEqual(body.code, "SANDBOX_RATE_LIMITED");
+    assert.deepStrictEqual(body.details, { windowMs: 60000, limit: 1 });
+  });
+});
+
+test("createSandboxRateLimit: limits each student separately", async () => {
+  const app = buildApp(createSandboxRateLimit({ windowMs: 60000, max: 1 }));
+
+  await withServer(app, async (base) => {
+    const a = await fetch(`${base}/preview`, {
+      method: "POST",
+      headers: { "x-member": "m1" },
+    });
+    const b = await fetch(`${base}/preview`, {
+      method: "POST",
+      headers: { "x-member": "m2" },
+    });
+    assert.strictEqual(a.status, 200);
+    assert.strictEqual(b.status, 200);
+  });
+});
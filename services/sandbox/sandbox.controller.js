@@ -0,0 +1,137 @@
+const Challenge = require("../challenge/challenge.model");
+const Enrollment = require("../enrollment/enrollment.model");
+const SandboxPreview = require("./sandboxPreview.model");
+const { makeSandboxError } = require("./sandbox.errors");
+
+function handleSandboxError(res, error) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code,
+      details: error.details,
+    });
+  }
+  return res.status(500).json({ error: error.message });
+}
+
+/**
+ * Load the challenge and make sure the member is enrolled in its class.
+ * Team members preview (and share an allowance) as their team's anchor,
+ * whose profile the simulation runs against.
+ */
+async function loadChallengeForMember(challengeId, member) {
+  if (!challengeId) {
+    throw makeSandboxError("challengeId is required", 400, "CHALLENGE_ID_REQUIRED");
+  }
+  const challenge = await Challenge.findById(challengeId);
+  if (!challenge) {
+    throw makeSandboxError("Challenge not found", 404, "CHALLENGE_NOT_FOUND");
+  }
+  const isEnrolled = await Enrollment.isUserEnrolled(
+    challenge.classroomId,
+    member._id
+  );
+  if (!isEnrolled) {
+    throw makeSandboxError(
+      "User is not enrolled in this class",
+      403,
+      "NOT_ENROLLED"
+    );
+  }
+  const Team = require("../team/team.model");
+  const { subjectId } = await Team.resolveSubject(challenge.classroomId, member._id);
+  return { challenge, subjectId };
+}
+
+function formatAllowance(allowance) {
+  return {
+    limit: allowance.limit,
+    used: allowance.used,
+    remaining: allowance.remaining,
+  };
+}
+
+/**
+ * Preview a draft decision (student). Runs the simulation against the
+ * student's current state and returns an estimate without touching the
+ * ledger or the student's submission.
+ * POST /api/student/decision/sandbox
+ */
+exports.runPreview = async function (req, res) {
+  try {
+    const { challengeId, variables, challengeVariableAnswers } = req.body;
+    const member = req.user;
+    const clerkUserId = req.clerkUser.id;
+
+    if (!variables || typeof variables !== "object" || Array.isArray(variables)) {
+      throw makeSandboxError("variables object is required", 400, "INVALID_SANDBOX_DECISION");
+    }
+    if (
+      challengeVariableAnswers !== undefined &&
+      (!challengeVariableAnswers ||
+        typeof challengeVariableAnswers !== "object" ||
+        Array.isArray(challengeVariableAnswers))
+    ) {
+      throw makeSandboxError(
+        "challengeVariableAnswers must be an object",
+        400,
+        "INVALID_SANDBOX_DECISION"
+      );
+    }
+
+    const { subjectId } = await loadChallengeForMember(challengeId, member);
+
+    const { preview, allowance } = await SandboxPreview.runPreview({
+      challengeId,
+      userId: subjectId,
+      variables,
+      challengeVariableAnswers,
+      clerkUserId,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        preview,
+        isEstimate: true,
+        disclaimer: SandboxPreview.SANDBOX_DISCLAIMER,
+        ...formatAllowance(allowance),
+      },
+    });
+  } catch (error) {
+    console.error("Error running sandbox preview:", error);
+    handleSandboxError(res, error);
+  }
+};
+
+/**
+ * List the student's previews for a challenge with the remaining allowance.
+ * GET /api/student/decision/sandbox?challengeId=
+ */
+exports.getPreviews = async function (req, res) {
+  try {
+    const { challengeId } = req.query;
+    const member = req.user;
+
+    const { subjectId } = await loadChallengeForMember(challengeId, member);
+
+    const { previews, allowance } = await SandboxPreview.getPreviews({
+      challengeId,
+      userId: subjectId,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        enabled: allowance.enabled,
+        previews,
+        isEstimate: true,
+        disclaimer: SandboxPreview.SANDBOX_DISCLAIMER,
+        ...formatAllowance(allowance),
+      },
+    });
+  } catch (error) {
+    console.error("Error getting sandbox previews:", error);
+    handleSandboxError(res, error);
+  }
+};
@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const controller = require("./sandbox.controller");
+
+test("sandbox controller exports handlers", () => {
+  assert.equal(typeof controller.runPreview, "function");
+  assert.equal(typeof controller.getPreviews, "function");
+});
+
+test("runPreview rejects a missing variables object before any lookup", async () => {
+  let statusCode;
+  let body;
+  const res = {
+    status(code) {
+      statusCode = code;
+      return this;
+    },
+    json(payload) {
+      body = payload;
+      return this;
+    },
+  };
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    await controller.runPreview(
+      {
+        body: { challengeId: "c1" },
+        user: { _id: "m1" },
+        clerkUser: { id: "clerk_1" },
+      },
+      res
+    );
+  } finally {
+    console.error = originalError;
+  }
+  assert.equal(statusCode, 400);
+  assert.equal(body.code, "INVALID_SANDBOX_DECISION");
+});
@@ -0,0 +1,381 @@
+const mongoose = require("mongoose");
+const baseSchema = require("../../lib/baseSchema");
+const { makeSandboxError } = require("./sandbox.errors");
+// Note: Challenge, Decision, Profile, LedgerEntry and the simulation worker are
+// required inside functions to avoid circular dependencies
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     SandboxPreview:
+ *       type: object
+ *       description: A what-if estimate for a draft decision. Never written to the ledger and never graded.
+ *       properties:
+ *         _id:
+ *           type: string
+ *         classroomId:
+ *           type: string
+ *         challengeId:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         variables:
+ *           type: object
+ *           description: The draft decision variables (defaults applied).
+ *         challengeVariableAnswers:
+ *           type: object
+ *         metrics:
+ *           type: object
+ *           description: Estimated metric values keyed by MetricDefinition.key.
+ *         summary:
+ *           type: string
+ *         isEstimate:
+ *           type: boolean
+ *           description: Always true.
+ *         engine:
+ *           type: string
+ *           enum: [ai, formula]
+ *         model:
+ *           type: string
+ *         createdDate:
+ *           type: string
+ *           format: date-time
+ */
+
+const SANDBOX_DISCLAIMER =
+  "Estimate only. Previews ignore this week's market events and may differ from your actual result.";
+
+const sandboxPreviewSchema = new mongoose.Schema({
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Classroom",
+    required: true,
+  },
+  challengeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Challenge",
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    required: true,
+  },
+  variables: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  challengeVariableAnswers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  metrics: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  summary: {
+    type: String,
+    default: "",
+  },
+  isEstimate: {
+    type: Boolean,
+    default: true,
+    immutable: true,
+  },
+  engine: {
+    type: String,
+    enum: ["ai", "formula"],
+    default: "ai",
+  },
+  provider: {
+    type: String,
+    default: null,
+  },
+  model: {
+    type: String,
+    default: null,
+  },
+}).add(baseSchema);
+
+sandboxPreviewSchema.index({ challengeId: 1, userId: 1, createdDate: -1 });
+
+/**
+ * The challenge's sandbox settings with defaults applied.
+ */
+function resolveSandboxSettings(challenge) {
+  const settings = challenge?.sandbox || {};
+  return {
+    enabled: settings.enabled === true,
+    maxPreviewsPerStudent: Number.isInteger(settings.maxPreviewsPerStudent)
+      ? settings.maxPreviewsPerStudent
+      : 3,
+  };
+}
+
+/**
+ * Whether students can currently submit (and so preview) for a challenge.
+ */
+function isOpenForPreview(challenge, now = new Date()) {
+  const Challenge = require("../challenge/challenge.model");
+  return (
+    challenge.isPublished === true &&
+    Challenge.hasStarted(challenge, now) &&
+    !challenge.isClosed &&
+    !challenge.isLockedForStudents
+  );
+}
+
+/**
+ * Validate a draft decision the same way a submission is validated and
+ * return it in the shape the simulation expects.
+ */
+async function buildDraftDecision({
+  classroomId,
+  challengeId,
+  userId,
+  variables,
+  challengeVariableAnswers,
+  round = null,
+}) {
+  const Challenge = require("../challenge/challenge.model");
+  const Decision = require("../decision/decision.model");
+  const VariableDefinition = require("../variableDefinition/variableDefinition.model");
+
+  // On multi-round challenges only the open round's variables are previewed
+  const options = { challengeId, keys: Challenge.roundVariableKeys(round) };
+  const validation = await Decision.validateSubmissionVariables(
+    classroomId,
+    variables,
+    challengeId,
+    options
+  );
+  if (!validation.isValid) {
+    throw makeSandboxError(
+      `Invalid decision variables: ${validation.errors.map((e) => e.message).join(", ")}`,
+      400,
+      "INVALID_SANDBOX_DECISION",
+      { errors: validation.errors }
+    );
+  }
+
+  const withDefaults = await VariableDefinition.applyDefaults(
+    classroomId,
+    "decision",
+    variables,
+    options
+  );
+  const draftVariables = await VariableDefinition.filterVariablesByActiveDefinitions(
+    classroomId,
+    "decision",
+    withDefaults,
+    options
+  );
+
+  let answers;
+  try {
+    answers = await Decision.prepareChallengeVariableAnswers(
+      classroomId,
+      challengeId,
+      challengeVariableAnswers
+    );
+  } catch (error) {
+    throw makeSandboxError(error.message, 400, "INVALID_SANDBOX_DECISION");
+  }
+
+  return {
+    classroomId,
+    challengeId,
+    userId,
+    variables: draftVariables,
+    challengeVariableAnswers: answers,
+    ...(round ? { roundKey: round.key } : {}),
+  };
+}
+
+/**
+ * Previews used and remaining for a student on a challenge.
+ */
+sandboxPreviewSchema.statics.getAllowance = async function (challenge, userId) {
+  const settings = resolveSandboxSettings(challenge);
+  const used = await this.countDocuments({
+    challengeId: challenge._id,
+    userId,
+  });
+  return {
+    enabled: settings.enabled,
+    limit: settings.maxPreviewsPerStudent,
+    used,
+    remaining: Math.max(0, settings.maxPreviewsPerStudent - used),
+  };
+};
+
+/**
+ * Run a what-if simulation of a draft decision against the student's profile
+ * and released ledger history. The result is stored as a SandboxPreview (for
+ * the per-student cap and the student's own comparison) and is never written
+ * as a LedgerEntry. The instructor's outcome is withheld, so previews carry no
+ * realized market conditions or random events.
+ *
+ * @returns {Promise<{ preview: Object, allowance: Object }>}
+ */
+sandboxPreviewSchema.statics.runPreview = async function ({
+  challengeId,
+  userId,
+  variables,
+  challengeVariableAnswers,
+  clerkUserId,
+  now = new Date(),
+}) {
+  const Challenge = require("../challenge/challenge.model");
+  const Profile = require("../profile/profile.model");
+  const LedgerEntry = require("../ledger/ledger.model");
+  const MetricDefinition = require("../metricDefinition/metricDefinition.model");
+  const AIUsage = require("../aiUsage/aiUsage.model");
+  const SimulationWorker = require("../job/lib/simulationWorker");
+
+  const challenge = await Challenge.findById(challengeId);
+  if (!challenge) {
+    throw makeSandboxError("Challenge not found", 404, "CHALLENGE_NOT_FOUND");
+  }
+  if (!resolveSandboxSettings(challenge).enabled) {
+    throw makeSandboxError(
+      "Previews are not enabled for this challenge",
+      403,
+      "SANDBOX_DISABLED"
+    );
+  }
+  if (!isOpenForPreview(challenge, now)) {
+    throw makeSandboxError(
+      "Previews are only available while the challenge is open",
+      409,
+      "CHALLENGE_NOT_OPEN"
+    );
+  }
+
+  const allowance = await this.getAllowance(challenge, userId);
+  if (allowance.remaining <= 0) {
+    throw makeSandboxError(
+      "You have used all previews for this challenge",
+      429,
+      "SANDBOX_PREVIEW_LIMIT",
+      { limit: allowance.limit, used: allowance.used }
+    );
+  }
+
+  const round = Challenge.hasRounds(challenge)
+    ? Challenge.getOpenRound(challenge, now)
+    : null;
+  if (Challenge.hasRounds(challenge) && !round) {
+    throw makeSandboxError(
+      "Previews are only available while a round is open",
+      409,
+      "CHALLENGE_NOT_OPEN"
+    );
+  }
+
+  const classroomId = challenge.classroomId;
+  const decision = await buildDraftDecision({
+    classroomId,
+    challengeId: challenge._id,
+    userId,
+    variables,
+    challengeVariableAnswers,
+    round,
+  });
+
+  const profile = await Profile.getStoreForSimulation(classroomId, userId);
+  if (!profile) {
+    throw makeSandboxError(
+      "Set up your profile before running a preview",
+      409,
+      "PROFILE_NOT_FOUND"
+    );
+  }
+
+  const { ledgerHistory, priorMetrics } = await SimulationWorker.fetchPriorState(
+    classroomId,
+    userId,
+    challenge._id,
+    { releasedOnly: true }
+  );
+
+  const scenario = await Challenge.getScenarioById(challenge._id);
+  if (round) scenario.round = Challenge.describeRound(challenge, round.key);
+
+  const result = await LedgerEntry.runAISimulation({
+    profile,
+    challenge: scenario,
+    outcome: null,
+    decision,
+    ledgerHistory,
+    priorMetrics,
+  });
+  const meta = result.aiMetadata || {};
+
+  await AIUsage.recordUsage({
+    source: "sandbox",
+    provider: meta.provider,
+    model: meta.response?.model || meta.model,
+    usage: meta.usage || meta.response?.usage,
+    organizationId: challenge.organization,
+    classroomId,
+    challengeId: challenge._id,
+    userId,
+    clerkUserId,
+  });
+
+  const metricDefs = await MetricDefinition.getActive(classroomId);
+  const preview = await this.create({
+    classroomId,
+    challengeId: challenge._id,
+    userId,
+    variables: decision.variables,
+    challengeVariableAnswers: decision.challengeVariableAnswers,
+    metrics: LedgerEntry.extractMetricsFromAIResult(result, metricDefs),
+    summary: result.summary || "",
+    engine: meta.engine || "ai",
+    provider: meta.provider || null,
+    model: meta.model || null,
+    organization: challenge.organization,
+    createdBy: clerkUserId,
+    updatedBy: clerkUserId,
+  });
+
+  return {
+    preview: preview.toObject(),
+    allowance: {
+      ...allowance,
+      used: allowance.used + 1,
+      remaining: allowance.remaining - 1,
+    },
+  };
+};
+
+/**
+ * A student's previews for a challenge, newest first, with their allowance.
+ */
+sandboxPreviewSchema.statics.getPreviews = async function ({ challengeId, userId }) {
+  const Challenge = require("../challenge/challenge.model");
+  const challenge = await Challenge.findById(challengeId);
+  if (!challenge) {
+    throw makeSandboxError("Challenge not found", 404, "CHALLENGE_NOT_FOUND");
+  }
+
+  const previews = await this.find({ challengeId: challenge._id, userId })
+    .sort({ createdDate: -1 })
+    .lean();
+  return {
+    challenge,
+    previews,
+    allowance: await this.getAllowance(challenge, userId),
+  };
+};
+
+sandboxPreviewSchema.statics.resolveSandboxSettings = resolveSandboxSettings;
+sandboxPreviewSchema.statics.isOpenForPreview = isOpenForPreview;
+sandboxPreviewSchema.statics.SANDBOX_DISCLAIMER = SANDBOX_DISCLAIMER;
+
+const SandboxPreview = mongoose.model("SandboxPreview", sandboxPreviewSchema);
+
+module.exports = SandboxPreview;
@@ -0,0 +1,192 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const SandboxPreview = require("./sandboxPreview.model");
+const Challenge = require("../challenge/challenge.model");
+const Decision = require("../decision/decision.model");
+const VariableDefinition = require("../variableDefinition/variableDefinition.model");
+const Profile = require("../profile/profile.model");
+const LedgerEntry = require("../ledger/ledger.model");
+const MetricDefinition = require("../metricDefinition/metricDefinition.model");
+const AIUsage = require("../aiUsage/aiUsage.model");
+const SimulationWorker = require("../job/lib/simulationWorker");
+
+const classroomId = new mongoose.Types.ObjectId();
+const challengeId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+const organization = new mongoose.Types.ObjectId();
+
+function stub(t, target, key, value) {
+  const original = target[key];
+  target[key] = value;
+  t.after(() => {
+    target[key] = original;
+  });
+}
+
+function buildChallenge(overrides = {}) {
+  return {
+    _id: challengeId,
+    classroomId,
+    organization,
+    isPublished: true,
+    isClosed: false,
+    isLockedForStudents: false,
+    publishAt: null,
+    sandbox: { enabled: true, maxPreviewsPerStudent: 2 },
+    ...overrides,
+  };
+}
+
+/**
+ * Stub everything runPreview touches. Returns the calls it observed.
+ */
+function stubPreviewDependencies(t, { challenge = buildChallenge(), used = 0 } = {}) {
+  const calls = { simulation: null, usage: null, created: null, ledgerWrites: 0 };
+
+  stub(t, Challenge, "findById", async () => challenge);
+  stub(t, Challenge, "getScenarioById", async () => ({ ...challenge, title: "Week 1" }));
+  stub(t, SandboxPreview, "countDocuments", async () => used);
+  stub(t, Decision, "validateSubmissionVariables", async () => ({
+    isValid: true,
+    errors: [],
+  }));
+  stub(t, Decision, "prepareChallengeVariableAnswers", async (_c, _ch, answers) => answers || {});
+  stub(t, VariableDefinition, "applyDefaults", async (_c, _s, vars) => ({
+    staff: 2,
+    ...vars,
+  }));
+  stub(t, VariableDefinition, "filterVariablesByActiveDefinitions", async (_c, _s, vars) => vars);
+  stub(t, Profile, "getStoreForSimulation", async () => ({ storeType: "cafe" }));
+  stub(t, SimulationWorker, "fetchPriorState", async (_c, _u, _ch, options) => {
+    calls.priorStateOptions = options;
+    return { ledgerHistory: [], priorMetrics: {} };
+  });
+  stub(t, LedgerEntry, "runAISimulation", async (context) => {
+    calls.simulation = context;
+    return {
+      summary: "Sales rose.",
+      randomEvent: null,
+      revenue: 1200,
+      aiMetadata: {
+        model: "gpt-4o",
+        provider: "openai",
+        engine: "ai",
+        response: { model: "gpt-4o-2024", usage: { prompt_tokens: 10 } },
+      },
+    };
+  });
+  stub(t, MetricDefinition, "getActive", async () => [{ key: "revenue" }]);
+  stub(t, LedgerEntry, "extractMetricsFromAIResult", (result) => ({
+    revenue: result.revenue,
+  }));
+  stub(t, LedgerEntry, "create", async () => {
+    calls.ledgerWrites += 1;
+  });
+  stub(t, AIUsage, "recordUsage", async (entry) => {
+    calls.usage = entry;
+  });
+  stub(t, SandboxPreview, "create", async (doc) => {
+    calls.created = doc;
+    return { toObject: () => ({ ...doc, isEstimate: true }) };
+  });
+
+  return calls;
+}
+
+test("resolveSandboxSettings defaults to disabled with three previews", () => {
+  assert.deepEqual(SandboxPreview.resolveSandboxSettings({}), {
+    enabled: false,
+    maxPreviewsPerStudent: 3,
+  });
+  assert.deepEqual(
+    SandboxPreview.resolveSandboxSettings({
+      sandbox: { enabled: true, maxPreviewsPerStudent: 0 },
+    }),
+    { enabled: true, maxPreviewsPerStudent: 0 }
+  );
+});
+
+test("isEstimate defaults to true", () => {
+  const preview = new SandboxPreview({ classroomId, challengeId, userId });
+  assert.equal(preview.isEstimate, true);
+});
+
+test("runPreview simulates the draft without an outcome and never writes a ledger entry", async (t) => {
+  const calls = stubPreviewDependencies(t);
+
+  const { preview, allowance } = await SandboxPreview.runPreview({
+    challengeId,
+    userId,
+    variables: { price: 5 },
+    clerkUserId: "clerk_1",
+  });
+
+  assert.equal(calls.simulation.outcome, null);
+  assert.deepEqual(calls.simulation.decision.variables, { staff: 2, price: 5 });
+  assert.equal(String(calls.simulation.decision.userId), String(userId));
+  assert.deepEqual(calls.priorStateOptions, { releasedOnly: true });
+  assert.equal(calls.ledgerWrites, 0);
+
+  assert.equal(calls.usage.source, "sandbox");
+  assert.equal(calls.usage.model, "gpt-4o-2024");
+  assert.equal(String(calls.usage.classroomId), String(classroomId));
+
+  assert.deepEqual(preview.metrics, { revenue: 1200 });
+  assert.equal(preview.isEstimate, true);
+  assert.equal(preview.summary, "Sales rose.");
+  assert.deepEqual(allowance, { enabled: true, limit: 2, used: 1, remaining: 1 });
+});
+
+test("runPreview rejects when the instructor has not enabled previews", async (t) => {
+  const calls = stubPreviewDependencies(t, {
+    challenge: buildChallenge({ sandbox: { enabled: false } }),
+  });
+
+  await assert.rejects(
+    SandboxPreview.runPreview({ challengeId, userId, variables: {} }),
+    (error) => error.statusCode === 403 && error.code === "SANDBOX_DISABLED"
+  );
+  assert.equal(calls.simulation, null);
+});
+
+test("runPreview rejects once the student reaches the preview cap", async (t) => {
+  const calls = stubPreviewDependencies(t, { used: 2 });
+
+  await assert.rejects(
+    SandboxPreview.runPreview({ challengeId, userId, variables: {} }),
+    (error) =>
+      error.statusCode === 429 &&
+      error.code === "SANDBOX_PREVIEW_LIMIT" &&
+      error.details.limit === 2 &&
+      error.details.used === 2
+  );
+  assert.equal(calls.simulation, null);
+});
+
+test("runPreview rejects closed or unpublished challenges", async (t) => {
+  stubPreviewDependencies(t, { challenge: buildChallenge({ isClosed: true }) });
+
+  await assert.rejects(
+    SandboxPreview.runPreview({ challengeId, userId, variables: {} }),
+    (error) => error.statusCode === 409 && error.code === "CHALLENGE_NOT_OPEN"
+  );
+});
+
+test("runPreview rejects invalid draft variables", async (t) => {
+  const calls = stubPreviewDependencies(t);
+  stub(t, Decision, "validateSubmissionVariables", async () => ({
+    isValid: false,
+    errors: [{ field: "price", message: "price must be a number" }],
+  }));
+
+  await assert.rejects(
+    SandboxPreview.runPreview({ challengeId, userId, variables: { price: "x" } }),
+    (error) =>
+      error.statusCode === 400 &&
+      error.code === "INVALID_SANDBOX_DECISION" &&
+      error.details.errors.length === 1
+  );
+  assert.equal(calls.simulation, null);
+});
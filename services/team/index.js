@@ -0,0 +1,407 @@
+/**
+ * Team Service Routes
+ *
+ * Teams of students who co-manage one shop: admin team management, and the
+ * shared decision drafts members finalize by designated submitter or
+ * majority vote.
+ * Mounted at: /v1
+ */
+const express = require("express");
+const controller = require("./team.controller");
+const router = express.Router();
+
+const { requireAuth, checkRole, requireMemberAuth } = require("../../middleware/auth");
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     TeamInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         memberIds:
+ *           type: array
+ *           description: Students in the class, each on at most one active team. Only the anchor may already have a profile or decisions.
+ *           items:
+ *             type: string
+ *         anchorMemberId:
+ *           type: string
+ *           description: Create only. Defaults to the member who already has a profile or decisions, else the first member.
+ *         finalization:
+ *           type: object
+ *           properties:
+ *             mode:
+ *               type: string
+ *               enum: [submitter, majority]
+ *               default: submitter
+ *             submitterId:
+ *               type: string
+ *               description: Designated submitter (submitter mode). Defaults to the anchor.
+ *     TeamDraftResult:
+ *       type: object
+ *       properties:
+ *         draft:
+ *           $ref: '#/components/schemas/TeamDecisionDraft'
+ *         decision:
+ *           nullable: true
+ *           description: The submitted team decision, when this request finalized the draft.
+ *           allOf:
+ *             - $ref: '#/components/schemas/Decision'
+ *         approvals:
+ *           type: array
+ *           description: Members approving the current revision (vote only).
+ *           items:
+ *             type: string
+ *         required:
+ *           type: integer
+ *           description: Approvals needed to finalize (vote only).
+ */
+
+/**
+ * @openapi
+ * /v1/admin/class/{classroomId}/teams:
+ *   get:
+ *     summary: List class teams
+ *     description: Active teams with their members. Requires org:admin role.
+ *     tags:
+ *       - Teams
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: includeDisbanded
+ *         in: query
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Teams.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Team'
+ *       404:
+ *         description: Class not found.
+ *   post:
+ *     summary: Create a team
+ *     description: The team shares the anchor member's Profile, decisions and ledger. Requires org:admin role.
+ *     tags:
+ *       - Teams
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TeamInput'
+ *     responses:
+ *       201:
+ *         description: Created team.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Team'
+ *       400:
+ *         description: Invalid team (codes INVALID_TEAM, TEAM_MEMBER_NOT_ENROLLED).
+ *       409:
+ *         description: A member is on another team (code TEAM_MEMBER_CONFLICT) or a non-anchor member already has a shop (code TEAM_MEMBER_HAS_SHOP).
+ */
+router.get("/admin/class/:classroomId/teams", requireAuth(), checkRole("org:admin"), controller.listTeams);
+router.post("/admin/class/:classroomId/teams", requireAuth(), checkRole("org:admin"), controller.createTeam);
+
+/**
+ * @openapi
+ * /v1/admin/class/{classroomId}/teams/{teamId}:
+ *   put:
+ *     summary: Update a team
+ *     description: Rename the team, change its members (the anchor stays; new members must not have a shop) or how it finalizes drafts. Requires org:admin role.
+ *     tags:
+ *       - Teams
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: teamId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TeamInput'
+ *     responses:
+ *       200:
+ *         description: Updated team.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Team'
+ *       400:
+ *         description: Invalid team (codes INVALID_TEAM, TEAM_MEMBER_NOT_ENROLLED, TEAM_ANCHOR_REQUIRED).
+ *       404:
+ *         description: Team not found (code TEAM_NOT_FOUND).
+ *       409:
+ *         description: Disbanded (code TEAM_DISBANDED), member conflict (code TEAM_MEMBER_CONFLICT) or a new member has a shop (code TEAM_MEMBER_HAS_SHOP).
+ *   delete:
+ *     summary: Disband a team
+ *     description: The team's Profile, decisions and ledger stay with the anchor member; the other members start without a shop. Requires org:admin role.
+ *     tags:
+ *       - Teams
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: teamId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Disbanded team.
+ *       404:
+ *         description: Team not found (code TEAM_NOT_FOUND).
+ *       409:
+ *         description: Already disbanded (code TEAM_DISBANDED).
+ */
+router.put("/admin/class/:classroomId/teams/:teamId", requireAuth(), checkRole("org:admin"), controller.updateTeam);
+router.delete("/admin/class/:classroomId/teams/:teamId", requireAuth(), checkRole("org:admin"), controller.disbandTeam);
+
+/**
+ * @openapi
+ * /v1/student/class/{classroomId}/team:
+ *   get:
+ *     summary: Get my team
+ *     description: The student's active team in the class with its members, or null.
+ *     tags:
+ *       - Teams
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: classroomId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Team or null.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Team'
+ *       403:
+ *         description: Not enrolled in the class.
+ */
+router.get("/student/class/:classroomId/team", requireMemberAuth(), controller.getMyTeam);
+
+/**
+ * @openapi
+ * /v1/student/teams/{teamId}/drafts/{challengeId}:
+ *   get:
+ *     summary: Get the team's draft decision
+ *     description: The shared draft for the challenge (or round; defaults to the open round). Before anyone edits it, an unsaved revision 0 seeded from the team's submitted decision.
+ *     tags:
+ *       - Teams
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: teamId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: challengeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: roundKey
+ *         in: query
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Draft with its current approvals and the approvals required.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TeamDecisionDraft'
+ *       403:
+ *         description: Not on the team (code TEAM_MEMBER_REQUIRED).
+ *       404:
+ *         description: Team or challenge not found (codes TEAM_NOT_FOUND, CHALLENGE_NOT_FOUND).
+ *   put:
+ *     summary: Edit the team's draft decision
+ *     description: Merges the given values into the draft, records the member as their author, starts a new revision and clears votes. Send baseRevision to reject edits made against a stale copy.
+ *     tags:
+ *       - Teams
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: teamId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: challengeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               variables:
+ *                 type: object
+ *               challengeVariableAnswers:
+ *                 type: object
+ *               roundKey:
+ *                 type: string
+ *               baseRevision:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Saved draft.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TeamDecisionDraft'
+ *       400:
+ *         description: Invalid draft (code INVALID_TEAM_DRAFT) or unknown round (code UNKNOWN_ROUND).
+ *       409:
+ *         description: A teammate changed the draft (code TEAM_DRAFT_CONFLICT) or the challenge is not open (codes TEAM_CHALLENGE_NOT_OPEN, ROUND_NOT_OPEN).
+ */
+router.get("/student/teams/:teamId/drafts/:challengeId", requireMemberAuth(), controller.getDraft);
+router.put("/student/teams/:teamId/drafts/:challengeId", requireMemberAuth(), controller.saveDraft);
+
+/**
+ * @openapi
+ * /v1/student/teams/{teamId}/drafts/{challengeId}/submit:
+ *   post:
+ *     summary: Submit the team's draft decision
+ *     description: Designated-submitter teams only. Submits the draft as the team's decision and notifies teammates. Send revision to submit only the version reviewed.
+ *     tags:
+ *       - Teams
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: teamId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: challengeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               roundKey:
+ *                 type: string
+ *               revision:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Submitted draft and decision.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TeamDraftResult'
+ *       400:
+ *         description: The decision was rejected (invalid variables, challenge not open).
+ *       403:
+ *         description: Not the designated submitter (code TEAM_SUBMITTER_REQUIRED).
+ *       404:
+ *         description: No draft (code TEAM_DRAFT_NOT_FOUND).
+ *       409:
+ *         description: Majority-vote team (code TEAM_FINALIZATION_MODE), stale revision (code TEAM_DRAFT_CONFLICT) or already submitted (code TEAM_DRAFT_SUBMITTED).
+ */
+router.post("/student/teams/:teamId/drafts/:challengeId/submit", requireMemberAuth(), controller.submitDraft);
+
+/**
+ * @openapi
+ * /v1/student/teams/{teamId}/drafts/{challengeId}/vote:
+ *   post:
+ *     summary: Vote on the team's draft decision
+ *     description: Majority-vote teams only. Approves (or with approve false, withdraws approval of) the current revision. The vote that gives more than half the members submits the draft and notifies teammates.
+ *     tags:
+ *       - Teams
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: teamId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: challengeId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               roundKey:
+ *                 type: string
+ *               revision:
+ *                 type: integer
+ *               approve:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Draft, approvals and, when this vote finalized it, the decision.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TeamDraftResult'
+ *       400:
+ *         description: The decision was rejected (invalid variables, challenge not open).
+ *       404:
+ *         description: No draft (code TEAM_DRAFT_NOT_FOUND).
+ *       409:
+ *         description: Designated-submitter team (code TEAM_FINALIZATION_MODE) or stale revision (code TEAM_DRAFT_CONFLICT).
+ */
+router.post("/student/teams/:teamId/drafts/:challengeId/vote", requireMemberAuth(), controller.voteOnDraft);
+
+module.exports = router;
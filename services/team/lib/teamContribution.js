@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+/**
+ * Who on a team shaped a decision, stored on the Decision and copied to its
+ * LedgerEntry so the ledger records which member made each change.
+ */
+const teamContributionSchema = new mongoose.Schema(
+  {
+    teamId: { type: mongoose.Schema.Types.ObjectId, ref: "Team", required: true },
+    submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Member", default: null },
+    approvedBy: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Member" }],
+      default: [],
+    },
+    draftRevision: { type: Number, default: null },
+    authors: {
+      type: [
+        {
+          _id: false,
+          key: { type: String, required: true },
+          scope: { type: String, enum: ["variable", "answer"], default: "variable" },
+          memberId: { type: mongoose.Schema.Types.ObjectId, ref: "Member", required: true },
+          at: { type: Date, default: null },
+        },
+      ],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+module.exports = {
+  teamContributionSchema,
+};
@@ -0,0 +1,439 @@
+const { isDeepStrictEqual } = require("node:util");
+const mongoose = require("mongoose");
+const Team = require("../team.model");
+const TeamDecisionDraft = require("../teamDecisionDraft.model");
+const { makeTeamError } = require("../team.errors");
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * The member's active team, for student team routes.
+ */
+async function loadTeamForMember(teamId, memberId) {
+  const team = mongoose.Types.ObjectId.isValid(teamId)
+    ? await Team.findOne({ _id: teamId, status: "active" }).lean()
+    : null;
+  if (!team) {
+    throw makeTeamError("Team not found", 404, "TEAM_NOT_FOUND");
+  }
+  if (!team.memberIds.some((id) => String(id) === String(memberId))) {
+    throw makeTeamError("You are not a member of this team", 403, "TEAM_MEMBER_REQUIRED");
+  }
+  return team;
+}
+
+/**
+ * Drafts are kept per round on multi-round challenges (defaulting to the
+ * open round) and per challenge otherwise.
+ */
+function resolveRoundKey(challenge, roundKey) {
+  const Challenge = require("../../challenge/challenge.model");
+
+  if (!Challenge.hasRounds(challenge)) {
+    return null;
+  }
+  if (roundKey) {
+    if (!Challenge.getRound(challenge, roundKey)) {
+      throw makeTeamError(`Unknown round: ${roundKey}`, 400, "UNKNOWN_ROUND", { roundKey });
+    }
+    return roundKey;
+  }
+  const openRound = Challenge.getOpenRound(challenge);
+  if (!openRound) {
+    throw makeTeamError("No round is open for submissions", 409, "ROUND_NOT_OPEN", { roundKey: null });
+  }
+  return openRound.key;
+}
+
+function assertSameChallengeClass(team, challenge) {
+  if (String(challenge.classroomId) !== String(team.classroomId)) {
+    throw makeTeamError("Challenge not found", 404, "CHALLENGE_NOT_FOUND");
+  }
+}
+
+/**
+ * The team's draft, or an unsaved one (revision 0) seeded from the team's
+ * decision so members can start from what was last submitted.
+ */
+async function getDraft({ team, challenge, roundKey }) {
+  const Decision = require("../../decision/decision.model");
+
+  assertSameChallengeClass(team, challenge);
+  const key = resolveRoundKey(challenge, roundKey);
+  const draft = await TeamDecisionDraft.findOne({
+    teamId: team._id,
+    challengeId: challenge._id,
+    roundKey: key,
+  }).lean();
+  if (draft) {
+    return draft;
+  }
+
+  const decision = await Decision.getSubmission(team.classroomId, challenge._id, team.anchorMemberId);
+  const variables = key
+    ? (decision?.rounds || []).find((round) => round.roundKey === key)?.variables || {}
+    : decision?.variables || {};
+  return {
+    teamId: team._id,
+    classroomId: team.classroomId,
+    challengeId: challenge._id,
+    roundKey: key,
+    variables,
+    challengeVariableAnswers: decision?.challengeVariableAnswers || {},
+    revision: 0,
+    authors: [],
+    votes: [],
+    status: decision ? "submitted" : "drafting",
+    submittedRevision: null,
+    decisionId: decision?._id || null,
+  };
+}
+
+function changedKeys(current = {}, incoming = {}) {
+  return Object.keys(incoming).filter((key) => !isDeepStrictEqual(current[key], incoming[key]));
+}
+
+function conflict(draft) {
+  return makeTeamError(
+    "The draft was changed by a teammate. Reload it and try again.",
+    409,
+    "TEAM_DRAFT_CONFLICT",
+    { revision: draft?.revision ?? 0 }
+  );
+}
+
+/**
+ * Merge a member's changes into the team draft. Every edit starts a new
+ * revision and clears the votes on the old one. Pass baseRevision to reject
+ * edits made against a stale copy.
+ */
+async function saveDraft({
+  team,
+  challenge,
+  member,
+  roundKey,
+  variables = {},
+  challengeVariableAnswers,
+  baseRevision,
+  clerkUserId,
+  now = new Date(),
+}) {
+  assertSameChallengeClass(team, challenge);
+  if (!isPlainObject(variables)) {
+    throw makeTeamError("variables must be an object", 400, "INVALID_TEAM_DRAFT", { field: "variables" });
+  }
+  if (challengeVariableAnswers !== undefined && !isPlainObject(challengeVariableAnswers)) {
+    throw makeTeamError("challengeVariableAnswers must be an object", 400, "INVALID_TEAM_DRAFT", {
+      field: "challengeVariableAnswers",
+    });
+  }
+  if (baseRevision !== undefined && !Number.isInteger(baseRevision)) {
+    throw makeTeamError("baseRevision must be an integer", 400, "INVALID_TEAM_DRAFT", { field: "baseRevision" });
+  }
+  if (!challenge.isPublished || challenge.isClosed) {
+    throw makeTeamError("Challenge is not open for decisions", 409, "TEAM_CHALLENGE_NOT_OPEN");
+  }
+
+  const key = resolveRoundKey(challenge, roundKey);
+  const current = await getDraft({ team, challenge, roundKey: key });
+  if (baseRevision !== undefined && baseRevision !== current.revision) {
+    throw conflict(current);
+  }
+
+  const answers = challengeVariableAnswers || {};
+  const variableKeys = changedKeys(current.variables, variables);
+  const answerKeys = changedKeys(current.challengeVariableAnswers, answers);
+  if (variableKeys.length === 0 && answerKeys.length === 0 && current.revision > 0) {
+    return current;
+  }
+
+  const edited = [
+    ...variableKeys.map((key) => ({ key, scope: "variable" })),
+    ...answerKeys.map((key) => ({ key, scope: "answer" })),
+  ];
+  const authors = (current.authors || []).filter(
+    (author) => !edited.some((edit) => edit.key === author.key && edit.scope === author.scope)
+  );
+  edited.forEach((edit) => authors.push({ ...edit, memberId: member._id, at: now }));
+
+  const changes = {
+    variables: { ...current.variables, ...variables },
+    challengeVariableAnswers: { ...current.challengeVariableAnswers, ...answers },
+    revision: current.revision + 1,
+    authors,
+    votes: [],
+    status: "drafting",
+    updatedBy: clerkUserId,
+    updatedDate: now,
+  };
+
+  if (current.revision === 0) {
+    try {
+      const created = await TeamDecisionDraft.create({
+        teamId: team._id,
+        classroomId: team.classroomId,
+        challengeId: challenge._id,
+        roundKey: key,
+        decisionId: current.decisionId,
+        ...changes,
+        organization: team.organization,
+        createdBy: clerkUserId,
+      });
+      return created.toObject();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw conflict(null);
+      }
+      throw error;
+    }
+  }
+
+  // Conditional on the revision read above, so concurrent edits cannot overwrite each other
+  const saved = await TeamDecisionDraft.findOneAndUpdate(
+    { _id: current._id, revision: current.revision },
+    { $set: changes },
+    { new: true }
+  ).lean();
+  if (!saved) {
+    throw conflict(current);
+  }
+  return saved;
+}
+
+async function findSavedDraft({ team, challenge, roundKey, revision }) {
+  assertSameChallengeClass(team, challenge);
+  const key = resolveRoundKey(challenge, roundKey);
+  const draft = await TeamDecisionDraft.findOne({
+    teamId: team._id,
+    challengeId: challenge._id,
+    roundKey: key,
+  }).lean();
+  if (!draft) {
+    throw makeTeamError("The team has no draft for this challenge", 404, "TEAM_DRAFT_NOT_FOUND");
+  }
+  if (revision !== undefined && revision !== draft.revision) {
+    throw conflict(draft);
+  }
+  return draft;
+}
+
+/**
+ * Submit the draft as the team's Decision (stored under the anchor member)
+ * and record who shaped it. The draft is claimed first so two finalizations
+ * of the same revision cannot both submit.
+ */
+async function finalizeDraft({ team, challenge, draft, submittedBy, approvedBy, clerkUserId }) {
+  const Challenge = require("../../challenge/challenge.model");
+  const Decision = require("../../decision/decision.model");
+
+  const claimed = await TeamDecisionDraft.updateOne(
+    { _id: draft._id, revision: draft.revision, status: "drafting" },
+    { $set: { status: "submitted", submittedRevision: draft.revision } }
+  );
+  if (claimed.modifiedCount === 0) {
+    return { draft: await TeamDecisionDraft.findById(draft._id).lean(), decision: null };
+  }
+
+  const classroomId = team.classroomId;
+  const userId = team.anchorMemberId;
+  const challengeVariableAnswers =
+    Object.keys(draft.challengeVariableAnswers || {}).length > 0 ? draft.challengeVariableAnswers : undefined;
+
+  let decision;
+  let created = false;
+  try {
+    if (Challenge.hasRounds(challenge)) {
+      decision = await Decision.submitRound({
+        classroomId,
+        challengeId: challenge._id,
+        userId,
+        roundKey: draft.roundKey,
+        variables: draft.variables,
+        challengeVariableAnswers,
+        organizationId: team.organization,
+        clerkUserId,
+      });
+    } else if (await Decision.submissionExists(classroomId, challenge._id, userId)) {
+      decision = await Decision.updateSubmission(
+        classroomId,
+        challenge._id,
+        userId,
+        draft.variables,
+        team.organization,
+        clerkUserId,
+        { challengeVariableAnswers }
+      );
+    } else {
+      decision = await Decision.createSubmission(
+        classroomId,
+        challenge._id,
+        userId,
+        draft.variables,
+        team.organization,
+        clerkUserId,
+        { challengeVariableAnswers }
+      );
+      created = true;
+    }
+  } catch (error) {
+    await TeamDecisionDraft.updateOne(
+      { _id: draft._id, revision: draft.revision },
+      { $set: { status: "drafting", submittedRevision: null } }
+    );
+    throw error;
+  }
+
+  const contribution = {
+    teamId: team._id,
+    submittedBy,
+    approvedBy,
+    draftRevision: draft.revision,
+    authors: draft.authors || [],
+  };
+  await Decision.updateOne({ _id: decision._id }, { $set: { team: contribution } });
+  await TeamDecisionDraft.updateOne({ _id: draft._id }, { $set: { decisionId: decision._id } });
+
+  if (created) {
+    const AutomationTask = require("../../ai/automationTask.model");
+    AutomationTask.trigger("AFTER_STUDENT_SUBMISSION", {
+      classroomId,
+      challengeId: challenge._id,
+      decisionId: decision._id,
+      userId,
+      organizationId: team.organization,
+      clerkUserId,
+    }).catch((err) => {
+      console.error("Error triggering AFTER_STUDENT_SUBMISSION tasks:", err);
+    });
+  }
+
+  await notifyTeammates({ team, challenge, decision, submittedBy, clerkUserId }).catch((err) => {
+    console.error("Error notifying teammates of team submission:", err);
+  });
+
+  return {
+    draft: await TeamDecisionDraft.findById(draft._id).lean(),
+    decision: { ...decision, team: contribution },
+  };
+}
+
+async function notifyTeammates({ team, challenge, decision, submittedBy, clerkUserId }) {
+  const Notification = require("../../notifications/notifications.model");
+
+  const recipients = team.memberIds.filter((id) => String(id) !== String(submittedBy));
+  for (const recipientId of recipients) {
+    await Notification.create({
+      type: "web",
+      recipient: { id: recipientId, type: "Member", ref: "Member" },
+      title: `Team decision submitted: ${challenge.title}`,
+      message: `${team.name} submitted its decision for "${challenge.title}".`,
+      modelData: {
+        team: team._id,
+        challenge: challenge._id,
+        decision: decision._id,
+        member: recipientId,
+        classroom: team.classroomId,
+      },
+      organization: team.organization,
+      createdBy: clerkUserId,
+      updatedBy: clerkUserId,
+    });
+  }
+}
+
+/**
+ * Submit the draft (designated-submitter teams). Pass revision to submit
+ * only the version the submitter reviewed.
+ */
+async function submitDraft({ team, challenge, member, roundKey, revision, clerkUserId }) {
+  if (team.finalization?.mode !== "submitter") {
+    throw makeTeamError("This team finalizes decisions by majority vote", 409, "TEAM_FINALIZATION_MODE", {
+      mode: team.finalization?.mode,
+    });
+  }
+  if (String(team.finalization.submitterId) !== String(member._id)) {
+    throw makeTeamError("Only the team's designated submitter can submit", 403, "TEAM_SUBMITTER_REQUIRED", {
+      submitterId: team.finalization.submitterId,
+    });
+  }
+  const draft = await findSavedDraft({ team, challenge, roundKey, revision });
+  if (draft.status === "submitted") {
+    throw makeTeamError("This revision was already submitted", 409, "TEAM_DRAFT_SUBMITTED", {
+      revision: draft.revision,
+    });
+  }
+  return finalizeDraft({
+    team,
+    challenge,
+    draft,
+    submittedBy: member._id,
+    approvedBy: [member._id],
+    clerkUserId,
+  });
+}
+
+/**
+ * Approve (or withdraw approval of) the current revision (majority teams).
+ * The vote that gives a majority of current members submits the draft.
+ */
+async function voteOnDraft({ team, challenge, member, roundKey, revision, approve = true, clerkUserId, now = new Date() }) {
+  if (team.finalization?.mode !== "majority") {
+    throw makeTeamError("This team's designated submitter finalizes decisions", 409, "TEAM_FINALIZATION_MODE", {
+      mode: team.finalization?.mode,
+    });
+  }
+  const draft = await findSavedDraft({ team, challenge, roundKey, revision });
+  if (draft.status === "submitted") {
+    return { draft, decision: null, approvals: countApprovals(team, draft), required: Team.majorityOf(team) };
+  }
+
+  const update = approve
+    ? { $push: { votes: { memberId: member._id, revision: draft.revision, at: now } } }
+    : { $pull: { votes: { memberId: member._id } } };
+  const filter = approve
+    ? { _id: draft._id, revision: draft.revision, "votes.memberId": { $ne: member._id } }
+    : { _id: draft._id, revision: draft.revision };
+  await TeamDecisionDraft.updateOne(filter, update);
+
+  const voted = await TeamDecisionDraft.findById(draft._id).lean();
+  if (voted.revision !== draft.revision) {
+    throw conflict(voted);
+  }
+  const approvals = countApprovals(team, voted);
+  const required = Team.majorityOf(team);
+  if (!approve || approvals.length < required) {
+    return { draft: voted, decision: null, approvals, required };
+  }
+
+  const result = await finalizeDraft({
+    team,
+    challenge,
+    draft: voted,
+    submittedBy: member._id,
+    approvedBy: approvals,
+    clerkUserId,
+  });
+  return { ...result, approvals, required };
+}
+
+/**
+ * Current members who approved the draft's current revision.
+ */
+function countApprovals(team, draft) {
+  const members = new Set(team.memberIds.map(String));
+  return (draft.votes || [])
+    .filter((vote) => vote.revision === draft.revision && members.has(String(vote.memberId)))
+    .map((vote) => vote.memberId);
+}
+
+module.exports = {
+  loadTeamForMember,
+  resolveRoundKey,
+  getDraft,
+  saveDraft,
+  submitDraft,
+  voteOnDraft,
+  countApprovals,
+};
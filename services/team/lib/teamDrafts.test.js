@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const TeamDecisionDraft = require("../teamDecisionDraft.model");
+const Decision = require("../../decision/decision.model");
+const Notification = require("../../notifications/notifications.model");
+const AutomationTask = require("../../ai/automationTask.model");
+const { saveDraft, submitDraft, voteOnDraft } = require("./teamDrafts");
+
+const id = () => new mongoose.Types.ObjectId();
+const classroomId = id();
+const [ada, bob, cy] = [id(), id(), id()];
+const challenge = { _id: id(), classroomId, title: "Week 1", rounds: [], isPublished: true, isClosed: false };
+
+function makeTeam(finalization) {
+  return {
+    _id: id(),
+    classroomId,
+    organization: id(),
+    name: "Blue",
+    memberIds: [ada, bob, cy],
+    anchorMemberId: ada,
+    finalization,
+  };
+}
+
+function lean(result) {
+  return { lean: async () => result };
+}
+
+test("the first save creates revision 1 and records the author of each field", async (t) => {
+  const team = makeTeam({ mode: "submitter", submitterId: ada });
+  t.mock.method(TeamDecisionDraft, "findOne", () => lean(null));
+  t.mock.method(Decision, "getSubmission", async () => null);
+  const created = t.mock.method(TeamDecisionDraft, "create", async (doc) => ({ toObject: () => doc }));
+
+  const draft = await saveDraft({
+    team,
+    challenge,
+    member: { _id: bob },
+    variables: { price: 4, hours: 8 },
+    clerkUserId: "user_bob",
+  });
+
+  assert.equal(created.mock.callCount(), 1);
+  assert.equal(draft.revision, 1);
+  assert.deepEqual(draft.variables, { price: 4, hours: 8 });
+  assert.deepEqual(
+    draft.authors.map(({ key, scope, memberId }) => [key, scope, memberId]),
+    [
+      ["price", "variable", bob],
+      ["hours", "variable", bob],
+    ]
+  );
+});
+
+test("saving against a stale revision is a conflict", async (t) => {
+  const team = makeTeam({ mode: "submitter", submitterId: ada });
+  t.mock.method(TeamDecisionDraft, "findOne", () =>
+    lean({ _id: id(), revision: 3, variables: { price: 4 }, challengeVariableAnswers: {}, authors: [], votes: [] })
+  );
+
+  await assert.rejects(
+    saveDraft({ team, challenge, member: { _id: cy }, variables: { price: 5 }, baseRevision: 2, clerkUserId: "u" }),
+    { code: "TEAM_DRAFT_CONFLICT", details: { revision: 3 } }
+  );
+});
+
+test("only the designated submitter of a submitter-mode team can submit", async () => {
+  const submitterTeam = makeTeam({ mode: "submitter", submitterId: ada });
+  await assert.rejects(submitDraft({ team: submitterTeam, challenge, member: { _id: bob }, clerkUserId: "u" }), {
+    code: "TEAM_SUBMITTER_REQUIRED",
+  });
+
+  const majorityTeam = makeTeam({ mode: "majority", submitterId: null });
+  await assert.rejects(submitDraft({ team: majorityTeam, challenge, member: { _id: ada }, clerkUserId: "u" }), {
+    code: "TEAM_FINALIZATION_MODE",
+  });
+});
+
+test("the majority vote submits the draft under the anchor and notifies teammates", async (t) => {
+  const team = makeTeam({ mode: "majority", submitterId: null });
+  const draft = {
+    _id: id(),
+    revision: 2,
+    roundKey: null,
+    status: "drafting",
+    variables: { price: 4 },
+    challengeVariableAnswers: {},
+    authors: [{ key: "price", scope: "variable", memberId: bob }],
+    votes: [{ memberId: bob, revision: 2 }],
+  };
+  t.mock.method(TeamDecisionDraft, "findOne", () => lean(draft));
+  t.mock.method(TeamDecisionDraft, "updateOne", async () => ({ modifiedCount: 1 }));
+  t.mock.method(TeamDecisionDraft, "findById", () =>
+    lean({ ...draft, votes: [...draft.votes, { memberId: cy, revision: 2 }] })
+  );
+  t.mock.method(Decision, "submissionExists", async () => false);
+  const createSubmission = t.mock.method(Decision, "createSubmission", async () => ({ _id: "decision-1" }));
+  const stamped = t.mock.method(Decision, "updateOne", async () => ({}));
+  const notified = t.mock.method(Notification, "create", async () => ({}));
+  t.mock.method(AutomationTask, "trigger", async () => {});
+
+  const result = await voteOnDraft({ team, challenge, member: { _id: cy }, revision: 2, clerkUserId: "user_cy" });
+
+  assert.equal(result.required, 2);
+  assert.deepEqual(result.approvals, [bob, cy]);
+  assert.equal(createSubmission.mock.calls[0].arguments[2], ada);
+  assert.deepEqual(stamped.mock.calls[0].arguments[1].$set.team, {
+    teamId: team._id,
+    submittedBy: cy,
+    approvedBy: [bob, cy],
+    draftRevision: 2,
+    authors: draft.authors,
+  });
+  assert.deepEqual(
+    notified.mock.calls.map((call) => call.arguments[0].recipient.id),
+    [ada, bob]
+  );
+  assert.equal(result.decision.team.submittedBy, cy);
+});
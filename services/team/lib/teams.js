@@ -0,0 +1,277 @@
+const mongoose = require("mongoose");
+const Team = require("../team.model");
+const { makeTeamError } = require("../team.errors");
+
+function invalid(message, field) {
+  return makeTeamError(message, 400, "INVALID_TEAM", { field });
+}
+
+function toIdList(value, field) {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw invalid(`${field} must be a non-empty array of member IDs`, field);
+  }
+  const ids = [...new Set(value.map(String))];
+  if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    throw invalid(`${field} must contain valid member IDs`, field);
+  }
+  return ids;
+}
+
+/**
+ * Validate a create or update body. Fields left out of an update are undefined.
+ *
+ * @param {Object} body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false]
+ */
+function normalizeTeamInput(body = {}, { partial = false } = {}) {
+  const input = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      throw invalid("name is required", "name");
+    }
+    input.name = body.name.trim();
+  }
+  if (body.memberIds !== undefined || !partial) {
+    input.memberIds = toIdList(body.memberIds, "memberIds");
+  }
+  if (body.anchorMemberId !== undefined && body.anchorMemberId !== null) {
+    if (partial) {
+      throw invalid("anchorMemberId cannot change", "anchorMemberId");
+    }
+    if (!mongoose.Types.ObjectId.isValid(body.anchorMemberId)) {
+      throw invalid("anchorMemberId must be a valid member ID", "anchorMemberId");
+    }
+    input.anchorMemberId = String(body.anchorMemberId);
+  }
+  if (body.finalization !== undefined) {
+    const finalization = body.finalization || {};
+    const mode = finalization.mode ?? "submitter";
+    if (!["submitter", "majority"].includes(mode)) {
+      throw invalid("finalization.mode must be submitter or majority", "finalization.mode");
+    }
+    const submitterId = finalization.submitterId ?? null;
+    if (submitterId !== null && !mongoose.Types.ObjectId.isValid(submitterId)) {
+      throw invalid("finalization.submitterId must be a valid member ID", "finalization.submitterId");
+    }
+    input.finalization = { mode, submitterId: submitterId === null ? null : String(submitterId) };
+  }
+  return input;
+}
+
+/**
+ * Members must be students of the classroom and not on another active team.
+ */
+async function assertMembersAvailable(classroomId, memberIds, { teamId = null } = {}) {
+  const Enrollment = require("../../enrollment/enrollment.model");
+
+  const enrollments = await Enrollment.find({
+    classroomId,
+    userId: { $in: memberIds },
+    role: "member",
+    isRemoved: false,
+  })
+    .select("userId")
+    .lean();
+  const enrolled = new Set(enrollments.map((enrollment) => String(enrollment.userId)));
+  const notEnrolled = memberIds.filter((id) => !enrolled.has(id));
+  if (notEnrolled.length > 0) {
+    throw makeTeamError("Team members must be students in this class", 400, "TEAM_MEMBER_NOT_ENROLLED", {
+      memberIds: notEnrolled,
+    });
+  }
+
+  const others = await Team.find({
+    classroomId,
+    status: "active",
+    memberIds: { $in: memberIds },
+    ...(teamId ? { _id: { $ne: teamId } } : {}),
+  })
+    .select("name memberIds")
+    .lean();
+  if (others.length > 0) {
+    const wanted = new Set(memberIds);
+    throw makeTeamError("A student is already on another team", 409, "TEAM_MEMBER_CONFLICT", {
+      memberIds: others.flatMap((team) => team.memberIds.map(String).filter((id) => wanted.has(id))),
+    });
+  }
+}
+
+/**
+ * Members who already have a shop (a Profile or any Decision) in the classroom.
+ * Shops cannot be merged, so at most the anchor may have one.
+ */
+async function membersWithShops(classroomId, memberIds) {
+  const Profile = require("../../profile/profile.model");
+  const Decision = require("../../decision/decision.model");
+
+  const [profileUsers, decisionUsers] = await Promise.all([
+    Profile.distinct("userId", { classroomId, userId: { $in: memberIds } }),
+    Decision.distinct("userId", { classroomId, userId: { $in: memberIds } }),
+  ]);
+  return [...new Set([...profileUsers, ...decisionUsers].map(String))];
+}
+
+function resolveFinalization(finalization, { memberIds, anchorMemberId }) {
+  const mode = finalization?.mode || "submitter";
+  if (mode === "majority") {
+    return { mode, submitterId: null };
+  }
+  const submitterId = finalization?.submitterId || anchorMemberId;
+  if (!memberIds.includes(String(submitterId))) {
+    throw invalid("finalization.submitterId must be a team member", "finalization.submitterId");
+  }
+  return { mode, submitterId };
+}
+
+/**
+ * Create a team. The anchor (whose Profile and ledger the team shares) is
+ * the given anchorMemberId, else the one member who already has a shop,
+ * else the first member listed.
+ */
+async function createTeam({ classroom, body, clerkUserId }) {
+  const Profile = require("../../profile/profile.model");
+
+  const input = normalizeTeamInput(body);
+  const classroomId = classroom._id;
+  await assertMembersAvailable(classroomId, input.memberIds);
+
+  const withShops = await membersWithShops(classroomId, input.memberIds);
+  const anchorMemberId = input.anchorMemberId || withShops[0] || input.memberIds[0];
+  if (!input.memberIds.includes(anchorMemberId)) {
+    throw invalid("anchorMemberId must be a team member", "anchorMemberId");
+  }
+  const conflicts = withShops.filter((id) => id !== anchorMemberId);
+  if (conflicts.length > 0) {
+    throw makeTeamError(
+      "Only the anchor member may already have a profile or decisions",
+      409,
+      "TEAM_MEMBER_HAS_SHOP",
+      { memberIds: conflicts }
+    );
+  }
+
+  const team = await Team.create({
+    classroomId,
+    name: input.name,
+    memberIds: input.memberIds,
+    anchorMemberId,
+    finalization: resolveFinalization(input.finalization, { memberIds: input.memberIds, anchorMemberId }),
+    organization: classroom.organization,
+    createdBy: clerkUserId,
+    updatedBy: clerkUserId,
+  });
+  await Profile.updateOne({ classroomId, userId: anchorMemberId }, { $set: { teamId: team._id } });
+  return team.toObject();
+}
+
+async function findTeam(classroomId, teamId) {
+  const team = mongoose.Types.ObjectId.isValid(teamId)
+    ? await Team.findOne({ _id: teamId, classroomId })
+    : null;
+  if (!team) {
+    throw makeTeamError("Team not found", 404, "TEAM_NOT_FOUND");
+  }
+  return team;
+}
+
+/**
+ * Rename a team, change its members or how it finalizes drafts. The anchor
+ * stays; new members must not have a shop of their own.
+ */
+async function updateTeam({ classroom, teamId, body, clerkUserId }) {
+  const input = normalizeTeamInput(body, { partial: true });
+  const team = await findTeam(classroom._id, teamId);
+  if (team.status !== "active") {
+    throw makeTeamError("Team is disbanded", 409, "TEAM_DISBANDED");
+  }
+  const anchorMemberId = String(team.anchorMemberId);
+
+  if (input.memberIds) {
+    if (!input.memberIds.includes(anchorMemberId)) {
+      throw makeTeamError(
+        "The anchor member cannot leave an active team",
+        400,
+        "TEAM_ANCHOR_REQUIRED",
+        { anchorMemberId }
+      );
+    }
+    const current = new Set(team.memberIds.map(String));
+    const added = input.memberIds.filter((id) => !current.has(id));
+    if (added.length > 0) {
+      await assertMembersAvailable(classroom._id, added, { teamId: team._id });
+      const withShops = await membersWithShops(classroom._id, added);
+      if (withShops.length > 0) {
+        throw makeTeamError(
+          "New members may not already have a profile or decisions",
+          409,
+          "TEAM_MEMBER_HAS_SHOP",
+          { memberIds: withShops }
+        );
+      }
+    }
+    team.memberIds = input.memberIds;
+  }
+  if (input.name) {
+    team.name = input.name;
+  }
+
+  const memberIds = team.memberIds.map(String);
+  const finalization = input.finalization || {
+    mode: team.finalization.mode,
+    // A submitter who left the team hands over to the anchor
+    submitterId: memberIds.includes(String(team.finalization.submitterId))
+      ? String(team.finalization.submitterId)
+      : null,
+  };
+  team.finalization = resolveFinalization(finalization, { memberIds, anchorMemberId });
+  team.updatedBy = clerkUserId;
+  await team.save();
+  return team.toObject();
+}
+
+/**
+ * Disband a team. Its Profile, decisions and ledger stay with the anchor;
+ * the other members start without a shop.
+ */
+async function disbandTeam({ classroom, teamId, clerkUserId, now = new Date() }) {
+  const Profile = require("../../profile/profile.model");
+
+  const team = await findTeam(classroom._id, teamId);
+  if (team.status !== "active") {
+    throw makeTeamError("Team is disbanded", 409, "TEAM_DISBANDED");
+  }
+  team.status = "disbanded";
+  team.disbandedAt = now;
+  team.updatedBy = clerkUserId;
+  await team.save();
+  await Profile.updateOne({ classroomId: classroom._id, teamId: team._id }, { $set: { teamId: null } });
+  return team.toObject();
+}
+
+/**
+ * Take a student who left the classroom off their team. An anchor stays,
+ * since the team's shop is keyed to them, until an admin disbands the team.
+ */
+async function dropDepartedMember(classroomId, memberId) {
+  const team = await Team.findActiveForMember(classroomId, memberId);
+  if (!team || String(team.anchorMemberId) === String(memberId)) {
+    return null;
+  }
+  team.memberIds = team.memberIds.filter((id) => String(id) !== String(memberId));
+  if (String(team.finalization.submitterId) === String(memberId)) {
+    team.finalization.submitterId = team.anchorMemberId;
+  }
+  await team.save();
+  return team;
+}
+
+module.exports = {
+  normalizeTeamInput,
+  createTeam,
+  updateTeam,
+  disbandTeam,
+  findTeam,
+  dropDepartedMember,
+};
@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Team = require("../team.model");
+const Enrollment = require("../../enrollment/enrollment.model");
+const Profile = require("../../profile/profile.model");
+const Decision = require("../../decision/decision.model");
+const { normalizeTeamInput, createTeam, updateTeam } = require("./teams");
+
+const id = () => new mongoose.Types.ObjectId().toString();
+const classroom = { _id: id(), organization: id() };
+
+function chain(result) {
+  return { select: () => chain(result), lean: async () => result };
+}
+
+test("normalizeTeamInput validates names, members and finalization", () => {
+  const [a, b] = [id(), id()];
+  assert.deepEqual(normalizeTeamInput({ name: " Blue ", memberIds: [a, b, a] }), {
+    name: "Blue",
+    memberIds: [a, b],
+  });
+  assert.throws(() => normalizeTeamInput({ memberIds: [a] }), {
+    code: "INVALID_TEAM",
+    details: { field: "name" },
+  });
+  assert.throws(() => normalizeTeamInput({ name: "Blue", memberIds: [] }), {
+    details: { field: "memberIds" },
+  });
+  assert.throws(
+    () => normalizeTeamInput({ name: "Blue", memberIds: [a], finalization: { mode: "consensus" } }),
+    { details: { field: "finalization.mode" } }
+  );
+  assert.throws(() => normalizeTeamInput({ anchorMemberId: a }, { partial: true }), {
+    details: { field: "anchorMemberId" },
+  });
+  assert.deepEqual(normalizeTeamInput({ finalization: { mode: "majority" } }, { partial: true }), {
+    finalization: { mode: "majority", submitterId: null },
+  });
+});
+
+test("createTeam anchors the team on the member who already has a shop", async (t) => {
+  const [ada, bob, cy] = [id(), id(), id()];
+  t.mock.method(Enrollment, "find", () => chain([ada, bob, cy].map((userId) => ({ userId }))));
+  t.mock.method(Team, "find", () => chain([]));
+  t.mock.method(Profile, "distinct", async () => [bob]);
+  t.mock.method(Decision, "distinct", async () => []);
+  const created = t.mock.method(Team, "create", async (doc) => ({
+    _id: "team-1",
+    toObject: () => ({ _id: "team-1", ...doc }),
+  }));
+  const linked = t.mock.method(Profile, "updateOne", async () => ({}));
+
+  const team = await createTeam({
+    classroom,
+    body: { name: "Blue", memberIds: [ada, bob, cy] },
+    clerkUserId: "user_1",
+  });
+
+  assert.equal(team.anchorMemberId, bob);
+  assert.deepEqual(team.finalization, { mode: "submitter", submitterId: bob });
+  assert.equal(created.mock.callCount(), 1);
+  assert.deepEqual(linked.mock.calls[0].arguments, [
+    { classroomId: classroom._id, userId: bob },
+    { $set: { teamId: "team-1" } },
+  ]);
+});
+
+test("createTeam refuses to merge two existing shops or poach a teammate", async (t) => {
+  const [ada, bob] = [id(), id()];
+  t.mock.method(Enrollment, "find", () => chain([ada, bob].map((userId) => ({ userId }))));
+  const otherTeams = t.mock.method(Team, "find", () => chain([]));
+  t.mock.method(Profile, "distinct", async () => [ada]);
+  t.mock.method(Decision, "distinct", async () => [bob]);
+
+  await assert.rejects(createTeam({ classroom, body: { name: "Blue", memberIds: [ada, bob] }, clerkUserId: "u" }), {
+    code: "TEAM_MEMBER_HAS_SHOP",
+    details: { memberIds: [bob] },
+  });
+
+  otherTeams.mock.mockImplementation(() => chain([{ name: "Red", memberIds: [bob] }]));
+  await assert.rejects(createTeam({ classroom, body: { name: "Blue", memberIds: [ada, bob] }, clerkUserId: "u" }), {
+    code: "TEAM_MEMBER_CONFLICT",
+    details: { memberIds: [bob] },
+  });
+});
+
+test("updateTeam keeps the anchor and hands a departed submitter's role back to it", async (t) => {
+  const [ada, bob, cy] = [id(), id(), id()];
+  const team = new Team({
+    classroomId: classroom._id,
+    name: "Blue",
+    memberIds: [ada, bob, cy],
+    anchorMemberId: ada,
+    finalization: { mode: "submitter", submitterId: bob },
+  });
+  t.mock.method(Team, "findOne", async () => team);
+  t.mock.method(team, "save", async () => team);
+
+  await assert.rejects(
+    updateTeam({ classroom, teamId: team._id.toString(), body: { memberIds: [bob, cy] }, clerkUserId: "u" }),
+    { code: "TEAM_ANCHOR_REQUIRED" }
+  );
+
+  const updated = await updateTeam({
+    classroom,
+    teamId: team._id.toString(),
+    body: { memberIds: [ada, cy] },
+    clerkUserId: "u",
+  });
+  assert.deepEqual(updated.memberIds.map(String), [ada, cy]);
+  assert.equal(String(updated.finalization.submitterId), ada);
+});
@@ -0,0 +1,264 @@
+const mongoose = require("mongoose");
+const Team = require("./team.model");
+const Classroom = require("../classroom/classroom.model");
+const Challenge = require("../challenge/challenge.model");
+const Enrollment = require("../enrollment/enrollment.model");
+const Teams = require("./lib/teams");
+const TeamDrafts = require("./lib/teamDrafts");
+const { makeTeamError } = require("./team.errors");
+
+// Plain-message errors from Decision.createSubmission / updateSubmission / submitRound
+const DECISION_REJECTIONS = [
+  "Invalid decision variables",
+  "Invalid challenge variable answers",
+  "Challenge is not published",
+  "Challenge has not started yet",
+  "Challenge is closed",
+  "Submissions are closed for this challenge",
+  "Cannot submit out of order",
+];
+
+function handleTeamError(res, error) {
+  if (error.message === "Class not found" || error.message === "Challenge not found") {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error.message.includes("Insufficient permissions")) {
+    return res.status(403).json({ error: error.message });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code,
+      details: error.details,
+    });
+  }
+  if (DECISION_REJECTIONS.some((message) => error.message.includes(message))) {
+    return res.status(400).json({ error: error.message });
+  }
+  return res.status(500).json({ error: error.message });
+}
+
+async function validateAccess(req) {
+  return Classroom.validateAdminAccess(req.params.classroomId, req.clerkUser.id, req.organization._id);
+}
+
+async function withMembers(teams) {
+  const Member = require("../members/member.model");
+  const ids = [...new Set(teams.flatMap((team) => team.memberIds.map(String)))];
+  const members = await Member.find({ _id: { $in: ids } })
+    .select("firstName lastName email")
+    .lean();
+  const byId = new Map(members.map((member) => [String(member._id), member]));
+  return teams.map((team) => ({
+    ...team,
+    members: team.memberIds.map((id) => byId.get(String(id))).filter(Boolean),
+  }));
+}
+
+/**
+ * Teams in a class (active, or all with ?includeDisbanded=true)
+ * GET /api/admin/class/:classroomId/teams
+ */
+exports.listTeams = async function (req, res) {
+  try {
+    await validateAccess(req);
+    const query = { classroomId: req.params.classroomId };
+    if (req.query.includeDisbanded !== "true") {
+      query.status = "active";
+    }
+    const teams = await Team.find(query).sort({ name: 1 }).lean();
+    res.json({ success: true, data: await withMembers(teams) });
+  } catch (error) {
+    console.error("Error listing teams:", error);
+    handleTeamError(res, error);
+  }
+};
+
+/**
+ * Create a team
+ * POST /api/admin/class/:classroomId/teams
+ */
+exports.createTeam = async function (req, res) {
+  try {
+    const classroom = await validateAccess(req);
+    const team = await Teams.createTeam({ classroom, body: req.body, clerkUserId: req.clerkUser.id });
+    res.status(201).json({ success: true, data: team });
+  } catch (error) {
+    console.error("Error creating team:", error);
+    handleTeamError(res, error);
+  }
+};
+
+/**
+ * Rename a team or change its members or finalization
+ * PUT /api/admin/class/:classroomId/teams/:teamId
+ */
+exports.updateTeam = async function (req, res) {
+  try {
+    const classroom = await validateAccess(req);
+    const team = await Teams.updateTeam({
+      classroom,
+      teamId: req.params.teamId,
+      body: req.body,
+      clerkUserId: req.clerkUser.id,
+    });
+    res.json({ success: true, data: team });
+  } catch (error) {
+    console.error("Error updating team:", error);
+    handleTeamError(res, error);
+  }
+};
+
+/**
+ * Disband a team (its shop stays with the anchor member)
+ * DELETE /api/admin/class/:classroomId/teams/:teamId
+ */
+exports.disbandTeam = async function (req, res) {
+  try {
+    const classroom = await validateAccess(req);
+    const team = await Teams.disbandTeam({
+      classroom,
+      teamId: req.params.teamId,
+      clerkUserId: req.clerkUser.id,
+    });
+    res.json({ success: true, data: team });
+  } catch (error) {
+    console.error("Error disbanding team:", error);
+    handleTeamError(res, error);
+  }
+};
+
+/**
+ * The student's team in a class (null when not on one)
+ * GET /api/student/class/:classroomId/team
+ */
+exports.getMyTeam = async function (req, res) {
+  try {
+    const { classroomId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(classroomId)) {
+      return res.status(400).json({ error: "classroomId must be a valid id" });
+    }
+    const isEnrolled = await Enrollment.isUserEnrolled(classroomId, req.user._id);
+    if (!isEnrolled) {
+      return res.status(403).json({ error: "User is not enrolled in this class" });
+    }
+    const team = await Team.findActiveForMember(classroomId, req.user._id).lean();
+    res.json({ success: true, data: team ? (await withMembers([team]))[0] : null });
+  } catch (error) {
+    console.error("Error getting student team:", error);
+    handleTeamError(res, error);
+  }
+};
+
+async function loadDraftContext(req) {
+  const team = await TeamDrafts.loadTeamForMember(req.params.teamId, req.user._id);
+  const challenge = mongoose.Types.ObjectId.isValid(req.params.challengeId)
+    ? await Challenge.findById(req.params.challengeId)
+    : null;
+  if (!challenge) {
+    throw makeTeamError("Challenge not found", 404, "CHALLENGE_NOT_FOUND");
+  }
+  return { team, challenge };
+}
+
+function optionalRevision(value, field) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (!Number.isInteger(value)) {
+    throw makeTeamError(`${field} must be an integer`, 400, "INVALID_TEAM_DRAFT", { field });
+  }
+  return value;
+}
+
+/**
+ * The team's shared draft for a challenge
+ * GET /api/student/teams/:teamId/drafts/:challengeId?roundKey=...
+ */
+exports.getDraft = async function (req, res) {
+  try {
+    const { team, challenge } = await loadDraftContext(req);
+    const draft = await TeamDrafts.getDraft({ team, challenge, roundKey: req.query.roundKey });
+    res.json({
+      success: true,
+      data: {
+        ...draft,
+        approvals: TeamDrafts.countApprovals(team, draft),
+        required: team.finalization.mode === "majority" ? Team.majorityOf(team) : 1,
+      },
+    });
+  } catch (error) {
+    console.error("Error getting team draft:", error);
+    handleTeamError(res, error);
+  }
+};
+
+/**
+ * Edit the team's shared draft
+ * PUT /api/student/teams/:teamId/drafts/:challengeId
+ */
+exports.saveDraft = async function (req, res) {
+  try {
+    const { team, challenge } = await loadDraftContext(req);
+    const { variables, challengeVariableAnswers, roundKey, baseRevision } = req.body || {};
+    const draft = await TeamDrafts.saveDraft({
+      team,
+      challenge,
+      member: req.user,
+      roundKey,
+      variables,
+      challengeVariableAnswers,
+      baseRevision: optionalRevision(baseRevision, "baseRevision"),
+      clerkUserId: req.clerkUser.id,
+    });
+    res.json({ success: true, data: draft });
+  } catch (error) {
+    console.error("Error saving team draft:", error);
+    handleTeamError(res, error);
+  }
+};
+
+/**
+ * Submit the team's draft (designated submitter)
+ * POST /api/student/teams/:teamId/drafts/:challengeId/submit
+ */
+exports.submitDraft = async function (req, res) {
+  try {
+    const { team, challenge } = await loadDraftContext(req);
+    const result = await TeamDrafts.submitDraft({
+      team,
+      challenge,
+      member: req.user,
+      roundKey: req.body?.roundKey,
+      revision: optionalRevision(req.body?.revision, "revision"),
+      clerkUserId: req.clerkUser.id,
+    });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error("Error submitting team draft:", error);
+    handleTeamError(res, error);
+  }
+};
+
+/**
+ * Approve or withdraw approval of the team's draft (majority vote)
+ * POST /api/student/teams/:teamId/drafts/:challengeId/vote
+ */
+exports.voteOnDraft = async function (req, res) {
+  try {
+    const { team, challenge } = await loadDraftContext(req);
+    const result = await TeamDrafts.voteOnDraft({
+      team,
+      challenge,
+      member: req.user,
+      roundKey: req.body?.roundKey,
+      revision: optionalRevision(req.body?.revision, "revision"),
+      approve: req.body?.approve !== false,
+      clerkUserId: req.clerkUser.id,
+    });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error("Error voting on team draft:", error);
+    handleTeamError(res, error);
+  }
+};
@@ -0,0 +1,157 @@
+const mongoose = require("mongoose");
+const baseSchema = require("../../lib/baseSchema");
+
+const FINALIZATION_MODES = ["submitter", "majority"];
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     Team:
+ *       type: object
+ *       description: Students in a classroom who run one shop together. The team shares the anchor member's Profile, decisions and ledger.
+ *       properties:
+ *         _id:
+ *           type: string
+ *         classroomId:
+ *           type: string
+ *         name:
+ *           type: string
+ *         memberIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         anchorMemberId:
+ *           type: string
+ *           description: The member whose userId keys the team's Profile, Decisions and LedgerEntries. Stays on the team while it is active.
+ *         finalization:
+ *           type: object
+ *           properties:
+ *             mode:
+ *               type: string
+ *               enum: [submitter, majority]
+ *               description: submitter - only the designated submitter finalizes a draft; majority - a draft is finalized once more than half the members approve it.
+ *             submitterId:
+ *               type: string
+ *               nullable: true
+ *         status:
+ *           type: string
+ *           enum: [active, disbanded]
+ *         disbandedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+const teamSchema = new mongoose.Schema({
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Classroom",
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  memberIds: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Member" }],
+    default: [],
+  },
+  anchorMemberId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Member",
+    required: true,
+  },
+  finalization: {
+    mode: {
+      type: String,
+      enum: FINALIZATION_MODES,
+      default: "submitter",
+    },
+    submitterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Member",
+      default: null,
+    },
+  },
+  status: {
+    type: String,
+    enum: ["active", "disbanded"],
+    default: "active",
+  },
+  disbandedAt: {
+    type: Date,
+    default: null,
+  },
+}).add(baseSchema);
+
+// A student belongs to at most one active team per classroom
+teamSchema.index(
+  { classroomId: 1, memberIds: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
+
+/**
+ * The active team a member belongs to in a classroom, or null.
+ */
+teamSchema.statics.findActiveForMember = function (classroomId, memberId) {
+  return this.findOne({ classroomId, memberIds: memberId, status: "active" });
+};
+
+/**
+ * The userId a member's Profile, Decisions and LedgerEntries are stored
+ * under: the team anchor for team members, the member otherwise.
+ *
+ * @returns {Promise<{ subjectId: ObjectId, team: Object|null }>}
+ */
+teamSchema.statics.resolveSubject = async function (classroomId, memberId) {
+  const team = await this.findActiveForMember(classroomId, memberId).lean();
+  return { subjectId: team ? team.anchorMemberId : memberId, team };
+};
+
+/**
+ * A classroom's active teams by member ID, for pages that list every student.
+ *
+ * @returns {Promise<Map<string, Object>>}
+ */
+teamSchema.statics.memberMap = async function (classroomId) {
+  const teams = await this.find({ classroomId, status: "active" }).lean();
+  const byMember = new Map();
+  teams.forEach((team) => {
+    team.memberIds.forEach((memberId) => byMember.set(String(memberId), team));
+  });
+  return byMember;
+};
+
+/**
+ * Members of active teams who are represented by their anchor. Missing
+ * submission policies and auto-generated decisions skip them.
+ *
+ * @returns {Promise<Set<string>>}
+ */
+teamSchema.statics.nonAnchorMemberIds = async function (classroomId) {
+  const teams = await this.find({ classroomId, status: "active" })
+    .select("memberIds anchorMemberId")
+    .lean();
+  const ids = new Set();
+  teams.forEach((team) => {
+    team.memberIds.forEach((memberId) => {
+      if (String(memberId) !== String(team.anchorMemberId)) {
+        ids.add(String(memberId));
+      }
+    });
+  });
+  return ids;
+};
+
+/**
+ * Approvals needed to finalize a draft in majority mode: more than half the members.
+ */
+teamSchema.statics.majorityOf = function (team) {
+  return Math.floor((team.memberIds || []).length / 2) + 1;
+};
+
+const Team = mongoose.model("Team", teamSchema);
+
+module.exports = Team;
@@ -0,0 +1,143 @@
+const mongoose = require("mongoose");
+const baseSchema = require("../../lib/baseSchema");
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     TeamDecisionDraft:
+ *       type: object
+ *       description: A team's shared, unsubmitted decision for one challenge (or challenge round). Any member can edit it; finalizing it submits the team's Decision.
+ *       properties:
+ *         _id:
+ *           type: string
+ *         teamId:
+ *           type: string
+ *         challengeId:
+ *           type: string
+ *         roundKey:
+ *           type: string
+ *           nullable: true
+ *         variables:
+ *           type: object
+ *         challengeVariableAnswers:
+ *           type: object
+ *         revision:
+ *           type: integer
+ *           description: Increases with every edit. Edits and votes may send the revision they were based on.
+ *         authors:
+ *           type: array
+ *           description: The member who last changed each value (scope variable or answer).
+ *           items:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *                 enum: [variable, answer]
+ *               memberId:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *         votes:
+ *           type: array
+ *           description: Approvals of the current revision (majority mode). Cleared by every edit.
+ *           items:
+ *             type: object
+ *             properties:
+ *               memberId:
+ *                 type: string
+ *               revision:
+ *                 type: integer
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *         status:
+ *           type: string
+ *           enum: [drafting, submitted]
+ *         submittedRevision:
+ *           type: integer
+ *           nullable: true
+ *         decisionId:
+ *           type: string
+ *           nullable: true
+ */
+const teamDecisionDraftSchema = new mongoose.Schema({
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Team",
+    required: true,
+  },
+  classroomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Classroom",
+    required: true,
+  },
+  challengeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Challenge",
+    required: true,
+  },
+  // Null on single-round challenges
+  roundKey: {
+    type: String,
+    default: null,
+  },
+  variables: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({}),
+  },
+  challengeVariableAnswers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({}),
+  },
+  revision: {
+    type: Number,
+    default: 0,
+  },
+  authors: {
+    type: [
+      {
+        _id: false,
+        key: { type: String, required: true },
+        scope: { type: String, enum: ["variable", "answer"], default: "variable" },
+        memberId: { type: mongoose.Schema.Types.ObjectId, ref: "Member", required: true },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    default: [],
+  },
+  votes: {
+    type: [
+      {
+        _id: false,
+        memberId: { type: mongoose.Schema.Types.ObjectId, ref: "Member", required: true },
+        revision: { type: Number, required: true },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    default: [],
+  },
+  status: {
+    type: String,
+    enum: ["drafting", "submitted"],
+    default: "drafting",
+  },
+  submittedRevision: {
+    type: Number,
+    default: null,
+  },
+  decisionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Decision",
+    default: null,
+  },
+}).add(baseSchema);
+
+teamDecisionDraftSchema.index({ teamId: 1, challengeId: 1, roundKey: 1 }, { unique: true });
+
+const TeamDecisionDraft = mongoose.model("TeamDecisionDraft", teamDecisionDraftSchema);
+
+module.exports = TeamDecisionDraft;
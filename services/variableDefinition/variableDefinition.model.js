@@ -296,7 +296,7 @@ variableDefinitionSchema.statics.createDefinition = async function (
  * Get variable definitions for a specific scope
  * @param {string} classroomId - Class ID
  * @param {string} appliesTo - Scope ("profile", "challenge", "decision", "profileType")
- * @param {Object} options - Options (includeInactive)
+ * @param {Object} options - Options (includeInactive, challengeId, keys)
  * @returns {Promise<Array>} Array of variable definitions
  */
 variableDefinitionSchema.statics.getDefinitionsForScope = async function (
@@ -325,6 +325,11 @@ variableDefinitionSchema.statics.getDefinitionsForScope = async function (
     query.challengeId = null;
   }
 
+  // Restrict to a subset of keys (e.g. the variables one challenge round asks for)
+  if (Array.isArray(options.keys)) {
+    query.key = { $in: options.keys };
+  }
+
   const definitions = await this.find(query).sort({ label: 1 });
   return definitions;
 };
@@ -278,6 +278,9 @@ function initializeQueueWorkers() {
     const {
       initAutomationTaskWorker,
     } = require("../../lib/queues/automation-task-worker");
+    const {
+      initLtiGradePassbackWorker,
+    } = require("../../lib/queues/lti-grade-passback-worker");
     // SMS worker disabled - not sending SMS messages
     // const { initSmsWorker } = require("../../lib/queues/sms-worker");
     // Push notifications disabled - not using push notifications
@@ -288,6 +291,7 @@ function initializeQueueWorkers() {
     initSimulationBatchWorker();
     initOutcomeProcessingWorker();
     initAutomationTaskWorker();
+    initLtiGradePassbackWorker();
     // initSmsWorker();
     // initPushWorker();
 
@@ -0,0 +1,136 @@
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const test = require("node:test");
+
+const llm = require("../../lib/llm");
+
+const LLM_ENV_KEYS = [
+  "LLM_PROVIDER",
+  "AI_MODEL",
+  "AUTO_SUBMISSION_MODEL",
+  "CHALLENGE_AI_MODEL",
+  "GEMINI_API_KEY",
+  "GEMINI_MODEL",
+  "LLM_COMPATIBLE_BASE_URL",
+  "LLM_COMPATIBLE_API_KEY",
+  "LLM_COMPATIBLE_MODEL",
+];
+
+function isolateEnv(t) {
+  const previous = Object.fromEntries(
+    LLM_ENV_KEYS.map((key) => [key, process.env[key]]),
+  );
+  LLM_ENV_KEYS.forEach((key) => delete process.env[key]);
+  llm.resetClients();
+  t.after(() => {
+    LLM_ENV_KEYS.forEach((key) => {
+      if (previous[key] === undefined) delete process.env[key];
+      else process.env[key] = previous[key];
+    });
+    llm.resetClients();
+  });
+}
+
+test("resolveLLM prefers explicit, then classroom, then provider defaults", (t) => {
+  isolateEnv(t);
+
+  assert.deepEqual(llm.resolveLLM({ purpose: "simulation" }), {
+    provider: "openai",
+    model: "gpt-5-mini-2025-08-07",
+  });
+  assert.deepEqual(llm.resolveLLM({ purpose: "decision" }), {
+    provider: "openai",
+    model: "gpt-4o-mini",
+  });
+
+  process.env.AI_MODEL = "gpt-4o";
+  assert.equal(llm.resolveLLM({ purpose: "challenge" }).model, "gpt-4o");
+
+  const aiSettings = { provider: "gemini", decisionModel: "gemini-2.5-pro" };
+  assert.deepEqual(llm.resolveLLM({ purpose: "decision", aiSettings }), {
+    provider: "gemini",
+    model: "gemini-2.5-pro",
+  });
+  assert.deepEqual(llm.resolveLLM({ purpose: "simulation", aiSettings }), {
+    provider: "gemini",
+    model: "gemini-2.5-flash",
+  });
+  assert.equal(
+    llm.resolveLLM({ purpose: "decision", aiSettings, model: "gemini-x" }).model,
+    "gemini-x",
+  );
+
+  process.env.LLM_PROVIDER = "openai-compatible";
+  assert.throws(
+    () => llm.resolveLLM({ purpose: "simulation" }),
+    (error) => error.code === "LLM_MODEL_REQUIRED",
+  );
+  assert.throws(
+    () => llm.resolveLLM({ aiSettings: { provider: "anthropic" } }),
+    (error) => error.code === "LLM_UNKNOWN_PROVIDER",
+  );
+});
+
+test("getClient refuses providers without credentials", (t) => {
+  isolateEnv(t);
+
+  assert.equal(llm.isProviderConfigured("gemini"), false);
+  assert.throws(
+    () => llm.getClient("gemini"),
+    (error) =>
+      error.statusCode === 503 && error.code === "LLM_PROVIDER_NOT_CONFIGURED",
+  );
+
+  process.env.GEMINI_API_KEY = "gemini-key";
+  const client = llm.getClient("gemini");
+  assert.equal(client.baseURL, llm.GEMINI_OPENAI_BASE_URL);
+  assert.equal(llm.getClient("gemini"), client);
+});
+
+test("createChatCompletion talks to an OpenAI-compatible server", async (t) => {
+  isolateEnv(t);
+
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      received.push({ url: req.url, body: JSON.parse(body) });
+      res.setHeader("Content-Type", "application/json");
+      res.end(
+        JSON.stringify({
+          id: "chatcmpl-local",
+          object: "chat.completion",
+          model: "local-model",
+          choices: [
+            {
+              index: 0,
+              finish_reason: "stop",
+              message: { role: "assistant", content: '{"ok":true}' },
+            },
+          ],
+        }),
+      );
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+
+  process.env.LLM_COMPATIBLE_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  process.env.LLM_COMPATIBLE_MODEL = "local-model";
+
+  const { provider, model } = llm.resolveLLM({
+    aiSettings: { provider: "openai-compatible" },
+  });
+  const response = await llm.createChatCompletion(provider, {
+    model,
+    messages: [{ role: "user", content: "hi" }],
+  });
+
+  assert.equal(response.choices[0].message.content, '{"ok":true}');
+  assert.equal(received.length, 1);
+  assert.equal(received[0].url, "/v1/chat/completions");
+  assert.equal(received[0].body.model, "local-model");
+});
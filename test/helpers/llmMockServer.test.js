@@ -0,0 +1,211 @@
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const test = require("node:test");
+const OpenAI = require("openai");
+
+const llm = require("../../lib/llm");
+const fixtures = require("../../lib/llm/fixtures");
+const { createMockLLMServer, MOCK_LLM_MODEL } = require("../../lib/llm/mockServer");
+const { sampleFromJsonSchema } = require("../../lib/llm/schemaSample");
+const { seededRandom } = require("../../services/ledger/lib/simulationSeed");
+const LedgerEntry = require("../../services/ledger/ledger.model");
+const MetricDefinition = require("../../services/metricDefinition/metricDefinition.model");
+
+const ENV_KEYS = [
+  "LLM_PROVIDER",
+  "LLM_COMPATIBLE_BASE_URL",
+  "LLM_COMPATIBLE_MODEL",
+  "LLM_FIXTURES_MODE",
+  "LLM_FIXTURES_DIR",
+];
+
+const METRIC_DEFS = [
+  { key: "revenue", dataType: "number", format: "currency" },
+  { key: "unitsSold", dataType: "number", format: "count" },
+  { key: "stockout", dataType: "boolean", format: "text" },
+  { key: "grade", dataType: "string", format: "text" },
+];
+
+function isolateEnv(t) {
+  const previous = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+  ENV_KEYS.forEach((key) => delete process.env[key]);
+  llm.resetClients();
+  t.after(() => {
+    ENV_KEYS.forEach((key) => {
+      if (previous[key] === undefined) delete process.env[key];
+      else process.env[key] = previous[key];
+    });
+    llm.resetClients();
+  });
+}
+
+function stubMetricDefinitions(t) {
+  const original = MetricDefinition.getActive;
+  MetricDefinition.getActive = async () => METRIC_DEFS;
+  t.after(() => {
+    MetricDefinition.getActive = original;
+  });
+}
+
+async function startMockServer(t, options) {
+  const mock = await createMockLLMServer(options).listen();
+  t.after(() => mock.close());
+  return mock;
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "llm-fixtures-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function simulationRequest(schema, seed = 42) {
+  return {
+    model: MOCK_LLM_MODEL,
+    seed,
+    messages: [{ role: "user", content: "Simulate week 1 for 65a1f0c2e4b0a1b2c3d4e5f6" }],
+    response_format: {
+      type: "json_schema",
+      json_schema: { name: "ledger_entry", schema },
+    },
+  };
+}
+
+test("sampleFromJsonSchema honours types, enums, bounds and nullable fields", () => {
+  const schema = {
+    type: "object",
+    required: ["n", "i", "flag", "choice", "maybe", "list"],
+    properties: {
+      n: { type: "number", minimum: 10, maximum: 20 },
+      i: { type: "integer", minimum: 1, maximum: 3 },
+      flag: { type: "boolean" },
+      choice: { type: "string", enum: ["low", "high"] },
+      maybe: { type: ["string", "null"] },
+      list: { type: "array", minItems: 2, items: { type: "string", minLength: 12 } },
+    },
+  };
+
+  const value = sampleFromJsonSchema(schema, seededRandom(7));
+  assert.ok(value.n >= 10 && value.n <= 20);
+  assert.ok(Number.isInteger(value.i) && value.i >= 1 && value.i <= 3);
+  assert.equal(typeof value.flag, "boolean");
+  assert.ok(["low", "high"].includes(value.choice));
+  assert.equal(value.maybe, null);
+  assert.equal(value.list.length, 2);
+  assert.ok(value.list.every((item) => item.length >= 12));
+  assert.deepEqual(sampleFromJsonSchema(schema, seededRandom(7)), value);
+});
+
+test("mock server answers buildResponseJsonSchema requests with valid results", async (t) => {
+  isolateEnv(t);
+  stubMetricDefinitions(t);
+  const mock = await startMockServer(t);
+
+  process.env.LLM_COMPATIBLE_BASE_URL = mock.baseURL;
+  const schema = await LedgerEntry.buildResponseJsonSchema("classroom-1");
+  const request = simulationRequest(schema);
+
+  const first = await llm.createChatCompletion("openai-compatible", request);
+  const second = await llm.createChatCompletion("openai-compatible", request);
+  const content = first.choices[0].message.content;
+  assert.equal(content, second.choices[0].message.content);
+  assert.ok(first.usage.total_tokens > 0);
+
+  const result = await LedgerEntry.normalizeAndValidateAISimulationResult(
+    JSON.parse(content),
+    "classroom-1"
+  );
+  assert.equal(typeof result.summary, "string");
+  assert.equal(result.randomEvent, null);
+  assert.equal(typeof result.revenue, "number");
+  assert.equal(typeof result.stockout, "boolean");
+  assert.equal(mock.requests[0].path, "/v1/chat/completions");
+});
+
+test("mock server runs Batch API jobs end to end", async (t) => {
+  stubMetricDefinitions(t);
+  const mock = await startMockServer(t);
+  const client = new OpenAI({ apiKey: "test", baseURL: mock.baseURL });
+  const schema = await LedgerEntry.buildResponseJsonSchema("classroom-1");
+
+  const dir = tempDir(t);
+  const inputPath = path.join(dir, "batch.jsonl");
+  const lines = ["job-1", "job-2"].map((customId, index) =>
+    JSON.stringify({
+      custom_id: customId,
+      method: "POST",
+      url: "/v1/chat/completions",
+      body: simulationRequest(schema, index + 1),
+    })
+  );
+  fs.writeFileSync(inputPath, lines.join("\n") + "\n", "utf8");
+
+  const file = await client.files.create({
+    file: fs.createReadStream(inputPath),
+    purpose: "batch",
+  });
+  const created = await client.batches.create({
+    input_file_id: file.id,
+    endpoint: "/v1/chat/completions",
+    completion_window: "24h",
+  });
+  const batch = await client.batches.retrieve(created.id);
+  assert.equal(batch.status, "completed");
+  assert.deepEqual(batch.request_counts, { total: 2, completed: 2, failed: 0 });
+
+  const output = await (await client.files.content(batch.output_file_id)).text();
+  const items = output.trim().split("\n").map((line) => JSON.parse(line));
+  assert.deepEqual(items.map((item) => item.custom_id), ["job-1", "job-2"]);
+  for (const item of items) {
+    assert.equal(item.response.status_code, 200);
+    const content = JSON.parse(item.response.body.choices[0].message.content);
+    assert.equal(typeof content.unitsSold, "number");
+  }
+
+  const cancelled = await client.batches.cancel(created.id);
+  assert.equal(cancelled.status, "completed");
+});
+
+test("fixtures record provider responses and replay them offline", async (t) => {
+  isolateEnv(t);
+  const mock = await startMockServer(t, { respond: () => ({ summary: "recorded", randomEvent: null }) });
+  const dir = tempDir(t);
+
+  process.env.LLM_COMPATIBLE_BASE_URL = mock.baseURL;
+  process.env.LLM_FIXTURES_DIR = dir;
+  process.env.LLM_FIXTURES_MODE = "record";
+  const request = simulationRequest({ type: "object" }, 1);
+  const recorded = await llm.createChatCompletion("openai-compatible", request);
+  assert.equal(fs.readdirSync(dir).length, 1);
+
+  // Replay ignores ObjectIds and seed, and never reaches the provider.
+  process.env.LLM_FIXTURES_MODE = "replay";
+  delete process.env.LLM_COMPATIBLE_BASE_URL;
+  llm.resetClients();
+  const replayRequest = {
+    ...request,
+    seed: 99,
+    messages: [{ role: "user", content: "Simulate week 1 for 75b2e1d3f5c1b2c3d4e5f6a7" }],
+  };
+  const replayed = await llm.createChatCompletion("openai-compatible", replayRequest);
+  assert.deepEqual(replayed, recorded);
+  assert.equal(mock.requests.length, 1);
+
+  await assert.rejects(
+    () =>
+      llm.createChatCompletion("openai-compatible", {
+        ...request,
+        messages: [{ role: "user", content: "Something else" }],
+      }),
+    (error) => error.code === "LLM_FIXTURE_MISSING" && error.details.dir === dir
+  );
+
+  // The mock server serves the same recordings (e.g. for Batch API lines).
+  const fixtureServer = await startMockServer(t, { fixturesDir: dir });
+  const client = new OpenAI({ apiKey: "test", baseURL: fixtureServer.baseURL });
+  const served = await client.chat.completions.create(replayRequest);
+  assert.equal(served.choices[0].message.content, recorded.choices[0].message.content);
+  assert.equal(fixtures.loadFixture(request, dir).provider, "openai-compatible");
+});
@@ -0,0 +1,132 @@
+const assert = require("node:assert/strict");
+const test = require("node:test");
+
+const {
+  SESSION_COOKIE,
+  getPlatformAdminConfig,
+  signLocalToken,
+  verifyLocalToken,
+  resolvePlatformAdmin,
+  requirePlatformAdmin,
+} = require("../../lib/platformAdminAuth");
+
+const SECRET = "test-secret";
+
+function config(overrides = {}) {
+  return {
+    clerkUserIds: [],
+    emails: [],
+    localTokenSecret: SECRET,
+    localTokensEnabled: true,
+    ...overrides,
+  };
+}
+
+function request(headers = {}) {
+  return { headers };
+}
+
+test("getPlatformAdminConfig parses allowlists and gates local tokens in production", () => {
+  const parsed = getPlatformAdminConfig({
+    PLATFORM_ADMIN_CLERK_USER_IDS: "user_a, user_b,",
+    PLATFORM_ADMIN_EMAILS: "Ops@Example.com",
+    PLATFORM_ADMIN_TOKEN_SECRET: SECRET,
+  });
+  assert.deepEqual(parsed.clerkUserIds, ["user_a", "user_b"]);
+  assert.deepEqual(parsed.emails, ["ops@example.com"]);
+  assert.equal(parsed.localTokensEnabled, true);
+
+  const production = { NODE_ENV: "production", PLATFORM_ADMIN_TOKEN_SECRET: SECRET };
+  assert.equal(getPlatformAdminConfig(production).localTokensEnabled, false);
+  assert.equal(
+    getPlatformAdminConfig({ ...production, PLATFORM_ADMIN_ALLOW_LOCAL_TOKENS: "true" })
+      .localTokensEnabled,
+    true
+  );
+});
+
+test("local tokens verify only with the right secret and before expiry", () => {
+  const now = Date.parse("2026-10-19T12:00:00Z");
+  const token = signLocalToken({ sub: "dev@example.com", ttlSeconds: 60, now }, SECRET);
+
+  assert.equal(verifyLocalToken(token, SECRET, now).sub, "dev@example.com");
+  assert.equal(verifyLocalToken(token, "other-secret", now), null);
+  assert.equal(verifyLocalToken(token, SECRET, now + 61 * 1000), null);
+  assert.equal(verifyLocalToken(`${token.slice(0, -2)}xx`, SECRET, now), null);
+  assert.equal(verifyLocalToken("not-a-token", SECRET, now), null);
+});
+
+test("resolvePlatformAdmin accepts a local token from the header or session cookie", async () => {
+  const token = signLocalToken({ sub: "dev@example.com" }, SECRET);
+  const getAuth = () => null;
+
+  for (const headers of [
+    { authorization: `Bearer ${token}` },
+    { cookie: `theme=dark; ${SESSION_COOKIE}=${encodeURIComponent(token)}` },
+  ]) {
+    assert.deepEqual(await resolvePlatformAdmin(request(headers), { config: config(), getAuth }), {
+      method: "local_token",
+      subject: "dev@example.com",
+      clerkUserId: null,
+      email: null,
+    });
+  }
+
+  await assert.rejects(
+    resolvePlatformAdmin(request({ authorization: `Bearer ${token}` }), {
+      config: config({ localTokensEnabled: false, clerkUserIds: ["user_a"] }),
+      getAuth,
+    }),
+    (error) => error.statusCode === 401 && error.code === "PLATFORM_ADMIN_REQUIRED"
+  );
+});
+
+test("resolvePlatformAdmin checks Clerk users against the allowlist", async () => {
+  const getUserEmails = async (userId) => (userId === "user_ops" ? ["ops@example.com"] : []);
+  const options = (userId) => ({
+    config: config({ clerkUserIds: ["user_a"], emails: ["ops@example.com"] }),
+    getAuth: () => ({ userId }),
+    getUserEmails,
+  });
+
+  assert.equal((await resolvePlatformAdmin(request(), options("user_a"))).clerkUserId, "user_a");
+  assert.equal(
+    (await resolvePlatformAdmin(request(), options("user_ops"))).email,
+    "ops@example.com"
+  );
+  await assert.rejects(
+    resolvePlatformAdmin(request(), options("user_teacher")),
+    (error) => error.statusCode === 403 && error.code === "PLATFORM_ADMIN_FORBIDDEN"
+  );
+  await assert.rejects(
+    resolvePlatformAdmin(request(), {
+      config: config({ localTokenSecret: null, localTokensEnabled: false }),
+      getAuth: () => ({ userId: "user_a" }),
+    }),
+    (error) => error.statusCode === 503 && error.code === "PLATFORM_ADMIN_NOT_CONFIGURED"
+  );
+});
+
+test("requirePlatformAdmin responds with the error instead of calling next", async () => {
+  const middleware = requirePlatformAdmin({ config: config(), getAuth: () => null });
+  const res = {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let calledNext = false;
+
+  await middleware(request(), res, () => {
+    calledNext = true;
+  });
+  assert.equal(calledNext, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.code, "PLATFORM_ADMIN_REQUIRED");
+});
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const request = require("supertest");
+const {
+  planRateLimit,
+  createRedisRateLimitStore,
+  createMemoryRateLimitStore,
+} = require("../../middleware/rateLimit");
+const { getRateLimits, PLAN_KEYS } = require("../../services/licensing/planCatalog");
+
+const NOW = Date.parse("2026-10-19T12:00:30Z");
+
+function buildApp(routeClass, { auth = null, planKey = "free_teacher_workspace", store } = {}) {
+  const app = express();
+  app.use((req, _res, next) => {
+    if (auth) req.auth = auth;
+    next();
+  });
+  app.post(
+    "*",
+    planRateLimit(routeClass, {
+      store: store || createMemoryRateLimitStore(),
+      getPlanKey: async () => planKey,
+      now: () => NOW,
+    }),
+    (req, res) => res.json({ ok: true })
+  );
+  return app;
+}
+
+test("planRateLimit sets RateLimit headers and refuses members over their limit", async () => {
+  const { perMember, perOrganization } = getRateLimits("free_teacher_workspace").ai;
+  const app = buildApp("ai", { auth: { userId: "user_a", orgId: "org_a" } });
+
+  const first = await request(app).post("/v1/ai/chat").expect(200);
+  assert.equal(first.headers["ratelimit-limit"], String(perMember));
+  assert.equal(first.headers["ratelimit-remaining"], String(perMember - 1));
+  assert.equal(first.headers["ratelimit-reset"], "30");
+  assert.equal(first.headers["ratelimit-policy"], `${perMember};w=60, ${perOrganization};w=60`);
+
+  for (let i = 1; i < perMember; i++) {
+    await request(app).post("/v1/ai/chat").expect(200);
+  }
+  const limited = await request(app).post("/v1/ai/chat").expect(429);
+  assert.equal(limited.body.code, "RATE_LIMITED");
+  assert.equal(limited.body.details.scope, "member");
+  assert.equal(limited.body.details.routeClass, "ai");
+  assert.equal(limited.headers["ratelimit-remaining"], "0");
+  assert.equal(limited.headers["retry-after"], "30");
+});
+
+test("planRateLimit counts the whole organization and uses the org's plan", async () => {
+  const store = createMemoryRateLimitStore();
+  const limits = getRateLimits(PLAN_KEYS.ORG_SEATS).join;
+  const appFor = (userId) =>
+    buildApp("join", { auth: { userId, orgId: "org_a" }, planKey: PLAN_KEYS.ORG_SEATS, store });
+
+  // Exhaust the organization's counter, then a new member is refused too
+  for (let i = 0; i < limits.perOrganization; i++) {
+    await store.increment("join:org:org_a", limits.windowMs, NOW);
+  }
+  const limited = await request(appFor("user_new")).post("/v1/join").expect(429);
+  assert.equal(limited.body.details.scope, "organization");
+  assert.equal(limited.body.details.planKey, PLAN_KEYS.ORG_SEATS);
+  assert.equal(limited.body.details.limit, limits.perOrganization);
+});
+
+test("planRateLimit keys signed-out requests by IP and fails open without Redis", async () => {
+  const app = buildApp("join");
+  const response = await request(app).post("/v1/join").expect(200);
+  assert.equal(response.headers["ratelimit-policy"], `${getRateLimits().join.perMember};w=900`);
+
+  const offline = buildApp("ai", {
+    auth: { userId: "user_a" },
+    store: createRedisRateLimitStore(() => ({ status: "reconnecting" })),
+  });
+  const allowed = await request(offline).post("/v1/ai/chat").expect(200);
+  assert.equal(allowed.headers["ratelimit-limit"], undefined);
+});
+
+test("the Redis store counts fixed windows with an expiry", async () => {
+  const calls = [];
+  const client = {
+    status: "ready",
+    multi() {
+      const chain = {
+        incr(key) {
+          calls.push(["incr", key]);
+          return chain;
+        },
+        pexpire(key, ms) {
+          calls.push(["pexpire", key, ms]);
+          return chain;
+        },
+        exec: async () => [
+          [null, 4],
+          [null, 1],
+        ],
+      };
+      return chain;
+    },
+  };
+  const store = createRedisRateLimitStore(() => client);
+
+  assert.deepEqual(await store.increment("ai:member:user_a", 60000, NOW), {
+    hits: 4,
+    resetAt: Date.parse("2026-10-19T12:01:00Z"),
+  });
+  const key = `ratelimit:ai:member:user_a:${Date.parse("2026-10-19T12:00:00Z")}`;
+  assert.deepEqual(calls, [
+    ["incr", key],
+    ["pexpire", key, 60000],
+  ]);
+  assert.throws(() => planRateLimit("uploads"), /Unknown rate limit route class/);
+});